@@ -11,6 +11,7 @@ const tf = require('@tensorflow/tfjs-node');
 const axios = require('axios');
 const winston = require('winston');
 const EventEmitter = require('events');
+const { getProductRiskLevel, getRiskLevel, isWithinRiskProfile } = require('./src/lib/suitability.js');
 
 class AIPortfolioOptimizer extends EventEmitter {
     constructor(config = {}) {
@@ -43,7 +44,10 @@ class AIPortfolioOptimizer extends EventEmitter {
             // Performance Targets
             targetReturn: config.targetReturn || 0.08, // 8% annual return
             maxDrawdown: config.maxDrawdown || 0.15, // 15% maximum drawdown
-            sharpeRatioTarget: config.sharpeRatioTarget || 1.5
+            sharpeRatioTarget: config.sharpeRatioTarget || 1.5,
+
+            // Suitability: buy recommendations above the client's risk profile are withheld
+            enforceSuitability: config.enforceSuitability !== false
         };
 
         // AI Models and Data
@@ -264,8 +268,13 @@ class AIPortfolioOptimizer extends EventEmitter {
      */
     async generateInvestmentRecommendations(portfolio, userProfile) {
         try {
+            if (this.config.enforceSuitability && !getRiskLevel(userProfile?.riskProfile)) {
+                throw new Error('A suitability assessment (riskProfile) is required before generating recommendations');
+            }
+
             const recommendations = {
                 buyRecommendations: [],
+                unsuitableRecommendations: [],
                 sellRecommendations: [],
                 holdRecommendations: [],
                 sectorRecommendations: {},
@@ -304,6 +313,10 @@ class AIPortfolioOptimizer extends EventEmitter {
             recommendations.sellRecommendations = stockRecommendations.filter(r => r.action === 'sell');
             recommendations.holdRecommendations = stockRecommendations.filter(r => r.action === 'hold');
 
+            if (this.config.enforceSuitability) {
+                this.enforceSuitability(recommendations, userProfile);
+            }
+
             return recommendations;
 
         } catch (error) {
@@ -312,6 +325,52 @@ class AIPortfolioOptimizer extends EventEmitter {
         }
     }
 
+    /**
+     * Suitability Enforcement
+     * Rates each buy recommendation (see getProductRiskLevel) and moves those whose risk level (1-5)
+     * exceeds the client's risk profile to unsuitableRecommendations. Recommendations that cannot be
+     * rated are kept, with a null riskLevel, and logged. Sell and hold recommendations never add risk
+     * and are left as they are.
+     */
+    enforceSuitability(recommendations, userProfile) {
+        const { riskProfile } = userProfile;
+        const suitable = [];
+        let unratedCount = 0;
+
+        recommendations.buyRecommendations.forEach((recommendation) => {
+            const riskLevel = getProductRiskLevel(recommendation);
+            const rated = { ...recommendation, riskLevel };
+            if (riskLevel === null) {
+                unratedCount++;
+                suitable.push(rated);
+            } else if (isWithinRiskProfile(riskProfile, riskLevel)) {
+                suitable.push(rated);
+            } else {
+                recommendations.unsuitableRecommendations.push({
+                    ...rated,
+                    suitabilityReason: `Risk level ${riskLevel} exceeds the ${riskProfile} profile (level ${getRiskLevel(riskProfile)})`
+                });
+            }
+        });
+
+        if (unratedCount > 0) {
+            this.logger.warn(`${unratedCount} buy recommendation(s) have no risk level or volatility and were not checked against the ${riskProfile} profile`);
+        }
+
+        recommendations.buyRecommendations = suitable;
+        recommendations.riskProfile = riskProfile;
+
+        if (recommendations.unsuitableRecommendations.length > 0) {
+            this.logger.info(`Withheld ${recommendations.unsuitableRecommendations.length} recommendation(s) above the ${riskProfile} profile`);
+            this.emit('suitabilityBlocked', {
+                riskProfile,
+                recommendations: recommendations.unsuitableRecommendations
+            });
+        }
+
+        return recommendations;
+    }
+
     /**
      * Advanced Machine Learning Models
      */
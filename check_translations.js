@@ -0,0 +1,26 @@
+// Translation coverage check for the onboarding form
+// Lists, per locale, the keys that fall back to English and the keys English no longer has.
+// Usage: npm run i18n:check  (exits with status 1 when anything is missing or conflicting)
+/* global require, process */
+
+const { findMissingTranslations } = require('./src/lib/i18n.js');
+
+const { conflicts, locales } = findMissingTranslations();
+let failed = false;
+
+if (conflicts.length > 0) {
+    failed = true;
+    console.log(`Schema keys with two different English texts (give one field an i18nKey): ${conflicts.length}`);
+    conflicts.forEach((key) => console.log(`  ${key}`));
+}
+
+Object.entries(locales).forEach(([locale, { missing, unused }]) => {
+    console.log(`${locale}: ${missing.length} missing, ${unused.length} unused`);
+    missing.forEach((key) => console.log(`  missing  ${key}`));
+    unused.forEach((key) => console.log(`  unused   ${key}`));
+    if (missing.length > 0) {
+        failed = true;
+    }
+});
+
+process.exitCode = failed ? 1 : 0;
@@ -4,6 +4,9 @@
 
 import React, { useState, useEffect, useContext, createContext } from 'react';
 import axios from 'axios';
+import { countryOptions } from './src/lib/countries.js';
+import { usesIban } from './src/lib/bankIdentifiers.js';
+import { validateBeneficiary } from './src/lib/beneficiaries.js';
 
 // Authentication Context
 const AuthContext = createContext();
@@ -675,6 +678,37 @@ export const usePortfolio = () => {
     };
 };
 
+// Beneficiary address book, for useClientServices and BeneficiaryAddressBook
+const fetchBeneficiaries = async () => {
+    try {
+        const response = await apiClient.get('/services/beneficiaries');
+        return response.data.data;
+    } catch (error) {
+        throw new Error(error.response?.data?.error || 'Failed to fetch beneficiaries');
+    }
+};
+
+// A rejected beneficiary carries the API's error message by field in details
+const addBeneficiary = async (beneficiary) => {
+    try {
+        const response = await apiClient.post('/services/beneficiaries', beneficiary);
+        return response.data.data;
+    } catch (error) {
+        const failure = new Error(error.response?.data?.error || 'Failed to save beneficiary');
+        failure.details = error.response?.data?.details || {};
+        throw failure;
+    }
+};
+
+const removeBeneficiary = async (beneficiaryId) => {
+    try {
+        const response = await apiClient.delete(`/services/beneficiaries/${encodeURIComponent(beneficiaryId)}`);
+        return response.data;
+    } catch (error) {
+        throw new Error(error.response?.data?.error || 'Failed to remove beneficiary');
+    }
+};
+
 // Client Services Hook
 export const useClientServices = () => {
     const contactAdvisor = async (message, requestType, preferredContactMethod) => {
@@ -720,8 +754,177 @@ export const useClientServices = () => {
     return {
         contactAdvisor,
         requestDocument,
-        createSupportTicket
+        createSupportTicket,
+        fetchBeneficiaries,
+        addBeneficiary,
+        removeBeneficiary
+    };
+};
+
+const emptyBeneficiary = { nickname: '', name: '', address: '', country: '', iban: '', accountNumber: '', bic: '', routingNumber: '', bankName: '' };
+
+const BeneficiaryInput = ({ label, value, onChange, maxLength, error }) => (
+    <div>
+        <label className="block text-sm font-medium text-gray-700">{label}</label>
+        <input
+            type="text"
+            maxLength={maxLength}
+            className={`mt-1 block w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-red-500 focus:border-red-500 ${error ? 'border-red-400' : 'border-gray-300'}`}
+            value={value}
+            onChange={onChange}
+        />
+        {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+);
+
+// The client's saved beneficiaries. New ones are checked here with the bank's own rules before they are sent,
+// and can be paid once the bank has added them and their cooling-off period has passed.
+export const BeneficiaryAddressBook = () => {
+    const [beneficiaries, setBeneficiaries] = useState([]);
+    const [form, setForm] = useState(emptyBeneficiary);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadBeneficiaries();
+    }, []);
+
+    const loadBeneficiaries = async () => {
+        try {
+            setBeneficiaries(await fetchBeneficiaries());
+        } catch (error) {
+            setError(error.message);
+        }
+    };
+
+    const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    // The account and bank fields asked for depend on the country; clear them so none is sent unseen
+    const setCountry = (e) => setForm({ ...form, country: e.target.value, iban: '', accountNumber: '', bic: '', routingNumber: '' });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const errors = validateBeneficiary(form);
+        setFieldErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+
+        setLoading(true);
+        setError('');
+        try {
+            await addBeneficiary(form);
+            setForm(emptyBeneficiary);
+            loadBeneficiaries();
+        } catch (error) {
+            setFieldErrors(error.details);
+            setError(error.message);
+        } finally {
+            setLoading(false);
+        }
     };
+
+    const handleRemove = async (beneficiary) => {
+        if (!window.confirm(`Remove ${beneficiary.nickname} from your beneficiaries?`)) {
+            return;
+        }
+        setError('');
+        try {
+            await removeBeneficiary(beneficiary.beneficiaryId);
+            loadBeneficiaries();
+        } catch (error) {
+            setError(error.message);
+        }
+    };
+
+    const beneficiaryStatus = (beneficiary) => {
+        if (beneficiary.syncStatus === 'rejected') {
+            return <span className="text-red-700">Not accepted: {beneficiary.syncError}</span>;
+        }
+        if (beneficiary.syncStatus === 'pending') {
+            return <span className="text-yellow-700">Being added by the bank</span>;
+        }
+        return beneficiary.inCoolingOff
+            ? <span className="text-yellow-700">Payable from {new Date(beneficiary.coolingOffUntil).toLocaleString()}</span>
+            : 'Active';
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+            <h3 className="text-lg font-medium text-gray-900">Beneficiaries</h3>
+
+            {beneficiaries.length === 0 ? (
+                <p className="text-sm text-gray-600">You have no saved beneficiaries.</p>
+            ) : (
+                <ul className="divide-y divide-gray-200">
+                    {beneficiaries.map((beneficiary) => (
+                        <li key={beneficiary.beneficiaryId} className="py-3 flex items-start justify-between text-sm">
+                            <div>
+                                <div className="font-medium text-gray-900">{beneficiary.nickname}</div>
+                                <div className="text-gray-600">{beneficiary.name} · {beneficiary.country}</div>
+                                <div className="font-mono text-gray-600">
+                                    {beneficiary.accountNumber} · {beneficiary.bic || `ABA ${beneficiary.routingNumber}`}
+                                </div>
+                                <div className="text-gray-600">{beneficiaryStatus(beneficiary)}</div>
+                            </div>
+                            <button onClick={() => handleRemove(beneficiary)} className="text-red-800 hover:text-red-900">
+                                Remove
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4 border-t border-gray-200 pt-4">
+                <h4 className="text-sm font-medium text-gray-900">Add a Beneficiary</h4>
+                <div className="grid grid-cols-2 gap-4">
+                    <BeneficiaryInput label="Nickname" value={form.nickname} onChange={setField('nickname')} maxLength={50} error={fieldErrors.nickname} />
+                    <BeneficiaryInput label="Account holder" value={form.name} onChange={setField('name')} maxLength={140} error={fieldErrors.name} />
+                    <BeneficiaryInput label="Address" value={form.address} onChange={setField('address')} maxLength={280} error={fieldErrors.address} />
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Country</label>
+                        <select
+                            value={form.country}
+                            onChange={setCountry}
+                            className={`mt-1 block w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-red-500 focus:border-red-500 ${fieldErrors.country ? 'border-red-400' : 'border-gray-300'}`}
+                        >
+                            <option value="">Choose a country</option>
+                            {countryOptions.map((option) => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                        {fieldErrors.country && <p className="mt-1 text-xs text-red-600">{fieldErrors.country}</p>}
+                    </div>
+                    {usesIban(form.country) ? (
+                        <BeneficiaryInput label="IBAN" value={form.iban} onChange={setField('iban')} error={fieldErrors.iban} />
+                    ) : (
+                        <BeneficiaryInput label="Account number" value={form.accountNumber} onChange={setField('accountNumber')} error={fieldErrors.accountNumber} />
+                    )}
+                    {form.country === 'US' ? (
+                        <BeneficiaryInput label="ABA routing number" value={form.routingNumber} onChange={setField('routingNumber')} maxLength={9} error={fieldErrors.routingNumber} />
+                    ) : (
+                        <BeneficiaryInput label="BIC" value={form.bic} onChange={setField('bic')} maxLength={11} error={fieldErrors.bic} />
+                    )}
+                    <BeneficiaryInput label="Bank name" value={form.bankName} onChange={setField('bankName')} maxLength={140} error={fieldErrors.bankName} />
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                        {error}
+                    </div>
+                )}
+
+                <button
+                    type="submit"
+                    disabled={loading}
+                    className="py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-red-800 hover:bg-red-900 disabled:opacity-50"
+                >
+                    {loading ? 'Saving...' : 'Save Beneficiary'}
+                </button>
+            </form>
+        </div>
+    );
 };
 
 export default {
@@ -731,5 +934,6 @@ export default {
     RegistrationForm,
     ProtectedRoute,
     usePortfolio,
-    useClientServices
+    useClientServices,
+    BeneficiaryAddressBook
 };
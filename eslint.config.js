@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['**/*.test.js'],
+    languageOptions: {
+      globals: { ...globals.node, ...globals.jest },
+    },
+  },
 ]
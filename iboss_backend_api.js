@@ -390,8 +390,9 @@ class DatabaseService {
     const connection = await pool.getConnection();
     try {
       const [rows] = await connection.execute(
-        `SELECT * FROM risk_metrics 
-         WHERE user_id = ? AND account_number = ? AND as_of_date = CURDATE()`,
+        `SELECT r.*, u.risk_profile FROM risk_metrics r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.user_id = ? AND r.account_number = ? AND r.as_of_date = CURDATE()`,
         [userId, accountNumber]
       );
       return rows[0];
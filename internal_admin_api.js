@@ -10,12 +10,94 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const multer = require('multer');
 const AWS = require('aws-sdk');
+const crypto = require('crypto');
 const { Pool } = require('pg');
 const Redis = require('redis');
 const nodemailer = require('nodemailer');
 const twilio = require('twilio');
 const winston = require('winston');
 const { body, validationResult } = require('express-validator');
+const { kycDocumentTypes } = require('./src/lib/kycDocuments.js');
+const {
+    kycStages,
+    kycStageLabels,
+    kycStageRoles,
+    kycStageStatus,
+    finalKycStages,
+    isKycTransitionAllowed,
+    canActOnKycStage,
+    kycTransitionRequiresNotes,
+    getAvailableKycTransitions
+} = require('./src/lib/kycWorkflow.js');
+const {
+    mergeTransferApprovalPolicy,
+    getRequiredApprovals,
+    getApprovalProgress,
+    canSignApprovalLevel
+} = require('./src/lib/transferApprovals.js');
+const {
+    paymentMessageTypes,
+    wireTransferTypes,
+    createPaymentInstruction,
+    buildPaymentMessage,
+    getPaymentMessageFileName
+} = require('./src/lib/paymentMessages.js');
+const {
+    DEFAULT_BENEFICIARY_COOLING_OFF_HOURS,
+    normalizeBeneficiary,
+    validateBeneficiary,
+    getBeneficiaryTransferType,
+    getCoolingOffEnd,
+    isInCoolingOff
+} = require('./src/lib/beneficiaries.js');
+const { isCurrencyCode } = require('./src/lib/currencies.js');
+const {
+    mergeTransferCutoffConfig,
+    holidayCalendars,
+    getHolidays,
+    addDays,
+    getLocalDateTime,
+    getExecutionDate,
+    recurringTransferFrequencies,
+    getNextRunDate,
+    getFirstRunDate
+} = require('./src/lib/transferCalendar.js');
+const {
+    mergeFxSpreadConfig,
+    getFxRateSides,
+    getSpreadBps,
+    parseFxRateSheet,
+    getMissingFxRates,
+    quoteFxConversion
+} = require('./src/lib/fx.js');
+const {
+    getBalanceChange,
+    getUnbalancedCurrencies,
+    buildTransferJournalLines
+} = require('./src/lib/ledger.js');
+const {
+    reconcileTransfers,
+    breakResolutions,
+    getBreakKey,
+    breakAgeBuckets,
+    getBreakAgeBucket
+} = require('./src/lib/reconciliation.js');
+const {
+    auditExportFormats,
+    auditExportContentTypes,
+    auditCsvColumns,
+    parseAuditFilters,
+    encodeAuditCursor,
+    decodeAuditCursor,
+    toContainsPattern,
+    getFieldChanges,
+    formatAuditCsvRow,
+    formatAuditNdjsonRow
+} = require('./src/lib/auditTrail.js');
+const { formatCsvRow } = require('./src/lib/csv.js');
+const { parseBankStatement } = require('./server/services/statementParsers.js');
+const { loadSigningKey, createAuditCheckpoint, verifyAuditChain } = require('./server/services/auditChain.js');
+const { runDaily } = require('./server/services/dailySchedule.js');
 
 const app = express();
 
@@ -37,6 +119,14 @@ const CONFIG = {
         password: process.env.INTERNAL_DB_PASSWORD || 'RafiRamzi2025!!',
         ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     },
+
+    // Online account opening database (server/migrations). Applicants' KYC requests are kept there with the
+    // documents and requests for information of the application status page, the sanctions screening results
+    // and the AML risk ratings, so the KYC routes read and act on them there.
+    onboardingDatabase: {
+        connectionString: process.env.ONBOARDING_DATABASE_URL,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    },
     
     // Redis Configuration
     redis: {
@@ -66,6 +156,43 @@ const CONFIG = {
         accountSid: process.env.TWILIO_ACCOUNT_SID,
         authToken: process.env.TWILIO_AUTH_TOKEN,
         phoneNumber: process.env.TWILIO_PHONE_NUMBER
+    },
+    
+    // Payment message configuration: our bank as debtor agent and MT103 sender, and the S3 drop the
+    // payment gateway collects outbound messages from
+    payments: {
+        bic: process.env.BANK_BIC,
+        routingNumber: process.env.BANK_ROUTING_NUMBER,
+        correspondentBic: process.env.BANK_CORRESPONDENT_BIC,
+        sendFormat: process.env.PAYMENT_MESSAGE_FORMAT || 'pacs.008',
+        outboundBucket: process.env.PAYMENT_OUTBOUND_BUCKET || 'alhambra-payment-gateway',
+        outboundPrefix: process.env.PAYMENT_OUTBOUND_PREFIX || 'outbound/'
+    },
+
+    // Hour (UTC) the daily job enters due recurring transfers
+    recurringTransferHour: process.env.RECURRING_TRANSFER_HOUR ? parseInt(process.env.RECURRING_TRANSFER_HOUR) : 11,
+
+    // IBOSS custody account that outgoing payments are paid from, checked by the daily reconciliation
+    iboss: {
+        baseURL: process.env.IBOSS_API_URL || 'https://api.iboss.com/v1',
+        apiKey: process.env.IBOSS_API_KEY,
+        custodyAccount: process.env.IBOSS_CUSTODY_ACCOUNT
+    },
+
+    // Hour (UTC) the daily reconciliation runs, once the previous day's statement is in
+    reconciliationHour: process.env.RECONCILIATION_HOUR ? parseInt(process.env.RECONCILIATION_HOUR) : 13,
+
+    // Ed25519 key (PKCS#8 PEM) that signs the audit trail's checkpoints, and how often one is taken
+    audit: {
+        signingKey: process.env.AUDIT_SIGNING_KEY,
+        checkpointIntervalMinutes: process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES ? parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES) : 60
+    },
+
+    // DynamoDB table of the client portal's beneficiary address book (lambda_client_request_handler.js), and how
+    // often the beneficiaries clients add or remove there are copied into this database
+    clientPortal: {
+        beneficiariesTable: process.env.CLIENT_PORTAL_BENEFICIARIES_TABLE || 'alhambra-client-beneficiaries',
+        beneficiarySyncMinutes: process.env.CLIENT_PORTAL_BENEFICIARY_SYNC_MINUTES ? parseInt(process.env.CLIENT_PORTAL_BENEFICIARY_SYNC_MINUTES) : 5
     }
 };
 
@@ -95,6 +222,7 @@ const logger = winston.createLogger({
 // ============================================================================
 
 const pool = new Pool(CONFIG.database);
+const onboardingPool = new Pool(CONFIG.onboardingDatabase);
 
 // Redis client
 const redisClient = Redis.createClient(CONFIG.redis);
@@ -107,6 +235,7 @@ AWS.config.update({
     secretAccessKey: CONFIG.aws.secretAccessKey
 });
 const s3 = new AWS.S3();
+const dynamodb = new AWS.DynamoDB.DocumentClient();
 
 // Email transporter
 const emailTransporter = nodemailer.createTransporter({
@@ -286,6 +415,31 @@ const upload = multer({
     }
 });
 
+// Bank statements: camt.053 XML or CSV, one file per request
+const statementUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 20 * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedMimes = [
+            'application/xml',
+            'text/xml',
+            'text/csv',
+            'text/plain',
+            'application/vnd.ms-excel',
+            'application/octet-stream'
+        ];
+
+        if (allowedMimes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type'), false);
+        }
+    }
+});
+
 // ============================================================================
 // ADMIN AUTHENTICATION ROUTES
 // ============================================================================
@@ -451,7 +605,7 @@ app.get('/admin/overview-stats', authenticateAdmin, async (req, res) => {
             pool.query('SELECT COUNT(*) as count FROM clients WHERE active = true'),
             
             // Pending KYC requests
-            pool.query('SELECT COUNT(*) as count FROM kyc_requests WHERE status = $1', ['pending']),
+            onboardingPool.query('SELECT COUNT(*) as count FROM kyc_requests WHERE status = $1', ['pending']),
             
             // Pending fund transfers
             pool.query('SELECT COUNT(*) as count FROM fund_transfers WHERE status = $1', ['pending']),
@@ -655,30 +809,44 @@ app.get('/admin/clients/:clientId', authenticateAdmin, requirePermission('view_c
 // ============================================================================
 
 // Get KYC requests
+// Filters by workflow stage, or by status; without either, lists every request still in an open stage
 app.get('/admin/kyc-requests', authenticateAdmin, requirePermission('manage_kyc'), async (req, res) => {
     try {
-        const { status = 'pending', page = 1, limit = 50 } = req.query;
+        const { stage, status, page = 1, limit = 50 } = req.query;
         const offset = (page - 1) * limit;
 
-        const kycQuery = await pool.query(`
+        let filter = 'k.stage <> ALL($1)';
+        let filterValue = finalKycStages;
+        if (stage) {
+            filter = 'k.stage = $1';
+            filterValue = stage;
+        } else if (status) {
+            filter = 'k.status = $1';
+            filterValue = status;
+        }
+
+        const kycQuery = await onboardingPool.query(`
             SELECT 
                 k.id,
                 k.client_id,
                 c.first_name || ' ' || c.last_name as client_name,
                 c.email as client_email,
                 k.status,
-                k.risk_level,
-                k.request_date,
+                k.stage,
+                k.request_type,
+                c.aml_risk_rating,
+                k.submitted_at as request_date,
                 k.documents_uploaded,
-                k.notes,
-                k.reviewed_by,
+                k.review_notes as notes,
+                COALESCE(k.reviewed_by_username, a.username) as reviewed_by_username,
                 k.reviewed_at
             FROM kyc_requests k
             JOIN clients c ON k.client_id = c.id
-            WHERE k.status = $1
-            ORDER BY k.request_date DESC
+            LEFT JOIN admin_users a ON k.reviewer_id = a.id
+            WHERE ${filter}
+            ORDER BY k.submitted_at DESC
             LIMIT $2 OFFSET $3
-        `, [status, limit, offset]);
+        `, [filterValue, limit, offset]);
 
         res.json({
             success: true,
@@ -693,23 +861,29 @@ app.get('/admin/kyc-requests', authenticateAdmin, requirePermission('manage_kyc'
     }
 });
 
-// Get KYC request details
+// Get KYC request details, with its stage history and the moves open to the requesting admin
 app.get('/admin/kyc-requests/:requestId', authenticateAdmin, requirePermission('manage_kyc'), async (req, res) => {
     try {
         const { requestId } = req.params;
 
-        const kycQuery = await pool.query(`
+        const kycQuery = await onboardingPool.query(`
             SELECT 
                 k.*,
+                k.submitted_at as request_date,
                 c.first_name || ' ' || c.last_name as client_name,
                 c.email as client_email,
                 c.phone as client_phone,
                 c.date_of_birth,
-                c.address,
-                a.username as reviewed_by_username
+                jsonb_build_object(
+                    'line1', c.address_line1, 'line2', c.address_line2, 'city', c.city, 'state', c.state,
+                    'zip_code', c.zip_code, 'country', c.country
+                ) as address,
+                c.aml_risk_rating,
+                c.next_review_date,
+                COALESCE(k.reviewed_by_username, a.username) as reviewed_by_username
             FROM kyc_requests k
             JOIN clients c ON k.client_id = c.id
-            LEFT JOIN admin_users a ON k.reviewed_by = a.id
+            LEFT JOIN admin_users a ON k.reviewer_id = a.id
             WHERE k.id = $1
         `, [requestId]);
 
@@ -720,15 +894,58 @@ app.get('/admin/kyc-requests/:requestId', authenticateAdmin, requirePermission('
             });
         }
 
-        // Get associated documents
-        const documentsQuery = await pool.query(`
-            SELECT id, document_type, file_name, file_url, uploaded_at
-            FROM kyc_documents
-            WHERE kyc_request_id = $1
+        // The client's documents, with those the applicant uploaded on the status page in reply to a request
+        const documentsQuery = await onboardingPool.query(`
+            SELECT id, document_type, document_name as file_name, status, uploaded_at, information_request_id
+            FROM documents
+            WHERE client_id = $1
+            ORDER BY uploaded_at
+        `, [kycQuery.rows[0].client_id]);
+
+        const historyQuery = await onboardingPool.query(`
+            SELECT t.id, t.from_stage, t.to_stage, t.notes, t.transitioned_at,
+                   COALESCE(t.transitioned_by_username, a.username) as transitioned_by_username
+            FROM kyc_stage_transitions t
+            LEFT JOIN admin_users a ON t.transitioned_by = a.id
+            WHERE t.kyc_request_id = $1
+            ORDER BY t.transitioned_at, t.id
+        `, [requestId]);
+
+        const informationRequestsQuery = await onboardingPool.query(`
+            SELECT r.id, r.notes, r.requested_documents, r.requested_at, r.resolved_at,
+                   COALESCE(r.requested_by_username, a.username) as requested_by_username
+            FROM kyc_information_requests r
+            LEFT JOIN admin_users a ON r.requested_by = a.id
+            WHERE r.kyc_request_id = $1
+            ORDER BY r.requested_at
         `, [requestId]);
 
+        // Latest sanctions/PEP screening of the client, with its matches in result
+        const complianceChecksQuery = await onboardingPool.query(`
+            SELECT DISTINCT ON (check_type) id, check_type, status, result, performed_at
+            FROM compliance_checks
+            WHERE client_id = $1
+            ORDER BY check_type, performed_at DESC
+        `, [kycQuery.rows[0].client_id]);
+
+        // Latest AML risk rating with its factor breakdown (server/services/amlRiskRating.js)
+        const riskAssessmentQuery = await onboardingPool.query(`
+            SELECT rating, score, assessment, config_version, trigger, next_review_date, assessed_at
+            FROM client_risk_assessments
+            WHERE client_id = $1
+            ORDER BY assessed_at DESC
+            LIMIT 1
+        `, [kycQuery.rows[0].client_id]);
+
         const kycRequest = kycQuery.rows[0];
         kycRequest.documents = documentsQuery.rows;
+        kycRequest.history = historyQuery.rows;
+        kycRequest.information_requests = informationRequestsQuery.rows;
+        kycRequest.compliance_checks = complianceChecksQuery.rows;
+        kycRequest.risk_assessment = riskAssessmentQuery.rows[0] || null;
+        kycRequest.available_transitions = getAvailableKycTransitions(kycRequest.stage, req.admin.role);
+        kycRequest.can_request_more_info = !finalKycStages.includes(kycRequest.stage) &&
+            canActOnKycStage(req.admin.role, kycRequest.stage);
 
         res.json({
             success: true,
@@ -744,124 +961,286 @@ app.get('/admin/kyc-requests/:requestId', authenticateAdmin, requirePermission('
 });
 
 // Process KYC request action
+// transition moves the request to `stage` (approve, reject and withdraw are shorthands for the final stages);
+// request_more_info asks the applicant for notes and documents and leaves the stage as it is.
+// Moves must be allowed by src/lib/kycWorkflow.js and the admin's role must own the current stage.
+const KYC_ACTION_STAGES = { approve: 'approved', reject: 'rejected', withdraw: 'withdrawn' };
+
 app.post('/admin/kyc-requests/:requestId/action', 
     authenticateAdmin, 
     requirePermission('manage_kyc'),
     [
-        body('action').isIn(['approve', 'reject', 'request_more_info']),
-        body('notes').optional().isLength({ max: 1000 }).trim()
+        body('action').isIn(['transition', 'approve', 'reject', 'withdraw', 'request_more_info']),
+        body('stage').if(body('action').equals('transition')).isIn(kycStages),
+        body('notes').optional().isLength({ max: 1000 }).trim(),
+        body('documents').optional().isArray(),
+        body('documents.*').isIn(kycDocumentTypes)
     ],
     async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { requestId } = req.params;
+        const { action, notes, documents = [] } = req.body;
+        const client = await onboardingPool.connect();
+
         try {
-            const errors = validationResult(req);
-            if (!errors.isEmpty()) {
-                return res.status(400).json({
+            await client.query('BEGIN');
+
+            // Lock the request so two reviewers can't move it from the same stage at once
+            const kycQuery = await client.query(
+                'SELECT id, client_id, stage FROM kyc_requests WHERE id = $1 FOR UPDATE',
+                [requestId]
+            );
+            if (kycQuery.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
                     success: false,
-                    error: 'Validation failed',
-                    details: errors.array()
+                    error: 'KYC request not found'
+                });
+            }
+
+            const fromStage = kycQuery.rows[0].stage;
+            if (!canActOnKycStage(req.admin.role, fromStage)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({
+                    success: false,
+                    error: `Your role cannot act on requests in ${kycStageLabels[fromStage]}.`,
+                    code: 'KYC_STAGE_ROLE_REQUIRED',
+                    required: kycStageRoles[fromStage] || []
                 });
             }
 
-            const { requestId } = req.params;
-            const { action, notes } = req.body;
+            let description;
+            if (action === 'request_more_info') {
+                if (finalKycStages.includes(fromStage)) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        success: false,
+                        error: `KYC request is already ${kycStageLabels[fromStage].toLowerCase()}`,
+                        code: 'INVALID_KYC_TRANSITION'
+                    });
+                }
 
-            // Update KYC request
-            await pool.query(`
-                UPDATE kyc_requests 
-                SET 
-                    status = $1,
-                    notes = $2,
-                    reviewed_by = $3,
-                    reviewed_at = NOW()
-                WHERE id = $4
-            `, [action === 'approve' ? 'approved' : action === 'reject' ? 'rejected' : 'pending', notes, req.admin.id, requestId]);
+                // The applicant sees these notes and uploads the listed documents on the application status page
+                await client.query(`
+                    INSERT INTO kyc_information_requests (kyc_request_id, notes, requested_documents, requested_by_username)
+                    VALUES ($1, $2, $3, $4)
+                `, [requestId, notes, documents, req.admin.username]);
+                description = `KYC request: more information requested during ${kycStageLabels[fromStage]}`;
+            } else {
+                const toStage = KYC_ACTION_STAGES[action] || req.body.stage;
+
+                if (!isKycTransitionAllowed(fromStage, toStage)) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        success: false,
+                        error: `A KYC request cannot move from ${kycStageLabels[fromStage]} to ${kycStageLabels[toStage]}`,
+                        code: 'INVALID_KYC_TRANSITION',
+                        allowed: getAvailableKycTransitions(fromStage, req.admin.role).map((transition) => transition.stage)
+                    });
+                }
+                if (kycTransitionRequiresNotes(fromStage, toStage) && !notes) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({
+                        success: false,
+                        error: `Notes are required to move a KYC request to ${kycStageLabels[toStage]}`
+                    });
+                }
 
-            // If approved, update client status
-            if (action === 'approve') {
-                await pool.query(`
-                    UPDATE clients 
-                    SET status = 'active', kyc_status = 'approved'
-                    WHERE id = (SELECT client_id FROM kyc_requests WHERE id = $1)
-                `, [requestId]);
+                const status = kycStageStatus[toStage];
+                await client.query(`
+                    UPDATE kyc_requests 
+                    SET 
+                        stage = $1,
+                        status = $2,
+                        review_notes = COALESCE($3, review_notes),
+                        reviewed_by_username = $4,
+                        reviewed_at = NOW()
+                    WHERE id = $5
+                `, [toStage, status, notes || null, req.admin.username, requestId]);
+
+                await client.query(`
+                    INSERT INTO kyc_stage_transitions (kyc_request_id, from_stage, to_stage, notes, transitioned_by_username)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, [requestId, fromStage, toStage, notes || null, req.admin.username]);
+                description = `KYC request moved from ${kycStageLabels[fromStage]} to ${kycStageLabels[toStage]}`;
+
+                // Keep the client's KYC status in step; a withdrawn application leaves the client as it was.
+                // The profile version this writes (server migration 013) is recorded as a compliance decision.
+                await client.query(
+                    "SELECT set_config('app.change_reason', 'compliance_decision', true), set_config('app.change_notes', $1, true)",
+                    [`${description} by ${req.admin.username}`]
+                );
+                if (toStage === 'approved') {
+                    await client.query(`
+                        UPDATE clients 
+                        SET status = 'active', kyc_status = 'approved'
+                        WHERE id = (SELECT client_id FROM kyc_requests WHERE id = $1)
+                    `, [requestId]);
+                } else if (toStage !== 'withdrawn') {
+                    await client.query(`
+                        UPDATE clients 
+                        SET kyc_status = $2
+                        WHERE id = (SELECT client_id FROM kyc_requests WHERE id = $1)
+                    `, [requestId, status]);
+                }
+
+                // A decision closes whatever the applicant was still asked for
+                if (finalKycStages.includes(toStage)) {
+                    await client.query(`
+                        UPDATE kyc_information_requests
+                        SET resolved_at = NOW()
+                        WHERE kyc_request_id = $1 AND resolved_at IS NULL
+                    `, [requestId]);
+                }
             }
 
-            // Log activity
+            // Log activity here before committing there, so no KYC decision goes unlogged. The request and its
+            // client are the onboarding database's, so they go in metadata rather than client_id.
             await pool.query(`
-                INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
-                SELECT $1, 'kyc_action', $2, client_id
-                FROM kyc_requests WHERE id = $3
-            `, [req.admin.id, `KYC request ${action}ed`, requestId]);
+                INSERT INTO admin_activities (admin_id, activity_type, description, metadata)
+                VALUES ($1, 'kyc_action', $2, $3)
+            `, [req.admin.id, description, JSON.stringify({ kycRequestId: requestId, onboardingClientId: kycQuery.rows[0].client_id })]);
+
+            await client.query('COMMIT');
 
             // Send notification to client (implement email/SMS notification)
             // ... notification logic here ...
 
             res.json({
                 success: true,
-                message: `KYC request ${action}ed successfully`
+                message: description
             });
         } catch (error) {
+            await client.query('ROLLBACK');
             logger.error('Error processing KYC action:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to process KYC action'
             });
+        } finally {
+            client.release();
         }
     }
 );
 
 // ============================================================================
-// FUND TRANSFER MANAGEMENT ROUTES
+// BENEFICIARY ROUTES
 // ============================================================================
 
-// Get fund transfers
-app.get('/admin/fund-transfers', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
-    try {
-        const { status = 'pending', page = 1, limit = 50 } = req.query;
-        const offset = (page - 1) * limit;
+const BENEFICIARY_COLUMNS = `
+    id, client_id, nickname, name, address, country, account_number, iban, bic, routing_number,
+    bank_name, status, created_by, cooling_off_until, created_at
+`;
 
-        const transfersQuery = await pool.query(`
-            SELECT 
-                ft.id,
-                ft.client_id,
-                c.first_name || ' ' || c.last_name as client_name,
-                c.email as client_email,
-                ft.transfer_type,
-                ft.amount,
-                ft.currency,
-                ft.from_account,
-                ft.to_account,
-                ft.status,
-                ft.request_date,
-                ft.processed_date,
-                ft.notes,
-                ft.reviewed_by
-            FROM fund_transfers ft
-            JOIN clients c ON ft.client_id = c.id
-            WHERE ft.status = $1
-            ORDER BY ft.request_date DESC
-            LIMIT $2 OFFSET $3
-        `, [status, limit, offset]);
+const serializeBeneficiary = (beneficiary) => ({
+    ...beneficiary,
+    transfer_type: getBeneficiaryTransferType(beneficiary),
+    in_cooling_off: isInCoolingOff(beneficiary)
+});
+
+const loadBeneficiaryCoolingOffHours = async (db) => {
+    const settingQuery = await db.query(
+        "SELECT setting_value FROM system_settings WHERE setting_key = 'beneficiary_cooling_off_hours'"
+    );
+    return settingQuery.rows.length > 0
+        ? Number(settingQuery.rows[0].setting_value)
+        : DEFAULT_BENEFICIARY_COOLING_OFF_HOURS;
+};
+
+/**
+ * Saves a normalized beneficiary (see normalizeBeneficiary), payable once the beneficiary_cooling_off_hours
+ * setting has passed since createdAt. A duplicate nickname fails with the unique violation (23505) of
+ * idx_beneficiaries_nickname.
+ * @param {Object} db - pool or client
+ * @param {Object} beneficiary - createdBy is NULL for a beneficiary the client added; portalBeneficiaryId
+ *   the client portal entry it was copied from
+ * @returns {Promise<Object>} the beneficiaries row
+ */
+const insertBeneficiary = async (db, { clientId, beneficiary, createdBy, createdAt, portalBeneficiaryId = null }) => {
+    const coolingOffHours = await loadBeneficiaryCoolingOffHours(db);
+    const beneficiaryQuery = await db.query(`
+        INSERT INTO beneficiaries (
+            client_id, nickname, name, address, country, account_number, iban, bic,
+            routing_number, bank_name, created_by, cooling_off_until, portal_beneficiary_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING ${BENEFICIARY_COLUMNS}
+    `, [
+        clientId,
+        beneficiary.nickname,
+        beneficiary.name,
+        beneficiary.address || null,
+        beneficiary.country,
+        beneficiary.accountNumber,
+        beneficiary.iban,
+        beneficiary.bic,
+        beneficiary.routingNumber,
+        beneficiary.bankName || null,
+        createdBy,
+        getCoolingOffEnd(createdAt, coolingOffHours),
+        portalBeneficiaryId
+    ]);
+    return beneficiaryQuery.rows[0];
+};
+
+// Removes a beneficiary, and stops the recurring transfers to it; null when it isn't an active one.
+// Transfers already made to it keep their reference.
+const deleteBeneficiary = async (db, beneficiaryId) => {
+    const beneficiaryQuery = await db.query(`
+        UPDATE beneficiaries
+        SET status = 'deleted', deleted_at = NOW()
+        WHERE id = $1 AND status = 'active'
+        RETURNING client_id, nickname, portal_beneficiary_id
+    `, [beneficiaryId]);
+    if (beneficiaryQuery.rows.length === 0) {
+        return null;
+    }
+
+    await db.query(`
+        UPDATE recurring_transfers
+        SET status = 'cancelled', next_run_date = NULL, updated_at = NOW()
+        WHERE beneficiary_id = $1 AND status IN ('active', 'paused')
+    `, [beneficiaryId]);
+    return beneficiaryQuery.rows[0];
+};
+
+// Get a client's saved beneficiaries
+app.get('/admin/clients/:clientId/beneficiaries', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const beneficiariesQuery = await pool.query(`
+            SELECT ${BENEFICIARY_COLUMNS}
+            FROM beneficiaries
+            WHERE client_id = $1 AND status = 'active'
+            ORDER BY lower(nickname)
+        `, [req.params.clientId]);
 
         res.json({
             success: true,
-            transfers: transfersQuery.rows
+            beneficiaries: beneficiariesQuery.rows.map(serializeBeneficiary)
         });
     } catch (error) {
-        logger.error('Error fetching fund transfers:', error);
+        logger.error('Error fetching beneficiaries:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch fund transfers'
+            error: 'Failed to fetch beneficiaries'
         });
     }
 });
 
-// Process fund transfer action
-app.post('/admin/fund-transfers/:transferId/action',
+// Save a beneficiary to a client's address book. It can't be paid until the beneficiary_cooling_off_hours
+// setting has passed; addedByClient records a beneficiary the client asked for rather than one staff added.
+app.post('/admin/clients/:clientId/beneficiaries',
     authenticateAdmin,
     requirePermission('manage_transfers'),
     [
-        body('action').isIn(['approve', 'reject']),
-        body('notes').optional().isLength({ max: 1000 }).trim()
+        body('addedByClient').optional().isBoolean()
     ],
     async (req, res) => {
         try {
@@ -874,161 +1253,2820 @@ app.post('/admin/fund-transfers/:transferId/action',
                 });
             }
 
-            const { transferId } = req.params;
-            const { action, notes } = req.body;
+            const { clientId } = req.params;
+            const beneficiaryErrors = validateBeneficiary(req.body);
+            if (Object.keys(beneficiaryErrors).length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: beneficiaryErrors
+                });
+            }
 
-            // Update transfer status
-            await pool.query(`
-                UPDATE fund_transfers 
-                SET 
-                    status = $1,
-                    notes = $2,
-                    reviewed_by = $3,
-                    processed_date = NOW()
-                WHERE id = $4
-            `, [action === 'approve' ? 'approved' : 'rejected', notes, req.admin.id, transferId]);
+            const clientQuery = await pool.query('SELECT id FROM clients WHERE id = $1', [clientId]);
+            if (clientQuery.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Client not found'
+                });
+            }
+
+            const beneficiary = normalizeBeneficiary(req.body);
+            let saved;
+            try {
+                saved = await insertBeneficiary(pool, {
+                    clientId,
+                    beneficiary,
+                    createdBy: req.body.addedByClient ? null : req.admin.id,
+                    createdAt: new Date()
+                });
+            } catch (error) {
+                // idx_beneficiaries_nickname
+                if (error.code === '23505') {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'The client already has a beneficiary with this nickname',
+                        details: { nickname: 'The client already has a beneficiary with this nickname' }
+                    });
+                }
+                throw error;
+            }
 
-            // Log activity
             await pool.query(`
                 INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
-                SELECT $1, 'transfer_action', $2, client_id
-                FROM fund_transfers WHERE id = $3
-            `, [req.admin.id, `Fund transfer ${action}ed`, transferId]);
+                VALUES ($1, 'beneficiary_added', $2, $3)
+            `, [req.admin.id, `Beneficiary ${beneficiary.nickname} added`, clientId]);
 
-            res.json({
+            res.status(201).json({
                 success: true,
-                message: `Fund transfer ${action}ed successfully`
+                beneficiary: serializeBeneficiary(saved)
             });
         } catch (error) {
-            logger.error('Error processing fund transfer action:', error);
+            logger.error('Error saving beneficiary:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to process fund transfer action'
+                error: 'Failed to save beneficiary'
             });
         }
     }
 );
 
-// ============================================================================
-// COMMUNICATIONS MANAGEMENT ROUTES
-// ============================================================================
-
-// Get client communications
-app.get('/admin/communications', authenticateAdmin, requirePermission('manage_communications'), async (req, res) => {
+// Remove a beneficiary from the address book, and from the client portal's if the client added it there
+app.delete('/admin/beneficiaries/:beneficiaryId', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
     try {
-        const { status = 'unread', page = 1, limit = 50 } = req.query;
-        const offset = (page - 1) * limit;
+        const deleted = await deleteBeneficiary(pool, req.params.beneficiaryId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Beneficiary not found'
+            });
+        }
 
-        const communicationsQuery = await pool.query(`
-            SELECT 
-                cc.id,
-                cc.client_id,
-                c.first_name || ' ' || c.last_name as client_name,
-                c.email as client_email,
-                cc.subject,
-                cc.message,
-                cc.communication_type,
-                cc.priority,
-                cc.status,
-                cc.created_at,
-                cc.responded_at,
-                cc.responded_by
-            FROM client_communications cc
-            JOIN clients c ON cc.client_id = c.id
-            WHERE cc.status = $1
-            ORDER BY cc.created_at DESC
-            LIMIT $2 OFFSET $3
-        `, [status, limit, offset]);
+        const { client_id: clientId, nickname, portal_beneficiary_id: portalBeneficiaryId } = deleted;
+        await pool.query(`
+            INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+            VALUES ($1, 'beneficiary_deleted', $2, $3)
+        `, [req.admin.id, `Beneficiary ${nickname} deleted`, clientId]);
+
+        if (portalBeneficiaryId) {
+            const clientQuery = await pool.query('SELECT email FROM clients WHERE id = $1', [clientId]);
+            await updatePortalBeneficiary(clientQuery.rows[0].email, portalBeneficiaryId, {
+                status: 'deleted',
+                deletedAt: new Date().toISOString(),
+                syncStatus: 'synced'
+            });
+        }
 
         res.json({
             success: true,
-            communications: communicationsQuery.rows
+            message: 'Beneficiary deleted'
         });
     } catch (error) {
-        logger.error('Error fetching communications:', error);
+        logger.error('Error deleting beneficiary:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch communications'
+            error: 'Failed to delete beneficiary'
         });
     }
 });
 
-// Reply to client communication
-app.post('/admin/communications/:commId/reply',
-    authenticateAdmin,
-    requirePermission('manage_communications'),
-    [
-        body('reply').isLength({ min: 1, max: 5000 }).trim()
-    ],
-    async (req, res) => {
-        try {
-            const errors = validationResult(req);
-            if (!errors.isEmpty()) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Validation failed',
-                    details: errors.array()
-                });
+// Client portal address book entries are keyed by the client's email and the portal's beneficiaryId.
+// With expectedStatus, the update only applies while the entry still has that status, and reports whether it did.
+const updatePortalBeneficiary = async (clientEmail, portalBeneficiaryId, changes, expectedStatus) => {
+    const names = Object.keys(changes);
+    const attributeNames = expectedStatus && !names.includes('status') ? [...names, 'status'] : names;
+    try {
+        await dynamodb.update({
+            TableName: CONFIG.clientPortal.beneficiariesTable,
+            Key: { clientEmail, beneficiaryId: portalBeneficiaryId },
+            UpdateExpression: `SET ${names.map((name) => `#${name} = :${name}`).join(', ')}`,
+            ...(expectedStatus && { ConditionExpression: '#status = :expectedStatus' }),
+            ExpressionAttributeNames: Object.fromEntries(attributeNames.map((name) => [`#${name}`, name])),
+            ExpressionAttributeValues: {
+                ...Object.fromEntries(names.map((name) => [`:${name}`, changes[name]])),
+                ...(expectedStatus && { ':expectedStatus': expectedStatus })
             }
+        }).promise();
+        return true;
+    } catch (error) {
+        if (expectedStatus && error.code === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+};
 
-            const { commId } = req.params;
-            const { reply } = req.body;
+/**
+ * Applies one client portal entry to the address book. The portal already checked it; it is checked again
+ * here because these are the beneficiaries wires are sent to.
+ * @param {Object} entry - the portal's alhambra-client-beneficiaries item
+ * @returns {Promise<Object>} the changes to write back to the entry
+ */
+const applyPortalBeneficiary = async (entry) => {
+    const clientQuery = await pool.query('SELECT id FROM clients WHERE lower(email) = lower($1)', [entry.clientEmail]);
+    if (clientQuery.rows.length === 0) {
+        return { syncStatus: 'rejected', syncError: 'No client account uses this email address' };
+    }
+    const clientId = clientQuery.rows[0].id;
 
-            // Update communication status
-            await pool.query(`
-                UPDATE client_communications 
-                SET 
-                    status = 'responded',
-                    admin_reply = $1,
-                    responded_by = $2,
-                    responded_at = NOW()
-                WHERE id = $3
-            `, [reply, req.admin.id, commId]);
+    const existingQuery = await pool.query(
+        'SELECT id, status, cooling_off_until FROM beneficiaries WHERE portal_beneficiary_id = $1',
+        [entry.beneficiaryId]
+    );
+    const existing = existingQuery.rows[0];
 
-            // Get client email for notification
-            const clientQuery = await pool.query(`
-                SELECT c.email, c.first_name, cc.subject
-                FROM client_communications cc
-                JOIN clients c ON cc.client_id = c.id
-                WHERE cc.id = $1
-            `, [commId]);
+    if (entry.status === 'deleted') {
+        if (existing && await deleteBeneficiary(pool, existing.id)) {
+            logger.info('Client portal beneficiary removed', { clientId, beneficiaryId: existing.id });
+        }
+        return { syncStatus: 'synced' };
+    }
+    // Removed by staff, or copied on an earlier run that couldn't write back
+    if (existing && existing.status === 'deleted') {
+        return { status: 'deleted', syncStatus: 'synced' };
+    }
+    if (existing) {
+        return { syncStatus: 'synced', bankBeneficiaryId: existing.id, coolingOffUntil: existing.cooling_off_until.toISOString() };
+    }
 
-            if (clientQuery.rows.length > 0) {
-                const client = clientQuery.rows[0];
-                
-                // Send email notification to client
-                try {
-                    await emailTransporter.sendMail({
-                        from: CONFIG.email.user,
-                        to: client.email,
-                        subject: `Re: ${client.subject}`,
-                        html: `
-                            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                                <div style="background: linear-gradient(135deg, #800020, #DC143C); padding: 20px; text-align: center;">
-                                    <h1 style="color: white; margin: 0;">Alhambra Bank & Trust</h1>
-                                </div>
-                                <div style="padding: 20px; background: #f9f9f9;">
-                                    <p>Dear ${client.first_name},</p>
-                                    <p>Thank you for contacting us. Here is our response to your inquiry:</p>
-                                    <div style="background: white; padding: 15px; border-left: 4px solid #800020; margin: 20px 0;">
-                                        ${reply.replace(/\n/g, '<br>')}
-                                    </div>
-                                    <p>If you have any additional questions, please don't hesitate to contact us.</p>
-                                    <p>Best regards,<br>Alhambra Bank & Trust Customer Service</p>
-                                </div>
-                            </div>
-                        `
-                    });
-                } catch (emailError) {
-                    logger.error('Error sending email notification:', emailError);
-                }
-            }
+    const errors = validateBeneficiary(entry);
+    if (Object.keys(errors).length > 0) {
+        return { syncStatus: 'rejected', syncError: Object.values(errors).join('; ') };
+    }
 
-            res.json({
-                success: true,
-                message: 'Reply sent successfully'
-            });
-        } catch (error) {
+    try {
+        const saved = await insertBeneficiary(pool, {
+            clientId,
+            beneficiary: normalizeBeneficiary(entry),
+            createdBy: null,
+            createdAt: new Date(entry.createdAt),
+            portalBeneficiaryId: entry.beneficiaryId
+        });
+        logger.info('Client portal beneficiary added', { clientId, beneficiaryId: saved.id });
+        return { syncStatus: 'synced', bankBeneficiaryId: saved.id, coolingOffUntil: saved.cooling_off_until.toISOString() };
+    } catch (error) {
+        // idx_beneficiaries_nickname
+        if (error.code === '23505') {
+            return { syncStatus: 'rejected', syncError: 'You already have a beneficiary with this nickname' };
+        }
+        throw error;
+    }
+};
+
+// Copies the beneficiaries clients added or removed in the client portal since the last run
+const syncClientPortalBeneficiaries = async () => {
+    let lastKey;
+    try {
+        do {
+            const pendingQuery = await dynamodb.query({
+                TableName: CONFIG.clientPortal.beneficiariesTable,
+                IndexName: 'SyncStatusIndex',
+                KeyConditionExpression: 'syncStatus = :pending',
+                ExpressionAttributeValues: { ':pending': 'pending' },
+                ExclusiveStartKey: lastKey
+            }).promise();
+
+            for (const entry of pendingQuery.Items) {
+                try {
+                    const changes = await applyPortalBeneficiary(entry);
+                    // The client may have removed the entry meanwhile; keep it pending for the next run, which
+                    // removes it here too, but record what was copied
+                    const applied = await updatePortalBeneficiary(entry.clientEmail, entry.beneficiaryId, changes, entry.status);
+                    if (!applied && changes.bankBeneficiaryId) {
+                        const { bankBeneficiaryId, coolingOffUntil } = changes;
+                        await updatePortalBeneficiary(entry.clientEmail, entry.beneficiaryId, { bankBeneficiaryId, coolingOffUntil });
+                    }
+                } catch (error) {
+                    logger.error('Error copying client portal beneficiary:', { beneficiaryId: entry.beneficiaryId, error: error.message });
+                }
+            }
+            lastKey = pendingQuery.LastEvaluatedKey;
+        } while (lastKey);
+    } catch (error) {
+        logger.error('Error syncing client portal beneficiaries:', error);
+    }
+};
+
+// ============================================================================
+// FUND TRANSFER MANAGEMENT ROUTES
+// ============================================================================
+
+// Approval policy from src/lib/transferApprovals.js, with the transfer_approval_policy setting applied
+const loadTransferApprovalPolicy = async (db) => {
+    const settingQuery = await db.query(
+        "SELECT setting_value FROM system_settings WHERE setting_key = 'transfer_approval_policy'"
+    );
+    return mergeTransferApprovalPolicy(settingQuery.rows.length > 0 ? settingQuery.rows[0].setting_value : null);
+};
+
+// The approvals a transfer needs: fixed when its first level is signed, from the current policy until then
+const getTransferRequiredApprovals = (transfer, policy) => transfer.required_approvals || getRequiredApprovals({
+    amount: transfer.amount,
+    amountUsd: transfer.amount_usd,
+    currency: transfer.currency,
+    transferType: transfer.transfer_type,
+    clientRiskRating: transfer.aml_risk_rating
+}, policy);
+
+// AML risk ratings by email. They are kept with the clients' KYC in the onboarding database, where
+// server/services/amlRiskRating.js writes them; email is unique in both databases. Clients it doesn't know are unrated.
+const loadAmlRiskRatings = async (emails) => {
+    const ratingQuery = await onboardingPool.query(
+        'SELECT lower(email) AS email, aml_risk_rating FROM clients WHERE lower(email) = ANY($1)',
+        [emails.map((email) => email.toLowerCase())]
+    );
+    return new Map(ratingQuery.rows.map((row) => [row.email, row.aml_risk_rating]));
+};
+
+const loadSystemSetting = async (db, key, fallback) => {
+    const settingQuery = await db.query('SELECT setting_value FROM system_settings WHERE setting_key = $1', [key]);
+    return settingQuery.rows.length > 0 ? settingQuery.rows[0].setting_value : fallback;
+};
+
+// Cut-off times and calendars from src/lib/transferCalendar.js, with the transfer_cutoffs setting applied
+const loadTransferCutoffConfig = async (db) => mergeTransferCutoffConfig(await loadSystemSetting(db, 'transfer_cutoffs', null));
+
+// Closures added in bank_holidays, from last year on so transfers around New Year see both years
+const loadExtraHolidays = async (db) => {
+    const holidaysQuery = await db.query(`
+        SELECT calendar, holiday_date::text AS holiday_date, name
+        FROM bank_holidays
+        WHERE holiday_date >= date_trunc('year', NOW()) - INTERVAL '1 year'
+    `);
+    return holidaysQuery.rows;
+};
+
+// A transfer's amount in USD, the currency limits are set in. Transfers entered before amounts were
+// quoted in USD count at face value.
+const TRANSFER_USD_AMOUNT_SQL = 'COALESCE(ft.amount_usd, ft.amount)';
+
+// Current mid-market rates, in units per USD by currency
+const loadFxRates = async (db) => {
+    const ratesQuery = await db.query(`
+        SELECT DISTINCT ON (currency) currency, units_per_usd
+        FROM fx_rates
+        WHERE effective_at <= NOW()
+        ORDER BY currency, effective_at DESC
+    `);
+    return Object.fromEntries(ratesQuery.rows.map((row) => [row.currency, Number(row.units_per_usd)]));
+};
+
+// FX spread from src/lib/fx.js, with the fx_spread setting applied
+const loadFxSpreadConfig = async (db) => mergeFxSpreadConfig(await loadSystemSetting(db, 'fx_spread', null));
+
+/**
+ * A client's daily and monthly limits and what they have already used, for the day and month a transfer goes out.
+ * Rejected, cancelled and failed transfers don't count. The client-wide limit comes from transfer_limits or,
+ * without a row, the transfer_daily_limit and transfer_monthly_limit settings; an account row adds a
+ * limit for transfers from that account.
+ * @returns {Promise<{ scope: string, account_id: number|null, period: string, limit: number, used: number }[]>}
+ */
+const getTransferLimitUsage = async (db, clientId, executionDate, accountId = null) => {
+    const limitsQuery = await db.query(
+        'SELECT account_id, daily_limit, monthly_limit FROM transfer_limits WHERE client_id = $1 AND (account_id IS NULL OR account_id = $2)',
+        [clientId, accountId]
+    );
+    const clientLimits = limitsQuery.rows.find((row) => row.account_id === null) || {
+        daily_limit: await loadSystemSetting(db, 'transfer_daily_limit', null),
+        monthly_limit: await loadSystemSetting(db, 'transfer_monthly_limit', null)
+    };
+    const accountLimits = limitsQuery.rows.find((row) => row.account_id !== null);
+
+    const usageQuery = await db.query(`
+        SELECT
+            COALESCE(SUM(${TRANSFER_USD_AMOUNT_SQL}) FILTER (WHERE COALESCE(ft.execution_date, ft.request_date::date) = $2::date), 0) AS client_daily,
+            COALESCE(SUM(${TRANSFER_USD_AMOUNT_SQL}), 0) AS client_monthly,
+            COALESCE(SUM(${TRANSFER_USD_AMOUNT_SQL}) FILTER (WHERE COALESCE(ft.execution_date, ft.request_date::date) = $2::date AND ft.from_account_id = $3), 0) AS account_daily,
+            COALESCE(SUM(${TRANSFER_USD_AMOUNT_SQL}) FILTER (WHERE ft.from_account_id = $3), 0) AS account_monthly
+        FROM fund_transfers ft
+        WHERE ft.client_id = $1
+          AND ft.status NOT IN ('rejected', 'cancelled', 'failed')
+          AND date_trunc('month', COALESCE(ft.execution_date, ft.request_date::date)) = date_trunc('month', $2::date)
+    `, [clientId, executionDate, accountId]);
+    const usage = usageQuery.rows[0];
+
+    const limits = [];
+    const addLimits = (scope, row) => {
+        ['daily', 'monthly'].forEach((period) => {
+            if (row[`${period}_limit`] !== null && row[`${period}_limit`] !== undefined) {
+                limits.push({
+                    scope,
+                    account_id: scope === 'account' ? accountId : null,
+                    period,
+                    limit: Number(row[`${period}_limit`]),
+                    used: Number(usage[`${scope}_${period}`])
+                });
+            }
+        });
+    };
+    addLimits('client', clientLimits);
+    if (accountLimits) {
+        addLimits('account', accountLimits);
+    }
+    return limits;
+};
+
+/**
+ * Enters a wire to one of a client's saved beneficiaries, dated to the business day it goes out and checked
+ * against the client's limits. Run it in a transaction: it locks the client so two transfers entered at
+ * once can't both fit under a limit that has room for only one.
+ * @param {Object} db - a pool client inside BEGIN
+ * @param {Object} transfer - clientId, beneficiaryId, fromAccountId, amount, currency, chargeBearer, purpose,
+ *   notes, scheduledDate (YYYY-MM-DD) and recurringTransferId. A transfer in another currency than the
+ *   debit account's is quoted at the current rate sheet and spread (src/lib/fx.js).
+ * @param {number} adminId - the maker
+ * @returns {Promise<Object>} { transfer, beneficiary, execution, quote }, or { rejected: { status, error, code?, details? } }
+ */
+const enterFundTransfer = async (db, transfer, adminId) => {
+    const {
+        clientId, beneficiaryId, fromAccountId, amount, currency,
+        chargeBearer = 'SHA', purpose, notes, scheduledDate, recurringTransferId
+    } = transfer;
+
+    const clientQuery = await db.query('SELECT id FROM clients WHERE id = $1 FOR UPDATE', [clientId]);
+    if (clientQuery.rows.length === 0) {
+        return { rejected: { status: 404, error: 'Client not found' } };
+    }
+    const beneficiaryQuery = await db.query(
+        "SELECT * FROM beneficiaries WHERE id = $1 AND client_id = $2 AND status = 'active'",
+        [beneficiaryId, clientId]
+    );
+    if (beneficiaryQuery.rows.length === 0) {
+        return { rejected: { status: 404, error: 'Beneficiary not found in this client\'s address book' } };
+    }
+    const accountQuery = await db.query(
+        "SELECT account_number, currency FROM accounts WHERE id = $1 AND client_id = $2 AND status = 'active'",
+        [fromAccountId, clientId]
+    );
+    if (accountQuery.rows.length === 0) {
+        return { rejected: { status: 404, error: 'Debit account not found or not active' } };
+    }
+
+    const debitCurrency = accountQuery.rows[0].currency || 'USD';
+    const rates = await loadFxRates(db);
+    const missingRates = getMissingFxRates([currency, debitCurrency], rates);
+    if (missingRates.length > 0) {
+        return {
+            rejected: {
+                status: 422,
+                error: `No FX rate loaded for ${missingRates.join(', ')}`,
+                code: 'FX_RATE_UNAVAILABLE'
+            }
+        };
+    }
+    const quote = quoteFxConversion({ amount, currency, debitCurrency }, rates, await loadFxSpreadConfig(db));
+
+    const beneficiary = beneficiaryQuery.rows[0];
+    const transferType = getBeneficiaryTransferType(beneficiary);
+    const execution = getExecutionDate(
+        { transferType, currency, scheduledDate },
+        { config: await loadTransferCutoffConfig(db), extraHolidays: await loadExtraHolidays(db) }
+    );
+
+    const breaches = (await getTransferLimitUsage(db, clientId, execution.executionDate, fromAccountId))
+        .filter((limit) => limit.used + quote.amountUsd > limit.limit)
+        .map((limit) => ({ ...limit, available: Math.max(limit.limit - limit.used, 0) }));
+    if (breaches.length > 0) {
+        return {
+            rejected: {
+                status: 422,
+                error: 'Transfer exceeds the client\'s transfer limits',
+                code: 'TRANSFER_LIMIT_EXCEEDED',
+                details: breaches
+            }
+        };
+    }
+
+    const converted = debitCurrency !== currency;
+    const transferQuery = await db.query(`
+        INSERT INTO fund_transfers (
+            client_id, transfer_type, amount, currency, amount_usd, debit_currency, debit_amount, exchange_rate,
+            fx_mid_rate, fx_fee, fx_quoted_at, from_account, from_account_id, to_account,
+            routing_number, swift_code, beneficiary_id, beneficiary_name, beneficiary_address,
+            beneficiary_country, purpose, charge_bearer, notes, scheduled_date, execution_date,
+            recurring_transfer_id, created_by
+        ) VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21,
+            $22, $23, $24, $25, $26, $27
+        )
+        RETURNING id, reference_number, status, execution_date::text AS execution_date
+    `, [
+        clientId,
+        transferType,
+        amount,
+        currency,
+        quote.amountUsd,
+        debitCurrency,
+        quote.debitAmount,
+        converted ? quote.rate.toFixed(8) : null,
+        converted ? quote.midRate.toFixed(8) : null,
+        converted ? quote.fee : null,
+        converted ? new Date() : null,
+        accountQuery.rows[0].account_number,
+        fromAccountId,
+        beneficiary.account_number,
+        beneficiary.routing_number,
+        beneficiary.bic,
+        beneficiary.id,
+        beneficiary.name,
+        beneficiary.address,
+        beneficiary.country,
+        purpose || null,
+        chargeBearer,
+        notes || null,
+        scheduledDate ? execution.requestedDate : null,
+        execution.executionDate,
+        recurringTransferId || null,
+        adminId
+    ]);
+
+    return { transfer: transferQuery.rows[0], beneficiary, execution, quote };
+};
+
+/**
+ * Posts a journal entry and moves the balances of the ledger accounts it touches. Run it in a transaction.
+ * @param {Object} db - a pool client inside BEGIN
+ * @param {{ entryType: string, transferId?: number, description: string, lines: Object[] }} entry - lines carry
+ *   ledgerAccountId, accountType, currency, debit and credit
+ * @returns {Promise<number>} the journal entry id
+ */
+const postJournalEntry = async (db, { entryType, transferId = null, description, lines }, adminId) => {
+    const unbalanced = getUnbalancedCurrencies(lines);
+    if (unbalanced.length > 0) {
+        throw new Error(`Journal entry does not balance in ${unbalanced.join(', ')}`);
+    }
+
+    const entryQuery = await db.query(`
+        INSERT INTO journal_entries (entry_type, transfer_id, description, posted_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+    `, [entryType, transferId, description, adminId]);
+    const entryId = entryQuery.rows[0].id;
+
+    for (const line of lines) {
+        await db.query(`
+            INSERT INTO journal_lines (entry_id, ledger_account_id, currency, debit, credit)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [entryId, line.ledgerAccountId, line.currency, line.debit || 0, line.credit || 0]);
+        await db.query(`
+            INSERT INTO ledger_balances (ledger_account_id, currency, balance)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (ledger_account_id, currency)
+            DO UPDATE SET balance = ledger_balances.balance + $3, updated_at = NOW()
+        `, [line.ledgerAccountId, line.currency, getBalanceChange(line.accountType, line)]);
+    }
+    return entryId;
+};
+
+// The bank's own ledger accounts by system_code
+const loadInternalLedgerAccounts = async (db) => {
+    const accountsQuery = await db.query('SELECT id, account_type, system_code FROM ledger_accounts WHERE system_code IS NOT NULL');
+    return Object.fromEntries(accountsQuery.rows.map((row) => [row.system_code, row]));
+};
+
+/**
+ * The ledger account of a client account. It is opened the first time the account moves, with an entry that
+ * brings in the account's current balance against opening_balances.
+ */
+const getClientLedgerAccount = async (db, accountId, adminId) => {
+    const existingQuery = await db.query('SELECT id, account_type FROM ledger_accounts WHERE account_id = $1', [accountId]);
+    if (existingQuery.rows.length > 0) {
+        return existingQuery.rows[0];
+    }
+
+    const accountQuery = await db.query('SELECT account_number, currency, current_balance FROM accounts WHERE id = $1', [accountId]);
+    const account = accountQuery.rows[0];
+    const ledgerQuery = await db.query(`
+        INSERT INTO ledger_accounts (name, account_type, account_id)
+        VALUES ($1, 'liability', $2)
+        ON CONFLICT (account_id) DO NOTHING
+        RETURNING id, account_type
+    `, [`Client account ${account.account_number}`, accountId]);
+    if (ledgerQuery.rows.length === 0) {
+        // Opened by a transfer approved at the same moment, which brought the balance in
+        return (await db.query('SELECT id, account_type FROM ledger_accounts WHERE account_id = $1', [accountId])).rows[0];
+    }
+    const ledgerAccount = ledgerQuery.rows[0];
+
+    const balance = Number(account.current_balance || 0);
+    if (balance !== 0) {
+        const internal = await loadInternalLedgerAccounts(db);
+        const currency = account.currency || 'USD';
+        const amount = Math.abs(balance);
+        const clientSide = balance > 0 ? { debit: 0, credit: amount } : { debit: amount, credit: 0 };
+        await postJournalEntry(db, {
+            entryType: 'opening_balance',
+            description: `Opening balance of account ${account.account_number}`,
+            lines: [
+                { ledgerAccountId: ledgerAccount.id, accountType: ledgerAccount.account_type, currency, ...clientSide },
+                {
+                    ledgerAccountId: internal.opening_balances.id,
+                    accountType: internal.opening_balances.account_type,
+                    currency,
+                    debit: clientSide.credit,
+                    credit: clientSide.debit
+                }
+            ]
+        }, adminId);
+    }
+    return ledgerAccount;
+};
+
+/**
+ * Books an approved transfer: the debit account pays, through the FX position when the transfer is in
+ * another currency, into outgoing payments clearing, and any FX spread goes to FX income
+ * (src/lib/ledger.js buildTransferJournalLines). The account's current_balance moves with its ledger balance.
+ * An account without a currency is a USD account, as when the transfer was entered.
+ * @param {Object} db - a pool client inside BEGIN, holding the transfer's row lock
+ * @param {Object} transfer - fund_transfers row
+ * @returns {Promise<Object>} { rejected: { status, error, code } } when the account is no longer in the
+ *   currency the transfer debits; the caller rolls back
+ */
+const postTransferJournal = async (db, transfer, adminId) => {
+    const clientLedgerAccount = await getClientLedgerAccount(db, transfer.from_account_id, adminId);
+    const internal = await loadInternalLedgerAccounts(db);
+    const lines = buildTransferJournalLines(transfer).map((line) => {
+        const ledgerAccount = line.account === 'client' ? clientLedgerAccount : internal[line.account];
+        return { ...line, ledgerAccountId: ledgerAccount.id, accountType: ledgerAccount.account_type };
+    });
+
+    const clientLine = lines.find((line) => line.account === 'client');
+    const balanceQuery = await db.query(
+        "UPDATE accounts SET current_balance = current_balance - $1 WHERE id = $2 AND COALESCE(currency, 'USD') = $3",
+        [clientLine.debit, transfer.from_account_id, clientLine.currency]
+    );
+    if (balanceQuery.rowCount === 0) {
+        return {
+            rejected: {
+                status: 409,
+                error: `The debit account is not held in ${clientLine.currency}, the currency this transfer debits`,
+                code: 'DEBIT_ACCOUNT_CURRENCY_MISMATCH'
+            }
+        };
+    }
+
+    await postJournalEntry(db, {
+        entryType: 'transfer',
+        transferId: transfer.id,
+        description: `Fund transfer ${transfer.reference_number}`,
+        lines
+    }, adminId);
+    return {};
+};
+
+// Get fund transfers
+app.get('/admin/fund-transfers', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const { status = 'pending', page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const transfersQuery = await pool.query(`
+            SELECT 
+                ft.id,
+                ft.client_id,
+                c.first_name || ' ' || c.last_name as client_name,
+                c.email as client_email,
+                ft.transfer_type,
+                ft.amount,
+                ft.currency,
+                ft.amount_usd,
+                ft.from_account,
+                ft.to_account,
+                ft.reference_number,
+                ft.beneficiary_id,
+                ft.beneficiary_name,
+                ft.swift_code,
+                ft.routing_number,
+                b.cooling_off_until as beneficiary_cooling_off_until,
+                ft.execution_date::text as execution_date,
+                ft.recurring_transfer_id,
+                ft.debit_currency,
+                ft.debit_amount,
+                ft.exchange_rate,
+                ft.fx_mid_rate,
+                ft.fx_fee,
+                ft.status,
+                ft.request_date,
+                ft.processed_date,
+                ft.notes,
+                ft.reviewed_by,
+                ft.created_by,
+                ft.required_approvals,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                        'approval_level', ta.approval_level,
+                        'approver_id', ta.approver_id,
+                        'approver_name', au.full_name,
+                        'status', ta.status,
+                        'notes', ta.notes,
+                        'approved_at', ta.approved_at,
+                        'created_at', ta.created_at
+                    ) ORDER BY ta.approval_level)
+                    FROM transfer_approvals ta
+                    JOIN admin_users au ON ta.approver_id = au.id
+                    WHERE ta.transfer_id = ft.id
+                ), '[]') as approvals
+            FROM fund_transfers ft
+            JOIN clients c ON ft.client_id = c.id
+            LEFT JOIN beneficiaries b ON ft.beneficiary_id = b.id
+            WHERE ft.status = $1
+            ORDER BY ft.request_date DESC
+            LIMIT $2 OFFSET $3
+        `, [status, limit, offset]);
+
+        const policy = await loadTransferApprovalPolicy(pool);
+        const amlRiskRatings = await loadAmlRiskRatings(transfersQuery.rows.map((row) => row.client_email));
+        const transfers = transfersQuery.rows.map(({ required_approvals, approvals, ...row }) => {
+            const transfer = { ...row, aml_risk_rating: amlRiskRatings.get(row.client_email.toLowerCase()) || null };
+            const required = getTransferRequiredApprovals({ ...transfer, required_approvals }, policy);
+            const progress = getApprovalProgress(required, approvals);
+            const signedByAdmin = approvals.some((approval) => approval.approver_id === req.admin.id);
+
+            return {
+                ...transfer,
+                approval: {
+                    rule: required.rule,
+                    label: required.label,
+                    levels: progress.levels,
+                    next_level: progress.nextLevel ? progress.nextLevel.level : null
+                },
+                // Whether this admin may sign the next level: not the maker, not already signed, and in its roles
+                can_approve: transfer.status === 'pending'
+                    && progress.nextLevel !== null
+                    && transfer.created_by !== req.admin.id
+                    && !signedByAdmin
+                    && canSignApprovalLevel(req.admin.role, progress.nextLevel)
+            };
+        });
+
+        res.json({
+            success: true,
+            transfers
+        });
+    } catch (error) {
+        logger.error('Error fetching fund transfers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch fund transfers'
+        });
+    }
+});
+
+// Enter a wire for a client to one of their saved beneficiaries. The bank details are copied from the
+// beneficiary; the admin entering it is the maker and can't approve it. It goes out on scheduledDate, or
+// today, unless that is past the cut-off or not a business day, in which case it rolls to the next one.
+app.post('/admin/fund-transfers',
+    authenticateAdmin,
+    requirePermission('manage_transfers'),
+    [
+        body('clientId').isInt(),
+        body('beneficiaryId').isInt(),
+        body('fromAccountId').isInt(),
+        body('amount').isDecimal({ decimal_digits: '0,2' }),
+        body('currency').custom(isCurrencyCode),
+        body('chargeBearer').optional().isIn(['OUR', 'SHA', 'BEN']),
+        body('purpose').optional().isLength({ max: 140 }).trim(),
+        body('notes').optional().isLength({ max: 1000 }).trim(),
+        body('scheduledDate').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+        if (!(Number(req.body.amount) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Amount must be greater than zero'
+            });
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const entered = await enterFundTransfer(client, req.body, req.admin.id);
+            if (entered.rejected) {
+                await client.query('ROLLBACK');
+                const { status, ...rejection } = entered.rejected;
+                return res.status(status).json({
+                    success: false,
+                    ...rejection
+                });
+            }
+
+            const { transfer, beneficiary, execution, quote } = entered;
+            await client.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+                VALUES ($1, 'transfer_created', $2, $3)
+            `, [req.admin.id, `Fund transfer ${transfer.reference_number} to ${beneficiary.nickname} entered for ${execution.executionDate}`, req.body.clientId]);
+
+            await client.query('COMMIT');
+
+            res.status(201).json({
+                success: true,
+                transfer,
+                execution,
+                quote,
+                beneficiary_in_cooling_off: isInCoolingOff(beneficiary)
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error creating fund transfer:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create fund transfer'
+            });
+        } finally {
+            client.release();
+        }
+    }
+);
+
+// Sign the next approval level of a transfer, or reject it.
+// The policy in src/lib/transferApprovals.js sets the levels and the roles that may sign each one. The admin who
+// created the transfer may not act on it and nobody may sign twice; the transfer is approved once the last
+// level signs, and a rejection at any level rejects it.
+app.post('/admin/fund-transfers/:transferId/action',
+    authenticateAdmin,
+    requirePermission('manage_transfers'),
+    [
+        body('action').isIn(['approve', 'reject']),
+        body('notes').optional().isLength({ max: 1000 }).trim()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { transferId } = req.params;
+        const { action, notes } = req.body;
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Lock the transfer so two approvers can't sign the same level at once
+            const transferQuery = await client.query(`
+                SELECT ft.id, ft.client_id, ft.transfer_type, ft.amount, ft.currency, ft.amount_usd, ft.status,
+                       ft.reference_number, ft.from_account_id, ft.debit_currency, ft.debit_amount, ft.fx_fee,
+                       ft.created_by, ft.required_approvals, c.email AS client_email,
+                       ft.beneficiary_id, b.status AS beneficiary_status, b.cooling_off_until
+                FROM fund_transfers ft
+                JOIN clients c ON ft.client_id = c.id
+                LEFT JOIN beneficiaries b ON ft.beneficiary_id = b.id
+                WHERE ft.id = $1
+                FOR UPDATE OF ft
+            `, [transferId]);
+            if (transferQuery.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    success: false,
+                    error: 'Fund transfer not found'
+                });
+            }
+
+            const transfer = transferQuery.rows[0];
+            if (transfer.status !== 'pending') {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    success: false,
+                    error: `Fund transfer is already ${transfer.status}`,
+                    code: 'TRANSFER_NOT_PENDING'
+                });
+            }
+            if (transfer.created_by === req.admin.id) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({
+                    success: false,
+                    error: 'You cannot approve or reject a transfer you created.',
+                    code: 'TRANSFER_MAKER_CHECKER'
+                });
+            }
+
+            // Wires only go to saved, validated beneficiaries that are past their cooling-off period
+            if (action === 'approve' && wireTransferTypes.includes(transfer.transfer_type)) {
+                if (!transfer.beneficiary_id || transfer.beneficiary_status !== 'active') {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Wires can only be approved to a saved beneficiary in the client\'s address book.',
+                        code: 'BENEFICIARY_REQUIRED'
+                    });
+                }
+                if (isInCoolingOff(transfer)) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        success: false,
+                        error: `The beneficiary was added recently and can't be paid before ${new Date(transfer.cooling_off_until).toISOString()}.`,
+                        code: 'BENEFICIARY_COOLING_OFF',
+                        cooling_off_until: transfer.cooling_off_until
+                    });
+                }
+            }
+
+            const approvalsQuery = await client.query(
+                'SELECT approval_level, approver_id, status FROM transfer_approvals WHERE transfer_id = $1',
+                [transferId]
+            );
+            if (approvalsQuery.rows.some((approval) => approval.approver_id === req.admin.id)) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    success: false,
+                    error: 'You have already signed this transfer; another approver must sign the next level.',
+                    code: 'TRANSFER_ALREADY_SIGNED'
+                });
+            }
+
+            const amlRiskRatings = await loadAmlRiskRatings([transfer.client_email]);
+            transfer.aml_risk_rating = amlRiskRatings.get(transfer.client_email.toLowerCase()) || null;
+            const required = getTransferRequiredApprovals(transfer, await loadTransferApprovalPolicy(client));
+            const { nextLevel } = getApprovalProgress(required, approvalsQuery.rows);
+            if (!canSignApprovalLevel(req.admin.role, nextLevel)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({
+                    success: false,
+                    error: `Your role cannot sign approval level ${nextLevel.level} of this transfer.`,
+                    code: 'TRANSFER_APPROVAL_ROLE_REQUIRED',
+                    required: nextLevel.roles
+                });
+            }
+
+            await client.query(`
+                INSERT INTO transfer_approvals (transfer_id, approver_id, approval_level, status, notes, approved_at)
+                VALUES ($1, $2, $3, $4, $5, CASE WHEN $4 = 'approved' THEN NOW() END)
+            `, [transferId, req.admin.id, nextLevel.level, action === 'approve' ? 'approved' : 'rejected', notes || null]);
+
+            // Later levels keep the policy the first signature was given under
+            if (!transfer.required_approvals) {
+                await client.query(
+                    'UPDATE fund_transfers SET required_approvals = $1 WHERE id = $2',
+                    [JSON.stringify(required), transferId]
+                );
+            }
+
+            const finalLevel = nextLevel.level === required.levels.length;
+            const status = action === 'reject' ? 'rejected' : finalLevel ? 'approved' : 'pending';
+            let description;
+            if (status !== 'pending') {
+                await client.query(`
+                    UPDATE fund_transfers 
+                    SET 
+                        status = $1,
+                        notes = COALESCE($2, notes),
+                        reviewed_by = $3,
+                        processed_date = NOW()
+                    WHERE id = $4
+                `, [status, notes || null, req.admin.id, transferId]);
+                description = `Fund transfer ${status} at approval level ${nextLevel.level} of ${required.levels.length}`;
+
+                // Transfers entered before the ledger have no debit account id and are not booked
+                if (status === 'approved' && transfer.from_account_id) {
+                    const journal = await postTransferJournal(client, transfer, req.admin.id);
+                    if (journal.rejected) {
+                        await client.query('ROLLBACK');
+                        const { status: httpStatus, ...rejection } = journal.rejected;
+                        return res.status(httpStatus).json({
+                            success: false,
+                            ...rejection
+                        });
+                    }
+                }
+            } else {
+                description = `Fund transfer approval level ${nextLevel.level} of ${required.levels.length} signed`;
+            }
+
+            // Log activity
+            await client.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+                VALUES ($1, 'transfer_action', $2, $3)
+            `, [req.admin.id, description, transfer.client_id]);
+
+            await client.query('COMMIT');
+
+            // An approved wire goes straight out as a payment instruction
+            if (status === 'approved' && wireTransferTypes.includes(transfer.transfer_type)) {
+                try {
+                    const messages = await generatePaymentMessages(transferId, req.admin.id);
+                    const outbound = messages.find((message) => message.message_type === CONFIG.payments.sendFormat);
+                    if (outbound && outbound.status === 'generated') {
+                        await sendPaymentMessage(outbound);
+                    }
+                } catch (error) {
+                    logger.error(`Error generating payment messages for transfer ${transferId}:`, error);
+                }
+            }
+
+            res.json({
+                success: true,
+                message: description,
+                status
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error processing fund transfer action:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to process fund transfer action'
+            });
+        } finally {
+            client.release();
+        }
+    }
+);
+
+// ============================================================================
+// TRANSFER LIMIT, HOLIDAY AND RECURRING TRANSFER ROUTES
+// ============================================================================
+
+// A client's transfer limits and what they have used today and this month
+app.get('/admin/clients/:clientId/transfer-limits', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const config = await loadTransferCutoffConfig(pool);
+        const today = getLocalDateTime(new Date(), config.timeZone).date;
+
+        const limitsQuery = await pool.query(`
+            SELECT tl.account_id, a.account_number, tl.daily_limit, tl.monthly_limit, tl.updated_at,
+                   au.full_name as updated_by_name
+            FROM transfer_limits tl
+            LEFT JOIN accounts a ON tl.account_id = a.id
+            LEFT JOIN admin_users au ON tl.updated_by = au.id
+            WHERE tl.client_id = $1
+            ORDER BY tl.account_id NULLS FIRST
+        `, [clientId]);
+
+        const usage = await getTransferLimitUsage(pool, clientId, today);
+        for (const row of limitsQuery.rows.filter((limit) => limit.account_id !== null)) {
+            const accountUsage = await getTransferLimitUsage(pool, clientId, today, row.account_id);
+            usage.push(...accountUsage.filter((limit) => limit.scope === 'account'));
+        }
+
+        res.json({
+            success: true,
+            limits: limitsQuery.rows,
+            uses_default_limits: !limitsQuery.rows.some((row) => row.account_id === null),
+            date: today,
+            usage
+        });
+    } catch (error) {
+        logger.error('Error fetching transfer limits:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch transfer limits'
+        });
+    }
+});
+
+// Set a client's limits, or an account's when accountId is given. Limits are in USD; null removes one.
+app.put('/admin/clients/:clientId/transfer-limits',
+    authenticateAdmin,
+    requirePermission('manage_settings'),
+    [
+        body('accountId').optional({ nullable: true }).isInt(),
+        body('dailyLimit').optional({ nullable: true }).isDecimal({ decimal_digits: '0,2' }),
+        body('monthlyLimit').optional({ nullable: true }).isDecimal({ decimal_digits: '0,2' })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const { clientId } = req.params;
+            const { accountId = null, dailyLimit = null, monthlyLimit = null } = req.body;
+            if (dailyLimit !== null && monthlyLimit !== null && Number(dailyLimit) > Number(monthlyLimit)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'The daily limit can\'t be higher than the monthly limit'
+                });
+            }
+
+            const ownerQuery = accountId === null
+                ? await pool.query('SELECT id FROM clients WHERE id = $1', [clientId])
+                : await pool.query('SELECT id FROM accounts WHERE id = $1 AND client_id = $2', [accountId, clientId]);
+            if (ownerQuery.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: accountId === null ? 'Client not found' : 'Account not found for this client'
+                });
+            }
+
+            const limitQuery = await pool.query(`
+                INSERT INTO transfer_limits (client_id, account_id, daily_limit, monthly_limit, updated_by)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (client_id, COALESCE(account_id, 0))
+                DO UPDATE SET
+                    daily_limit = $3,
+                    monthly_limit = $4,
+                    updated_by = $5,
+                    updated_at = NOW()
+                RETURNING account_id, daily_limit, monthly_limit, updated_at
+            `, [clientId, accountId, dailyLimit, monthlyLimit, req.admin.id]);
+
+            await pool.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+                VALUES ($1, 'transfer_limits_updated', $2, $3)
+            `, [
+                req.admin.id,
+                `Transfer limits ${accountId === null ? '' : `for account ${accountId} `}set to ${dailyLimit ?? 'none'} daily, ${monthlyLimit ?? 'none'} monthly`,
+                clientId
+            ]);
+
+            res.json({
+                success: true,
+                limit: limitQuery.rows[0]
+            });
+        } catch (error) {
+            logger.error('Error updating transfer limits:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update transfer limits'
+            });
+        }
+    }
+);
+
+// Holidays of each payment calendar in a year: the built-in ones and those added in bank_holidays
+app.get('/admin/bank-holidays', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const year = parseInt(req.query.year) || new Date().getUTCFullYear();
+        const holidaysQuery = await pool.query(`
+            SELECT id, calendar, holiday_date::text AS holiday_date, name
+            FROM bank_holidays
+            WHERE EXTRACT(YEAR FROM holiday_date) = $1
+        `, [year]);
+
+        const holidays = holidayCalendars.flatMap((calendar) => getHolidays(calendar, year, holidaysQuery.rows)
+            .map((holiday) => {
+                const added = holidaysQuery.rows.find((row) => row.calendar === calendar && row.holiday_date === holiday.date);
+                return { calendar, ...holiday, id: added ? added.id : null };
+            }));
+
+        res.json({
+            success: true,
+            year,
+            calendars: holidayCalendars,
+            holidays
+        });
+    } catch (error) {
+        logger.error('Error fetching bank holidays:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch bank holidays'
+        });
+    }
+});
+
+// Add a closure the built-in calendars don't know about, such as a national day of mourning
+app.post('/admin/bank-holidays',
+    authenticateAdmin,
+    requirePermission('manage_settings'),
+    [
+        body('calendar').isIn(holidayCalendars),
+        body('date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+        body('name').isLength({ min: 1, max: 100 }).trim()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const { calendar, date, name } = req.body;
+            const holidayQuery = await pool.query(`
+                INSERT INTO bank_holidays (calendar, holiday_date, name, created_by)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (calendar, holiday_date) DO NOTHING
+                RETURNING id, calendar, holiday_date::text AS holiday_date, name
+            `, [calendar, date, name, req.admin.id]);
+            if (holidayQuery.rows.length === 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'This calendar already has a holiday on that date'
+                });
+            }
+
+            await pool.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description)
+                VALUES ($1, 'bank_holiday_added', $2)
+            `, [req.admin.id, `${calendar} holiday ${name} added on ${date}`]);
+
+            res.status(201).json({
+                success: true,
+                holiday: holidayQuery.rows[0]
+            });
+        } catch (error) {
+            logger.error('Error adding bank holiday:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to add bank holiday'
+            });
+        }
+    }
+);
+
+// Remove an added holiday. Transfers already dated around it keep their execution date.
+app.delete('/admin/bank-holidays/:holidayId', authenticateAdmin, requirePermission('manage_settings'), async (req, res) => {
+    try {
+        const holidayQuery = await pool.query(
+            'DELETE FROM bank_holidays WHERE id = $1 RETURNING calendar, holiday_date::text AS holiday_date, name',
+            [req.params.holidayId]
+        );
+        if (holidayQuery.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Bank holiday not found'
+            });
+        }
+
+        const { calendar, holiday_date: date, name } = holidayQuery.rows[0];
+        await pool.query(`
+            INSERT INTO admin_activities (admin_id, activity_type, description)
+            VALUES ($1, 'bank_holiday_removed', $2)
+        `, [req.admin.id, `${calendar} holiday ${name} on ${date} removed`]);
+
+        res.json({
+            success: true,
+            message: 'Bank holiday removed'
+        });
+    } catch (error) {
+        logger.error('Error removing bank holiday:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove bank holiday'
+        });
+    }
+});
+
+const RECURRING_TRANSFER_COLUMNS = `
+    rt.id, rt.client_id, rt.beneficiary_id, b.nickname as beneficiary_nickname, rt.from_account_id,
+    rt.amount, rt.currency, rt.charge_bearer, rt.purpose, rt.frequency, rt.day_of_month,
+    rt.start_date::text as start_date, rt.end_date::text as end_date, rt.next_run_date::text as next_run_date,
+    rt.status, rt.last_run_at, rt.last_error, rt.created_by, rt.created_at, rt.updated_at
+`;
+
+// The occurrence after `date`, or null when that is past the schedule's end date
+const advanceRecurringTransfer = (schedule, date) => {
+    const next = getNextRunDate(schedule, date);
+    return schedule.end_date && next > schedule.end_date ? null : next;
+};
+
+app.get('/admin/clients/:clientId/recurring-transfers', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const schedulesQuery = await pool.query(`
+            SELECT ${RECURRING_TRANSFER_COLUMNS},
+                   (SELECT COUNT(*) FROM fund_transfers ft WHERE ft.recurring_transfer_id = rt.id) as transfers_entered
+            FROM recurring_transfers rt
+            JOIN beneficiaries b ON rt.beneficiary_id = b.id
+            WHERE rt.client_id = $1
+            ORDER BY rt.status = 'active' DESC, rt.next_run_date, rt.created_at DESC
+        `, [req.params.clientId]);
+
+        res.json({
+            success: true,
+            recurring_transfers: schedulesQuery.rows
+        });
+    } catch (error) {
+        logger.error('Error fetching recurring transfers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch recurring transfers'
+        });
+    }
+});
+
+// Set up a monthly or quarterly transfer to a saved beneficiary. Each occurrence is entered as a fund
+// transfer recurring_transfer_lead_days ahead of its date, at that day's FX rates, and needs approval like
+// any other; the admin who sets up the schedule is the maker of every transfer it enters.
+app.post('/admin/recurring-transfers',
+    authenticateAdmin,
+    requirePermission('manage_transfers'),
+    [
+        body('clientId').isInt(),
+        body('beneficiaryId').isInt(),
+        body('fromAccountId').isInt(),
+        body('amount').isDecimal({ decimal_digits: '0,2' }),
+        body('currency').custom(isCurrencyCode),
+        body('chargeBearer').optional().isIn(['OUR', 'SHA', 'BEN']),
+        body('purpose').optional().isLength({ max: 140 }).trim(),
+        body('frequency').isIn(recurringTransferFrequencies),
+        body('dayOfMonth').optional().isInt({ min: 1, max: 31 }),
+        body('startDate').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+        body('endDate').optional({ nullable: true }).isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const {
+                clientId, beneficiaryId, fromAccountId, amount, currency, chargeBearer = 'SHA',
+                purpose, frequency, startDate, endDate = null
+            } = req.body;
+            const dayOfMonth = req.body.dayOfMonth ? Number(req.body.dayOfMonth) : Number(startDate.slice(8, 10));
+            if (!(Number(amount) > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Amount must be greater than zero'
+                });
+            }
+            const config = await loadTransferCutoffConfig(pool);
+            const today = getLocalDateTime(new Date(), config.timeZone).date;
+            const nextRunDate = getFirstRunDate({ frequency, day_of_month: dayOfMonth }, startDate > today ? startDate : today);
+            if (endDate && endDate < nextRunDate) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'The end date is before the first transfer'
+                });
+            }
+
+            const beneficiaryQuery = await pool.query(
+                "SELECT nickname FROM beneficiaries WHERE id = $1 AND client_id = $2 AND status = 'active'",
+                [beneficiaryId, clientId]
+            );
+            if (beneficiaryQuery.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Beneficiary not found in this client\'s address book'
+                });
+            }
+            const accountQuery = await pool.query(
+                "SELECT id FROM accounts WHERE id = $1 AND client_id = $2 AND status = 'active'",
+                [fromAccountId, clientId]
+            );
+            if (accountQuery.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Debit account not found or not active'
+                });
+            }
+
+            const scheduleQuery = await pool.query(`
+                INSERT INTO recurring_transfers (
+                    client_id, beneficiary_id, from_account_id, amount, currency, charge_bearer,
+                    purpose, frequency, day_of_month, start_date, end_date, next_run_date, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                RETURNING id, next_run_date::text AS next_run_date
+            `, [
+                clientId,
+                beneficiaryId,
+                fromAccountId,
+                amount,
+                currency,
+                chargeBearer,
+                purpose || null,
+                frequency,
+                dayOfMonth,
+                startDate,
+                endDate,
+                nextRunDate,
+                req.admin.id
+            ]);
+
+            await pool.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+                VALUES ($1, 'recurring_transfer_created', $2, $3)
+            `, [
+                req.admin.id,
+                `${frequency} transfer of ${amount} ${currency} to ${beneficiaryQuery.rows[0].nickname} set up from ${nextRunDate}`,
+                clientId
+            ]);
+
+            res.status(201).json({
+                success: true,
+                recurring_transfer: scheduleQuery.rows[0]
+            });
+        } catch (error) {
+            logger.error('Error creating recurring transfer:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create recurring transfer'
+            });
+        }
+    }
+);
+
+// Skip the next occurrence, pause or resume the schedule, or cancel it. Transfers it has already entered
+// are left alone; reject them like any other transfer.
+app.post('/admin/recurring-transfers/:scheduleId/action',
+    authenticateAdmin,
+    requirePermission('manage_transfers'),
+    [
+        body('action').isIn(['skip', 'pause', 'resume', 'cancel'])
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { scheduleId } = req.params;
+        const { action } = req.body;
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Lock the schedule so the daily job can't enter the occurrence being skipped
+            const scheduleQuery = await client.query(`
+                SELECT id, client_id, frequency, day_of_month, end_date::text as end_date,
+                       next_run_date::text as next_run_date, status
+                FROM recurring_transfers
+                WHERE id = $1
+                FOR UPDATE
+            `, [scheduleId]);
+            if (scheduleQuery.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recurring transfer not found'
+                });
+            }
+
+            const schedule = scheduleQuery.rows[0];
+            const allowedFrom = { skip: ['active', 'paused'], pause: ['active'], resume: ['paused'], cancel: ['active', 'paused'] };
+            if (!allowedFrom[action].includes(schedule.status)) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    success: false,
+                    error: `A ${schedule.status} recurring transfer can't be changed with ${action}`,
+                    code: 'RECURRING_TRANSFER_STATUS'
+                });
+            }
+
+            let { status, next_run_date: nextRunDate } = schedule;
+            if (action === 'skip') {
+                nextRunDate = advanceRecurringTransfer(schedule, nextRunDate);
+            } else if (action === 'pause') {
+                status = 'paused';
+            } else if (action === 'resume') {
+                // Occurrences that fell due while paused are not made up
+                const config = await loadTransferCutoffConfig(client);
+                const today = getLocalDateTime(new Date(), config.timeZone).date;
+                status = 'active';
+                while (nextRunDate && nextRunDate < today) {
+                    nextRunDate = advanceRecurringTransfer(schedule, nextRunDate);
+                }
+            } else {
+                status = 'cancelled';
+                nextRunDate = null;
+            }
+            if (!nextRunDate && status !== 'cancelled') {
+                status = 'completed';
+            }
+
+            await client.query(`
+                UPDATE recurring_transfers
+                SET status = $1, next_run_date = $2, updated_at = NOW()
+                WHERE id = $3
+            `, [status, nextRunDate, scheduleId]);
+
+            const descriptions = {
+                skip: `Recurring transfer ${scheduleId}: ${schedule.next_run_date} skipped`,
+                pause: `Recurring transfer ${scheduleId} paused`,
+                resume: `Recurring transfer ${scheduleId} resumed`,
+                cancel: `Recurring transfer ${scheduleId} cancelled`
+            };
+            await client.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+                VALUES ($1, 'recurring_transfer_action', $2, $3)
+            `, [req.admin.id, descriptions[action], schedule.client_id]);
+
+            await client.query('COMMIT');
+
+            res.json({
+                success: true,
+                status,
+                next_run_date: nextRunDate
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error processing recurring transfer action:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to process recurring transfer action'
+            });
+        } finally {
+            client.release();
+        }
+    }
+);
+
+/**
+ * Enters the fund transfers of recurring schedules falling due within recurring_transfer_lead_days, then
+ * moves each schedule on to its next date. An occurrence that can't be entered (over a limit, beneficiary
+ * removed) is recorded in last_error and tried again on the next run until it is entered or skipped.
+ * @returns {Promise<{ entered: number, failed: number }>}
+ */
+const runRecurringTransfers = async () => {
+    const config = await loadTransferCutoffConfig(pool);
+    const leadDays = Number(await loadSystemSetting(pool, 'recurring_transfer_lead_days', 2));
+    const horizon = addDays(getLocalDateTime(new Date(), config.timeZone).date, leadDays);
+
+    const dueQuery = await pool.query(
+        "SELECT id FROM recurring_transfers WHERE status = 'active' AND next_run_date <= $1 ORDER BY next_run_date",
+        [horizon]
+    );
+
+    let entered = 0;
+    let failed = 0;
+    for (const { id } of dueQuery.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const scheduleQuery = await client.query(`
+                SELECT *, end_date::text as end_date, next_run_date::text as next_run_date
+                FROM recurring_transfers
+                WHERE id = $1 AND status = 'active' AND next_run_date <= $2
+                FOR UPDATE
+            `, [id, horizon]);
+            if (scheduleQuery.rows.length === 0) {
+                // Skipped, paused or cancelled since the due list was read
+                await client.query('ROLLBACK');
+                continue;
+            }
+
+            const schedule = scheduleQuery.rows[0];
+            const result = await enterFundTransfer(client, {
+                clientId: schedule.client_id,
+                beneficiaryId: schedule.beneficiary_id,
+                fromAccountId: schedule.from_account_id,
+                amount: schedule.amount,
+                currency: schedule.currency,
+                chargeBearer: schedule.charge_bearer,
+                purpose: schedule.purpose,
+                notes: `Recurring transfer for ${schedule.next_run_date}`,
+                scheduledDate: schedule.next_run_date,
+                recurringTransferId: schedule.id
+            }, schedule.created_by);
+
+            if (result.rejected) {
+                await client.query('ROLLBACK');
+                await pool.query(
+                    'UPDATE recurring_transfers SET last_error = $1, updated_at = NOW() WHERE id = $2',
+                    [result.rejected.error, id]
+                );
+                failed++;
+                continue;
+            }
+
+            const nextRunDate = advanceRecurringTransfer(schedule, schedule.next_run_date);
+            await client.query(`
+                UPDATE recurring_transfers
+                SET next_run_date = $1, status = $2, last_run_at = NOW(), last_error = NULL, updated_at = NOW()
+                WHERE id = $3
+            `, [nextRunDate, nextRunDate ? 'active' : 'completed', id]);
+
+            await client.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+                VALUES ($1, 'transfer_created', $2, $3)
+            `, [
+                schedule.created_by,
+                `Fund transfer ${result.transfer.reference_number} entered by recurring transfer ${id} for ${result.execution.executionDate}`,
+                schedule.client_id
+            ]);
+
+            await client.query('COMMIT');
+            entered++;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error(`Error entering recurring transfer ${id}:`, error);
+            failed++;
+        } finally {
+            client.release();
+        }
+    }
+
+    logger.info('Recurring transfers run complete', { entered, failed });
+    return { entered, failed };
+};
+
+// ============================================================================
+// FX RATE AND LEDGER ROUTES
+// ============================================================================
+
+// The current rate sheet with the bank's bid and ask for each currency
+app.get('/admin/fx-rates', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const spreadConfig = await loadFxSpreadConfig(pool);
+        const ratesQuery = await pool.query(`
+            SELECT DISTINCT ON (fr.currency)
+                fr.currency, fr.units_per_usd, fr.source, fr.file_name, fr.effective_at,
+                au.full_name as entered_by_name
+            FROM fx_rates fr
+            LEFT JOIN admin_users au ON fr.entered_by = au.id
+            WHERE fr.effective_at <= NOW()
+            ORDER BY fr.currency, fr.effective_at DESC
+        `);
+
+        res.json({
+            success: true,
+            spread: spreadConfig,
+            rates: ratesQuery.rows.map((row) => ({
+                ...row,
+                spread_bps: getSpreadBps(row.currency, spreadConfig),
+                ...getFxRateSides(row.currency, row.units_per_usd, spreadConfig)
+            }))
+        });
+    } catch (error) {
+        logger.error('Error fetching FX rates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch FX rates'
+        });
+    }
+});
+
+// Saves a rate sheet; every currency on it takes effect at once
+const saveFxRates = async (rates, { source, fileName = null, effectiveAt = null }, adminId) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        for (const { currency, rate } of rates) {
+            await client.query(`
+                INSERT INTO fx_rates (currency, units_per_usd, source, file_name, effective_at, entered_by)
+                VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), $6)
+            `, [currency, rate, source, fileName, effectiveAt, adminId]);
+        }
+        await client.query(`
+            INSERT INTO admin_activities (admin_id, activity_type, description)
+            VALUES ($1, 'fx_rates_updated', $2)
+        `, [adminId, `FX rates for ${rates.map((item) => item.currency).join(', ')} ${fileName ? `loaded from ${fileName}` : 'entered'}`]);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Enter rates by hand: { rates: [{ currency, rate }], effectiveAt? }, rates in units per USD
+app.post('/admin/fx-rates',
+    authenticateAdmin,
+    requirePermission('manage_settings'),
+    [
+        body('rates').isArray({ min: 1 }),
+        body('rates.*.currency').custom((value) => isCurrencyCode(value) && value !== 'USD'),
+        body('rates.*.rate').isFloat({ gt: 0 }),
+        body('effectiveAt').optional().isISO8601()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const rates = req.body.rates.map((item) => ({ currency: item.currency, rate: Number(item.rate) }));
+            await saveFxRates(rates, { source: 'manual', effectiveAt: req.body.effectiveAt }, req.admin.id);
+
+            res.status(201).json({
+                success: true,
+                message: `${rates.length} FX rates saved`
+            });
+        } catch (error) {
+            logger.error('Error saving FX rates:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to save FX rates'
+            });
+        }
+    }
+);
+
+// Load a rate sheet file (CSV with currency and rate columns). Nothing is saved if any line is wrong.
+app.post('/admin/fx-rates/import',
+    authenticateAdmin,
+    requirePermission('manage_settings'),
+    upload.single('file'),
+    async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No file uploaded'
+                });
+            }
+
+            const { rates, errors } = parseFxRateSheet(req.file.buffer.toString('utf8'));
+            if (errors.length > 0 || rates.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: rates.length === 0 && errors.length === 0 ? 'The file has no rates' : 'The rate sheet has errors',
+                    details: errors
+                });
+            }
+
+            await saveFxRates(rates, { source: 'file', fileName: req.file.originalname }, req.admin.id);
+
+            res.status(201).json({
+                success: true,
+                message: `${rates.length} FX rates loaded`,
+                currencies: rates.map((item) => item.currency)
+            });
+        } catch (error) {
+            logger.error('Error importing FX rates:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to import FX rates'
+            });
+        }
+    }
+);
+
+// What sending `amount` in `currency` would take from an account in `debitCurrency`
+app.get('/admin/fx-rates/quote', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const { amount, currency, debitCurrency = 'USD' } = req.query;
+        if (!(Number(amount) > 0) || !isCurrencyCode(currency) || !isCurrencyCode(debitCurrency)) {
+            return res.status(400).json({
+                success: false,
+                error: 'amount, currency and debitCurrency are required'
+            });
+        }
+
+        const rates = await loadFxRates(pool);
+        const missingRates = getMissingFxRates([currency, debitCurrency], rates);
+        if (missingRates.length > 0) {
+            return res.status(422).json({
+                success: false,
+                error: `No FX rate loaded for ${missingRates.join(', ')}`,
+                code: 'FX_RATE_UNAVAILABLE'
+            });
+        }
+
+        res.json({
+            success: true,
+            quote: quoteFxConversion({ amount, currency, debitCurrency }, rates, await loadFxSpreadConfig(pool))
+        });
+    } catch (error) {
+        logger.error('Error quoting FX conversion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to quote FX conversion'
+        });
+    }
+});
+
+// A client account's balance in each currency and its latest journal lines
+app.get('/admin/accounts/:accountId/ledger', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const ledgerQuery = await pool.query(`
+            SELECT la.id, la.name, a.account_number, a.currency as account_currency, a.current_balance
+            FROM ledger_accounts la
+            JOIN accounts a ON la.account_id = a.id
+            WHERE la.account_id = $1
+        `, [req.params.accountId]);
+        if (ledgerQuery.rows.length === 0) {
+            return res.json({
+                success: true,
+                ledger_account: null,
+                balances: [],
+                lines: []
+            });
+        }
+
+        const ledgerAccount = ledgerQuery.rows[0];
+        const [balancesQuery, linesQuery] = await Promise.all([
+            pool.query(
+                'SELECT currency, balance, updated_at FROM ledger_balances WHERE ledger_account_id = $1 ORDER BY currency',
+                [ledgerAccount.id]
+            ),
+            pool.query(`
+                SELECT jl.id, jl.currency, jl.debit, jl.credit, je.id as entry_id, je.entry_type, je.description,
+                       je.transfer_id, je.posted_at
+                FROM journal_lines jl
+                JOIN journal_entries je ON jl.entry_id = je.id
+                WHERE jl.ledger_account_id = $1
+                ORDER BY je.posted_at DESC, jl.id DESC
+                LIMIT $2 OFFSET $3
+            `, [ledgerAccount.id, limit, offset])
+        ]);
+
+        res.json({
+            success: true,
+            ledger_account: ledgerAccount,
+            balances: balancesQuery.rows,
+            lines: linesQuery.rows
+        });
+    } catch (error) {
+        logger.error('Error fetching account ledger:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch account ledger'
+        });
+    }
+});
+
+// ============================================================================
+// RECONCILIATION ROUTES
+// ============================================================================
+
+// Transfer types paid out of the custody account, whose statement debits they are matched against
+const RECONCILED_TRANSFER_TYPES = ['wire_domestic', 'wire_international', 'ach_credit'];
+
+// How far back from its as-of date a run looks at transfers and statement lines
+const RECONCILIATION_WINDOW_DAYS = 35;
+
+// Cash in the custody account, from the same IBOSS GetAccountBalance call the client portal shows balances from
+const fetchCustodyCashBalance = async () => {
+    if (!CONFIG.iboss.custodyAccount) {
+        throw new Error('IBOSS_CUSTODY_ACCOUNT is not set');
+    }
+
+    const response = await fetch(
+        `${CONFIG.iboss.baseURL}/accounts/${encodeURIComponent(CONFIG.iboss.custodyAccount)}/balance`,
+        {
+            headers: {
+                Authorization: `Bearer ${CONFIG.iboss.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            signal: AbortSignal.timeout(30000)
+        }
+    );
+    if (!response.ok) {
+        throw new Error(`IBOSS GetAccountBalance returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!Number.isFinite(Number(data.CashBalance))) {
+        throw new Error('IBOSS GetAccountBalance returned no CashBalance');
+    }
+    return {
+        cashBalance: Number(data.CashBalance),
+        currency: data.Currency || 'USD',
+        asOfDate: data.DateAsof ? String(data.DateAsof).slice(0, 10) : null
+    };
+};
+
+// Transfers from a client account whose journal entry is missing, or doesn't put the amount sent through
+// payments clearing
+const findLedgerBreaks = async (db, windowStart, asOfDate) => {
+    const postingsQuery = await db.query(`
+        SELECT ft.id, ft.reference_number, ft.amount, ft.currency, je.id as entry_id,
+               COALESCE(SUM(jl.credit) FILTER (WHERE la.system_code = 'payments_clearing'), 0) as cleared
+        FROM fund_transfers ft
+        LEFT JOIN journal_entries je ON je.transfer_id = ft.id AND je.entry_type = 'transfer'
+        LEFT JOIN journal_lines jl ON jl.entry_id = je.id AND jl.currency = ft.currency
+        LEFT JOIN ledger_accounts la ON jl.ledger_account_id = la.id
+        WHERE ft.status IN ('approved', 'processing', 'completed')
+          AND ft.transfer_type = ANY($1)
+          AND ft.from_account_id IS NOT NULL
+          AND COALESCE(ft.execution_date, ft.request_date::date) BETWEEN $2 AND $3
+        GROUP BY ft.id, je.id
+    `, [RECONCILED_TRANSFER_TYPES, windowStart, asOfDate]);
+
+    return postingsQuery.rows
+        .filter((row) => !row.entry_id || Math.round(Number(row.cleared) * 100) !== Math.round(Number(row.amount) * 100))
+        .map((row) => ({
+            breakType: row.entry_id ? 'amount_mismatch' : 'unmatched',
+            source: 'ledger',
+            transferId: row.id,
+            lineId: null,
+            expectedAmount: row.amount,
+            actualAmount: row.entry_id ? row.cleared : null,
+            currency: row.currency,
+            description: row.entry_id
+                ? `Journal entry ${row.entry_id} clears ${row.cleared} ${row.currency} for ${row.reference_number} of ${row.amount} ${row.currency}`
+                : `${row.reference_number} has no journal entry`
+        }));
+};
+
+// IBOSS cash against the latest statement's closing balance, less the transfers due after the statement date
+// that it couldn't show yet. Money received since the statement also shows as a difference until the next
+// statement is loaded.
+const findCashBalanceBreak = async (db, cash, asOfDate) => {
+    const statementQuery = await db.query(`
+        SELECT id, statement_date::text as statement_date, closing_balance
+        FROM bank_statements
+        WHERE closing_balance IS NOT NULL AND statement_date <= $1 AND currency = $2
+        ORDER BY statement_date DESC, imported_at DESC
+        LIMIT 1
+    `, [asOfDate, cash.currency]);
+    if (statementQuery.rows.length === 0) {
+        return { checked: false, item: null };
+    }
+
+    const statement = statementQuery.rows[0];
+    const pendingQuery = await db.query(`
+        SELECT COALESCE(SUM(amount), 0) as total
+        FROM fund_transfers
+        WHERE status IN ('approved', 'processing', 'completed')
+          AND transfer_type = ANY($1)
+          AND currency = $2
+          AND execution_date > $3 AND execution_date <= $4
+    `, [RECONCILED_TRANSFER_TYPES, cash.currency, statement.statement_date, cash.asOfDate || asOfDate]);
+
+    const expected = Math.round((Number(statement.closing_balance) - Number(pendingQuery.rows[0].total)) * 100) / 100;
+    if (Math.round(expected * 100) === Math.round(cash.cashBalance * 100)) {
+        return { checked: true, item: null };
+    }
+    return {
+        checked: true,
+        item: {
+            breakType: 'amount_mismatch',
+            source: 'cash_balance',
+            transferId: null,
+            lineId: null,
+            statementId: statement.id,
+            expectedAmount: expected,
+            actualAmount: cash.cashBalance,
+            currency: cash.currency,
+            description: `IBOSS reports ${cash.cashBalance} ${cash.currency} in the custody account; the statement of ${statement.statement_date} less the transfers due since leaves ${expected}`
+        }
+    };
+};
+
+/**
+ * Reconciles the custody account as of a date: matches transfers to statement debits (src/lib/reconciliation.js),
+ * checks each transfer's ledger posting and compares the IBOSS cash balance with the statements. Matched
+ * transfers are marked completed. A break found again stays open with its first detection date; an open one a
+ * run no longer finds is cleared, and one ops have resolved is not raised again.
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @param {number|null} [adminId] - null for the daily job
+ * @returns {Promise<{ runId: number, matched: number, breaks: number, ibossError: string|null }>}
+ */
+const runReconciliation = async (asOfDate, adminId = null) => {
+    const runQuery = await pool.query(
+        'INSERT INTO reconciliation_runs (as_of_date, started_by) VALUES ($1, $2) RETURNING id',
+        [asOfDate, adminId]
+    );
+    const runId = runQuery.rows[0].id;
+
+    // Without the IBOSS balance the rest of the run still goes ahead
+    let cash = null;
+    let ibossError = null;
+    try {
+        cash = await fetchCustodyCashBalance();
+    } catch (error) {
+        ibossError = error.message;
+        logger.warn('Could not fetch the custody cash balance from IBOSS:', error);
+    }
+
+    const windowStart = addDays(asOfDate, -RECONCILIATION_WINDOW_DAYS);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const transfersQuery = await client.query(`
+            SELECT ft.id, ft.reference_number, ft.uetr::text as uetr, ft.amount, ft.currency,
+                   COALESCE(ft.execution_date, ft.request_date::date)::text as execution_date,
+                   rm.id IS NOT NULL as matched
+            FROM fund_transfers ft
+            LEFT JOIN reconciliation_matches rm ON rm.transfer_id = ft.id
+            WHERE ft.status IN ('approved', 'processing', 'completed')
+              AND ft.transfer_type = ANY($1)
+              AND COALESCE(ft.execution_date, ft.request_date::date) BETWEEN $2 AND $3
+        `, [RECONCILED_TRANSFER_TYPES, windowStart, asOfDate]);
+
+        const linesQuery = await client.query(`
+            SELECT l.id, l.booking_date::text as booking_date, l.amount, l.currency, l.direction, l.reference,
+                   l.uetr, l.remittance_info
+            FROM bank_statement_lines l
+            LEFT JOIN reconciliation_matches rm ON rm.statement_line_id = l.id
+            WHERE rm.id IS NULL AND l.booking_date BETWEEN $1 AND $2
+        `, [windowStart, asOfDate]);
+
+        const { matches, breaks } = reconcileTransfers(transfersQuery.rows, linesQuery.rows, asOfDate);
+
+        for (const match of matches) {
+            await client.query(`
+                INSERT INTO reconciliation_matches (transfer_id, statement_line_id, match_type, run_id)
+                VALUES ($1, $2, $3, $4)
+            `, [match.transferId, match.lineId, match.matchType, runId]);
+        }
+        if (matches.length > 0) {
+            await client.query(`
+                UPDATE fund_transfers
+                SET status = 'completed', completed_date = NOW()
+                WHERE id = ANY($1) AND status IN ('approved', 'processing')
+            `, [matches.map((match) => match.transferId)]);
+        }
+
+        breaks.push(...await findLedgerBreaks(client, windowStart, asOfDate));
+        const cashCheck = cash ? await findCashBalanceBreak(client, cash, asOfDate) : { checked: false, item: null };
+        if (cashCheck.item) {
+            breaks.push(cashCheck.item);
+        }
+
+        const seenKeys = [];
+        for (const item of breaks) {
+            const breakKey = getBreakKey(item);
+            seenKeys.push(breakKey);
+
+            // Ops have dealt with this one already
+            const resolvedQuery = await client.query(
+                "SELECT 1 FROM reconciliation_breaks WHERE break_key = $1 AND status = 'resolved' AND resolution <> 'cleared' LIMIT 1",
+                [breakKey]
+            );
+            if (resolvedQuery.rows.length > 0) {
+                continue;
+            }
+
+            await client.query(`
+                INSERT INTO reconciliation_breaks (
+                    break_key, break_type, source, transfer_id, statement_line_id, statement_id,
+                    expected_amount, actual_amount, currency, description, first_run_id, last_seen_run_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)
+                ON CONFLICT (break_key) WHERE status = 'open' DO UPDATE SET
+                    expected_amount = EXCLUDED.expected_amount,
+                    actual_amount = EXCLUDED.actual_amount,
+                    description = EXCLUDED.description,
+                    last_seen_run_id = EXCLUDED.last_seen_run_id
+            `, [
+                breakKey, item.breakType, item.source, item.transferId, item.lineId, item.statementId || null,
+                item.expectedAmount, item.actualAmount, item.currency, item.description, runId
+            ]);
+        }
+
+        // Open breaks this run didn't find again have been sorted out, e.g. by a late statement debit. Those on
+        // transfers and lines that have left the window stay open, and the cash balance break only clears when
+        // the balance could be checked.
+        await client.query(`
+            UPDATE reconciliation_breaks rb
+            SET status = 'resolved', resolution = 'cleared', resolved_at = NOW()
+            WHERE rb.status = 'open'
+              AND NOT (rb.break_key = ANY($1))
+              AND (
+                  (rb.source = 'cash_balance' AND $2::boolean)
+                  OR EXISTS (
+                      SELECT 1 FROM fund_transfers ft
+                      WHERE ft.id = rb.transfer_id AND COALESCE(ft.execution_date, ft.request_date::date) BETWEEN $3 AND $4
+                  )
+                  OR EXISTS (
+                      SELECT 1 FROM bank_statement_lines l
+                      WHERE l.id = rb.statement_line_id AND l.booking_date BETWEEN $3 AND $4
+                  )
+              )
+        `, [seenKeys, cashCheck.checked, windowStart, asOfDate]);
+
+        const openQuery = await client.query("SELECT COUNT(*) FROM reconciliation_breaks WHERE status = 'open'");
+        const openBreaks = parseInt(openQuery.rows[0].count);
+
+        await client.query(`
+            UPDATE reconciliation_runs
+            SET status = 'completed', completed_at = NOW(), iboss_cash_balance = $1, iboss_currency = $2,
+                iboss_error = $3, matched_count = $4, break_count = $5
+            WHERE id = $6
+        `, [cash && cash.cashBalance, cash && cash.currency, ibossError, matches.length, openBreaks, runId]);
+
+        await client.query('COMMIT');
+        logger.info('Reconciliation run complete', { runId, asOfDate, matched: matches.length, breaks: openBreaks });
+        return { runId, matched: matches.length, breaks: openBreaks, ibossError };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await pool.query(
+            "UPDATE reconciliation_runs SET status = 'failed', completed_at = NOW(), iboss_error = $1, error_message = $2 WHERE id = $3",
+            [ibossError, error.message, runId]
+        );
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// The daily job reconciles as of the bank's current business date
+const runDailyReconciliation = async () => {
+    const config = await loadTransferCutoffConfig(pool);
+    await runReconciliation(getLocalDateTime(new Date(), config.timeZone).date);
+};
+
+// Saves the statements read from one file with their lines
+const saveBankStatements = async ({ format, statements }, { fileName, fileHash }, adminId) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        for (const statement of statements) {
+            const statementQuery = await client.query(`
+                INSERT INTO bank_statements (
+                    format, file_name, file_hash, statement_id, account, currency, statement_date,
+                    opening_balance, closing_balance, imported_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING id
+            `, [
+                format, fileName, fileHash, statement.statementId, statement.account, statement.currency,
+                statement.statementDate, statement.openingBalance, statement.closingBalance, adminId
+            ]);
+
+            for (const line of statement.lines) {
+                await client.query(`
+                    INSERT INTO bank_statement_lines (
+                        statement_id, booking_date, value_date, amount, direction, currency, reference, uetr,
+                        bank_reference, counterparty_name, remittance_info
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                `, [
+                    statementQuery.rows[0].id, line.bookingDate, line.valueDate, line.amount, line.direction,
+                    line.currency, line.reference || null, line.uetr || null, line.bankReference || null,
+                    line.counterpartyName || null, line.remittanceInfo || null
+                ]);
+            }
+        }
+        await client.query(`
+            INSERT INTO admin_activities (admin_id, activity_type, description)
+            VALUES ($1, 'bank_statement_imported', $2)
+        `, [adminId, `Bank statement ${fileName} loaded (${format})`]);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Load a custody account statement, camt.053 XML or CSV. Nothing is saved if any line is wrong, and a file
+// is only loaded once.
+app.post('/admin/reconciliation/statements',
+    authenticateAdmin,
+    requirePermission('manage_transfers'),
+    statementUpload.single('file'),
+    async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No file uploaded'
+                });
+            }
+
+            const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+            const existingQuery = await pool.query(
+                'SELECT file_name, imported_at FROM bank_statements WHERE file_hash = $1 LIMIT 1',
+                [fileHash]
+            );
+            if (existingQuery.rows.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: `This file was already loaded as ${existingQuery.rows[0].file_name}`,
+                    code: 'STATEMENT_ALREADY_LOADED'
+                });
+            }
+
+            let parsed;
+            try {
+                parsed = parseBankStatement(req.file.buffer.toString('utf8'));
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            const lineCount = parsed.statements.reduce((total, statement) => total + statement.lines.length, 0);
+            if (parsed.errors.length > 0 || lineCount === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: lineCount === 0 && parsed.errors.length === 0 ? 'The statement has no booked entries' : 'The statement has errors',
+                    details: parsed.errors
+                });
+            }
+
+            await saveBankStatements(parsed, { fileName: req.file.originalname, fileHash }, req.admin.id);
+
+            res.status(201).json({
+                success: true,
+                message: `${lineCount} statement lines loaded`,
+                format: parsed.format,
+                statements: parsed.statements.length
+            });
+        } catch (error) {
+            logger.error('Error importing bank statement:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to import bank statement'
+            });
+        }
+    }
+);
+
+// Statements loaded, newest first
+app.get('/admin/reconciliation/statements', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const statementsQuery = await pool.query(`
+            SELECT bs.id, bs.format, bs.file_name, bs.statement_id, bs.account, bs.currency,
+                   bs.statement_date::text as statement_date, bs.opening_balance, bs.closing_balance, bs.imported_at,
+                   au.full_name as imported_by_name,
+                   (SELECT COUNT(*) FROM bank_statement_lines l WHERE l.statement_id = bs.id) as line_count
+            FROM bank_statements bs
+            LEFT JOIN admin_users au ON bs.imported_by = au.id
+            ORDER BY bs.imported_at DESC
+            LIMIT 30
+        `);
+
+        res.json({
+            success: true,
+            statements: statementsQuery.rows
+        });
+    } catch (error) {
+        logger.error('Error fetching bank statements:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch bank statements'
+        });
+    }
+});
+
+// Run the reconciliation now, as of today or asOfDate
+app.post('/admin/reconciliation/runs',
+    authenticateAdmin,
+    requirePermission('manage_transfers'),
+    [
+        body('asOfDate').optional().isISO8601()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const config = await loadTransferCutoffConfig(pool);
+            const asOfDate = req.body.asOfDate
+                ? req.body.asOfDate.slice(0, 10)
+                : getLocalDateTime(new Date(), config.timeZone).date;
+            const result = await runReconciliation(asOfDate, req.admin.id);
+
+            await pool.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description)
+                VALUES ($1, 'reconciliation_run', $2)
+            `, [req.admin.id, `Reconciliation run ${result.runId} as of ${asOfDate}: ${result.matched} matched, ${result.breaks} open breaks`]);
+
+            res.status(201).json({
+                success: true,
+                run: result
+            });
+        } catch (error) {
+            logger.error('Error running reconciliation:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to run reconciliation'
+            });
+        }
+    }
+);
+
+// Latest runs, newest first
+app.get('/admin/reconciliation/runs', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const runsQuery = await pool.query(`
+            SELECT rr.id, rr.as_of_date::text as as_of_date, rr.started_at, rr.completed_at, rr.status,
+                   rr.iboss_cash_balance, rr.iboss_currency, rr.iboss_error, rr.matched_count, rr.break_count,
+                   rr.error_message, au.full_name as started_by_name
+            FROM reconciliation_runs rr
+            LEFT JOIN admin_users au ON rr.started_by = au.id
+            ORDER BY rr.started_at DESC
+            LIMIT 30
+        `);
+
+        res.json({
+            success: true,
+            runs: runsQuery.rows
+        });
+    } catch (error) {
+        logger.error('Error fetching reconciliation runs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reconciliation runs'
+        });
+    }
+});
+
+// Breaks with the transfer and statement line they concern; open ones by default, oldest first
+app.get('/admin/reconciliation/breaks', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const { status = 'open', breakType, source, page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const conditions = ['rb.status = $1'];
+        const params = [status];
+        if (breakType) {
+            params.push(breakType);
+            conditions.push(`rb.break_type = $${params.length}`);
+        }
+        if (source) {
+            params.push(source);
+            conditions.push(`rb.source = $${params.length}`);
+        }
+        params.push(limit, offset);
+
+        const breaksQuery = await pool.query(`
+            SELECT rb.id, rb.break_type, rb.source, rb.transfer_id, rb.statement_line_id, rb.statement_id,
+                   rb.expected_amount, rb.actual_amount, rb.currency, rb.description, rb.status, rb.detected_at,
+                   rb.resolution, rb.resolution_notes, rb.resolved_at, au.full_name as resolved_by_name,
+                   ft.reference_number, ft.client_id, c.first_name || ' ' || c.last_name as client_name,
+                   ft.beneficiary_name, ft.execution_date::text as execution_date,
+                   l.booking_date::text as booking_date, l.reference as line_reference,
+                   l.counterparty_name, l.remittance_info
+            FROM reconciliation_breaks rb
+            LEFT JOIN fund_transfers ft ON rb.transfer_id = ft.id
+            LEFT JOIN clients c ON ft.client_id = c.id
+            LEFT JOIN bank_statement_lines l ON rb.statement_line_id = l.id
+            LEFT JOIN admin_users au ON rb.resolved_by = au.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY rb.detected_at ASC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        res.json({
+            success: true,
+            breaks: breaksQuery.rows.map((row) => ({
+                ...row,
+                age_bucket: getBreakAgeBucket(row.detected_at)
+            }))
+        });
+    } catch (error) {
+        logger.error('Error fetching reconciliation breaks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reconciliation breaks'
+        });
+    }
+});
+
+// Open breaks by age since they were first detected: how many of each type, and the amounts at stake by currency
+app.get('/admin/reconciliation/ageing', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const breaksQuery = await pool.query(`
+            SELECT break_type, currency, COALESCE(expected_amount, actual_amount) as amount, detected_at
+            FROM reconciliation_breaks
+            WHERE status = 'open'
+        `);
+
+        const buckets = breakAgeBuckets.map((bucket) => ({ ...bucket, count: 0, by_type: {}, amounts: {} }));
+        breaksQuery.rows.forEach((row) => {
+            const bucket = buckets.find((item) => item.key === getBreakAgeBucket(row.detected_at));
+            bucket.count++;
+            bucket.by_type[row.break_type] = (bucket.by_type[row.break_type] || 0) + 1;
+            if (row.currency && row.amount !== null) {
+                bucket.amounts[row.currency] = Math.round(((bucket.amounts[row.currency] || 0) + Number(row.amount)) * 100) / 100;
+            }
+        });
+
+        res.json({
+            success: true,
+            total: breaksQuery.rows.length,
+            // Infinity doesn't survive JSON
+            buckets: buckets.map(({ maxDays, ...bucket }) => ({ ...bucket, max_days: Number.isFinite(maxDays) ? maxDays : null }))
+        });
+    } catch (error) {
+        logger.error('Error fetching break ageing:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch break ageing'
+        });
+    }
+});
+
+// Resolve a break: { resolution, notes, transferId?, statementLineId? }. matched_manually pairs a transfer with
+// the statement line that paid it, by default the ones on the break, and resolves the other breaks on either.
+app.post('/admin/reconciliation/breaks/:breakId/resolve',
+    authenticateAdmin,
+    requirePermission('manage_transfers'),
+    [
+        body('resolution').isIn(breakResolutions),
+        body('notes').trim().notEmpty(),
+        body('transferId').optional().isInt({ min: 1 }),
+        body('statementLineId').optional().isInt({ min: 1 })
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const { breakId } = req.params;
+            const { resolution, notes } = req.body;
+            const breakQuery = await client.query(
+                'SELECT * FROM reconciliation_breaks WHERE id = $1 FOR UPDATE',
+                [breakId]
+            );
+            if (breakQuery.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    success: false,
+                    error: 'Break not found'
+                });
+            }
+
+            const item = breakQuery.rows[0];
+            if (item.status !== 'open') {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    success: false,
+                    error: 'This break has already been resolved',
+                    code: 'BREAK_ALREADY_RESOLVED'
+                });
+            }
+
+            let transferId = null;
+            let statementLineId = null;
+            if (resolution === 'matched_manually') {
+                transferId = req.body.transferId ? parseInt(req.body.transferId) : item.transfer_id;
+                statementLineId = req.body.statementLineId ? parseInt(req.body.statementLineId) : item.statement_line_id;
+                if (!transferId || !statementLineId) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({
+                        success: false,
+                        error: 'A manual match needs both a transfer and a statement line'
+                    });
+                }
+
+                const [transferQuery, lineQuery, matchedQuery] = await Promise.all([
+                    client.query('SELECT id FROM fund_transfers WHERE id = $1', [transferId]),
+                    client.query("SELECT id FROM bank_statement_lines WHERE id = $1 AND direction = 'debit'", [statementLineId]),
+                    client.query(
+                        'SELECT 1 FROM reconciliation_matches WHERE transfer_id = $1 OR statement_line_id = $2',
+                        [transferId, statementLineId]
+                    )
+                ]);
+                if (transferQuery.rows.length === 0 || lineQuery.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Transfer or statement debit not found'
+                    });
+                }
+                if (matchedQuery.rows.length > 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        success: false,
+                        error: 'The transfer or the statement line is already matched',
+                        code: 'ALREADY_MATCHED'
+                    });
+                }
+
+                await client.query(`
+                    INSERT INTO reconciliation_matches (transfer_id, statement_line_id, match_type, matched_by)
+                    VALUES ($1, $2, 'manual', $3)
+                `, [transferId, statementLineId, req.admin.id]);
+                await client.query(`
+                    UPDATE fund_transfers
+                    SET status = 'completed', completed_date = NOW()
+                    WHERE id = $1 AND status IN ('approved', 'processing')
+                `, [transferId]);
+            }
+
+            const resolvedQuery = await client.query(`
+                UPDATE reconciliation_breaks
+                SET status = 'resolved', resolution = $1, resolution_notes = $2, resolved_by = $3, resolved_at = NOW()
+                WHERE id = $4
+                   OR ($1 = 'matched_manually' AND status = 'open' AND source IN ('transfer', 'statement_line')
+                       AND break_type IN ('unmatched', 'amount_mismatch')
+                       AND (transfer_id = $5 OR statement_line_id = $6))
+                RETURNING id
+            `, [resolution, notes, req.admin.id, breakId, transferId, statementLineId]);
+
+            const clientQuery = await client.query(
+                'SELECT client_id FROM fund_transfers WHERE id = $1',
+                [transferId || item.transfer_id]
+            );
+            await client.query(`
+                INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+                VALUES ($1, 'reconciliation_break_resolved', $2, $3)
+            `, [
+                req.admin.id,
+                `Reconciliation break ${breakId} resolved as ${resolution}: ${notes}`,
+                clientQuery.rows.length > 0 ? clientQuery.rows[0].client_id : null
+            ]);
+
+            await client.query('COMMIT');
+
+            res.json({
+                success: true,
+                resolved: resolvedQuery.rows.map((row) => row.id)
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error resolving reconciliation break:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to resolve reconciliation break'
+            });
+        } finally {
+            client.release();
+        }
+    }
+);
+
+// ============================================================================
+// PAYMENT MESSAGE ROUTES
+// ============================================================================
+
+const PAYMENT_MESSAGE_COLUMNS = `
+    id, transfer_id, message_type, message_id, status, validation_errors,
+    generated_by, generated_at, sent_at, send_count, last_error
+`;
+
+/**
+ * Generates a pacs.008 and an MT103 for an approved wire and stores them; messages that break a rule of their
+ * format are stored as invalid with the errors. Every message for a transfer carries the same UETR.
+ * @returns {Promise<Object[]>} the payment_messages rows, without content
+ */
+const generatePaymentMessages = async (transferId, adminId) => {
+    const transferQuery = await pool.query(`
+        SELECT ft.*, ft.execution_date::text AS execution_date, c.first_name, c.last_name, c.address
+        FROM fund_transfers ft
+        JOIN clients c ON ft.client_id = c.id
+        WHERE ft.id = $1
+    `, [transferId]);
+    const transfer = transferQuery.rows[0];
+
+    const uetrQuery = await pool.query(
+        'UPDATE fund_transfers SET uetr = COALESCE(uetr, $1) WHERE id = $2 RETURNING uetr',
+        [crypto.randomUUID(), transferId]
+    );
+    const instruction = createPaymentInstruction(transfer, transfer, CONFIG.payments, { uetr: uetrQuery.rows[0].uetr });
+
+    const messages = [];
+    for (const messageType of paymentMessageTypes) {
+        const message = buildPaymentMessage(messageType, instruction);
+        const messageQuery = await pool.query(`
+            INSERT INTO payment_messages (transfer_id, message_type, message_id, content, status, validation_errors, generated_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING ${PAYMENT_MESSAGE_COLUMNS}
+        `, [
+            transferId,
+            message.messageType,
+            message.messageId.slice(0, 35),
+            message.content,
+            message.errors.length > 0 ? 'invalid' : 'generated',
+            JSON.stringify(message.errors),
+            adminId
+        ]);
+        messages.push(messageQuery.rows[0]);
+    }
+    return messages;
+};
+
+/**
+ * Drops a message in the payment gateway's S3 folder. The content goes unchanged every time, so the gateway
+ * recognises a resend by its MsgId or field 20; generate the messages again to send a new instruction.
+ * @returns {Promise<Object>} the updated payment_messages row
+ */
+const sendPaymentMessage = async (message) => {
+    const contentQuery = await pool.query('SELECT content FROM payment_messages WHERE id = $1', [message.id]);
+    try {
+        await s3.upload({
+            Bucket: CONFIG.payments.outboundBucket,
+            Key: `${CONFIG.payments.outboundPrefix}${getPaymentMessageFileName(message)}`,
+            Body: contentQuery.rows[0].content,
+            ContentType: message.message_type === 'MT103' ? 'text/plain' : 'application/xml',
+            ServerSideEncryption: 'AES256'
+        }).promise();
+    } catch (error) {
+        logger.error(`Error sending payment message ${message.id}:`, error);
+        const failedQuery = await pool.query(`
+            UPDATE payment_messages SET status = 'failed', last_error = $1 WHERE id = $2
+            RETURNING ${PAYMENT_MESSAGE_COLUMNS}
+        `, [error.message, message.id]);
+        return failedQuery.rows[0];
+    }
+
+    const sentQuery = await pool.query(`
+        UPDATE payment_messages
+        SET status = 'sent', sent_at = NOW(), send_count = send_count + 1, last_error = NULL
+        WHERE id = $1
+        RETURNING ${PAYMENT_MESSAGE_COLUMNS}
+    `, [message.id]);
+    return sentQuery.rows[0];
+};
+
+// Get a transfer's payment messages, newest first
+app.get('/admin/fund-transfers/:transferId/payment-messages', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const messagesQuery = await pool.query(`
+            SELECT ${PAYMENT_MESSAGE_COLUMNS}
+            FROM payment_messages
+            WHERE transfer_id = $1
+            ORDER BY generated_at DESC, message_type
+        `, [req.params.transferId]);
+
+        res.json({
+            success: true,
+            messages: messagesQuery.rows
+        });
+    } catch (error) {
+        logger.error('Error fetching payment messages:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch payment messages'
+        });
+    }
+});
+
+// Generate a transfer's payment messages again, e.g. after correcting the beneficiary details
+app.post('/admin/fund-transfers/:transferId/payment-messages', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const { transferId } = req.params;
+        const transferQuery = await pool.query(
+            'SELECT transfer_type, status, client_id FROM fund_transfers WHERE id = $1',
+            [transferId]
+        );
+        if (transferQuery.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Fund transfer not found'
+            });
+        }
+        const transfer = transferQuery.rows[0];
+        if (!wireTransferTypes.includes(transfer.transfer_type) || transfer.status !== 'approved') {
+            return res.status(409).json({
+                success: false,
+                error: 'Payment messages are only generated for approved wires'
+            });
+        }
+
+        const messages = await generatePaymentMessages(transferId, req.admin.id);
+
+        await pool.query(`
+            INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+            VALUES ($1, 'payment_message', $2, $3)
+        `, [req.admin.id, 'Payment messages generated', transfer.client_id]);
+
+        res.status(201).json({
+            success: true,
+            messages
+        });
+    } catch (error) {
+        logger.error('Error generating payment messages:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate payment messages'
+        });
+    }
+});
+
+// Download a payment message as the file the gateway receives
+app.get('/admin/payment-messages/:messageId/download', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const messageQuery = await pool.query(
+            'SELECT message_type, message_id, content FROM payment_messages WHERE id = $1',
+            [req.params.messageId]
+        );
+        if (messageQuery.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment message not found'
+            });
+        }
+
+        const message = messageQuery.rows[0];
+        res.setHeader('Content-Type', message.message_type === 'MT103' ? 'text/plain' : 'application/xml');
+        res.setHeader('Content-Disposition', `attachment; filename="${getPaymentMessageFileName(message)}"`);
+        res.send(message.content);
+    } catch (error) {
+        logger.error('Error downloading payment message:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download payment message'
+        });
+    }
+});
+
+// Send a payment message to the gateway again
+app.post('/admin/payment-messages/:messageId/resend', authenticateAdmin, requirePermission('manage_transfers'), async (req, res) => {
+    try {
+        const messageQuery = await pool.query(`
+            SELECT pm.id, pm.message_type, pm.message_id, pm.status, pm.validation_errors, ft.client_id
+            FROM payment_messages pm
+            JOIN fund_transfers ft ON pm.transfer_id = ft.id
+            WHERE pm.id = $1
+        `, [req.params.messageId]);
+        if (messageQuery.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment message not found'
+            });
+        }
+
+        const { client_id: clientId, ...message } = messageQuery.rows[0];
+        if (message.status === 'invalid') {
+            return res.status(409).json({
+                success: false,
+                error: 'This payment message failed validation and cannot be sent',
+                details: message.validation_errors
+            });
+        }
+
+        const sent = await sendPaymentMessage(message);
+
+        await pool.query(`
+            INSERT INTO admin_activities (admin_id, activity_type, description, client_id)
+            VALUES ($1, 'payment_message', $2, $3)
+        `, [req.admin.id, `${message.message_type} ${message.message_id} resent`, clientId]);
+
+        if (sent.status === 'failed') {
+            return res.status(502).json({
+                success: false,
+                error: 'Failed to deliver the payment message to the gateway',
+                message: sent
+            });
+        }
+        res.json({
+            success: true,
+            message: sent
+        });
+    } catch (error) {
+        logger.error('Error resending payment message:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resend payment message'
+        });
+    }
+});
+
+// ============================================================================
+// COMMUNICATIONS MANAGEMENT ROUTES
+// ============================================================================
+
+// Get client communications
+app.get('/admin/communications', authenticateAdmin, requirePermission('manage_communications'), async (req, res) => {
+    try {
+        const { status = 'unread', page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const communicationsQuery = await pool.query(`
+            SELECT 
+                cc.id,
+                cc.client_id,
+                c.first_name || ' ' || c.last_name as client_name,
+                c.email as client_email,
+                cc.subject,
+                cc.message,
+                cc.communication_type,
+                cc.priority,
+                cc.status,
+                cc.created_at,
+                cc.responded_at,
+                cc.responded_by
+            FROM client_communications cc
+            JOIN clients c ON cc.client_id = c.id
+            WHERE cc.status = $1
+            ORDER BY cc.created_at DESC
+            LIMIT $2 OFFSET $3
+        `, [status, limit, offset]);
+
+        res.json({
+            success: true,
+            communications: communicationsQuery.rows
+        });
+    } catch (error) {
+        logger.error('Error fetching communications:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch communications'
+        });
+    }
+});
+
+// Reply to client communication
+app.post('/admin/communications/:commId/reply',
+    authenticateAdmin,
+    requirePermission('manage_communications'),
+    [
+        body('reply').isLength({ min: 1, max: 5000 }).trim()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const { commId } = req.params;
+            const { reply } = req.body;
+
+            // Update communication status
+            await pool.query(`
+                UPDATE client_communications 
+                SET 
+                    status = 'responded',
+                    admin_reply = $1,
+                    responded_by = $2,
+                    responded_at = NOW()
+                WHERE id = $3
+            `, [reply, req.admin.id, commId]);
+
+            // Get client email for notification
+            const clientQuery = await pool.query(`
+                SELECT c.email, c.first_name, cc.subject
+                FROM client_communications cc
+                JOIN clients c ON cc.client_id = c.id
+                WHERE cc.id = $1
+            `, [commId]);
+
+            if (clientQuery.rows.length > 0) {
+                const client = clientQuery.rows[0];
+                
+                // Send email notification to client
+                try {
+                    await emailTransporter.sendMail({
+                        from: CONFIG.email.user,
+                        to: client.email,
+                        subject: `Re: ${client.subject}`,
+                        html: `
+                            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                                <div style="background: linear-gradient(135deg, #800020, #DC143C); padding: 20px; text-align: center;">
+                                    <h1 style="color: white; margin: 0;">Alhambra Bank & Trust</h1>
+                                </div>
+                                <div style="padding: 20px; background: #f9f9f9;">
+                                    <p>Dear ${client.first_name},</p>
+                                    <p>Thank you for contacting us. Here is our response to your inquiry:</p>
+                                    <div style="background: white; padding: 15px; border-left: 4px solid #800020; margin: 20px 0;">
+                                        ${reply.replace(/\n/g, '<br>')}
+                                    </div>
+                                    <p>If you have any additional questions, please don't hesitate to contact us.</p>
+                                    <p>Best regards,<br>Alhambra Bank & Trust Customer Service</p>
+                                </div>
+                            </div>
+                        `
+                    });
+                } catch (emailError) {
+                    logger.error('Error sending email notification:', emailError);
+                }
+            }
+
+            res.json({
+                success: true,
+                message: 'Reply sent successfully'
+            });
+        } catch (error) {
             logger.error('Error sending reply:', error);
             res.status(500).json({
                 success: false,
@@ -1369,6 +4407,318 @@ app.put('/admin/settings', authenticateAdmin, requirePermission('manage_settings
     }
 });
 
+// ============================================================================
+// AUDIT TRAIL ROUTES
+// ============================================================================
+
+// admin_activities is hash-chained and append-only; see server/services/auditChain.js
+const auditSigningKey = loadSigningKey(CONFIG.audit.signingKey);
+
+// Sign the head of the admin_activities chain
+const checkpointAuditTrail = async () => {
+    try {
+        const checkpoint = await createAuditCheckpoint(pool, 'admin_activities', auditSigningKey);
+        if (checkpoint) {
+            logger.info('Audit checkpoint signed', { chainSeq: checkpoint.chain_seq });
+        }
+    } catch (error) {
+        logger.error('Error signing audit checkpoint:', error);
+    }
+};
+
+// Walk the audit chain and report the first broken link and any checkpoint that doesn't hold
+app.get('/admin/audit/verify', authenticateAdmin, requirePermission('view_audit_log'), async (req, res) => {
+    try {
+        const result = await verifyAuditChain(pool, 'admin_activities', auditSigningKey || {});
+
+        if (!result.valid) {
+            logger.warn('Audit chain verification failed', { firstBreak: result.firstBreak, checkpoints: result.checkpoints.failures });
+        }
+        await pool.query(`
+            INSERT INTO admin_activities (admin_id, activity_type, description)
+            VALUES ($1, 'audit_chain_verified', $2)
+        `, [req.admin.id, result.valid
+            ? `Audit chain verified: ${result.entriesChecked} entries intact`
+            : `Audit chain verification failed at entry ${result.firstBreak ? result.firstBreak.chainSeq : '-'}`]);
+
+        res.json({
+            success: true,
+            signing_key_configured: Boolean(auditSigningKey),
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error verifying audit chain:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify audit chain'
+        });
+    }
+});
+
+// The checkpoint public key, for verifying checkpoints outside the bank
+app.get('/admin/audit/public-key', authenticateAdmin, requirePermission('view_audit_log'), (req, res) => {
+    if (!auditSigningKey) {
+        return res.status(404).json({
+            success: false,
+            error: 'No audit signing key is configured',
+            code: 'AUDIT_KEY_NOT_CONFIGURED'
+        });
+    }
+
+    res.json({
+        success: true,
+        key_id: auditSigningKey.keyId,
+        public_key: auditSigningKey.publicKey.export({ type: 'spki', format: 'pem' })
+    });
+});
+
+// admin_activities and the row-change audit_log as one list of entries. audit_log rows are tied to a client
+// through the record itself or the record's client_id.
+const AUDIT_ENTRIES_SQL = `
+    SELECT 'admin_activities' as source, aa.id, aa.created_at, aa.created_at::text as cursor_created_at,
+           aa.admin_id, aa.client_id, aa.activity_type as action, aa.description, aa.ip_address, aa.user_agent,
+           aa.metadata as details, NULL::jsonb as old_values, NULL::jsonb as new_values, aa.chain_seq, aa.entry_hash
+    FROM admin_activities aa
+    UNION ALL
+    SELECT 'audit_log', al.id, al.created_at, al.created_at::text,
+           al.changed_by_admin,
+           CASE WHEN al.table_name = 'clients' THEN al.record_id
+                ELSE COALESCE(al.new_values->>'client_id', al.old_values->>'client_id')::integer END,
+           al.table_name || '.' || lower(al.action),
+           initcap(al.action) || ' ' || al.table_name || ' #' || al.record_id,
+           al.ip_address, al.user_agent, NULL::jsonb, al.old_values, al.new_values, NULL::bigint, NULL::varchar
+    FROM audit_log al
+`;
+
+// One page of entries matching the filters (see parseAuditFilters), newest first
+const searchAuditEntries = async (filters, limit) => {
+    const conditions = [];
+    const params = [];
+    if (filters.adminId) {
+        params.push(filters.adminId);
+        conditions.push(`e.admin_id = $${params.length}`);
+    }
+    if (filters.clientId) {
+        params.push(filters.clientId);
+        conditions.push(`e.client_id = $${params.length}`);
+    }
+    if (filters.action) {
+        params.push(filters.action);
+        conditions.push(`e.action = $${params.length}`);
+    }
+    if (filters.ip) {
+        params.push(filters.ip);
+        conditions.push(`e.ip_address <<= $${params.length}::inet`);
+    }
+    if (filters.from) {
+        params.push(filters.from);
+        conditions.push(`e.created_at >= $${params.length}::date`);
+    }
+    if (filters.to) {
+        params.push(filters.to);
+        conditions.push(`e.created_at < $${params.length}::date + 1`);
+    }
+    if (filters.q) {
+        params.push(toContainsPattern(filters.q));
+        conditions.push(`(e.description ILIKE $${params.length} OR e.details::text ILIKE $${params.length}
+            OR e.old_values::text ILIKE $${params.length} OR e.new_values::text ILIKE $${params.length})`);
+    }
+    if (filters.cursor) {
+        params.push(filters.cursor.createdAt, filters.cursor.source, filters.cursor.id);
+        conditions.push(`(e.created_at, e.source, e.id) < ($${params.length - 2}::timestamptz, $${params.length - 1}, $${params.length}::integer)`);
+    }
+    params.push(limit + 1);
+
+    const entriesQuery = await pool.query(`
+        SELECT e.*, au.full_name as admin_name, c.first_name || ' ' || c.last_name as client_name
+        FROM (${AUDIT_ENTRIES_SQL}) e
+        LEFT JOIN admin_users au ON e.admin_id = au.id
+        LEFT JOIN clients c ON e.client_id = c.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY e.created_at DESC, e.source DESC, e.id DESC
+        LIMIT $${params.length}
+    `, params);
+
+    const rows = entriesQuery.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return {
+        entries: rows.map((row) => ({
+            source: row.source,
+            id: row.id,
+            created_at: row.created_at,
+            admin_id: row.admin_id,
+            admin_name: row.admin_name,
+            client_id: row.client_id,
+            client_name: row.client_name,
+            action: row.action,
+            description: row.description,
+            ip_address: row.ip_address,
+            user_agent: row.user_agent,
+            details: row.details,
+            changes: row.source === 'audit_log' ? getFieldChanges(row.old_values, row.new_values) : [],
+            chain_seq: row.chain_seq,
+            entry_hash: row.entry_hash
+        })),
+        nextCursor: entriesQuery.rows.length > limit
+            ? encodeAuditCursor({ createdAt: last.cursor_created_at, source: last.source, id: last.id })
+            : null
+    };
+};
+
+// The search from the query string, or the reasons it can't be run
+const readAuditFilters = (query) => {
+    const { filters, errors } = parseAuditFilters(query);
+    ['adminId', 'clientId'].forEach((field) => {
+        if (filters[field] && !/^\d+$/.test(filters[field])) {
+            errors.push({ field, message: 'Must be a numeric id' });
+        }
+    });
+    if (filters.cursor && !/^\d+$/.test(String(filters.cursor.id))) {
+        errors.push({ field: 'cursor', message: 'Invalid cursor' });
+    }
+    return { filters, errors };
+};
+
+// Search the audit trail
+app.get('/admin/audit/entries', authenticateAdmin, requirePermission('view_audit_log'), async (req, res) => {
+    const { filters, errors } = readAuditFilters(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: errors
+        });
+    }
+
+    try {
+        const { entries, nextCursor } = await searchAuditEntries(filters, filters.limit);
+        res.json({
+            success: true,
+            entries,
+            next_cursor: nextCursor
+        });
+    } catch (error) {
+        // An address that matches the pattern but not a real network, such as 300.1.1.1
+        if (error.code === '22P02') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid IP address or network',
+                code: 'INVALID_FILTER'
+            });
+        }
+        logger.error('Error searching audit trail:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search audit trail'
+        });
+    }
+});
+
+// The admins and action types to search by
+app.get('/admin/audit/filters', authenticateAdmin, requirePermission('view_audit_log'), async (req, res) => {
+    try {
+        const [actionsQuery, adminsQuery] = await Promise.all([
+            pool.query(`
+                SELECT DISTINCT activity_type as action FROM admin_activities
+                UNION
+                SELECT DISTINCT table_name || '.' || lower(action) FROM audit_log
+                ORDER BY 1
+            `),
+            pool.query('SELECT id, full_name as name FROM admin_users ORDER BY full_name')
+        ]);
+
+        res.json({
+            success: true,
+            actions: actionsQuery.rows.map((row) => row.action),
+            admins: adminsQuery.rows
+        });
+    } catch (error) {
+        logger.error('Error fetching audit trail filters:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch audit trail filters'
+        });
+    }
+});
+
+const AUDIT_EXPORT_BATCH_SIZE = 500;
+
+// Resolves once the response can take more, so a large export doesn't pile up in memory
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+    if (res.write(chunk)) {
+        resolve();
+    } else {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+    }
+});
+
+// Everything matching the search as one file for examiners, CSV or NDJSON, written as it is read
+app.get('/admin/audit/export', authenticateAdmin, requirePermission('view_audit_log'), async (req, res) => {
+    const { format = 'csv' } = req.query;
+    const { filters, errors } = readAuditFilters({ ...req.query, cursor: undefined, limit: undefined });
+    if (!auditExportFormats.includes(format)) {
+        errors.push({ field: 'format', message: `Format must be one of ${auditExportFormats.join(', ')}` });
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: errors
+        });
+    }
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    try {
+        await pool.query(`
+            INSERT INTO admin_activities (admin_id, activity_type, description, client_id, metadata, ip_address, user_agent)
+            VALUES ($1, 'audit_exported', $2, $3, $4, $5, $6)
+        `, [req.admin.id, `Audit trail exported as ${format.toUpperCase()}`, filters.clientId,
+            JSON.stringify({ format, filters: { ...filters, limit: undefined } }), req.ip, req.get('User-Agent')]);
+
+        let page = await searchAuditEntries(filters, AUDIT_EXPORT_BATCH_SIZE);
+
+        res.setHeader('Content-Type', auditExportContentTypes[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="audit-trail-${new Date().toISOString().slice(0, 10)}.${format}"`);
+        if (format === 'csv') {
+            res.write(`${formatCsvRow(auditCsvColumns)}\n`);
+        }
+
+        const formatRow = format === 'csv' ? formatAuditCsvRow : formatAuditNdjsonRow;
+        for (;;) {
+            if (page.entries.length > 0) {
+                await writeChunk(res, `${page.entries.map(formatRow).join('\n')}\n`);
+            }
+            if (!page.nextCursor || closed) {
+                break;
+            }
+            page = await searchAuditEntries({ ...filters, cursor: decodeAuditCursor(page.nextCursor) }, AUDIT_EXPORT_BATCH_SIZE);
+        }
+        res.end();
+    } catch (error) {
+        logger.error('Error exporting audit trail:', error);
+        if (res.headersSent) {
+            // Cut the download short rather than hand over a file that looks complete
+            return res.destroy(error);
+        }
+        if (error.code === '22P02') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid IP address or network',
+                code: 'INVALID_FILTER'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export audit trail'
+        });
+    }
+});
+
 // ============================================================================
 // HELPER FUNCTIONS FOR REPORTS
 // ============================================================================
@@ -1393,13 +4743,13 @@ async function generateKYCStatusReport(dateRange) {
         SELECT 
             status,
             COUNT(*) as count,
-            AVG(EXTRACT(EPOCH FROM (COALESCE(reviewed_at, NOW()) - request_date))/86400) as avg_processing_days
+            AVG(EXTRACT(EPOCH FROM (COALESCE(reviewed_at, NOW()) - submitted_at))/86400) as avg_processing_days
         FROM kyc_requests
-        WHERE request_date BETWEEN $1 AND $2
+        WHERE submitted_at BETWEEN $1 AND $2
         GROUP BY status
     `;
     
-    const result = await pool.query(query, [dateRange.startDate, dateRange.endDate]);
+    const result = await onboardingPool.query(query, [dateRange.startDate, dateRange.endDate]);
     return result.rows;
 }
 
@@ -1495,6 +4845,22 @@ const startServer = async () => {
             logger.info(`Alhambra Bank Internal Admin API server running on port ${CONFIG.port}`);
             logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
         });
+
+        // Enter recurring transfers as they fall due
+        runDaily('Recurring transfers', CONFIG.recurringTransferHour, runRecurringTransfers);
+
+        // Reconcile transfers, ledger and custody cash against the statements
+        runDaily('Reconciliation', CONFIG.reconciliationHour, runDailyReconciliation);
+
+        // Pick up the beneficiaries clients add or remove in the client portal
+        setInterval(syncClientPortalBeneficiaries, CONFIG.clientPortal.beneficiarySyncMinutes * 60 * 1000).unref();
+
+        // Sign the audit trail's head as it grows
+        if (auditSigningKey) {
+            setInterval(checkpointAuditTrail, CONFIG.audit.checkpointIntervalMinutes * 60 * 1000).unref();
+        } else {
+            logger.warn('AUDIT_SIGNING_KEY is not set: audit checkpoints will not be signed');
+        }
     } catch (error) {
         logger.error('Failed to start server:', error);
         process.exit(1);
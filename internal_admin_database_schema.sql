@@ -39,7 +39,8 @@ CREATE TABLE IF NOT EXISTS admin_sessions (
     last_activity TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Admin activities log
+-- Admin activities log. Append-only and hash-chained (server/services/auditChain.js): the chain columns are
+-- set by the chain_admin_activity trigger.
 CREATE TABLE IF NOT EXISTS admin_activities (
     id SERIAL PRIMARY KEY,
     admin_id INTEGER NOT NULL REFERENCES admin_users(id),
@@ -49,6 +50,20 @@ CREATE TABLE IF NOT EXISTS admin_activities (
     metadata JSONB,
     ip_address INET,
     user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    chain_seq BIGINT NOT NULL, -- Position in the chain, from 1 with no gaps
+    previous_hash VARCHAR(64), -- entry_hash of the entry before; NULL for the first
+    entry_hash VARCHAR(64) NOT NULL -- SHA-256 of previous_hash and admin_activity_chain_payload
+);
+
+-- Signed heads of the audit chains: admin_activities here, audit_logs in the dashboard database
+CREATE TABLE IF NOT EXISTS audit_checkpoints (
+    id SERIAL PRIMARY KEY,
+    chain_name VARCHAR(50) NOT NULL,
+    chain_seq BIGINT NOT NULL,
+    entry_hash VARCHAR(64) NOT NULL,
+    signature TEXT NOT NULL, -- Ed25519 over "chain_name:chain_seq:entry_hash", base64
+    key_id VARCHAR(16) NOT NULL, -- Which signing key; see loadSigningKey
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -192,6 +207,31 @@ CREATE TABLE IF NOT EXISTS kyc_documents (
 -- FUND TRANSFERS MANAGEMENT
 -- ============================================================================
 
+-- Saved beneficiaries, validated by src/lib/beneficiaries.js; wires are only sent to these
+CREATE TABLE IF NOT EXISTS beneficiaries (
+    id SERIAL PRIMARY KEY,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    nickname VARCHAR(50) NOT NULL,
+    name VARCHAR(140) NOT NULL,
+    address TEXT,
+    country VARCHAR(2) NOT NULL,
+    account_number VARCHAR(34) NOT NULL, -- The IBAN in countries that use one
+    iban VARCHAR(34),
+    bic VARCHAR(11),
+    routing_number VARCHAR(9), -- ABA routing number, US beneficiaries
+    bank_name VARCHAR(140),
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    created_by INTEGER REFERENCES admin_users(id), -- NULL when the client added it
+    portal_beneficiary_id VARCHAR(64) UNIQUE, -- Client portal address book entry it was copied from
+    cooling_off_until TIMESTAMP WITH TIME ZONE NOT NULL, -- No payments before this
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    
+    CONSTRAINT valid_beneficiary_status CHECK (status IN ('active', 'deleted'))
+);
+
+CREATE SEQUENCE IF NOT EXISTS transfer_reference_seq START 100000;
+
 -- Fund transfers table
 CREATE TABLE IF NOT EXISTS fund_transfers (
     id SERIAL PRIMARY KEY,
@@ -205,7 +245,16 @@ CREATE TABLE IF NOT EXISTS fund_transfers (
     to_account_id INTEGER REFERENCES accounts(id),
     routing_number VARCHAR(20),
     swift_code VARCHAR(20),
-    reference_number VARCHAR(50) UNIQUE,
+    reference_number VARCHAR(50) UNIQUE DEFAULT ('FT' || nextval('transfer_reference_seq')),
+    beneficiary_id INTEGER REFERENCES beneficiaries(id), -- Saved beneficiary; the fields below are copied from it
+    beneficiary_name VARCHAR(255),
+    beneficiary_address TEXT, -- One line per row
+    beneficiary_country VARCHAR(2), -- ISO 3166-1 alpha-2
+    purpose VARCHAR(255), -- Remittance information passed to the beneficiary
+    charge_bearer VARCHAR(3) DEFAULT 'SHA', -- MT103 field 71A: OUR, SHA or BEN
+    uetr UUID, -- SWIFT gpi end-to-end reference, set when the first payment message is generated
+    execution_date DATE, -- Business day it goes out, after cut-off and holidays (src/lib/transferCalendar.js)
+    recurring_transfer_id INTEGER, -- Schedule that spawned it
     status VARCHAR(20) NOT NULL DEFAULT 'pending',
     request_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     scheduled_date TIMESTAMP WITH TIME ZONE,
@@ -215,19 +264,31 @@ CREATE TABLE IF NOT EXISTS fund_transfers (
     internal_notes TEXT, -- Admin-only notes
     reviewed_by INTEGER REFERENCES admin_users(id),
     processed_by INTEGER REFERENCES admin_users(id),
+    created_by INTEGER REFERENCES admin_users(id), -- Admin who entered the transfer; NULL when the client requested it
+    required_approvals JSONB, -- Approval levels fixed at the first sign-off, see src/lib/transferApprovals.js
     fee_amount DECIMAL(10,2) DEFAULT 0.00,
-    exchange_rate DECIMAL(10,6),
+    exchange_rate DECIMAL(18,8), -- Rate the client was quoted: debit currency units per unit of currency
+    debit_currency VARCHAR(3), -- Debit account's currency; the fields below are set when it differs from currency
+    debit_amount DECIMAL(15,2), -- Taken from the debit account, FX spread included
+    fx_mid_rate DECIMAL(18,8), -- Mid-market rate at the time of the quote, same terms as exchange_rate
+    fx_fee DECIMAL(15,2), -- FX income in the debit currency: debit_amount less the mid-market conversion
+    fx_quoted_at TIMESTAMP WITH TIME ZONE,
+    amount_usd DECIMAL(15,2), -- Amount at the mid-market rate, counted against the USD transfer limits
     
     CONSTRAINT valid_transfer_type CHECK (transfer_type IN (
         'wire_domestic', 'wire_international', 'ach_credit', 'ach_debit', 
         'internal_transfer', 'check', 'deposit', 'withdrawal'
     )),
+    CONSTRAINT valid_charge_bearer CHECK (charge_bearer IN ('OUR', 'SHA', 'BEN')),
     CONSTRAINT valid_transfer_status CHECK (status IN (
         'pending', 'approved', 'rejected', 'processing', 'completed', 'failed', 'cancelled'
     )),
     CONSTRAINT positive_amount CHECK (amount > 0)
 );
 
+-- Databases created before quoted rates were kept to 8 places; DECIMAL(10,6) tops out below an IDR or VND rate
+ALTER TABLE fund_transfers ALTER COLUMN exchange_rate TYPE DECIMAL(18,8);
+
 -- Transfer approvals workflow
 CREATE TABLE IF NOT EXISTS transfer_approvals (
     id SERIAL PRIMARY KEY,
@@ -240,7 +301,238 @@ CREATE TABLE IF NOT EXISTS transfer_approvals (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     CONSTRAINT valid_approval_status CHECK (status IN ('pending', 'approved', 'rejected')),
-    UNIQUE(transfer_id, approval_level)
+    UNIQUE(transfer_id, approval_level),
+    UNIQUE(transfer_id, approver_id) -- Each level needs a different approver
+);
+
+-- Daily and monthly transfer limits in USD: one row per client (account_id NULL) and optional rows per
+-- account. Clients without a row get the transfer_daily_limit and transfer_monthly_limit settings.
+CREATE TABLE IF NOT EXISTS transfer_limits (
+    id SERIAL PRIMARY KEY,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+    daily_limit DECIMAL(15,2),
+    monthly_limit DECIMAL(15,2),
+    updated_by INTEGER REFERENCES admin_users(id),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Payment system closures beyond the holidays src/lib/transferCalendar.js works out itself
+CREATE TABLE IF NOT EXISTS bank_holidays (
+    id SERIAL PRIMARY KEY,
+    calendar VARCHAR(10) NOT NULL, -- US or TARGET
+    holiday_date DATE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_by INTEGER REFERENCES admin_users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(calendar, holiday_date)
+);
+
+-- Monthly or quarterly transfers to a saved beneficiary; a background job enters each one as a fund
+-- transfer a few days ahead so it can be approved in time
+CREATE TABLE IF NOT EXISTS recurring_transfers (
+    id SERIAL PRIMARY KEY,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    beneficiary_id INTEGER NOT NULL REFERENCES beneficiaries(id),
+    from_account_id INTEGER NOT NULL REFERENCES accounts(id),
+    amount DECIMAL(15,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    charge_bearer VARCHAR(3) DEFAULT 'SHA',
+    purpose VARCHAR(140),
+    frequency VARCHAR(20) NOT NULL,
+    day_of_month INTEGER NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_run_date DATE, -- NULL once cancelled or completed
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT, -- Why the last due occurrence couldn't be entered; it is retried on the next run
+    created_by INTEGER REFERENCES admin_users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_recurring_frequency CHECK (frequency IN ('monthly', 'quarterly')),
+    CONSTRAINT valid_recurring_day CHECK (day_of_month BETWEEN 1 AND 31),
+    CONSTRAINT valid_recurring_status CHECK (status IN ('active', 'paused', 'cancelled', 'completed'))
+);
+
+-- Payment instructions generated for approved wires (src/lib/paymentMessages.js)
+CREATE TABLE IF NOT EXISTS payment_messages (
+    id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL REFERENCES fund_transfers(id) ON DELETE CASCADE,
+    message_type VARCHAR(10) NOT NULL,
+    message_id VARCHAR(35) NOT NULL, -- pacs.008 MsgId or MT103 field 20
+    content TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'generated',
+    validation_errors JSONB NOT NULL DEFAULT '[]',
+    generated_by INTEGER REFERENCES admin_users(id),
+    generated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE, -- Last delivery to the outbound drop
+    send_count INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    
+    CONSTRAINT valid_payment_message_type CHECK (message_type IN ('pacs.008', 'MT103')),
+    CONSTRAINT valid_payment_message_status CHECK (status IN ('generated', 'invalid', 'sent', 'failed'))
+);
+
+-- ============================================================================
+-- LEDGER AND FOREIGN EXCHANGE
+-- ============================================================================
+
+-- FX rate sheet: mid-market units of the currency per USD (src/lib/fx.js). The latest row of each
+-- currency is current; older rows stay for the record.
+CREATE TABLE IF NOT EXISTS fx_rates (
+    id SERIAL PRIMARY KEY,
+    currency VARCHAR(3) NOT NULL,
+    units_per_usd DECIMAL(18,8) NOT NULL,
+    source VARCHAR(20) NOT NULL, -- file or manual
+    file_name VARCHAR(255),
+    effective_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    entered_by INTEGER REFERENCES admin_users(id),
+    
+    CONSTRAINT valid_fx_rate_source CHECK (source IN ('file', 'manual')),
+    CONSTRAINT positive_fx_rate CHECK (units_per_usd > 0)
+);
+
+-- Ledger accounts: one per client account, and the bank's own accounts named by system_code
+-- (src/lib/ledger.js internalLedgerAccounts)
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    account_type VARCHAR(20) NOT NULL,
+    account_id INTEGER UNIQUE REFERENCES accounts(id),
+    system_code VARCHAR(50) UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_ledger_account_type CHECK (account_type IN ('asset', 'liability', 'equity', 'income', 'expense')),
+    CONSTRAINT ledger_account_owner CHECK ((account_id IS NULL) <> (system_code IS NULL))
+);
+
+-- Balance of each ledger account in each currency it has moved in, kept up to date as lines are posted
+CREATE TABLE IF NOT EXISTS ledger_balances (
+    ledger_account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+    currency VARCHAR(3) NOT NULL,
+    balance DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    PRIMARY KEY (ledger_account_id, currency)
+);
+
+CREATE TABLE IF NOT EXISTS journal_entries (
+    id SERIAL PRIMARY KEY,
+    entry_type VARCHAR(30) NOT NULL, -- transfer or opening_balance
+    transfer_id INTEGER REFERENCES fund_transfers(id),
+    description TEXT,
+    posted_by INTEGER REFERENCES admin_users(id),
+    posted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS journal_lines (
+    id SERIAL PRIMARY KEY,
+    entry_id INTEGER NOT NULL REFERENCES journal_entries(id),
+    ledger_account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+    currency VARCHAR(3) NOT NULL,
+    debit DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+    credit DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+    
+    CONSTRAINT one_sided_journal_line CHECK ((debit > 0 AND credit = 0) OR (credit > 0 AND debit = 0))
+);
+
+-- ============================================================================
+-- RECONCILIATION
+-- ============================================================================
+
+-- Custody account statements loaded from camt.053 or CSV files
+CREATE TABLE IF NOT EXISTS bank_statements (
+    id SERIAL PRIMARY KEY,
+    format VARCHAR(10) NOT NULL, -- camt.053 or csv
+    file_name VARCHAR(255),
+    file_hash VARCHAR(64) NOT NULL, -- SHA-256 of the file; a file is loaded once
+    statement_id VARCHAR(100), -- Stmt/Id of a camt.053 statement
+    account VARCHAR(50),
+    currency VARCHAR(3),
+    statement_date DATE,
+    opening_balance DECIMAL(18,2),
+    closing_balance DECIMAL(18,2),
+    imported_by INTEGER REFERENCES admin_users(id),
+    imported_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(file_hash, statement_id)
+);
+
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+    id SERIAL PRIMARY KEY,
+    statement_id INTEGER NOT NULL REFERENCES bank_statements(id) ON DELETE CASCADE,
+    booking_date DATE NOT NULL,
+    value_date DATE,
+    amount DECIMAL(18,2) NOT NULL,
+    direction VARCHAR(6) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    reference VARCHAR(100), -- End-to-end id, our transfer reference when we sent the payment
+    uetr VARCHAR(36),
+    bank_reference VARCHAR(100), -- The bank's own reference for the entry (AcctSvcrRef)
+    counterparty_name VARCHAR(255),
+    remittance_info TEXT,
+    
+    CONSTRAINT valid_statement_line_direction CHECK (direction IN ('debit', 'credit'))
+);
+
+-- One row per reconciliation run: the custody cash balance IBOSS reported and what the run found
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id SERIAL PRIMARY KEY,
+    as_of_date DATE NOT NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    iboss_cash_balance DECIMAL(18,2), -- GetAccountBalance CashBalance of the custody account
+    iboss_currency VARCHAR(3),
+    iboss_error TEXT, -- Why the balance couldn't be fetched; the rest of the run goes ahead
+    matched_count INTEGER DEFAULT 0,
+    break_count INTEGER DEFAULT 0,
+    error_message TEXT,
+    started_by INTEGER REFERENCES admin_users(id), -- NULL for the daily job
+    
+    CONSTRAINT valid_reconciliation_run_status CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+-- Transfers paired with the statement debit that paid them
+CREATE TABLE IF NOT EXISTS reconciliation_matches (
+    id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL UNIQUE REFERENCES fund_transfers(id),
+    statement_line_id INTEGER NOT NULL UNIQUE REFERENCES bank_statement_lines(id),
+    match_type VARCHAR(20) NOT NULL, -- reference, amount_date or manual
+    run_id INTEGER REFERENCES reconciliation_runs(id),
+    matched_by INTEGER REFERENCES admin_users(id), -- Set on manual matches
+    matched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Breaks found by reconciliation (src/lib/reconciliation.js). A break stays open, and each run that finds it
+-- again updates last_seen_run_id, until ops resolve it or a later run no longer finds it.
+CREATE TABLE IF NOT EXISTS reconciliation_breaks (
+    id SERIAL PRIMARY KEY,
+    break_key VARCHAR(200) NOT NULL, -- getBreakKey: type, source and the rows involved
+    break_type VARCHAR(20) NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    transfer_id INTEGER REFERENCES fund_transfers(id),
+    statement_line_id INTEGER REFERENCES bank_statement_lines(id),
+    statement_id INTEGER REFERENCES bank_statements(id),
+    expected_amount DECIMAL(18,2),
+    actual_amount DECIMAL(18,2),
+    currency VARCHAR(3),
+    description TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    first_run_id INTEGER REFERENCES reconciliation_runs(id),
+    last_seen_run_id INTEGER REFERENCES reconciliation_runs(id),
+    detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolution VARCHAR(30),
+    resolution_notes TEXT,
+    resolved_by INTEGER REFERENCES admin_users(id), -- NULL when a later run cleared it
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    
+    CONSTRAINT valid_break_type CHECK (break_type IN ('unmatched', 'amount_mismatch', 'duplicate')),
+    CONSTRAINT valid_break_source CHECK (source IN ('transfer', 'statement_line', 'ledger', 'cash_balance')),
+    CONSTRAINT valid_break_status CHECK (status IN ('open', 'resolved'))
 );
 
 -- ============================================================================
@@ -473,6 +765,8 @@ CREATE INDEX IF NOT EXISTS idx_admin_activities_admin_id ON admin_activities(adm
 CREATE INDEX IF NOT EXISTS idx_admin_activities_type ON admin_activities(activity_type);
 CREATE INDEX IF NOT EXISTS idx_admin_activities_created ON admin_activities(created_at);
 CREATE INDEX IF NOT EXISTS idx_admin_activities_client_id ON admin_activities(client_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_activities_chain_seq ON admin_activities(chain_seq);
+CREATE INDEX IF NOT EXISTS idx_audit_checkpoints_chain ON audit_checkpoints(chain_name, chain_seq);
 
 -- Clients indexes
 CREATE INDEX IF NOT EXISTS idx_clients_email ON clients(email);
@@ -497,6 +791,22 @@ CREATE INDEX IF NOT EXISTS idx_fund_transfers_client_id ON fund_transfers(client
 CREATE INDEX IF NOT EXISTS idx_fund_transfers_status ON fund_transfers(status);
 CREATE INDEX IF NOT EXISTS idx_fund_transfers_date ON fund_transfers(request_date);
 CREATE INDEX IF NOT EXISTS idx_fund_transfers_reference ON fund_transfers(reference_number);
+CREATE INDEX IF NOT EXISTS idx_fund_transfers_beneficiary_id ON fund_transfers(beneficiary_id);
+CREATE INDEX IF NOT EXISTS idx_beneficiaries_client_id ON beneficiaries(client_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_beneficiaries_nickname ON beneficiaries(client_id, lower(nickname)) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_fund_transfers_execution_date ON fund_transfers(client_id, execution_date);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transfer_limits_scope ON transfer_limits(client_id, COALESCE(account_id, 0));
+CREATE INDEX IF NOT EXISTS idx_recurring_transfers_next_run ON recurring_transfers(status, next_run_date);
+CREATE INDEX IF NOT EXISTS idx_payment_messages_transfer_id ON payment_messages(transfer_id, generated_at);
+CREATE INDEX IF NOT EXISTS idx_fx_rates_currency ON fx_rates(currency, effective_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_transfer ON journal_entries(transfer_id) WHERE entry_type = 'transfer';
+CREATE INDEX IF NOT EXISTS idx_journal_lines_entry_id ON journal_lines(entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines(ledger_account_id, currency);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_booking_date ON bank_statement_lines(booking_date);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_statement_id ON bank_statement_lines(statement_id);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_as_of_date ON reconciliation_runs(as_of_date DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_breaks_open_key ON reconciliation_breaks(break_key) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_reconciliation_breaks_status ON reconciliation_breaks(status, detected_at);
 
 -- Communications indexes
 CREATE INDEX IF NOT EXISTS idx_communications_client_id ON client_communications(client_id);
@@ -547,6 +857,9 @@ INSERT INTO system_settings (setting_key, setting_value, description, category)
 ('kyc_auto_approval', 'false', 'Enable automatic KYC approval for low-risk clients', 'kyc'),
 ('transfer_daily_limit', '50000', 'Daily transfer limit in USD', 'transfers'),
 ('transfer_monthly_limit', '500000', 'Monthly transfer limit in USD', 'transfers'),
+('beneficiary_cooling_off_hours', '24', 'Hours before a newly added beneficiary can be paid', 'transfers'),
+('recurring_transfer_lead_days', '2', 'Days ahead of its date a recurring transfer is entered for approval', 'transfers'),
+('fx_spread', '{"defaultBps": 50, "currencies": {"EUR": 25, "GBP": 25, "CAD": 30}}', 'FX spread in basis points each side of mid, by currency', 'transfers'),
 ('notification_email_enabled', 'true', 'Enable email notifications', 'notifications'),
 ('notification_sms_enabled', 'false', 'Enable SMS notifications', 'notifications'),
 ('session_timeout_hours', '8', 'Admin session timeout in hours', 'security'),
@@ -554,6 +867,14 @@ INSERT INTO system_settings (setting_key, setting_value, description, category)
 ('mfa_required', 'false', 'Require MFA for all admin users', 'security')
 ON CONFLICT (setting_key) DO NOTHING;
 
+-- The bank's own ledger accounts (src/lib/ledger.js internalLedgerAccounts)
+INSERT INTO ledger_accounts (name, account_type, system_code) VALUES
+('Outgoing payments clearing', 'liability', 'payments_clearing'),
+('FX position', 'asset', 'fx_position'),
+('FX income', 'income', 'fx_income'),
+('Opening balances', 'equity', 'opening_balances')
+ON CONFLICT (system_code) DO NOTHING;
+
 -- Insert sample notification
 INSERT INTO admin_notifications (title, message, type, priority) VALUES
 ('Welcome to Alhambra Bank Admin Dashboard', 'The internal admin dashboard is now ready for use. You can manage clients, KYC requests, fund transfers, and more.', 'info', 'normal')
@@ -647,6 +968,85 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Journal entries must balance in every currency. Checked at commit, once all of an entry's lines are in.
+CREATE OR REPLACE FUNCTION check_journal_entry_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    unbalanced VARCHAR(3);
+BEGIN
+    SELECT currency INTO unbalanced
+    FROM journal_lines
+    WHERE entry_id = NEW.entry_id
+    GROUP BY currency
+    HAVING SUM(debit) <> SUM(credit)
+    LIMIT 1;
+    IF unbalanced IS NOT NULL THEN
+        RAISE EXCEPTION 'Journal entry % does not balance in %', NEW.entry_id, unbalanced;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER journal_lines_balanced AFTER INSERT ON journal_lines DEFERRABLE INITIALLY DEFERRED FOR EACH ROW EXECUTE FUNCTION check_journal_entry_balanced();
+
+-- Posted lines are never changed: corrections are new entries
+CREATE OR REPLACE FUNCTION prevent_journal_line_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'journal_lines is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER journal_lines_append_only BEFORE UPDATE OR DELETE ON journal_lines FOR EACH ROW EXECUTE FUNCTION prevent_journal_line_changes();
+
+-- What an admin_activities entry's hash covers: every column but the hash itself, timestamps in UTC so the
+-- text doesn't depend on the session's time zone
+CREATE OR REPLACE FUNCTION admin_activity_chain_payload(entry admin_activities)
+RETURNS TEXT AS $$
+    SELECT json_build_array(
+        entry.chain_seq, entry.id, entry.admin_id, entry.activity_type, entry.description, entry.client_id,
+        entry.metadata, host(entry.ip_address), entry.user_agent,
+        to_char(entry.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')
+    )::text;
+$$ LANGUAGE sql STABLE;
+
+-- Links each new entry to the last one. The advisory lock holds other writers back until this transaction
+-- ends, so entries are chained in the order they commit.
+CREATE OR REPLACE FUNCTION chain_admin_activity()
+RETURNS TRIGGER AS $$
+DECLARE
+    last_seq BIGINT;
+    last_hash VARCHAR(64);
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('admin_activities_chain'));
+    SELECT chain_seq, entry_hash INTO last_seq, last_hash
+    FROM admin_activities
+    ORDER BY chain_seq DESC
+    LIMIT 1;
+
+    NEW.chain_seq := COALESCE(last_seq, 0) + 1;
+    NEW.previous_hash := last_hash;
+    NEW.created_at := COALESCE(NEW.created_at, NOW());
+    NEW.entry_hash := encode(sha256(convert_to(COALESCE(last_hash, '') || admin_activity_chain_payload(NEW), 'UTF8')), 'hex');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER admin_activities_chain BEFORE INSERT ON admin_activities FOR EACH ROW EXECUTE FUNCTION chain_admin_activity();
+
+-- The audit trail and its checkpoints are evidence for regulators: rows are only ever added
+CREATE OR REPLACE FUNCTION prevent_audit_trail_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER admin_activities_append_only BEFORE UPDATE OR DELETE ON admin_activities FOR EACH ROW EXECUTE FUNCTION prevent_audit_trail_changes();
+CREATE TRIGGER admin_activities_no_truncate BEFORE TRUNCATE ON admin_activities FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_trail_changes();
+CREATE TRIGGER audit_checkpoints_append_only BEFORE UPDATE OR DELETE ON audit_checkpoints FOR EACH ROW EXECUTE FUNCTION prevent_audit_trail_changes();
+CREATE TRIGGER audit_checkpoints_no_truncate BEFORE TRUNCATE ON audit_checkpoints FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_trail_changes();
+
 -- Audit triggers for sensitive tables
 CREATE TRIGGER audit_clients AFTER INSERT OR UPDATE OR DELETE ON clients FOR EACH ROW EXECUTE FUNCTION log_admin_activity();
 CREATE TRIGGER audit_kyc_requests AFTER INSERT OR UPDATE OR DELETE ON kyc_requests FOR EACH ROW EXECUTE FUNCTION log_admin_activity();
@@ -4,6 +4,12 @@
 
 const AWS = require('aws-sdk');
 const AlhambraCognitoAuth = require('./aws_cognito_auth_system');
+const {
+    DEFAULT_BENEFICIARY_COOLING_OFF_HOURS,
+    getCoolingOffEnd,
+    normalizeBeneficiary,
+    validateBeneficiary
+} = require('./src/lib/beneficiaries.js');
 
 // Configure AWS SDK
 AWS.config.update({ region: 'us-east-1' });
@@ -130,6 +136,11 @@ class LambdaClientRequestHandler {
 
             console.log(`Service request from client: ${sessionValidation.user.email}`);
 
+            // Beneficiary address book: /services/beneficiaries, and /services/beneficiaries/{id} for one entry
+            if (path === '/services/beneficiaries' || path.startsWith('/services/beneficiaries/')) {
+                return await this.handleBeneficiaryRequest(sessionValidation.user, httpMethod, path, requestBody, headers);
+            }
+
             // Route to appropriate service handler
             switch (path) {
                 case '/services/account-info':
@@ -473,6 +484,108 @@ class LambdaClientRequestHandler {
         }
     }
 
+    // Beneficiary address book. Entries are checked with the bank's own rules (src/lib/beneficiaries.js) and
+    // held here until the internal admin API copies them into the beneficiaries wires are sent to
+    // (syncClientPortalBeneficiaries); it writes back syncStatus, the bank's id and the cooling-off period.
+    // The alhambra-client-beneficiaries table is keyed by clientEmail and beneficiaryId, with a SyncStatusIndex
+    // on syncStatus for the admin API to find the entries it hasn't copied yet.
+    async handleBeneficiaryRequest(user, httpMethod, path, requestBody, headers) {
+        const beneficiaryId = path.split('/')[3];
+
+        if (!beneficiaryId && httpMethod === 'GET') {
+            return await this.listBeneficiaries(user, headers);
+        }
+        if (!beneficiaryId && httpMethod === 'POST') {
+            return await this.addBeneficiary(user, requestBody, headers);
+        }
+        if (beneficiaryId && httpMethod === 'DELETE') {
+            return await this.removeBeneficiary(user, decodeURIComponent(beneficiaryId), headers);
+        }
+        return this.createResponse(405, { error: 'Method not allowed' }, headers);
+    }
+
+    async listBeneficiaries(user, headers) {
+        try {
+            const beneficiaries = await this.getClientBeneficiaries(user.email);
+
+            return this.createResponse(200, {
+                success: true,
+                data: beneficiaries.map((beneficiary) => this.sanitizeBeneficiary(beneficiary))
+            }, headers);
+
+        } catch (error) {
+            console.error('Beneficiary list error:', error);
+            return this.createResponse(500, { error: 'Failed to retrieve beneficiaries' }, headers);
+        }
+    }
+
+    async addBeneficiary(user, requestBody, headers) {
+        try {
+            const errors = validateBeneficiary(requestBody);
+            if (Object.keys(errors).length > 0) {
+                return this.createResponse(400, { error: 'Validation failed', details: errors }, headers);
+            }
+
+            const beneficiary = normalizeBeneficiary(requestBody);
+            const existing = await this.getClientBeneficiaries(user.email);
+            if (existing.some((item) => item.nickname.toLowerCase() === beneficiary.nickname.toLowerCase())) {
+                const message = 'You already have a beneficiary with this nickname';
+                return this.createResponse(409, { error: message, details: { nickname: message } }, headers);
+            }
+
+            // The bank applies its own cooling-off period when it copies the entry; this is the default until then
+            const createdAt = new Date();
+            const item = await this.createClientBeneficiary({
+                clientEmail: user.email,
+                ...beneficiary,
+                status: 'active',
+                createdAt: createdAt.toISOString(),
+                coolingOffUntil: getCoolingOffEnd(createdAt, DEFAULT_BENEFICIARY_COOLING_OFF_HOURS).toISOString(),
+                syncStatus: 'pending'
+            });
+
+            return this.createResponse(201, { success: true, data: this.sanitizeBeneficiary(item) }, headers);
+
+        } catch (error) {
+            console.error('Beneficiary add error:', error);
+            return this.createResponse(500, { error: 'Failed to save beneficiary' }, headers);
+        }
+    }
+
+    async removeBeneficiary(user, beneficiaryId, headers) {
+        try {
+            const removed = await this.deleteClientBeneficiary(user.email, beneficiaryId);
+            if (!removed) {
+                return this.createResponse(404, { error: 'Beneficiary not found' }, headers);
+            }
+
+            return this.createResponse(200, { success: true, message: 'Beneficiary removed' }, headers);
+
+        } catch (error) {
+            console.error('Beneficiary remove error:', error);
+            return this.createResponse(500, { error: 'Failed to remove beneficiary' }, headers);
+        }
+    }
+
+    sanitizeBeneficiary(beneficiary) {
+        return {
+            beneficiaryId: beneficiary.beneficiaryId,
+            nickname: beneficiary.nickname,
+            name: beneficiary.name,
+            country: beneficiary.country,
+            accountNumber: this.maskAccountNumber(beneficiary.accountNumber),
+            bic: beneficiary.bic,
+            routingNumber: beneficiary.routingNumber,
+            bankName: beneficiary.bankName,
+            createdAt: beneficiary.createdAt,
+            coolingOffUntil: beneficiary.coolingOffUntil,
+            inCoolingOff: new Date(beneficiary.coolingOffUntil) > new Date(),
+            // pending until the bank has copied it, rejected (with syncError) if the bank could not
+            syncStatus: beneficiary.syncStatus,
+            syncError: beneficiary.syncError || null
+        };
+    }
+
     // Database operations (secure client database, isolated from internal systems)
     async getClientPortfolioData(email) {
         const params = {
@@ -537,6 +650,55 @@ class LambdaClientRequestHandler {
         return result.Item;
     }
 
+    async getClientBeneficiaries(email) {
+        const params = {
+            TableName: 'alhambra-client-beneficiaries',
+            KeyConditionExpression: 'clientEmail = :email',
+            FilterExpression: '#status = :active',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':email': email, ':active': 'active' }
+        };
+        const result = await dynamodb.query(params).promise();
+        return result.Items || [];
+    }
+
+    async createClientBeneficiary(beneficiaryData) {
+        const beneficiaryId = `BEN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const item = { beneficiaryId, ...beneficiaryData };
+        const params = {
+            TableName: 'alhambra-client-beneficiaries',
+            Item: item
+        };
+        await dynamodb.put(params).promise();
+        return item;
+    }
+
+    // Marks the entry deleted for the bank to remove too; false when the client has no such active entry
+    async deleteClientBeneficiary(email, beneficiaryId) {
+        const params = {
+            TableName: 'alhambra-client-beneficiaries',
+            Key: { clientEmail: email, beneficiaryId },
+            UpdateExpression: 'SET #status = :deleted, deletedAt = :deletedAt, syncStatus = :pending',
+            ConditionExpression: '#status = :active',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':deleted': 'deleted',
+                ':active': 'active',
+                ':pending': 'pending',
+                ':deletedAt': new Date().toISOString()
+            }
+        };
+        try {
+            await dynamodb.update(params).promise();
+            return true;
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
     async createAdvisorRequest(requestData) {
         const requestId = `ADV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         const params = {
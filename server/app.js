@@ -11,6 +11,32 @@ const path = require('path');
 const fs = require('fs').promises;
 require('dotenv').config();
 
+const createApplicationsRouter = require('./routes/applications');
+const createApplicationStatusRouter = require('./routes/applicationStatus');
+const { scheduleNightlyRescreen } = require('./services/sanctionsScreening');
+const { scheduleDailyAmlRiskReview } = require('./services/amlRiskRating');
+const { loadSigningKey, createAuditCheckpoint, verifyAuditChain } = require('./services/auditChain');
+const {
+  auditExportFormats,
+  auditExportContentTypes,
+  auditCsvColumns,
+  parseAuditFilters,
+  encodeAuditCursor,
+  decodeAuditCursor,
+  toContainsPattern,
+  getFieldChanges,
+  formatAuditCsvRow,
+  formatAuditNdjsonRow
+} = require('../src/lib/auditTrail.js');
+const { formatCsvRow } = require('../src/lib/csv.js');
+const {
+  editableClientFields,
+  clientChangeReasons,
+  sensitiveClientFields,
+  changeAlertDecisions,
+  getSensitiveChanges
+} = require('../src/lib/clientProfile.js');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -105,26 +131,37 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Audit logging middleware
-const auditLog = async (req, res, next) => {
+// Audit logging middleware. The entry is written once the response is done with, so it records the status
+// and whatever the handler left in res.locals.auditDetails (a PATCH's before and after values, for one).
+// That's on 'close', not 'finish': 'finish' never fires when the client disconnects first, and the
+// handler's changes stand whether or not the response reached them.
+// audit_logs is hash-chained and append-only (services/auditChain.js).
+const auditLog = (req, res, next) => {
   if (req.user) {
-    try {
-      await pool.query(
-        `INSERT INTO audit_logs (admin_id, action, resource_type, resource_id, details, ip_address, user_agent)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          req.user.id,
-          `${req.method} ${req.path}`,
-          req.path.split('/')[2] || 'unknown',
-          req.params.id || null,
-          JSON.stringify({ body: req.body, query: req.query }),
-          req.ip,
-          req.get('User-Agent')
-        ]
-      );
-    } catch (error) {
-      console.error('Audit logging error:', error);
-    }
+    // The route, not the path, so entries can be searched by action: PATCH /api/clients/:id
+    const action = `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`;
+    const resourceType = req.path.split('/')[2] || 'unknown';
+    const resourceId = req.params.id || null;
+
+    res.once('close', async () => {
+      try {
+        await pool.query(
+          `INSERT INTO audit_logs (admin_id, action, resource_type, resource_id, details, ip_address, user_agent)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [
+            req.user.id,
+            action,
+            resourceType,
+            resourceId,
+            JSON.stringify({ body: req.body, query: req.query, status: res.statusCode, delivered: res.writableFinished, ...res.locals.auditDetails }),
+            req.ip,
+            req.get('User-Agent')
+          ]
+        );
+      } catch (error) {
+        console.error('Audit logging error:', error);
+      }
+    });
   }
   next();
 };
@@ -258,7 +295,7 @@ app.get('/api/clients', authenticateToken, auditLog, async (req, res) => {
 
     let query = `
       SELECT id, first_name, last_name, email, phone, status, 
-             account_number, portfolio_value, risk_score, 
+             account_number, portfolio_value, risk_score, risk_profile,
              created_at, updated_at
       FROM clients
       WHERE 1=1
@@ -305,50 +342,279 @@ app.get('/api/clients/:id', authenticateToken, auditLog, async (req, res) => {
   }
 });
 
+// Client profile changes need a reason code when CLIENT_CHANGE_REASON_REQUIRED is set
+const CHANGE_REASON_REQUIRED = process.env.CLIENT_CHANGE_REASON_REQUIRED === 'true';
+
+// Every change to a profile field is versioned by a trigger on clients (migration 013); a change to a
+// sensitive field also raises an alert for a second admin to review
 app.patch('/api/clients/:id', authenticateToken, auditLog, async (req, res) => {
+  const { id } = req.params;
+  const { reason_code: reasonCode, reason_notes: reasonNotes } = req.body;
+
+  const fields = editableClientFields.filter((field) => req.body[field] !== undefined);
+  if (fields.length === 0) {
+    return res.status(400).json({ message: 'No valid fields to update' });
+  }
+  if (reasonCode ? !clientChangeReasons.includes(reasonCode) : CHANGE_REASON_REQUIRED) {
+    return res.status(400).json({ message: `reason_code must be one of ${clientChangeReasons.join(', ')}` });
+  }
+  if (req.body.tax_residencies !== undefined && req.body.tax_residencies !== null && !Array.isArray(req.body.tax_residencies)) {
+    return res.status(400).json({ message: 'tax_residencies must be a list' });
+  }
+
+  const params = [id];
+  const updates = fields.map((field) => {
+    params.push(field === 'tax_residencies' && req.body[field] !== null ? JSON.stringify(req.body[field]) : req.body[field]);
+    return `${field} = $${params.length}`;
+  });
+  updates.push('updated_at = CURRENT_TIMESTAMP');
+
+  const db = await pool.connect();
   try {
-    const { id } = req.params;
-    const { status, portfolio_value, risk_score } = req.body;
+    await db.query('BEGIN');
 
-    const updates = [];
-    const params = [id];
-    let paramCount = 1;
+    // Who and why, for the version the trigger writes
+    await db.query(
+      `SELECT set_config('app.admin_id', $1, true), set_config('app.change_reason', $2, true),
+              set_config('app.change_notes', $3, true)`,
+      [req.user.id, reasonCode || '', reasonNotes || '']
+    );
 
-    if (status) {
-      paramCount++;
-      updates.push(`status = $${paramCount}`);
-      params.push(status);
-    }
+    // The row as it was comes back too, for the audit trail's before and after
+    const result = await db.query(
+      `WITH previous AS (SELECT * FROM clients WHERE id = $1 FOR UPDATE)
+       UPDATE clients SET ${updates.join(', ')}
+       FROM previous
+       WHERE clients.id = previous.id
+       RETURNING clients.*, to_jsonb(previous) AS previous_values, to_jsonb(clients) AS current_values`,
+      params
+    );
 
-    if (portfolio_value !== undefined) {
-      paramCount++;
-      updates.push(`portfolio_value = $${paramCount}`);
-      params.push(portfolio_value);
+    if (result.rows.length === 0) {
+      await db.query('ROLLBACK');
+      return res.status(404).json({ message: 'Client not found' });
     }
 
-    if (risk_score !== undefined) {
-      paramCount++;
-      updates.push(`risk_score = $${paramCount}`);
-      params.push(risk_score);
+    const { previous_values: previousValues, current_values: currentValues, ...client } = result.rows[0];
+    const changes = getFieldChanges(previousValues, currentValues);
+    const sensitiveChanges = getSensitiveChanges(changes);
+
+    let alertId = null;
+    if (sensitiveChanges.length > 0) {
+      const alertResult = await db.query(
+        `INSERT INTO client_change_alerts (client_id, version_id, fields, raised_by)
+         SELECT client_id, id, $2, $3
+         FROM client_profile_versions
+         WHERE client_id = $1
+         ORDER BY version DESC
+         LIMIT 1
+         RETURNING id`,
+        [id, sensitiveChanges.map((change) => change.field), req.user.id]
+      );
+      alertId = alertResult.rows[0].id;
     }
 
-    if (updates.length === 0) {
-      return res.status(400).json({ message: 'No valid fields to update' });
-    }
+    await db.query('COMMIT');
 
-    updates.push('updated_at = CURRENT_TIMESTAMP');
+    res.locals.auditDetails = { changes, reasonCode: reasonCode || null, changeAlertId: alertId };
+    res.json(client);
+  } catch (error) {
+    await db.query('ROLLBACK');
+    console.error('Client update error:', error);
+    res.status(500).json({ message: 'Failed to update client' });
+  } finally {
+    db.release();
+  }
+});
 
-    const query = `UPDATE clients SET ${updates.join(', ')} WHERE id = $1 RETURNING *`;
-    const result = await pool.query(query, params);
+// Every version of a client's profile, newest first
+app.get('/api/clients/:id/history', authenticateToken, auditLog, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT v.id, v.version, v.changes, v.changed_by, v.reason_code, v.reason_notes, v.changed_at,
+              au.first_name || ' ' || au.last_name as changed_by_name,
+              a.id as alert_id, a.status as alert_status
+       FROM client_profile_versions v
+       LEFT JOIN admin_users au ON v.changed_by = au.id
+       LEFT JOIN client_change_alerts a ON a.version_id = v.id
+       WHERE v.client_id = $1
+       ORDER BY v.version DESC`,
+      [req.params.id]
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Client not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json(result.rows);
   } catch (error) {
-    console.error('Client update error:', error);
-    res.status(500).json({ message: 'Failed to update client' });
+    console.error('Client history fetch error:', error);
+    res.status(500).json({ message: 'Failed to fetch client history' });
+  }
+});
+
+// The client's profile as it stood at a date (the end of that day) or a moment
+app.get('/api/clients/:id/profile', authenticateToken, auditLog, async (req, res) => {
+  const { asOf } = req.query;
+  if (!asOf || Number.isNaN(Date.parse(asOf))) {
+    return res.status(400).json({ message: 'asOf must be a date (YYYY-MM-DD) or a date and time' });
+  }
+  const asOfTime = /^\d{4}-\d{2}-\d{2}$/.test(asOf) ? `${asOf} 23:59:59.999999` : asOf;
+
+  try {
+    const result = await pool.query(
+      `SELECT v.client_id, v.version, v.profile, v.changed_at,
+              au.first_name || ' ' || au.last_name as changed_by_name
+       FROM client_profile_versions v
+       LEFT JOIN admin_users au ON v.changed_by = au.id
+       WHERE v.client_id = $1 AND v.changed_at <= $2::timestamp
+       ORDER BY v.version DESC
+       LIMIT 1`,
+      [req.params.id, asOfTime]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'No profile history for this client at that date' });
+    }
+
+    res.json({ ...result.rows[0], as_of: asOf });
+  } catch (error) {
+    console.error('Client profile fetch error:', error);
+    res.status(500).json({ message: 'Failed to fetch client profile' });
+  }
+});
+
+// Sensitive profile changes, oldest first, with the changes the alert is about
+app.get('/api/client-change-alerts', authenticateToken, auditLog, async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+
+    const result = await pool.query(
+      `SELECT a.*, CONCAT(c.first_name, ' ', c.last_name) as client_name, c.account_number,
+              rb.first_name || ' ' || rb.last_name as raised_by_name,
+              rv.first_name || ' ' || rv.last_name as reviewed_by_name,
+              v.version, v.reason_code, v.reason_notes,
+              (SELECT jsonb_agg(change) FROM jsonb_array_elements(v.changes) change
+               WHERE change->>'field' = ANY(a.fields)) as changes
+       FROM client_change_alerts a
+       JOIN clients c ON a.client_id = c.id
+       JOIN client_profile_versions v ON a.version_id = v.id
+       LEFT JOIN admin_users rb ON a.raised_by = rb.id
+       LEFT JOIN admin_users rv ON a.reviewed_by = rv.id
+       WHERE a.status = $1
+       ORDER BY a.raised_at ASC`,
+      [status]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Change alerts fetch error:', error);
+    res.status(500).json({ message: 'Failed to fetch change alerts' });
+  }
+});
+
+// Confirm or reject a sensitive change. The admin who made it can't review it. Rejecting a change puts the
+// fields it flagged back as they were before it, as a new version made by the reviewer; a field changed again
+// since is left as it is (the later change has its own alert) and listed in superseded_fields.
+app.post('/api/client-change-alerts/:id/review', authenticateToken, auditLog, async (req, res) => {
+  if (!['admin', 'manager'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Only admins and managers can review profile changes' });
+  }
+
+  const { decision, notes } = req.body;
+  if (!changeAlertDecisions.includes(decision)) {
+    return res.status(400).json({ message: `decision must be one of ${changeAlertDecisions.join(', ')}` });
+  }
+  if (decision === 'rejected' && !notes) {
+    return res.status(400).json({ message: 'Say why the change is rejected' });
+  }
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+
+    const alertResult = await db.query(
+      'SELECT client_id, status, raised_by FROM client_change_alerts WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+    if (alertResult.rows.length === 0) {
+      await db.query('ROLLBACK');
+      return res.status(404).json({ message: 'Change alert not found' });
+    }
+    const alert = alertResult.rows[0];
+    if (alert.raised_by === req.user.id) {
+      await db.query('ROLLBACK');
+      return res.status(403).json({ message: 'A change must be reviewed by someone other than the admin who made it' });
+    }
+    if (alert.status !== 'open') {
+      await db.query('ROLLBACK');
+      return res.status(409).json({ message: 'This change has already been reviewed' });
+    }
+
+    const revertedFields = [];
+    const supersededFields = [];
+    if (decision === 'rejected') {
+      await db.query('SELECT id FROM clients WHERE id = $1 FOR UPDATE', [alert.client_id]);
+
+      // Each flagged field's value before the change, and whether it still holds the value the change set
+      const changesResult = await db.query(
+        `SELECT change->>'field' AS field, change->'before' AS before,
+                client_profile_snapshot(c)->(change->>'field') = change->'after' AS unchanged_since
+         FROM client_change_alerts a
+         JOIN client_profile_versions v ON a.version_id = v.id
+         JOIN clients c ON a.client_id = c.id
+         CROSS JOIN jsonb_array_elements(v.changes) change
+         WHERE a.id = $1 AND change->>'field' = ANY(a.fields)`,
+        [req.params.id]
+      );
+      const previousValues = {};
+      changesResult.rows
+        .filter((change) => sensitiveClientFields.includes(change.field))
+        .forEach((change) => {
+          if (change.unchanged_since) {
+            revertedFields.push(change.field);
+            previousValues[change.field] = change.before;
+          } else {
+            supersededFields.push(change.field);
+          }
+        });
+
+      if (revertedFields.length > 0) {
+        await db.query(
+          `SELECT set_config('app.admin_id', $1, true), set_config('app.change_reason', 'correction', true),
+                  set_config('app.change_notes', $2, true)`,
+          [req.user.id, `Rejected change alert ${req.params.id}: ${notes}`]
+        );
+        // jsonb_populate_record turns each JSON value back into its column's type
+        await db.query(
+          `UPDATE clients
+           SET ${revertedFields.map((field) => `${field} = previous.${field}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+           FROM jsonb_populate_record(NULL::clients, $2::jsonb) previous
+           WHERE clients.id = $1`,
+          [alert.client_id, JSON.stringify(previousValues)]
+        );
+      }
+    }
+
+    const result = await db.query(
+      `UPDATE client_change_alerts
+       SET status = $1, reviewed_by = $2, review_notes = $3, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [decision, req.user.id, notes || null, req.params.id]
+    );
+
+    await db.query('COMMIT');
+
+    if (decision === 'rejected') {
+      res.locals.auditDetails = { revertedFields, supersededFields };
+    }
+    res.json({ ...result.rows[0], reverted_fields: revertedFields, superseded_fields: supersededFields });
+  } catch (error) {
+    await db.query('ROLLBACK');
+    console.error('Change alert review error:', error);
+    res.status(500).json({ message: 'Failed to review change alert' });
+  } finally {
+    db.release();
   }
 });
 
@@ -400,6 +666,14 @@ app.patch('/api/kyc-requests/:id', authenticateToken, auditLog, async (req, res)
       );
     }
 
+    // A decision closes any requests for further information still open on the applicant's status page
+    if (status === 'approved' || status === 'rejected') {
+      await pool.query(
+        'UPDATE kyc_information_requests SET resolved_at = CURRENT_TIMESTAMP WHERE kyc_request_id = $1 AND resolved_at IS NULL',
+        [id]
+      );
+    }
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('KYC update error:', error);
@@ -434,6 +708,11 @@ app.patch('/api/fund-transfers/:id', authenticateToken, auditLog, async (req, re
     const { id } = req.params;
     const { status } = req.body;
 
+    // Approval needs every level of the maker-checker policy to sign off, which the internal admin API records
+    if (status === 'approved') {
+      return res.status(409).json({ message: 'Fund transfers are approved through the multi-level approval workflow' });
+    }
+
     const query = `
       UPDATE fund_transfers 
       SET status = $1, approver_id = $2, approved_at = CURRENT_TIMESTAMP
@@ -616,6 +895,230 @@ app.get('/api/documents/:id/download', authenticateToken, auditLog, async (req,
   }
 });
 
+// Walk the audit_logs chain and report the first broken link and any checkpoint that doesn't hold
+const auditSigningKey = loadSigningKey(process.env.AUDIT_SIGNING_KEY);
+
+app.get('/api/audit/verify', authenticateToken, auditLog, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only admins can verify the audit trail' });
+  }
+
+  try {
+    const result = await verifyAuditChain(pool, 'audit_logs', auditSigningKey || {});
+    res.json({ signingKeyConfigured: Boolean(auditSigningKey), ...result });
+  } catch (error) {
+    console.error('Audit verification error:', error);
+    res.status(500).json({ message: 'Failed to verify audit trail' });
+  }
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The search from the query string, or the reasons it can't be run
+const readAuditFilters = (query) => {
+  const { filters, errors } = parseAuditFilters(query);
+  ['adminId', 'clientId'].forEach((field) => {
+    if (filters[field] && !UUID_PATTERN.test(filters[field])) {
+      errors.push({ field, message: `${field} must be a UUID` });
+    }
+  });
+  if (filters.cursor && !UUID_PATTERN.test(String(filters.cursor.id))) {
+    errors.push({ field: 'cursor', message: 'Invalid cursor' });
+  }
+  return { filters, errors };
+};
+
+// One page of audit_logs entries matching the filters (see parseAuditFilters), newest first
+const searchAuditEntries = async (filters, limit) => {
+  const conditions = [];
+  const params = [];
+  if (filters.adminId) {
+    params.push(filters.adminId);
+    conditions.push(`al.admin_id = $${params.length}`);
+  }
+  if (filters.clientId) {
+    params.push(filters.clientId);
+    conditions.push(`al.resource_type = 'clients' AND al.resource_id = $${params.length}`);
+  }
+  if (filters.action) {
+    params.push(filters.action);
+    conditions.push(`al.action = $${params.length}`);
+  }
+  if (filters.ip) {
+    params.push(filters.ip);
+    conditions.push(`al.ip_address <<= $${params.length}::inet`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`al.created_at >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`al.created_at < $${params.length}::date + 1`);
+  }
+  if (filters.q) {
+    params.push(toContainsPattern(filters.q));
+    conditions.push(`(al.action ILIKE $${params.length} OR al.details::text ILIKE $${params.length})`);
+  }
+  if (filters.cursor) {
+    params.push(filters.cursor.createdAt, filters.cursor.id);
+    conditions.push(`(al.created_at, al.id) < ($${params.length - 1}::timestamp, $${params.length}::uuid)`);
+  }
+  params.push(limit + 1);
+
+  const result = await pool.query(
+    `SELECT al.*, al.created_at::text as cursor_created_at,
+            au.first_name || ' ' || au.last_name as admin_name,
+            c.id as client_id, c.first_name || ' ' || c.last_name as client_name
+     FROM audit_logs al
+     LEFT JOIN admin_users au ON al.admin_id = au.id
+     LEFT JOIN clients c ON al.resource_type = 'clients' AND al.resource_id = c.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY al.created_at DESC, al.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  return {
+    entries: rows.map((row) => ({
+      source: 'audit_logs',
+      id: row.id,
+      created_at: row.created_at,
+      admin_id: row.admin_id,
+      admin_name: row.admin_name,
+      client_id: row.client_id,
+      client_name: row.client_name,
+      action: row.action,
+      description: [row.resource_type, row.resource_id].filter(Boolean).join(' '),
+      ip_address: row.ip_address,
+      user_agent: row.user_agent,
+      details: row.details,
+      changes: (row.details && row.details.changes) || [],
+      chain_seq: row.chain_seq,
+      entry_hash: row.entry_hash
+    })),
+    nextCursor: result.rows.length > limit
+      ? encodeAuditCursor({ createdAt: last.cursor_created_at, source: 'audit_logs', id: last.id })
+      : null
+  };
+};
+
+// Search the audit trail
+app.get('/api/audit/entries', authenticateToken, auditLog, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only admins can search the audit trail' });
+  }
+
+  const { filters, errors } = readAuditFilters(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: errors[0].message, errors });
+  }
+
+  try {
+    const { entries, nextCursor } = await searchAuditEntries(filters, filters.limit);
+    res.json({ entries, next_cursor: nextCursor });
+  } catch (error) {
+    // An address that matches the pattern but not a real network, such as 300.1.1.1
+    if (error.code === '22P02') {
+      return res.status(400).json({ message: 'Invalid IP address or network' });
+    }
+    console.error('Audit search error:', error);
+    res.status(500).json({ message: 'Failed to search audit trail' });
+  }
+});
+
+// The admins and actions to search by
+app.get('/api/audit/filters', authenticateToken, auditLog, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only admins can search the audit trail' });
+  }
+
+  try {
+    const [actions, admins] = await Promise.all([
+      pool.query('SELECT DISTINCT action FROM audit_logs ORDER BY action'),
+      pool.query(`SELECT id, first_name || ' ' || last_name as name FROM admin_users ORDER BY first_name, last_name`)
+    ]);
+    res.json({ actions: actions.rows.map((row) => row.action), admins: admins.rows });
+  } catch (error) {
+    console.error('Audit filters error:', error);
+    res.status(500).json({ message: 'Failed to fetch audit trail filters' });
+  }
+});
+
+const AUDIT_EXPORT_BATCH_SIZE = 500;
+
+// Resolves once the response can take more, so a large export doesn't pile up in memory
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) {
+    resolve();
+  } else {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  }
+});
+
+// Everything matching the search as one file for examiners, CSV or NDJSON, written as it is read. The export
+// itself goes into the audit trail through auditLog.
+app.get('/api/audit/export', authenticateToken, auditLog, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only admins can export the audit trail' });
+  }
+
+  const { format = 'csv' } = req.query;
+  const { filters, errors } = readAuditFilters({ ...req.query, cursor: undefined, limit: undefined });
+  if (!auditExportFormats.includes(format)) {
+    errors.push({ field: 'format', message: `Format must be one of ${auditExportFormats.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ message: errors[0].message, errors });
+  }
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  try {
+    let page = await searchAuditEntries(filters, AUDIT_EXPORT_BATCH_SIZE);
+
+    res.setHeader('Content-Type', auditExportContentTypes[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="audit-trail-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    if (format === 'csv') {
+      res.write(`${formatCsvRow(auditCsvColumns)}\n`);
+    }
+
+    const formatRow = format === 'csv' ? formatAuditCsvRow : formatAuditNdjsonRow;
+    for (;;) {
+      if (page.entries.length > 0) {
+        await writeChunk(res, `${page.entries.map(formatRow).join('\n')}\n`);
+      }
+      if (!page.nextCursor || closed) {
+        break;
+      }
+      page = await searchAuditEntries({ ...filters, cursor: decodeAuditCursor(page.nextCursor) }, AUDIT_EXPORT_BATCH_SIZE);
+    }
+    res.end();
+  } catch (error) {
+    console.error('Audit export error:', error);
+    if (res.headersSent) {
+      // Cut the download short rather than hand over a file that looks complete
+      return res.destroy(error);
+    }
+    if (error.code === '22P02') {
+      return res.status(400).json({ message: 'Invalid IP address or network' });
+    }
+    res.status(500).json({ message: 'Failed to export audit trail' });
+  }
+});
+
+// Online account opening (public, resume-token authenticated)
+app.use('/api/applications', createApplicationsRouter({ pool, authenticateToken, auditLog }));
+
+// Application status page (public, emailed one-time code)
+app.use('/api/application-status', createApplicationStatusRouter({ pool, redisClient, upload }));
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -658,4 +1161,24 @@ app.listen(PORT, () => {
   console.log(`AWS Account: ${process.env.AWS_ACCOUNT_ID || 'Not configured'}`);
 });
 
+// Re-screen clients overnight after a sanctions or PEP list is loaded
+scheduleNightlyRescreen(pool);
+
+// Re-rate clients whose AML risk inputs changed and open the periodic KYC reviews that have come due
+scheduleDailyAmlRiskReview(pool);
+
+// Sign the audit trail's head as it grows
+if (auditSigningKey) {
+  const intervalMinutes = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES) || 60;
+  setInterval(async () => {
+    try {
+      await createAuditCheckpoint(pool, 'audit_logs', auditSigningKey);
+    } catch (error) {
+      console.error('Audit checkpoint error:', error);
+    }
+  }, intervalMinutes * 60 * 1000).unref();
+} else {
+  console.warn('AUDIT_SIGNING_KEY is not set: audit checkpoints will not be signed');
+}
+
 module.exports = app;
@@ -0,0 +1,37 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- Onboarding applications (drafts and submissions from the website wizard)
+-- Version: 1.1.0
+
+-- Sequential, human-readable references
+CREATE SEQUENCE IF NOT EXISTS application_reference_seq START 100001;
+CREATE SEQUENCE IF NOT EXISTS client_account_number_seq START 1006;
+
+-- Corporate applications create corporate clients
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS client_type VARCHAR(20) DEFAULT 'individual' CHECK (client_type IN ('individual', 'corporate'));
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS company_name VARCHAR(255);
+
+-- Onboarding applications table
+CREATE TABLE IF NOT EXISTS onboarding_applications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reference_number VARCHAR(20) UNIQUE NOT NULL DEFAULT ('APP-' || nextval('application_reference_seq')),
+    account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('individual', 'corporate')),
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'submitted')),
+    email VARCHAR(255) NOT NULL,
+    form_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    current_step INTEGER DEFAULT 1,
+    resume_token_version INTEGER DEFAULT 1, -- Incremented to revoke previously issued resume links
+    client_id UUID REFERENCES clients(id),
+    kyc_request_id UUID REFERENCES kyc_requests(id),
+    ip_address INET,
+    user_agent TEXT,
+    last_saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    submitted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_onboarding_applications_status ON onboarding_applications(status);
+CREATE INDEX IF NOT EXISTS idx_onboarding_applications_email ON onboarding_applications(email);
+CREATE INDEX IF NOT EXISTS idx_onboarding_applications_client_id ON onboarding_applications(client_id);
+
+CREATE TRIGGER update_onboarding_applications_updated_at BEFORE UPDATE ON onboarding_applications FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
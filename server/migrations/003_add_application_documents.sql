@@ -0,0 +1,5 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- Links each submitted application to its generated application form PDF
+-- Version: 1.2.0
+
+ALTER TABLE onboarding_applications ADD COLUMN IF NOT EXISTS application_document_id UUID REFERENCES documents(id);
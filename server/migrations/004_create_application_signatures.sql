@@ -0,0 +1,27 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- Electronic signatures captured in the wizard, bound to a hash of the signed application
+-- Version: 1.3.0
+
+-- SHA-256 of the canonical application payload that was signed
+ALTER TABLE onboarding_applications ADD COLUMN IF NOT EXISTS payload_hash CHAR(64);
+-- SHA-256 of the generated, signed application form PDF
+ALTER TABLE onboarding_applications ADD COLUMN IF NOT EXISTS signed_document_hash CHAR(64);
+
+CREATE TABLE IF NOT EXISTS application_signatures (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID NOT NULL REFERENCES onboarding_applications(id) ON DELETE CASCADE,
+    signer_role VARCHAR(30) NOT NULL CHECK (signer_role IN ('primary', 'secondary', 'primaryAuth', 'secondaryAuth')),
+    signer_name VARCHAR(255) NOT NULL,
+    signature_method VARCHAR(10) NOT NULL CHECK (signature_method IN ('drawn', 'typed')),
+    typed_name VARCHAR(255),
+    signature_image TEXT NOT NULL, -- PNG data URL
+    consent_text TEXT NOT NULL,
+    payload_hash CHAR(64) NOT NULL,
+    ip_address INET,
+    user_agent TEXT,
+    signed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (application_id, signer_role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_signatures_application_id ON application_signatures(application_id);
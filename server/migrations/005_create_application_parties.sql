@@ -0,0 +1,34 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- People named on an application (joint holders, beneficial owners, directors, signatories)
+-- Version: 1.4.0
+
+CREATE TABLE IF NOT EXISTS application_parties (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID NOT NULL REFERENCES onboarding_applications(id) ON DELETE CASCADE,
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    party_type VARCHAR(30) NOT NULL CHECK (party_type IN ('joint_holder', 'beneficial_owner', 'director', 'authorized_signatory')),
+    position INTEGER NOT NULL, -- Order within its party type, starting at 0
+    first_name VARCHAR(100) NOT NULL,
+    middle_name VARCHAR(100),
+    last_name VARCHAR(100) NOT NULL,
+    date_of_birth DATE,
+    country_of_birth VARCHAR(100),
+    passport_number VARCHAR(20),
+    country_of_issuance VARCHAR(100),
+    ownership_percentage DECIMAL(5,2) CHECK (ownership_percentage > 0 AND ownership_percentage <= 100),
+    details JSONB NOT NULL DEFAULT '{}'::jsonb, -- Any further fields the schema collects for this party type
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (application_id, party_type, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_parties_application_id ON application_parties(application_id);
+CREATE INDEX IF NOT EXISTS idx_application_parties_client_id ON application_parties(client_id);
+CREATE INDEX IF NOT EXISTS idx_application_parties_type ON application_parties(party_type);
+
+CREATE TRIGGER update_application_parties_updated_at BEFORE UPDATE ON application_parties FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Signers are now any number of joint holders or signatories, keyed like "authorizedSignatories.2"
+ALTER TABLE application_signatures DROP CONSTRAINT IF EXISTS application_signatures_signer_role_check;
+ALTER TABLE application_signatures ALTER COLUMN signer_role TYPE VARCHAR(60);
+ALTER TABLE application_signatures ADD COLUMN IF NOT EXISTS party_id UUID REFERENCES application_parties(id);
@@ -0,0 +1,8 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- FATCA/CRS self-certification outcome and the pre-filled IRS form generated from it
+-- Version: 1.5.0
+
+ALTER TABLE onboarding_applications ADD COLUMN IF NOT EXISTS us_person BOOLEAN;
+ALTER TABLE onboarding_applications ADD COLUMN IF NOT EXISTS tax_form_type VARCHAR(10)
+    CHECK (tax_form_type IN ('W-9', 'W-8BEN', 'W-8BEN-E'));
+ALTER TABLE onboarding_applications ADD COLUMN IF NOT EXISTS tax_form_document_id UUID REFERENCES documents(id);
@@ -0,0 +1,11 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- Investment suitability profile scored from the application's Step 5 answers
+-- Version: 1.6.0
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS risk_profile VARCHAR(30)
+    CHECK (risk_profile IN ('Conservative', 'Conservative to Moderate', 'Moderate', 'Growth & Income', 'Aggressive'));
+-- Full scoring result: weighted score, factor points, inconsistency flags and config version
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS suitability JSONB;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS suitability_assessed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_clients_risk_profile ON clients(risk_profile);
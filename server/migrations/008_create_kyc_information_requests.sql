@@ -0,0 +1,17 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- Further information a KYC reviewer asks the applicant for, and the documents uploaded in reply
+-- Version: 1.7.0
+
+CREATE TABLE IF NOT EXISTS kyc_information_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    kyc_request_id UUID NOT NULL REFERENCES kyc_requests(id) ON DELETE CASCADE,
+    notes TEXT, -- Shown to the applicant on the application status page
+    requested_documents TEXT[] NOT NULL DEFAULT '{}', -- Document types from src/lib/kycDocuments.js
+    requested_by UUID REFERENCES admin_users(id),
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP -- Set when the KYC request is approved or rejected
+);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_information_requests_kyc_request_id ON kyc_information_requests(kyc_request_id);
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS information_request_id UUID REFERENCES kyc_information_requests(id);
@@ -0,0 +1,47 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- KYC review stages (src/lib/kycWorkflow.js) and the append-only history of moves between them
+-- Version: 1.8.0
+
+ALTER TABLE kyc_requests DROP CONSTRAINT IF EXISTS kyc_requests_status_check;
+ALTER TABLE kyc_requests ADD CONSTRAINT kyc_requests_status_check
+    CHECK (status IN ('pending', 'in_review', 'approved', 'rejected', 'withdrawn'));
+
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS stage VARCHAR(30) NOT NULL DEFAULT 'submitted'
+    CHECK (stage IN ('submitted', 'document_review', 'screening', 'edd', 'compliance_signoff', 'approved', 'rejected', 'withdrawn'));
+
+-- Requests from before the workflow take the stage their status corresponds to
+UPDATE kyc_requests SET stage = CASE status
+    WHEN 'in_review' THEN 'document_review'
+    WHEN 'approved' THEN 'approved'
+    WHEN 'rejected' THEN 'rejected'
+    ELSE 'submitted'
+END;
+
+CREATE INDEX IF NOT EXISTS idx_kyc_requests_stage ON kyc_requests(stage);
+
+CREATE TABLE IF NOT EXISTS kyc_stage_transitions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    kyc_request_id UUID NOT NULL REFERENCES kyc_requests(id), -- No cascade: a request with history is never deleted
+    from_stage VARCHAR(30), -- NULL for the stage a request starts in
+    to_stage VARCHAR(30) NOT NULL,
+    notes TEXT,
+    transitioned_by UUID REFERENCES admin_users(id), -- NULL when the applicant or the system moved the request
+    transitioned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_stage_transitions_request ON kyc_stage_transitions(kyc_request_id, transitioned_at);
+
+CREATE OR REPLACE FUNCTION prevent_kyc_stage_transition_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'kyc_stage_transitions is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER kyc_stage_transitions_append_only BEFORE UPDATE OR DELETE ON kyc_stage_transitions FOR EACH ROW EXECUTE FUNCTION prevent_kyc_stage_transition_changes();
+CREATE TRIGGER kyc_stage_transitions_no_truncate BEFORE TRUNCATE ON kyc_stage_transitions FOR EACH STATEMENT EXECUTE FUNCTION prevent_kyc_stage_transition_changes();
+
+-- History for existing requests starts at their current stage
+INSERT INTO kyc_stage_transitions (kyc_request_id, from_stage, to_stage, notes)
+SELECT id, NULL, stage, 'Stage recorded when the KYC workflow was introduced'
+FROM kyc_requests;
@@ -0,0 +1,55 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- Sanctions and PEP watchlists loaded from the published files, and the screening results written against them
+-- Version: 1.9.0
+
+-- One row per file loaded (server/scripts/importWatchlist.js); only the latest import of each source keeps entries
+CREATE TABLE IF NOT EXISTS watchlist_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source VARCHAR(10) NOT NULL CHECK (source IN ('ofac', 'un', 'eu', 'pep')),
+    list_type VARCHAR(20) NOT NULL CHECK (list_type IN ('sanctions', 'pep')),
+    file_name VARCHAR(255) NOT NULL,
+    file_hash VARCHAR(64) NOT NULL, -- SHA-256 of the file
+    entry_count INTEGER NOT NULL DEFAULT 0,
+    imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rescreened_at TIMESTAMP -- Set once the nightly run has re-screened every client against this import
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_imports_source ON watchlist_imports(source, imported_at);
+
+CREATE TABLE IF NOT EXISTS watchlist_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    import_id UUID NOT NULL REFERENCES watchlist_imports(id) ON DELETE CASCADE,
+    source VARCHAR(10) NOT NULL,
+    list_type VARCHAR(20) NOT NULL,
+    external_id VARCHAR(100) NOT NULL, -- The list's own reference (OFAC uid, UN reference number, EU reference)
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('individual', 'entity')),
+    primary_name TEXT NOT NULL,
+    names TEXT[] NOT NULL DEFAULT '{}', -- Primary name and aliases
+    dates_of_birth TEXT[] NOT NULL DEFAULT '{}', -- YYYY-MM-DD, YYYY-MM or YYYY, as precise as the list
+    nationalities TEXT[] NOT NULL DEFAULT '{}', -- ISO 3166-1 alpha-2
+    programs TEXT[] NOT NULL DEFAULT '{}',
+    remarks TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_entries_import_id ON watchlist_entries(import_id);
+CREATE INDEX IF NOT EXISTS idx_watchlist_entries_source ON watchlist_entries(source, external_id);
+
+-- Screening results, one row per check; the back-office KYC review (internal_admin_api.js) reads them here
+CREATE TABLE IF NOT EXISTS compliance_checks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id),
+    check_type VARCHAR(50) NOT NULL CHECK (check_type IN (
+        'aml_screening', 'sanctions_check', 'pep_check', 'adverse_media', 'credit_check'
+    )),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'passed', 'failed', 'manual_review')),
+    result JSONB,
+    performed_by UUID REFERENCES admin_users(id), -- NULL for automated screening
+    performed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP
+);
+
+-- The KYC request the check was made for (on a re-screen, the client's latest)
+ALTER TABLE compliance_checks ADD COLUMN IF NOT EXISTS kyc_request_id UUID REFERENCES kyc_requests(id);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_checks_client_id ON compliance_checks(client_id, check_type, performed_at);
+CREATE INDEX IF NOT EXISTS idx_compliance_checks_kyc_request_id ON compliance_checks(kyc_request_id);
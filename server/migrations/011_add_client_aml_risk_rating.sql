@@ -0,0 +1,37 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- AML risk rating of clients (src/lib/amlRisk.js) and the periodic KYC reviews it schedules
+-- Version: 1.10.0
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS aml_risk_rating VARCHAR(10) CHECK (aml_risk_rating IN ('low', 'medium', 'high'));
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS aml_risk_assessed_at TIMESTAMP;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS aml_risk_config_version INTEGER; -- Model version of the current rating
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS next_review_date DATE; -- NULL until a KYC review has been approved
+
+CREATE INDEX IF NOT EXISTS idx_clients_next_review_date ON clients(next_review_date);
+
+-- Every rating with its factor breakdown
+CREATE TABLE IF NOT EXISTS client_risk_assessments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    rating VARCHAR(10) NOT NULL CHECK (rating IN ('low', 'medium', 'high')),
+    score DECIMAL(4,2), -- Weighted factor score before rules; NULL when no factor was known
+    assessment JSONB NOT NULL, -- scoreAmlRisk's result: factors, countries, flags
+    config_version INTEGER NOT NULL,
+    trigger VARCHAR(30) NOT NULL, -- 'kyc_submission' or 'scheduled'
+    next_review_date DATE,
+    assessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_risk_assessments_client_id ON client_risk_assessments(client_id, assessed_at);
+
+-- Same table as internal_admin_database_schema.sql; the aml_risk_model setting overrides the default model
+CREATE TABLE IF NOT EXISTS system_settings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    setting_key VARCHAR(100) UNIQUE NOT NULL,
+    setting_value JSONB NOT NULL,
+    description TEXT,
+    category VARCHAR(50) DEFAULT 'general',
+    updated_by UUID REFERENCES admin_users(id),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
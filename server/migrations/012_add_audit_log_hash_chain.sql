@@ -0,0 +1,91 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- Append-only, hash-chained audit_logs with signed checkpoints (server/services/auditChain.js)
+-- Version: 1.11.0
+
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS chain_seq BIGINT; -- Position in the chain, from 1 with no gaps
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS previous_hash VARCHAR(64); -- entry_hash of the entry before; NULL for the first
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS entry_hash VARCHAR(64); -- SHA-256 of previous_hash and audit_log_chain_payload
+
+-- Same table as internal_admin_database_schema.sql, which holds the admin_activities chain's checkpoints
+CREATE TABLE IF NOT EXISTS audit_checkpoints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chain_name VARCHAR(50) NOT NULL,
+    chain_seq BIGINT NOT NULL,
+    entry_hash VARCHAR(64) NOT NULL,
+    signature TEXT NOT NULL, -- Ed25519 over "chain_name:chain_seq:entry_hash", base64
+    key_id VARCHAR(16) NOT NULL, -- Which signing key; see loadSigningKey
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_checkpoints_chain ON audit_checkpoints(chain_name, chain_seq);
+
+-- What an entry's hash covers: every column but the hash itself
+CREATE OR REPLACE FUNCTION audit_log_chain_payload(entry audit_logs)
+RETURNS TEXT AS $$
+    SELECT json_build_array(
+        entry.chain_seq, entry.id, entry.admin_id, entry.action, entry.resource_type, entry.resource_id,
+        entry.details, host(entry.ip_address), entry.user_agent,
+        to_char(entry.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US')
+    )::text;
+$$ LANGUAGE sql STABLE;
+
+-- Chain the entries written before this migration, oldest first
+DO $$
+DECLARE
+    entry audit_logs;
+    seq BIGINT := 0;
+    last_hash VARCHAR(64);
+BEGIN
+    FOR entry IN SELECT * FROM audit_logs WHERE entry_hash IS NULL ORDER BY created_at, id LOOP
+        seq := seq + 1;
+        entry.chain_seq := seq;
+        entry.previous_hash := last_hash;
+        entry.entry_hash := encode(sha256(convert_to(COALESCE(last_hash, '') || audit_log_chain_payload(entry), 'UTF8')), 'hex');
+        UPDATE audit_logs
+        SET chain_seq = entry.chain_seq, previous_hash = entry.previous_hash, entry_hash = entry.entry_hash
+        WHERE id = entry.id;
+        last_hash := entry.entry_hash;
+    END LOOP;
+END
+$$;
+
+ALTER TABLE audit_logs ALTER COLUMN chain_seq SET NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN entry_hash SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_logs_chain_seq ON audit_logs(chain_seq);
+
+-- Links each new entry to the last one. The advisory lock holds other writers back until this transaction
+-- ends, so entries are chained in the order they commit.
+CREATE OR REPLACE FUNCTION chain_audit_log()
+RETURNS TRIGGER AS $$
+DECLARE
+    last_seq BIGINT;
+    last_hash VARCHAR(64);
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('audit_logs_chain'));
+    SELECT chain_seq, entry_hash INTO last_seq, last_hash
+    FROM audit_logs
+    ORDER BY chain_seq DESC
+    LIMIT 1;
+
+    NEW.chain_seq := COALESCE(last_seq, 0) + 1;
+    NEW.previous_hash := last_hash;
+    NEW.created_at := COALESCE(NEW.created_at, CURRENT_TIMESTAMP);
+    NEW.entry_hash := encode(sha256(convert_to(COALESCE(last_hash, '') || audit_log_chain_payload(NEW), 'UTF8')), 'hex');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_logs_chain BEFORE INSERT ON audit_logs FOR EACH ROW EXECUTE FUNCTION chain_audit_log();
+
+-- The audit trail and its checkpoints are evidence for regulators: rows are only ever added
+CREATE OR REPLACE FUNCTION prevent_audit_trail_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_logs_append_only BEFORE UPDATE OR DELETE ON audit_logs FOR EACH ROW EXECUTE FUNCTION prevent_audit_trail_changes();
+CREATE TRIGGER audit_logs_no_truncate BEFORE TRUNCATE ON audit_logs FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_trail_changes();
+CREATE TRIGGER audit_checkpoints_append_only BEFORE UPDATE OR DELETE ON audit_checkpoints FOR EACH ROW EXECUTE FUNCTION prevent_audit_trail_changes();
+CREATE TRIGGER audit_checkpoints_no_truncate BEFORE TRUNCATE ON audit_checkpoints FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_trail_changes();
@@ -0,0 +1,114 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- Versioned client profiles with field-level changes, reason codes and second-review alerts (src/lib/clientProfile.js)
+-- Version: 1.12.0
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS passport_number VARCHAR(20);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS passport_country VARCHAR(50);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS tax_residencies JSONB; -- [{ country, tinAvailable, tin, ... }] as on the application
+
+-- From the applications the clients were opened with; a corporate client's passport is its primary owner's
+UPDATE clients c
+SET passport_number = COALESCE(a.form_data->>'passportNumber', a.form_data->'beneficialOwners'->0->>'passportNumber'),
+    passport_country = COALESCE(a.form_data->>'countryOfIssuance', a.form_data->'beneficialOwners'->0->>'countryOfIssuance'),
+    tax_residencies = a.form_data->'taxResidencies'
+FROM onboarding_applications a
+WHERE a.client_id = c.id
+  AND c.passport_number IS NULL
+  AND c.tax_residencies IS NULL;
+
+-- Every version of every client profile. Rows are only ever added, so clients with history are closed, not deleted.
+CREATE TABLE IF NOT EXISTS client_profile_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id),
+    version INTEGER NOT NULL, -- From 1, per client
+    profile JSONB NOT NULL, -- client_profile_snapshot after the change
+    changes JSONB NOT NULL, -- [{ field, before, after }]
+    changed_by UUID REFERENCES admin_users(id), -- NULL when the applicant or the system made the change
+    reason_code VARCHAR(30) CHECK (reason_code IN ('client_request', 'kyc_refresh', 'correction', 'compliance_decision', 'other')),
+    reason_notes TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (client_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_profile_versions_changed_at ON client_profile_versions(client_id, changed_at);
+
+-- Sensitive changes waiting for a second admin to confirm them
+CREATE TABLE IF NOT EXISTS client_change_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id),
+    version_id UUID NOT NULL REFERENCES client_profile_versions(id),
+    fields TEXT[] NOT NULL, -- The sensitive fields the version changed
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'confirmed', 'rejected')),
+    raised_by UUID REFERENCES admin_users(id), -- Who made the change
+    reviewed_by UUID REFERENCES admin_users(id),
+    review_notes TEXT,
+    raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP,
+    CONSTRAINT second_reviewer CHECK (reviewed_by IS NULL OR raised_by IS NULL OR reviewed_by <> raised_by)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_change_alerts_status ON client_change_alerts(status, raised_at);
+CREATE INDEX IF NOT EXISTS idx_client_change_alerts_client_id ON client_change_alerts(client_id);
+
+-- The versioned fields of a client. Keep in step with clientProfileFieldGroups in src/lib/clientProfile.js.
+CREATE OR REPLACE FUNCTION client_profile_snapshot(c clients)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'address_line1', c.address_line1, 'address_line2', c.address_line2, 'city', c.city, 'state', c.state,
+        'zip_code', c.zip_code, 'country', c.country,
+        'email', c.email, 'phone', c.phone,
+        'passport_number', c.passport_number, 'passport_country', c.passport_country,
+        'tax_residencies', c.tax_residencies,
+        'risk_score', c.risk_score, 'risk_profile', c.risk_profile, 'aml_risk_rating', c.aml_risk_rating,
+        'status', c.status, 'kyc_status', c.kyc_status
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Fields whose values differ between two snapshots; before is null for a new client
+CREATE OR REPLACE FUNCTION client_profile_changes(old_profile JSONB, new_profile JSONB)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'field', n.key, 'before', COALESCE(old_profile->n.key, 'null'::jsonb), 'after', n.value
+    ) ORDER BY n.key), '[]'::jsonb)
+    FROM jsonb_each(new_profile) n
+    WHERE COALESCE(old_profile->n.key, 'null'::jsonb) IS DISTINCT FROM n.value;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The profile when history began. Earlier states are unknown, so the first version is dated now rather than
+-- when the client was opened.
+INSERT INTO client_profile_versions (client_id, version, profile, changes, reason_notes)
+SELECT c.id, 1, client_profile_snapshot(c), client_profile_changes(NULL, client_profile_snapshot(c)), 'Profile when change history began'
+FROM clients c
+WHERE NOT EXISTS (SELECT 1 FROM client_profile_versions v WHERE v.client_id = c.id);
+
+-- Writes a version whenever a client is opened or a versioned field changes. Who changed it and why come from
+-- the app.admin_id, app.change_reason and app.change_notes settings of the transaction (set_config(..., true));
+-- changes made without them, such as the daily AML re-rating, are the system's.
+CREATE OR REPLACE FUNCTION version_client_profile()
+RETURNS TRIGGER AS $$
+DECLARE
+    new_profile JSONB := client_profile_snapshot(NEW);
+    profile_changes JSONB;
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        profile_changes := client_profile_changes(client_profile_snapshot(OLD), new_profile);
+        IF profile_changes = '[]'::jsonb THEN
+            RETURN NEW;
+        END IF;
+    ELSE
+        profile_changes := client_profile_changes(NULL, new_profile);
+    END IF;
+
+    INSERT INTO client_profile_versions (client_id, version, profile, changes, changed_by, reason_code, reason_notes)
+    SELECT NEW.id, COALESCE(MAX(version), 0) + 1, new_profile, profile_changes,
+           NULLIF(current_setting('app.admin_id', true), '')::uuid,
+           NULLIF(current_setting('app.change_reason', true), ''),
+           NULLIF(current_setting('app.change_notes', true), '')
+    FROM client_profile_versions
+    WHERE client_id = NEW.id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER clients_profile_version AFTER INSERT OR UPDATE ON clients FOR EACH ROW EXECUTE FUNCTION version_client_profile();
+CREATE TRIGGER client_profile_versions_append_only BEFORE UPDATE OR DELETE ON client_profile_versions FOR EACH ROW EXECUTE FUNCTION prevent_audit_trail_changes();
@@ -0,0 +1,7 @@
+-- Alhambra Bank & Trust Online Account Opening
+-- KYC requests reviewed from the back office (internal_admin_api.js), whose admins are not admin_users here
+-- Version: 1.13.0
+
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS reviewed_by_username VARCHAR(50); -- Back-office admin who last moved it
+ALTER TABLE kyc_stage_transitions ADD COLUMN IF NOT EXISTS transitioned_by_username VARCHAR(50); -- Back-office admin who moved it
+ALTER TABLE kyc_information_requests ADD COLUMN IF NOT EXISTS requested_by_username VARCHAR(50); -- Back-office admin who asked
@@ -0,0 +1,274 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const fs = require('fs').promises;
+const { translate } = require('../../src/lib/i18n.js');
+const { sendMail } = require('../services/mailer');
+
+// Application status page API
+// Applicants sign in with their application reference and a one-time code emailed to the address on the
+// application. A verified code buys a short-lived status token for reading the KYC review and uploading
+// the documents a reviewer asked for (kyc_information_requests).
+
+const STATUS_TOKEN_SECRET = process.env.STATUS_TOKEN_SECRET || process.env.JWT_SECRET;
+const STATUS_TOKEN_EXPIRES_IN = process.env.STATUS_TOKEN_EXPIRES_IN || '1h';
+const CODE_TTL_SECONDS = 10 * 60;
+const CODE_RESEND_SECONDS = 60;
+const MAX_CODE_ATTEMPTS = 5;
+
+const codeKey = (applicationId) => `application_status_code_${applicationId}`;
+// Counted with INCR, apart from the code, so parallel guesses can't share one count
+const attemptsKey = (applicationId) => `application_status_code_attempts_${applicationId}`;
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const serializeDocument = (row) => ({
+  id: row.id,
+  documentName: row.document_name,
+  documentType: row.document_type,
+  status: row.status,
+  informationRequestId: row.information_request_id,
+  uploadedAt: row.uploaded_at
+});
+
+const serializeInformationRequest = (row, documents) => ({
+  id: row.id,
+  notes: row.notes,
+  requestedDocuments: row.requested_documents.map((documentType) => ({
+    documentType,
+    uploaded: documents.some((document) => document.information_request_id === row.id && document.document_type === documentType)
+  })),
+  requestedAt: row.requested_at,
+  resolvedAt: row.resolved_at
+});
+
+const createApplicationStatusRouter = ({ pool, redisClient, upload }) => {
+  const router = express.Router();
+
+  const findSubmittedApplication = async (referenceNumber) => {
+    const result = await pool.query(
+      `SELECT id, reference_number, email
+       FROM onboarding_applications
+       WHERE reference_number = $1 AND status = 'submitted'`,
+      [String(referenceNumber || '').trim().toUpperCase()]
+    );
+    return result.rows[0] || null;
+  };
+
+  // "Authorization: Bearer <status token>"
+  const requireStatusToken = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({ message: 'Status token required' });
+    }
+
+    try {
+      const decoded = jwt.verify(token, STATUS_TOKEN_SECRET);
+      if (decoded.purpose !== 'application_status') {
+        return res.status(403).json({ message: 'Invalid or expired status token' });
+      }
+
+      const result = await pool.query(
+        `SELECT a.id, a.reference_number, a.account_type, a.submitted_at, a.client_id, a.kyc_request_id,
+                k.status AS kyc_status, k.reviewed_at AS kyc_reviewed_at
+         FROM onboarding_applications a
+         JOIN kyc_requests k ON a.kyc_request_id = k.id
+         WHERE a.id = $1`,
+        [decoded.applicationId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Application not found' });
+      }
+
+      req.application = result.rows[0];
+      next();
+    } catch {
+      return res.status(403).json({ message: 'Invalid or expired status token' });
+    }
+  };
+
+  // Email a one-time code. The response is the same whether or not the details match an application.
+  router.post('/code', async (req, res) => {
+    const { referenceNumber, email, locale } = req.body;
+    const accepted = { message: 'If the details match a submitted application, a code has been sent to its email address' };
+
+    try {
+      const application = await findSubmittedApplication(referenceNumber);
+      if (!application || !email || application.email.toLowerCase() !== String(email).trim().toLowerCase()) {
+        return res.status(202).json(accepted);
+      }
+
+      const existing = JSON.parse(await redisClient.get(codeKey(application.id)) || 'null');
+      if (existing && Date.now() - existing.sentAt < CODE_RESEND_SECONDS * 1000) {
+        return res.status(202).json(accepted);
+      }
+
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      await redisClient.multi()
+        .setEx(codeKey(application.id), CODE_TTL_SECONDS, JSON.stringify({ hash: hashCode(code), sentAt: Date.now() }))
+        .del(attemptsKey(application.id))
+        .exec();
+
+      const params = { code, reference: application.reference_number, minutes: CODE_TTL_SECONDS / 60 };
+      await sendMail({
+        to: application.email,
+        subject: translate(locale, 'status.email.subject', params),
+        text: translate(locale, 'status.email.body', params)
+      });
+
+      res.status(202).json(accepted);
+    } catch (error) {
+      console.error('Status code request error:', error);
+      res.status(500).json({ message: 'Failed to send a code' });
+    }
+  });
+
+  // Exchange the code for a status token
+  router.post('/verify', async (req, res) => {
+    const { referenceNumber, code } = req.body;
+    const rejected = { message: 'The code is incorrect or has expired' };
+
+    try {
+      const application = await findSubmittedApplication(referenceNumber);
+      const key = application && codeKey(application.id);
+      const stored = key && JSON.parse(await redisClient.get(key) || 'null');
+
+      if (!stored || typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+        return res.status(401).json(rejected);
+      }
+
+      // Every attempt is counted before the code is compared, so no more than MAX_CODE_ATTEMPTS are ever
+      // compared against one code however many arrive at once
+      const [attempts] = await redisClient.multi()
+        .incr(attemptsKey(application.id))
+        .expire(attemptsKey(application.id), CODE_TTL_SECONDS)
+        .exec();
+      const tooMany = { message: 'Too many incorrect codes. Please request a new one.' };
+      if (attempts > MAX_CODE_ATTEMPTS) {
+        await redisClient.del([key, attemptsKey(application.id)]);
+        return res.status(429).json(tooMany);
+      }
+
+      const matches = crypto.timingSafeEqual(Buffer.from(hashCode(code.trim()), 'hex'), Buffer.from(stored.hash, 'hex'));
+      if (!matches) {
+        if (attempts >= MAX_CODE_ATTEMPTS) {
+          await redisClient.del([key, attemptsKey(application.id)]);
+          return res.status(429).json(tooMany);
+        }
+        return res.status(401).json(rejected);
+      }
+
+      // Only one request gets to use the code
+      if (await redisClient.del(key) === 0) {
+        return res.status(401).json(rejected);
+      }
+      await redisClient.del(attemptsKey(application.id));
+      const token = jwt.sign(
+        { applicationId: application.id, purpose: 'application_status' },
+        STATUS_TOKEN_SECRET,
+        { expiresIn: STATUS_TOKEN_EXPIRES_IN }
+      );
+
+      res.json({ token });
+    } catch (error) {
+      console.error('Status code verification error:', error);
+      res.status(500).json({ message: 'Failed to verify code' });
+    }
+  });
+
+  const loadDocuments = async (clientId) => {
+    const result = await pool.query(
+      `SELECT id, document_name, document_type, status, information_request_id, uploaded_at
+       FROM documents
+       WHERE client_id = $1
+       ORDER BY uploaded_at`,
+      [clientId]
+    );
+    return result.rows;
+  };
+
+  // KYC review status, reviewer requests (newest first) and the documents on file
+  router.get('/', requireStatusToken, async (req, res) => {
+    try {
+      const application = req.application;
+      const [requestsResult, documents] = await Promise.all([
+        pool.query(
+          `SELECT id, notes, requested_documents, requested_at, resolved_at
+           FROM kyc_information_requests
+           WHERE kyc_request_id = $1
+           ORDER BY requested_at DESC`,
+          [application.kyc_request_id]
+        ),
+        loadDocuments(application.client_id)
+      ]);
+
+      res.json({
+        referenceNumber: application.reference_number,
+        accountType: application.account_type,
+        submittedAt: application.submitted_at,
+        kyc: {
+          status: application.kyc_status,
+          reviewedAt: application.kyc_reviewed_at
+        },
+        informationRequests: requestsResult.rows.map((row) => serializeInformationRequest(row, documents)),
+        documents: documents.map(serializeDocument)
+      });
+    } catch (error) {
+      console.error('Application status error:', error);
+      res.status(500).json({ message: 'Failed to load application status' });
+    }
+  });
+
+  // Upload a document a reviewer asked for; only types still outstanding on an open request are accepted
+  router.post('/documents', requireStatusToken, upload.single('document'), async (req, res) => {
+    const file = req.file;
+    const { documentType, informationRequestId } = req.body;
+    const discard = () => (file ? fs.unlink(file.path).catch(() => {}) : Promise.resolve());
+
+    try {
+      if (!file) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+
+      const requestResult = await pool.query(
+        `SELECT id, requested_documents
+         FROM kyc_information_requests
+         WHERE id = $1 AND kyc_request_id = $2 AND resolved_at IS NULL`,
+        [informationRequestId, req.application.kyc_request_id]
+      );
+      if (requestResult.rows.length === 0) {
+        await discard();
+        return res.status(404).json({ message: 'This request for information is no longer open' });
+      }
+      if (!requestResult.rows[0].requested_documents.includes(documentType)) {
+        await discard();
+        return res.status(400).json({ message: 'This document was not requested' });
+      }
+
+      const documentResult = await pool.query(
+        `INSERT INTO documents (client_id, document_name, document_type, file_path, file_size, mime_type, information_request_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, document_name, document_type, status, information_request_id, uploaded_at`,
+        [req.application.client_id, file.originalname, documentType, file.path, file.size, file.mimetype, informationRequestId]
+      );
+      await pool.query(
+        'UPDATE kyc_requests SET documents_uploaded = array_append(documents_uploaded, $1) WHERE id = $2',
+        [file.originalname, req.application.kyc_request_id]
+      );
+
+      res.status(201).json({
+        message: 'Document uploaded successfully',
+        document: serializeDocument(documentResult.rows[0])
+      });
+    } catch (error) {
+      await discard();
+      console.error('Status document upload error:', error);
+      res.status(500).json({ message: 'Failed to upload document' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createApplicationStatusRouter;
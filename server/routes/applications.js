@@ -0,0 +1,594 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const path = require('path');
+const fs = require('fs').promises;
+const { formSchemas } = require('../../src/formFields.js');
+const { validateForm, validateStep, sanitizeFormData } = require('../../src/lib/formValidation.js');
+const { getSignatories } = require('../../src/lib/signatories.js');
+const { translate } = require('../../src/lib/i18n.js');
+const { generateApplicationPdf } = require('../services/applicationPdf');
+const { sha256, hashApplicationPayload, validateSignatures } = require('../services/signingRecord');
+const { insertApplicationParties } = require('../services/applicationParties');
+const { generateTaxFormPdf } = require('../services/taxFormPdf');
+const { screenClient, recordScreeningFailure } = require('../services/sanctionsScreening');
+const { assessClientRisk } = require('../services/amlRiskRating');
+const { getTaxFormType, isUsPerson } = require('../../src/lib/taxClassification.js');
+const { scoreSuitability } = require('../../src/lib/suitability.js');
+
+// Online account opening API
+// Prospects are anonymous: drafts are addressed by a signed resume token instead of a login.
+
+const RESUME_TOKEN_SECRET = process.env.RESUME_TOKEN_SECRET || process.env.JWT_SECRET;
+const RESUME_TOKEN_EXPIRES_IN = process.env.RESUME_TOKEN_EXPIRES_IN || '30d';
+const ONBOARDING_BASE_URL = process.env.ONBOARDING_BASE_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const UPLOAD_PATH = process.env.UPLOAD_PATH || './uploads';
+
+const signResumeToken = (application) => jwt.sign(
+  { applicationId: application.id, version: application.resume_token_version },
+  RESUME_TOKEN_SECRET,
+  { expiresIn: RESUME_TOKEN_EXPIRES_IN }
+);
+
+const buildResumeUrl = (token) => `${ONBOARDING_BASE_URL}/?resume=${encodeURIComponent(token)}`;
+
+const serializeApplication = (row) => ({
+  id: row.id,
+  referenceNumber: row.reference_number,
+  accountType: row.account_type,
+  status: row.status,
+  email: row.email,
+  currentStep: row.current_step,
+  formData: row.form_data,
+  lastSavedAt: row.last_saved_at,
+  submittedAt: row.submitted_at,
+  taxFormType: row.tax_form_type
+});
+
+// Keeps only the keys that belong to the given schema steps
+const pickStepFields = (steps, data) => {
+  const picked = {};
+  steps.forEach((step) => {
+    step.fields.forEach((field) => {
+      if (data[field.name] !== undefined) {
+        picked[field.name] = data[field.name];
+      }
+    });
+  });
+  return picked;
+};
+
+// Maps a submitted application onto the clients table.
+// A corporate client's contact person is its primary client, the first beneficial owner.
+const buildClientRecord = (application, data) => {
+  if (application.account_type === 'corporate') {
+    const primaryOwner = data.beneficialOwners[0];
+    return {
+      clientType: 'corporate',
+      firstName: primaryOwner.firstName,
+      lastName: primaryOwner.lastName,
+      companyName: data.companyName,
+      email: data.email || application.email,
+      phone: data.phoneNumber,
+      dateOfBirth: primaryOwner.dateOfBirth,
+      addressLine1: data.registeredAddress,
+      addressLine2: data.registeredApt,
+      state: data.registeredState,
+      zipCode: data.registeredPostalCode,
+      country: data.registeredCountry,
+      passportNumber: primaryOwner.passportNumber,
+      passportCountry: primaryOwner.countryOfIssuance,
+      taxResidencies: data.taxResidencies,
+      // The corporate application has no investment profile questions
+      suitability: null
+    };
+  }
+
+  return {
+    clientType: 'individual',
+    firstName: data.firstName,
+    lastName: data.lastName,
+    companyName: null,
+    email: application.email,
+    phone: data.contactNumber,
+    dateOfBirth: data.dateOfBirth,
+    addressLine1: data.residenceAddress,
+    addressLine2: data.residenceApt,
+    state: data.residenceState,
+    zipCode: data.residencePostalCode,
+    country: data.residenceCountry,
+    passportNumber: data.passportNumber,
+    passportCountry: data.countryOfIssuance,
+    taxResidencies: data.taxResidencies,
+    suitability: scoreSuitability(data)
+  };
+};
+
+const createApplicationsRouter = ({ pool, authenticateToken, auditLog }) => {
+  const router = express.Router();
+
+  // Resume token check: accepts "Authorization: Bearer <token>" or "X-Resume-Token"
+  const requireResumeToken = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = req.get('X-Resume-Token') || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      return res.status(401).json({ message: 'Resume token required' });
+    }
+
+    try {
+      const decoded = jwt.verify(token, RESUME_TOKEN_SECRET);
+      if (decoded.applicationId !== req.params.id) {
+        return res.status(403).json({ message: 'Resume token does not match this application' });
+      }
+
+      const result = await pool.query('SELECT * FROM onboarding_applications WHERE id = $1', [req.params.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Application not found' });
+      }
+      if (result.rows[0].resume_token_version !== decoded.version) {
+        return res.status(401).json({ message: 'Resume link has been revoked' });
+      }
+
+      req.application = result.rows[0];
+      next();
+    } catch {
+      return res.status(403).json({ message: 'Invalid or expired resume token' });
+    }
+  };
+
+  // Writes a generated PDF and files it under the client's documents and the KYC request
+  const storeApplicationDocument = async (application, documentName, documentType, pdf) => {
+    const filePath = path.join(UPLOAD_PATH, 'applications', documentName);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, pdf);
+
+    const documentResult = await pool.query(
+      `INSERT INTO documents (client_id, document_name, document_type, file_path, file_size, mime_type)
+       VALUES ($1, $2, $3, $4, $5, 'application/pdf')
+       RETURNING id`,
+      [application.client_id, documentName, documentType, filePath, pdf.length]
+    );
+    await pool.query(
+      'UPDATE kyc_requests SET documents_uploaded = array_append(documents_uploaded, $1) WHERE id = $2',
+      [documentName, application.kyc_request_id]
+    );
+
+    return documentResult.rows[0].id;
+  };
+
+  // Renders the filled, signed application form
+  const attachApplicationPdf = async (application, steps, formData, signatures) => {
+    const pdf = await generateApplicationPdf(application, steps, formData, signatures);
+    const documentId = await storeApplicationDocument(
+      application, `${application.reference_number}-application-form.pdf`, 'application_form', pdf
+    );
+
+    await pool.query(
+      'UPDATE onboarding_applications SET application_document_id = $1, signed_document_hash = $2 WHERE id = $3',
+      [documentId, sha256(pdf), application.id]
+    );
+
+    return documentId;
+  };
+
+  // Renders the W-9 / W-8BEN / W-8BEN-E certified in the FATCA/CRS step
+  const attachTaxForm = async (application, formData, signatures) => {
+    const { formType, pdf } = await generateTaxFormPdf(application, formData, signatures);
+    const documentId = await storeApplicationDocument(
+      application, `${application.reference_number}-${formType}.pdf`, 'tax_form', pdf
+    );
+
+    await pool.query(
+      'UPDATE onboarding_applications SET tax_form_document_id = $1 WHERE id = $2',
+      [documentId, application.id]
+    );
+
+    return documentId;
+  };
+
+  const requireDraft = (req, res, next) => {
+    if (req.application.status !== 'draft') {
+      return res.status(409).json({ message: 'Application has already been submitted' });
+    }
+    next();
+  };
+
+  // Create a draft
+  router.post('/', async (req, res) => {
+    try {
+      const { accountType, email, formData = {} } = req.body;
+      const steps = formSchemas[accountType];
+
+      if (!steps) {
+        return res.status(400).json({ message: 'accountType must be individual or corporate' });
+      }
+      if (!email || !EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ message: 'A valid email address is required to save an application' });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO onboarding_applications (account_type, email, form_data, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [accountType, email.trim().toLowerCase(), JSON.stringify(pickStepFields(steps, formData)), req.ip, req.get('User-Agent')]
+      );
+
+      const application = result.rows[0];
+      const resumeToken = signResumeToken(application);
+
+      res.status(201).json({
+        application: serializeApplication(application),
+        resumeToken,
+        resumeUrl: buildResumeUrl(resumeToken)
+      });
+    } catch (error) {
+      console.error('Application create error:', error);
+      res.status(500).json({ message: 'Failed to create application' });
+    }
+  });
+
+  // Resume from a signed link
+  router.get('/resume/:token', async (req, res) => {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(req.params.token, RESUME_TOKEN_SECRET);
+      } catch {
+        return res.status(403).json({ message: 'Invalid or expired resume link' });
+      }
+
+      const result = await pool.query('SELECT * FROM onboarding_applications WHERE id = $1', [decoded.applicationId]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Application not found' });
+      }
+
+      const application = result.rows[0];
+      if (application.resume_token_version !== decoded.version) {
+        return res.status(401).json({ message: 'Resume link has been revoked' });
+      }
+
+      res.json({
+        application: serializeApplication(application),
+        resumeToken: req.params.token,
+        resumeUrl: buildResumeUrl(req.params.token)
+      });
+    } catch (error) {
+      console.error('Application resume error:', error);
+      res.status(500).json({ message: 'Failed to resume application' });
+    }
+  });
+
+  router.get('/:id', requireResumeToken, (req, res) => {
+    res.json({ application: serializeApplication(req.application) });
+  });
+
+  // Save one wizard step. Drafts may be incomplete, so step errors are returned but do not block saving.
+  router.patch('/:id/steps/:step', requireResumeToken, requireDraft, async (req, res) => {
+    try {
+      const steps = formSchemas[req.application.account_type];
+      const stepNumber = parseInt(req.params.step);
+      const step = steps.find((item) => item.step === stepNumber);
+
+      if (!step) {
+        return res.status(400).json({ message: 'Unknown step' });
+      }
+
+      const stepData = pickStepFields([step], req.body.data || {});
+      const formData = { ...req.application.form_data, ...stepData };
+      const nextStep = Math.max(req.application.current_step, Math.min(stepNumber + 1, steps.length + 1));
+
+      const result = await pool.query(
+        `UPDATE onboarding_applications
+         SET form_data = $1, current_step = $2, last_saved_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [JSON.stringify(formData), nextStep, req.application.id]
+      );
+
+      res.json({
+        application: serializeApplication(result.rows[0]),
+        errors: validateStep(step, formData)
+      });
+    } catch (error) {
+      console.error('Application step save error:', error);
+      res.status(500).json({ message: 'Failed to save application step' });
+    }
+  });
+
+  // Submit: validate the whole form and its signatures, then create the client and its KYC request.
+  // The wizard may send its final answers as "data"; they are merged over the saved draft.
+  // Each signature is bound to the SHA-256 of the exact payload being submitted, and records the consent
+  // text in the language the wizard showed it in ("locale").
+  router.post('/:id/submit', requireResumeToken, requireDraft, async (req, res) => {
+    let db = null;
+
+    try {
+      const application = req.application;
+      const steps = formSchemas[application.account_type];
+      const submittedData = { ...application.form_data, ...pickStepFields(steps, req.body.data || {}) };
+      const { valid, errors, stepErrors } = validateForm(steps, submittedData);
+
+      if (!valid) {
+        return res.status(422).json({ message: 'Application is incomplete', errors, stepErrors });
+      }
+
+      const formData = sanitizeFormData(steps, submittedData);
+      const { errors: signatureErrors, accepted: signatures } = validateSignatures(
+        getSignatories(application.account_type, formData),
+        req.body.signatures
+      );
+
+      if (Object.keys(signatureErrors).length > 0) {
+        return res.status(422).json({ message: 'Application has not been signed by everyone named on it', signatureErrors });
+      }
+
+      const payloadHash = hashApplicationPayload(application, formData);
+      const consentText = translate(req.body.locale, 'signature.consent');
+      const client = buildClientRecord(application, formData);
+
+      db = await pool.connect();
+      await db.query('BEGIN');
+
+      // requireDraft read the status outside the transaction; a concurrent submit of the same draft waits here
+      // and then finds it submitted, so only one of them creates a client
+      const lockResult = await db.query(
+        'SELECT status FROM onboarding_applications WHERE id = $1 FOR UPDATE',
+        [application.id]
+      );
+      if (lockResult.rows[0].status !== 'draft') {
+        await db.query('ROLLBACK');
+        return res.status(409).json({ message: 'Application has already been submitted' });
+      }
+
+      const clientResult = await db.query(
+        `INSERT INTO clients (
+           account_number, client_type, first_name, last_name, company_name, email, phone,
+           date_of_birth, address_line1, address_line2, state, zip_code, country, status, kyc_status,
+           risk_profile, suitability, suitability_assessed_at, passport_number, passport_country, tax_residencies
+         ) VALUES (
+           'ALH-' || LPAD(nextval('client_account_number_seq')::text, 6, '0'),
+           $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'pending', 'pending',
+           $13, $14, CASE WHEN $13::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, $15, $16, $17
+         )
+         RETURNING id, account_number`,
+        [
+          client.clientType,
+          client.firstName,
+          client.lastName,
+          client.companyName,
+          client.email,
+          client.phone,
+          client.dateOfBirth,
+          client.addressLine1,
+          client.addressLine2 || null,
+          client.state,
+          client.zipCode,
+          client.country,
+          client.suitability ? client.suitability.riskProfile : null,
+          client.suitability ? JSON.stringify(client.suitability) : null,
+          client.passportNumber,
+          client.passportCountry,
+          client.taxResidencies ? JSON.stringify(client.taxResidencies) : null
+        ]
+      );
+      const clientId = clientResult.rows[0].id;
+
+      const kycResult = await db.query(
+        `INSERT INTO kyc_requests (client_id, request_type, status, documents_uploaded)
+         VALUES ($1, 'account_opening', 'pending', ARRAY[]::TEXT[])
+         RETURNING id, stage`,
+        [clientId]
+      );
+      await db.query(
+        'INSERT INTO kyc_stage_transitions (kyc_request_id, from_stage, to_stage) VALUES ($1, NULL, $2)',
+        [kycResult.rows[0].id, kycResult.rows[0].stage]
+      );
+
+      const applicationResult = await db.query(
+        `UPDATE onboarding_applications
+         SET status = 'submitted', form_data = $1, client_id = $2, kyc_request_id = $3,
+             submitted_at = CURRENT_TIMESTAMP, ip_address = $4, user_agent = $5, payload_hash = $6,
+             us_person = $7, tax_form_type = $8
+         WHERE id = $9 AND status = 'draft'
+         RETURNING *`,
+        [
+          JSON.stringify(formData),
+          clientId,
+          kycResult.rows[0].id,
+          req.ip,
+          req.get('User-Agent'),
+          payloadHash,
+          isUsPerson(formData),
+          getTaxFormType(application.account_type, formData),
+          application.id
+        ]
+      );
+
+      const parties = await insertApplicationParties(db, { applicationId: application.id, clientId, steps, formData });
+
+      const signatureRows = [];
+      for (const signature of signatures) {
+        const party = signature.party ? parties[`${signature.party.name}.${signature.party.index}`] : null;
+        const signatureResult = await db.query(
+          `INSERT INTO application_signatures (
+             application_id, signer_role, signer_name, signature_method, typed_name, signature_image,
+             consent_text, payload_hash, ip_address, user_agent, party_id
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING *`,
+          [
+            application.id,
+            signature.role,
+            signature.name,
+            signature.method,
+            signature.typedName,
+            signature.image,
+            consentText,
+            payloadHash,
+            req.ip,
+            req.get('User-Agent'),
+            party ? party.id : null
+          ]
+        );
+        signatureRows.push(signatureResult.rows[0]);
+      }
+
+      await db.query('COMMIT');
+
+      // The submission stands even if the PDF fails; operations can regenerate it from form_data
+      let documentId = null;
+      try {
+        documentId = await attachApplicationPdf(applicationResult.rows[0], steps, formData, signatureRows);
+      } catch (error) {
+        console.error('Application PDF generation error:', error);
+      }
+
+      let taxFormDocumentId = null;
+      try {
+        taxFormDocumentId = await attachTaxForm(applicationResult.rows[0], formData, signatureRows);
+      } catch (error) {
+        console.error('Tax form generation error:', error);
+      }
+
+      // Screening results go to compliance_checks for the KYC review; a failure leaves the checks pending
+      const screening = { kycRequestId: kycResult.rows[0].id, trigger: 'kyc_submission' };
+      try {
+        await screenClient(pool, clientId, screening);
+      } catch (error) {
+        console.error('Sanctions screening error:', error);
+        await recordScreeningFailure(pool, clientId, { ...screening, error }).catch(() => {});
+      }
+
+      // Rated after screening, which it takes into account; the daily AML review rates anyone missed here
+      try {
+        await assessClientRisk(pool, clientId, { trigger: 'kyc_submission' });
+      } catch (error) {
+        console.error('AML risk rating error:', error);
+      }
+
+      res.status(201).json({
+        message: 'Application submitted successfully',
+        application: serializeApplication(applicationResult.rows[0]),
+        accountNumber: clientResult.rows[0].account_number,
+        documentId,
+        taxFormDocumentId
+      });
+    } catch (error) {
+      if (db) {
+        await db.query('ROLLBACK');
+      }
+
+      if (error.code === '23505') {
+        return res.status(409).json({ message: 'An account already exists for this email address' });
+      }
+
+      console.error('Application submit error:', error);
+      res.status(500).json({ message: 'Failed to submit application' });
+    } finally {
+      if (db) {
+        db.release();
+      }
+    }
+  });
+
+  const sendApplicationDocument = async (res, documentId, notFoundMessage) => {
+    const result = await pool.query('SELECT document_name, file_path FROM documents WHERE id = $1', [documentId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: notFoundMessage });
+    }
+
+    const document = result.rows[0];
+    res.setHeader('Content-Disposition', `attachment; filename="${document.document_name}"`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.sendFile(path.resolve(document.file_path));
+  };
+
+  // Download the signed application form
+  router.get('/:id/pdf', requireResumeToken, async (req, res) => {
+    try {
+      await sendApplicationDocument(res, req.application.application_document_id, 'Application form not available');
+    } catch (error) {
+      console.error('Application PDF download error:', error);
+      res.status(500).json({ message: 'Failed to download application form' });
+    }
+  });
+
+  // Download the pre-filled W-9 / W-8BEN / W-8BEN-E
+  router.get('/:id/tax-form', requireResumeToken, async (req, res) => {
+    try {
+      await sendApplicationDocument(res, req.application.tax_form_document_id, 'Tax form not available');
+    } catch (error) {
+      console.error('Tax form download error:', error);
+      res.status(500).json({ message: 'Failed to download tax form' });
+    }
+  });
+
+  // Operations: recompute the payload and PDF hashes and compare them with the signing record
+  router.get('/:id/signing-record', authenticateToken, auditLog, async (req, res) => {
+    try {
+      const applicationResult = await pool.query(
+        `SELECT a.*, d.file_path
+         FROM onboarding_applications a
+         LEFT JOIN documents d ON a.application_document_id = d.id
+         WHERE a.id = $1`,
+        [req.params.id]
+      );
+
+      if (applicationResult.rows.length === 0) {
+        return res.status(404).json({ message: 'Application not found' });
+      }
+
+      const application = applicationResult.rows[0];
+      const signaturesResult = await pool.query(
+        `SELECT signer_role, signer_name, signature_method, typed_name, payload_hash, ip_address, user_agent, signed_at
+         FROM application_signatures
+         WHERE application_id = $1
+         ORDER BY signed_at`,
+        [application.id]
+      );
+
+      const recomputedHash = hashApplicationPayload(application, application.form_data);
+
+      let documentHash = null;
+      if (application.file_path) {
+        try {
+          documentHash = sha256(await fs.readFile(application.file_path));
+        } catch {
+          documentHash = null;
+        }
+      }
+
+      res.json({
+        referenceNumber: application.reference_number,
+        payloadHash: application.payload_hash,
+        recomputedPayloadHash: recomputedHash,
+        payloadIntact: application.payload_hash === recomputedHash,
+        document: {
+          storedHash: application.signed_document_hash,
+          currentHash: documentHash,
+          intact: documentHash !== null && documentHash === application.signed_document_hash
+        },
+        signatures: signaturesResult.rows.map((signature) => ({
+          role: signature.signer_role,
+          name: signature.signer_name,
+          method: signature.signature_method,
+          typedName: signature.typed_name,
+          signedAt: signature.signed_at,
+          ipAddress: signature.ip_address,
+          userAgent: signature.user_agent,
+          payloadHash: signature.payload_hash,
+          matchesPayload: signature.payload_hash === recomputedHash
+        }))
+      });
+    } catch (error) {
+      console.error('Signing record verification error:', error);
+      res.status(500).json({ message: 'Failed to verify signing record' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createApplicationsRouter;
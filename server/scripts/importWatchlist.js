@@ -0,0 +1,36 @@
+const path = require('path');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const { importWatchlist } = require('../services/sanctionsScreening');
+const { watchlistSources } = require('../services/watchlistParsers');
+
+// Loads a sanctions or PEP list file into watchlist_entries:
+//   npm run watchlist:import -- ofac ./sdn.xml
+// Clients are re-screened against the new list in the next nightly run.
+
+const [source, filePath] = process.argv.slice(2);
+
+if (!watchlistSources.includes(source) || !filePath) {
+  console.error(`Usage: npm run watchlist:import -- <${watchlistSources.join('|')}> <file>`);
+  process.exit(1);
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+importWatchlist(pool, { source, filePath: path.resolve(filePath) })
+  .then((result) => {
+    if (result.unchanged) {
+      console.log(`${path.basename(filePath)} is already the loaded ${source.toUpperCase()} list (imported ${result.imported_at.toISOString()})`);
+    } else {
+      console.log(`Imported ${result.entry_count} ${source.toUpperCase()} entries from ${result.file_name}`);
+    }
+  })
+  .catch((error) => {
+    console.error('Watchlist import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
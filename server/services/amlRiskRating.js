@@ -0,0 +1,187 @@
+const { getAmlRiskInputs, getNextReviewDate, mergeAmlRiskConfig, scoreAmlRisk } = require('../../src/lib/amlRisk.js');
+const { screenClient } = require('./sanctionsScreening');
+const { runDaily } = require('./dailySchedule');
+
+// AML risk rating of clients and their periodic KYC reviews.
+// Clients are rated on submission and re-rated by the daily run whenever something the rating depends on
+// changes. The rating sets how long after each approved KYC review the next one is due; the daily run opens
+// a periodic_review KYC request, screened like a new application, once that date arrives.
+
+const REVIEW_HOUR_UTC = process.env.AML_REVIEW_HOUR ? parseInt(process.env.AML_REVIEW_HOUR) : 3;
+
+const loadAmlRiskConfig = async (pool) => {
+  const result = await pool.query("SELECT setting_value FROM system_settings WHERE setting_key = 'aml_risk_model'");
+  return mergeAmlRiskConfig(result.rows.length > 0 ? result.rows[0].setting_value : null);
+};
+
+/**
+ * Rates a client, records the assessment and updates the client's rating and next review date.
+ * @param {Object} pool - pg pool
+ * @param {string} clientId
+ * @param {{ trigger: 'kyc_submission' | 'scheduled', config?: Object }} options
+ * @returns {Promise<Object>} scoreAmlRisk's result with nextReviewDate
+ */
+const assessClientRisk = async (pool, clientId, { trigger, config }) => {
+  const riskConfig = config || await loadAmlRiskConfig(pool);
+
+  const clientResult = await pool.query(
+    `SELECT c.client_type, a.form_data,
+            (SELECT MAX(reviewed_at) FROM kyc_requests WHERE client_id = c.id AND status = 'approved') AS last_reviewed_at
+     FROM clients c
+     LEFT JOIN LATERAL (
+       SELECT form_data FROM onboarding_applications
+       WHERE client_id = c.id
+       ORDER BY submitted_at DESC NULLS LAST
+       LIMIT 1
+     ) a ON true
+     WHERE c.id = $1`,
+    [clientId]
+  );
+  if (clientResult.rows.length === 0) {
+    throw new Error(`Client ${clientId} not found`);
+  }
+  const client = clientResult.rows[0];
+
+  const checksResult = await pool.query(
+    `SELECT DISTINCT ON (check_type) check_type, status
+     FROM compliance_checks
+     WHERE client_id = $1
+     ORDER BY check_type, performed_at DESC`,
+    [clientId]
+  );
+
+  const inputs = getAmlRiskInputs(
+    { clientType: client.client_type, formData: client.form_data || {}, complianceChecks: checksResult.rows },
+    riskConfig
+  );
+  const assessment = scoreAmlRisk(inputs, riskConfig);
+  const nextReviewDate = client.last_reviewed_at
+    ? getNextReviewDate(assessment.rating, client.last_reviewed_at, riskConfig)
+    : null;
+
+  await pool.query(
+    `INSERT INTO client_risk_assessments (client_id, rating, score, assessment, config_version, trigger, next_review_date)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [clientId, assessment.rating, assessment.score, JSON.stringify(assessment), assessment.configVersion, trigger, nextReviewDate]
+  );
+  await pool.query(
+    `UPDATE clients
+     SET aml_risk_rating = $1, aml_risk_assessed_at = CURRENT_TIMESTAMP, aml_risk_config_version = $2,
+         next_review_date = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [assessment.rating, assessment.configVersion, nextReviewDate, clientId]
+  );
+
+  return { ...assessment, nextReviewDate };
+};
+
+// Clients never rated, rated under another model version, or screened or reviewed since their last rating
+const reassessChangedClients = async (pool, config) => {
+  const result = await pool.query(
+    `SELECT c.id FROM clients c
+     WHERE c.status <> 'closed'
+       AND (c.aml_risk_assessed_at IS NULL
+         OR c.aml_risk_config_version IS DISTINCT FROM $1
+         OR EXISTS (
+           SELECT 1 FROM compliance_checks cc
+           WHERE cc.client_id = c.id AND cc.performed_at > c.aml_risk_assessed_at
+         )
+         OR EXISTS (
+           SELECT 1 FROM kyc_requests k
+           WHERE k.client_id = c.id AND k.status = 'approved' AND k.reviewed_at > c.aml_risk_assessed_at
+         ))`,
+    [config.version]
+  );
+
+  let rated = 0;
+  for (const { id } of result.rows) {
+    try {
+      await assessClientRisk(pool, id, { trigger: 'scheduled', config });
+      rated++;
+    } catch (error) {
+      console.error(`AML risk rating error for client ${id}:`, error);
+    }
+  }
+  return rated;
+};
+
+/**
+ * Opens a periodic review KYC request and screens the client for it.
+ * @returns {Promise<string>} the new kyc_requests id
+ */
+const openPeriodicReview = async (pool, client) => {
+  const db = await pool.connect();
+  let kycRequestId;
+  try {
+    await db.query('BEGIN');
+    const kycResult = await db.query(
+      `INSERT INTO kyc_requests (client_id, request_type, status, documents_uploaded)
+       VALUES ($1, 'periodic_review', 'pending', ARRAY[]::TEXT[])
+       RETURNING id, stage`,
+      [client.id]
+    );
+    kycRequestId = kycResult.rows[0].id;
+    await db.query(
+      'INSERT INTO kyc_stage_transitions (kyc_request_id, from_stage, to_stage, notes) VALUES ($1, NULL, $2, $3)',
+      [kycRequestId, kycResult.rows[0].stage, `Periodic review due ${client.due_date}`]
+    );
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  try {
+    await screenClient(pool, client.id, { kycRequestId, trigger: 'periodic_review' });
+  } catch (error) {
+    console.error(`Screening error for periodic review ${kycRequestId}:`, error);
+  }
+  return kycRequestId;
+};
+
+// Clients whose review date has come, with no KYC request open and none opened for this date already
+const openDueReviews = async (pool) => {
+  const result = await pool.query(
+    `SELECT c.id, to_char(c.next_review_date, 'YYYY-MM-DD') AS due_date FROM clients c
+     WHERE c.status <> 'closed'
+       AND c.next_review_date <= CURRENT_DATE
+       AND NOT EXISTS (
+         SELECT 1 FROM kyc_requests k
+         WHERE k.client_id = c.id
+           AND (k.status IN ('pending', 'in_review')
+             OR (k.request_type = 'periodic_review' AND k.submitted_at >= c.next_review_date))
+       )`
+  );
+
+  let opened = 0;
+  for (const client of result.rows) {
+    try {
+      await openPeriodicReview(pool, client);
+      opened++;
+    } catch (error) {
+      console.error(`Periodic review error for client ${client.id}:`, error);
+    }
+  }
+  return opened;
+};
+
+/**
+ * Re-rates changed clients, then opens the periodic reviews that have come due.
+ * @returns {Promise<{ rated: number, reviewsOpened: number }>}
+ */
+const runAmlRiskReview = async (pool) => {
+  const config = await loadAmlRiskConfig(pool);
+  const rated = await reassessChangedClients(pool, config);
+  const reviewsOpened = await openDueReviews(pool);
+  console.log('AML risk review complete:', { rated, reviewsOpened });
+  return { rated, reviewsOpened };
+};
+
+/**
+ * Runs runAmlRiskReview every day at AML_REVIEW_HOUR (UTC, default 03:00, after the nightly re-screen).
+ */
+const scheduleDailyAmlRiskReview = (pool) => runDaily('AML risk review', REVIEW_HOUR_UTC, () => runAmlRiskReview(pool));
+
+module.exports = { assessClientRisk, runAmlRiskReview, scheduleDailyAmlRiskReview };
@@ -0,0 +1,73 @@
+// Persists the party lists of a submitted application (type: "party" fields in formFields.js)
+// as application_parties rows, one per person.
+
+// Schema field name -> application_parties column
+const PARTY_COLUMNS = {
+  firstName: 'first_name',
+  middleName: 'middle_name',
+  lastName: 'last_name',
+  dateOfBirth: 'date_of_birth',
+  countryOfBirth: 'country_of_birth',
+  passportNumber: 'passport_number',
+  countryOfIssuance: 'country_of_issuance',
+  ownershipPercentage: 'ownership_percentage'
+};
+
+const getPartyFields = (steps) =>
+  steps.flatMap((step) => step.fields.filter((field) => field.type === 'party'));
+
+/**
+ * Insert every party on the application inside the caller's transaction.
+ * @param {Object} db - pg client with an open transaction
+ * @returns {Promise<Object>} inserted rows keyed "<party field>.<index>", e.g. "directors.0"
+ */
+const insertApplicationParties = async (db, { applicationId, clientId, steps, formData }) => {
+  const inserted = {};
+
+  for (const field of getPartyFields(steps)) {
+    const items = Array.isArray(formData[field.name]) ? formData[field.name] : [];
+
+    for (const [index, item] of items.entries()) {
+      const columns = {};
+      const details = {};
+      Object.entries(item).forEach(([name, value]) => {
+        if (PARTY_COLUMNS[name]) {
+          columns[PARTY_COLUMNS[name]] = value;
+        } else {
+          details[name] = value;
+        }
+      });
+
+      const result = await db.query(
+        `INSERT INTO application_parties (
+           application_id, client_id, party_type, position, first_name, middle_name, last_name,
+           date_of_birth, country_of_birth, passport_number, country_of_issuance, ownership_percentage, details
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING *`,
+        [
+          applicationId,
+          clientId,
+          field.partyType,
+          index,
+          columns.first_name,
+          columns.middle_name || null,
+          columns.last_name,
+          columns.date_of_birth || null,
+          columns.country_of_birth || null,
+          columns.passport_number || null,
+          columns.country_of_issuance || null,
+          columns.ownership_percentage !== undefined ? Number(columns.ownership_percentage) : null,
+          JSON.stringify(details)
+        ]
+      );
+      inserted[`${field.name}.${index}`] = result.rows[0];
+    }
+  }
+
+  return inserted;
+};
+
+module.exports = {
+  getPartyFields,
+  insertApplicationParties
+};
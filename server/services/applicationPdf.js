@@ -0,0 +1,281 @@
+const PDFDocument = require('pdfkit');
+const { formatFieldValue } = require('../../src/lib/fieldFormatting.js');
+const { isFieldVisible, isRepeatableField } = require('../../src/lib/formValidation.js');
+const { getSignatories } = require('../../src/lib/signatories.js');
+const { signatureImageBuffer } = require('./signingRecord');
+
+// Renders a submitted application in the layout of the 2025 ABT Individual and Corporate
+// application forms: every formFields.js step and label, filled with the applicant's answers,
+// followed by the signature block and, for electronically signed applications, the signing record.
+
+const BRAND_COLOR = '#b91c1c';
+const LABEL_COLOR = '#6b7280';
+const TEXT_COLOR = '#111827';
+const PAGE_MARGIN = 50;
+const COLUMN_GAP = 20;
+
+const formTitles = {
+  individual: '2025 ABT Individual Account Application Form',
+  corporate: '2025 ABT Corporate Account Application Form'
+};
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const drawHeader = (doc, accountType, application) => {
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_COLOR).text('Alhambra Bank & Trust', { align: 'center' });
+  doc.font('Helvetica').fontSize(9).fillColor(LABEL_COLOR)
+    .text('750 B St. Suite 2850, Symphony Towers, San Diego 92101, California, United States', { align: 'center' });
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(TEXT_COLOR).text(formTitles[accountType], { align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9).fillColor(LABEL_COLOR)
+    .text(`Reference: ${application.reference_number}    Submitted: ${new Date(application.submitted_at || Date.now()).toISOString().slice(0, 10)}`, { align: 'center' });
+  doc.moveDown(1);
+};
+
+const drawSectionTitle = (doc, title) => {
+  ensureSpace(doc, 60);
+  const y = doc.y;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  doc.rect(PAGE_MARGIN, y, width, 20).fill(BRAND_COLOR);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#ffffff').text(title, PAGE_MARGIN + 8, y + 5, { width: width - 16 });
+  doc.fillColor(TEXT_COLOR);
+  doc.x = PAGE_MARGIN;
+  doc.y = y + 28;
+};
+
+// Text, date, select, etc.: label above an underlined answer
+const measureTextField = (doc, field, value, width) => {
+  doc.font('Helvetica').fontSize(7);
+  const labelHeight = doc.heightOfString(field.label, { width });
+  doc.font('Helvetica').fontSize(10);
+  const valueHeight = Math.max(doc.heightOfString(formatFieldValue(field, value) || ' ', { width }), 12);
+  return labelHeight + valueHeight + 10;
+};
+
+const drawTextField = (doc, field, value, x, y, width) => {
+  doc.font('Helvetica').fontSize(7).fillColor(LABEL_COLOR).text(field.label.toUpperCase(), x, y, { width });
+  const valueY = doc.y + 2;
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR).text(formatFieldValue(field, value) || ' ', x, valueY, { width });
+  const lineY = Math.max(doc.y, valueY + 12) + 1;
+  doc.moveTo(x, lineY).lineTo(x + width, lineY).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+};
+
+// Radio and checkbox groups: every option with a tick box, as on the paper form
+const drawOptionField = (doc, field, value) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const selected = Array.isArray(value) ? value : [value];
+
+  ensureSpace(doc, 30);
+  doc.font('Helvetica-Bold').fontSize(8).fillColor(TEXT_COLOR).text(field.label, PAGE_MARGIN, doc.y, { width });
+  doc.moveDown(0.3);
+
+  field.options.forEach((option) => {
+    doc.font('Helvetica').fontSize(9);
+    const optionHeight = doc.heightOfString(option, { width: width - 18 });
+    ensureSpace(doc, optionHeight + 4);
+
+    const y = doc.y;
+    doc.rect(PAGE_MARGIN, y + 1, 8, 8).lineWidth(0.75).strokeColor(TEXT_COLOR).stroke();
+    if (selected.includes(option)) {
+      doc.rect(PAGE_MARGIN + 2, y + 3, 4, 4).fill(TEXT_COLOR);
+    }
+    doc.fillColor(TEXT_COLOR).text(option, PAGE_MARGIN + 14, y, { width: width - 18 });
+    doc.y += 2;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.moveDown(0.5);
+};
+
+// Lays out a list of fields for one data object: text fields in two columns, option groups full width
+const drawFields = (doc, fields, data) => {
+  const columnWidth = (doc.page.width - PAGE_MARGIN * 2 - COLUMN_GAP) / 2;
+  let pending = [];
+
+  const flushRow = () => {
+    if (pending.length === 0) {
+      return;
+    }
+    const rowHeight = Math.max(...pending.map(({ field, value }) => measureTextField(doc, field, value, columnWidth)));
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    pending.forEach(({ field, value }, index) => {
+      drawTextField(doc, field, value, PAGE_MARGIN + index * (columnWidth + COLUMN_GAP), y, columnWidth);
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + rowHeight;
+    pending = [];
+  };
+
+  fields.forEach((field) => {
+    const visible = isFieldVisible(field, data);
+    const value = visible ? data[field.name] : 'Not applicable';
+
+    if (isRepeatableField(field)) {
+      flushRow();
+      drawParty(doc, field, visible && Array.isArray(value) ? value : []);
+      return;
+    }
+
+    if (field.type === 'radio' || field.type === 'checkbox') {
+      flushRow();
+      drawOptionField(doc, field, value);
+      return;
+    }
+
+    pending.push({ field, value });
+    if (pending.length === 2) {
+      flushRow();
+    }
+  });
+  flushRow();
+};
+
+// One sub-heading and field block per person in a party list
+const drawParty = (doc, field, items) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  if (items.length === 0) {
+    ensureSpace(doc, 20);
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(LABEL_COLOR).text(`No ${field.label.toLowerCase()} listed`, PAGE_MARGIN, doc.y, { width });
+    doc.moveDown(0.5);
+    return;
+  }
+
+  items.forEach((item, index) => {
+    ensureSpace(doc, 60);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND_COLOR).text(`${field.itemLabel} ${index + 1}`, PAGE_MARGIN, doc.y, { width });
+    doc.fillColor(TEXT_COLOR);
+    doc.moveDown(0.3);
+    drawFields(doc, field.fields, item);
+    doc.moveDown(0.3);
+  });
+
+  if (field.ownership) {
+    const total = items.reduce((sum, item) => sum + (Number(item[field.ownership.field]) || 0), 0);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(TEXT_COLOR)
+      .text(`Total disclosed ownership: ${Math.round(total * 100) / 100}%`, PAGE_MARGIN, doc.y, { width });
+    doc.moveDown(0.5);
+  }
+};
+
+const drawStep = (doc, step, data) => {
+  drawSectionTitle(doc, `Step ${step.step}: ${step.title}`);
+  drawFields(doc, step.fields, data);
+  doc.moveDown(0.5);
+};
+
+const formatTimestamp = (value) => new Date(value).toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+
+const drawSignatures = (doc, signatories, signatures) => {
+  drawSectionTitle(doc, 'Declaration and Signatures');
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  doc.font('Helvetica').fontSize(9).fillColor(TEXT_COLOR).text(
+    'I/We declare that the information provided in this application is true, complete and correct, ' +
+    'and I/we agree to notify Alhambra Bank & Trust promptly of any change to it.',
+    PAGE_MARGIN, doc.y, { width }
+  );
+  doc.moveDown(1.5);
+
+  const lineWidth = (width - COLUMN_GAP) / 2;
+  signatories.forEach((signatory) => {
+    const signature = signatures.find((item) => item.signer_role === signatory.role);
+    ensureSpace(doc, 80);
+    const y = doc.y + 40;
+
+    if (signature) {
+      doc.image(signatureImageBuffer(signature.signature_image), PAGE_MARGIN, y - 38, { fit: [lineWidth, 36], valign: 'bottom' });
+      doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR)
+        .text(formatTimestamp(signature.signed_at), PAGE_MARGIN + lineWidth + COLUMN_GAP, y - 14, { width: lineWidth });
+    }
+
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + lineWidth, y).lineWidth(0.75).strokeColor(TEXT_COLOR).stroke();
+    doc.moveTo(PAGE_MARGIN + lineWidth + COLUMN_GAP, y).lineTo(PAGE_MARGIN + width, y).stroke();
+    doc.font('Helvetica').fontSize(8).fillColor(LABEL_COLOR)
+      .text(`${signatory.label} Signature: ${signatory.name}`, PAGE_MARGIN, y + 4, { width: lineWidth })
+      .text('Date', PAGE_MARGIN + lineWidth + COLUMN_GAP, y + 4, { width: lineWidth });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + 24;
+  });
+};
+
+// Audit details that let the signed form be checked against the stored application
+const drawSigningRecord = (doc, application, signatures) => {
+  drawSectionTitle(doc, 'Electronic Signature Record');
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  doc.font('Helvetica').fontSize(8).fillColor(TEXT_COLOR)
+    .text(`Application payload SHA-256: ${application.payload_hash}`, PAGE_MARGIN, doc.y, { width });
+  doc.moveDown(0.8);
+
+  signatures.forEach((signature) => {
+    ensureSpace(doc, 50);
+    doc.font('Helvetica-Bold').fontSize(8).text(`${signature.signer_name} (${signature.signature_method} signature)`, PAGE_MARGIN, doc.y, { width });
+    doc.font('Helvetica').fontSize(8).fillColor(LABEL_COLOR)
+      .text(`Signed ${formatTimestamp(signature.signed_at)} from IP ${signature.ip_address || 'unknown'}`, { width })
+      .text(`User agent: ${signature.user_agent || 'unknown'}`, { width });
+    doc.fillColor(TEXT_COLOR);
+    doc.moveDown(0.6);
+  });
+};
+
+const drawPageFooters = (doc, application) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(LABEL_COLOR).text(
+      `${application.reference_number}  |  Page ${index + 1} of ${range.count}`,
+      PAGE_MARGIN,
+      doc.page.height - 35,
+      { width: doc.page.width - PAGE_MARGIN * 2, align: 'center' }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+/**
+ * Build the filled application form.
+ * @param {Object} application - onboarding_applications row (account_type, reference_number, submitted_at, payload_hash)
+ * @param {Array} steps - formFields.js step definitions for the account type
+ * @param {Object} data - submitted form data
+ * @param {Array} [signatures] - application_signatures rows; without them the signature lines are left blank
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const generateApplicationPdf = (application, steps, data, signatures = []) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `${formTitles[application.account_type]} - ${application.reference_number}`,
+      Author: 'Alhambra Bank & Trust'
+    }
+  });
+  const chunks = [];
+
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  drawHeader(doc, application.account_type, application);
+  steps.forEach((step) => drawStep(doc, step, data));
+  drawSignatures(doc, getSignatories(application.account_type, data), signatures);
+  if (signatures.length > 0) {
+    drawSigningRecord(doc, application, signatures);
+  }
+  drawPageFooters(doc, application);
+
+  doc.end();
+});
+
+module.exports = {
+  generateApplicationPdf
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+
+// Tamper evidence for the audit trails: admin_activities in the internal admin database and audit_logs in
+// the dashboard's. A BEFORE INSERT trigger numbers each row (chain_seq) and sets
+// entry_hash = SHA-256(previous_hash || the row's chain payload), where previous_hash is the entry_hash of the
+// row before it; another trigger refuses UPDATE, DELETE and TRUNCATE. The payload is built by a SQL function
+// per table, so the verifier recomputes hashes with the same function the trigger used.
+//
+// Someone able to disable the triggers could still rewrite rows and rebuild every hash after them. The head
+// of each chain is therefore signed now and then with an Ed25519 key the database never sees
+// (AUDIT_SIGNING_KEY); a rebuilt chain no longer matches the hashes in those checkpoints.
+
+// The chains, by name. Table and function names go into SQL, so only these are accepted.
+const AUDIT_CHAINS = {
+  admin_activities: { table: 'admin_activities', payload: 'admin_activity_chain_payload' },
+  audit_logs: { table: 'audit_logs', payload: 'audit_log_chain_payload' }
+};
+
+const getChain = (name) => {
+  const chain = AUDIT_CHAINS[name];
+  if (!chain) {
+    throw new Error(`Unknown audit chain ${name}`);
+  }
+  return chain;
+};
+
+/**
+ * Reads the checkpoint signing key.
+ * @param {string} [pem] - PKCS#8 PEM Ed25519 private key
+ * @returns {{ privateKey: crypto.KeyObject, publicKey: crypto.KeyObject, keyId: string } | null} keyId is the
+ *   first 16 hex digits of the SHA-256 of the public key; null without a key
+ */
+const loadSigningKey = (pem) => {
+  if (!pem) {
+    return null;
+  }
+  const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('The audit signing key must be an Ed25519 key');
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+  return { privateKey, publicKey, keyId };
+};
+
+// What a checkpoint signs
+const checkpointMessage = (chainName, chainSeq, entryHash) => Buffer.from(`${chainName}:${chainSeq}:${entryHash}`);
+
+/**
+ * Signs the current head of a chain, unless it hasn't moved since the last checkpoint.
+ * @param {import('pg').Pool} db
+ * @param {string} chainName - a key of AUDIT_CHAINS
+ * @param {{ privateKey, keyId }} signingKey - see loadSigningKey
+ * @returns {Promise<Object|null>} the audit_checkpoints row, or null when there was nothing new to sign
+ */
+const createAuditCheckpoint = async (db, chainName, signingKey) => {
+  const { table } = getChain(chainName);
+  const headQuery = await db.query(`SELECT chain_seq, entry_hash FROM ${table} ORDER BY chain_seq DESC LIMIT 1`);
+  if (headQuery.rows.length === 0) {
+    return null;
+  }
+
+  const head = headQuery.rows[0];
+  const lastQuery = await db.query(
+    'SELECT chain_seq FROM audit_checkpoints WHERE chain_name = $1 ORDER BY chain_seq DESC LIMIT 1',
+    [chainName]
+  );
+  if (lastQuery.rows.length > 0 && Number(lastQuery.rows[0].chain_seq) >= Number(head.chain_seq)) {
+    return null;
+  }
+
+  const signature = crypto.sign(null, checkpointMessage(chainName, head.chain_seq, head.entry_hash), signingKey.privateKey);
+  const checkpointQuery = await db.query(
+    `INSERT INTO audit_checkpoints (chain_name, chain_seq, entry_hash, signature, key_id)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [chainName, head.chain_seq, head.entry_hash, signature.toString('base64'), signingKey.keyId]
+  );
+  return checkpointQuery.rows[0];
+};
+
+/**
+ * Walks a chain from its first entry and checks every link, then every checkpoint against the entries and
+ * its signature. Stops at the first broken link: the entries after it can't be trusted either.
+ * @param {import('pg').Pool} db
+ * @param {string} chainName - a key of AUDIT_CHAINS
+ * @param {{ publicKey?: crypto.KeyObject, keyId?: string, batchSize?: number }} [options] - without a public key
+ *   checkpoint signatures are reported as unverified
+ * @returns {Promise<{ valid: boolean, entriesChecked: number, head: { chainSeq, entryHash } | null,
+ *   firstBreak: { chainSeq: number, id, reason: 'missing_entry' | 'broken_link' | 'hash_mismatch' } | null,
+ *   checkpoints: { total: number, verified: number, unverified: number,
+ *     failures: { id, chainSeq: number, reason: 'bad_signature' | 'unknown_key' | 'hash_mismatch' | 'missing_entry' }[] } }>}
+ */
+const verifyAuditChain = async (db, chainName, { publicKey = null, keyId = null, batchSize = 1000 } = {}) => {
+  const { table, payload } = getChain(chainName);
+
+  const checkpointsQuery = await db.query(
+    'SELECT id, chain_seq, entry_hash, signature, key_id FROM audit_checkpoints WHERE chain_name = $1 ORDER BY chain_seq',
+    [chainName]
+  );
+  const checkpoints = checkpointsQuery.rows.map((row) => ({ ...row, chain_seq: Number(row.chain_seq) }));
+  const checkpointsBySeq = new Map();
+  checkpoints.forEach((checkpoint) => {
+    checkpointsBySeq.set(checkpoint.chain_seq, [...(checkpointsBySeq.get(checkpoint.chain_seq) || []), checkpoint]);
+  });
+
+  const failures = [];
+  let verified = 0;
+  let unverified = 0;
+
+  let firstBreak = null;
+  let head = null;
+  let entriesChecked = 0;
+  let lastSeq = 0;
+  let lastHash = null;
+  while (!firstBreak) {
+    const entriesQuery = await db.query(`
+      SELECT t.id, t.chain_seq, t.previous_hash, t.entry_hash,
+             encode(sha256(convert_to(COALESCE(t.previous_hash, '') || ${payload}(t), 'UTF8')), 'hex') as computed_hash
+      FROM ${table} t
+      WHERE t.chain_seq > $1
+      ORDER BY t.chain_seq
+      LIMIT $2
+    `, [lastSeq, batchSize]);
+    if (entriesQuery.rows.length === 0) {
+      break;
+    }
+
+    for (const entry of entriesQuery.rows) {
+      const chainSeq = Number(entry.chain_seq);
+      if (chainSeq !== lastSeq + 1) {
+        firstBreak = { chainSeq: lastSeq + 1, id: null, reason: 'missing_entry' };
+      } else if ((entry.previous_hash || null) !== lastHash) {
+        firstBreak = { chainSeq, id: entry.id, reason: 'broken_link' };
+      } else if (entry.computed_hash !== entry.entry_hash) {
+        firstBreak = { chainSeq, id: entry.id, reason: 'hash_mismatch' };
+      }
+      if (firstBreak) {
+        break;
+      }
+
+      (checkpointsBySeq.get(chainSeq) || []).forEach((checkpoint) => {
+        if (checkpoint.entry_hash !== entry.entry_hash) {
+          failures.push({ id: checkpoint.id, chainSeq, reason: 'hash_mismatch' });
+        } else if (!publicKey) {
+          unverified++;
+        } else if (checkpoint.key_id !== keyId) {
+          failures.push({ id: checkpoint.id, chainSeq, reason: 'unknown_key' });
+        } else if (!crypto.verify(null, checkpointMessage(chainName, chainSeq, checkpoint.entry_hash), publicKey,
+          Buffer.from(checkpoint.signature, 'base64'))) {
+          failures.push({ id: checkpoint.id, chainSeq, reason: 'bad_signature' });
+        } else {
+          verified++;
+        }
+      });
+
+      entriesChecked++;
+      lastSeq = chainSeq;
+      lastHash = entry.entry_hash;
+      head = { chainSeq, entryHash: entry.entry_hash };
+    }
+  }
+
+  // A checkpoint past the end of an otherwise sound chain signed entries that have since gone
+  const beyondHead = firstBreak ? [] : checkpoints.filter((checkpoint) => checkpoint.chain_seq > lastSeq);
+  if (beyondHead.length > 0) {
+    firstBreak = { chainSeq: lastSeq + 1, id: null, reason: 'missing_entry' };
+    beyondHead.forEach((checkpoint) => {
+      failures.push({ id: checkpoint.id, chainSeq: checkpoint.chain_seq, reason: 'missing_entry' });
+    });
+  }
+
+  return {
+    valid: !firstBreak && failures.length === 0,
+    entriesChecked,
+    head,
+    firstBreak,
+    checkpoints: { total: checkpoints.length, verified, unverified, failures }
+  };
+};
+
+module.exports = {
+  AUDIT_CHAINS,
+  loadSigningKey,
+  createAuditCheckpoint,
+  verifyAuditChain
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { createAuditCheckpoint, loadSigningKey, verifyAuditChain } = require('./auditChain');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+// Chain rows as the insert trigger writes them; payload stands in for admin_activity_chain_payload(t)
+const buildChain = (payloads) => payloads.reduce((rows, payload, index) => {
+  const previousHash = index === 0 ? null : rows[index - 1].entry_hash;
+  return [...rows, {
+    id: 100 + index,
+    chain_seq: String(index + 1),
+    previous_hash: previousHash,
+    entry_hash: sha256(`${previousHash || ''}${payload}`),
+    payload
+  }];
+}, []);
+
+// Answers the queries auditChain.js makes, recomputing hashes from the stored payloads as the database would
+const fakeDb = (entries, checkpoints = []) => ({
+  checkpoints,
+  query: async (sql, params = []) => {
+    if (sql.includes('computed_hash')) {
+      const [afterSeq, limit] = params;
+      const rows = entries
+        .filter((entry) => Number(entry.chain_seq) > afterSeq)
+        .sort((a, b) => a.chain_seq - b.chain_seq)
+        .slice(0, limit)
+        .map(({ payload, ...entry }) => ({ ...entry, computed_hash: sha256(`${entry.previous_hash || ''}${payload}`) }));
+      return { rows };
+    }
+    if (sql.includes('INSERT INTO audit_checkpoints')) {
+      const [chainName, chainSeq, entryHash, signature, keyId] = params;
+      const row = { id: checkpoints.length + 1, chain_name: chainName, chain_seq: chainSeq, entry_hash: entryHash, signature, key_id: keyId };
+      checkpoints.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('FROM audit_checkpoints')) {
+      const rows = checkpoints.filter((checkpoint) => checkpoint.chain_name === params[0]).sort((a, b) => a.chain_seq - b.chain_seq);
+      return { rows: sql.includes('DESC LIMIT 1') ? rows.slice(-1) : rows };
+    }
+    if (sql.includes('ORDER BY chain_seq DESC LIMIT 1')) {
+      return { rows: entries.slice(-1) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+});
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+const signingKey = loadSigningKey(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+describe('loadSigningKey', () => {
+  test('reads an Ed25519 key, with escaped line breaks as in an environment variable', () => {
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n');
+    const key = loadSigningKey(pem);
+    expect(key.keyId).toMatch(/^[0-9a-f]{16}$/);
+    expect(key.keyId).toBe(signingKey.keyId);
+  });
+
+  test('returns null without a key and refuses other key types', () => {
+    expect(loadSigningKey(undefined)).toBeNull();
+    const { privateKey: rsaKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+    expect(() => loadSigningKey(rsaKey.export({ type: 'pkcs8', format: 'pem' }))).toThrow('Ed25519');
+  });
+});
+
+describe('verifyAuditChain', () => {
+  const options = { publicKey: signingKey.publicKey, keyId: signingKey.keyId };
+
+  test('passes an intact chain, across batches', async () => {
+    const result = await verifyAuditChain(fakeDb(buildChain(['a', 'b', 'c', 'd', 'e'])), 'admin_activities', { ...options, batchSize: 2 });
+    expect(result).toMatchObject({ valid: true, entriesChecked: 5, firstBreak: null });
+    expect(result.head.chainSeq).toBe(5);
+  });
+
+  test('finds an edited row by its hash', async () => {
+    const entries = buildChain(['a', 'b', 'c']);
+    entries[1].payload = 'b, edited';
+    const result = await verifyAuditChain(fakeDb(entries), 'admin_activities', options);
+    expect(result).toMatchObject({ valid: false, entriesChecked: 1, firstBreak: { chainSeq: 2, id: 101, reason: 'hash_mismatch' } });
+  });
+
+  test('finds a tampered link', async () => {
+    const entries = buildChain(['a', 'b', 'c']);
+    entries[2].previous_hash = sha256('forged');
+    const result = await verifyAuditChain(fakeDb(entries), 'admin_activities', options);
+    expect(result.firstBreak).toEqual({ chainSeq: 3, id: 102, reason: 'broken_link' });
+  });
+
+  test('finds a deleted row', async () => {
+    const entries = buildChain(['a', 'b', 'c']);
+    const result = await verifyAuditChain(fakeDb([entries[0], entries[2]]), 'admin_activities', options);
+    expect(result.firstBreak).toEqual({ chainSeq: 2, id: null, reason: 'missing_entry' });
+  });
+
+  test('catches a chain rebuilt after an edit with the signed checkpoint', async () => {
+    const db = fakeDb(buildChain(['a', 'b', 'c']));
+    await createAuditCheckpoint(db, 'admin_activities', signingKey);
+
+    const rebuilt = fakeDb(buildChain(['a', 'b, edited', 'c']), db.checkpoints);
+    const result = await verifyAuditChain(rebuilt, 'admin_activities', options);
+    expect(result.firstBreak).toBeNull();
+    expect(result.valid).toBe(false);
+    expect(result.checkpoints.failures).toEqual([{ id: 1, chainSeq: 3, reason: 'hash_mismatch' }]);
+  });
+
+  test('catches rows deleted from the end of the chain with the signed checkpoint', async () => {
+    const entries = buildChain(['a', 'b', 'c']);
+    const db = fakeDb(entries);
+    await createAuditCheckpoint(db, 'admin_activities', signingKey);
+
+    const result = await verifyAuditChain(fakeDb(entries.slice(0, 2), db.checkpoints), 'admin_activities', options);
+    expect(result.firstBreak).toEqual({ chainSeq: 3, id: null, reason: 'missing_entry' });
+    expect(result.checkpoints.failures).toEqual([{ id: 1, chainSeq: 3, reason: 'missing_entry' }]);
+  });
+
+  test('checks checkpoint signatures and keys', async () => {
+    const db = fakeDb(buildChain(['a', 'b']));
+    await createAuditCheckpoint(db, 'admin_activities', signingKey);
+    expect((await verifyAuditChain(db, 'admin_activities', options)).checkpoints).toMatchObject({ total: 1, verified: 1, failures: [] });
+    expect((await verifyAuditChain(db, 'admin_activities')).checkpoints).toMatchObject({ verified: 0, unverified: 1 });
+
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('ed25519');
+    const other = loadSigningKey(otherKey.export({ type: 'pkcs8', format: 'pem' }));
+    expect((await verifyAuditChain(db, 'admin_activities', { publicKey: other.publicKey, keyId: other.keyId })).checkpoints.failures)
+      .toEqual([{ id: 1, chainSeq: 2, reason: 'unknown_key' }]);
+
+    db.checkpoints[0].signature = Buffer.alloc(64).toString('base64');
+    expect((await verifyAuditChain(db, 'admin_activities', options)).checkpoints.failures)
+      .toEqual([{ id: 1, chainSeq: 2, reason: 'bad_signature' }]);
+  });
+
+  test('refuses an unknown chain', async () => {
+    await expect(verifyAuditChain(fakeDb([]), 'clients')).rejects.toThrow('Unknown audit chain clients');
+  });
+});
+
+describe('createAuditCheckpoint', () => {
+  test('signs the head only when it has moved', async () => {
+    const db = fakeDb(buildChain(['a', 'b']));
+    const checkpoint = await createAuditCheckpoint(db, 'admin_activities', signingKey);
+    expect(checkpoint).toMatchObject({ chain_name: 'admin_activities', chain_seq: '2', key_id: signingKey.keyId });
+    expect(await createAuditCheckpoint(db, 'admin_activities', signingKey)).toBeNull();
+    expect(await createAuditCheckpoint(fakeDb([]), 'admin_activities', signingKey)).toBeNull();
+  });
+});
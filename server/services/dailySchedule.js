@@ -0,0 +1,27 @@
+// Runs a background task once a day at a fixed UTC hour, for as long as the server is up.
+// A failed run is logged and the task runs again the next day.
+
+/**
+ * @param {string} name - used in the error log
+ * @param {number} hourUtc - 0-23
+ * @param {() => Promise<void>} task
+ */
+const runDaily = (name, hourUtc, task) => {
+  const next = new Date();
+  next.setUTCHours(hourUtc, 0, 0, 0);
+  if (next <= new Date()) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+
+  const timer = setTimeout(async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} error:`, error);
+    }
+    runDaily(name, hourUtc, task);
+  }, next - Date.now());
+  timer.unref();
+};
+
+module.exports = { runDaily };
@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email for applicants.
+// Without SMTP_HOST (local development) messages are rendered as JSON and dropped; only the recipient and
+// subject are logged, since bodies carry one-time codes. Production refuses to start without SMTP_HOST.
+
+if (!process.env.SMTP_HOST && process.env.NODE_ENV === 'production') {
+  throw new Error('SMTP_HOST must be set in production; applicant email would not be delivered');
+}
+
+const transport = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })
+  : nodemailer.createTransport({ jsonTransport: true });
+
+const MAIL_FROM = process.env.MAIL_FROM || process.env.SMTP_USER || 'noreply@alhambrabank.com';
+
+/**
+ * Sends a plain text email.
+ * @param {{ to: string, subject: string, text: string }} message
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text });
+  if (!process.env.SMTP_HOST) {
+    console.log(`Email not sent (SMTP_HOST not set): "${subject}" to ${to}`);
+  }
+  return info;
+};
+
+module.exports = { sendMail };
@@ -0,0 +1,208 @@
+// Fuzzy name matching for sanctions and PEP screening.
+// Names are reduced to Latin capitals first: Cyrillic, Greek and Arabic script are transliterated and
+// accents dropped, so "Влади́мир", "Wladimir" and "VLADIMIR" compare as the same word. Each word is then
+// scored with Jaro-Winkler on both its spelling and a rough phonetic spelling, and words are paired up
+// regardless of order ("SMITH, John" against "John Smith").
+// Arabic script carries no short vowels, so Arabic-script names also match on their consonant skeleton
+// ("محمد" -> MHMD -> MUHAMMAD, MOHAMMED), whatever vowel a name starts with ("عمر" -> AMR -> OMAR). Chinese characters can't be transliterated without a
+// dictionary and never match a Latin-script list entry.
+
+const CYRILLIC = {
+  А: 'A', Б: 'B', В: 'V', Г: 'G', Д: 'D', Е: 'E', Ё: 'E', Ж: 'ZH', З: 'Z', И: 'I', Й: 'Y', К: 'K', Л: 'L',
+  М: 'M', Н: 'N', О: 'O', П: 'P', Р: 'R', С: 'S', Т: 'T', У: 'U', Ф: 'F', Х: 'KH', Ц: 'TS', Ч: 'CH', Ш: 'SH',
+  Щ: 'SHCH', Ъ: '', Ы: 'Y', Ь: '', Э: 'E', Ю: 'YU', Я: 'YA', Є: 'YE', І: 'I', Ї: 'YI', Ґ: 'G', Ў: 'U'
+};
+
+const GREEK = {
+  Α: 'A', Β: 'V', Γ: 'G', Δ: 'D', Ε: 'E', Ζ: 'Z', Η: 'I', Θ: 'TH', Ι: 'I', Κ: 'K', Λ: 'L', Μ: 'M', Ν: 'N',
+  Ξ: 'X', Ο: 'O', Π: 'P', Ρ: 'R', Σ: 'S', Τ: 'T', Υ: 'Y', Φ: 'F', Χ: 'CH', Ψ: 'PS', Ω: 'O',
+  Ά: 'A', Έ: 'E', Ή: 'I', Ί: 'I', Ό: 'O', Ύ: 'Y', Ώ: 'O', Ϊ: 'I', Ϋ: 'Y'
+};
+
+const ARABIC = {
+  ا: 'A', أ: 'A', إ: 'I', آ: 'A', ٱ: 'A', ب: 'B', ت: 'T', ث: 'TH', ج: 'J', ح: 'H', خ: 'KH', د: 'D', ذ: 'DH',
+  ر: 'R', ز: 'Z', س: 'S', ش: 'SH', ص: 'S', ض: 'D', ط: 'T', ظ: 'Z', ع: 'A', غ: 'GH', ف: 'F', ق: 'Q', ك: 'K',
+  ل: 'L', م: 'M', ن: 'N', ه: 'H', ة: 'A', و: 'W', ي: 'Y', ى: 'A', ء: '', ئ: '', ؤ: '', پ: 'P', چ: 'CH',
+  ژ: 'ZH', گ: 'G', ک: 'K', ی: 'Y'
+};
+
+// Latin letters that don't decompose into a base letter and an accent
+const LATIN = { ß: 'SS', Æ: 'AE', Œ: 'OE', Ø: 'O', Ł: 'L', Đ: 'D', Ð: 'D', Þ: 'TH', Ħ: 'H', Ĳ: 'IJ' };
+
+const TRANSLITERATION = { ...CYRILLIC, ...GREEK, ...ARABIC, ...LATIN };
+
+// Connecting words that names are written both with and without ("AL-ASSAD", "ASSAD")
+const PARTICLES = new Set([
+  'AL', 'EL', 'BIN', 'BEN', 'IBN', 'BINT', 'DE', 'DA', 'DI', 'DO', 'DOS', 'DAS', 'DEL', 'LA', 'LE', 'VAN', 'VON', 'DER', 'DEN'
+]);
+
+/**
+ * The name as the Latin capitals and spaces that matching works on.
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeName = (name) => {
+  // Ayin is written as the vowel it carries (ALI, OMAR, ABDULLAH), which a following long vowel letter
+  // already spells out (ISSA, SAID)
+  const upper = String(name || '').toUpperCase().replace(/ς/g, 'Σ').replace(/ع(?=[اآويى])/g, '');
+  return [...upper]
+    .map((character) => (TRANSLITERATION[character] !== undefined ? TRANSLITERATION[character] : character))
+    .join('')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/['’`]/g, '')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+};
+
+const tokenize = (normalized) => {
+  const tokens = normalized.split(' ').filter(Boolean);
+  const significant = tokens.filter((token) => !PARTICLES.has(token));
+  return significant.length > 0 ? significant : tokens;
+};
+
+// Spellings that sound alike: Yusuf/Youssef, Mustafa/Moustapha, Wladimir/Vladimir, Abdullah/Abdulla
+const phonetic = (token) => token
+  .replace(/PH/g, 'F')
+  .replace(/CK/g, 'K')
+  .replace(/Q/g, 'K')
+  .replace(/W/g, 'V')
+  .replace(/Y/g, 'I')
+  .replace(/OU/g, 'U')
+  .replace(/OO/g, 'U')
+  .replace(/EE/g, 'I')
+  .replace(/C(?=[EI])/g, 'S')
+  .replace(/C/g, 'K')
+  .replace(/(.)\1+/g, '$1')
+  // A final H after a vowel is silent, and Arabic script writes that vowel nowhere: ABDULLAH, عبدالله
+  .replace(/([^SKTGZ])H$/, '$1');
+
+// First letter and consonants, without repeats: MUHAMMAD, MOHAMED and محمد all give MHMD
+const skeleton = (token) => {
+  const sound = phonetic(token);
+  return (sound[0] + sound.slice(1).replace(/[AEIOU]/g, '')).replace(/(.)\1+/g, '$1');
+};
+
+// The skeleton with any first vowel as A, for names from Arabic script, where the first vowel is a
+// transliterator's choice: OMAR, UMAR and عمر all give AMR. Latin names keep their own (OMAR is not AMIR)
+const looseSkeleton = (consonants) => consonants.replace(/^[AEIOU]/, 'A');
+
+const jaroWinkler = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  if (!a.length || !b.length) {
+    return 0;
+  }
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) {
+    return 0;
+  }
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[j]) {
+        j++;
+      }
+      if (a[i] !== b[j]) {
+        transpositions++;
+      }
+      j++;
+    }
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * A name prepared for repeated comparison.
+ * @param {string} name
+ * @returns {{ name: string, normalized: string, tokens: Object[], keys: string[] }}
+ */
+const prepareName = (name) => {
+  const normalized = normalizeName(name);
+  const arabic = /\p{Script=Arabic}/u.test(String(name || ''));
+  const tokens = tokenize(normalized).map((token) => {
+    const consonants = skeleton(token);
+    return { token, phonetic: phonetic(token), skeleton: consonants, looseSkeleton: looseSkeleton(consonants), arabic };
+  });
+  // Blocking keys: candidates must share a word skeleton or the start of a word's sound
+  const keys = [...new Set(tokens.flatMap(({ phonetic: sound, skeleton: consonants, looseSkeleton: loose }) =>
+    [`S:${consonants}`, `A:${loose}`, `P:${sound.slice(0, 3)}`]))];
+  return { name, normalized, tokens, keys };
+};
+
+const tokenSimilarity = (a, b) => {
+  if (a.token === b.token) {
+    return 1;
+  }
+  // An initial against a full word: "J" for JOHN
+  if (a.token.length === 1 || b.token.length === 1) {
+    return a.token[0] === b.token[0] ? 0.85 : 0;
+  }
+  let score = Math.max(jaroWinkler(a.token, b.token), jaroWinkler(a.phonetic, b.phonetic));
+  const [aSkeleton, bSkeleton] = a.arabic || b.arabic ? [a.looseSkeleton, b.looseSkeleton] : [a.skeleton, b.skeleton];
+  if (aSkeleton === bSkeleton && aSkeleton.length >= 3) {
+    score = Math.max(score, 0.95);
+  }
+  return score;
+};
+
+/**
+ * How alike two prepared names are, from 0 to 1.
+ * Words are paired best-first; words left over on the longer name cost a little (a missing middle name),
+ * and a single word against a longer name is never a strong match on its own.
+ */
+const compareNames = (a, b) => {
+  if (a.tokens.length === 0 || b.tokens.length === 0) {
+    return 0;
+  }
+  const [shorter, longer] = a.tokens.length <= b.tokens.length ? [a.tokens, b.tokens] : [b.tokens, a.tokens];
+
+  const pairs = [];
+  shorter.forEach((token, i) => longer.forEach((other, j) => pairs.push({ i, j, score: tokenSimilarity(token, other) })));
+  pairs.sort((x, y) => y.score - x.score);
+
+  const usedShorter = new Set();
+  const usedLonger = new Set();
+  let weighted = 0;
+  pairs.forEach(({ i, j, score }) => {
+    if (!usedShorter.has(i) && !usedLonger.has(j)) {
+      usedShorter.add(i);
+      usedLonger.add(j);
+      weighted += score * shorter[i].token.length;
+    }
+  });
+  const totalLength = shorter.reduce((sum, { token }) => sum + token.length, 0);
+  const coverage = shorter.length / longer.length;
+  const factor = shorter.length === 1 && longer.length > 1 ? 0.75 : 0.9 + 0.1 * coverage;
+  const tokenScore = (weighted / totalLength) * factor;
+
+  // Words run together or split apart: ABDULRAHMAN and ABDUL RAHMAN. Only for names of about the same
+  // length, or JOHN would match the start of JOHNSMITH
+  const [joinedA, joinedB] = [a, b].map((prepared) => prepared.tokens.map(({ token }) => token).join(''));
+  if (Math.min(joinedA.length, joinedB.length) / Math.max(joinedA.length, joinedB.length) < 0.8) {
+    return tokenScore;
+  }
+  return Math.max(tokenScore, jaroWinkler(joinedA, joinedB));
+};
+
+module.exports = { normalizeName, prepareName, compareNames, jaroWinkler };
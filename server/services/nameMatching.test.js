@@ -0,0 +1,76 @@
+const { compareNames, jaroWinkler, normalizeName, prepareName } = require('./nameMatching');
+
+// The score at which sanctionsScreening.js reports a possible match
+const MATCH_THRESHOLD = 0.88;
+
+const score = (a, b) => compareNames(prepareName(a), prepareName(b));
+
+describe('normalizeName', () => {
+  test('reduces names to Latin capitals', () => {
+    expect(normalizeName('Влади́мир Пу́тин')).toBe('VLADIMIR PUTIN');
+    expect(normalizeName('Σωκράτης')).toBe('SOKRATIS');
+    expect(normalizeName('José Müller-Straße')).toBe('JOSE MULLER STRASSE');
+    expect(normalizeName("O'Brien, Seán")).toBe('OBRIEN SEAN');
+  });
+
+  test('writes ayin as a vowel unless a long vowel letter follows', () => {
+    expect(normalizeName('علي')).toBe('ALY');
+    expect(normalizeName('عمر')).toBe('AMR');
+    expect(normalizeName('عيسى')).toBe('YSA');
+  });
+});
+
+describe('jaroWinkler', () => {
+  test('scores the textbook pairs', () => {
+    expect(jaroWinkler('MARTHA', 'MARHTA')).toBeCloseTo(0.961, 3);
+    expect(jaroWinkler('DIXON', 'DICKSONX')).toBeCloseTo(0.813, 3);
+    expect(jaroWinkler('ABC', 'XYZ')).toBe(0);
+  });
+});
+
+describe('compareNames', () => {
+  test('matches Arabic-script names against their Latin spellings', () => {
+    expect(score('Ali', 'علي')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(score('Muhammad Omar', 'محمد عمر')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(score('Mohamed Umar', 'محمد عمر')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(score('Abdullah', 'عبدالله')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(score('Issa', 'عيسى')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(score('Saeed', 'سعيد')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+  });
+
+  test('matches Cyrillic names and spelling variants', () => {
+    expect(score('Vladimir Putin', 'Влади́мир Пу́тин')).toBe(1);
+    expect(score('Wladimir Putin', 'Vladimir Putin')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(score('Youssef', 'Yusuf')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+  });
+
+  test('ignores word order, particles and words run together', () => {
+    expect(score('SMITH, John', 'John Smith')).toBe(1);
+    expect(score('Bashar al-Assad', 'Bashar Assad')).toBe(1);
+    expect(score('Abdul Rahman', 'ABDULRAHMAN')).toBe(1);
+  });
+
+  test('keeps different Latin names apart', () => {
+    expect(score('Omar', 'Amir')).toBeLessThan(MATCH_THRESHOLD);
+    expect(score('John Smith', 'Jane Smithers')).toBeLessThan(MATCH_THRESHOLD);
+    expect(score('Ali Hassan', 'Omar Hassan')).toBeLessThan(MATCH_THRESHOLD);
+  });
+
+  test('never rates a single word against a longer name as a strong match', () => {
+    expect(score('Smith', 'John Smith')).toBeLessThan(MATCH_THRESHOLD);
+    expect(score('Hassan', 'Ali Hassan Omar')).toBeLessThan(MATCH_THRESHOLD);
+  });
+
+  test('scores an empty name as no match', () => {
+    expect(score('', 'John Smith')).toBe(0);
+  });
+});
+
+describe('prepareName', () => {
+  test('gives an Arabic-script name a blocking key its Latin spellings share', () => {
+    const shared = (a, b) => prepareName(a).keys.some((key) => prepareName(b).keys.includes(key));
+    expect(shared('عمر', 'Omar')).toBe(true);
+    expect(shared('علي', 'Ali')).toBe(true);
+    expect(shared('عبدالله', 'Abdullah')).toBe(true);
+  });
+});
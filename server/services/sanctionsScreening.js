@@ -0,0 +1,421 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parseWatchlist } = require('./watchlistParsers');
+const { prepareName, compareNames } = require('./nameMatching');
+const { findCountryCode } = require('../../src/lib/countries.js');
+const { runDaily } = require('./dailySchedule');
+
+// Sanctions and PEP screening against the watchlists loaded into watchlist_entries.
+// Every client, joint holder, director, beneficial owner and signatory is screened by name, with the date of
+// birth and nationality moving the score up or down, and each run writes one compliance_checks row per check
+// type. Any match leaves the check in manual_review for a compliance officer to clear. A differing date of
+// birth or nationality never clears a name that matches on its own: lists record them wrongly often enough
+// that the officer decides.
+
+const LIST_TYPES = { ofac: 'sanctions', un: 'sanctions', eu: 'sanctions', pep: 'pep' };
+const CHECK_TYPES = { sanctions: 'sanctions_check', pep: 'pep_check' };
+const RISK_FLAGS = { sanctions: 'sanctions_match', pep: 'pep_match' };
+
+// Scores run from 0 to 1; 0.88 catches spelling and transliteration variants without flagging every namesake
+// of a common first name
+const MATCH_THRESHOLD = parseFloat(process.env.SCREENING_MATCH_THRESHOLD) || 0.88;
+const RESCREEN_HOUR_UTC = process.env.SCREENING_RESCREEN_HOUR ? parseInt(process.env.SCREENING_RESCREEN_HOUR) : 2;
+
+// Score adjustments for what else the list says about the person. Negative ones order the matches but
+// stop at the threshold when the name alone reaches it
+const DATE_OF_BIRTH_ADJUSTMENTS = { exact: 0.05, partial: 0.02, mismatch: -0.15, unknown: 0 };
+const NATIONALITY_ADJUSTMENTS = { match: 0.03, mismatch: -0.05, unknown: 0 };
+
+const INSERT_BATCH_SIZE = 500;
+const MAX_MATCHES_PER_SUBJECT = 10;
+
+const round = (score) => Math.round(score * 1000) / 1000;
+
+// pg reads DATE columns as local midnight
+const toIsoDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return [value.getFullYear(), value.getMonth() + 1, value.getDate()].map((part) => String(part).padStart(2, '0')).join('-');
+  }
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Replaces a source's entries with the contents of a list file. Loading the same file again changes nothing.
+ * @param {Object} pool - pg pool
+ * @param {{ source: 'ofac' | 'un' | 'eu' | 'pep', filePath: string }} options
+ * @returns {Promise<Object>} the watchlist_imports row, with unchanged: true when the file was already loaded
+ */
+const importWatchlist = async (pool, { source, filePath }) => {
+  const content = await fs.readFile(filePath, 'utf8');
+  const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+
+  const latest = await pool.query(
+    'SELECT * FROM watchlist_imports WHERE source = $1 ORDER BY imported_at DESC LIMIT 1',
+    [source]
+  );
+  if (latest.rows.length > 0 && latest.rows[0].file_hash === fileHash) {
+    return { ...latest.rows[0], unchanged: true };
+  }
+
+  const entries = parseWatchlist(source, content);
+  if (entries.length === 0) {
+    throw new Error(`No list entries found in ${path.basename(filePath)}`);
+  }
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+
+    const importResult = await db.query(
+      `INSERT INTO watchlist_imports (source, list_type, file_name, file_hash, entry_count)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [source, LIST_TYPES[source], path.basename(filePath), fileHash, entries.length]
+    );
+    const importId = importResult.rows[0].id;
+
+    await db.query('DELETE FROM watchlist_entries WHERE source = $1', [source]);
+
+    for (let start = 0; start < entries.length; start += INSERT_BATCH_SIZE) {
+      const batch = entries.slice(start, start + INSERT_BATCH_SIZE);
+      const values = [];
+      const rows = batch.map((entry, i) => {
+        values.push(
+          importId, source, LIST_TYPES[source], entry.externalId, entry.entryType, entry.primaryName,
+          entry.names, entry.datesOfBirth, entry.nationalities, entry.programs, entry.remarks
+        );
+        return `(${Array.from({ length: 11 }, (_, column) => `$${i * 11 + column + 1}`).join(', ')})`;
+      });
+      await db.query(
+        `INSERT INTO watchlist_entries (
+           import_id, source, list_type, external_id, entry_type, primary_name,
+           names, dates_of_birth, nationalities, programs, remarks
+         ) VALUES ${rows.join(', ')}`,
+        values
+      );
+    }
+
+    await db.query('COMMIT');
+    return importResult.rows[0];
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// Entries of the latest import of each source, prepared for matching and indexed by blocking key.
+// Rebuilt only when an import changes.
+let watchlistCache = null;
+
+const loadWatchlists = async (pool) => {
+  const importsResult = await pool.query(
+    `SELECT DISTINCT ON (source) id, source, list_type, file_name, imported_at
+     FROM watchlist_imports
+     ORDER BY source, imported_at DESC`
+  );
+  const imports = importsResult.rows;
+  const key = imports.map(({ id }) => id).join(',');
+
+  if (!watchlistCache || watchlistCache.key !== key) {
+    const entriesResult = await pool.query(
+      `SELECT id, source, list_type, external_id, entry_type, primary_name, names, dates_of_birth, nationalities, programs
+       FROM watchlist_entries
+       WHERE import_id = ANY($1)`,
+      [imports.map(({ id }) => id)]
+    );
+
+    const index = new Map();
+    entriesResult.rows.forEach((row) => {
+      const entry = { ...row, preparedNames: row.names.map(prepareName) };
+      new Set(entry.preparedNames.flatMap(({ keys }) => keys)).forEach((blockingKey) => {
+        if (!index.has(blockingKey)) {
+          index.set(blockingKey, []);
+        }
+        index.get(blockingKey).push(entry);
+      });
+    });
+
+    watchlistCache = { key, imports, index };
+  }
+  return watchlistCache;
+};
+
+const compareDatesOfBirth = (dateOfBirth, listDates) => {
+  if (!dateOfBirth || listDates.length === 0) {
+    return 'unknown';
+  }
+  const agreeing = listDates.filter((date) => dateOfBirth.startsWith(date));
+  if (agreeing.some((date) => date.length === 10)) {
+    return 'exact';
+  }
+  return agreeing.length > 0 ? 'partial' : 'mismatch';
+};
+
+const compareNationalities = (nationalities, listNationalities) => {
+  if (nationalities.length === 0 || listNationalities.length === 0) {
+    return 'unknown';
+  }
+  return nationalities.some((code) => listNationalities.includes(code)) ? 'match' : 'mismatch';
+};
+
+// Best-scoring entries of one list type for one person or company
+const matchSubject = (watchlists, subject, listType) => {
+  const candidates = new Set(subject.prepared.keys.flatMap((blockingKey) => watchlists.index.get(blockingKey) || []));
+  const matches = [];
+
+  candidates.forEach((entry) => {
+    if (entry.list_type !== listType || entry.entry_type !== subject.entryType) {
+      return;
+    }
+    let nameScore = 0;
+    let matchedName = entry.primary_name;
+    entry.preparedNames.forEach((listName) => {
+      const score = compareNames(subject.prepared, listName);
+      if (score > nameScore) {
+        nameScore = score;
+        matchedName = listName.name;
+      }
+    });
+
+    const dateOfBirth = compareDatesOfBirth(subject.dateOfBirth, entry.dates_of_birth);
+    const nationality = compareNationalities(subject.nationalities, entry.nationalities);
+    const adjusted = Math.min(1, nameScore + DATE_OF_BIRTH_ADJUSTMENTS[dateOfBirth] + NATIONALITY_ADJUSTMENTS[nationality]);
+    const score = nameScore >= MATCH_THRESHOLD ? Math.max(adjusted, MATCH_THRESHOLD) : adjusted;
+
+    if (score >= MATCH_THRESHOLD) {
+      matches.push({
+        subject: {
+          role: subject.role,
+          name: subject.name,
+          dateOfBirth: subject.dateOfBirth,
+          nationalities: subject.nationalities
+        },
+        entry: {
+          id: entry.id,
+          source: entry.source,
+          externalId: entry.external_id,
+          primaryName: entry.primary_name,
+          matchedName,
+          datesOfBirth: entry.dates_of_birth,
+          nationalities: entry.nationalities,
+          programs: entry.programs
+        },
+        score: round(score),
+        nameScore: round(nameScore),
+        dateOfBirth,
+        nationality
+      });
+    }
+  });
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, MAX_MATCHES_PER_SUBJECT);
+};
+
+const subject = ({ role, name, entryType, dateOfBirth = null, countries = [] }) => ({
+  role,
+  name,
+  entryType,
+  dateOfBirth: toIsoDate(dateOfBirth),
+  nationalities: [...new Set(countries.filter(Boolean).map(findCountryCode).filter(Boolean))],
+  prepared: prepareName(name)
+});
+
+// The client and the people on their application. The passport's issuing country and the country of birth
+// stand in for nationality, which the application doesn't ask for.
+const loadSubjects = async (pool, clientId) => {
+  const clientResult = await pool.query(
+    `SELECT c.client_type, c.first_name, c.last_name, c.company_name, c.date_of_birth, a.form_data
+     FROM clients c
+     LEFT JOIN LATERAL (
+       SELECT form_data FROM onboarding_applications
+       WHERE client_id = c.id
+       ORDER BY submitted_at DESC NULLS LAST
+       LIMIT 1
+     ) a ON true
+     WHERE c.id = $1`,
+    [clientId]
+  );
+  if (clientResult.rows.length === 0) {
+    throw new Error(`Client ${clientId} not found`);
+  }
+  const client = clientResult.rows[0];
+  const formData = client.form_data || {};
+  const subjects = [];
+
+  if (client.client_type === 'corporate' && client.company_name) {
+    subjects.push(subject({
+      role: 'company',
+      name: client.company_name,
+      entryType: 'entity',
+      countries: [formData.countryOfIncorporation, formData.registeredCountry]
+    }));
+  }
+  const clientName = [client.first_name, formData.middleName, client.last_name].filter(Boolean).join(' ');
+  if (clientName.trim()) {
+    subjects.push(subject({
+      role: 'client',
+      name: clientName,
+      entryType: 'individual',
+      dateOfBirth: client.date_of_birth,
+      countries: [formData.countryOfIssuance, formData.countryOfBirth]
+    }));
+  }
+
+  const partiesResult = await pool.query(
+    `SELECT party_type, first_name, middle_name, last_name, date_of_birth, country_of_birth, country_of_issuance
+     FROM application_parties
+     WHERE client_id = $1
+     ORDER BY party_type, position`,
+    [clientId]
+  );
+  partiesResult.rows.forEach((party) => {
+    subjects.push(subject({
+      role: party.party_type,
+      name: [party.first_name, party.middle_name, party.last_name].filter(Boolean).join(' '),
+      entryType: 'individual',
+      dateOfBirth: party.date_of_birth,
+      countries: [party.country_of_issuance, party.country_of_birth]
+    }));
+  });
+
+  return subjects.filter(({ prepared }) => prepared.tokens.length > 0);
+};
+
+const latestKycRequestId = async (pool, clientId) => {
+  const result = await pool.query(
+    'SELECT id FROM kyc_requests WHERE client_id = $1 ORDER BY submitted_at DESC LIMIT 1',
+    [clientId]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+const insertCheck = async (pool, { clientId, kycRequestId, listType, status, result }) => {
+  const checkResult = await pool.query(
+    `INSERT INTO compliance_checks (client_id, kyc_request_id, check_type, status, result)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, check_type, status, performed_at`,
+    [clientId, kycRequestId, CHECK_TYPES[listType], status, JSON.stringify(result)]
+  );
+  return checkResult.rows[0];
+};
+
+/**
+ * Screens a client and the people on their application against the loaded lists and records the outcome.
+ * @param {Object} pool - pg pool
+ * @param {string} clientId
+ * @param {{ kycRequestId?: string, trigger: 'kyc_submission' | 'periodic_review' | 'list_update' }} options
+ * @returns {Promise<Object[]>} the compliance_checks rows written, one per check type
+ */
+const screenClient = async (pool, clientId, { kycRequestId = null, trigger }) => {
+  const watchlists = await loadWatchlists(pool);
+  const subjects = await loadSubjects(pool, clientId);
+  const requestId = kycRequestId || await latestKycRequestId(pool, clientId);
+  const checks = [];
+
+  for (const listType of Object.keys(CHECK_TYPES)) {
+    const lists = watchlists.imports.filter((item) => item.list_type === listType);
+    if (lists.length === 0) {
+      checks.push(await insertCheck(pool, {
+        clientId,
+        kycRequestId: requestId,
+        listType,
+        status: 'pending',
+        result: { trigger, reason: 'No list of this type has been loaded' }
+      }));
+      continue;
+    }
+
+    const matches = subjects.flatMap((item) => matchSubject(watchlists, item, listType));
+    checks.push(await insertCheck(pool, {
+      clientId,
+      kycRequestId: requestId,
+      listType,
+      status: matches.length > 0 ? 'manual_review' : 'passed',
+      result: {
+        trigger,
+        threshold: MATCH_THRESHOLD,
+        lists: lists.map((item) => ({ source: item.source, fileName: item.file_name, importedAt: item.imported_at })),
+        subjects: subjects.map(({ role, name }) => ({ role, name })),
+        matches
+      }
+    }));
+
+    if (matches.length > 0 && requestId) {
+      await pool.query(
+        `UPDATE kyc_requests
+         SET risk_flags = array_append(COALESCE(risk_flags, ARRAY[]::TEXT[]), $1)
+         WHERE id = $2 AND NOT ($1 = ANY(COALESCE(risk_flags, ARRAY[]::TEXT[])))`,
+        [RISK_FLAGS[listType], requestId]
+      );
+    }
+  }
+
+  return checks;
+};
+
+/**
+ * Pending checks for a submission whose screening failed, so the review shows it still has to be done.
+ */
+const recordScreeningFailure = async (pool, clientId, { kycRequestId, trigger, error }) => {
+  for (const listType of Object.keys(CHECK_TYPES)) {
+    await insertCheck(pool, { clientId, kycRequestId, listType, status: 'pending', result: { trigger, error: error.message } });
+  }
+};
+
+/**
+ * Screens every client that isn't closed, applicants still in review included.
+ * @returns {Promise<{ screened: number, matched: number, failed: number }>}
+ */
+const rescreenActiveClients = async (pool, { trigger = 'list_update' } = {}) => {
+  const clientsResult = await pool.query("SELECT id FROM clients WHERE status <> 'closed' ORDER BY created_at");
+  const summary = { screened: 0, matched: 0, failed: 0 };
+
+  for (const { id } of clientsResult.rows) {
+    try {
+      const checks = await screenClient(pool, id, { trigger });
+      summary.screened++;
+      if (checks.some((check) => check.status === 'manual_review')) {
+        summary.matched++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Screening error for client ${id}:`, error);
+    }
+  }
+  return summary;
+};
+
+// Re-screens everyone when a list has been loaded since the last run
+const rescreenForNewLists = async (pool) => {
+  const newImports = await pool.query('SELECT id FROM watchlist_imports WHERE rescreened_at IS NULL');
+  if (newImports.rows.length === 0) {
+    return null;
+  }
+  const summary = await rescreenActiveClients(pool, { trigger: 'list_update' });
+  await pool.query(
+    'UPDATE watchlist_imports SET rescreened_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+    [newImports.rows.map(({ id }) => id)]
+  );
+  console.log('Watchlist re-screen complete:', summary);
+  return summary;
+};
+
+/**
+ * Runs rescreenForNewLists every night at SCREENING_RESCREEN_HOUR (UTC, default 02:00).
+ */
+const scheduleNightlyRescreen = (pool) => runDaily('Nightly re-screen', RESCREEN_HOUR_UTC, () => rescreenForNewLists(pool));
+
+module.exports = {
+  importWatchlist,
+  screenClient,
+  recordScreeningFailure,
+  rescreenActiveClients,
+  rescreenForNewLists,
+  scheduleNightlyRescreen
+};
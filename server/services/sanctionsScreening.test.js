@@ -0,0 +1,85 @@
+// Required through Node's loader, which (unlike Jest's before Node 24.9) can load the src/lib ES modules
+// this service depends on
+const { screenClient } = process.getBuiltinModule('module').createRequire(__filename)('./sanctionsScreening');
+
+let importId = 0;
+
+// A pool holding one loaded list and one client; the screening's compliance_checks rows land in checks
+const fakePool = ({ listType = 'sanctions', entries, client }) => {
+  importId++;
+  const checks = [];
+  const query = async (sql, params) => {
+    if (sql.includes('FROM watchlist_imports')) {
+      return { rows: [{ id: importId, source: 'ofac', list_type: listType, file_name: 'sdn.xml', imported_at: '2025-03-14' }] };
+    }
+    if (sql.includes('FROM watchlist_entries')) {
+      return {
+        rows: entries.map((entry, index) => ({
+          id: index + 1,
+          source: 'ofac',
+          list_type: listType,
+          external_id: String(index + 1),
+          entry_type: 'individual',
+          primary_name: entry.names[0],
+          dates_of_birth: [],
+          nationalities: [],
+          programs: ['SDGT'],
+          ...entry
+        }))
+      };
+    }
+    if (sql.includes('FROM clients')) {
+      return { rows: [{ client_type: 'individual', form_data: {}, ...client }] };
+    }
+    if (sql.includes('FROM application_parties')) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO compliance_checks')) {
+      const [, , checkType, status, result] = params;
+      const check = { id: checks.length + 1, check_type: checkType, status, result: JSON.parse(result) };
+      checks.push(check);
+      return { rows: [check] };
+    }
+    if (sql.includes('kyc_requests')) {
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { checks, query };
+};
+
+const screen = async (pool) => {
+  await screenClient(pool, 'client-1', { kycRequestId: 'kyc-1', trigger: 'kyc_submission' });
+  return pool.checks.find((check) => check.check_type === 'sanctions_check');
+};
+
+describe('screenClient', () => {
+  test('sends an exact name match with a different date of birth to manual review', async () => {
+    const check = await screen(fakePool({
+      entries: [{ names: ['Omar Hassan Khalil'], dates_of_birth: ['1961-02-03'], nationalities: ['SY'] }],
+      client: { first_name: 'Omar', last_name: 'Hassan Khalil', date_of_birth: '1985-07-19', form_data: { countryOfIssuance: 'GB' } }
+    }));
+    expect(check.status).toBe('manual_review');
+    expect(check.result.matches).toEqual([expect.objectContaining({
+      nameScore: 1,
+      score: check.result.threshold,
+      dateOfBirth: 'mismatch',
+      nationality: 'mismatch'
+    })]);
+  });
+
+  test('lets an agreeing date of birth lift a near match over the threshold', async () => {
+    const entries = [{ names: ['Ziad Nasser'], dates_of_birth: ['1961-02-03'] }];
+    const agreeing = await screen(fakePool({ entries, client: { first_name: 'Fuad', last_name: 'Nasser', date_of_birth: '1961-02-03' } }));
+    const unknown = await screen(fakePool({ entries, client: { first_name: 'Fuad', last_name: 'Nasser', date_of_birth: null } }));
+    expect(agreeing.status).toBe('manual_review');
+    expect(agreeing.result.matches[0].nameScore).toBeLessThan(agreeing.result.threshold);
+    expect(unknown.status).toBe('passed');
+  });
+
+  test('passes a client who matches no entry, and leaves a list type without lists pending', async () => {
+    const pool = fakePool({ entries: [{ names: ['Omar Hassan Khalil'] }], client: { first_name: 'Jane', last_name: 'Roe' } });
+    expect((await screen(pool)).status).toBe('passed');
+    expect(pool.checks.find((check) => check.check_type === 'pep_check').status).toBe('pending');
+  });
+});
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// Tamper evidence for electronically signed applications.
+// Every signature stores the SHA-256 of the canonical application payload it was given for;
+// recomputing that hash from the stored form data later shows whether anything has changed.
+
+const SIGNATURE_IMAGE_PATTERN = /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/;
+const MAX_SIGNATURE_IMAGE_LENGTH = 512 * 1024;
+const SIGNATURE_METHODS = ['drawn', 'typed'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// JSON with object keys sorted at every level, so equal payloads always hash the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashApplicationPayload = (application, formData) => sha256(canonicalize({
+  referenceNumber: application.reference_number,
+  accountType: application.account_type,
+  formData
+}));
+
+/**
+ * Check the submitted signatures against the people who must sign.
+ * @param {Array} signatories - from getSignatories()
+ * @param {Array} signatures - [{ role, method, image, typedName, consent }] from the wizard; anything but an
+ *   array counts as no signatures
+ * @returns {{ errors: Object, accepted: Array }} errors keyed by signer role
+ */
+const validateSignatures = (signatories, signatures) => {
+  const errors = {};
+  const accepted = [];
+  const submitted = Array.isArray(signatures) ? signatures : [];
+
+  signatories.forEach((signatory) => {
+    const signature = submitted.find((item) => item && item.role === signatory.role);
+
+    if (!signature) {
+      errors[signatory.role] = `${signatory.label} must sign the application`;
+    } else if (!SIGNATURE_METHODS.includes(signature.method)) {
+      errors[signatory.role] = 'Signature must be drawn or typed';
+    } else if (typeof signature.image !== 'string' || !SIGNATURE_IMAGE_PATTERN.test(signature.image) ||
+      signature.image.length > MAX_SIGNATURE_IMAGE_LENGTH) {
+      errors[signatory.role] = 'Signature image is missing or invalid';
+    } else if (signature.method === 'typed' && (typeof signature.typedName !== 'string' || !signature.typedName.trim())) {
+      errors[signatory.role] = 'Type your full name to sign';
+    } else if (signature.consent !== true) {
+      errors[signatory.role] = 'Consent to sign electronically is required';
+    } else {
+      accepted.push({
+        role: signatory.role,
+        label: signatory.label,
+        name: signatory.name,
+        party: signatory.party,
+        method: signature.method,
+        image: signature.image,
+        typedName: signature.method === 'typed' ? signature.typedName.trim() : null
+      });
+    }
+  });
+
+  return { errors, accepted };
+};
+
+const signatureImageBuffer = (dataUrl) => Buffer.from(dataUrl.split(',')[1], 'base64');
+
+module.exports = {
+  sha256,
+  canonicalize,
+  hashApplicationPayload,
+  validateSignatures,
+  signatureImageBuffer
+};
@@ -0,0 +1,172 @@
+const { XMLParser } = require('fast-xml-parser');
+const { parseCsvRecords } = require('../../src/lib/csv.js');
+
+// Readers for the custody account's bank statements, used by the daily reconciliation. Both produce
+// statements of the same shape:
+// { statementId, account, currency, statementDate, openingBalance, closingBalance, lines }
+// with each line { bookingDate, valueDate, amount, direction: 'debit' | 'credit', currency, reference, uetr,
+// bankReference, counterpartyName, remittanceInfo }. Amounts are positive; direction carries the sign.
+//
+// camt.053   ISO 20022 BankToCustomerStatement, versions 02 to 08; one statement per Stmt
+// CSV        one row per line with a header: booking_date (or date), value_date, amount (negative for
+//            debits) or separate debit and credit columns, currency, reference, bank_reference, uetr,
+//            counterparty and description. Gives a single statement without balances.
+
+const asArray = (value) => (value === undefined || value === null || value === '' ? [] : [].concat(value));
+
+const text = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(typeof value === 'object' ? value['#text'] ?? '' : value).replace(/\s+/g, ' ').trim();
+};
+
+const amount = (value) => {
+  const number = Number(text(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? Math.abs(number) : null;
+};
+
+// "2025-03-14" or "2025-03-14T09:30:00" to the date
+const isoDate = (value) => (text(value).match(/^\d{4}-\d{2}-\d{2}/) || [null])[0];
+
+const parseXml = (content) => new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name, path, isLeaf, isAttribute) => !isAttribute && ['Stmt', 'Bal', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd'].includes(name)
+}).parse(content);
+
+// camt.053 -------------------------------------------------------------------------------------------
+
+const balance = (balances, codes) => {
+  const found = balances.find((item) => codes.includes(text(item.Tp && item.Tp.CdOrPrtry && item.Tp.CdOrPrtry.Cd)));
+  if (!found) {
+    return null;
+  }
+  const value = amount(found.Amt);
+  return text(found.CdtDbtInd) === 'DBIT' ? -value : value;
+};
+
+// Creditor name moved under Pty in camt.053.001.08
+const partyName = (party) => (party ? text(party.Nm || (party.Pty && party.Pty.Nm)) : '');
+
+const parseEntry = (entry, statementCurrency) => {
+  const details = asArray(entry.NtryDtls).flatMap((item) => asArray(item.TxDtls));
+  // A batch booking carries several transactions; the reconciliation matches the entry as a whole
+  const transaction = details.length === 1 ? details[0] : {};
+  const refs = transaction.Refs || {};
+  const parties = transaction.RltdPties || {};
+
+  return {
+    bookingDate: isoDate((entry.BookgDt && (entry.BookgDt.Dt || entry.BookgDt.DtTm)) || ''),
+    valueDate: isoDate((entry.ValDt && (entry.ValDt.Dt || entry.ValDt.DtTm)) || ''),
+    amount: amount(entry.Amt),
+    direction: text(entry.CdtDbtInd) === 'DBIT' ? 'debit' : 'credit',
+    currency: (entry.Amt && entry.Amt.Ccy) || statementCurrency,
+    reference: text(refs.EndToEndId) && text(refs.EndToEndId) !== 'NOTPROVIDED' ? text(refs.EndToEndId) : text(refs.InstrId),
+    uetr: text(refs.UETR).toLowerCase(),
+    bankReference: text(entry.AcctSvcrRef) || text(refs.AcctSvcrRef),
+    counterpartyName: text(entry.CdtDbtInd) === 'DBIT' ? partyName(parties.Cdtr) : partyName(parties.Dbtr),
+    remittanceInfo: asArray(transaction.RmtInf && transaction.RmtInf.Ustrd).map(text).join(' ') || text(entry.AddtlNtryInf)
+  };
+};
+
+const isBooked = (entry) => {
+  const status = entry.Sts && typeof entry.Sts === 'object' ? entry.Sts.Cd : entry.Sts;
+  return !status || text(status) === 'BOOK';
+};
+
+const parseCamt053 = (content) => {
+  const document = parseXml(content).Document;
+  const statement = document && document.BkToCstmrStmt;
+  if (!statement) {
+    throw new Error('Not a camt.053 statement: no BkToCstmrStmt element');
+  }
+
+  return asArray(statement.Stmt).map((item) => {
+    const account = item.Acct || {};
+    const currency = text(account.Ccy) || null;
+    const balances = asArray(item.Bal);
+    const closing = balances.find((bal) => text(bal.Tp && bal.Tp.CdOrPrtry && bal.Tp.CdOrPrtry.Cd) === 'CLBD');
+
+    return {
+      statementId: text(item.Id),
+      account: text(account.Id && (account.Id.IBAN || (account.Id.Othr && account.Id.Othr.Id))),
+      currency: currency || (closing && closing.Amt && closing.Amt.Ccy) || null,
+      statementDate: isoDate(closing && closing.Dt && (closing.Dt.Dt || closing.Dt.DtTm))
+        || isoDate(item.FrToDt && item.FrToDt.ToDtTm)
+        || isoDate(item.CreDtTm),
+      openingBalance: balance(balances, ['OPBD', 'PRCD']),
+      closingBalance: balance(balances, ['CLBD']),
+      lines: asArray(item.Ntry).filter(isBooked).map((entry) => parseEntry(entry, currency))
+    };
+  });
+};
+
+// CSV ------------------------------------------------------------------------------------------------
+
+const parseStatementCsv = (content) => {
+  const records = parseCsvRecords(content);
+  const lines = records.map((record) => {
+    let value;
+    let direction;
+    if (record.amount !== undefined && record.amount !== '') {
+      value = amount(record.amount);
+      direction = Number(record.amount.replace(/,/g, '')) < 0 ? 'debit' : 'credit';
+    } else {
+      direction = record.debit ? 'debit' : 'credit';
+      value = amount(record.debit || record.credit);
+    }
+
+    return {
+      bookingDate: isoDate(record.booking_date || record.date),
+      valueDate: isoDate(record.value_date) || isoDate(record.booking_date || record.date),
+      amount: value,
+      direction,
+      currency: (record.currency || '').toUpperCase() || null,
+      reference: record.reference || '',
+      uetr: (record.uetr || '').toLowerCase(),
+      bankReference: record.bank_reference || '',
+      counterpartyName: record.counterparty || '',
+      remittanceInfo: record.description || ''
+    };
+  });
+
+  const dates = lines.map((line) => line.bookingDate).filter(Boolean).sort();
+  return [{
+    statementId: null,
+    account: records.length > 0 && records[0].account ? records[0].account : null,
+    currency: lines.length > 0 ? lines[0].currency : null,
+    statementDate: dates[dates.length - 1] || null,
+    openingBalance: null,
+    closingBalance: null,
+    lines
+  }];
+};
+
+/**
+ * Reads a statement file, camt.053 XML or CSV by its content.
+ * @param {string} content
+ * @returns {{ format: 'camt.053' | 'csv', statements: Object[], errors: { line: number, message: string }[] }}
+ *   errors lists lines without a booking date, amount or currency; CSV line numbers count the header
+ */
+const parseBankStatement = (content) => {
+  const source = content.replace(/^\uFEFF/, '');
+  const format = source.trimStart().startsWith('<') ? 'camt.053' : 'csv';
+  const statements = format === 'camt.053' ? parseCamt053(source) : parseStatementCsv(source);
+
+  const errors = [];
+  statements.forEach((statement) => {
+    statement.lines.forEach((line, index) => {
+      const missing = ['bookingDate', 'amount', 'currency'].filter((field) => !line[field]);
+      if (missing.length > 0) {
+        errors.push({ line: format === 'csv' ? index + 2 : index + 1, message: `Missing ${missing.join(', ')}` });
+      }
+    });
+  });
+  return { format, statements, errors };
+};
+
+module.exports = { parseBankStatement, parseCamt053, parseStatementCsv };
@@ -0,0 +1,176 @@
+// Node's own require loads the parser: it requires src/lib/csv.js, an ES module Jest's registry can't load
+// from CommonJS before Node 24.9
+const { parseBankStatement } = process.getBuiltinModule('module').createRequire(__filename)('./statementParsers');
+
+const camt053 = (entries, { balances = '' } = {}) => `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.08">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>STMT-20250314</MsgId><CreDtTm>2025-03-15T06:00:00</CreDtTm></GrpHdr>
+    <Stmt>
+      <Id>STMT-20250314-001</Id>
+      <CreDtTm>2025-03-15T06:00:00</CreDtTm>
+      <Acct><Id><IBAN>GB33BUKB20201555555555</IBAN></Id><Ccy>USD</Ccy></Acct>
+      ${balances}
+      ${entries}
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+const closingBalances = `
+      <Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="USD">1500.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Dt><Dt>2025-03-14</Dt></Dt></Bal>
+      <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="USD">98500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2025-03-14</Dt></Dt></Bal>`;
+
+describe('parseBankStatement: camt.053', () => {
+  test('reads the statement, its balances and booked entries', () => {
+    const xml = camt053(`
+      <Ntry>
+        <Amt Ccy="USD">25,000.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts><Cd>BOOK</Cd></Sts>
+        <BookgDt><Dt>2025-03-14</Dt></BookgDt><ValDt><DtTm>2025-03-14T10:00:00</DtTm></ValDt>
+        <AcctSvcrRef>BANK-REF-1</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>TRF-100123</EndToEndId><UETR>8A562C67-CA16-48BA-B074-65581BE6F001</UETR></Refs>
+          <RltdPties><Cdtr><Pty><Nm>Jane  Roe</Nm></Pty></Cdtr><Dbtr><Nm>Alhambra Bank</Nm></Dbtr></RltdPties>
+          <RmtInf><Ustrd>Invoice 42</Ustrd><Ustrd>March</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="USD">125000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2025-03-14</Dt></BookgDt>
+        <NtryDtls><TxDtls>
+          <Refs><InstrId>INSTR-7</InstrId><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+          <RltdPties><Dbtr><Nm>John Smith</Nm></Dbtr></RltdPties>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="USD">10.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts><Cd>PDNG</Cd></Sts>
+        <BookgDt><Dt>2025-03-14</Dt></BookgDt>
+      </Ntry>`, { balances: closingBalances });
+
+    const { format, statements, errors } = parseBankStatement(xml);
+    expect(format).toBe('camt.053');
+    expect(errors).toEqual([]);
+    expect(statements).toHaveLength(1);
+    expect(statements[0]).toMatchObject({
+      statementId: 'STMT-20250314-001',
+      account: 'GB33BUKB20201555555555',
+      currency: 'USD',
+      statementDate: '2025-03-14',
+      openingBalance: -1500,
+      closingBalance: 98500
+    });
+    expect(statements[0].lines).toEqual([
+      {
+        bookingDate: '2025-03-14',
+        valueDate: '2025-03-14',
+        amount: 25000,
+        direction: 'debit',
+        currency: 'USD',
+        reference: 'TRF-100123',
+        uetr: '8a562c67-ca16-48ba-b074-65581be6f001',
+        bankReference: 'BANK-REF-1',
+        counterpartyName: 'Jane Roe',
+        remittanceInfo: 'Invoice 42 March'
+      },
+      expect.objectContaining({ amount: 125000, direction: 'credit', reference: 'INSTR-7', counterpartyName: 'John Smith' })
+    ]);
+  });
+
+  test('matches a batch booking as a whole, without one transaction\'s references', () => {
+    const xml = camt053(`
+      <Ntry>
+        <Amt Ccy="USD">300.00</Amt><CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><Dt>2025-03-14</Dt></BookgDt><AddtlNtryInf>Batch 12</AddtlNtryInf>
+        <NtryDtls>
+          <TxDtls><Refs><EndToEndId>TRF-1</EndToEndId></Refs></TxDtls>
+          <TxDtls><Refs><EndToEndId>TRF-2</EndToEndId></Refs></TxDtls>
+        </NtryDtls>
+      </Ntry>`);
+    expect(parseBankStatement(xml).statements[0].lines[0]).toMatchObject({ amount: 300, reference: '', remittanceInfo: 'Batch 12' });
+  });
+
+  test('reports entries without an amount or booking date, and statements without balances', () => {
+    const xml = camt053(`
+      <Ntry><Amt Ccy="USD">100.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><BookgDt><Dt>2025-03-14</Dt></BookgDt></Ntry>
+      <Ntry><Amt Ccy="USD">n/a</Amt><CdtDbtInd>CRDT</CdtDbtInd><BookgDt><Dt>2025-03-14</Dt></BookgDt></Ntry>
+      <Ntry><Amt Ccy="USD">5.00</Amt><CdtDbtInd>DBIT</CdtDbtInd></Ntry>`);
+    const { statements, errors } = parseBankStatement(xml);
+    expect(errors).toEqual([
+      { line: 2, message: 'Missing amount' },
+      { line: 3, message: 'Missing bookingDate' }
+    ]);
+    expect(statements[0]).toMatchObject({ openingBalance: null, closingBalance: null, statementDate: '2025-03-15' });
+  });
+
+  test('refuses XML that is not a camt.053 statement', () => {
+    expect(() => parseBankStatement('<Document><BkToCstmrDbtCdtNtfctn/></Document>')).toThrow('no BkToCstmrStmt element');
+  });
+});
+
+describe('parseBankStatement: CSV', () => {
+  test('reads signed amounts, and dates the statement by its last booking', () => {
+    const csv = [
+      '\uFEFFBooking_Date,Value_Date,Amount,Currency,Reference,Bank_Reference,UETR,Counterparty,Description,Account',
+      '2025-03-13,2025-03-14,"-25,000.00",usd,TRF-100123,BANK-REF-1,8A562C67-CA16-48BA-B074-65581BE6F001,Jane Roe,"Invoice 42, March",GB33BUKB20201555555555',
+      '2025-03-14,,125000.00,USD,,,,John Smith,,'
+    ].join('\r\n');
+
+    const { format, statements, errors } = parseBankStatement(csv);
+    expect(format).toBe('csv');
+    expect(errors).toEqual([]);
+    expect(statements).toEqual([{
+      statementId: null,
+      account: 'GB33BUKB20201555555555',
+      currency: 'USD',
+      statementDate: '2025-03-14',
+      openingBalance: null,
+      closingBalance: null,
+      lines: [
+        {
+          bookingDate: '2025-03-13',
+          valueDate: '2025-03-14',
+          amount: 25000,
+          direction: 'debit',
+          currency: 'USD',
+          reference: 'TRF-100123',
+          uetr: '8a562c67-ca16-48ba-b074-65581be6f001',
+          bankReference: 'BANK-REF-1',
+          counterpartyName: 'Jane Roe',
+          remittanceInfo: 'Invoice 42, March'
+        },
+        expect.objectContaining({ bookingDate: '2025-03-14', valueDate: '2025-03-14', amount: 125000, direction: 'credit' })
+      ]
+    }]);
+  });
+
+  test('reads separate debit and credit columns', () => {
+    const csv = 'date,debit,credit,currency\n2025-03-14,250.00,,EUR\n2025-03-14,,75.50,EUR';
+    expect(parseBankStatement(csv).statements[0].lines).toEqual([
+      expect.objectContaining({ amount: 250, direction: 'debit', currency: 'EUR' }),
+      expect.objectContaining({ amount: 75.5, direction: 'credit', currency: 'EUR' })
+    ]);
+  });
+
+  test('reports malformed lines by their line number, counting the header', () => {
+    const csv = [
+      'booking_date,amount,currency,reference',
+      '2025-03-14,100.00,USD,TRF-1',
+      '14/03/2025,100.00,USD,TRF-2',
+      '2025-03-14,one hundred,USD,TRF-3',
+      '2025-03-14,100.00,,TRF-4',
+      'TRF-5'
+    ].join('\n');
+    expect(parseBankStatement(csv).errors).toEqual([
+      { line: 3, message: 'Missing bookingDate' },
+      { line: 4, message: 'Missing amount' },
+      { line: 5, message: 'Missing currency' },
+      { line: 6, message: 'Missing bookingDate, amount, currency' }
+    ]);
+  });
+
+  test('reads a file with only a header as a statement without lines', () => {
+    expect(parseBankStatement('booking_date,amount,currency\n')).toMatchObject({
+      errors: [],
+      statements: [{ account: null, currency: null, statementDate: null, lines: [] }]
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const PDFDocument = require('pdfkit');
+const { financialInstitutionClassifications } = require('../../src/formFields.js');
+const { getCountryName } = require('../../src/lib/countries.js');
+const { getPersonName } = require('../../src/lib/signatories.js');
+const { getTaxFormType } = require('../../src/lib/taxClassification.js');
+const { signatureImageBuffer } = require('./signingRecord');
+
+// Substitute IRS Forms W-9, W-8BEN and W-8BEN-E pre-filled from the FATCA/CRS self-certification step,
+// with the applicant's tax residencies appended as the CRS self-certification.
+
+const PAGE_MARGIN = 50;
+const LABEL_COLOR = '#4b5563';
+const TEXT_COLOR = '#111827';
+
+const formTitles = {
+  'W-9': 'Request for Taxpayer Identification Number and Certification',
+  'W-8BEN': 'Certificate of Foreign Status of Beneficial Owner for United States Tax Withholding and Reporting (Individuals)',
+  'W-8BEN-E': 'Certificate of Status of Beneficial Owner for United States Tax Withholding and Reporting (Entities)'
+};
+
+const certifications = {
+  'W-9': 'Under penalties of perjury, I certify that: (1) the number shown on this form is my correct taxpayer ' +
+    'identification number; (2) I am not subject to backup withholding; (3) I am a U.S. citizen or other U.S. person; ' +
+    'and (4) the FATCA code(s) entered on this form (if any) indicating that I am exempt from FATCA reporting is correct.',
+  'W-8BEN': 'Under penalties of perjury, I declare that I have examined the information on this form and to the best of ' +
+    'my knowledge and belief it is true, correct, and complete. I certify that I am the individual that is the beneficial ' +
+    'owner of all the income or proceeds to which this form relates, and that I am not a U.S. person.',
+  'W-8BEN-E': 'Under penalties of perjury, I declare that I have examined the information on this form and to the best of ' +
+    'my knowledge and belief it is true, correct, and complete. I certify that the entity identified in Part I is the ' +
+    'beneficial owner of all the income or proceeds to which this form relates, and that it is not a U.S. person.'
+};
+
+// Entity type (Step 1) -> W-9 federal tax classification / W-8BEN-E chapter 3 status
+const w9Classifications = {
+  LLC: 'Limited liability company',
+  Partnership: 'Partnership',
+  Corporation: 'C corporation',
+  Trust: 'Trust/estate',
+  Others: 'Other'
+};
+const chapter3Statuses = {
+  LLC: 'Corporation',
+  Partnership: 'Partnership',
+  Corporation: 'Corporation',
+  Trust: 'Complex trust',
+  Others: 'Other'
+};
+
+// Entity classification (FATCA/CRS step) -> W-8BEN-E chapter 4 status
+const chapter4Status = (classification) => {
+  if (financialInstitutionClassifications.includes(classification)) {
+    return 'Participating FFI';
+  }
+  if (classification === 'Active NFE') {
+    return 'Active NFFE';
+  }
+  if (classification === 'Passive NFE') {
+    return 'Passive NFFE';
+  }
+  return 'Foreign government, international organization or foreign central bank of issue';
+};
+
+const joinParts = (...parts) => parts.filter(Boolean).join(', ');
+
+const firstTaxResidency = (data) => (data.taxResidencies || [])[0] || {};
+
+const foreignTin = (data) => {
+  const residency = firstTaxResidency(data);
+  return residency.tinAvailable === 'Yes' ? residency.tin : '';
+};
+
+const entityTypes = (data, statuses) => (data.entityType || [])
+  .map((type) => (type === 'Others' && data.entityOther ? data.entityOther : statuses[type]))
+  .join(', ');
+
+// Part and line layout for each form, following the numbering of the IRS forms
+const buildParts = (formType, accountType, application, data) => {
+  if (formType === 'W-9') {
+    const individual = accountType === 'individual';
+    return [{
+      title: 'Identification',
+      lines: [
+        ['1', 'Name of entity/individual', individual ? getPersonName(data) : data.companyName],
+        ['2', 'Business name/disregarded entity name, if different from above', ''],
+        ['3', 'Federal tax classification', individual ? 'Individual/sole proprietor' : entityTypes(data, w9Classifications)],
+        ['5', 'Address (number, street, and apt. or suite no.)', individual ? joinParts(data.usAddress, data.usApt) : joinParts(data.registeredAddress, data.registeredApt)],
+        ['6', 'City, state, and ZIP code', individual ? joinParts(data.usState, data.usPostalCode) : joinParts(data.registeredState, data.registeredPostalCode, getCountryName(data.registeredCountry))],
+        ['7', 'Account number(s)', application.reference_number]
+      ]
+    }, {
+      title: 'Part I - Taxpayer Identification Number (TIN)',
+      lines: [[individual ? 'SSN/ITIN' : 'EIN', individual ? 'Social security number' : 'Employer identification number', data.usTaxId]]
+    }];
+  }
+
+  if (formType === 'W-8BEN') {
+    return [{
+      title: 'Part I - Identification of Beneficial Owner',
+      lines: [
+        ['1', 'Name of individual who is the beneficial owner', getPersonName(data)],
+        ['2', 'Country of citizenship', getCountryName(data.countryOfIssuance)],
+        ['3', 'Permanent residence address', joinParts(data.residenceAddress, data.residenceApt, data.residenceState, data.residencePostalCode, getCountryName(data.residenceCountry))],
+        ['4', 'Mailing address (if different from above)', joinParts(data.mailingAddress, data.mailingApt, data.mailingState, data.mailingPostalCode, getCountryName(data.mailingCountry))],
+        ['5', 'U.S. taxpayer identification number (SSN or ITIN), if required', data.usTaxId],
+        ['6a', 'Foreign tax identifying number', foreignTin(data)],
+        ['6b', 'FTIN not legally required', firstTaxResidency(data).tinAvailable === 'No' ? 'Yes' : ''],
+        ['7', 'Reference number(s)', application.reference_number],
+        ['8', 'Date of birth (MM-DD-YYYY)', data.dateOfBirth ? data.dateOfBirth.replace(/^(\d{4})-(\d{2})-(\d{2})$/, '$2-$3-$1') : '']
+      ]
+    }, {
+      title: 'Part II - Claim of Tax Treaty Benefits',
+      lines: [['9', 'The beneficial owner is a resident of', getCountryName(firstTaxResidency(data).country)]]
+    }];
+  }
+
+  const parts = [{
+    title: 'Part I - Identification of Beneficial Owner',
+    lines: [
+      ['1', 'Name of organization that is the beneficial owner', data.companyName],
+      ['2', 'Country of incorporation or organization', getCountryName(data.countryOfIncorporation)],
+      ['4', 'Chapter 3 status (entity type)', entityTypes(data, chapter3Statuses)],
+      ['5', 'Chapter 4 status (FATCA status)', chapter4Status(data.entityClassification)],
+      ['6', 'Permanent residence address', joinParts(data.registeredAddress, data.registeredApt, data.registeredState, data.registeredPostalCode, getCountryName(data.registeredCountry))],
+      ['7', 'Mailing address (if different from above)', joinParts(data.mailingAddress, data.mailingApt, data.mailingState, data.mailingPostalCode, getCountryName(data.mailingCountry))],
+      ['9a', 'GIIN', data.giin],
+      ['9b', 'Foreign TIN', foreignTin(data)],
+      ['10', 'Reference number(s)', application.reference_number]
+    ]
+  }];
+
+  if (data.entityClassification === 'Passive NFE') {
+    parts.push({
+      title: 'Part XXX - Controlling Persons of Passive NFFE',
+      lines: (data.beneficialOwners || []).map((owner, index) => [
+        String(index + 1),
+        'Name and ownership',
+        `${getPersonName(owner)} (${owner.ownershipPercentage}%)`
+      ])
+    });
+  }
+
+  return parts;
+};
+
+const drawPartTitle = (doc, title) => {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 60) {
+    doc.addPage();
+  }
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const y = doc.y;
+  doc.rect(PAGE_MARGIN, y, width, 16).fill(TEXT_COLOR);
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#ffffff').text(title, PAGE_MARGIN + 6, y + 4, { width: width - 12 });
+  doc.fillColor(TEXT_COLOR);
+  doc.x = PAGE_MARGIN;
+  doc.y = y + 22;
+};
+
+const drawLine = (doc, number, label, value) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+    doc.addPage();
+  }
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(8).fillColor(TEXT_COLOR).text(number, PAGE_MARGIN, y, { width: 34 });
+  doc.font('Helvetica').fontSize(7).fillColor(LABEL_COLOR).text(label, PAGE_MARGIN + 36, y, { width: width - 36 });
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR).text(value || ' ', PAGE_MARGIN + 36, doc.y + 1, { width: width - 36 });
+  const lineY = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, lineY).lineTo(PAGE_MARGIN + width, lineY).lineWidth(0.5).strokeColor('#9ca3af').stroke();
+  doc.x = PAGE_MARGIN;
+  doc.y = lineY + 6;
+};
+
+const drawCertification = (doc, formType, signerName, signature) => {
+  drawPartTitle(doc, formType === 'W-9' ? 'Part II - Certification' : 'Certification');
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  doc.font('Helvetica').fontSize(8).fillColor(TEXT_COLOR).text(certifications[formType], PAGE_MARGIN, doc.y, { width });
+  doc.moveDown(1);
+
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 70) {
+    doc.addPage();
+  }
+  const lineY = doc.y + 40;
+  const half = (width - 20) / 2;
+  if (signature) {
+    doc.image(signatureImageBuffer(signature.signature_image), PAGE_MARGIN, lineY - 38, { fit: [half, 36], valign: 'bottom' });
+    doc.font('Helvetica').fontSize(10)
+      .text(new Date(signature.signed_at).toISOString().slice(0, 10), PAGE_MARGIN + half + 20, lineY - 14, { width: half });
+  }
+  doc.moveTo(PAGE_MARGIN, lineY).lineTo(PAGE_MARGIN + half, lineY).lineWidth(0.75).strokeColor(TEXT_COLOR).stroke();
+  doc.moveTo(PAGE_MARGIN + half + 20, lineY).lineTo(PAGE_MARGIN + width, lineY).stroke();
+  doc.font('Helvetica').fontSize(7).fillColor(LABEL_COLOR)
+    .text(`Signature of ${signerName}`, PAGE_MARGIN, lineY + 3, { width: half })
+    .text('Date', PAGE_MARGIN + half + 20, lineY + 3, { width: half });
+  doc.x = PAGE_MARGIN;
+  doc.y = lineY + 24;
+};
+
+const drawCrsAnnex = (doc, accountType, data) => {
+  drawPartTitle(doc, 'Annex - CRS Tax Residency Self-Certification');
+  if (accountType === 'corporate') {
+    drawLine(doc, '', 'Entity classification', data.entityClassification);
+  }
+  (data.taxResidencies || []).forEach((residency, index) => {
+    const tin = residency.tinAvailable === 'Yes'
+      ? residency.tin
+      : joinParts(residency.tinUnavailableReason, residency.tinUnavailableExplanation);
+    drawLine(doc, String(index + 1), `Country of tax residence: ${getCountryName(residency.country)}`, tin);
+  });
+};
+
+/**
+ * Build the pre-filled tax form for a submitted application.
+ * @param {Object} application - onboarding_applications row (account_type, reference_number)
+ * @param {Object} data - submitted form data
+ * @param {Array} [signatures] - application_signatures rows; the certifying signer's signature is placed on the form
+ * @returns {Promise<{formType: string, pdf: Buffer}>}
+ */
+const generateTaxFormPdf = (application, data, signatures = []) => new Promise((resolve, reject) => {
+  const accountType = application.account_type;
+  const formType = getTaxFormType(accountType, data);
+  if (!formType) {
+    reject(new Error('Application has no U.S. tax status'));
+    return;
+  }
+
+  // Individuals certify for themselves; entities through their first authorized signatory
+  const signerRole = accountType === 'corporate' ? 'authorizedSignatories.0' : 'primary';
+  const signerName = accountType === 'corporate'
+    ? getPersonName((data.authorizedSignatories || [])[0])
+    : getPersonName(data);
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    info: { Title: `Form ${formType} - ${application.reference_number}`, Author: 'Alhambra Bank & Trust' }
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve({ formType, pdf: Buffer.concat(chunks) }));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(TEXT_COLOR).text(`Form ${formType}`, { continued: false });
+  doc.font('Helvetica').fontSize(8).fillColor(LABEL_COLOR).text('Substitute form provided by Alhambra Bank & Trust');
+  doc.moveDown(0.3);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT_COLOR).text(formTitles[formType]);
+  doc.moveDown(1);
+
+  buildParts(formType, accountType, application, data).forEach((part) => {
+    drawPartTitle(doc, part.title);
+    part.lines.forEach(([number, label, value]) => drawLine(doc, number, label, value));
+    doc.moveDown(0.5);
+  });
+
+  drawCertification(doc, formType, signerName, signatures.find((signature) => signature.signer_role === signerRole));
+  drawCrsAnnex(doc, accountType, data);
+
+  doc.end();
+});
+
+module.exports = {
+  generateTaxFormPdf
+};
@@ -0,0 +1,281 @@
+const { XMLParser } = require('fast-xml-parser');
+const { findCountryCode } = require('../../src/lib/countries.js');
+const { parseCsv, parseCsvRecords } = require('../../src/lib/csv.js');
+
+// Readers for the published sanctions and PEP list files, all producing the same entry shape:
+// { externalId, entryType: 'individual' | 'entity', primaryName, names, datesOfBirth, nationalities, programs, remarks }
+// Dates of birth are as precise as the list gives them (YYYY-MM-DD, YYYY-MM or YYYY); nationalities are
+// alpha-2 codes, and countries the lists name in a way findCountryCode doesn't know are dropped.
+//
+// OFAC SDN      sdn.xml, or sdn.csv (details are only in the remarks column)
+// UN            consolidated.xml
+// EU            the consolidated financial sanctions file, XML or CSV
+// PEP           CSV with id, schema, name, aliases, birth_date and countries columns (the OpenSanctions "simple" export)
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Ranges wider than this ("1950 to 1990") say too little to compare against
+const MAX_YEAR_RANGE = 10;
+
+const asArray = (value) => (value === undefined || value === null || value === '' ? [] : [].concat(value));
+
+const text = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(typeof value === 'object' ? value['#text'] ?? '' : value).replace(/\s+/g, ' ').trim();
+};
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const joinName = (...parts) => parts.map(text).filter(Boolean).join(' ');
+
+const month = (name) => String(MONTHS.indexOf(name.slice(0, 3).toUpperCase()) + 1).padStart(2, '0');
+
+/**
+ * Dates of birth as written on the lists: "1952-10-07", "07 Oct 1952", "Oct 1952", "circa 1952",
+ * "1960 to 1962".
+ * @param {string} value
+ * @returns {string[]}
+ */
+const parseListDates = (value) => {
+  const date = text(value);
+  let match;
+  if ((match = date.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return [`${match[1]}-${match[2]}-${match[3]}`];
+  }
+  if ((match = date.match(/^(\d{1,2}) ([A-Za-z]{3})[A-Za-z]* (\d{4})$/)) && month(match[2]) !== '00') {
+    return [`${match[3]}-${month(match[2])}-${match[1].padStart(2, '0')}`];
+  }
+  if ((match = date.match(/^([A-Za-z]{3})[A-Za-z]* (\d{4})$/)) && month(match[1]) !== '00') {
+    return [`${match[2]}-${month(match[1])}`];
+  }
+  if ((match = date.match(/(\d{4})\s*(?:to|-)\s*(\d{4})/)) && match[2] - match[1] <= MAX_YEAR_RANGE) {
+    return Array.from({ length: match[2] - match[1] + 1 }, (_, offset) => String(Number(match[1]) + offset));
+  }
+  if ((match = date.match(/^(?:circa |c\. |approximately )?(\d{4})$/i))) {
+    return [match[1]];
+  }
+  return [];
+};
+
+const countryCodes = (values) => unique(values.map((value) => findCountryCode(text(value))));
+
+const entry = ({ externalId, entryType, names, datesOfBirth = [], nationalities = [], programs = [], remarks = '' }) => {
+  const allNames = unique(names.map(text));
+  return {
+    externalId: text(externalId),
+    entryType,
+    primaryName: allNames[0],
+    names: allNames,
+    datesOfBirth: unique(datesOfBirth),
+    nationalities: unique(nationalities),
+    programs: unique(programs.map(text)),
+    remarks: text(remarks) || null
+  };
+};
+
+const parseXml = (content, arrayTags) => new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name, path, isLeaf, isAttribute) => !isAttribute && arrayTags.includes(name)
+}).parse(content);
+
+// OFAC ----------------------------------------------------------------------------------------------
+
+const OFAC_SKIPPED_TYPES = ['vessel', 'aircraft'];
+
+const parseOfacXml = (content) => {
+  const document = parseXml(content, ['sdnEntry', 'program', 'aka', 'dateOfBirthItem', 'nationality', 'citizenship']);
+  return asArray(document.sdnList && document.sdnList.sdnEntry)
+    .filter((item) => !OFAC_SKIPPED_TYPES.includes(text(item.sdnType).toLowerCase()))
+    .map((item) => entry({
+      externalId: item.uid,
+      entryType: text(item.sdnType).toLowerCase() === 'individual' ? 'individual' : 'entity',
+      names: [
+        joinName(item.firstName, item.lastName),
+        ...asArray(item.akaList && item.akaList.aka).map((aka) => joinName(aka.firstName, aka.lastName))
+      ],
+      datesOfBirth: asArray(item.dateOfBirthList && item.dateOfBirthList.dateOfBirthItem)
+        .flatMap((date) => parseListDates(date.dateOfBirth)),
+      nationalities: countryCodes([
+        ...asArray(item.nationalityList && item.nationalityList.nationality).map((nationality) => nationality.country),
+        ...asArray(item.citizenshipList && item.citizenshipList.citizenship).map((citizenship) => citizenship.country)
+      ]),
+      programs: asArray(item.programList && item.programList.program),
+      remarks: item.remarks
+    }));
+};
+
+// sdn.csv has no header: ent_num, SDN_Name, SDN_Type, Program, Title, Call_Sign, Vess_type, Tonnage, GRT,
+// Vess_flag, Vess_owner, Remarks; "-0-" marks an empty field and entities have no SDN_Type.
+// Remarks read like "DOB 07 Oct 1952; POB Leningrad, Russia; nationality Russia; a.k.a. 'PUTIN, Vladimir'."
+const parseOfacCsv = (content) => {
+  const blank = (value) => (value === undefined || value.trim() === '-0-' ? '' : value.trim());
+
+  return parseCsv(content)
+    .filter((row) => /^\d+$/.test(row[0].trim()) && !OFAC_SKIPPED_TYPES.includes(blank(row[2]).toLowerCase()))
+    .map((row) => {
+      const remarks = blank(row[11]);
+      const details = remarks.replace(/\.$/, '').split(';').map((detail) => detail.trim());
+      const detailValues = (label) => details
+        .filter((detail) => detail.toLowerCase().startsWith(`${label} `))
+        .map((detail) => detail.slice(label.length + 1).replace(/^'|'$/g, '').trim());
+
+      return entry({
+        externalId: row[0],
+        entryType: blank(row[2]).toLowerCase() === 'individual' ? 'individual' : 'entity',
+        names: [blank(row[1]), ...detailValues('a.k.a.'), ...detailValues('f.k.a.')],
+        datesOfBirth: detailValues('dob').flatMap(parseListDates),
+        nationalities: countryCodes([...detailValues('nationality'), ...detailValues('citizen')]),
+        programs: blank(row[3]).replace(/^\[|\]$/g, '').split(/\]\s*\[/),
+        remarks
+      });
+    });
+};
+
+// UN ------------------------------------------------------------------------------------------------
+
+const parseUnXml = (content) => {
+  const document = parseXml(content, [
+    'INDIVIDUAL', 'ENTITY', 'INDIVIDUAL_ALIAS', 'ENTITY_ALIAS', 'INDIVIDUAL_DATE_OF_BIRTH', 'NATIONALITY', 'VALUE'
+  ]);
+  const list = document.CONSOLIDATED_LIST || {};
+
+  const read = (item, entryType, aliasTag) => entry({
+    externalId: item.REFERENCE_NUMBER || item.DATAID,
+    entryType,
+    names: [
+      joinName(item.FIRST_NAME, item.SECOND_NAME, item.THIRD_NAME, item.FOURTH_NAME),
+      ...asArray(item[aliasTag]).map((alias) => alias.ALIAS_NAME)
+    ],
+    datesOfBirth: asArray(item.INDIVIDUAL_DATE_OF_BIRTH).flatMap((date) => {
+      if (date.DATE) {
+        return parseListDates(date.DATE);
+      }
+      if (date.FROM_YEAR && date.TO_YEAR) {
+        return parseListDates(`${text(date.FROM_YEAR)} to ${text(date.TO_YEAR)}`);
+      }
+      return parseListDates(date.YEAR);
+    }),
+    nationalities: countryCodes(asArray(item.NATIONALITY).flatMap((nationality) => asArray(nationality.VALUE))),
+    programs: [item.UN_LIST_TYPE],
+    remarks: item.COMMENTS1
+  });
+
+  return [
+    ...asArray(list.INDIVIDUALS && list.INDIVIDUALS.INDIVIDUAL).map((item) => read(item, 'individual', 'INDIVIDUAL_ALIAS')),
+    ...asArray(list.ENTITIES && list.ENTITIES.ENTITY).map((item) => read(item, 'entity', 'ENTITY_ALIAS'))
+  ];
+};
+
+// EU ------------------------------------------------------------------------------------------------
+
+const euDates = (birthdate) => {
+  if (birthdate.birthdate) {
+    return parseListDates(birthdate.birthdate);
+  }
+  if (birthdate.year && birthdate.monthOfYear) {
+    return [`${birthdate.year}-${String(birthdate.monthOfYear).padStart(2, '0')}`];
+  }
+  return parseListDates(birthdate.year);
+};
+
+const parseEuXml = (content) => {
+  const document = parseXml(content, ['sanctionEntity', 'nameAlias', 'birthdate', 'citizenship', 'regulation', 'remark']);
+  return asArray(document.export && document.export.sanctionEntity).map((item) => entry({
+    externalId: item.euReferenceNumber || item.logicalId,
+    entryType: item.subjectType && item.subjectType.code === 'person' ? 'individual' : 'entity',
+    names: asArray(item.nameAlias).map((alias) => alias.wholeName || joinName(alias.firstName, alias.middleName, alias.lastName)),
+    datesOfBirth: asArray(item.birthdate).flatMap(euDates),
+    nationalities: unique(asArray(item.citizenship).map((citizenship) =>
+      findCountryCode(citizenship.countryIso2Code === '00' ? citizenship.countryDescription : citizenship.countryIso2Code))),
+    programs: asArray(item.regulation).map((regulation) => regulation.programme),
+    remarks: asArray(item.remark).map(text).join(' ')
+  }));
+};
+
+// The CSV export repeats the entity on one row per name, date of birth and citizenship
+const parseEuCsv = (content) => {
+  const records = parseCsvRecords(content, ';');
+  const value = (record, ...columns) => columns.map((column) => record[column.toLowerCase()]).find(Boolean) || '';
+  const groups = new Map();
+
+  records.forEach((record) => {
+    const id = value(record, 'Entity_LogicalId');
+    if (!id) {
+      return;
+    }
+    if (!groups.has(id)) {
+      groups.set(id, []);
+    }
+    groups.get(id).push(record);
+  });
+
+  return [...groups.entries()].map(([id, rows]) => {
+    const [first] = rows;
+    return entry({
+      externalId: value(first, 'Entity_EU_ReferenceNumber') || id,
+      entryType: value(first, 'Entity_SubjectType', 'Entity_SubjectType_ClassificationCode').toLowerCase().startsWith('p')
+        ? 'individual'
+        : 'entity',
+      names: rows.map((row) => value(row, 'NameAlias_WholeName')),
+      datesOfBirth: rows.flatMap((row) => euDates({
+        birthdate: value(row, 'BirthDate_BirthDate'),
+        year: value(row, 'BirthDate_Year'),
+        monthOfYear: value(row, 'BirthDate_MonthOfYear')
+      })),
+      nationalities: countryCodes(rows.map((row) => value(row, 'Citizenship_CountryIso2Code', 'Citizenship_CountryDescription'))),
+      programs: rows.map((row) => value(row, 'Entity_Regulation_Programme')),
+      remarks: value(first, 'Entity_Remark')
+    });
+  });
+};
+
+// PEP -----------------------------------------------------------------------------------------------
+
+const splitList = (value) => (value || '').split(';').map((item) => item.trim()).filter(Boolean);
+
+const parsePepCsv = (content) => parseCsvRecords(content, ',')
+  .filter((record) => record.id && record.name)
+  .map((record) => entry({
+    externalId: record.id,
+    entryType: !record.schema || record.schema.toLowerCase() === 'person' ? 'individual' : 'entity',
+    names: [record.name, ...splitList(record.aliases)],
+    datesOfBirth: splitList(record.birth_date).flatMap(parseListDates),
+    nationalities: countryCodes(splitList(record.countries)),
+    programs: splitList(record.dataset || record.sanctions),
+    remarks: record.remarks
+  }));
+
+const PARSERS = {
+  ofac: { xml: parseOfacXml, csv: parseOfacCsv },
+  un: { xml: parseUnXml },
+  eu: { xml: parseEuXml, csv: parseEuCsv },
+  pep: { csv: parsePepCsv }
+};
+
+const watchlistSources = Object.keys(PARSERS);
+
+/**
+ * Reads a list file into entries. The format is told from the content, so a file's extension doesn't matter.
+ * @param {'ofac' | 'un' | 'eu' | 'pep'} source
+ * @param {string} content - the whole file
+ * @returns {Object[]} entries with at least one name
+ */
+const parseWatchlist = (source, content) => {
+  if (!PARSERS[source]) {
+    throw new Error(`Unknown watchlist source "${source}"; expected one of ${watchlistSources.join(', ')}`);
+  }
+  const format = content.replace(/^\uFEFF/, '').trimStart().startsWith('<') ? 'xml' : 'csv';
+  const parse = PARSERS[source][format];
+  if (!parse) {
+    throw new Error(`The ${source.toUpperCase()} list can't be read from ${format.toUpperCase()}`);
+  }
+  return parse(content).filter((item) => item.primaryName);
+};
+
+module.exports = { parseWatchlist, parseListDates, parseCsv, watchlistSources };
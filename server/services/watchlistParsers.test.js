@@ -0,0 +1,143 @@
+// Loaded with Node's own require: the module requires the ES modules in src/lib, which Jest's module
+// registry can't load before Node 24.9
+const { parseListDates, parseWatchlist } = process.getBuiltinModule('module').createRequire(__filename)('./watchlistParsers');
+
+describe('parseListDates', () => {
+  test('reads the ways the lists write dates of birth', () => {
+    expect(parseListDates('1952-10-07')).toEqual(['1952-10-07']);
+    expect(parseListDates('7 Oct 1952')).toEqual(['1952-10-07']);
+    expect(parseListDates('October 1952')).toEqual(['1952-10']);
+    expect(parseListDates('circa 1952')).toEqual(['1952']);
+    expect(parseListDates('1960 to 1962')).toEqual(['1960', '1961', '1962']);
+  });
+
+  test('drops what says too little to compare against', () => {
+    expect(parseListDates('1950 to 1990')).toEqual([]);
+    expect(parseListDates('07 Foo 1952')).toEqual([]);
+    expect(parseListDates('unknown')).toEqual([]);
+    expect(parseListDates(undefined)).toEqual([]);
+  });
+});
+
+describe('parseWatchlist', () => {
+  test('reads the OFAC SDN XML, skipping vessels', () => {
+    const xml = `<?xml version="1.0" standalone="yes"?>
+      <sdnList xmlns="http://tempuri.org/sdnList.xsd">
+        <sdnEntry>
+          <uid>7</uid><firstName>Vladimir</firstName><lastName>PUTIN</lastName><sdnType>Individual</sdnType>
+          <programList><program>RUSSIA-EO14024</program></programList>
+          <akaList><aka><uid>8</uid><firstName>Vladimir Vladimirovich</firstName><lastName>PUTIN</lastName></aka></akaList>
+          <dateOfBirthList><dateOfBirthItem><uid>9</uid><dateOfBirth>07 Oct 1952</dateOfBirth></dateOfBirthItem></dateOfBirthList>
+          <nationalityList><nationality><uid>10</uid><country>Russia</country></nationality></nationalityList>
+        </sdnEntry>
+        <sdnEntry><uid>36</uid><lastName>AEROCARIBBEAN AIRLINES</lastName><sdnType>Entity</sdnType></sdnEntry>
+        <sdnEntry><uid>40</uid><lastName>SEA STAR</lastName><sdnType>Vessel</sdnType></sdnEntry>
+      </sdnList>`;
+    expect(parseWatchlist('ofac', xml)).toEqual([
+      {
+        externalId: '7',
+        entryType: 'individual',
+        primaryName: 'Vladimir PUTIN',
+        names: ['Vladimir PUTIN', 'Vladimir Vladimirovich PUTIN'],
+        datesOfBirth: ['1952-10-07'],
+        nationalities: ['RU'],
+        programs: ['RUSSIA-EO14024'],
+        remarks: null
+      },
+      expect.objectContaining({ externalId: '36', entryType: 'entity', primaryName: 'AEROCARIBBEAN AIRLINES' })
+    ]);
+  });
+
+  test('reads the OFAC SDN CSV from its remarks, skipping malformed lines', () => {
+    const csv = [
+      '7,"PUTIN, Vladimir","individual","[RUSSIA-EO14024] [UKRAINE-EO13660]",-0- ,-0- ,-0- ,-0- ,-0- ,-0- ,-0- ,' +
+        '"DOB 07 Oct 1952; POB Leningrad, Russia; nationality Russia; a.k.a. \'PUTIN, Vladimir Vladimirovich\'."',
+      '36,"AEROCARIBBEAN AIRLINES",-0- ,"CUBA"',
+      '40,"SEA STAR","vessel","CUBA"',
+      'not an entry,"NOBODY"',
+      '\u001a'
+    ].join('\r\n');
+    const [putin, airline, ...rest] = parseWatchlist('ofac', csv);
+    expect(putin).toMatchObject({
+      externalId: '7',
+      entryType: 'individual',
+      names: ['PUTIN, Vladimir', 'PUTIN, Vladimir Vladimirovich'],
+      datesOfBirth: ['1952-10-07'],
+      nationalities: ['RU'],
+      programs: ['RUSSIA-EO14024', 'UKRAINE-EO13660']
+    });
+    expect(airline).toMatchObject({ externalId: '36', entryType: 'entity', datesOfBirth: [], programs: ['CUBA'], remarks: null });
+    expect(rest).toEqual([]);
+  });
+
+  test('reads the UN consolidated list', () => {
+    const xml = `<CONSOLIDATED_LIST>
+      <INDIVIDUALS><INDIVIDUAL>
+        <DATAID>1</DATAID><REFERENCE_NUMBER>QDi.001</REFERENCE_NUMBER>
+        <FIRST_NAME>ABDUL</FIRST_NAME><SECOND_NAME>RAHMAN</SECOND_NAME><UN_LIST_TYPE>Al-Qaida</UN_LIST_TYPE>
+        <NATIONALITY><VALUE>Jordan</VALUE></NATIONALITY>
+        <INDIVIDUAL_ALIAS><QUALITY>Good</QUALITY><ALIAS_NAME>Abu Abdullah</ALIAS_NAME></INDIVIDUAL_ALIAS>
+        <INDIVIDUAL_DATE_OF_BIRTH><TYPE_OF_DATE>BETWEEN</TYPE_OF_DATE><FROM_YEAR>1960</FROM_YEAR><TO_YEAR>1961</TO_YEAR></INDIVIDUAL_DATE_OF_BIRTH>
+      </INDIVIDUAL></INDIVIDUALS>
+      <ENTITIES><ENTITY><DATAID>2</DATAID><REFERENCE_NUMBER>QDe.002</REFERENCE_NUMBER><FIRST_NAME>AL-RASHID TRUST</FIRST_NAME></ENTITY></ENTITIES>
+    </CONSOLIDATED_LIST>`;
+    expect(parseWatchlist('un', xml)).toEqual([
+      expect.objectContaining({
+        externalId: 'QDi.001',
+        entryType: 'individual',
+        names: ['ABDUL RAHMAN', 'Abu Abdullah'],
+        datesOfBirth: ['1960', '1961'],
+        nationalities: ['JO'],
+        programs: ['Al-Qaida']
+      }),
+      expect.objectContaining({ externalId: 'QDe.002', entryType: 'entity', primaryName: 'AL-RASHID TRUST' })
+    ]);
+  });
+
+  test('groups the EU CSV rows by entity, skipping rows without one', () => {
+    const csv = [
+      'Entity_LogicalId;Entity_EU_ReferenceNumber;Entity_SubjectType;NameAlias_WholeName;BirthDate_BirthDate;' +
+        'BirthDate_Year;Citizenship_CountryIso2Code;Entity_Regulation_Programme',
+      '13;EU.27.28;P;Saddam Hussein Al-Tikriti;1937-04-28;;IQ;IRQ',
+      '13;EU.27.28;P;Abu Ali;;;;IRQ',
+      ';;;Orphan row;;;;',
+      '14;;E;Example Trading LLC;;;;SYR'
+    ].join('\n');
+    expect(parseWatchlist('eu', csv)).toEqual([
+      expect.objectContaining({
+        externalId: 'EU.27.28',
+        entryType: 'individual',
+        names: ['Saddam Hussein Al-Tikriti', 'Abu Ali'],
+        datesOfBirth: ['1937-04-28'],
+        nationalities: ['IQ'],
+        programs: ['IRQ']
+      }),
+      expect.objectContaining({ externalId: '14', entryType: 'entity', names: ['Example Trading LLC'] })
+    ]);
+  });
+
+  test('reads the PEP CSV, skipping rows without an id or name', () => {
+    const csv = [
+      'id,schema,name,aliases,birth_date,countries,dataset',
+      'Q1,Person,Jane Roe,J. Roe;Janet Roe,1960-05-01,ky;gb,Cayman Islands Cabinet',
+      'Q2,Person,,,,,',
+      ',Person,No Id,,,,'
+    ].join('\n');
+    expect(parseWatchlist('pep', csv)).toEqual([{
+      externalId: 'Q1',
+      entryType: 'individual',
+      primaryName: 'Jane Roe',
+      names: ['Jane Roe', 'J. Roe', 'Janet Roe'],
+      datesOfBirth: ['1960-05-01'],
+      nationalities: ['KY', 'GB'],
+      programs: ['Cayman Islands Cabinet'],
+      remarks: null
+    }]);
+  });
+
+  test('refuses unknown sources and formats a source is not published in', () => {
+    expect(() => parseWatchlist('interpol', 'id,name')).toThrow('Unknown watchlist source "interpol"');
+    expect(() => parseWatchlist('pep', '\uFEFF<persons/>')).toThrow("The PEP list can't be read from XML");
+    expect(() => parseWatchlist('un', 'id,name')).toThrow("The UN list can't be read from CSV");
+  });
+});
@@ -1,5 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import axios from 'axios';
+import AuditTrailExplorer from './components/admin/AuditTrailExplorer.jsx';
+import { clientProfileFieldLabels, clientChangeReasonLabels } from './lib/clientProfile.js';
 
 const AdminDashboard = () => {
   const [activeTab, setActiveTab] = useState('clients');
@@ -15,6 +17,7 @@ const AdminDashboard = () => {
   const [fundTransfers, setFundTransfers] = useState([]);
   const [communications, setCommunications] = useState([]);
   const [documents, setDocuments] = useState([]);
+  const [changeAlerts, setChangeAlerts] = useState([]);
   const [statistics, setStatistics] = useState({});
 
   // Login form state
@@ -23,37 +26,41 @@ const AdminDashboard = () => {
     password: ''
   });
 
-  // API configuration
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
-  
-  const api = axios.create({
-    baseURL: API_BASE_URL,
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  });
+  // API configuration. One instance for the life of the dashboard, so components that load with it load once.
+  const api = useMemo(() => {
+    const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
-  // Add auth token to requests
-  api.interceptors.request.use((config) => {
-    const token = localStorage.getItem('adminToken');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  });
+    const instance = axios.create({
+      baseURL: API_BASE_URL,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
 
-  // Handle auth errors
-  api.interceptors.response.use(
-    (response) => response,
-    (error) => {
-      if (error.response?.status === 401) {
-        localStorage.removeItem('adminToken');
-        setIsAuthenticated(false);
-        setUser(null);
+    // Add auth token to requests
+    instance.interceptors.request.use((config) => {
+      const token = localStorage.getItem('adminToken');
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
       }
-      return Promise.reject(error);
-    }
-  );
+      return config;
+    });
+
+    // Handle auth errors
+    instance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401) {
+          localStorage.removeItem('adminToken');
+          setIsAuthenticated(false);
+          setUser(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return instance;
+  }, []);
 
   // Check authentication on mount
   useEffect(() => {
@@ -119,14 +126,16 @@ const AdminDashboard = () => {
         kycResponse,
         transfersResponse,
         communicationsResponse,
-        documentsResponse
+        documentsResponse,
+        changeAlertsResponse
       ] = await Promise.all([
         api.get('/dashboard/statistics'),
         api.get('/clients'),
         api.get('/kyc-requests'),
         api.get('/fund-transfers'),
         api.get('/communications'),
-        api.get('/documents')
+        api.get('/documents'),
+        api.get('/client-change-alerts')
       ]);
 
       setStatistics(statsResponse.data);
@@ -135,6 +144,7 @@ const AdminDashboard = () => {
       setFundTransfers(transfersResponse.data);
       setCommunications(communicationsResponse.data);
       setDocuments(documentsResponse.data);
+      setChangeAlerts(changeAlertsResponse.data);
     } catch (error) {
       setError('Failed to load dashboard data');
       console.error('Dashboard data loading error:', error);
@@ -221,6 +231,34 @@ const AdminDashboard = () => {
     }
   };
 
+  const reviewChangeAlert = async (alertId, decision) => {
+    const notes = decision === 'rejected' ? window.prompt('Why is this change rejected?') : null;
+    if (decision === 'rejected' && !notes) {
+      return;
+    }
+    try {
+      const response = await api.post(`/client-change-alerts/${alertId}/review`, { decision, notes });
+      await loadDashboardData();
+      if (decision === 'confirmed') {
+        setSuccess('Change confirmed');
+      } else if (response.data.superseded_fields.length > 0) {
+        const labels = response.data.superseded_fields.map((field) => clientProfileFieldLabels[field] || field);
+        setSuccess(`Change rejected; ${labels.join(', ')} changed again since and kept the later value`);
+      } else {
+        setSuccess('Change rejected and reverted');
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to review change');
+    }
+  };
+
+  const formatProfileValue = (value) => {
+    if (value === null || value === undefined || value === '') {
+      return '—';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
   // Login form component
   if (!isAuthenticated) {
     return (
@@ -389,7 +427,9 @@ const AdminDashboard = () => {
                 { id: 'kyc', name: 'KYC Requests', icon: '📋' },
                 { id: 'transfers', name: 'Fund Transfers', icon: '💰' },
                 { id: 'communications', name: 'Communications', icon: '💬' },
-                { id: 'documents', name: 'Documents', icon: '📄' }
+                { id: 'documents', name: 'Documents', icon: '📄' },
+                { id: 'changes', name: `Change Alerts${changeAlerts.length > 0 ? ` (${changeAlerts.length})` : ''}`, icon: '🔔' },
+                ...(user?.role === 'admin' ? [{ id: 'audit', name: 'Audit Trail', icon: '🧾' }] : [])
               ].map((tab) => (
                 <button
                   key={tab.id}
@@ -697,6 +737,80 @@ const AdminDashboard = () => {
                 </div>
               </div>
             )}
+
+            {/* Change Alerts Tab */}
+            {activeTab === 'changes' && (
+              <div>
+                <div className="flex justify-between items-center mb-6">
+                  <h2 className="text-xl font-bold text-gray-900">Sensitive Profile Changes</h2>
+                </div>
+
+                {changeAlerts.length === 0 && (
+                  <p className="text-sm text-gray-500">No changes are waiting for review.</p>
+                )}
+
+                <div className="space-y-4">
+                  {changeAlerts.map((alert) => (
+                    <div key={alert.id} className="bg-gray-50 rounded-lg p-6">
+                      <div className="flex justify-between items-start">
+                        <div>
+                          <h3 className="text-lg font-medium text-gray-900">
+                            {alert.client_name} - {alert.account_number}
+                          </h3>
+                          <p className="text-sm text-gray-600 mt-1">
+                            Changed by {alert.raised_by_name || 'the system'} on {new Date(alert.raised_at).toLocaleString()}
+                          </p>
+                          <p className="text-sm text-gray-600">
+                            Reason: {clientChangeReasonLabels[alert.reason_code] || 'None given'}
+                            {alert.reason_notes && ` - ${alert.reason_notes}`}
+                          </p>
+                        </div>
+                        {alert.raised_by === user?.id ? (
+                          <span className="text-sm text-gray-500">Another admin must review your change</span>
+                        ) : (
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => reviewChangeAlert(alert.id, 'confirmed')}
+                              className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
+                            >
+                              Confirm
+                            </button>
+                            <button
+                              onClick={() => reviewChangeAlert(alert.id, 'rejected')}
+                              className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        )}
+                      </div>
+
+                      <table className="min-w-full text-sm mt-4">
+                        <thead>
+                          <tr>
+                            <th className="text-left text-xs font-medium text-gray-500 uppercase pb-2">Field</th>
+                            <th className="text-left text-xs font-medium text-gray-500 uppercase pb-2">Before</th>
+                            <th className="text-left text-xs font-medium text-gray-500 uppercase pb-2">After</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {(alert.changes || []).map((change) => (
+                            <tr key={change.field}>
+                              <td className="pr-4 py-1 text-gray-900">{clientProfileFieldLabels[change.field] || change.field}</td>
+                              <td className="pr-4 py-1 text-red-700">{formatProfileValue(change.before)}</td>
+                              <td className="py-1 text-green-700">{formatProfileValue(change.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Audit Trail Tab */}
+            {activeTab === 'audit' && <AuditTrailExplorer api={api} basePath="/audit" />}
           </div>
         </div>
       </div>
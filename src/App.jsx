@@ -1,16 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import './App.css';
-import { individualFormFields, corporateFormFields, formSubmissionInstructions } from './formFields.js';
 import EnhancedIBOSSPortfolioTracker from './components/EnhancedIBOSSPortfolioTracker.jsx';
+import OnboardingWizard from './components/onboarding/OnboardingWizard.jsx';
+import ApplicationStatus from './components/onboarding/ApplicationStatus.jsx';
+import { formSchemas } from './formFields.js';
+import { resumeApplication } from './lib/onboardingApi.js';
+import { getWizardPages } from './lib/wizardPages.js';
+import { getTextDirection } from './lib/i18n.js';
+import { getInitialLanguage, storeLanguage } from './lib/languagePreference.js';
 
 const AlhambraBankApp = () => {
   // Core state management
   const [currentTab, setCurrentTab] = useState('home');
-  const [language, setLanguage] = useState('en');
+  const [language, setLanguage] = useState(getInitialLanguage);
   const [showOnboarding, setShowOnboarding] = useState(false);
   const [accountType, setAccountType] = useState('individual');
   const [currentStep, setCurrentStep] = useState(1);
   const [formData, setFormData] = useState({});
+  const [applicationDraft, setApplicationDraft] = useState(null);
+  const [resumeError, setResumeError] = useState(null);
 
   // Slideshow states
   const [currentSlide, setCurrentSlide] = useState(0);
@@ -54,6 +62,45 @@ const AlhambraBankApp = () => {
     };
   }, []);
 
+  // Arabic lays the whole page out right to left; the choice is kept in the URL and localStorage
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = getTextDirection(language);
+    storeLanguage(language);
+  }, [language]);
+
+  // Resume a saved application from its link (?resume=<token>)
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const resumeToken = url.searchParams.get('resume');
+    if (!resumeToken) {
+      return;
+    }
+    url.searchParams.delete('resume');
+    window.history.replaceState({}, '', url);
+
+    resumeApplication(resumeToken)
+      .then(({ application, resumeUrl }) => {
+        const pages = getWizardPages(formSchemas[application.accountType]);
+        setAccountType(application.accountType);
+        setFormData(application.formData);
+        setApplicationDraft({
+          id: application.id,
+          referenceNumber: application.referenceNumber,
+          status: application.status,
+          taxFormType: application.taxFormType,
+          resumeToken,
+          resumeUrl
+        });
+        setCurrentStep(application.status === 'submitted' ? pages.instructions : Math.min(application.currentStep, pages.review));
+      })
+      .catch((error) => {
+        setResumeError(error.message);
+        setCurrentStep(0);
+      })
+      .finally(() => setShowOnboarding(true));
+  }, []);
+
   // Translations
   const translations = {
     en: {
@@ -63,6 +110,9 @@ const AlhambraBankApp = () => {
       openAccount: "Open Account",
       openIndividual: "👤 Open Individual Account",
       openCorporate: "🏢 Open Corporate Account",
+      chooseAccountType: "Choose the type of account you would like to open.",
+      resumeFailed: "We could not open your saved application:",
+      cancel: "Cancel",
       home: "Home",
       about: "About",
       services: "Services",
@@ -70,6 +120,7 @@ const AlhambraBankApp = () => {
       marketInsights: "Market Insights",
       aiServices: "AI Services",
       portfolioTracker: "Portfolio Tracker",
+      applicationStatus: "Application Status",
       blog: "Blog",
       contact: "Contact",
       customerLogin: "Customer Login",
@@ -105,6 +156,9 @@ const AlhambraBankApp = () => {
       openAccount: "Abrir Cuenta",
       openIndividual: "👤 Abrir Cuenta Individual",
       openCorporate: "🏢 Abrir Cuenta Corporativa",
+      chooseAccountType: "Elija el tipo de cuenta que desea abrir.",
+      resumeFailed: "No pudimos abrir su solicitud guardada:",
+      cancel: "Cancelar",
       home: "Inicio",
       about: "Acerca de",
       services: "Servicios",
@@ -112,6 +166,7 @@ const AlhambraBankApp = () => {
       marketInsights: "Perspectivas del Mercado",
       aiServices: "Servicios IA",
       portfolioTracker: "Rastreador de Cartera",
+      applicationStatus: "Estado de Solicitud",
       blog: "Blog",
       contact: "Contacto",
       customerLogin: "Acceso Cliente",
@@ -147,6 +202,9 @@ const AlhambraBankApp = () => {
       openAccount: "فتح حساب",
       openIndividual: "👤 فتح حساب فردي",
       openCorporate: "🏢 فتح حساب شركة",
+      chooseAccountType: "اختر نوع الحساب الذي ترغب في فتحه.",
+      resumeFailed: "تعذّر علينا فتح طلبك المحفوظ:",
+      cancel: "إلغاء",
       home: "الرئيسية",
       about: "حول",
       services: "الخدمات",
@@ -154,6 +212,7 @@ const AlhambraBankApp = () => {
       marketInsights: "رؤى السوق",
       aiServices: "خدمات الذكاء الاصطناعي",
       portfolioTracker: "متتبع المحفظة",
+      applicationStatus: "حالة الطلب",
       blog: "المدونة",
       contact: "اتصل",
       customerLogin: "دخول العميل",
@@ -189,6 +248,9 @@ const AlhambraBankApp = () => {
       openAccount: "开户",
       openIndividual: "👤 开设个人账户",
       openCorporate: "🏢 开设企业账户",
+      chooseAccountType: "请选择您要开设的账户类型。",
+      resumeFailed: "无法打开您保存的申请：",
+      cancel: "取消",
       home: "首页",
       about: "关于",
       services: "服务",
@@ -196,6 +258,7 @@ const AlhambraBankApp = () => {
       marketInsights: "市场洞察",
       aiServices: "AI服务",
       portfolioTracker: "投资组合跟踪器",
+      applicationStatus: "申请状态",
       blog: "博客",
       contact: "联系",
       customerLogin: "客户登录",
@@ -229,6 +292,10 @@ const AlhambraBankApp = () => {
   const t = translations[language];
 
   const renderContent = () => {
+    if (showOnboarding) {
+      return renderOnboarding();
+    }
+
     switch (currentTab) {
       case 'home': return renderHome();
       case 'about': return renderAbout();
@@ -236,13 +303,42 @@ const AlhambraBankApp = () => {
       case 'trading': return renderTrading();
       case 'marketInsights': return renderMarketInsights();
       case 'aiServices': return renderAIServices();
-      case 'portfolioTracker': return <EnhancedIBOSSPortfolioTracker />;
+      case 'portfolioTracker': return <EnhancedIBOSSPortfolioTracker language={language} labels={t} />;
+      case 'applicationStatus': return <ApplicationStatus language={language} />;
       case 'blog': return renderBlog();
       case 'contact': return renderContact();
       default: return renderHome();
     }
   };
 
+  // Onboarding flow: step 0 is the account type choice, steps 1..n come from formFields.js
+  const openOnboarding = () => {
+    setCurrentStep(0);
+    setShowOnboarding(true);
+    window.scrollTo({ top: 0 });
+  };
+
+  const startApplication = (type) => {
+    setAccountType(type);
+    setFormData({});
+    setApplicationDraft(null);
+    setResumeError(null);
+    setCurrentStep(1);
+  };
+
+  const closeOnboarding = () => {
+    setShowOnboarding(false);
+    setCurrentStep(1);
+    setFormData({});
+    setApplicationDraft(null);
+    setResumeError(null);
+  };
+
+  const navigateTo = (tabId) => {
+    setShowOnboarding(false);
+    setCurrentTab(tabId);
+  };
+
   // ... (rest of the component remains the same)
 
   // Navigation tabs
@@ -254,6 +350,7 @@ const AlhambraBankApp = () => {
     { id: 'marketInsights', label: t.marketInsights },
     { id: 'aiServices', label: t.aiServices },
     { id: 'portfolioTracker', label: t.portfolioTracker },
+    { id: 'applicationStatus', label: t.applicationStatus },
     { id: 'blog', label: t.blog },
     { id: 'contact', label: t.contact }
   ];
@@ -269,7 +366,7 @@ const AlhambraBankApp = () => {
           </div>
           <nav className="hidden md:flex items-center space-x-6">
             {tabs.map(tab => (
-              <button key={tab.id} onClick={() => setCurrentTab(tab.id)} className={`text-gray-600 hover:text-red-700 transition-colors ${currentTab === tab.id ? 'font-semibold text-red-700' : ''}`}>
+              <button key={tab.id} onClick={() => navigateTo(tab.id)} className={`text-gray-600 hover:text-red-700 transition-colors ${currentTab === tab.id ? 'font-semibold text-red-700' : ''}`}>
                 {tab.label}
               </button>
             ))}
@@ -304,7 +401,7 @@ const AlhambraBankApp = () => {
             <h3 className="font-bold text-lg mb-4">Quick Links</h3>
             <ul className="space-y-2">
               {tabs.map(tab => (
-                <li key={tab.id}><button onClick={() => setCurrentTab(tab.id)} className="text-gray-400 hover:text-white">{tab.label}</button></li>
+                <li key={tab.id}><button onClick={() => navigateTo(tab.id)} className="text-gray-400 hover:text-white">{tab.label}</button></li>
               ))}
             </ul>
           </div>
@@ -349,7 +446,7 @@ const AlhambraBankApp = () => {
             {t.tagline1}<br />{t.tagline2}
           </h1>
           <p className="text-lg md:text-xl max-w-2xl mb-8">A private bank and trust company for those who value discretion, security, and personalized service.</p>
-          <button onClick={() => setShowOnboarding(true)} className="bg-red-700 text-white px-8 py-4 rounded-full text-lg font-semibold hover:bg-red-800 transition-transform hover:scale-105">
+          <button onClick={openOnboarding} className="bg-red-700 text-white px-8 py-4 rounded-full text-lg font-semibold hover:bg-red-800 transition-transform hover:scale-105">
             {t.openAccount}
           </button>
         </div>
@@ -357,6 +454,43 @@ const AlhambraBankApp = () => {
     );
   }
 
+  function renderOnboarding() {
+    if (currentStep === 0) {
+      return (
+        <div className="container mx-auto px-4 py-16 max-w-3xl text-center">
+          <h2 className="text-4xl font-bold mb-4">{t.openAccount}</h2>
+          <p className="text-lg text-gray-600 mb-10">{t.chooseAccountType}</p>
+          {resumeError && (
+            <p className="text-red-600 mb-6">{t.resumeFailed} {resumeError}</p>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <button onClick={() => startApplication('individual')} className="bg-white border-2 border-red-700 text-red-800 px-6 py-8 rounded-lg text-xl font-semibold hover:bg-red-50 transition-colors">
+              {t.openIndividual}
+            </button>
+            <button onClick={() => startApplication('corporate')} className="bg-white border-2 border-red-700 text-red-800 px-6 py-8 rounded-lg text-xl font-semibold hover:bg-red-50 transition-colors">
+              {t.openCorporate}
+            </button>
+          </div>
+          <button onClick={closeOnboarding} className="mt-10 text-gray-500 hover:text-gray-800">{t.cancel}</button>
+        </div>
+      );
+    }
+
+    return (
+      <OnboardingWizard
+        accountType={accountType}
+        language={language}
+        currentStep={currentStep}
+        onStepChange={setCurrentStep}
+        formData={formData}
+        onFormDataChange={setFormData}
+        draft={applicationDraft}
+        onDraftChange={setApplicationDraft}
+        onExit={closeOnboarding}
+      />
+    );
+  }
+
   function renderAbout() {
     return (
       <div className="container mx-auto px-4 py-16">
@@ -1,12 +1,36 @@
-import React, { useState, useEffect } from 'react';
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './components/ui/card';
-import { Button } from './components/ui/button';
-import { Badge } from './components/ui/badge';
-import { Tabs, TabsContent, TabsList, TabsTrigger } from './components/ui/tabs';
-import { Progress } from './components/ui/progress';
-import { Alert, AlertDescription } from './components/ui/alert';
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
+import { Progress } from './ui/progress';
+import { Alert, AlertDescription } from './ui/alert';
+import { getTextDirection } from '../lib/i18n.js';
+import { formatCurrency, formatDate, formatNumber, formatPercent } from '../lib/localeFormat.js';
 
-const EnhancedIBOSSPortfolioTracker = () => {
+// Used for any label the site's translations don't pass in
+const defaultLabels = {
+  totalEquity: 'Total Equity',
+  dayPL: 'Daily P&L',
+  cashBalance: 'Cash Balance',
+  buyingPower: 'Buying Power',
+  overview: 'Overview',
+  holdings: 'Holdings',
+  performance: 'Performance',
+  allocation: 'Allocation',
+  statements: 'Statements',
+  logout: 'Logout'
+};
+
+const oneDecimal = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+// Trend arrows point along the reading direction, so they are mirrored right to left
+const TrendArrow = ({ value }) => (
+  <span className="inline-block rtl:-scale-x-100">{value >= 0 ? '↗' : '↘'}</span>
+);
+
+const EnhancedIBOSSPortfolioTracker = ({ language = 'en', labels = {} }) => {
+  const text = { ...defaultLabels, ...labels };
   // Enhanced state management based on IBOSS evaluation
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [portfolioTab, setPortfolioTab] = useState('overview');
@@ -104,6 +128,11 @@ const EnhancedIBOSSPortfolioTracker = () => {
     }
   });
 
+  // Amounts are in the account's currency, written the way the reader's language writes them
+  const money = (value, options) => formatCurrency(value, language, portfolioData.accountInfo.currency, options);
+  const signedMoney = (value) => money(value, { signDisplay: 'exceptZero' });
+  const percent = (value, options) => formatPercent(value, language, options);
+
   const handleLogin = () => {
     if (credentials.bankUsername && credentials.bankPassword && 
         credentials.ibossUsername && credentials.ibossPassword) {
@@ -239,12 +268,13 @@ const EnhancedIBOSSPortfolioTracker = () => {
               </span>
               <div className="text-sm text-gray-500">
                 Account: {portfolioData.accountInfo.accountNumber} | 
-                Type: {portfolioData.accountInfo.accountType}
+                Type: {portfolioData.accountInfo.accountType} | 
+                Opened: {formatDate(portfolioData.accountInfo.createDate, language)}
               </div>
             </div>
           </div>
           <Button onClick={handleLogout} variant="destructive">
-            🚪 Logout
+            🚪 {text.logout}
           </Button>
         </div>
       </div>
@@ -252,19 +282,16 @@ const EnhancedIBOSSPortfolioTracker = () => {
       {/* Enhanced Portfolio Metrics */}
       <div className="container mx-auto px-4 py-6">
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-          <Card className="border-l-4 border-green-500">
+          <Card className="border-s-4 border-green-500">
             <CardContent className="p-6">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-sm text-gray-600">Total Equity</p>
+                  <p className="text-sm text-gray-600">{text.totalEquity}</p>
                   <p className="text-2xl font-bold text-gray-900">
-                    ${portfolioData.balances.totalEquity.toLocaleString('en-US', {
-                      minimumFractionDigits: 2,
-                      maximumFractionDigits: 2
-                    })}
+                    {money(portfolioData.balances.totalEquity)}
                   </p>
                   <p className="text-xs text-gray-500">
-                    Net Liquidation: ${portfolioData.balances.netLiquidationValue.toLocaleString()}
+                    Net Liquidation: {money(portfolioData.balances.netLiquidationValue)}
                   </p>
                 </div>
                 <div className="text-2xl">💰</div>
@@ -272,23 +299,20 @@ const EnhancedIBOSSPortfolioTracker = () => {
             </CardContent>
           </Card>
           
-          <Card className="border-l-4 border-blue-500">
+          <Card className="border-s-4 border-blue-500">
             <CardContent className="p-6">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-sm text-gray-600">Daily P&L</p>
+                  <p className="text-sm text-gray-600">{text.dayPL}</p>
                   <p className={`text-2xl font-bold ${
                     portfolioData.performance.dailyPL >= 0 ? 'text-green-600' : 'text-red-600'
                   }`}>
-                    ${portfolioData.performance.dailyPL.toLocaleString('en-US', {
-                      minimumFractionDigits: 2,
-                      maximumFractionDigits: 2
-                    })}
+                    {money(portfolioData.performance.dailyPL)}
                   </p>
                   <p className={`text-sm ${
                     portfolioData.performance.dailyPLPercent >= 0 ? 'text-green-600' : 'text-red-600'
                   }`}>
-                    {portfolioData.performance.dailyPLPercent >= 0 ? '↗' : '↘'} {portfolioData.performance.dailyPLPercent}%
+                    <TrendArrow value={portfolioData.performance.dailyPLPercent} /> {percent(portfolioData.performance.dailyPLPercent)}
                   </p>
                 </div>
                 <div className="text-2xl">📈</div>
@@ -296,19 +320,16 @@ const EnhancedIBOSSPortfolioTracker = () => {
             </CardContent>
           </Card>
           
-          <Card className="border-l-4 border-purple-500">
+          <Card className="border-s-4 border-purple-500">
             <CardContent className="p-6">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-sm text-gray-600">Cash Balance</p>
+                  <p className="text-sm text-gray-600">{text.cashBalance}</p>
                   <p className="text-2xl font-bold text-gray-900">
-                    ${portfolioData.balances.cashBalance.toLocaleString('en-US', {
-                      minimumFractionDigits: 2,
-                      maximumFractionDigits: 2
-                    })}
+                    {money(portfolioData.balances.cashBalance)}
                   </p>
                   <p className="text-xs text-gray-500">
-                    {((portfolioData.balances.cashBalance / portfolioData.balances.totalEquity) * 100).toFixed(1)}% allocation
+                    {percent((portfolioData.balances.cashBalance / portfolioData.balances.totalEquity) * 100, oneDecimal)} allocation
                   </p>
                 </div>
                 <div className="text-2xl">💵</div>
@@ -316,16 +337,16 @@ const EnhancedIBOSSPortfolioTracker = () => {
             </CardContent>
           </Card>
           
-          <Card className="border-l-4 border-orange-500">
+          <Card className="border-s-4 border-orange-500">
             <CardContent className="p-6">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-sm text-gray-600">Buying Power</p>
+                  <p className="text-sm text-gray-600">{text.buyingPower}</p>
                   <p className="text-2xl font-bold text-gray-900">
-                    ${portfolioData.balances.dayBuyingPower.toLocaleString()}
+                    {money(portfolioData.balances.dayBuyingPower)}
                   </p>
                   <p className="text-xs text-gray-500">
-                    Overnight: ${portfolioData.balances.overnightBuyingPower.toLocaleString()}
+                    Overnight: {money(portfolioData.balances.overnightBuyingPower)}
                   </p>
                 </div>
                 <div className="text-2xl">⚡</div>
@@ -335,13 +356,13 @@ const EnhancedIBOSSPortfolioTracker = () => {
         </div>
 
         {/* Enhanced Portfolio Tabs */}
-        <Tabs value={portfolioTab} onValueChange={setPortfolioTab} className="space-y-6">
+        <Tabs value={portfolioTab} onValueChange={setPortfolioTab} dir={getTextDirection(language)} className="space-y-6">
           <TabsList className="grid w-full grid-cols-5">
-            <TabsTrigger value="overview">📊 Overview</TabsTrigger>
-            <TabsTrigger value="holdings">📈 Holdings</TabsTrigger>
-            <TabsTrigger value="performance">🎯 Performance</TabsTrigger>
-            <TabsTrigger value="allocation">🥧 Allocation</TabsTrigger>
-            <TabsTrigger value="statements">📄 Statements</TabsTrigger>
+            <TabsTrigger value="overview">📊 {text.overview}</TabsTrigger>
+            <TabsTrigger value="holdings">📈 {text.holdings}</TabsTrigger>
+            <TabsTrigger value="performance">🎯 {text.performance}</TabsTrigger>
+            <TabsTrigger value="allocation">🥧 {text.allocation}</TabsTrigger>
+            <TabsTrigger value="statements">📄 {text.statements}</TabsTrigger>
           </TabsList>
 
           <TabsContent value="overview" className="space-y-6">
@@ -362,12 +383,12 @@ const EnhancedIBOSSPortfolioTracker = () => {
                     ].map((item, index) => (
                       <div key={index} className="flex justify-between items-center py-2 border-b border-gray-100">
                         <span className="text-gray-600 font-medium">{item.period}</span>
-                        <div className="text-right">
+                        <div className="text-end">
                           <Badge variant={item.value >= 0 ? "default" : "destructive"}>
-                            {item.value >= 0 ? '↗' : '↘'} {item.value.toFixed(2)}%
+                            <TrendArrow value={item.value} /> {percent(item.value)}
                           </Badge>
                           <div className="text-sm text-gray-500">
-                            ${item.amount.toLocaleString('en-US', { minimumFractionDigits: 2 })}
+                            {money(item.amount)}
                           </div>
                         </div>
                       </div>
@@ -388,18 +409,17 @@ const EnhancedIBOSSPortfolioTracker = () => {
                         <div className="flex justify-between items-start">
                           <div>
                             <div className="font-semibold text-gray-900">{holding.symbol}</div>
-                            <div className="text-sm text-gray-600">{holding.quantity} shares</div>
+                            <div className="text-sm text-gray-600">{formatNumber(holding.quantity, language)} shares</div>
                             <div className="text-xs text-gray-500">
-                              {holding.percentageOfTotal.toFixed(1)}% of portfolio
+                              {percent(holding.percentageOfTotal, oneDecimal)} of portfolio
                             </div>
                           </div>
-                          <div className="text-right">
+                          <div className="text-end">
                             <div className="font-semibold text-gray-900">
-                              ${holding.marketValue.toLocaleString()}
+                              {money(holding.marketValue)}
                             </div>
                             <Badge variant={holding.unrealizedPL >= 0 ? "default" : "destructive"}>
-                              {holding.unrealizedPL >= 0 ? '+' : ''}${holding.unrealizedPL.toLocaleString()} 
-                              ({holding.unrealizedPLPercent.toFixed(2)}%)
+                              {signedMoney(holding.unrealizedPL)} ({percent(holding.unrealizedPLPercent)})
                             </Badge>
                           </div>
                         </div>
@@ -424,33 +444,33 @@ const EnhancedIBOSSPortfolioTracker = () => {
                   <table className="w-full text-sm">
                     <thead>
                       <tr className="border-b">
-                        <th className="text-left p-2">Symbol</th>
-                        <th className="text-right p-2">Quantity</th>
-                        <th className="text-right p-2">Avg Cost</th>
-                        <th className="text-right p-2">Current Price</th>
-                        <th className="text-right p-2">Market Value</th>
-                        <th className="text-right p-2">Unrealized P&L</th>
-                        <th className="text-right p-2">% of Portfolio</th>
+                        <th className="text-start p-2">Symbol</th>
+                        <th className="text-end p-2">Quantity</th>
+                        <th className="text-end p-2">Avg Cost</th>
+                        <th className="text-end p-2">Current Price</th>
+                        <th className="text-end p-2">Market Value</th>
+                        <th className="text-end p-2">Unrealized P&L</th>
+                        <th className="text-end p-2">% of Portfolio</th>
                       </tr>
                     </thead>
                     <tbody>
                       {portfolioData.holdings.map((holding, index) => (
                         <tr key={index} className="border-b hover:bg-gray-50">
                           <td className="p-2 font-medium">{holding.symbol}</td>
-                          <td className="p-2 text-right">{holding.quantity}</td>
-                          <td className="p-2 text-right">${holding.avgCost.toFixed(2)}</td>
-                          <td className="p-2 text-right">${holding.currentPrice.toFixed(2)}</td>
-                          <td className="p-2 text-right">${holding.marketValue.toLocaleString()}</td>
-                          <td className={`p-2 text-right ${holding.unrealizedPL >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                            {holding.unrealizedPL >= 0 ? '+' : ''}${holding.unrealizedPL.toLocaleString()}
+                          <td className="p-2 text-end">{formatNumber(holding.quantity, language)}</td>
+                          <td className="p-2 text-end">{money(holding.avgCost)}</td>
+                          <td className="p-2 text-end">{money(holding.currentPrice)}</td>
+                          <td className="p-2 text-end">{money(holding.marketValue)}</td>
+                          <td className={`p-2 text-end ${holding.unrealizedPL >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {signedMoney(holding.unrealizedPL)}
                             <br />
                             <span className="text-xs">
-                              ({holding.unrealizedPLPercent.toFixed(2)}%)
+                              ({percent(holding.unrealizedPLPercent)})
                             </span>
                           </td>
-                          <td className="p-2 text-right">
+                          <td className="p-2 text-end">
                             <Progress value={holding.percentageOfTotal} className="w-16 h-2" />
-                            <span className="text-xs">{holding.percentageOfTotal.toFixed(1)}%</span>
+                            <span className="text-xs">{percent(holding.percentageOfTotal, oneDecimal)}</span>
                           </td>
                         </tr>
                       ))}
@@ -476,19 +496,19 @@ const EnhancedIBOSSPortfolioTracker = () => {
                     <div className="space-y-3">
                       <div className="flex justify-between">
                         <span>Sharpe Ratio</span>
-                        <Badge>1.85</Badge>
+                        <Badge>{formatNumber(1.85, language)}</Badge>
                       </div>
                       <div className="flex justify-between">
                         <span>Beta</span>
-                        <Badge>0.92</Badge>
+                        <Badge>{formatNumber(0.92, language)}</Badge>
                       </div>
                       <div className="flex justify-between">
                         <span>Max Drawdown</span>
-                        <Badge variant="destructive">-8.5%</Badge>
+                        <Badge variant="destructive">{percent(-8.5, oneDecimal)}</Badge>
                       </div>
                       <div className="flex justify-between">
                         <span>Volatility</span>
-                        <Badge>12.3%</Badge>
+                        <Badge>{percent(12.3, oneDecimal)}</Badge>
                       </div>
                     </div>
                   </div>
@@ -498,15 +518,15 @@ const EnhancedIBOSSPortfolioTracker = () => {
                     <div className="space-y-3">
                       <div className="flex justify-between">
                         <span>vs S&P 500</span>
-                        <Badge>+3.2%</Badge>
+                        <Badge>{percent(3.2, { ...oneDecimal, signDisplay: 'exceptZero' })}</Badge>
                       </div>
                       <div className="flex justify-between">
                         <span>vs NASDAQ</span>
-                        <Badge>+1.8%</Badge>
+                        <Badge>{percent(1.8, { ...oneDecimal, signDisplay: 'exceptZero' })}</Badge>
                       </div>
                       <div className="flex justify-between">
                         <span>vs Russell 2000</span>
-                        <Badge>+5.7%</Badge>
+                        <Badge>{percent(5.7, { ...oneDecimal, signDisplay: 'exceptZero' })}</Badge>
                       </div>
                     </div>
                   </div>
@@ -532,14 +552,14 @@ const EnhancedIBOSSPortfolioTracker = () => {
                         <span>Equities</span>
                         <div className="flex items-center space-x-2">
                           <Progress value={87.9} className="w-20 h-2" />
-                          <span className="text-sm">87.9%</span>
+                          <span className="text-sm">{percent(87.9, oneDecimal)}</span>
                         </div>
                       </div>
                       <div className="flex justify-between items-center">
                         <span>Cash</span>
                         <div className="flex items-center space-x-2">
                           <Progress value={12.1} className="w-20 h-2" />
-                          <span className="text-sm">12.1%</span>
+                          <span className="text-sm">{percent(12.1, oneDecimal)}</span>
                         </div>
                       </div>
                     </div>
@@ -552,21 +572,21 @@ const EnhancedIBOSSPortfolioTracker = () => {
                         <span>Technology</span>
                         <div className="flex items-center space-x-2">
                           <Progress value={68.7} className="w-20 h-2" />
-                          <span className="text-sm">68.7%</span>
+                          <span className="text-sm">{percent(68.7, oneDecimal)}</span>
                         </div>
                       </div>
                       <div className="flex justify-between items-center">
                         <span>Consumer Discretionary</span>
                         <div className="flex items-center space-x-2">
                           <Progress value={20.9} className="w-20 h-2" />
-                          <span className="text-sm">20.9%</span>
+                          <span className="text-sm">{percent(20.9, oneDecimal)}</span>
                         </div>
                       </div>
                       <div className="flex justify-between items-center">
                         <span>Automotive</span>
                         <div className="flex items-center space-x-2">
                           <Progress value={9.9} className="w-20 h-2" />
-                          <span className="text-sm">9.9%</span>
+                          <span className="text-sm">{percent(9.9, oneDecimal)}</span>
                         </div>
                       </div>
                     </div>
@@ -618,7 +638,7 @@ const EnhancedIBOSSPortfolioTracker = () => {
                         { format: 'Email Summary', icon: '📧' }
                       ].map((option, index) => (
                         <Button key={index} variant="outline" className="w-full justify-start">
-                          <span className="mr-2">{option.icon}</span>
+                          <span className="me-2">{option.icon}</span>
                           {option.format}
                         </Button>
                       ))}
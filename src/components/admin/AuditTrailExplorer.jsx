@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { auditExportFormats, auditSourceLabels } from '../../lib/auditTrail.js';
+
+// Search, page through and export an audit trail. Used by both admin dashboards: `api` is the dashboard's
+// axios instance and `basePath` where its audit routes live (entries, filters, export and verify).
+
+const emptyFilters = { adminId: '', clientId: '', action: '', ip: '', from: '', to: '', q: '' };
+
+// The filters that are set, as query parameters
+const toParams = (filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value.trim() !== ''));
+
+const errorMessage = (error, fallback) => error.response?.data?.error || error.response?.data?.message || fallback;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditTrailExplorer = ({ api, basePath }) => {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters);
+  const [options, setOptions] = useState({ actions: [], admins: [] });
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchEntries = useCallback(async (searchFilters, cursor) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.get(`${basePath}/entries`, { params: { ...toParams(searchFilters), ...(cursor ? { cursor } : {}) } });
+      setEntries((current) => (cursor ? [...current, ...response.data.entries] : response.data.entries));
+      setNextCursor(response.data.next_cursor);
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to search the audit trail'));
+    } finally {
+      setLoading(false);
+    }
+  }, [api, basePath]);
+
+  const search = useCallback((searchFilters) => {
+    setAppliedFilters(searchFilters);
+    setExpanded(null);
+    fetchEntries(searchFilters, null);
+  }, [fetchEntries]);
+
+  useEffect(() => {
+    api.get(`${basePath}/filters`)
+      .then((response) => setOptions({ actions: response.data.actions, admins: response.data.admins }))
+      .catch(() => setOptions({ actions: [], admins: [] }));
+    search(emptyFilters);
+  }, [api, basePath, search]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    search(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(emptyFilters);
+    search(emptyFilters);
+  };
+
+  // Exports what the last search found, however many pages
+  const handleExport = async (format) => {
+    setExporting(format);
+    setError('');
+    try {
+      const response = await api.get(`${basePath}/export`, {
+        params: { ...toParams(appliedFilters), format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-trail-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError('Failed to export the audit trail');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerification({ checking: true });
+    try {
+      const response = await api.get(`${basePath}/verify`);
+      setVerification(response.data);
+    } catch (error) {
+      setVerification(null);
+      setError(errorMessage(error, 'Failed to verify the audit trail'));
+    }
+  };
+
+  const setFilter = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  const entryKey = (entry) => `${entry.source}:${entry.id}`;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500';
+  const labelClass = 'block text-xs font-medium text-gray-500 mb-1';
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-bold text-gray-900">Audit Trail</h2>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleVerify}
+            disabled={verification?.checking}
+            className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            {verification?.checking ? 'Verifying...' : 'Verify chain'}
+          </button>
+          {auditExportFormats.map((format) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={exporting !== null}
+              className="bg-red-600 text-white px-4 py-2 rounded-md text-sm hover:bg-red-700 disabled:opacity-50"
+            >
+              {exporting === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {verification && !verification.checking && (
+        <div className={`border px-4 py-3 rounded mb-4 text-sm ${
+          verification.valid ? 'bg-green-100 border-green-400 text-green-700' : 'bg-red-100 border-red-400 text-red-700'
+        }`}>
+          {verification.valid
+            ? `Chain intact: ${verification.entriesChecked} entries, ${verification.checkpoints.verified} signed checkpoints verified`
+            : `Chain broken${verification.firstBreak
+              ? ` at entry ${verification.firstBreak.chainSeq} (${verification.firstBreak.reason.replace(/_/g, ' ')})`
+              : ''}; ${verification.checkpoints.failures.length} checkpoint failures`}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <label className={labelClass}>Admin</label>
+          <select value={filters.adminId} onChange={setFilter('adminId')} className={inputClass}>
+            <option value="">Any admin</option>
+            {options.admins.map((admin) => (
+              <option key={admin.id} value={admin.id}>{admin.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Client ID</label>
+          <input value={filters.clientId} onChange={setFilter('clientId')} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Action</label>
+          <select value={filters.action} onChange={setFilter('action')} className={inputClass}>
+            <option value="">Any action</option>
+            {options.actions.map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>IP address or network</label>
+          <input value={filters.ip} onChange={setFilter('ip')} placeholder="10.0.0.0/8" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>From</label>
+          <input type="date" value={filters.from} onChange={setFilter('from')} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>To</label>
+          <input type="date" value={filters.to} onChange={setFilter('to')} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Text in details</label>
+          <input value={filters.q} onChange={setFilter('q')} className={inputClass} />
+        </div>
+        <div className="flex items-end space-x-2">
+          <button type="submit" className="bg-red-600 text-white px-4 py-2 rounded-md text-sm hover:bg-red-700">
+            Search
+          </button>
+          <button type="button" onClick={handleReset} className="text-gray-600 px-4 py-2 text-sm hover:text-gray-900">
+            Clear
+          </button>
+        </div>
+      </form>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Admin</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {entries.map((entry) => (
+              <React.Fragment key={entryKey(entry)}>
+                <tr>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                    {new Date(entry.created_at).toLocaleString()}
+                    <div className="text-xs text-gray-500">{auditSourceLabels[entry.source] || entry.source}</div>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{entry.admin_name || '—'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                    {entry.client_name || entry.client_id || '—'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{entry.action}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {entry.description}
+                    {entry.changes.length > 0 && (
+                      <div className="text-xs text-gray-500">
+                        Changed {entry.changes.map((change) => change.field).join(', ')}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{entry.ip_address || '—'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                    <button
+                      onClick={() => setExpanded(expanded === entryKey(entry) ? null : entryKey(entry))}
+                      className="text-blue-600 hover:text-blue-900"
+                    >
+                      {expanded === entryKey(entry) ? 'Hide' : 'Details'}
+                    </button>
+                  </td>
+                </tr>
+                {expanded === entryKey(entry) && (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-4 bg-gray-50">
+                      {entry.changes.length > 0 && (
+                        <table className="min-w-full text-sm mb-4">
+                          <thead>
+                            <tr>
+                              <th className="text-left text-xs font-medium text-gray-500 uppercase pb-2">Field</th>
+                              <th className="text-left text-xs font-medium text-gray-500 uppercase pb-2">Before</th>
+                              <th className="text-left text-xs font-medium text-gray-500 uppercase pb-2">After</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {entry.changes.map((change) => (
+                              <tr key={change.field}>
+                                <td className="pr-4 py-1 font-mono text-gray-900">{change.field}</td>
+                                <td className="pr-4 py-1 text-red-700 line-through">{formatValue(change.before)}</td>
+                                <td className="py-1 text-green-700">{formatValue(change.after)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                      {entry.details && (
+                        <pre className="text-xs text-gray-700 whitespace-pre-wrap break-all mb-2">
+                          {JSON.stringify(entry.details, null, 2)}
+                        </pre>
+                      )}
+                      <div className="text-xs text-gray-500 space-y-1">
+                        <div>User agent: {formatValue(entry.user_agent)}</div>
+                        {entry.chain_seq && <div>Chain entry {entry.chain_seq}: {entry.entry_hash}</div>}
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!loading && entries.length === 0 && (
+        <p className="text-center text-sm text-gray-500 py-8">No audit entries match this search.</p>
+      )}
+
+      <div className="flex justify-center mt-4">
+        {loading ? (
+          <span className="text-sm text-gray-500">Loading...</span>
+        ) : nextCursor && (
+          <button
+            onClick={() => fetchEntries(appliedFilters, nextCursor)}
+            className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md text-sm hover:bg-gray-50"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditTrailExplorer;
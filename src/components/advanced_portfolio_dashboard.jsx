@@ -12,6 +12,7 @@ import {
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
   ScatterChart, Scatter, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar
 } from 'recharts';
+import { getMaxPortfolioRiskScore } from '../lib/suitability.js';
 
 const AdvancedPortfolioDashboard = () => {
   // State management
@@ -669,6 +670,20 @@ const AdvancedPortfolioDashboard = () => {
 
   const RiskTab = ({ risk, darkMode }) => (
     <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {risk.risk_profile && (
+        <div className={`lg:col-span-3 border rounded-xl p-6 ${
+          Number(risk.risk_score) > getMaxPortfolioRiskScore(risk.risk_profile)
+            ? 'bg-red-50 border-red-300 text-red-800'
+            : 'bg-green-50 border-green-300 text-green-800'
+        }`}>
+          <p className="font-semibold mb-1">Suitability: {risk.risk_profile} profile</p>
+          <p className="text-sm">
+            {Number(risk.risk_score) > getMaxPortfolioRiskScore(risk.risk_profile)
+              ? `Risk score ${Number(risk.risk_score).toFixed(1)}/10 exceeds the ${getMaxPortfolioRiskScore(risk.risk_profile)}/10 maximum for this profile.`
+              : `Risk score is within the ${getMaxPortfolioRiskScore(risk.risk_profile)}/10 maximum for this profile.`}
+          </p>
+        </div>
+      )}
       {[
         { title: 'Beta', value: risk.beta?.toFixed(2) || 'N/A', description: 'Market sensitivity' },
         { title: 'Volatility', value: `${risk.volatility?.toFixed(1) || 0}%`, description: 'Price fluctuation' },
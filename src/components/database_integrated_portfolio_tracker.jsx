@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { getMaxPortfolioRiskScore } from '../lib/suitability.js';
 
 // Database-integrated IBOSS Portfolio Tracker Component
 const DatabaseIntegratedPortfolioTracker = () => {
@@ -375,6 +376,21 @@ const DatabaseIntegratedPortfolioTracker = () => {
             </div>
           </div>
 
+          {/* Suitability: portfolio risk against the profile scored at account opening */}
+          {portfolioData.riskMetrics?.risk_profile && (
+            Number(portfolioData.riskMetrics.risk_score) > getMaxPortfolioRiskScore(portfolioData.riskMetrics.risk_profile) ? (
+              <div className="bg-red-50 border-l-4 border-red-500 text-red-800 p-4 rounded-lg mb-8">
+                Portfolio risk score {portfolioData.riskMetrics.risk_score}/10 is above the maximum of{' '}
+                {getMaxPortfolioRiskScore(portfolioData.riskMetrics.risk_profile)}/10 for your{' '}
+                <strong>{portfolioData.riskMetrics.risk_profile}</strong> risk profile.
+              </div>
+            ) : (
+              <div className="bg-green-50 border-l-4 border-green-500 text-green-800 p-4 rounded-lg mb-8">
+                Portfolio is within your <strong>{portfolioData.riskMetrics.risk_profile}</strong> risk profile.
+              </div>
+            )
+          )}
+
           {/* Risk Metrics Row */}
           {portfolioData.riskMetrics && (
             <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-8">
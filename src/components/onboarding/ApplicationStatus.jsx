@@ -0,0 +1,233 @@
+import React, { useMemo, useState } from 'react';
+import { createTranslator } from '../../lib/i18n.js';
+import { formatDate } from '../../lib/localeFormat.js';
+import { getApplicationStatus, requestStatusCode, uploadRequestedDocument, verifyStatusCode } from '../../lib/onboardingApi.js';
+
+// File types server/app.js accepts for uploads
+const UPLOAD_ACCEPT = '.pdf,.jpg,.jpeg,.png,.gif,.doc,.docx';
+
+const inputClassName = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-700';
+const primaryButtonClassName = 'bg-red-700 text-white px-6 py-2 rounded-full hover:bg-red-800 transition-colors disabled:opacity-50';
+
+// Public status page for a submitted application: the applicant asks for a one-time code with their
+// reference and email, then sees the KYC review status, what the reviewer asked for, and uploads it.
+const ApplicationStatus = ({ language }) => {
+  const t = useMemo(() => createTranslator(language), [language]);
+  const [referenceNumber, setReferenceNumber] = useState('');
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [statusToken, setStatusToken] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [uploading, setUploading] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRequestCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await requestStatusCode(referenceNumber.trim(), email.trim(), t.locale);
+      setCode('');
+      setCodeSent(true);
+    });
+  };
+
+  const handleVerify = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { token } = await verifyStatusCode(referenceNumber.trim(), code.trim());
+      setStatus(await getApplicationStatus(token));
+      setStatusToken(token);
+    });
+  };
+
+  const handleUpload = async (informationRequestId, documentType, event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    setUploading(`${informationRequestId}.${documentType}`);
+    setError(null);
+    try {
+      await uploadRequestedDocument(statusToken, informationRequestId, documentType, file);
+      setStatus(await getApplicationStatus(statusToken));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(null);
+    }
+  };
+
+  const signOut = () => {
+    setStatusToken(null);
+    setStatus(null);
+    setCodeSent(false);
+    setCode('');
+    setError(null);
+  };
+
+  const renderSignIn = () => (
+    <div className="max-w-xl space-y-6">
+      <p className="text-gray-700">{t('status.intro')}</p>
+      {!codeSent ? (
+        <form onSubmit={handleRequestCode} className="space-y-4">
+          <div>
+            <label htmlFor="status-reference" className="block text-sm font-medium text-gray-800 mb-1">{t('status.reference')}</label>
+            <input
+              id="status-reference"
+              required
+              dir="ltr"
+              placeholder="APP-100001"
+              value={referenceNumber}
+              onChange={(e) => setReferenceNumber(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="status-email" className="block text-sm font-medium text-gray-800 mb-1">{t('status.email')}</label>
+            <input
+              id="status-email"
+              type="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <button type="submit" disabled={busy} className={primaryButtonClassName}>
+            {busy ? t('status.sending') : t('status.sendCode')}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleVerify} className="space-y-4">
+          <p className="bg-green-50 border border-green-200 text-green-800 rounded-lg px-4 py-3 text-sm">
+            {t('status.codeSent', { email: email.trim() })}
+          </p>
+          <div>
+            <label htmlFor="status-code" className="block text-sm font-medium text-gray-800 mb-1">{t('status.code')}</label>
+            <input
+              id="status-code"
+              required
+              dir="ltr"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              pattern="\d{6}"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              className={`${inputClassName} font-mono tracking-widest max-w-40`}
+            />
+          </div>
+          <div className="flex flex-wrap items-center gap-4">
+            <button type="submit" disabled={busy} className={primaryButtonClassName}>
+              {busy ? t('status.verifying') : t('status.verify')}
+            </button>
+            <button type="button" disabled={busy} onClick={handleRequestCode} className="text-sm text-red-700 hover:underline">
+              {t('status.resend')}
+            </button>
+            <button type="button" onClick={signOut} className="text-sm text-gray-500 hover:text-gray-800">
+              {t('status.startOver')}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+
+  const renderStatus = () => {
+    const openRequests = status.informationRequests.filter((request) => !request.resolvedAt);
+    const actionRequired = openRequests.some((request) =>
+      request.notes || request.requestedDocuments.some((document) => !document.uploaded));
+    // Open requests are closed when the review ends, so they only ever interrupt a review in progress
+    const kycState = actionRequired ? 'actionRequired' : status.kyc.status;
+
+    return (
+      <div className="space-y-8">
+        <div className="border-s-4 border-red-700 ps-4">
+          <p className="text-sm text-gray-500">
+            {t('status.submitted', { reference: status.referenceNumber, date: formatDate(status.submittedAt, t.locale) })}
+          </p>
+          <p className="text-xl font-semibold text-gray-900 mt-1">{t(`status.kyc.${kycState}`)}</p>
+          <p className="text-gray-700 mt-1">{t(`status.kyc.${kycState}.description`)}</p>
+        </div>
+
+        <section className="space-y-4">
+          <h3 className="text-lg font-semibold text-red-800">{t('status.requestsTitle')}</h3>
+          {openRequests.length === 0 && <p className="text-gray-600">{t('status.noRequests')}</p>}
+          {openRequests.map((request) => (
+            <div key={request.id} className="border border-gray-200 rounded-lg p-4 space-y-3">
+              <p className="text-sm text-gray-500">{t('status.requestedOn', { date: formatDate(request.requestedAt, t.locale) })}</p>
+              {request.notes && <p className="text-gray-800 whitespace-pre-line">{request.notes}</p>}
+              {request.requestedDocuments.length > 0 && (
+                <ul className="divide-y divide-gray-100">
+                  {request.requestedDocuments.map((document) => (
+                    <li key={document.documentType} className="flex items-center justify-between gap-4 py-2">
+                      <span className="text-gray-800">{t(`status.document.${document.documentType}`)}</span>
+                      {document.uploaded ? (
+                        <span className="text-sm text-green-800">✓ {t('status.uploaded')}</span>
+                      ) : (
+                        <label className="inline-block cursor-pointer px-4 py-1 rounded-full border border-red-700 text-red-800 hover:bg-red-50 text-sm">
+                          {uploading === `${request.id}.${document.documentType}` ? t('status.uploading') : t('status.upload')}
+                          <input
+                            type="file"
+                            accept={UPLOAD_ACCEPT}
+                            disabled={uploading !== null}
+                            onChange={(e) => handleUpload(request.id, document.documentType, e)}
+                            className="hidden"
+                          />
+                        </label>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </section>
+
+        <section className="space-y-2">
+          <h3 className="text-lg font-semibold text-red-800">{t('status.documentsTitle')}</h3>
+          {status.documents.length === 0 ? (
+            <p className="text-gray-600">{t('status.noDocuments')}</p>
+          ) : (
+            <ul className="text-gray-700 space-y-1">
+              {status.documents.map((document) => (
+                <li key={document.id} className="flex justify-between gap-4">
+                  <span dir="auto">{document.documentName}</span>
+                  <span className="text-sm text-gray-500">{formatDate(document.uploadedAt, t.locale)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <button type="button" onClick={signOut} className="text-sm text-gray-500 hover:text-gray-800">
+          {t('status.signOut')}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <h2 className="text-3xl font-bold text-red-800 mb-6">{t('status.title')}</h2>
+      {status ? renderStatus() : renderSignIn()}
+      {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+    </div>
+  );
+};
+
+export default ApplicationStatus;
@@ -0,0 +1,150 @@
+import React from 'react';
+import PassportScanInput from './PassportScanInput.jsx';
+import PhoneInput from './PhoneInput.jsx';
+import SearchableSelect from './SearchableSelect.jsx';
+import { getCountryOptions } from '../../lib/countries.js';
+import { getCurrencyOptions } from '../../lib/currencies.js';
+
+const inputClassName = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-700 focus:border-red-700';
+
+// Renders a single field definition from formFields.js (localized by i18n.js: options show their optionLabels).
+// defaultCountry preselects the calling code of "tel" fields (see phoneCountryField).
+// "mrz" fields read the rest of the person's answers from values (defined by fields) and pre-fill them:
+// their onChange gets a third argument, the other fields' new values.
+const FormFieldInput = ({ field, required, value, onChange, error, defaultCountry, values, fields, t }) => {
+  const inputId = `onboarding-${field.name}`;
+  const optionLabel = (option) => (field.optionLabels && field.optionLabels[option]) || option;
+
+  const toggleOption = (option) => {
+    const selected = Array.isArray(value) ? value : [];
+    onChange(
+      field.name,
+      selected.includes(option) ? selected.filter((item) => item !== option) : [...selected, option]
+    );
+  };
+
+  const renderControl = () => {
+    switch (field.type) {
+      case 'select':
+        return (
+          <select
+            id={inputId}
+            value={value || ''}
+            onChange={(e) => onChange(field.name, e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">{t('input.select')}</option>
+            {field.options.map((option) => (
+              <option key={option} value={option}>{optionLabel(option)}</option>
+            ))}
+          </select>
+        );
+
+      case 'country':
+      case 'currency':
+        return (
+          <SearchableSelect
+            id={inputId}
+            options={field.type === 'country' ? getCountryOptions(t.locale) : getCurrencyOptions(t.locale)}
+            value={value || ''}
+            onChange={(code) => onChange(field.name, code)}
+            className={inputClassName}
+            t={t}
+          />
+        );
+
+      case 'tel':
+        return (
+          <PhoneInput
+            id={inputId}
+            value={value || ''}
+            onChange={(phone) => onChange(field.name, phone)}
+            defaultCountry={defaultCountry}
+            className={inputClassName}
+            t={t}
+          />
+        );
+
+      case 'mrz':
+        return (
+          <PassportScanInput
+            id={inputId}
+            value={value || ''}
+            onChange={(zone, filled) => onChange(field.name, zone, filled)}
+            values={values}
+            fields={fields}
+            className={inputClassName}
+            t={t}
+          />
+        );
+
+      case 'radio':
+        return (
+          <div className="space-y-2">
+            {field.options.map((option) => (
+              <label key={option} className="flex items-start space-x-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name={inputId}
+                  value={option}
+                  checked={value === option}
+                  onChange={() => onChange(field.name, option)}
+                  className="mt-1 accent-red-700"
+                />
+                <span className="text-sm text-gray-700">{optionLabel(option)}</span>
+              </label>
+            ))}
+          </div>
+        );
+
+      case 'checkbox':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {field.options.map((option) => (
+              <label key={option} className="flex items-start space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={Array.isArray(value) && value.includes(option)}
+                  onChange={() => toggleOption(option)}
+                  className="mt-1 accent-red-700"
+                />
+                <span className="text-sm text-gray-700">{optionLabel(option)}</span>
+              </label>
+            ))}
+          </div>
+        );
+
+      default:
+        // text, date, email and url map straight onto native inputs
+        return (
+          <input
+            id={inputId}
+            type={field.type}
+            value={value || ''}
+            onChange={(e) => onChange(field.name, e.target.value)}
+            className={inputClassName}
+          />
+        );
+    }
+  };
+
+  const isGroup = field.type === 'radio' || field.type === 'checkbox';
+
+  return (
+    <div className={isGroup || field.type === 'mrz' ? 'md:col-span-2' : ''}>
+      {isGroup ? (
+        <p className="block text-sm font-medium text-gray-700 mb-2">
+          {field.label}{required && <span className="text-red-700"> *</span>}
+        </p>
+      ) : (
+        <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-1">
+          {field.label}{required && <span className="text-red-700"> *</span>}
+        </label>
+      )}
+      {renderControl()}
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default FormFieldInput;
@@ -0,0 +1,418 @@
+import React, { useMemo, useState } from 'react';
+import FormFieldInput from './FormFieldInput.jsx';
+import PartyGroupInput from './PartyGroupInput.jsx';
+import ReviewStep from './ReviewStep.jsx';
+import SaveProgressPanel from './SaveProgressPanel.jsx';
+import SignatureStep from './SignatureStep.jsx';
+import SubmissionInstructions from './SubmissionInstructions.jsx';
+import { getVisibleFields, isFieldRequired, isRepeatableField, validateForm, validateStep } from '../../lib/formValidation.js';
+import { createTranslator, getValidationMessages, localizeInstructions, localizeSteps } from '../../lib/i18n.js';
+import { createApplication, downloadApplicationPdf, downloadTaxForm, saveApplicationStep, submitApplication } from '../../lib/onboardingApi.js';
+import { getSignatories } from '../../lib/signatories.js';
+import { getTaxFormType } from '../../lib/taxClassification.js';
+import { getWizardPages } from '../../lib/wizardPages.js';
+
+const panelPromptKeys = {
+  save: 'save.promptSave',
+  submit: 'save.promptSubmit'
+};
+
+// signatories.js labels signers in English; party signers take the localized item label of their list instead
+const localizeSignatory = (signatory, steps, t) => {
+  if (signatory.role === 'primary') {
+    return { ...signatory, label: t('signature.primaryClient') };
+  }
+  const party = steps.flatMap((step) => step.fields).find((field) => field.name === signatory.party.name);
+  return { ...signatory, label: `${party.itemLabel} ${signatory.party.index + 1}` };
+};
+
+// Schema-driven account opening wizard: one page per formFields.js step,
+// followed by review, signing and the submission instructions.
+// Once a draft exists on the server (see onboardingApi.js) every completed step is saved to it.
+// Signatures are never saved with a draft: they are sent once, with the final submission.
+// All text, including the schema's, is shown in `language` (see i18n.js); stored values stay English.
+const OnboardingWizard = ({ accountType, language, currentStep, onStepChange, formData, onFormDataChange, draft, onDraftChange, onExit }) => {
+  const [errors, setErrors] = useState({});
+  const [panel, setPanel] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [apiError, setApiError] = useState(null);
+  const [signatures, setSignatures] = useState({});
+  const [signatureErrors, setSignatureErrors] = useState({});
+
+  const t = useMemo(() => createTranslator(language), [language]);
+  const steps = useMemo(() => localizeSteps(accountType, t), [accountType, t]);
+  const validationOptions = useMemo(() => ({ messages: getValidationMessages(t) }), [t]);
+  const { review: reviewStep, signature: signatureStep, instructions: instructionsStep } = getWizardPages(steps);
+  const activeStep = steps.find((step) => step.step === currentStep);
+  const signatories = getSignatories(accountType, formData).map((signatory) => localizeSignatory(signatory, steps, t));
+
+  // filled: other fields set along with this one (a passport MRZ pre-filling the identity fields)
+  const handleFieldChange = (name, value, filled = {}) => {
+    const names = [name, ...Object.keys(filled)];
+    onFormDataChange((prev) => ({ ...prev, ...filled, [name]: value }));
+    setSignatures({});
+    // Party lists also clear their per-person errors ("<party>.<index>.<field>")
+    setErrors((prev) => {
+      const next = { ...prev };
+      Object.keys(next)
+        .filter((key) => names.some((changed) => key === changed || key.startsWith(`${changed}.`)))
+        .forEach((key) => delete next[key]);
+      return next;
+    });
+  };
+
+  const checkStep = (step) => {
+    const stepErrors = validateStep(step, formData, validationOptions);
+    setErrors(stepErrors);
+    return Object.keys(stepErrors).length === 0;
+  };
+
+  // Signatures only stay valid for the answers they were given on
+  const goToStep = (step) => {
+    if (currentStep === signatureStep && step !== signatureStep) {
+      setSignatures({});
+      setSignatureErrors({});
+    }
+    onStepChange(step);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const showStepErrors = (stepErrors) => {
+    const firstInvalidStep = Math.min(...Object.keys(stepErrors).map(Number));
+    goToStep(firstInvalidStep);
+    setErrors(stepErrors[firstInvalidStep]);
+  };
+
+  const persistStep = async (step) => {
+    if (!draft) {
+      return;
+    }
+    const stepData = {};
+    step.fields.forEach((field) => {
+      if (formData[field.name] !== undefined) {
+        stepData[field.name] = formData[field.name];
+      }
+    });
+
+    try {
+      const { application } = await saveApplicationStep(draft.id, step.step, stepData, draft.resumeToken);
+      onDraftChange((prev) => ({ ...prev, lastSavedAt: application.lastSavedAt }));
+      setApiError(null);
+    } catch (error) {
+      setApiError(t('wizard.saveFailed', { error: error.message }));
+    }
+  };
+
+  const sendApplication = async (target) => {
+    setSaving(true);
+    setApiError(null);
+    try {
+      const signed = signatories.map((signatory) => ({ role: signatory.role, ...signatures[signatory.role] }));
+      const { application } = await submitApplication(target.id, formData, signed, target.resumeToken, t.locale);
+      onDraftChange({
+        ...target,
+        status: application.status,
+        referenceNumber: application.referenceNumber,
+        taxFormType: application.taxFormType
+      });
+      setPanel(null);
+      goToStep(instructionsStep);
+    } catch (error) {
+      if (error.details.stepErrors) {
+        showStepErrors(error.details.stepErrors);
+      }
+      if (error.details.signatureErrors) {
+        setSignatureErrors(error.details.signatureErrors);
+      }
+      setApiError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePanelSave = async (email) => {
+    setSaving(true);
+    setApiError(null);
+    let created;
+    try {
+      const { application, resumeToken, resumeUrl } = await createApplication(accountType, email, formData);
+      created = { id: application.id, referenceNumber: application.referenceNumber, status: application.status, resumeToken, resumeUrl };
+      onDraftChange(created);
+    } catch (error) {
+      setApiError(error.message);
+      return;
+    } finally {
+      setSaving(false);
+    }
+
+    if (panel === 'submit') {
+      await sendApplication(created);
+    }
+  };
+
+  const saveDownload = async (download, fileName) => {
+    try {
+      const blob = await download(draft.id, draft.resumeToken);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setApiError(error.message);
+    }
+  };
+
+  const handleDownloadPdf = () => saveDownload(downloadApplicationPdf, `${draft.referenceNumber}-application-form.pdf`);
+
+  const handleDownloadTaxForm = () => saveDownload(downloadTaxForm, `${draft.referenceNumber}-${draft.taxFormType}.pdf`);
+
+  const handleSaveForLater = () => {
+    if (activeStep) {
+      persistStep(activeStep);
+    }
+    setPanel('save');
+  };
+
+  const handleNext = () => {
+    if (activeStep && !checkStep(activeStep)) {
+      return;
+    }
+    persistStep(activeStep);
+    goToStep(currentStep + 1);
+  };
+
+  const handleBack = () => {
+    setErrors({});
+    if (currentStep > 1) {
+      goToStep(currentStep - 1);
+    } else {
+      onExit();
+    }
+  };
+
+  const handleSignatureChange = (role, signature) => {
+    setSignatures((prev) => ({ ...prev, [role]: signature }));
+    setSignatureErrors((prev) => {
+      const next = { ...prev };
+      delete next[role];
+      return next;
+    });
+  };
+
+  const handleContinueToSign = () => {
+    const { valid, stepErrors } = validateForm(steps, formData, validationOptions);
+    if (!valid) {
+      showStepErrors(stepErrors);
+      return;
+    }
+    goToStep(signatureStep);
+  };
+
+  const handleSubmit = () => {
+    const missing = {};
+    signatories.forEach((signatory) => {
+      const signature = signatures[signatory.role] || {};
+      if (!signature.image) {
+        missing[signatory.role] = t('signature.missing', { signer: signatory.label });
+      } else if (!signature.consent) {
+        missing[signatory.role] = t('signature.consentMissing');
+      }
+    });
+    setSignatureErrors(missing);
+    if (Object.keys(missing).length > 0) {
+      return;
+    }
+
+    if (draft) {
+      sendApplication(draft);
+    } else {
+      setPanel('submit');
+    }
+  };
+
+  const progress = Math.round((Math.min(currentStep, signatureStep) / signatureStep) * 100);
+  const pageTitles = {
+    [reviewStep]: t('wizard.reviewTitle'),
+    [signatureStep]: t('wizard.signTitle'),
+    [instructionsStep]: t('wizard.submitTitle')
+  };
+  const stepTitle = activeStep ? activeStep.title : pageTitles[currentStep];
+  const taxFormType = activeStep && activeStep.fields.some((field) => field.name === 'usPersonStatus')
+    ? getTaxFormType(accountType, formData)
+    : null;
+
+  return (
+    <div className="container mx-auto px-4 py-12 max-w-4xl">
+      <div className="mb-8">
+        <h2 className="text-3xl font-bold text-gray-900">
+          {t(`wizard.title.${accountType}`)}
+        </h2>
+        {currentStep <= signatureStep && (
+          <>
+            <div className="flex justify-between text-sm text-gray-600 mt-4 mb-2">
+              <span>{t('wizard.progress', { step: currentStep, total: signatureStep, title: stepTitle })}</span>
+              <span>{progress}%</span>
+            </div>
+            <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+              <div className="h-full bg-red-700 transition-all" style={{ width: `${progress}%` }} />
+            </div>
+            <ol className="hidden md:flex justify-between mt-4">
+              {[...steps, { step: reviewStep, title: t('wizard.reviewStep') }, { step: signatureStep, title: t('wizard.signStep') }].map((step) => (
+                <li key={step.step}>
+                  <button
+                    type="button"
+                    disabled={step.step > currentStep}
+                    onClick={() => goToStep(step.step)}
+                    className={`h-8 w-8 rounded-full text-sm font-semibold ${
+                      step.step === currentStep
+                        ? 'bg-red-700 text-white'
+                        : step.step < currentStep
+                        ? 'bg-red-100 text-red-800 hover:bg-red-200'
+                        : 'bg-gray-100 text-gray-400'
+                    }`}
+                    title={step.title}
+                  >
+                    {step.step}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 md:p-8">
+        {panel && currentStep <= signatureStep && (
+          <SaveProgressPanel
+            resumeUrl={panel === 'save' && draft ? draft.resumeUrl : null}
+            defaultEmail={formData.email}
+            prompt={t(panelPromptKeys[panel])}
+            saving={saving}
+            error={apiError}
+            onSave={handlePanelSave}
+            onClose={() => setPanel(null)}
+            t={t}
+          />
+        )}
+        {apiError && !panel && <p className="text-sm text-red-600 mb-6">{apiError}</p>}
+
+        {activeStep && (
+          <>
+            <h3 className="text-xl font-semibold text-gray-800 mb-6">{activeStep.title}</h3>
+            {taxFormType && (
+              <p className="bg-gray-50 border border-gray-200 text-gray-700 rounded-lg px-4 py-3 mb-6 text-sm">
+                {t('wizard.taxFormNotice', { form: taxFormType })}
+              </p>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {getVisibleFields(activeStep, formData).map((field) => (
+                isRepeatableField(field) ? (
+                  <PartyGroupInput
+                    key={field.name}
+                    field={field}
+                    value={formData[field.name]}
+                    onChange={handleFieldChange}
+                    errors={errors}
+                    t={t}
+                  />
+                ) : (
+                  <FormFieldInput
+                    key={field.name}
+                    field={field}
+                    required={isFieldRequired(field, formData)}
+                    value={formData[field.name]}
+                    onChange={handleFieldChange}
+                    error={errors[field.name]}
+                    defaultCountry={field.phoneCountryField && formData[field.phoneCountryField]}
+                    values={formData}
+                    fields={activeStep.fields}
+                    t={t}
+                  />
+                )
+              ))}
+            </div>
+          </>
+        )}
+
+        {currentStep === reviewStep && (
+          <ReviewStep steps={steps} formData={formData} onEditStep={goToStep} t={t} />
+        )}
+
+        {currentStep === signatureStep && (
+          <SignatureStep
+            signatories={signatories}
+            signatures={signatures}
+            onSignatureChange={handleSignatureChange}
+            errors={signatureErrors}
+            t={t}
+          />
+        )}
+
+        {currentStep === instructionsStep && (
+          <SubmissionInstructions
+            instructions={localizeInstructions(accountType, t)}
+            referenceNumber={draft && draft.referenceNumber}
+            onDownloadPdf={draft && draft.status === 'submitted' ? handleDownloadPdf : null}
+            taxFormType={draft && draft.status === 'submitted' ? draft.taxFormType : null}
+            onDownloadTaxForm={handleDownloadTaxForm}
+            onFinish={onExit}
+            t={t}
+          />
+        )}
+
+        {currentStep <= signatureStep && (
+          <div className="flex justify-between mt-8 pt-6 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={handleBack}
+              className="px-6 py-2 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              {currentStep > 1 ? t('wizard.back') : t('wizard.cancel')}
+            </button>
+            <div className="flex items-center space-x-3">
+              <button
+                type="button"
+                onClick={handleSaveForLater}
+                className="px-6 py-2 rounded-full border border-red-700 text-red-800 hover:bg-red-50"
+              >
+                {t('wizard.saveForLater')}
+              </button>
+              {currentStep < reviewStep && (
+                <button
+                  type="button"
+                  onClick={handleNext}
+                  className="bg-red-700 text-white px-6 py-2 rounded-full hover:bg-red-800 transition-colors"
+                >
+                  {t('wizard.next')}
+                </button>
+              )}
+              {currentStep === reviewStep && (
+                <button
+                  type="button"
+                  onClick={handleContinueToSign}
+                  className="bg-red-700 text-white px-6 py-2 rounded-full hover:bg-red-800 transition-colors"
+                >
+                  {t('wizard.continueToSign')}
+                </button>
+              )}
+              {currentStep === signatureStep && (
+                <button
+                  type="button"
+                  onClick={handleSubmit}
+                  disabled={saving}
+                  className="bg-red-700 text-white px-6 py-2 rounded-full hover:bg-red-800 transition-colors disabled:opacity-50"
+                >
+                  {saving ? t('wizard.submitting') : t('wizard.submit')}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OnboardingWizard;
@@ -0,0 +1,86 @@
+import React from 'react';
+import FormFieldInput from './FormFieldInput.jsx';
+import { getPartyItemKey, isFieldRequired, isFieldVisible } from '../../lib/formValidation.js';
+
+// Add/remove list for a repeatable field: "party" fields (joint holders, beneficial owners, directors,
+// signatories) and "group" fields (tax residencies)
+const PartyGroupInput = ({ field, value, onChange, errors, t }) => {
+  const items = Array.isArray(value) ? value : [];
+  // Mandatory lists start with their minimum number of blank entries
+  const rows = items.length > 0 ? items : Array.from({ length: field.minItems || 0 }, () => ({}));
+  const canAdd = !field.maxItems || rows.length < field.maxItems;
+
+  const updateItem = (index, changes) => {
+    onChange(field.name, rows.map((item, position) => (position === index ? { ...item, ...changes } : item)));
+  };
+
+  const addItem = () => onChange(field.name, [...rows, {}]);
+
+  const removeItem = (index) => onChange(field.name, rows.filter((item, position) => position !== index));
+
+  const ownershipTotal = field.ownership
+    ? rows.reduce((sum, item) => sum + (Number(item[field.ownership.field]) || 0), 0)
+    : null;
+  const [ownershipBefore, ownershipAfter] = field.ownership
+    ? t('party.ownership', { minTotal: field.ownership.minTotal }).split('{total}')
+    : [];
+
+  return (
+    <div className="md:col-span-2 space-y-4">
+      {rows.length === 0 && (
+        <p className="text-sm text-gray-500">{t('party.none', { label: field.label.toLowerCase() })}</p>
+      )}
+
+      {rows.map((item, index) => (
+        <div key={index} className="border border-gray-200 rounded-lg p-4">
+          <div className="flex justify-between items-center mb-4">
+            <h4 className="font-semibold text-gray-800">
+              {field.itemLabel} {index + 1}
+            </h4>
+            <button
+              type="button"
+              onClick={() => removeItem(index)}
+              className="text-sm text-red-700 hover:text-red-900 font-medium"
+            >
+              {t('party.remove')}
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {field.fields.filter((subField) => isFieldVisible(subField, item)).map((subField) => (
+              <FormFieldInput
+                key={subField.name}
+                field={{ ...subField, name: getPartyItemKey(field, index, subField) }}
+                required={isFieldRequired(subField, item)}
+                value={item[subField.name]}
+                onChange={(name, itemValue, filled) => updateItem(index, { ...filled, [subField.name]: itemValue })}
+                error={errors[getPartyItemKey(field, index, subField)]}
+                values={item}
+                fields={field.fields}
+                t={t}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex justify-between items-center">
+        <button
+          type="button"
+          onClick={addItem}
+          disabled={!canAdd}
+          className="px-4 py-2 rounded-full border border-red-700 text-red-800 hover:bg-red-50 disabled:opacity-50"
+        >
+          {t('party.add', { item: field.itemLabel })}
+        </button>
+        {ownershipTotal !== null && (
+          <span className="text-sm text-gray-700">
+            {ownershipBefore}<strong>{Math.round(ownershipTotal * 100) / 100}%</strong>{ownershipAfter}
+          </span>
+        )}
+      </div>
+      {errors[field.name] && <p className="text-sm text-red-600">{errors[field.name]}</p>}
+    </div>
+  );
+};
+
+export default PartyGroupInput;
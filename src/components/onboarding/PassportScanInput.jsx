@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { readDocumentText } from '../../lib/documentText.js';
+import { formatFieldValue } from '../../lib/fieldFormatting.js';
+import { isEmptyValue } from '../../lib/formValidation.js';
+import { formatDate } from '../../lib/localeFormat.js';
+import { compareWithMrz, formatMrz, getMrzPersonValues, parseMrz } from '../../lib/mrz.js';
+
+// A passport's machine-readable zone, uploaded or typed (see mrz.js).
+// A zone that passes its check digits also fills in the person's empty fields: onChange(zone, filled) gets
+// them as { name: value }. Fields the applicant already typed are left alone and listed when they differ
+// from the passport. values are the person's answers and fields the field definitions they belong to.
+const PassportScanInput = ({ id, value, onChange, values, fields, className, t }) => {
+  const [reading, setReading] = useState(false);
+  const [readError, setReadError] = useState(null);
+  const mrz = parseMrz(value);
+  const fieldsByName = Object.fromEntries(fields.map((field) => [field.name, field]));
+
+  const applyText = (text) => {
+    const parsed = parseMrz(text);
+    if (!parsed || !parsed.valid) {
+      onChange(parsed ? formatMrz(parsed) : text, {});
+      return;
+    }
+    const missing = Object.entries(getMrzPersonValues(parsed))
+      .filter(([name]) => fieldsByName[name] && isEmptyValue(values[name]));
+    onChange(formatMrz(parsed), Object.fromEntries(missing));
+  };
+
+  const handleFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    setReading(true);
+    setReadError(null);
+    try {
+      const text = await readDocumentText(file);
+      if (parseMrz(text)) {
+        applyText(text);
+      } else {
+        setReadError(t('mrz.notFound', { file: file.name }));
+      }
+    } catch {
+      setReadError(t('mrz.notFound', { file: file.name }));
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const displayValue = (name, fieldValue) =>
+    fieldsByName[name] ? formatFieldValue(fieldsByName[name], fieldValue, t.locale) : fieldValue;
+  const failedChecks = mrz ? Object.keys(mrz.checks).filter((check) => !mrz.checks[check]) : [];
+  const mismatches = mrz && mrz.valid ? compareWithMrz(mrz, values) : [];
+  const expired = mrz && mrz.valid && mrz.expiryDate && mrz.expiryDate < new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-gray-500">{t('mrz.hint')}</p>
+      <label className="inline-block cursor-pointer px-4 py-2 rounded-full border border-red-700 text-red-800 hover:bg-red-50 text-sm">
+        {reading ? t('mrz.reading') : t('mrz.upload')}
+        <input type="file" accept="application/pdf,image/*,text/plain" onChange={handleFile} disabled={reading} className="hidden" />
+      </label>
+      <textarea
+        id={id}
+        rows={2}
+        dir="ltr"
+        spellCheck={false}
+        value={value || ''}
+        onChange={(e) => applyText(e.target.value)}
+        className={`${className} font-mono text-sm uppercase`}
+      />
+      {readError && <p className="text-sm text-red-600">{readError}</p>}
+      {failedChecks.length > 0 && (
+        <p className="text-sm text-red-600">
+          {t('mrz.checkFailed', { parts: failedChecks.map((check) => t(`mrz.check.${check}`)).join(', ') })}
+        </p>
+      )}
+      {mrz && mrz.valid && (
+        <p className="text-sm text-green-800">
+          {t('mrz.verified', { number: mrz.passportNumber, name: [mrz.givenNames, mrz.surname].filter(Boolean).join(' ') })}
+        </p>
+      )}
+      {expired && (
+        <p className="text-sm text-red-600">{t('mrz.expired', { date: formatDate(mrz.expiryDate, t.locale) })}</p>
+      )}
+      {mismatches.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-900 rounded-lg px-4 py-3 text-sm">
+          <p className="font-medium">{t('mrz.mismatchIntro')}</p>
+          <ul className="list-disc ps-5 mt-1">
+            {mismatches.map((mismatch) => (
+              <li key={mismatch.name}>
+                {t('mrz.mismatch', {
+                  label: fieldsByName[mismatch.name].label,
+                  entered: displayValue(mismatch.name, mismatch.entered),
+                  passport: displayValue(mismatch.name, mismatch.passport)
+                })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PassportScanInput;
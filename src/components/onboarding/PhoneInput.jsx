@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import SearchableSelect from './SearchableSelect.jsx';
+import { countries, getCountryName } from '../../lib/countries.js';
+import { normalizePhoneNumber, parsePhoneNumber } from '../../lib/phoneNumbers.js';
+
+const optionsByLocale = new Map();
+
+const getCallingCodeOptions = (locale) => {
+  if (!optionsByLocale.has(locale)) {
+    optionsByLocale.set(locale, countries.map((country) => ({
+      value: country.code,
+      label: `${getCountryName(country.code, locale)} (+${country.callingCode})`
+    })));
+  }
+  return optionsByLocale.get(locale);
+};
+
+// Country calling code plus national number; reports the E.164 form ("+13459490000") to onChange.
+// defaultCountry (an ISO code, usually the applicant's address country) preselects the calling code.
+const PhoneInput = ({ id, value, onChange, defaultCountry, className, t }) => {
+  const parsed = parsePhoneNumber(value);
+  const [countryCode, setCountryCode] = useState(parsed ? parsed.country.code : null);
+  const [number, setNumber] = useState(parsed ? parsed.nationalNumber : value || '');
+
+  const activeCountry = countryCode || defaultCountry || '';
+
+  const update = (nextCountry, nextNumber) => {
+    onChange(nextNumber.trim() ? normalizePhoneNumber(nextNumber, nextCountry) : '');
+  };
+
+  return (
+    <div className="grid grid-cols-5 gap-2">
+      <div className="col-span-2">
+        <SearchableSelect
+          id={`${id}-country`}
+          options={getCallingCodeOptions(t.locale)}
+          value={activeCountry}
+          onChange={(code) => {
+            setCountryCode(code);
+            update(code, number);
+          }}
+          className={className}
+          placeholder={t('input.countryCode')}
+          t={t}
+        />
+      </div>
+      <input
+        id={id}
+        type="tel"
+        inputMode="tel"
+        autoComplete="tel"
+        value={number}
+        onChange={(e) => {
+          setNumber(e.target.value);
+          update(activeCountry, e.target.value);
+        }}
+        className={`col-span-3 ${className}`}
+      />
+    </div>
+  );
+};
+
+export default PhoneInput;
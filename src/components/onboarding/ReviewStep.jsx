@@ -0,0 +1,61 @@
+import React from 'react';
+import { formatFieldValue } from '../../lib/fieldFormatting.js';
+import { getVisibleFields, isFieldVisible, isRepeatableField } from '../../lib/formValidation.js';
+
+const formatValue = (field, value, locale) => formatFieldValue(field, value, locale) || '—';
+
+const PartySummary = ({ field, items, locale }) => (
+  <div className="md:col-span-2">
+    <dt className="text-xs uppercase tracking-wide text-gray-500 mb-2">{field.label}</dt>
+    {items.length === 0 && <dd className="text-sm text-gray-900">—</dd>}
+    {items.map((item, index) => (
+      <dd key={index} className="border-s-2 border-red-200 ps-3 mb-3">
+        <p className="text-sm font-semibold text-gray-800 mb-1">{field.itemLabel} {index + 1}</p>
+        <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+          {field.fields.filter((subField) => isFieldVisible(subField, item)).map((subField) => (
+            <div key={subField.name}>
+              <dt className="text-xs text-gray-500">{subField.label}</dt>
+              <dd className="text-sm text-gray-900">{formatValue(subField, item[subField.name], locale)}</dd>
+            </div>
+          ))}
+        </dl>
+      </dd>
+    ))}
+  </div>
+);
+
+// Read-only summary of every step so the applicant can check their answers before submitting
+const ReviewStep = ({ steps, formData, onEditStep, t }) => (
+  <div className="space-y-6">
+    {steps.map((step) => (
+      <div key={step.step} className="border border-gray-200 rounded-lg">
+        <div className="flex justify-between items-center bg-gray-50 px-4 py-3 rounded-t-lg">
+          <h3 className="font-semibold text-gray-800">
+            {t('review.step', { step: step.step, title: step.title })}
+          </h3>
+          <button
+            type="button"
+            onClick={() => onEditStep(step.step)}
+            className="text-sm text-red-700 hover:text-red-900 font-medium"
+          >
+            {t('review.edit')}
+          </button>
+        </div>
+        <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3 px-4 py-4">
+          {getVisibleFields(step, formData).map((field) => (
+            isRepeatableField(field) ? (
+              <PartySummary key={field.name} field={field} items={formData[field.name] || []} locale={t.locale} />
+            ) : (
+              <div key={field.name}>
+                <dt className="text-xs uppercase tracking-wide text-gray-500">{field.label}</dt>
+                <dd className="text-sm text-gray-900">{formatValue(field, formData[field.name], t.locale)}</dd>
+              </div>
+            )
+          ))}
+        </dl>
+      </div>
+    ))}
+  </div>
+);
+
+export default ReviewStep;
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+
+// Asks for an email address before the first save, then shows the resume link for the draft
+const SaveProgressPanel = ({ resumeUrl, defaultEmail, prompt, saving, error, onSave, onClose, t }) => {
+  const [email, setEmail] = useState(defaultEmail || '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(email.trim());
+  };
+
+  return (
+    <div className="border border-red-200 bg-red-50 rounded-lg p-4 mb-6">
+      {resumeUrl ? (
+        <>
+          <p className="text-sm text-gray-800 font-medium mb-2">{t('save.saved')}</p>
+          <input
+            readOnly
+            value={resumeUrl}
+            onFocus={(e) => e.target.select()}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm bg-white"
+          />
+        </>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label htmlFor="onboarding-save-email" className="block text-sm font-medium text-gray-800">
+            {prompt}
+          </label>
+          <div className="flex flex-col md:flex-row gap-3">
+            <input
+              id="onboarding-save-email"
+              type="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-700"
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-red-700 text-white px-6 py-2 rounded-full hover:bg-red-800 transition-colors disabled:opacity-50"
+            >
+              {saving ? t('save.saving') : t('save.continue')}
+            </button>
+          </div>
+        </form>
+      )}
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      <button type="button" onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800 mt-3">
+        {t('save.close')}
+      </button>
+    </div>
+  );
+};
+
+export default SaveProgressPanel;
@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+
+// Accent- and case-insensitive, so "cote" finds "Côte d'Ivoire"
+const normalizeSearch = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Type-to-filter dropdown for long option lists (countries, currencies).
+// options: [{ value, label }]; the stored value is the option's value, the input shows its label.
+const SearchableSelect = ({ id, options, value, onChange, className, placeholder, t }) => {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const selected = options.find((option) => option.value === value);
+  const matches = useMemo(() => {
+    const search = normalizeSearch(query.trim());
+    if (!search) {
+      return options;
+    }
+    return options.filter((option) =>
+      normalizeSearch(option.label).includes(search) || normalizeSearch(option.value) === search);
+  }, [options, query]);
+
+  const listId = `${id}-options`;
+
+  const openList = () => {
+    setQuery('');
+    setHighlighted(0);
+    setOpen(true);
+  };
+
+  const choose = (option) => {
+    onChange(option.value);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      if (!open) {
+        openList();
+      } else {
+        setHighlighted((index) => Math.min(index + 1, matches.length - 1));
+      }
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((index) => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && open) {
+      e.preventDefault();
+      if (matches[highlighted]) {
+        choose(matches[highlighted]);
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        type="text"
+        role="combobox"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={open && matches[highlighted] ? `${listId}-${matches[highlighted].value}` : undefined}
+        autoComplete="off"
+        value={open ? query : (selected ? selected.label : value || '')}
+        placeholder={open ? placeholder || t('input.search') : t('input.select')}
+        onFocus={openList}
+        onBlur={() => setOpen(false)}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setHighlighted(0);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        className={className}
+      />
+      {open && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute z-20 mt-1 w-full max-h-60 overflow-auto bg-white border border-gray-300 rounded-md shadow-lg"
+        >
+          {matches.length === 0 && <li className="px-3 py-2 text-sm text-gray-500">{t('input.noMatches')}</li>}
+          {matches.map((option, index) => (
+            <li
+              key={option.value}
+              id={`${listId}-${option.value}`}
+              role="option"
+              aria-selected={option.value === value}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(option);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`px-3 py-2 text-sm cursor-pointer ${
+                index === highlighted ? 'bg-red-50 text-red-900' : 'text-gray-700'
+              } ${option.value === value ? 'font-semibold' : ''}`}
+            >
+              {option.label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchableSelect;
@@ -0,0 +1,146 @@
+import React, { useRef } from 'react';
+
+const CANVAS_WIDTH = 600;
+const CANVAS_HEIGHT = 160;
+const TYPED_SIGNATURE_FONT = 'italic 48px "Brush Script MT", "Segoe Script", cursive';
+
+// Typed signatures are rendered to an image too, so every signature is stored and printed the same way
+const renderTypedSignature = (name) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = CANVAS_HEIGHT;
+  const context = canvas.getContext('2d');
+  context.font = TYPED_SIGNATURE_FONT;
+  context.fillStyle = '#111827';
+  context.textBaseline = 'middle';
+  context.fillText(name, 20, CANVAS_HEIGHT / 2, CANVAS_WIDTH - 40);
+  return canvas.toDataURL('image/png');
+};
+
+// Drawn or typed signature for one signatory.
+// value: { method: 'drawn' | 'typed', image, typedName, consent }
+const SignaturePad = ({ signatory, value = {}, onChange, error, t }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const method = value.method || 'drawn';
+
+  const update = (changes) => onChange(signatory.role, { ...value, method, ...changes });
+
+  const getPoint = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(event);
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.strokeStyle = '#111827';
+    context.beginPath();
+    context.moveTo(x, y);
+    drawingRef.current = true;
+    canvasRef.current.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) {
+      return;
+    }
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(event);
+    context.lineTo(x, y);
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) {
+      return;
+    }
+    drawingRef.current = false;
+    update({ image: canvasRef.current.toDataURL('image/png') });
+  };
+
+  const clearDrawing = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    update({ image: null });
+  };
+
+  const switchMethod = (nextMethod) => {
+    onChange(signatory.role, { method: nextMethod, image: null, typedName: '', consent: value.consent });
+  };
+
+  const handleTypedName = (typedName) => {
+    update({ typedName, image: typedName.trim() ? renderTypedSignature(typedName.trim()) : null });
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-3">
+        <div>
+          <p className="font-semibold text-gray-800">{signatory.name}</p>
+          <p className="text-xs uppercase tracking-wide text-gray-500">{signatory.label}</p>
+        </div>
+        <div className="flex text-sm border border-gray-300 rounded-full overflow-hidden">
+          {['drawn', 'typed'].map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => switchMethod(option)}
+              className={`px-4 py-1 ${method === option ? 'bg-red-700 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+            >
+              {option === 'drawn' ? t('signature.draw') : t('signature.type')}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {method === 'drawn' ? (
+        <div>
+          <canvas
+            ref={canvasRef}
+            width={CANVAS_WIDTH}
+            height={CANVAS_HEIGHT}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+            className="w-full h-40 border border-dashed border-gray-400 rounded-md bg-white touch-none cursor-crosshair"
+          />
+          <button type="button" onClick={clearDrawing} className="text-sm text-red-700 hover:text-red-900 mt-2">
+            {t('signature.clear')}
+          </button>
+        </div>
+      ) : (
+        <div>
+          <input
+            type="text"
+            value={value.typedName || ''}
+            onChange={(e) => handleTypedName(e.target.value)}
+            placeholder={signatory.name}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-700"
+          />
+          {value.image && <img src={value.image} alt={t('signature.imageAlt', { name: signatory.name })} className="h-20 mt-2" />}
+        </div>
+      )}
+
+      <label className="flex items-start space-x-2 mt-4 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={value.consent === true}
+          onChange={(e) => update({ consent: e.target.checked })}
+          className="mt-1 accent-red-700"
+        />
+        <span className="text-sm text-gray-700">{t('signature.consent')}</span>
+      </label>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default SignaturePad;
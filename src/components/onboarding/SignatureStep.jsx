@@ -0,0 +1,21 @@
+import React from 'react';
+import SignaturePad from './SignaturePad.jsx';
+
+// Everyone named on the application signs here, after reviewing it
+const SignatureStep = ({ signatories, signatures, onSignatureChange, errors, t }) => (
+  <div className="space-y-6">
+    <p className="text-gray-700">{t('signature.intro')}</p>
+    {signatories.map((signatory) => (
+      <SignaturePad
+        key={signatory.role}
+        signatory={signatory}
+        value={signatures[signatory.role]}
+        onChange={onSignatureChange}
+        error={errors[signatory.role]}
+        t={t}
+      />
+    ))}
+  </div>
+);
+
+export default SignatureStep;
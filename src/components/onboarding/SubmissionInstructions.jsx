@@ -0,0 +1,72 @@
+import React from 'react';
+
+// Final screen: the formSubmissionInstructions entry for the chosen account type
+const SubmissionInstructions = ({ instructions, referenceNumber, onDownloadPdf, taxFormType, onDownloadTaxForm, onFinish, t }) => {
+  const [receivedBefore, receivedAfter] = t('submission.received').split('{reference}');
+
+  return (
+    <div className="space-y-6">
+      <h3 className="text-2xl font-semibold text-gray-900">{instructions.title}</h3>
+
+      {referenceNumber && (
+        <p className="bg-green-50 border border-green-200 text-green-800 rounded-lg px-4 py-3">
+          {receivedBefore}<strong>{referenceNumber}</strong>{receivedAfter}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-4">
+        {onDownloadPdf && (
+          <button
+            type="button"
+            onClick={onDownloadPdf}
+            className="px-6 py-2 rounded-full border border-red-700 text-red-800 hover:bg-red-50"
+          >
+            {t('submission.downloadApplication')}
+          </button>
+        )}
+
+        {taxFormType && (
+          <button
+            type="button"
+            onClick={onDownloadTaxForm}
+            className="px-6 py-2 rounded-full border border-red-700 text-red-800 hover:bg-red-50"
+          >
+            {t('submission.downloadTaxForm', { form: taxFormType })}
+          </button>
+        )}
+      </div>
+
+      <ol className="list-decimal list-inside space-y-2 text-gray-700">
+        {instructions.instructions.map((instruction, index) => (
+          <li key={index}>{instruction}</li>
+        ))}
+      </ol>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {instructions.submissionMethods.map((method) => (
+          <div key={method.method} className="border border-gray-200 rounded-lg p-4">
+            <h4 className="font-semibold text-red-800 mb-2">{method.method}</h4>
+            {method.email && (
+              <p className="text-sm text-gray-700">
+                <a href={`mailto:${method.email}`} className="text-red-700 hover:underline">{method.email}</a>
+              </p>
+            )}
+            {method.formats && <p className="text-sm text-gray-600 mt-1">{method.formats}</p>}
+            {method.note && <p className="text-sm text-gray-600 mt-1">{method.note}</p>}
+            {method.address && <p className="text-sm text-gray-700">{method.address}</p>}
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={onFinish}
+        className="bg-red-700 text-white px-6 py-2 rounded-full hover:bg-red-800 transition-colors"
+      >
+        {t('submission.finish')}
+      </button>
+    </div>
+  );
+};
+
+export default SubmissionInstructions;
@@ -1,20 +1,101 @@
 // Authentic Alhambra Bank & Trust Form Fields
 // Based on 2025ABTIndividualFormApplication.pdf and 2025ABTcORPORATEFormApplication.pdf
+// Validation and show/hide rules are evaluated by src/lib/formValidation.js
+// Text is translated through src/lib/i18n.js, keyed by field name; i18nKey replaces the name
+// where the two account types ask different questions under the same name
+
+const namePattern = /^[\p{L}][\p{L}\s'.-]*$/u;
+const namePatternMessage = "Use letters, spaces, hyphens and apostrophes only";
+const passportPattern = /^[A-Z0-9]{5,15}$/i;
+const passportPatternMessage = "Passport numbers contain 5 to 15 letters and digits only";
+const postalCodePattern = /^[A-Z0-9][A-Z0-9\s-]{1,9}$/i;
+const usTaxIdPattern = /^(\d{3}-?\d{2}-?\d{4}|\d{2}-?\d{7})$/;
+const einPattern = /^\d{2}-?\d{7}$/;
+const giinPattern = /^[A-Z0-9]{6}\.[A-Z0-9]{5}\.[A-Z]{2}\.\d{3}$/i;
+
+// Applicants and every individual named on an application must be adults
+const adultAge = { minAge: 18, maxAge: 120 };
+
+// FATCA status: any answer other than notUsPersonStatus makes the applicant a U.S. person
+export const notUsPersonStatus = "Not a U.S. person";
+const usIndividualStatuses = [
+  "U.S. citizen (including dual citizens)",
+  "U.S. resident for tax purposes (green card holder or substantial presence)"
+];
+const usEntityStatuses = ["U.S. entity (organized in the United States or under U.S. law)"];
+const whenUsIndividual = { field: "usPersonStatus", in: usIndividualStatuses };
+const whenUsEntity = { field: "usPersonStatus", in: usEntityStatuses };
+
+// CRS / FATCA entity classifications
+export const financialInstitutionClassifications = [
+  "Financial Institution - Depository, Custodial or Specified Insurance Company",
+  "Financial Institution - Investment Entity"
+];
+export const entityClassifications = [
+  ...financialInstitutionClassifications,
+  "Active NFE",
+  "Passive NFE",
+  "Government Entity, International Organization or Central Bank"
+];
+
+// OECD CRS reasons for not providing a TIN
+const crsTinReasons = [
+  "Reason A - The country does not issue TINs to its residents",
+  "Reason B - The account holder is otherwise unable to obtain a TIN",
+  "Reason C - The country does not require the TIN to be disclosed"
+];
+
+// Every country the applicant is tax resident in, with its TIN or the reason there is none
+const taxResidenciesField = {
+  name: "taxResidencies", label: "Tax Residencies", type: "group", itemLabel: "Tax Residency",
+  required: true, minItems: 1, maxItems: 5,
+  fields: [
+    { name: "country", label: "Country of Tax Residence", type: "country", required: true },
+    { name: "tinAvailable", label: "Is a Taxpayer Identification Number (TIN) available for this country?", type: "radio", required: true, options: ["Yes", "No"] },
+    { name: "tin", label: "Taxpayer Identification Number (TIN)", type: "text", required: false,
+      visibleWhen: { field: "tinAvailable", equals: "Yes" }, requiredWhen: { field: "tinAvailable", equals: "Yes" } },
+    { name: "tinUnavailableReason", label: "Reason a TIN is not available", type: "select", required: false, options: crsTinReasons,
+      visibleWhen: { field: "tinAvailable", equals: "No" }, requiredWhen: { field: "tinAvailable", equals: "No" } },
+    { name: "tinUnavailableExplanation", label: "Explain why a TIN cannot be obtained", type: "text", required: false,
+      visibleWhen: { field: "tinUnavailableReason", equals: crsTinReasons[1] }, requiredWhen: { field: "tinUnavailableReason", equals: crsTinReasons[1] } }
+  ]
+};
+
+const selfCertificationField = {
+  name: "selfCertificationDeclaration", label: "Declaration", type: "checkbox", required: true,
+  options: ["I certify that the information in this self-certification is correct and complete, and I will notify Alhambra Bank & Trust within 30 days of any change in circumstances that makes it incorrect."]
+};
+const whenEmployed = { field: "employmentStatus", in: ["Employed", "Self-Employed"] };
+
+// Identity details collected for every person named on an application. The passport's machine-readable
+// zone (see src/lib/mrz.js) fills in the rest and is checked against what the applicant typed.
+const personFields = [
+  { name: "passportMrz", label: "Passport Machine-Readable Zone", type: "mrz", required: false },
+  { name: "firstName", label: "First Name", type: "text", required: true, pattern: namePattern, patternMessage: namePatternMessage },
+  { name: "middleName", label: "Middle Name", type: "text", required: false, pattern: namePattern, patternMessage: namePatternMessage },
+  { name: "lastName", label: "Last Name", type: "text", required: true, pattern: namePattern, patternMessage: namePatternMessage },
+  { name: "dateOfBirth", label: "Date of Birth", type: "date", required: true, ...adultAge },
+  { name: "countryOfBirth", label: "Country of Birth", type: "country", required: true },
+  { name: "passportNumber", label: "Passport Number", type: "text", required: true, pattern: passportPattern, patternMessage: passportPatternMessage },
+  { name: "countryOfIssuance", label: "Country of Issuance", type: "country", required: true },
+  // Self-declared; src/lib/amlRisk.js rates a "Yes" high whatever PEP screening finds
+  { name: "politicallyExposed", label: "Does this person hold, or have they held in the last 12 months, a prominent public function, or are they a family member or close associate of someone who has (a politically exposed person)?",
+    type: "radio", required: true, options: ["Yes", "No"] },
+  { name: "politicallyExposedDetails", label: "Public function, country and relationship to the office holder", type: "text", required: false,
+    visibleWhen: { field: "politicallyExposed", equals: "Yes" }, requiredWhen: { field: "politicallyExposed", equals: "Yes" } }
+];
+
+// Anyone holding this share or more is a beneficial owner and must be disclosed, so disclosed
+// ownership has to cover enough of the company that no undisclosed holder can reach it
+export const uboOwnershipThreshold = 25;
+const uboDisclosureMinimum = 100 - uboOwnershipThreshold;
 
 export const individualFormFields = [
   // Step 1: Personal Details - Primary Client
   {
     step: 1,
     title: "Personal Details - Primary Client",
-    fields: [
-      { name: "firstName", label: "First Name", type: "text", required: true },
-      { name: "middleName", label: "Middle Name", type: "text", required: false },
-      { name: "lastName", label: "Last Name", type: "text", required: true },
-      { name: "dateOfBirth", label: "Date of Birth", type: "date", required: true },
-      { name: "countryOfBirth", label: "Country of Birth", type: "text", required: true },
-      { name: "passportNumber", label: "Passport Number", type: "text", required: true },
-      { name: "countryOfIssuance", label: "Country of Issuance", type: "text", required: true }
-    ]
+    fields: personFields
   },
   
   // Step 2: Address Information
@@ -26,33 +107,28 @@ export const individualFormFields = [
       { name: "residenceAddress", label: "Residence Address", type: "text", required: true },
       { name: "residenceApt", label: "Apt, Suite, Floor, etc.", type: "text", required: false },
       { name: "residenceState", label: "State/Province", type: "text", required: true },
-      { name: "residencePostalCode", label: "Postal Code", type: "text", required: true },
-      { name: "residenceCountry", label: "Country", type: "text", required: true },
+      { name: "residencePostalCode", label: "Postal Code", type: "text", required: true, pattern: postalCodePattern },
+      { name: "residenceCountry", label: "Country", type: "country", required: true },
       
       // Mailing Address
       { name: "mailingAddress", label: "Mailing Address", type: "text", required: true },
       { name: "mailingApt", label: "Apt, Suite, Floor, etc.", type: "text", required: false },
       { name: "mailingState", label: "State/Province", type: "text", required: true },
-      { name: "mailingPostalCode", label: "Postal Code", type: "text", required: true },
-      { name: "mailingCountry", label: "Country", type: "text", required: true },
+      { name: "mailingPostalCode", label: "Postal Code", type: "text", required: true, pattern: postalCodePattern },
+      { name: "mailingCountry", label: "Country", type: "country", required: true },
       
-      { name: "contactNumber", label: "Contact Number", type: "tel", required: true },
-      { name: "homePhoneNumber", label: "Home Phone Number", type: "tel", required: false }
+      { name: "contactNumber", label: "Contact Number", type: "tel", phoneCountryField: "residenceCountry", required: true },
+      { name: "homePhoneNumber", label: "Home Phone Number", type: "tel", phoneCountryField: "residenceCountry", required: false }
     ]
   },
 
-  // Step 3: Secondary Client Details (Optional)
+  // Step 3: Joint Account Holders (Optional)
   {
     step: 3,
-    title: "Secondary Client Details (Optional)",
+    title: "Joint Account Holders (Optional)",
     fields: [
-      { name: "secondaryFirstName", label: "First Name", type: "text", required: false },
-      { name: "secondaryMiddleName", label: "Middle Name", type: "text", required: false },
-      { name: "secondaryLastName", label: "Last Name", type: "text", required: false },
-      { name: "secondaryDateOfBirth", label: "Date of Birth", type: "date", required: false },
-      { name: "secondaryCountryOfBirth", label: "Country of Birth", type: "text", required: false },
-      { name: "secondaryPassportNumber", label: "Passport Number", type: "text", required: false },
-      { name: "secondaryCountryOfIssuance", label: "Country of Issuance", type: "text", required: false }
+      { name: "jointHolders", label: "Joint Account Holders", type: "party", partyType: "joint_holder", itemLabel: "Joint Holder",
+        required: false, maxItems: 3, fields: personFields }
     ]
   },
 
@@ -64,14 +140,14 @@ export const individualFormFields = [
       { name: "employmentStatus", label: "Employment Status", type: "select", required: true, 
         options: ["Employed", "Self-Employed", "Retired", "Other"] },
       { name: "occupationJobTitle", label: "Occupation or Job Title", type: "text", required: true },
-      { name: "companyName", label: "Name of Company/Employer/Industry", type: "text", required: true },
-      { name: "employerAddress", label: "Employer Address", type: "text", required: true },
+      { name: "companyName", i18nKey: "employerCompanyName", label: "Name of Company/Employer/Industry", type: "text", required: false, requiredWhen: whenEmployed },
+      { name: "employerAddress", label: "Employer Address", type: "text", required: false, requiredWhen: whenEmployed },
       { name: "employerApt", label: "Apt, Suite, Floor, etc.", type: "text", required: false },
-      { name: "employerState", label: "State/Province", type: "text", required: true },
-      { name: "employerPostalCode", label: "Postal Code", type: "text", required: true },
-      { name: "employerCountry", label: "Country", type: "text", required: true },
-      { name: "employerPhone", label: "Phone Number", type: "tel", required: true },
-      { name: "employerEmail", label: "Email Address", type: "email", required: true }
+      { name: "employerState", label: "State/Province", type: "text", required: false, requiredWhen: whenEmployed },
+      { name: "employerPostalCode", label: "Postal Code", type: "text", required: false, requiredWhen: whenEmployed, pattern: postalCodePattern },
+      { name: "employerCountry", label: "Country", type: "country", required: false, requiredWhen: whenEmployed },
+      { name: "employerPhone", label: "Phone Number", type: "tel", phoneCountryField: "employerCountry", required: false, requiredWhen: whenEmployed },
+      { name: "employerEmail", label: "Email Address", type: "email", required: false, requiredWhen: whenEmployed }
     ]
   },
 
@@ -80,10 +156,6 @@ export const individualFormFields = [
     step: 5,
     title: "Financial Details & Investment Profile",
     fields: [
-      // OECD CRS Status
-      { name: "taxResidenceCountry", label: "Tax Residence Country", type: "text", required: true },
-      { name: "taxpayerIdNumber", label: "Taxpayer Identification Number", type: "text", required: true },
-      
       // Account Type
       { name: "accountType", label: "Type of Account", type: "checkbox", required: true,
         options: ["CD", "Money Market"] },
@@ -107,6 +179,10 @@ export const individualFormFields = [
           "Other source of income"
         ] },
       
+      // Expected Activity
+      { name: "expectedMonthlyVolume", label: "Expected Monthly Transaction Volume", type: "radio", required: true,
+        options: ["Up to $10,000", "$10,001-$50,000", "$50,001-$250,000", "Greater than $250,000"] },
+      
       // Investment Profile
       { name: "investmentObjective", label: "Investment Objectives/Strategy", type: "radio", required: true,
         options: [
@@ -125,20 +201,20 @@ export const individualFormFields = [
     ]
   },
 
-  // Step 6: Confirmation & US Status
+  // Step 6: Tax Residency Self-Certification (FATCA/CRS)
   {
     step: 6,
-    title: "Confirmation & US Status",
+    title: "Tax Residency Self-Certification (FATCA/CRS)",
     fields: [
-      { name: "usResident", label: "Are you a U.S. resident or citizen, or do you have any other relationship with the U.S.?", 
-        type: "radio", required: true, options: ["Yes", "No"] },
-      { name: "usName", label: "Name (if US resident)", type: "text", required: false },
-      { name: "usTaxId", label: "Tax Identification Number", type: "text", required: false },
-      { name: "usAddress", label: "Address", type: "text", required: false },
-      { name: "usApt", label: "Apt, Suite, Floor, etc.", type: "text", required: false },
-      { name: "usState", label: "State/Province", type: "text", required: false },
-      { name: "usPostalCode", label: "Postal Code", type: "text", required: false },
-      { name: "usCountry", label: "Country", type: "text", required: false }
+      { name: "usPersonStatus", label: "U.S. tax status", type: "radio", required: true,
+        options: [...usIndividualStatuses, notUsPersonStatus] },
+      { name: "usTaxId", label: "U.S. Taxpayer Identification Number (SSN or ITIN)", type: "text", required: false, visibleWhen: whenUsIndividual, requiredWhen: whenUsIndividual, pattern: usTaxIdPattern, patternMessage: "Enter a 9-digit SSN or ITIN" },
+      { name: "usAddress", label: "U.S. Address", type: "text", required: false, visibleWhen: whenUsIndividual, requiredWhen: whenUsIndividual },
+      { name: "usApt", label: "Apt, Suite, Floor, etc.", type: "text", required: false, visibleWhen: whenUsIndividual },
+      { name: "usState", label: "State", type: "text", required: false, visibleWhen: whenUsIndividual, requiredWhen: whenUsIndividual },
+      { name: "usPostalCode", label: "ZIP Code", type: "text", required: false, visibleWhen: whenUsIndividual, requiredWhen: whenUsIndividual, pattern: postalCodePattern },
+      taxResidenciesField,
+      selfCertificationField
     ]
   }
 ];
@@ -150,15 +226,15 @@ export const corporateFormFields = [
     title: "Corporate Details",
     fields: [
       { name: "companyName", label: "Name of the Company", type: "text", required: true },
-      { name: "countryOfIncorporation", label: "Country of Incorporation", type: "text", required: true },
-      { name: "registrationNumber", label: "Registration Number", type: "text", required: true },
+      { name: "countryOfIncorporation", label: "Country of Incorporation", type: "country", required: true },
+      { name: "registrationNumber", label: "Registration Number", type: "text", required: true, pattern: /^[A-Z0-9][A-Z0-9\s/.-]{1,29}$/i },
       { name: "website", label: "Website", type: "url", required: false },
-      { name: "countryOfBirth", label: "Country of Birth", type: "text", required: false },
+      { name: "countryOfBirth", label: "Country of Birth", type: "country", required: false },
       
       // Type of Entity
       { name: "entityType", label: "Type of Entity", type: "checkbox", required: true,
         options: ["LLC", "Partnership", "Corporation", "Trust", "Others"] },
-      { name: "entityOther", label: "Other Entity Type", type: "text", required: false }
+      { name: "entityOther", label: "Other Entity Type", type: "text", required: false, visibleWhen: { field: "entityType", includes: "Others" }, requiredWhen: { field: "entityType", includes: "Others" } }
     ]
   },
 
@@ -171,49 +247,44 @@ export const corporateFormFields = [
       { name: "registeredAddress", label: "Registered Office Address", type: "text", required: true },
       { name: "registeredApt", label: "Apt, Suite, Floor, etc.", type: "text", required: false },
       { name: "registeredState", label: "State/Province", type: "text", required: true },
-      { name: "registeredPostalCode", label: "Postal Code", type: "text", required: true },
-      { name: "registeredCountry", label: "Country", type: "text", required: true },
+      { name: "registeredPostalCode", label: "Postal Code", type: "text", required: true, pattern: postalCodePattern },
+      { name: "registeredCountry", label: "Country", type: "country", required: true },
       
       // Mailing Address
       { name: "mailingAddress", label: "Mailing Address", type: "text", required: true },
       { name: "mailingApt", label: "Apt, Suite, Floor, etc.", type: "text", required: false },
       { name: "mailingState", label: "State/Province", type: "text", required: true },
-      { name: "mailingPostalCode", label: "Postal Code", type: "text", required: true },
-      { name: "mailingCountry", label: "Country", type: "text", required: true },
+      { name: "mailingPostalCode", label: "Postal Code", type: "text", required: true, pattern: postalCodePattern },
+      { name: "mailingCountry", label: "Country", type: "country", required: true },
       
-      { name: "phoneNumber", label: "Phone Number", type: "tel", required: true },
-      { name: "faxNumber", label: "Fax Number", type: "tel", required: false },
+      { name: "phoneNumber", label: "Phone Number", type: "tel", phoneCountryField: "registeredCountry", required: true },
+      { name: "faxNumber", label: "Fax Number", type: "tel", phoneCountryField: "registeredCountry", required: false },
       { name: "email", label: "Email", type: "email", required: true }
     ]
   },
 
-  // Step 3: Primary Client Details
+  // Step 3: Beneficial Owners - the first owner listed is the primary client
   {
     step: 3,
-    title: "Primary Client Details",
+    title: "Beneficial Owners",
     fields: [
-      { name: "primaryFirstName", label: "First Name", type: "text", required: true },
-      { name: "primaryMiddleName", label: "Middle Name", type: "text", required: false },
-      { name: "primaryLastName", label: "Last Name", type: "text", required: true },
-      { name: "primaryDateOfBirth", label: "Date of Birth", type: "date", required: true },
-      { name: "primaryCountryOfBirth", label: "Country of Birth", type: "text", required: true },
-      { name: "primaryPassportNumber", label: "Passport Number", type: "text", required: true },
-      { name: "primaryCountryOfIssuance", label: "Country of Issuance", type: "text", required: true }
+      { name: "beneficialOwners", label: "Beneficial Owners", type: "party", partyType: "beneficial_owner", itemLabel: "Beneficial Owner",
+        required: true, minItems: 1, maxItems: 10,
+        ownership: { field: "ownershipPercentage", minTotal: uboDisclosureMinimum },
+        fields: [
+          ...personFields,
+          { name: "ownershipPercentage", label: "Ownership (%)", type: "number", required: true, min: 0.01, max: 100 }
+        ] }
     ]
   },
 
-  // Step 4: Secondary Beneficial Owner
+  // Step 4: Directors
   {
     step: 4,
-    title: "Secondary Beneficial Owner",
+    title: "Directors",
     fields: [
-      { name: "secondaryFirstName", label: "First Name", type: "text", required: false },
-      { name: "secondaryMiddleName", label: "Middle Name", type: "text", required: false },
-      { name: "secondaryLastName", label: "Last Name", type: "text", required: false },
-      { name: "secondaryDateOfBirth", label: "Date of Birth", type: "date", required: false },
-      { name: "secondaryCountryOfBirth", label: "Country of Birth", type: "text", required: false },
-      { name: "secondaryPassportNumber", label: "Passport Number", type: "text", required: false },
-      { name: "secondaryCountryOfIssuance", label: "Country of Issuance", type: "text", required: false }
+      { name: "directors", label: "Directors", type: "party", partyType: "director", itemLabel: "Director",
+        required: true, minItems: 1, maxItems: 10, fields: personFields }
     ]
   },
 
@@ -224,45 +295,15 @@ export const corporateFormFields = [
     fields: [
       // Management Company
       { name: "managementCompanyName", label: "Management Company Name", type: "text", required: false },
-      
-      // Primary Authorized Person
-      { name: "primaryAuthFirstName", label: "Primary Authorized - First Name", type: "text", required: true },
-      { name: "primaryAuthMiddleName", label: "Primary Authorized - Middle Name", type: "text", required: false },
-      { name: "primaryAuthLastName", label: "Primary Authorized - Last Name", type: "text", required: true },
-      { name: "primaryAuthDateOfBirth", label: "Primary Authorized - Date of Birth", type: "date", required: true },
-      { name: "primaryAuthCountryOfBirth", label: "Primary Authorized - Country of Birth", type: "text", required: true },
-      { name: "primaryAuthPassportNumber", label: "Primary Authorized - Passport Number", type: "text", required: true },
-      { name: "primaryAuthCountryOfIssuance", label: "Primary Authorized - Country of Issuance", type: "text", required: true },
-      
-      // Secondary Authorized Person
-      { name: "secondaryAuthFirstName", label: "Secondary Authorized - First Name", type: "text", required: false },
-      { name: "secondaryAuthMiddleName", label: "Secondary Authorized - Middle Name", type: "text", required: false },
-      { name: "secondaryAuthLastName", label: "Secondary Authorized - Last Name", type: "text", required: false },
-      { name: "secondaryAuthDateOfBirth", label: "Secondary Authorized - Date of Birth", type: "date", required: false },
-      { name: "secondaryAuthCountryOfBirth", label: "Secondary Authorized - Country of Birth", type: "text", required: false },
-      { name: "secondaryAuthPassportNumber", label: "Secondary Authorized - Passport Number", type: "text", required: false },
-      { name: "secondaryAuthCountryOfIssuance", label: "Secondary Authorized - Country of Issuance", type: "text", required: false }
-    ]
-  },
 
-  // Step 6: Third Client Details (Optional)
-  {
-    step: 6,
-    title: "Third Client Details (Optional)",
-    fields: [
-      { name: "thirdFirstName", label: "First Name", type: "text", required: false },
-      { name: "thirdMiddleName", label: "Middle Name", type: "text", required: false },
-      { name: "thirdLastName", label: "Last Name", type: "text", required: false },
-      { name: "thirdDateOfBirth", label: "Date of Birth", type: "date", required: false },
-      { name: "thirdCountryOfBirth", label: "Country of Birth", type: "text", required: false },
-      { name: "thirdPassportNumber", label: "Passport Number", type: "text", required: false },
-      { name: "thirdCountryOfIssuance", label: "Country of Issuance", type: "text", required: false }
+      { name: "authorizedSignatories", label: "Authorized Signatories", type: "party", partyType: "authorized_signatory", itemLabel: "Authorized Signatory",
+        required: true, minItems: 1, maxItems: 10, fields: personFields }
     ]
   },
 
-  // Step 7: Employment & Financial Details
+  // Step 6: Employment & Financial Details
   {
-    step: 7,
+    step: 6,
     title: "Employment & Financial Details",
     fields: [
       // Primary Beneficial Owner Employment
@@ -271,21 +312,49 @@ export const corporateFormFields = [
       { name: "primaryEmployerAddress", label: "Primary Owner - Employer Address", type: "text", required: true },
       { name: "primaryEmployerApt", label: "Primary Owner - Apt, Suite, Floor, etc.", type: "text", required: false },
       { name: "primaryEmployerState", label: "Primary Owner - State/Province", type: "text", required: true },
-      { name: "primaryEmployerPostalCode", label: "Primary Owner - Postal Code", type: "text", required: true },
-      { name: "primaryEmployerCountry", label: "Primary Owner - Country", type: "text", required: true },
-      { name: "primaryEmployerPhone", label: "Primary Owner - Phone Number", type: "tel", required: true },
-      { name: "primaryEmployerEmail", label: "Primary Owner - Email Address", type: "email", required: true }
+      { name: "primaryEmployerPostalCode", label: "Primary Owner - Postal Code", type: "text", required: true, pattern: postalCodePattern },
+      { name: "primaryEmployerCountry", label: "Primary Owner - Country", type: "country", required: true },
+      { name: "primaryEmployerPhone", label: "Primary Owner - Phone Number", type: "tel", phoneCountryField: "primaryEmployerCountry", required: true },
+      { name: "primaryEmployerEmail", label: "Primary Owner - Email Address", type: "email", required: true },
+
+      // Expected Activity
+      { name: "expectedMonthlyVolume", label: "Expected Monthly Transaction Volume", type: "radio", required: true,
+        options: ["Up to $10,000", "$10,001-$50,000", "$50,001-$250,000", "Greater than $250,000"] }
+    ]
+  },
+
+  // Step 7: Tax Residency Self-Certification (FATCA/CRS)
+  {
+    step: 7,
+    title: "Tax Residency Self-Certification (FATCA/CRS)",
+    fields: [
+      { name: "usPersonStatus", i18nKey: "entityUsPersonStatus", label: "U.S. tax status of the entity", type: "radio", required: true,
+        options: [...usEntityStatuses, notUsPersonStatus] },
+      { name: "usTaxId", i18nKey: "entityUsTaxId", label: "U.S. Employer Identification Number (EIN)", type: "text", required: false, visibleWhen: whenUsEntity, requiredWhen: whenUsEntity, pattern: einPattern, patternMessage: "Enter a 9-digit EIN" },
+      { name: "entityClassification", label: "Entity Classification (CRS / FATCA)", type: "select", required: true, options: entityClassifications },
+      { name: "giin", label: "Global Intermediary Identification Number (GIIN)", type: "text", required: false,
+        visibleWhen: { field: "entityClassification", in: financialInstitutionClassifications },
+        requiredWhen: { field: "entityClassification", in: financialInstitutionClassifications },
+        pattern: giinPattern, patternMessage: "GIINs look like 98Q96B.00000.LE.250" },
+      taxResidenciesField,
+      selfCertificationField
     ]
   }
 ];
 
+// Form definitions keyed by account type
+export const formSchemas = {
+  individual: individualFormFields,
+  corporate: corporateFormFields
+};
+
 export const formSubmissionInstructions = {
   individual: {
     title: "Individual Account Opening Form Submission Instructions",
     instructions: [
-      "Complete and sign your application using black ink.",
+      "Your application has been signed electronically; no wet-ink signature is required.",
       "Gather all specified requirements listed in the form.",
-      "Return your completed and signed application along with the specified requirements via any of the following methods:"
+      "Send the specified requirements, quoting your application reference, via any of the following methods:"
     ],
     submissionMethods: [
       {
@@ -303,9 +372,9 @@ export const formSubmissionInstructions = {
   corporate: {
     title: "Corporate Account Opening Form Submission Instructions",
     instructions: [
-      "Complete and sign your application using black ink.",
+      "Your application has been signed electronically; no wet-ink signature is required.",
       "Gather all specified requirements listed in the form.",
-      "Return your completed and signed application along with the specified requirements via any of the following methods:"
+      "Send the specified requirements, quoting your application reference, via any of the following methods:"
     ],
     submissionMethods: [
       {
@@ -0,0 +1,247 @@
+// AML risk rating of a client from their application and screening results.
+// Shared by the server, which rates clients and schedules their periodic KYC reviews, and the admin dashboard.
+
+export const amlRiskRatings = ['low', 'medium', 'high'];
+
+export const amlRiskRatingLabels = { low: 'Low', medium: 'Medium', high: 'High' };
+
+/**
+ * Each factor maps one input to points from 1 (low risk) to 3 (high risk), like the suitability model.
+ * The weighted average of the known factors selects a band; rules can then raise the rating, never lower it.
+ * The aml_risk_model system setting overrides any top-level key (factors merge by name); raise `version`
+ * with it so every client is re-rated.
+ */
+export const defaultAmlRiskConfig = {
+  version: 2,
+  factors: {
+    countryRisk: {
+      weight: 3,
+      points: { low: 1, medium: 2, high: 3 }
+    },
+    entityType: {
+      weight: 2,
+      points: { Individual: 1, Corporation: 2, LLC: 2, Partnership: 2, Trust: 3, Others: 3 }
+    },
+    sourceOfWealth: {
+      weight: 2,
+      points: {
+        'Income from employment/business activity': 1,
+        'Income from dividends/interests': 1,
+        'Income from real estate/rent': 2,
+        'Donation/inheritance/divorce settlement': 2,
+        'Income from sale of assets': 2,
+        'Other source of income': 3
+      }
+    },
+    expectedMonthlyVolume: {
+      weight: 2,
+      points: {
+        'Up to $10,000': 1,
+        '$10,001-$50,000': 1,
+        '$50,001-$250,000': 2,
+        'Greater than $250,000': 3
+      }
+    },
+    // Latest compliance_checks status; pending means screening hasn't run or failed
+    pepCheck: {
+      weight: 3,
+      points: { passed: 1, pending: 2, manual_review: 3, failed: 3 }
+    },
+    sanctionsCheck: {
+      weight: 3,
+      points: { passed: 1, pending: 2, manual_review: 3, failed: 3 }
+    }
+  },
+  // Upper bound of the weighted score for each rating, in amlRiskRatings order
+  bands: [1.6, 2.3, 3],
+  rules: [
+    {
+      code: 'SANCTIONS_MATCH',
+      message: 'Sanctions screening match not cleared',
+      when: { sanctionsCheck: ['manual_review', 'failed'] },
+      floor: 'high'
+    },
+    {
+      code: 'PEP',
+      message: 'PEP screening match not cleared',
+      when: { pepCheck: ['manual_review', 'failed'] },
+      floor: 'high'
+    },
+    {
+      code: 'PEP_DECLARED',
+      message: 'Declared a politically exposed person on the application',
+      when: { pepDeclared: ['Yes'] },
+      floor: 'high'
+    },
+    {
+      code: 'HIGH_RISK_COUNTRY',
+      message: 'Connected to a high-risk jurisdiction',
+      when: { countryRisk: ['high'] },
+      floor: 'high'
+    }
+  ],
+  // ISO alpha-2 codes; every other country is low risk. Based on the FATF "call for action" and
+  // "increased monitoring" lists and comprehensive sanctions; keep in step with FATF plenary statements.
+  countries: {
+    high: ['KP', 'IR', 'MM', 'CU', 'SY'],
+    medium: [
+      'DZ', 'AO', 'BO', 'BG', 'CM', 'CI', 'CD', 'HT', 'KE', 'LA', 'LB', 'MC', 'NA', 'NP', 'SS', 'TZ', 'VE',
+      'VN', 'VG', 'YE', 'RU', 'BY', 'AF'
+    ]
+  },
+  // Years between KYC reviews for each rating
+  reviewYears: { low: 3, medium: 2, high: 1 }
+};
+
+/**
+ * The default model with the aml_risk_model setting applied.
+ * @param {Object} [overrides]
+ */
+export const mergeAmlRiskConfig = (overrides) => (overrides
+  ? {
+      ...defaultAmlRiskConfig,
+      ...overrides,
+      factors: { ...defaultAmlRiskConfig.factors, ...overrides.factors }
+    }
+  : defaultAmlRiskConfig);
+
+const ratingLevel = (rating) => amlRiskRatings.indexOf(rating);
+
+export const getCountryRisk = (code, config = defaultAmlRiskConfig) => {
+  if (config.countries.high.includes(code)) {
+    return 'high';
+  }
+  return config.countries.medium.includes(code) ? 'medium' : 'low';
+};
+
+// Form fields naming a country the client is connected to, at the top level or inside party and tax
+// residency entries
+const COUNTRY_FIELDS = [
+  'country', 'countryOfBirth', 'countryOfIssuance', 'residenceCountry', 'mailingCountry',
+  'countryOfIncorporation', 'registeredCountry'
+];
+
+// The application itself and every party and tax residency entry on it
+const getFormEntries = (formData) => [
+  formData,
+  ...Object.values(formData)
+    .filter(Array.isArray)
+    .flatMap((items) => items.filter((item) => item && typeof item === 'object'))
+];
+
+const collectCountries = (formData) => {
+  const countries = new Set();
+  getFormEntries(formData).forEach((data) => {
+    COUNTRY_FIELDS.forEach((field) => {
+      if (typeof data[field] === 'string' && data[field]) {
+        countries.add(data[field]);
+      }
+    });
+  });
+  return [...countries];
+};
+
+// "Yes" when the applicant or anyone named on the application declared being a PEP
+const getPepDeclaration = (formData) => {
+  const answers = getFormEntries(formData).map((data) => data.politicallyExposed).filter(Boolean);
+  if (answers.includes('Yes')) {
+    return 'Yes';
+  }
+  return answers.length > 0 ? 'No' : undefined;
+};
+
+/**
+ * The model's inputs for a client.
+ * @param {{ clientType: string, formData: Object, complianceChecks: { check_type: string, status: string }[] }} client
+ *   complianceChecks holds the latest check of each type
+ * @returns {Object} inputs keyed by factor, plus the self-declared PEP answer and the countries considered
+ */
+export const getAmlRiskInputs = ({ clientType, formData = {}, complianceChecks = [] }, config = defaultAmlRiskConfig) => {
+  const countries = collectCountries(formData).map((code) => ({ code, risk: getCountryRisk(code, config) }));
+  const latestStatus = (checkType) => {
+    const check = complianceChecks.find((item) => item.check_type === checkType);
+    return check ? check.status : 'pending';
+  };
+
+  return {
+    countryRisk: countries.length > 0
+      ? countries.reduce((highest, { risk }) => (ratingLevel(risk) > ratingLevel(highest) ? risk : highest), 'low')
+      : undefined,
+    entityType: clientType === 'corporate' ? formData.entityType : 'Individual',
+    sourceOfWealth: formData.sourceOfWealth,
+    expectedMonthlyVolume: formData.expectedMonthlyVolume,
+    pepCheck: latestStatus('pep_check'),
+    sanctionsCheck: latestStatus('sanctions_check'),
+    pepDeclared: getPepDeclaration(formData),
+    countries
+  };
+};
+
+const inputValues = (value) => (Array.isArray(value) ? value : [value]).filter((item) => item !== undefined && item !== null && item !== '');
+
+/**
+ * Rate a client.
+ * @param {Object} inputs - see getAmlRiskInputs
+ * @param {Object} [config] - see defaultAmlRiskConfig
+ * @returns {Object} { rating, score, scoredRating, factors, flags, reviewYears, configVersion }; factors holds
+ *   each factor's input, points and weight, with points null when the input is missing
+ */
+export const scoreAmlRisk = (inputs, config = defaultAmlRiskConfig) => {
+  const factors = {};
+  let weightedTotal = 0;
+  let totalWeight = 0;
+
+  Object.entries(config.factors).forEach(([name, factor]) => {
+    const points = inputValues(inputs[name])
+      .map((value) => factor.points[value])
+      .filter((value) => value !== undefined);
+    factors[name] = {
+      input: inputs[name] === undefined ? null : inputs[name],
+      points: points.length > 0 ? Math.max(...points) : null,
+      weight: factor.weight
+    };
+    if (factors[name].points !== null) {
+      weightedTotal += factors[name].points * factor.weight;
+      totalWeight += factor.weight;
+    }
+  });
+
+  const score = totalWeight > 0 ? Math.round((weightedTotal / totalWeight) * 100) / 100 : null;
+  // Nothing to go on is a reason for caution, not comfort
+  const bandIndex = score === null ? 1 : config.bands.findIndex((upperBound) => score <= upperBound);
+  const scoredRating = amlRiskRatings[bandIndex === -1 ? amlRiskRatings.length - 1 : bandIndex];
+
+  let rating = scoredRating;
+  const flags = [];
+  config.rules
+    .filter((rule) => Object.entries(rule.when).every(([name, values]) => inputValues(inputs[name]).some((value) => values.includes(value))))
+    .forEach((rule) => {
+      flags.push({ code: rule.code, message: rule.message });
+      if (ratingLevel(rule.floor) > ratingLevel(rating)) {
+        rating = rule.floor;
+      }
+    });
+
+  return {
+    rating,
+    score,
+    scoredRating,
+    factors,
+    countries: inputs.countries || [],
+    flags,
+    reviewYears: config.reviewYears[rating],
+    configVersion: config.version
+  };
+};
+
+/**
+ * When the next periodic KYC review falls due: the rating's review interval after the last completed review.
+ * @param {string} rating
+ * @param {Date|string} lastReviewedAt
+ * @returns {string} YYYY-MM-DD
+ */
+export const getNextReviewDate = (rating, lastReviewedAt, config = defaultAmlRiskConfig) => {
+  const date = new Date(lastReviewedAt);
+  date.setUTCFullYear(date.getUTCFullYear() + config.reviewYears[rating]);
+  return date.toISOString().slice(0, 10);
+};
@@ -0,0 +1,125 @@
+import {
+  defaultAmlRiskConfig,
+  getAmlRiskInputs,
+  getCountryRisk,
+  getNextReviewDate,
+  mergeAmlRiskConfig,
+  scoreAmlRisk
+} from './amlRisk.js';
+
+// One point on every factor: a weighted score of 1
+const lowestInputs = {
+  countryRisk: 'low',
+  entityType: 'Individual',
+  sourceOfWealth: ['Income from employment/business activity'],
+  expectedMonthlyVolume: 'Up to $10,000',
+  pepCheck: 'passed',
+  sanctionsCheck: 'passed'
+};
+
+const flagCodes = (assessment) => assessment.flags.map((flag) => flag.code);
+
+describe('getCountryRisk', () => {
+  test('rates the FATF call-for-action countries high and the monitored ones medium', () => {
+    expect(getCountryRisk('KP')).toBe('high');
+    expect(getCountryRisk('IR')).toBe('high');
+    expect(getCountryRisk('RU')).toBe('medium');
+    expect(getCountryRisk('GB')).toBe('low');
+  });
+});
+
+describe('scoreAmlRisk', () => {
+  test('rates a client with the lowest points on every factor low', () => {
+    expect(scoreAmlRisk(lowestInputs)).toMatchObject({ rating: 'low', score: 1, flags: [], reviewYears: 3, configVersion: defaultAmlRiskConfig.version });
+  });
+
+  test('keeps a score on a band\'s upper bound in that band', () => {
+    const pending = { ...lowestInputs, countryRisk: 'medium', pepCheck: 'pending', sanctionsCheck: 'pending' };
+    expect(scoreAmlRisk(pending)).toMatchObject({ score: 1.6, rating: 'low' });
+    expect(scoreAmlRisk({ ...pending, entityType: 'Corporation' })).toMatchObject({ score: 1.73, rating: 'medium' });
+
+    const trust = { ...pending, entityType: 'Trust', sourceOfWealth: ['Other source of income'] };
+    expect(scoreAmlRisk({ ...trust, expectedMonthlyVolume: '$50,001-$250,000' })).toMatchObject({ score: 2.27, rating: 'medium' });
+    expect(scoreAmlRisk({ ...trust, expectedMonthlyVolume: 'Greater than $250,000' })).toMatchObject({ score: 2.4, rating: 'high' });
+  });
+
+  test('scores a factor answered several ways by its riskiest answer', () => {
+    const assessment = scoreAmlRisk({ ...lowestInputs, sourceOfWealth: ['Income from dividends/interests', 'Other source of income'] });
+    expect(assessment.factors.sourceOfWealth).toEqual({
+      input: ['Income from dividends/interests', 'Other source of income'],
+      points: 3,
+      weight: 2
+    });
+  });
+
+  test('leaves missing factors out of the average, and rates a client with none medium', () => {
+    expect(scoreAmlRisk({ entityType: 'Individual' })).toMatchObject({ score: 1, rating: 'low' });
+    expect(scoreAmlRisk({ entityType: 'Individual' }).factors.countryRisk).toEqual({ input: null, points: null, weight: 3 });
+    expect(scoreAmlRisk({})).toMatchObject({ score: null, rating: 'medium' });
+  });
+
+  test('rates an uncleared sanctions or PEP match high whatever the score', () => {
+    const sanctions = scoreAmlRisk({ ...lowestInputs, sanctionsCheck: 'manual_review' });
+    expect(sanctions).toMatchObject({ scoredRating: 'low', rating: 'high', reviewYears: 1 });
+    expect(flagCodes(sanctions)).toEqual(['SANCTIONS_MATCH']);
+    expect(flagCodes(scoreAmlRisk({ ...lowestInputs, pepCheck: 'failed' }))).toEqual(['PEP']);
+  });
+
+  test('rates a declared PEP high even when screening cleared them', () => {
+    const assessment = scoreAmlRisk({ ...lowestInputs, pepDeclared: 'Yes' });
+    expect(assessment).toMatchObject({ scoredRating: 'low', rating: 'high' });
+    expect(flagCodes(assessment)).toEqual(['PEP_DECLARED']);
+    expect(scoreAmlRisk({ ...lowestInputs, pepDeclared: 'No' }).rating).toBe('low');
+  });
+
+  test('rates a client connected to a high-risk country high', () => {
+    const assessment = scoreAmlRisk({ ...lowestInputs, countryRisk: 'high' });
+    expect(assessment).toMatchObject({ scoredRating: 'low', rating: 'high' });
+    expect(flagCodes(assessment)).toEqual(['HIGH_RISK_COUNTRY']);
+  });
+});
+
+describe('getAmlRiskInputs', () => {
+  test('takes the riskiest country named anywhere on the application', () => {
+    const inputs = getAmlRiskInputs({
+      clientType: 'corporate',
+      formData: {
+        entityType: 'LLC',
+        countryOfIncorporation: 'GB',
+        directors: [{ countryOfBirth: 'FR', countryOfIssuance: 'IR' }],
+        taxResidencies: [{ country: 'RU' }]
+      },
+      complianceChecks: [{ check_type: 'sanctions_check', status: 'passed' }]
+    });
+    expect(inputs).toMatchObject({ countryRisk: 'high', entityType: 'LLC', sanctionsCheck: 'passed', pepCheck: 'pending' });
+    expect(inputs.countries).toEqual(expect.arrayContaining([{ code: 'IR', risk: 'high' }, { code: 'RU', risk: 'medium' }, { code: 'GB', risk: 'low' }]));
+    expect(flagCodes(scoreAmlRisk(inputs))).toContain('HIGH_RISK_COUNTRY');
+  });
+
+  test('reads the PEP declaration of the applicant and of everyone named on the application', () => {
+    const pepDeclared = (formData) => getAmlRiskInputs({ clientType: 'individual', formData }).pepDeclared;
+    expect(pepDeclared({ politicallyExposed: 'Yes' })).toBe('Yes');
+    expect(pepDeclared({ politicallyExposed: 'No', jointHolders: [{ politicallyExposed: 'Yes' }] })).toBe('Yes');
+    expect(pepDeclared({ politicallyExposed: 'No', jointHolders: [{ politicallyExposed: 'No' }] })).toBe('No');
+    // Applications made before the question was asked
+    expect(pepDeclared({})).toBeUndefined();
+  });
+});
+
+describe('mergeAmlRiskConfig', () => {
+  test('overrides top-level keys and merges factors by name', () => {
+    const config = mergeAmlRiskConfig({ version: 3, bands: [1.5, 2, 3], factors: { countryRisk: { weight: 5, points: { low: 1, medium: 3, high: 3 } } } });
+    expect(config).toMatchObject({ version: 3, bands: [1.5, 2, 3], rules: defaultAmlRiskConfig.rules });
+    expect(config.factors.countryRisk.weight).toBe(5);
+    expect(config.factors.sanctionsCheck).toBe(defaultAmlRiskConfig.factors.sanctionsCheck);
+    expect(mergeAmlRiskConfig(null)).toBe(defaultAmlRiskConfig);
+  });
+});
+
+describe('getNextReviewDate', () => {
+  test('adds the rating\'s review interval to the last review', () => {
+    expect(getNextReviewDate('high', '2025-03-14')).toBe('2026-03-14');
+    expect(getNextReviewDate('medium', new Date('2025-03-14T16:30:00Z'))).toBe('2027-03-14');
+    expect(getNextReviewDate('low', '2025-03-14')).toBe('2028-03-14');
+  });
+});
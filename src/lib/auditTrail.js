@@ -0,0 +1,153 @@
+// Searching and exporting the audit trails: admin_activities and the row-change audit_log in the internal
+// admin database, audit_logs in the dashboard's. Shared by both APIs and the audit trail explorer.
+//
+// Both APIs list entries of the same shape, newest first:
+// { source, id, created_at, admin_id, admin_name, client_id, client_name, action, description, ip_address,
+//   user_agent, details, changes, chain_seq, entry_hash }
+// where source is the table the entry came from and changes lists the fields a change touched, with their
+// values before and after.
+
+import { formatCsvRow } from './csv.js';
+
+export const auditExportFormats = ['csv', 'ndjson'];
+
+export const auditExportContentTypes = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+export const auditSourceLabels = {
+  admin_activities: 'Admin activity',
+  audit_log: 'Record change',
+  audit_logs: 'Dashboard request'
+};
+
+export const defaultAuditPageSize = 50;
+export const maxAuditPageSize = 200;
+
+// An IPv4 or IPv6 address, or a network in CIDR notation
+const IP_PATTERN = /^(?:(?:\d{1,3}\.){3}\d{1,3}(?:\/\d{1,2})?|[0-9a-f:]*:[0-9a-f:.]*(?:\/\d{1,3})?)$/i;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+// Entries come newest first; a cursor holds the sort key of the last entry on a page. created_at travels as the
+// database's own text so no precision is lost on the way.
+const toBase64Url = (text) => btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+/**
+ * @param {{ createdAt: string, source: string, id: number|string }} key - the last entry listed
+ * @returns {string}
+ */
+export const encodeAuditCursor = ({ createdAt, source, id }) => toBase64Url(JSON.stringify([createdAt, source, id]));
+
+/**
+ * @param {string} cursor
+ * @returns {{ createdAt: string, source: string, id: number|string } | null} null when the cursor is not one of ours
+ */
+export const decodeAuditCursor = (cursor) => {
+  try {
+    const [createdAt, source, id] = JSON.parse(fromBase64Url(cursor));
+    if (typeof createdAt !== 'string' || typeof source !== 'string' || id === undefined || id === null) {
+      return null;
+    }
+    return { createdAt, source, id };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads the search from a query string. Identifiers are left as given; each API checks them against its own
+ * id format.
+ * @param {Object} query - adminId, clientId, action, ip, from, to (YYYY-MM-DD, both inclusive), q (free text),
+ *   cursor and limit
+ * @returns {{ filters: Object, errors: { field: string, message: string }[] }}
+ */
+export const parseAuditFilters = (query = {}) => {
+  const value = (key) => (typeof query[key] === 'string' ? query[key].trim() : '');
+  const errors = [];
+  const filters = {
+    adminId: value('adminId') || null,
+    clientId: value('clientId') || null,
+    action: value('action') || null,
+    ip: value('ip') || null,
+    from: value('from') || null,
+    to: value('to') || null,
+    q: value('q') || null,
+    cursor: null,
+    limit: defaultAuditPageSize
+  };
+
+  if (filters.ip && !IP_PATTERN.test(filters.ip)) {
+    errors.push({ field: 'ip', message: 'Enter an IP address or a network such as 10.0.0.0/8' });
+  }
+  ['from', 'to'].forEach((field) => {
+    if (filters[field] && !isDate(filters[field])) {
+      errors.push({ field, message: 'Dates are written YYYY-MM-DD' });
+    }
+  });
+  if (filters.from && filters.to && isDate(filters.from) && isDate(filters.to) && filters.from > filters.to) {
+    errors.push({ field: 'to', message: 'The end date is before the start date' });
+  }
+  if (filters.q && filters.q.length > 200) {
+    errors.push({ field: 'q', message: 'Search text is limited to 200 characters' });
+  }
+  if (value('cursor')) {
+    filters.cursor = decodeAuditCursor(value('cursor'));
+    if (!filters.cursor) {
+      errors.push({ field: 'cursor', message: 'Invalid cursor' });
+    }
+  }
+  if (value('limit')) {
+    const limit = Number(value('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxAuditPageSize) {
+      errors.push({ field: 'limit', message: `Limit must be between 1 and ${maxAuditPageSize}` });
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  return { filters, errors };
+};
+
+// A LIKE pattern matching the text anywhere
+export const toContainsPattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Fields whose values differ between two versions of a record.
+ * @param {Object|null} before - null for a record being created
+ * @param {Object|null} after - null for a record being deleted
+ * @param {string[]} [ignoredFields] - bookkeeping columns that change with every update
+ * @returns {{ field: string, before, after }[]}
+ */
+export const getFieldChanges = (before, after, ignoredFields = ['updated_at']) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return fields
+    .filter((field) => !ignoredFields.includes(field))
+    .filter((field) => !sameValue(before ? before[field] : null, after ? after[field] : null))
+    .map((field) => ({
+      field,
+      before: before ? before[field] ?? null : null,
+      after: after ? after[field] ?? null : null
+    }));
+};
+
+export const auditCsvColumns = [
+  'created_at', 'source', 'id', 'admin_id', 'admin_name', 'client_id', 'client_name', 'action', 'description',
+  'ip_address', 'user_agent', 'changes', 'details', 'chain_seq', 'entry_hash'
+];
+
+// One entry as a line of the CSV export, in auditCsvColumns order
+export const formatAuditCsvRow = (entry) => formatCsvRow(auditCsvColumns.map((column) => {
+  if (column === 'changes') {
+    return entry.changes && entry.changes.length > 0 ? entry.changes : null;
+  }
+  return entry[column];
+}));
+
+// One entry as a line of the NDJSON export
+export const formatAuditNdjsonRow = (entry) => JSON.stringify(entry);
@@ -0,0 +1,93 @@
+import {
+  auditCsvColumns,
+  decodeAuditCursor,
+  encodeAuditCursor,
+  formatAuditCsvRow,
+  getFieldChanges,
+  maxAuditPageSize,
+  parseAuditFilters,
+  toContainsPattern
+} from './auditTrail.js';
+
+describe('audit cursors', () => {
+  test('round-trip the sort key of the last entry', () => {
+    const key = { createdAt: '2025-03-14 10:30:00.123456+00', source: 'audit_log', id: 42 };
+    const cursor = encodeAuditCursor(key);
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeAuditCursor(cursor)).toEqual(key);
+  });
+
+  test('reject cursors that are not ours', () => {
+    expect(decodeAuditCursor('not a cursor')).toBeNull();
+    expect(decodeAuditCursor(encodeAuditCursor({ createdAt: 1, source: 'audit_log', id: 42 }))).toBeNull();
+    expect(decodeAuditCursor(encodeAuditCursor({ createdAt: '2025-03-14', source: 'audit_log', id: null }))).toBeNull();
+  });
+});
+
+describe('parseAuditFilters', () => {
+  test('reads the search, trimming values', () => {
+    const { filters, errors } = parseAuditFilters({ adminId: ' 7 ', ip: '10.0.0.0/8', from: '2025-03-01', to: '2025-03-31', q: 'wire' });
+    expect(errors).toEqual([]);
+    expect(filters).toEqual({
+      adminId: '7',
+      clientId: null,
+      action: null,
+      ip: '10.0.0.0/8',
+      from: '2025-03-01',
+      to: '2025-03-31',
+      q: 'wire',
+      cursor: null,
+      limit: 50
+    });
+  });
+
+  test('accepts IPv6 addresses', () => {
+    expect(parseAuditFilters({ ip: '2001:db8::1' }).errors).toEqual([]);
+  });
+
+  test('reports each bad field', () => {
+    const { errors } = parseAuditFilters({ ip: 'localhost', from: '2025-02-30x', to: '03/31/2025', cursor: 'x', limit: '0' });
+    expect(errors.map((error) => error.field)).toEqual(['ip', 'from', 'to', 'cursor', 'limit']);
+  });
+
+  test('needs the end date on or after the start date', () => {
+    expect(parseAuditFilters({ from: '2025-03-31', to: '2025-03-01' }).errors)
+      .toEqual([{ field: 'to', message: 'The end date is before the start date' }]);
+  });
+
+  test('limits the page size', () => {
+    expect(parseAuditFilters({ limit: String(maxAuditPageSize) }).filters.limit).toBe(maxAuditPageSize);
+    expect(parseAuditFilters({ limit: String(maxAuditPageSize + 1) }).errors[0].field).toBe('limit');
+  });
+});
+
+describe('toContainsPattern', () => {
+  test('escapes LIKE wildcards', () => {
+    expect(toContainsPattern('50%_off\\')).toBe('%50\\%\\_off\\\\%');
+  });
+});
+
+describe('getFieldChanges', () => {
+  test('lists changed fields with their values before and after, ignoring updated_at', () => {
+    const before = { status: 'pending', amount: '10.00', tags: ['a'], updated_at: '2025-03-13' };
+    const after = { status: 'approved', amount: '10.00', tags: ['a'], updated_at: '2025-03-14', approved_by: 7 };
+    expect(getFieldChanges(before, after)).toEqual([
+      { field: 'status', before: 'pending', after: 'approved' },
+      { field: 'approved_by', before: null, after: 7 }
+    ]);
+  });
+
+  test('lists every field of a created or deleted record', () => {
+    expect(getFieldChanges(null, { status: 'pending' })).toEqual([{ field: 'status', before: null, after: 'pending' }]);
+    expect(getFieldChanges({ status: 'pending' }, null)).toEqual([{ field: 'status', before: 'pending', after: null }]);
+  });
+});
+
+describe('formatAuditCsvRow', () => {
+  test('writes the columns in order, leaving empty changes blank', () => {
+    const entry = { created_at: '2025-03-14T10:30:00.000Z', source: 'admin_activities', id: 3, action: 'login', changes: [] };
+    const row = formatAuditCsvRow(entry);
+    expect(row.split(',')).toHaveLength(auditCsvColumns.length);
+    expect(row).toBe('2025-03-14T10:30:00.000Z,admin_activities,3,,,,,login,,,,,,,');
+  });
+});
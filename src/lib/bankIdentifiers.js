@@ -0,0 +1,77 @@
+// Bank account and bank identifiers for payments: IBAN (ISO 13616), BIC (ISO 9362) and US ABA routing
+// numbers. Free of npm dependencies so the beneficiary forms and the admin API run the same checks.
+//
+// IBAN: country code, two check digits, then the country's BBAN; the whole IBAN has a fixed length per
+// country, and moving the first four characters to the end and reading letters as 10-35 gives a number
+// that leaves 1 when divided by 97.
+// BIC: 4-character party prefix, ISO 3166 country code, 2-character location, optional 3-character branch.
+// ABA: nine digits weighted 3, 7, 1 in turn, adding up to a multiple of 10.
+import { isCountryCode } from './countries.js';
+
+// IBAN length by country, from the SWIFT IBAN registry
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BI: 27, BR: 29, BY: 28,
+  CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DJ: 27, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18,
+  FK: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22,
+  IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20,
+  LV: 21, LY: 25, MC: 27, MD: 24, ME: 22, MK: 19, MN: 20, MR: 27, MT: 31, MU: 30, NI: 28, NL: 18,
+  NO: 15, OM: 23, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, RU: 33, SA: 24, SC: 31,
+  SD: 18, SE: 24, SI: 19, SK: 24, SM: 27, SO: 23, ST: 25, SV: 28, TL: 23, TN: 24, TR: 26, UA: 29,
+  VA: 22, VG: 24, XK: 20, YE: 30
+};
+
+const BIC_PATTERN = /^[A-Z0-9]{4}([A-Z]{2})[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+// First two digits of a routing number: Federal Reserve district (01-12), thrift (21-32), electronic (61-72)
+// or traveler's cheque (80); 00 is the US government
+const ABA_PREFIX_PATTERN = /^(0[0-9]|1[0-2]|2[1-9]|3[0-2]|6[1-9]|7[0-2]|80)/;
+
+const ABA_WEIGHTS = [3, 7, 1];
+
+// Uppercase without spaces, as IBANs are often written in groups of four
+export const normalizeIban = (value) => String(value || '').replace(/\s/g, '').toUpperCase();
+
+// Groups of four for display: "DE89 3704 0044 0532 0130 00"
+export const formatIban = (value) => normalizeIban(value).replace(/(.{4})(?=.)/g, '$1 ');
+
+export const ibanCountries = Object.keys(IBAN_LENGTHS);
+
+// Whether accounts in a country are identified by IBAN
+export const usesIban = (countryCode) => Object.prototype.hasOwnProperty.call(IBAN_LENGTHS, countryCode);
+
+const ibanRemainder = (iban) => {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  // Digit by digit so the number never outgrows a double
+  return [...rearranged].reduce((remainder, character) => {
+    const value = /\d/.test(character) ? character : String(character.charCodeAt(0) - 55);
+    return [...value].reduce((partial, digit) => (partial * 10 + Number(digit)) % 97, remainder);
+  }, 0);
+};
+
+export const isValidIban = (value) => {
+  const iban = normalizeIban(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban)) {
+    return false;
+  }
+  return IBAN_LENGTHS[iban.slice(0, 2)] === iban.length && ibanRemainder(iban) === 1;
+};
+
+export const getIbanCountry = (value) => normalizeIban(value).slice(0, 2);
+
+export const normalizeBic = (value) => String(value || '').replace(/\s/g, '').toUpperCase();
+
+export const isValidBic = (value) => {
+  const match = normalizeBic(value).match(BIC_PATTERN);
+  return Boolean(match) && (isCountryCode(match[1]) || match[1] === 'XK');
+};
+
+export const getBicCountry = (value) => normalizeBic(value).slice(4, 6);
+
+export const isValidAbaRoutingNumber = (value) => {
+  const routingNumber = String(value || '').trim();
+  if (!/^\d{9}$/.test(routingNumber) || !ABA_PREFIX_PATTERN.test(routingNumber)) {
+    return false;
+  }
+  const sum = [...routingNumber].reduce((total, digit, index) => total + Number(digit) * ABA_WEIGHTS[index % 3], 0);
+  return sum % 10 === 0;
+};
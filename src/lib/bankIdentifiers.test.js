@@ -0,0 +1,80 @@
+import {
+  formatIban,
+  getBicCountry,
+  getIbanCountry,
+  isValidAbaRoutingNumber,
+  isValidBic,
+  isValidIban,
+  usesIban
+} from './bankIdentifiers.js';
+
+describe('isValidIban', () => {
+  test('accepts IBANs that pass mod-97 at their country\'s length', () => {
+    ['DE89370400440532013000', 'GB29 NWBK 6016 1331 9268 19', 'fr1420041010050500013m02606', 'NO9386011117947'].forEach((iban) => {
+      expect(isValidIban(iban)).toBe(true);
+    });
+  });
+
+  test('rejects a wrong check digit or transposed digits', () => {
+    expect(isValidIban('DE89370400440532013001')).toBe(false);
+    expect(isValidIban('DE89370400440532031000')).toBe(false);
+  });
+
+  test('rejects the wrong length for the country', () => {
+    expect(isValidIban('DE8937040044053201300')).toBe(false);
+    expect(isValidIban('DE893704004405320130000')).toBe(false);
+  });
+
+  test('rejects countries without IBANs and malformed input', () => {
+    expect(isValidIban('US12345678901234567890')).toBe(false);
+    expect(isValidIban('DE89-3704-0044-0532-0130-00')).toBe(false);
+    expect(isValidIban('')).toBe(false);
+  });
+});
+
+describe('IBAN helpers', () => {
+  test('format in groups of four and read the country', () => {
+    expect(formatIban('de89370400440532013000')).toBe('DE89 3704 0044 0532 0130 00');
+    expect(getIbanCountry(' gb29 nwbk 6016 1331 9268 19')).toBe('GB');
+  });
+
+  test('know which countries use IBANs', () => {
+    expect(usesIban('DE')).toBe(true);
+    expect(usesIban('US')).toBe(false);
+    expect(usesIban('toString')).toBe(false);
+  });
+});
+
+describe('isValidBic', () => {
+  test('accepts 8 and 11 character BICs with a real country', () => {
+    expect(isValidBic('DEUTDEFF')).toBe(true);
+    expect(isValidBic('deut de ff 500')).toBe(true);
+    expect(getBicCountry('DEUTDEFF500')).toBe('DE');
+  });
+
+  test('rejects other lengths and unknown countries', () => {
+    expect(isValidBic('DEUTDEF')).toBe(false);
+    expect(isValidBic('DEUTDEFF50')).toBe(false);
+    expect(isValidBic('DEUTZZFF')).toBe(false);
+  });
+});
+
+describe('isValidAbaRoutingNumber', () => {
+  test('accepts nine digits with a valid checksum', () => {
+    expect(isValidAbaRoutingNumber('021000021')).toBe(true);
+    expect(isValidAbaRoutingNumber(' 011000015 ')).toBe(true);
+  });
+
+  test('rejects a bad checksum', () => {
+    expect(isValidAbaRoutingNumber('021000022')).toBe(false);
+  });
+
+  test('rejects a prefix no Federal Reserve district uses, even with a valid checksum', () => {
+    expect(isValidAbaRoutingNumber('131000005')).toBe(false);
+  });
+
+  test('rejects anything but nine digits', () => {
+    expect(isValidAbaRoutingNumber('02100002')).toBe(false);
+    expect(isValidAbaRoutingNumber('02100002A')).toBe(false);
+  });
+});
@@ -0,0 +1,127 @@
+// Saved beneficiaries (the payees in a client's address book) and the checks a beneficiary must pass
+// before it is saved. Wires go to saved beneficiaries only, so a mistyped account number is caught
+// here rather than by the receiving bank.
+//
+// A US beneficiary is paid by domestic wire and needs an ABA routing number and account number; anyone
+// else is paid by international wire and needs the bank's BIC, plus an IBAN in countries that use one.
+// A new beneficiary can't be paid until its cooling-off period has passed, which gives the client time
+// to notice a beneficiary they didn't add.
+import { isCountryCode } from './countries.js';
+import {
+  getIbanCountry,
+  isValidAbaRoutingNumber,
+  isValidBic,
+  isValidIban,
+  normalizeBic,
+  normalizeIban,
+  usesIban
+} from './bankIdentifiers.js';
+
+export const DEFAULT_BENEFICIARY_COOLING_OFF_HOURS = 24;
+
+export const beneficiaryValidationMessages = {
+  required: 'This field is required',
+  tooLong: 'Must be at most {max} characters',
+  invalidCountry: 'Choose a country',
+  invalidIban: 'This IBAN is not valid: check the country, length and check digits',
+  ibanCountryMismatch: 'This IBAN belongs to another country',
+  ibanRequired: 'Accounts in this country are paid by IBAN',
+  invalidBic: 'A BIC has 8 or 11 letters and digits, with a valid country code in the 5th and 6th place',
+  invalidRoutingNumber: 'This routing number is not valid: check the nine digits',
+  invalidAccountNumber: 'Use up to 34 letters and digits'
+};
+
+const FIELD_LIMITS = { nickname: 50, name: 140, address: 280, bankName: 140 };
+
+const format = (message, values) => message.replace(/\{(\w+)\}/g, (match, key) => values[key]);
+
+/**
+ * The beneficiary as stored: identifiers uppercased and stripped of spaces, and the IBAN kept as the
+ * account number in countries that use one.
+ * @param {{ nickname, name, address, country, accountNumber, iban, bic, routingNumber, bankName }} beneficiary
+ */
+export const normalizeBeneficiary = (beneficiary) => {
+  const country = String(beneficiary.country || '').trim().toUpperCase();
+  const iban = usesIban(country) ? normalizeIban(beneficiary.iban || beneficiary.accountNumber) : '';
+
+  return {
+    nickname: String(beneficiary.nickname || '').trim(),
+    name: String(beneficiary.name || '').trim(),
+    address: String(beneficiary.address || '').trim(),
+    country,
+    accountNumber: iban || String(beneficiary.accountNumber || '').replace(/[\s-]/g, '').toUpperCase(),
+    iban: iban || null,
+    bic: beneficiary.bic ? normalizeBic(beneficiary.bic) : null,
+    routingNumber: country === 'US' && beneficiary.routingNumber ? String(beneficiary.routingNumber).trim() : null,
+    bankName: String(beneficiary.bankName || '').trim()
+  };
+};
+
+/**
+ * Checks a beneficiary before it is saved.
+ * @param {Object} beneficiary - see normalizeBeneficiary
+ * @param {{ messages?: Object }} [options] - replaces beneficiaryValidationMessages, e.g. with a translation
+ * @returns {Object} error message by field; empty when the beneficiary is valid
+ */
+export const validateBeneficiary = (beneficiary, options = {}) => {
+  const messages = { ...beneficiaryValidationMessages, ...options.messages };
+  const data = normalizeBeneficiary(beneficiary);
+  const errors = {};
+
+  ['nickname', 'name', 'country'].forEach((field) => {
+    if (!data[field]) {
+      errors[field] = messages.required;
+    }
+  });
+  Object.entries(FIELD_LIMITS).forEach(([field, max]) => {
+    if (data[field].length > max) {
+      errors[field] = format(messages.tooLong, { max });
+    }
+  });
+  if (data.country && !isCountryCode(data.country)) {
+    errors.country = messages.invalidCountry;
+  }
+
+  if (data.country === 'US') {
+    if (!data.routingNumber) {
+      errors.routingNumber = messages.required;
+    } else if (!isValidAbaRoutingNumber(data.routingNumber)) {
+      errors.routingNumber = messages.invalidRoutingNumber;
+    }
+  } else if (!data.bic) {
+    errors.bic = messages.required;
+  }
+  if (data.bic && !isValidBic(data.bic)) {
+    errors.bic = messages.invalidBic;
+  }
+
+  if (data.iban) {
+    if (!isValidIban(data.iban)) {
+      errors.iban = messages.invalidIban;
+    } else if (getIbanCountry(data.iban) !== data.country) {
+      errors.iban = messages.ibanCountryMismatch;
+    }
+  } else if (usesIban(data.country)) {
+    errors.iban = messages.ibanRequired;
+  } else if (!data.accountNumber) {
+    errors.accountNumber = messages.required;
+  } else if (!/^[A-Z0-9]{1,34}$/.test(data.accountNumber)) {
+    errors.accountNumber = messages.invalidAccountNumber;
+  }
+
+  return errors;
+};
+
+// Wire type a beneficiary is paid by
+export const getBeneficiaryTransferType = (beneficiary) => (beneficiary.country === 'US' ? 'wire_domestic' : 'wire_international');
+
+/**
+ * When a beneficiary may first be paid.
+ * @param {Date|string} createdAt
+ * @param {number} [hours]
+ */
+export const getCoolingOffEnd = (createdAt, hours = DEFAULT_BENEFICIARY_COOLING_OFF_HOURS) =>
+  new Date(new Date(createdAt).getTime() + hours * 60 * 60 * 1000);
+
+export const isInCoolingOff = (beneficiary, now = new Date()) =>
+  Boolean(beneficiary.cooling_off_until) && new Date(beneficiary.cooling_off_until) > now;
@@ -0,0 +1,66 @@
+import {
+  getBeneficiaryTransferType,
+  getCoolingOffEnd,
+  isInCoolingOff,
+  normalizeBeneficiary,
+  validateBeneficiary
+} from './beneficiaries.js';
+
+const german = { nickname: 'Supplier', name: 'Acme GmbH', country: 'de', iban: 'DE89 3704 0044 0532 0130 00', bic: 'deutdeff' };
+const american = { nickname: 'Landlord', name: 'Jane Doe', country: 'US', accountNumber: '12345-678', routingNumber: '021000021' };
+
+describe('validateBeneficiary', () => {
+  test('accepts a valid IBAN beneficiary and a valid US one', () => {
+    expect(validateBeneficiary(german)).toEqual({});
+    expect(validateBeneficiary(american)).toEqual({});
+  });
+
+  test('needs an IBAN from the beneficiary\'s own country', () => {
+    expect(validateBeneficiary({ ...german, iban: '' }).iban).toBe('Accounts in this country are paid by IBAN');
+    expect(validateBeneficiary({ ...german, country: 'FR', iban: german.iban }).iban).toBe('This IBAN belongs to another country');
+    expect(validateBeneficiary({ ...german, iban: 'DE89370400440532013001' }).iban).toMatch(/not valid/);
+  });
+
+  test('needs a BIC outside the US and a routing number inside it', () => {
+    expect(validateBeneficiary({ ...german, bic: '' }).bic).toBe('This field is required');
+    expect(validateBeneficiary({ ...american, routingNumber: '021000022' }).routingNumber).toMatch(/not valid/);
+  });
+
+  test('checks required fields and lengths', () => {
+    expect(validateBeneficiary({ ...german, name: ' ', nickname: 'x'.repeat(51) })).toEqual({
+      name: 'This field is required',
+      nickname: 'Must be at most 50 characters'
+    });
+  });
+
+  test('takes replacement messages', () => {
+    expect(validateBeneficiary({ ...german, name: '' }, { messages: { required: 'Obligatorio' } }).name).toBe('Obligatorio');
+  });
+});
+
+describe('normalizeBeneficiary', () => {
+  test('stores the IBAN as the account number', () => {
+    expect(normalizeBeneficiary(german)).toMatchObject({
+      country: 'DE', accountNumber: 'DE89370400440532013000', iban: 'DE89370400440532013000', bic: 'DEUTDEFF', routingNumber: null
+    });
+  });
+
+  test('strips spaces and dashes from other account numbers', () => {
+    expect(normalizeBeneficiary(american)).toMatchObject({ accountNumber: '12345678', iban: null, routingNumber: '021000021' });
+  });
+});
+
+describe('cooling-off', () => {
+  test('lasts the configured hours from when the beneficiary was added', () => {
+    const coolingOffUntil = getCoolingOffEnd('2025-03-14T10:00:00Z', 48);
+    expect(coolingOffUntil.toISOString()).toBe('2025-03-16T10:00:00.000Z');
+    expect(isInCoolingOff({ cooling_off_until: coolingOffUntil }, new Date('2025-03-16T09:59:59Z'))).toBe(true);
+    expect(isInCoolingOff({ cooling_off_until: coolingOffUntil }, new Date('2025-03-16T10:00:00Z'))).toBe(false);
+    expect(isInCoolingOff({ cooling_off_until: null })).toBe(false);
+  });
+});
+
+test('US beneficiaries are paid by domestic wire', () => {
+  expect(getBeneficiaryTransferType({ country: 'US' })).toBe('wire_domestic');
+  expect(getBeneficiaryTransferType({ country: 'DE' })).toBe('wire_international');
+});
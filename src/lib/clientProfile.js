@@ -0,0 +1,81 @@
+// Versioned client profiles. Every change to a profile field writes a new version of the client's profile
+// (client_profile_versions, filled by a trigger on clients) with the fields it changed, their values before and
+// after, who made the change and why. Changes to the fields a fraudster would alter before asking for a wire
+// (where statements and codes go, the identity document, tax residence) raise an alert that a second admin,
+// not the one who made the change, has to review. Rejecting the change puts those fields back as they were.
+
+// Profile fields by group. Keep in step with client_profile_snapshot in migration 013.
+export const clientProfileFieldGroups = {
+  address: ['address_line1', 'address_line2', 'city', 'state', 'zip_code', 'country'],
+  contact: ['email', 'phone'],
+  passport: ['passport_number', 'passport_country'],
+  tax_residency: ['tax_residencies'],
+  risk: ['risk_score', 'risk_profile', 'aml_risk_rating'],
+  status: ['status', 'kyc_status']
+};
+
+export const clientProfileFields = Object.values(clientProfileFieldGroups).flat();
+
+export const clientProfileFieldLabels = {
+  address_line1: 'Address',
+  address_line2: 'Address line 2',
+  city: 'City',
+  state: 'State',
+  zip_code: 'ZIP code',
+  country: 'Country',
+  email: 'Email',
+  phone: 'Phone',
+  passport_number: 'Passport number',
+  passport_country: 'Passport issuing country',
+  tax_residencies: 'Tax residencies',
+  risk_score: 'Risk score',
+  risk_profile: 'Investment risk profile',
+  aml_risk_rating: 'AML risk rating',
+  status: 'Status',
+  kyc_status: 'KYC status'
+};
+
+// Changes to these need a second reviewer
+export const sensitiveClientFields = [
+  ...clientProfileFieldGroups.address,
+  ...clientProfileFieldGroups.contact,
+  ...clientProfileFieldGroups.passport,
+  ...clientProfileFieldGroups.tax_residency
+];
+
+// Fields an admin may change through PATCH /api/clients/:id. The AML risk rating and KYC status follow from
+// the rating model and the KYC workflow.
+export const editableClientFields = [
+  ...clientProfileFieldGroups.address,
+  ...clientProfileFieldGroups.contact,
+  ...clientProfileFieldGroups.passport,
+  ...clientProfileFieldGroups.tax_residency,
+  'risk_score',
+  'status',
+  'portfolio_value'
+];
+
+export const clientChangeReasons = ['client_request', 'kyc_refresh', 'correction', 'compliance_decision', 'other'];
+
+export const clientChangeReasonLabels = {
+  client_request: 'Requested by the client',
+  kyc_refresh: 'KYC refresh',
+  correction: 'Correction of an error',
+  compliance_decision: 'Compliance decision',
+  other: 'Other'
+};
+
+export const changeAlertDecisions = ['confirmed', 'rejected'];
+
+export const changeAlertStatusLabels = {
+  open: 'Awaiting review',
+  confirmed: 'Confirmed',
+  rejected: 'Rejected'
+};
+
+/**
+ * The changes, of those a version records, that need a second reviewer.
+ * @param {{ field: string, before, after }[]} changes
+ * @returns {{ field: string, before, after }[]}
+ */
+export const getSensitiveChanges = (changes) => changes.filter((change) => sensitiveClientFields.includes(change.field));
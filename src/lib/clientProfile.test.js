@@ -0,0 +1,62 @@
+import { readFileSync } from 'node:fs';
+import {
+  changeAlertDecisions,
+  changeAlertStatusLabels,
+  clientChangeReasonLabels,
+  clientChangeReasons,
+  clientProfileFieldLabels,
+  clientProfileFields,
+  editableClientFields,
+  getSensitiveChanges,
+  sensitiveClientFields
+} from './clientProfile.js';
+
+describe('getSensitiveChanges', () => {
+  test('keeps the changes to where statements go, the identity document and tax residence', () => {
+    const changes = [
+      { field: 'risk_score', before: 3, after: 5 },
+      { field: 'email', before: 'jane@example.com', after: 'jane@example.net' },
+      { field: 'status', before: 'active', after: 'suspended' },
+      { field: 'address_line1', before: '1 High St', after: '2 Low St' },
+      { field: 'passport_number', before: 'P1234567', after: 'P7654321' },
+      { field: 'tax_residencies', before: [{ country: 'GB' }], after: [{ country: 'KY' }] }
+    ];
+    expect(getSensitiveChanges(changes).map((change) => change.field)).toEqual(['email', 'address_line1', 'passport_number', 'tax_residencies']);
+  });
+
+  test('finds nothing to review in risk, status and unversioned changes', () => {
+    const changes = ['risk_score', 'risk_profile', 'aml_risk_rating', 'status', 'kyc_status', 'portfolio_value']
+      .map((field) => ({ field, before: null, after: 'x' }));
+    expect(getSensitiveChanges(changes)).toEqual([]);
+    expect(getSensitiveChanges([])).toEqual([]);
+  });
+});
+
+describe('client profile fields', () => {
+  test('are the fields the database snapshots', () => {
+    const migration = readFileSync(new URL('../../server/migrations/013_create_client_profile_versions.sql', import.meta.url), 'utf8');
+    const snapshot = migration.match(/FUNCTION client_profile_snapshot[\s\S]*?jsonb_build_object\(([\s\S]*?)\);/)[1];
+    const snapshotFields = [...snapshot.matchAll(/'(\w+)', c\.(\w+)/g)].map(([, key, column]) => {
+      expect(column).toBe(key);
+      return key;
+    });
+    expect(snapshotFields).toEqual(clientProfileFields);
+  });
+
+  test('each have a label', () => {
+    expect(Object.keys(clientProfileFieldLabels).sort()).toEqual([...clientProfileFields].sort());
+  });
+
+  test('leave the AML risk rating and KYC status out of reach of a profile edit', () => {
+    expect(editableClientFields).not.toContain('aml_risk_rating');
+    expect(editableClientFields).not.toContain('kyc_status');
+    expect(sensitiveClientFields.every((field) => editableClientFields.includes(field))).toBe(true);
+  });
+});
+
+describe('change reasons and alert statuses', () => {
+  test('each have a label', () => {
+    expect(Object.keys(clientChangeReasonLabels)).toEqual(clientChangeReasons);
+    expect(changeAlertDecisions.every((decision) => changeAlertStatusLabels[decision])).toBe(true);
+  });
+});
@@ -0,0 +1,403 @@
+// ISO 3166-1 countries with their ITU calling code and national number rules.
+// Form data stores the alpha-2 code; the name is only for display.
+// Each row: [alpha-2, name, calling code, [min, max] national number length, area/leading-digit prefixes]
+// Prefixes tell apart countries sharing a calling code (the NANP +1, Russia and Kazakhstan's +7).
+const COUNTRY_ROWS = [
+  ['AF', 'Afghanistan', '93', [9, 9]],
+  ['AX', 'Åland Islands', '358', [5, 12], ['18']],
+  ['AL', 'Albania', '355', [8, 9]],
+  ['DZ', 'Algeria', '213', [8, 9]],
+  ['AS', 'American Samoa', '1', [10, 10], ['684']],
+  ['AD', 'Andorra', '376', [6, 9]],
+  ['AO', 'Angola', '244', [9, 9]],
+  ['AI', 'Anguilla', '1', [10, 10], ['264']],
+  ['AQ', 'Antarctica', '672', [6, 6], ['1']],
+  ['AG', 'Antigua and Barbuda', '1', [10, 10], ['268']],
+  ['AR', 'Argentina', '54', [10, 11]],
+  ['AM', 'Armenia', '374', [8, 8]],
+  ['AW', 'Aruba', '297', [7, 7]],
+  ['AU', 'Australia', '61', [9, 9]],
+  ['AT', 'Austria', '43', [4, 13]],
+  ['AZ', 'Azerbaijan', '994', [9, 9]],
+  ['BS', 'Bahamas', '1', [10, 10], ['242']],
+  ['BH', 'Bahrain', '973', [8, 8]],
+  ['BD', 'Bangladesh', '880', [8, 10]],
+  ['BB', 'Barbados', '1', [10, 10], ['246']],
+  ['BY', 'Belarus', '375', [9, 10]],
+  ['BE', 'Belgium', '32', [8, 9]],
+  ['BZ', 'Belize', '501', [7, 7]],
+  ['BJ', 'Benin', '229', [8, 10]],
+  ['BM', 'Bermuda', '1', [10, 10], ['441']],
+  ['BT', 'Bhutan', '975', [7, 8]],
+  ['BO', 'Bolivia', '591', [8, 8]],
+  ['BQ', 'Bonaire, Sint Eustatius and Saba', '599', [7, 7], ['3', '4', '7']],
+  ['BA', 'Bosnia and Herzegovina', '387', [8, 9]],
+  ['BW', 'Botswana', '267', [7, 8]],
+  ['BV', 'Bouvet Island', '47', [8, 8]],
+  ['BR', 'Brazil', '55', [10, 11]],
+  ['IO', 'British Indian Ocean Territory', '246', [7, 7]],
+  ['BN', 'Brunei Darussalam', '673', [7, 7]],
+  ['BG', 'Bulgaria', '359', [7, 9]],
+  ['BF', 'Burkina Faso', '226', [8, 8]],
+  ['BI', 'Burundi', '257', [8, 8]],
+  ['CV', 'Cabo Verde', '238', [7, 7]],
+  ['KH', 'Cambodia', '855', [8, 9]],
+  ['CM', 'Cameroon', '237', [9, 9]],
+  ['CA', 'Canada', '1', [10, 10]],
+  ['KY', 'Cayman Islands', '1', [10, 10], ['345']],
+  ['CF', 'Central African Republic', '236', [8, 8]],
+  ['TD', 'Chad', '235', [8, 8]],
+  ['CL', 'Chile', '56', [9, 9]],
+  ['CN', 'China', '86', [10, 11]],
+  ['CX', 'Christmas Island', '61', [9, 9], ['89164']],
+  ['CC', 'Cocos (Keeling) Islands', '61', [9, 9], ['89162']],
+  ['CO', 'Colombia', '57', [10, 10]],
+  ['KM', 'Comoros', '269', [7, 7]],
+  ['CG', 'Congo', '242', [9, 9]],
+  ['CD', 'Congo, Democratic Republic of the', '243', [9, 9]],
+  ['CK', 'Cook Islands', '682', [5, 5]],
+  ['CR', 'Costa Rica', '506', [8, 8]],
+  ['CI', "Côte d'Ivoire", '225', [10, 10]],
+  ['HR', 'Croatia', '385', [8, 9]],
+  ['CU', 'Cuba', '53', [8, 8]],
+  ['CW', 'Curaçao', '599', [7, 8], ['9']],
+  ['CY', 'Cyprus', '357', [8, 8]],
+  ['CZ', 'Czechia', '420', [9, 9]],
+  ['DK', 'Denmark', '45', [8, 8]],
+  ['DJ', 'Djibouti', '253', [8, 8]],
+  ['DM', 'Dominica', '1', [10, 10], ['767']],
+  ['DO', 'Dominican Republic', '1', [10, 10], ['809', '829', '849']],
+  ['EC', 'Ecuador', '593', [8, 9]],
+  ['EG', 'Egypt', '20', [9, 10]],
+  ['SV', 'El Salvador', '503', [8, 8]],
+  ['GQ', 'Equatorial Guinea', '240', [9, 9]],
+  ['ER', 'Eritrea', '291', [7, 7]],
+  ['EE', 'Estonia', '372', [7, 8]],
+  ['SZ', 'Eswatini', '268', [8, 8]],
+  ['ET', 'Ethiopia', '251', [9, 9]],
+  ['FK', 'Falkland Islands (Malvinas)', '500', [5, 5]],
+  ['FO', 'Faroe Islands', '298', [6, 6]],
+  ['FJ', 'Fiji', '679', [7, 7]],
+  ['FI', 'Finland', '358', [5, 12]],
+  ['FR', 'France', '33', [9, 9]],
+  ['GF', 'French Guiana', '594', [9, 9]],
+  ['PF', 'French Polynesia', '689', [8, 8]],
+  ['TF', 'French Southern Territories', '262', [9, 9]],
+  ['GA', 'Gabon', '241', [7, 8]],
+  ['GM', 'Gambia', '220', [7, 7]],
+  ['GE', 'Georgia', '995', [9, 9]],
+  ['DE', 'Germany', '49', [6, 13]],
+  ['GH', 'Ghana', '233', [9, 9]],
+  ['GI', 'Gibraltar', '350', [8, 8]],
+  ['GR', 'Greece', '30', [10, 10]],
+  ['GL', 'Greenland', '299', [6, 6]],
+  ['GD', 'Grenada', '1', [10, 10], ['473']],
+  ['GP', 'Guadeloupe', '590', [9, 9]],
+  ['GU', 'Guam', '1', [10, 10], ['671']],
+  ['GT', 'Guatemala', '502', [8, 8]],
+  ['GG', 'Guernsey', '44', [10, 10], ['1481', '7781', '7839', '7911']],
+  ['GN', 'Guinea', '224', [8, 9]],
+  ['GW', 'Guinea-Bissau', '245', [7, 9]],
+  ['GY', 'Guyana', '592', [7, 7]],
+  ['HT', 'Haiti', '509', [8, 8]],
+  ['HM', 'Heard Island and McDonald Islands', '672', [6, 6]],
+  ['VA', 'Holy See', '39', [6, 11], ['06698']],
+  ['HN', 'Honduras', '504', [8, 8]],
+  ['HK', 'Hong Kong', '852', [8, 8]],
+  ['HU', 'Hungary', '36', [8, 9]],
+  ['IS', 'Iceland', '354', [7, 9]],
+  ['IN', 'India', '91', [10, 10]],
+  ['ID', 'Indonesia', '62', [9, 12]],
+  ['IR', 'Iran', '98', [10, 10]],
+  ['IQ', 'Iraq', '964', [8, 10]],
+  ['IE', 'Ireland', '353', [7, 9]],
+  ['IM', 'Isle of Man', '44', [10, 10], ['1624', '7524', '7624', '7924']],
+  ['IL', 'Israel', '972', [8, 9]],
+  ['IT', 'Italy', '39', [6, 11]],
+  ['JM', 'Jamaica', '1', [10, 10], ['658', '876']],
+  ['JP', 'Japan', '81', [9, 10]],
+  ['JE', 'Jersey', '44', [10, 10], ['1534', '7509', '7700', '7797', '7829', '7937']],
+  ['JO', 'Jordan', '962', [8, 9]],
+  ['KZ', 'Kazakhstan', '7', [10, 10], ['6', '7']],
+  ['KE', 'Kenya', '254', [9, 10]],
+  ['KI', 'Kiribati', '686', [5, 8]],
+  ['KP', "Korea, Democratic People's Republic of", '850', [8, 10]],
+  ['KR', 'Korea, Republic of', '82', [8, 10]],
+  ['KW', 'Kuwait', '965', [7, 8]],
+  ['KG', 'Kyrgyzstan', '996', [9, 9]],
+  ['LA', "Lao People's Democratic Republic", '856', [8, 10]],
+  ['LV', 'Latvia', '371', [8, 8]],
+  ['LB', 'Lebanon', '961', [7, 8]],
+  ['LS', 'Lesotho', '266', [8, 8]],
+  ['LR', 'Liberia', '231', [7, 9]],
+  ['LY', 'Libya', '218', [9, 9]],
+  ['LI', 'Liechtenstein', '423', [7, 9]],
+  ['LT', 'Lithuania', '370', [8, 8]],
+  ['LU', 'Luxembourg', '352', [4, 11]],
+  ['MO', 'Macao', '853', [8, 8]],
+  ['MG', 'Madagascar', '261', [9, 9]],
+  ['MW', 'Malawi', '265', [7, 9]],
+  ['MY', 'Malaysia', '60', [8, 10]],
+  ['MV', 'Maldives', '960', [7, 7]],
+  ['ML', 'Mali', '223', [8, 8]],
+  ['MT', 'Malta', '356', [8, 8]],
+  ['MH', 'Marshall Islands', '692', [7, 7]],
+  ['MQ', 'Martinique', '596', [9, 9]],
+  ['MR', 'Mauritania', '222', [8, 8]],
+  ['MU', 'Mauritius', '230', [7, 8]],
+  ['YT', 'Mayotte', '262', [9, 9], ['269', '639']],
+  ['MX', 'Mexico', '52', [10, 10]],
+  ['FM', 'Micronesia, Federated States of', '691', [7, 7]],
+  ['MD', 'Moldova', '373', [8, 8]],
+  ['MC', 'Monaco', '377', [8, 9]],
+  ['MN', 'Mongolia', '976', [8, 8]],
+  ['ME', 'Montenegro', '382', [8, 8]],
+  ['MS', 'Montserrat', '1', [10, 10], ['664']],
+  ['MA', 'Morocco', '212', [9, 9]],
+  ['MZ', 'Mozambique', '258', [8, 9]],
+  ['MM', 'Myanmar', '95', [7, 10]],
+  ['NA', 'Namibia', '264', [8, 9]],
+  ['NR', 'Nauru', '674', [7, 7]],
+  ['NP', 'Nepal', '977', [8, 10]],
+  ['NL', 'Netherlands', '31', [9, 9]],
+  ['NC', 'New Caledonia', '687', [6, 6]],
+  ['NZ', 'New Zealand', '64', [8, 10]],
+  ['NI', 'Nicaragua', '505', [8, 8]],
+  ['NE', 'Niger', '227', [8, 8]],
+  ['NG', 'Nigeria', '234', [8, 10]],
+  ['NU', 'Niue', '683', [4, 7]],
+  ['NF', 'Norfolk Island', '672', [6, 6], ['3']],
+  ['MK', 'North Macedonia', '389', [8, 8]],
+  ['MP', 'Northern Mariana Islands', '1', [10, 10], ['670']],
+  ['NO', 'Norway', '47', [8, 8]],
+  ['OM', 'Oman', '968', [8, 8]],
+  ['PK', 'Pakistan', '92', [9, 10]],
+  ['PW', 'Palau', '680', [7, 7]],
+  ['PS', 'Palestine, State of', '970', [8, 9]],
+  ['PA', 'Panama', '507', [7, 8]],
+  ['PG', 'Papua New Guinea', '675', [7, 8]],
+  ['PY', 'Paraguay', '595', [8, 9]],
+  ['PE', 'Peru', '51', [8, 9]],
+  ['PH', 'Philippines', '63', [8, 10]],
+  ['PN', 'Pitcairn', '64', [9, 9]],
+  ['PL', 'Poland', '48', [9, 9]],
+  ['PT', 'Portugal', '351', [9, 9]],
+  ['PR', 'Puerto Rico', '1', [10, 10], ['787', '939']],
+  ['QA', 'Qatar', '974', [7, 8]],
+  ['RE', 'Réunion', '262', [9, 9]],
+  ['RO', 'Romania', '40', [9, 9]],
+  ['RU', 'Russian Federation', '7', [10, 10], ['3', '4', '8', '9']],
+  ['RW', 'Rwanda', '250', [9, 9]],
+  ['BL', 'Saint Barthélemy', '590', [9, 9]],
+  ['SH', 'Saint Helena, Ascension and Tristan da Cunha', '290', [4, 5]],
+  ['KN', 'Saint Kitts and Nevis', '1', [10, 10], ['869']],
+  ['LC', 'Saint Lucia', '1', [10, 10], ['758']],
+  ['MF', 'Saint Martin (French part)', '590', [9, 9]],
+  ['PM', 'Saint Pierre and Miquelon', '508', [6, 6]],
+  ['VC', 'Saint Vincent and the Grenadines', '1', [10, 10], ['784']],
+  ['WS', 'Samoa', '685', [5, 7]],
+  ['SM', 'San Marino', '378', [6, 10]],
+  ['ST', 'Sao Tome and Principe', '239', [7, 7]],
+  ['SA', 'Saudi Arabia', '966', [8, 9]],
+  ['SN', 'Senegal', '221', [9, 9]],
+  ['RS', 'Serbia', '381', [8, 9]],
+  ['SC', 'Seychelles', '248', [7, 7]],
+  ['SL', 'Sierra Leone', '232', [8, 8]],
+  ['SG', 'Singapore', '65', [8, 8]],
+  ['SX', 'Sint Maarten (Dutch part)', '1', [10, 10], ['721']],
+  ['SK', 'Slovakia', '421', [9, 9]],
+  ['SI', 'Slovenia', '386', [8, 8]],
+  ['SB', 'Solomon Islands', '677', [5, 7]],
+  ['SO', 'Somalia', '252', [7, 9]],
+  ['ZA', 'South Africa', '27', [9, 9]],
+  ['GS', 'South Georgia and the South Sandwich Islands', '500', [5, 5]],
+  ['SS', 'South Sudan', '211', [9, 9]],
+  ['ES', 'Spain', '34', [9, 9]],
+  ['LK', 'Sri Lanka', '94', [9, 9]],
+  ['SD', 'Sudan', '249', [9, 9]],
+  ['SR', 'Suriname', '597', [6, 7]],
+  ['SJ', 'Svalbard and Jan Mayen', '47', [8, 8], ['79']],
+  ['SE', 'Sweden', '46', [7, 9]],
+  ['CH', 'Switzerland', '41', [9, 9]],
+  ['SY', 'Syrian Arab Republic', '963', [8, 9]],
+  ['TW', 'Taiwan', '886', [8, 9]],
+  ['TJ', 'Tajikistan', '992', [9, 9]],
+  ['TZ', 'Tanzania, United Republic of', '255', [9, 9]],
+  ['TH', 'Thailand', '66', [8, 9]],
+  ['TL', 'Timor-Leste', '670', [7, 8]],
+  ['TG', 'Togo', '228', [8, 8]],
+  ['TK', 'Tokelau', '690', [4, 7]],
+  ['TO', 'Tonga', '676', [5, 7]],
+  ['TT', 'Trinidad and Tobago', '1', [10, 10], ['868']],
+  ['TN', 'Tunisia', '216', [8, 8]],
+  ['TR', 'Türkiye', '90', [10, 10]],
+  ['TM', 'Turkmenistan', '993', [8, 8]],
+  ['TC', 'Turks and Caicos Islands', '1', [10, 10], ['649']],
+  ['TV', 'Tuvalu', '688', [5, 6]],
+  ['UG', 'Uganda', '256', [9, 9]],
+  ['UA', 'Ukraine', '380', [9, 9]],
+  ['AE', 'United Arab Emirates', '971', [8, 9]],
+  ['GB', 'United Kingdom', '44', [10, 10]],
+  ['US', 'United States', '1', [10, 10]],
+  ['UM', 'United States Minor Outlying Islands', '1', [10, 10]],
+  ['UY', 'Uruguay', '598', [8, 8]],
+  ['UZ', 'Uzbekistan', '998', [9, 9]],
+  ['VU', 'Vanuatu', '678', [5, 7]],
+  ['VE', 'Venezuela', '58', [10, 10]],
+  ['VN', 'Viet Nam', '84', [9, 10]],
+  ['VG', 'Virgin Islands (British)', '1', [10, 10], ['284']],
+  ['VI', 'Virgin Islands (U.S.)', '1', [10, 10], ['340']],
+  ['WF', 'Wallis and Futuna', '681', [6, 6]],
+  ['EH', 'Western Sahara', '212', [9, 9], ['5288', '5289']],
+  ['YE', 'Yemen', '967', [7, 9]],
+  ['ZM', 'Zambia', '260', [9, 9]],
+  ['ZW', 'Zimbabwe', '263', [9, 10]]
+];
+
+// ISO 3166-1 alpha-3 codes, as printed in passport machine-readable zones (see mrz.js)
+const ALPHA3_CODES = {
+  AF: 'AFG', AX: 'ALA', AL: 'ALB', DZ: 'DZA', AS: 'ASM', AD: 'AND', AO: 'AGO', AI: 'AIA', AQ: 'ATA', AG: 'ATG',
+  AR: 'ARG', AM: 'ARM', AW: 'ABW', AU: 'AUS', AT: 'AUT', AZ: 'AZE', BS: 'BHS', BH: 'BHR', BD: 'BGD', BB: 'BRB',
+  BY: 'BLR', BE: 'BEL', BZ: 'BLZ', BJ: 'BEN', BM: 'BMU', BT: 'BTN', BO: 'BOL', BQ: 'BES', BA: 'BIH', BW: 'BWA',
+  BV: 'BVT', BR: 'BRA', IO: 'IOT', BN: 'BRN', BG: 'BGR', BF: 'BFA', BI: 'BDI', CV: 'CPV', KH: 'KHM', CM: 'CMR',
+  CA: 'CAN', KY: 'CYM', CF: 'CAF', TD: 'TCD', CL: 'CHL', CN: 'CHN', CX: 'CXR', CC: 'CCK', CO: 'COL', KM: 'COM',
+  CG: 'COG', CD: 'COD', CK: 'COK', CR: 'CRI', CI: 'CIV', HR: 'HRV', CU: 'CUB', CW: 'CUW', CY: 'CYP', CZ: 'CZE',
+  DK: 'DNK', DJ: 'DJI', DM: 'DMA', DO: 'DOM', EC: 'ECU', EG: 'EGY', SV: 'SLV', GQ: 'GNQ', ER: 'ERI', EE: 'EST',
+  SZ: 'SWZ', ET: 'ETH', FK: 'FLK', FO: 'FRO', FJ: 'FJI', FI: 'FIN', FR: 'FRA', GF: 'GUF', PF: 'PYF', TF: 'ATF',
+  GA: 'GAB', GM: 'GMB', GE: 'GEO', DE: 'DEU', GH: 'GHA', GI: 'GIB', GR: 'GRC', GL: 'GRL', GD: 'GRD', GP: 'GLP',
+  GU: 'GUM', GT: 'GTM', GG: 'GGY', GN: 'GIN', GW: 'GNB', GY: 'GUY', HT: 'HTI', HM: 'HMD', VA: 'VAT', HN: 'HND',
+  HK: 'HKG', HU: 'HUN', IS: 'ISL', IN: 'IND', ID: 'IDN', IR: 'IRN', IQ: 'IRQ', IE: 'IRL', IM: 'IMN', IL: 'ISR',
+  IT: 'ITA', JM: 'JAM', JP: 'JPN', JE: 'JEY', JO: 'JOR', KZ: 'KAZ', KE: 'KEN', KI: 'KIR', KP: 'PRK', KR: 'KOR',
+  KW: 'KWT', KG: 'KGZ', LA: 'LAO', LV: 'LVA', LB: 'LBN', LS: 'LSO', LR: 'LBR', LY: 'LBY', LI: 'LIE', LT: 'LTU',
+  LU: 'LUX', MO: 'MAC', MG: 'MDG', MW: 'MWI', MY: 'MYS', MV: 'MDV', ML: 'MLI', MT: 'MLT', MH: 'MHL', MQ: 'MTQ',
+  MR: 'MRT', MU: 'MUS', YT: 'MYT', MX: 'MEX', FM: 'FSM', MD: 'MDA', MC: 'MCO', MN: 'MNG', ME: 'MNE', MS: 'MSR',
+  MA: 'MAR', MZ: 'MOZ', MM: 'MMR', NA: 'NAM', NR: 'NRU', NP: 'NPL', NL: 'NLD', NC: 'NCL', NZ: 'NZL', NI: 'NIC',
+  NE: 'NER', NG: 'NGA', NU: 'NIU', NF: 'NFK', MK: 'MKD', MP: 'MNP', NO: 'NOR', OM: 'OMN', PK: 'PAK', PW: 'PLW',
+  PS: 'PSE', PA: 'PAN', PG: 'PNG', PY: 'PRY', PE: 'PER', PH: 'PHL', PN: 'PCN', PL: 'POL', PT: 'PRT', PR: 'PRI',
+  QA: 'QAT', RE: 'REU', RO: 'ROU', RU: 'RUS', RW: 'RWA', BL: 'BLM', SH: 'SHN', KN: 'KNA', LC: 'LCA', MF: 'MAF',
+  PM: 'SPM', VC: 'VCT', WS: 'WSM', SM: 'SMR', ST: 'STP', SA: 'SAU', SN: 'SEN', RS: 'SRB', SC: 'SYC', SL: 'SLE',
+  SG: 'SGP', SX: 'SXM', SK: 'SVK', SI: 'SVN', SB: 'SLB', SO: 'SOM', ZA: 'ZAF', GS: 'SGS', SS: 'SSD', ES: 'ESP',
+  LK: 'LKA', SD: 'SDN', SR: 'SUR', SJ: 'SJM', SE: 'SWE', CH: 'CHE', SY: 'SYR', TW: 'TWN', TJ: 'TJK', TZ: 'TZA',
+  TH: 'THA', TL: 'TLS', TG: 'TGO', TK: 'TKL', TO: 'TON', TT: 'TTO', TN: 'TUN', TR: 'TUR', TM: 'TKM', TC: 'TCA',
+  TV: 'TUV', UG: 'UGA', UA: 'UKR', AE: 'ARE', GB: 'GBR', US: 'USA', UM: 'UMI', UY: 'URY', UZ: 'UZB', VU: 'VUT',
+  VE: 'VEN', VN: 'VNM', VG: 'VGB', VI: 'VIR', WF: 'WLF', EH: 'ESH', YE: 'YEM', ZM: 'ZMB', ZW: 'ZWE'
+};
+
+export const countries = COUNTRY_ROWS.map(([code, name, callingCode, [minLength, maxLength], prefixes = []]) => ({
+  code,
+  alpha3: ALPHA3_CODES[code],
+  name,
+  callingCode,
+  minLength,
+  maxLength,
+  prefixes
+}));
+
+const countriesByCode = new Map(countries.map((country) => [country.code, country]));
+
+export const getCountry = (code) => countriesByCode.get(code) || null;
+
+export const isCountryCode = (code) => countriesByCode.has(code);
+
+const countriesByAlpha3 = new Map(countries.map((country) => [country.alpha3, country]));
+
+export const getCountryByAlpha3 = (code) => countriesByAlpha3.get(code) || null;
+
+const regionNames = new Map();
+
+// Names in other languages come from the runtime's CLDR data (Intl.DisplayNames); English uses the names above.
+// Falls back to the raw value so records saved before codes were enforced still display
+export const getCountryName = (code, locale = 'en') => {
+  if (!countriesByCode.has(code)) {
+    return code;
+  }
+  const { name } = countriesByCode.get(code);
+  if (locale === 'en') {
+    return name;
+  }
+  if (!regionNames.has(locale)) {
+    regionNames.set(locale, new Intl.DisplayNames([locale], { type: 'region', fallback: 'none' }));
+  }
+  const localized = regionNames.get(locale).of(code);
+  return localized && localized !== code ? localized : name;
+};
+
+export const countryOptions = countries.map((country) => ({ value: country.code, label: country.name }));
+
+const optionsByLocale = new Map([['en', countryOptions]]);
+
+// Country options named and sorted in the display language
+export const getCountryOptions = (locale = 'en') => {
+  if (!optionsByLocale.has(locale)) {
+    optionsByLocale.set(locale, countries
+      .map((country) => ({ value: country.code, label: getCountryName(country.code, locale) }))
+      .sort((a, b) => a.label.localeCompare(b.label, locale)));
+  }
+  return optionsByLocale.get(locale);
+};
+
+const countryNameKey = (value) => String(value).replace(/\(.*?\)/g, ' ').normalize('NFD').replace(/\p{M}/gu, '').toUpperCase().replace(/[^A-Z]+/g, ' ').trim();
+
+// Names other sources use that neither the list above nor CLDR gives
+const COUNTRY_NAME_ALIASES = {
+  'NORTH KOREA': 'KP',
+  'KOREA NORTH': 'KP',
+  'SOUTH KOREA': 'KR',
+  'KOREA SOUTH': 'KR',
+  BURMA: 'MM',
+  'IVORY COAST': 'CI',
+  UK: 'GB',
+  'GREAT BRITAIN': 'GB',
+  USA: 'US',
+  'UNITED STATES OF AMERICA': 'US',
+  'CAPE VERDE': 'CV',
+  SWAZILAND: 'SZ',
+  'CZECH REPUBLIC': 'CZ',
+  TURKEY: 'TR',
+  MACEDONIA: 'MK',
+  'VATICAN CITY': 'VA',
+  'PALESTINIAN TERRITORIES': 'PS',
+  'WEST BANK': 'PS',
+  GAZA: 'PS',
+  VIETNAM: 'VN',
+  RUSSIA: 'RU',
+  SYRIA: 'SY',
+  LAOS: 'LA'
+};
+
+let countriesByNameKey = null;
+
+/**
+ * The alpha-2 code for a country given as an alpha-2 or alpha-3 code or an English name, for data from
+ * other systems ("Russia", "RUS", "Korea, North"). Null when it can't be told.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const findCountryCode = (value) => {
+  const key = countryNameKey(value || '');
+  if (key.length === 2 && countriesByCode.has(key)) {
+    return key;
+  }
+  if (key.length === 3 && countriesByAlpha3.has(key)) {
+    return countriesByAlpha3.get(key).code;
+  }
+  if (!countriesByNameKey) {
+    const englishNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+    countriesByNameKey = new Map(Object.entries(COUNTRY_NAME_ALIASES));
+    countries.forEach(({ code, name }) => {
+      [name, englishNames.of(code)].filter(Boolean).forEach((candidate) => {
+        if (!countriesByNameKey.has(countryNameKey(candidate))) {
+          countriesByNameKey.set(countryNameKey(candidate), code);
+        }
+      });
+    });
+    // "Bolivia" for "Bolivia, Plurinational State of", unless two countries share the short name (Korea)
+    const shortNames = countries.filter(({ name }) => name.includes(',')).map(({ code, name }) => [countryNameKey(name.split(',')[0]), code]);
+    shortNames.forEach(([shortName, code]) => {
+      if (!countriesByNameKey.has(shortName) && shortNames.filter(([other]) => other === shortName).length === 1) {
+        countriesByNameKey.set(shortName, code);
+      }
+    });
+  }
+  return countriesByNameKey.get(key) || null;
+};
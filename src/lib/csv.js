@@ -0,0 +1,79 @@
+// CSV reading for uploaded files (watchlists, FX rate sheets and bank statements) and writing for exports.
+// RFC 4180: quoted fields may hold the delimiter, doubled quotes and line breaks.
+
+/**
+ * @param {string} content
+ * @param {string} [delimiter]
+ * @returns {string[][]} rows of fields, blank lines dropped
+ */
+export const parseCsv = (content, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const character = source[i];
+    if (quoted) {
+      if (character === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+// Rows as objects keyed by lower-cased header
+export const parseCsvRecords = (content, delimiter = ',') => {
+  const [header = [], ...rows] = parseCsv(content, delimiter);
+  const keys = header.map((name) => name.trim().toLowerCase());
+  return rows.map((row) => Object.fromEntries(keys.map((key, i) => [key, (row[i] || '').trim()])));
+};
+
+// A value that opens with one of these is read as a formula by spreadsheet programs
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV line for exports opened in a spreadsheet. Dates are written in ISO 8601, other objects as JSON, null
+ * and undefined as empty fields, and text that would start a formula is prefixed with an apostrophe.
+ * @param {Array} values
+ * @returns {string} without the line break
+ */
+export const formatCsvRow = (values) => values.map((value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let field;
+  if (value instanceof Date) {
+    field = value.toISOString();
+  } else {
+    field = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  if (typeof value === 'string' && FORMULA_PREFIX.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}).join(',');
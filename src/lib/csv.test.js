@@ -0,0 +1,47 @@
+import { formatCsvRow, parseCsv, parseCsvRecords } from './csv.js';
+
+describe('parseCsv', () => {
+  test('reads quoted delimiters, doubled quotes and line breaks', () => {
+    expect(parseCsv('name,notes\n"Doe, Jane","said ""hi""\nthen left"\n')).toEqual([
+      ['name', 'notes'],
+      ['Doe, Jane', 'said "hi"\nthen left']
+    ]);
+  });
+
+  test('handles CRLF, a byte order mark and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('keeps empty fields and takes another delimiter', () => {
+    expect(parseCsv('a;;c', ';')).toEqual([['a', '', 'c']]);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  test('keys rows by lower-cased header, trimming values and filling short rows', () => {
+    expect(parseCsvRecords(' Currency ,Rate\nEUR , 0.92\nGBP')).toEqual([
+      { currency: 'EUR', rate: '0.92' },
+      { currency: 'GBP', rate: '' }
+    ]);
+  });
+
+  test('returns nothing for an empty file', () => {
+    expect(parseCsvRecords('')).toEqual([]);
+  });
+});
+
+describe('formatCsvRow', () => {
+  test('quotes fields holding delimiters, quotes or line breaks', () => {
+    expect(formatCsvRow(['plain', 'Doe, Jane', 'said "hi"', 'two\nlines'])).toBe('plain,"Doe, Jane","said ""hi""","two\nlines"');
+  });
+
+  test('writes dates in ISO 8601, objects as JSON and nothing for null', () => {
+    expect(formatCsvRow([new Date('2025-03-14T10:30:00Z'), { a: 1 }, null, undefined, 0]))
+      .toBe('2025-03-14T10:30:00.000Z,"{""a"":1}",,,0');
+  });
+
+  test('keeps text from starting a formula', () => {
+    expect(formatCsvRow(['=SUM(A1:A2)', '+1', '@cmd'])).toBe('\'=SUM(A1:A2),\'+1,\'@cmd');
+    expect(formatCsvRow([-5])).toBe('-5');
+  });
+});
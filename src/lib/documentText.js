@@ -0,0 +1,63 @@
+// Text carried by an uploaded document, for finding a passport MRZ in it (see mrz.js).
+// There is no OCR here: plain text files are read as they are, PDFs and images through the text their
+// scanner embedded (a "searchable" scan), with PDF content streams inflated by the browser's DecompressionStream.
+// Text in PDF fonts without a Latin encoding can't be recovered; the applicant types the MRZ instead.
+
+// One character per byte, so string offsets are byte offsets
+const toLatin1 = (bytes) => {
+  let text = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return text;
+};
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const findFlateStreams = (raw, bytes) => {
+  const streams = [];
+  for (const match of raw.matchAll(/(?<!end)stream\r?\n/g)) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    const dictionary = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+    if (end !== -1 && dictionary.includes('/FlateDecode')) {
+      const length = raw.slice(start, end).replace(/\r?\n$/, '').length;
+      streams.push(bytes.subarray(start, start + length));
+    }
+  }
+  return streams;
+};
+
+const LITERAL_STRING = /\(((?:\\.|[^\\)])*)\)/g;
+
+// The literal strings each BT ... ET text object shows, run together: scanners often place a line
+// glyph by glyph, so joining them restores the line
+const extractPdfText = (content) =>
+  [...content.matchAll(/BT([^]*?)ET/g)]
+    .map(([, textObject]) => [...textObject.matchAll(LITERAL_STRING)].map(([, text]) => text.replace(/\\(.)/g, '$1')).join(''))
+    .join('\n');
+
+/**
+ * All the text that can be read out of the file, for searching rather than display.
+ * @param {File|Blob} file
+ * @returns {Promise<string>}
+ */
+export const readDocumentText = async (file) => {
+  if (file.type.startsWith('text/')) {
+    return file.text();
+  }
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const raw = toLatin1(bytes);
+  const contents = [raw];
+  for (const stream of findFlateStreams(raw, bytes)) {
+    try {
+      contents.push(toLatin1(await inflate(stream)));
+    } catch {
+      // Fonts and images are Flate-compressed too, and not every stream inflates cleanly; none of them hold text
+    }
+  }
+  return contents.map((content) => `${content}\n${extractPdfText(content)}`).join('\n');
+};
@@ -0,0 +1,35 @@
+// Display text for a stored form value: country and currency codes become names, phone numbers get spaced,
+// dates and numbers are written the locale's way.
+// Option values are shown through the field's optionLabels when it has been localized (see i18n.js).
+import { getCountryName } from './countries.js';
+import { getCurrencyName } from './currencies.js';
+import { formatPhoneNumber } from './phoneNumbers.js';
+import { formatDate, formatNumber } from './localeFormat.js';
+
+const optionLabel = (field, option) => (field.optionLabels && field.optionLabels[option]) || option;
+
+export const formatFieldValue = (field, value, locale = 'en') => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => optionLabel(field, item)).join(', ');
+  }
+  switch (field.type) {
+    case 'country':
+      return getCountryName(value, locale);
+    case 'currency':
+      return `${value} - ${getCurrencyName(value, locale)}`;
+    case 'tel':
+      return formatPhoneNumber(value);
+    case 'date':
+      return value === '' ? '' : formatDate(value, locale);
+    case 'number':
+      return value === '' || Number.isNaN(Number(value)) ? String(value) : formatNumber(value, locale);
+    case 'select':
+    case 'radio':
+      return optionLabel(field, value);
+    default:
+      return String(value);
+  }
+};
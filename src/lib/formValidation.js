@@ -0,0 +1,335 @@
+// Shared onboarding form validator
+// Evaluates the declarative rules in formFields.js. Free of npm dependencies so the wizard
+// and the backend (server/) run exactly the same checks on an application.
+//
+// Reference data types: "country" and "currency" hold ISO 3166-1 alpha-2 / ISO 4217 codes,
+// "tel" holds an E.164 number (see phoneNumbers.js); phoneCountryField names the country field
+// whose calling code a national number is dialled from. "mrz" holds a passport's machine-readable zone,
+// whose check digits must pass (see mrz.js).
+//
+// Field rule keys:
+//   required      - always required
+//   requiredWhen  - condition under which the field becomes required
+//   visibleWhen   - condition under which the field is shown (hidden fields are never validated)
+//   pattern       - RegExp the value must match, with optional patternMessage
+//   minLength / maxLength
+//   minAge / maxAge - for date fields, age in whole years on the validation date
+//   min / max     - for number fields
+//
+// Repeatable fields hold a list of items, each filled in with the field's own "fields":
+// type "party" for people named on the application, type "group" for anything else
+// (e.g. tax residencies). Extra keys: itemLabel, minItems, maxItems, and
+//   ownership - { field, minTotal } the items' percentages must add up to at least minTotal (and at most 100)
+// Item errors are keyed "<field>.<index>.<item field>", list errors by the field name.
+//
+// Conditions:
+//   { field, equals }   { field, notEquals }   { field, in: [...] }
+//   { field, includes } (checkbox groups)      { anyFilled: [fieldNames] }
+//   { all: [conditions] }                      { any: [conditions] }
+//
+// Error messages are built from validationMessages; options.messages (same keys) replaces them,
+// e.g. with a translation (see i18n.js). Labels come from the fields themselves.
+
+import { isCountryCode } from './countries.js';
+import { isCurrencyCode } from './currencies.js';
+import { isValidMrz } from './mrz.js';
+import { isValidPhoneNumber, normalizePhoneNumber } from './phoneNumbers.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const URL_PATTERN = /^(https?:\/\/)?([\w-]+\.)+[\w-]{2,}(\/\S*)?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// {label} is the field label, {item} its itemLabel and {items} the English plural used after a count
+export const validationMessages = {
+  required: '{label} is required',
+  email: '{label} must be a valid email address',
+  url: '{label} must be a valid website address',
+  tel: '{label} must be a valid international phone number, e.g. +1 345 949 0000',
+  country: '{label} must be a country from the list',
+  currency: '{label} must be a currency from the list',
+  date: '{label} must be a valid date',
+  mrz: '{label} must be both full lines from the passport, with matching check digits',
+  invalidSelection: '{label} has an invalid selection',
+  number: '{label} must be a number',
+  invalidList: '{label} is not a valid list',
+  minLength: '{label} must be at least {minLength} characters',
+  maxLength: '{label} must be at most {maxLength} characters',
+  pattern: '{label} is not in a valid format',
+  min: '{label} must be at least {min}',
+  max: '{label} must be at most {max}',
+  minItems: 'Add at least {minItems} {items}',
+  maxItems: 'No more than {maxItems} {items} can be added',
+  minAge: '{label} indicates an age under {minAge}',
+  maxAge: '{label} indicates an age over {maxAge}',
+  ownershipOver: 'Disclosed ownership totals {total}%, which is more than 100%',
+  ownershipUnder: 'Disclosed ownership totals {total}%; at least {minTotal}% must be disclosed'
+};
+
+const formatMessage = (options, key, params) => {
+  const template = (options.messages && options.messages[key]) || validationMessages[key];
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+const itemsLabel = (field, count) => `${field.itemLabel.toLowerCase()}${count > 1 ? 's' : ''}`;
+
+export const isEmptyValue = (value) =>
+  Array.isArray(value) ? value.length === 0 : value === undefined || value === null || String(value).trim() === '';
+
+export const evaluateCondition = (condition, data) => {
+  if (!condition) {
+    return true;
+  }
+  if (condition.all) {
+    return condition.all.every((item) => evaluateCondition(item, data));
+  }
+  if (condition.any) {
+    return condition.any.some((item) => evaluateCondition(item, data));
+  }
+  if (condition.anyFilled) {
+    return condition.anyFilled.some((name) => !isEmptyValue(data[name]));
+  }
+
+  const value = data[condition.field];
+  if ('equals' in condition) {
+    return value === condition.equals;
+  }
+  if ('notEquals' in condition) {
+    return value !== condition.notEquals;
+  }
+  if ('in' in condition) {
+    return condition.in.includes(value);
+  }
+  if ('includes' in condition) {
+    return Array.isArray(value) && value.includes(condition.includes);
+  }
+  throw new Error(`Unsupported form condition: ${JSON.stringify(condition)}`);
+};
+
+export const isRepeatableField = (field) => field.type === 'party' || field.type === 'group';
+
+export const isFieldVisible = (field, data) => evaluateCondition(field.visibleWhen, data);
+
+export const isFieldRequired = (field, data) =>
+  isFieldVisible(field, data) && (field.required === true || (field.requiredWhen ? evaluateCondition(field.requiredWhen, data) : false));
+
+export const getVisibleFields = (step, data) => step.fields.filter((field) => isFieldVisible(field, data));
+
+// A calendar date in YYYY-MM-DD. Date.parse rolls impossible days over (2023-02-29 becomes March 1st),
+// so the parts must come back unchanged from a UTC date built from them.
+const isIsoDate = (value) => {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Whole years between an ISO date (YYYY-MM-DD) and the reference date
+export const calculateAge = (isoDate, referenceDate = new Date()) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  let age = referenceDate.getFullYear() - year;
+  const monthDiff = referenceDate.getMonth() + 1 - month;
+  if (monthDiff < 0 || (monthDiff === 0 && referenceDate.getDate() < day)) {
+    age--;
+  }
+  return age;
+};
+
+const typeMessageKey = (field, value) => {
+  switch (field.type) {
+    case 'email':
+      return EMAIL_PATTERN.test(value) ? null : 'email';
+    case 'url':
+      return URL_PATTERN.test(value) ? null : 'url';
+    case 'tel':
+      return isValidPhoneNumber(value) ? null : 'tel';
+    case 'country':
+      return isCountryCode(value) ? null : 'country';
+    case 'currency':
+      return isCurrencyCode(value) ? null : 'currency';
+    case 'date':
+      return isIsoDate(value) ? null : 'date';
+    case 'mrz':
+      return isValidMrz(value) ? null : 'mrz';
+    case 'select':
+    case 'radio':
+      return field.options.includes(value) ? null : 'invalidSelection';
+    case 'checkbox':
+      return Array.isArray(value) && value.every((item) => field.options.includes(item)) ? null : 'invalidSelection';
+    case 'number':
+      return Number.isFinite(Number(value)) ? null : 'number';
+    case 'party':
+    case 'group':
+      return Array.isArray(value) && value.every((item) => item && typeof item === 'object') ? null : 'invalidList';
+    default:
+      return null;
+  }
+};
+
+const minItemsMessage = (field, minItems, options) =>
+  formatMessage(options, 'minItems', { label: field.label, minItems, item: field.itemLabel, items: itemsLabel(field, minItems) });
+
+// Returns the first error message for a field, or null when it is valid
+export const validateField = (field, data, options = {}) => {
+  if (!isFieldVisible(field, data)) {
+    return null;
+  }
+
+  const value = data[field.name];
+  if (isEmptyValue(value)) {
+    if (isRepeatableField(field) && field.minItems) {
+      return minItemsMessage(field, field.minItems, options);
+    }
+    return isFieldRequired(field, data) ? formatMessage(options, 'required', { label: field.label }) : null;
+  }
+
+  const typeError = typeMessageKey(field, value);
+  if (typeError) {
+    return formatMessage(options, typeError, { label: field.label });
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (field.minLength && trimmed.length < field.minLength) {
+      return formatMessage(options, 'minLength', { label: field.label, minLength: field.minLength });
+    }
+    if (field.maxLength && trimmed.length > field.maxLength) {
+      return formatMessage(options, 'maxLength', { label: field.label, maxLength: field.maxLength });
+    }
+    if (field.pattern && !field.pattern.test(trimmed)) {
+      return field.patternMessage || formatMessage(options, 'pattern', { label: field.label });
+    }
+  }
+
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (field.min !== undefined && number < field.min) {
+      return formatMessage(options, 'min', { label: field.label, min: field.min });
+    }
+    if (field.max !== undefined && number > field.max) {
+      return formatMessage(options, 'max', { label: field.label, max: field.max });
+    }
+  }
+
+  if (isRepeatableField(field)) {
+    if (field.minItems && value.length < field.minItems) {
+      return minItemsMessage(field, field.minItems, options);
+    }
+    if (field.maxItems && value.length > field.maxItems) {
+      return formatMessage(options, 'maxItems', {
+        label: field.label, maxItems: field.maxItems, item: field.itemLabel, items: itemsLabel(field, field.maxItems)
+      });
+    }
+  }
+
+  if (field.type === 'date' && (field.minAge !== undefined || field.maxAge !== undefined)) {
+    const age = calculateAge(value, options.referenceDate);
+    if (field.minAge !== undefined && age < field.minAge) {
+      return formatMessage(options, 'minAge', { label: field.label, minAge: field.minAge });
+    }
+    if (field.maxAge !== undefined && age > field.maxAge) {
+      return formatMessage(options, 'maxAge', { label: field.label, maxAge: field.maxAge });
+    }
+  }
+
+  return null;
+};
+
+export const getPartyItemKey = (field, index, subField) => `${field.name}.${index}.${subField.name}`;
+
+// List and item errors for a repeatable field
+export const validateParty = (field, data, options = {}) => {
+  const errors = {};
+  if (!isFieldVisible(field, data)) {
+    return errors;
+  }
+
+  const groupError = validateField(field, data, options);
+  if (groupError) {
+    errors[field.name] = groupError;
+  }
+
+  const items = Array.isArray(data[field.name]) ? data[field.name] : [];
+  items.forEach((item, index) => {
+    field.fields.forEach((subField) => {
+      const error = validateField(subField, item || {}, options);
+      if (error) {
+        errors[getPartyItemKey(field, index, subField)] = error;
+      }
+    });
+  });
+
+  if (field.ownership && items.length > 0 && !errors[field.name]) {
+    const shares = items.map((item) => Number(item[field.ownership.field]));
+    if (shares.every(Number.isFinite)) {
+      const total = Math.round(shares.reduce((sum, share) => sum + share, 0) * 100) / 100;
+      if (total > 100) {
+        errors[field.name] = formatMessage(options, 'ownershipOver', { label: field.label, total });
+      } else if (total < field.ownership.minTotal) {
+        errors[field.name] = formatMessage(options, 'ownershipUnder', { label: field.label, total, minTotal: field.ownership.minTotal });
+      }
+    }
+  }
+
+  return errors;
+};
+
+export const validateStep = (step, data, options = {}) => {
+  const errors = {};
+  step.fields.forEach((field) => {
+    if (isRepeatableField(field)) {
+      Object.assign(errors, validateParty(field, data, options));
+      return;
+    }
+    const error = validateField(field, data, options);
+    if (error) {
+      errors[field.name] = error;
+    }
+  });
+  return errors;
+};
+
+// Validates every step; stepErrors is keyed by step number so callers can jump to the first failing page
+export const validateForm = (steps, data, options = {}) => {
+  const errors = {};
+  const stepErrors = {};
+  steps.forEach((step) => {
+    const result = validateStep(step, data, options);
+    if (Object.keys(result).length > 0) {
+      stepErrors[step.step] = result;
+      Object.assign(errors, result);
+    }
+  });
+  return { valid: Object.keys(errors).length === 0, errors, stepErrors };
+};
+
+const sanitizeFields = (fields, data) => {
+  const clean = {};
+  fields.filter((field) => isFieldVisible(field, data)).forEach((field) => {
+    const value = data[field.name];
+    if (isRepeatableField(field)) {
+      const items = (Array.isArray(value) ? value : [])
+        .map((item) => sanitizeFields(field.fields, item || {}))
+        .filter((item) => Object.keys(item).length > 0);
+      if (items.length > 0) {
+        clean[field.name] = items;
+      }
+    } else if (!isEmptyValue(value)) {
+      clean[field.name] = typeof value === 'string' ? value.trim() : value;
+      if (field.type === 'tel') {
+        clean[field.name] = normalizePhoneNumber(clean[field.name], data[field.phoneCountryField]);
+      }
+    }
+  });
+  return clean;
+};
+
+// Keeps only values for fields that exist in the schema and are currently visible
+export const sanitizeFormData = (steps, data) => {
+  const clean = {};
+  steps.forEach((step) => {
+    Object.assign(clean, sanitizeFields(step.fields, data));
+  });
+  return clean;
+};
@@ -0,0 +1,181 @@
+import {
+  calculateAge,
+  evaluateCondition,
+  isFieldRequired,
+  isFieldVisible,
+  sanitizeFormData,
+  validateField,
+  validateForm,
+  validateParty
+} from './formValidation.js';
+
+const referenceDate = new Date(2025, 5, 15);
+
+describe('evaluateCondition', () => {
+  const data = { usResident: 'Yes', entityType: ['Corporation', 'Others'], secondaryName: '', secondaryEmail: 'b@example.com' };
+
+  test('treats a missing condition as true', () => {
+    expect(evaluateCondition(undefined, data)).toBe(true);
+  });
+
+  test('compares values', () => {
+    expect(evaluateCondition({ field: 'usResident', equals: 'Yes' }, data)).toBe(true);
+    expect(evaluateCondition({ field: 'usResident', notEquals: 'Yes' }, data)).toBe(false);
+    expect(evaluateCondition({ field: 'usResident', in: ['No', 'Yes'] }, data)).toBe(true);
+  });
+
+  test('looks inside checkbox groups', () => {
+    expect(evaluateCondition({ field: 'entityType', includes: 'Others' }, data)).toBe(true);
+    expect(evaluateCondition({ field: 'usResident', includes: 'Yes' }, data)).toBe(false);
+  });
+
+  test('is true once any of the fields is filled', () => {
+    expect(evaluateCondition({ anyFilled: ['secondaryName', 'secondaryEmail'] }, data)).toBe(true);
+    expect(evaluateCondition({ anyFilled: ['secondaryName'] }, data)).toBe(false);
+  });
+
+  test('combines conditions', () => {
+    const yes = { field: 'usResident', equals: 'Yes' };
+    const no = { field: 'usResident', equals: 'No' };
+    expect(evaluateCondition({ all: [yes, no] }, data)).toBe(false);
+    expect(evaluateCondition({ any: [yes, no] }, data)).toBe(true);
+  });
+
+  test('rejects an unknown condition', () => {
+    expect(() => evaluateCondition({ field: 'usResident', startsWith: 'Y' }, data)).toThrow('Unsupported form condition');
+  });
+});
+
+describe('conditional fields', () => {
+  const usName = {
+    name: 'usName',
+    label: 'U.S. Name',
+    type: 'text',
+    visibleWhen: { field: 'usResident', equals: 'Yes' },
+    requiredWhen: { field: 'usResident', equals: 'Yes' }
+  };
+
+  test('are required only while their condition holds', () => {
+    expect(isFieldRequired(usName, { usResident: 'Yes' })).toBe(true);
+    expect(validateField(usName, { usResident: 'Yes' })).toBe('U.S. Name is required');
+    expect(isFieldRequired(usName, { usResident: 'No' })).toBe(false);
+  });
+
+  test('are not validated while hidden', () => {
+    const pattern = { ...usName, pattern: /^\d+$/ };
+    expect(isFieldVisible(pattern, { usResident: 'No' })).toBe(false);
+    expect(validateField(pattern, { usResident: 'No', usName: 'not digits' })).toBeNull();
+  });
+
+  test('are dropped from the submitted data while hidden', () => {
+    const steps = [{ step: 1, fields: [{ name: 'usResident', label: 'U.S. Resident', type: 'radio', options: ['Yes', 'No'] }, usName] }];
+    expect(sanitizeFormData(steps, { usResident: 'No', usName: 'Jane Doe', unknown: 'x' })).toEqual({ usResident: 'No' });
+    expect(sanitizeFormData(steps, { usResident: 'Yes', usName: '  Jane Doe ' })).toEqual({ usResident: 'Yes', usName: 'Jane Doe' });
+  });
+});
+
+describe('validateField', () => {
+  test('uses the pattern message when there is one', () => {
+    const field = { name: 'passportNumber', label: 'Passport Number', type: 'text', pattern: /^[A-Z0-9]{5,15}$/i };
+    expect(validateField(field, { passportNumber: 'AB-12' })).toBe('Passport Number is not in a valid format');
+    expect(validateField({ ...field, patternMessage: 'Letters and digits only' }, { passportNumber: 'AB-12' })).toBe('Letters and digits only');
+    expect(validateField(field, { passportNumber: 'AB1234567' })).toBeNull();
+  });
+
+  test('checks the age from a date of birth on the validation date', () => {
+    const field = { name: 'dateOfBirth', label: 'Date of Birth', type: 'date', minAge: 18, maxAge: 120 };
+    expect(validateField(field, { dateOfBirth: '2007-06-16' }, { referenceDate })).toBe('Date of Birth indicates an age under 18');
+    expect(validateField(field, { dateOfBirth: '2007-06-15' }, { referenceDate })).toBeNull();
+    expect(validateField(field, { dateOfBirth: '1900-01-01' }, { referenceDate })).toBe('Date of Birth indicates an age over 120');
+    expect(validateField(field, { dateOfBirth: '2007-13-40' }, { referenceDate })).toBe('Date of Birth must be a valid date');
+  });
+
+  test('rejects days a month does not have', () => {
+    const field = { name: 'dateOfBirth', label: 'Date of Birth', type: 'date' };
+    expect(validateField(field, { dateOfBirth: '2023-02-29' })).toBe('Date of Birth must be a valid date');
+    expect(validateField(field, { dateOfBirth: '2024-02-30' })).toBe('Date of Birth must be a valid date');
+    expect(validateField(field, { dateOfBirth: '2024-04-31' })).toBe('Date of Birth must be a valid date');
+    expect(validateField(field, { dateOfBirth: '2024-02-29' })).toBeNull();
+  });
+
+  test('checks number bounds', () => {
+    const field = { name: 'share', label: 'Share', type: 'number', min: 0.01, max: 100 };
+    expect(validateField(field, { share: '0' })).toBe('Share must be at least 0.01');
+    expect(validateField(field, { share: '101' })).toBe('Share must be at most 100');
+    expect(validateField(field, { share: 'ten' })).toBe('Share must be a number');
+  });
+
+  test('builds messages from options.messages', () => {
+    const field = { name: 'email', label: 'Correo', type: 'email', required: true };
+    expect(validateField(field, {}, { messages: { required: '{label} es obligatorio' } })).toBe('Correo es obligatorio');
+  });
+});
+
+describe('calculateAge', () => {
+  test('counts a year only once the birthday has passed', () => {
+    expect(calculateAge('2000-06-15', referenceDate)).toBe(25);
+    expect(calculateAge('2000-06-16', referenceDate)).toBe(24);
+    expect(calculateAge('2000-07-01', referenceDate)).toBe(24);
+  });
+});
+
+describe('validateForm', () => {
+  test('reports errors by step', () => {
+    const steps = [
+      { step: 1, fields: [{ name: 'firstName', label: 'First Name', type: 'text', required: true }] },
+      { step: 2, fields: [{ name: 'email', label: 'Email', type: 'email', required: true }] }
+    ];
+    const result = validateForm(steps, { firstName: 'Ana', email: 'not-an-email' });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual({ email: 'Email must be a valid email address' });
+    expect(Object.keys(result.stepErrors)).toEqual(['2']);
+  });
+});
+
+describe('repeatable parties', () => {
+  const owners = {
+    name: 'beneficialOwners',
+    label: 'Beneficial Owners',
+    type: 'party',
+    itemLabel: 'Beneficial Owner',
+    minItems: 1,
+    maxItems: 3,
+    ownership: { field: 'ownershipPercentage', minTotal: 75 },
+    fields: [
+      { name: 'firstName', label: 'First Name', type: 'text', required: true },
+      { name: 'ownershipPercentage', label: 'Ownership (%)', type: 'number', required: true, min: 0.01, max: 100 }
+    ]
+  };
+  const owner = (firstName, ownershipPercentage) => ({ firstName, ownershipPercentage });
+
+  test('need their minimum number of items', () => {
+    expect(validateParty(owners, {})).toEqual({ beneficialOwners: 'Add at least 1 beneficial owner' });
+  });
+
+  test('allow no more than their maximum', () => {
+    const data = { beneficialOwners: [owner('A', 25), owner('B', 25), owner('C', 25), owner('D', 25)] };
+    expect(validateParty(owners, data)).toEqual({ beneficialOwners: 'No more than 3 beneficial owners can be added' });
+  });
+
+  test('key item errors by field, index and item field', () => {
+    const data = { beneficialOwners: [owner('A', 60), owner('', 30)] };
+    expect(validateParty(owners, data)).toEqual({ 'beneficialOwners.1.firstName': 'First Name is required' });
+  });
+
+  test('must disclose at least the ownership threshold', () => {
+    expect(validateParty(owners, { beneficialOwners: [owner('A', 40), owner('B', 30)] }))
+      .toEqual({ beneficialOwners: 'Disclosed ownership totals 70%; at least 75% must be disclosed' });
+    expect(validateParty(owners, { beneficialOwners: [owner('A', 45), owner('B', 30)] })).toEqual({});
+  });
+
+  test('cannot disclose more than 100%', () => {
+    expect(validateParty(owners, { beneficialOwners: [owner('A', 60), owner('B', 50)] }))
+      .toEqual({ beneficialOwners: 'Disclosed ownership totals 110%, which is more than 100%' });
+  });
+
+  test('are submitted as lists of their known fields, without empty items', () => {
+    const steps = [{ step: 1, fields: [owners] }];
+    const data = { beneficialOwners: [{ firstName: ' Ana ', ownershipPercentage: 80, extra: 'x' }, {}] };
+    expect(sanitizeFormData(steps, data)).toEqual({ beneficialOwners: [{ firstName: 'Ana', ownershipPercentage: 80 }] });
+  });
+});
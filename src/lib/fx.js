@@ -0,0 +1,137 @@
+// Foreign exchange for fund transfers: the rate sheet, the bank's spread and the quote a cross-currency
+// transfer is booked at. Shared by the admin API, which quotes each transfer as it is entered, and the admin
+// dashboard.
+//
+// Rates are mid-market and quoted as units of the currency per US dollar, the way rate sheets publish them
+// (EUR 0.9215, JPY 149.80); USD is always 1. Conversions between two other currencies go through USD.
+// The bank sells a currency at its bid (fewer units per dollar than mid) and buys it at its ask (more), and
+// what the client pays over the mid-market conversion is the bank's FX income.
+import { getCurrency, isCurrencyCode } from './currencies.js';
+import { parseCsvRecords } from './csv.js';
+
+/**
+ * Spread in basis points each side of mid, by currency; defaultBps for the rest. The fx_spread system
+ * setting overrides any top-level key.
+ */
+export const defaultFxSpreadConfig = {
+  defaultBps: 50,
+  currencies: {
+    EUR: 25,
+    GBP: 25,
+    CAD: 30
+  }
+};
+
+export const mergeFxSpreadConfig = (overrides) => (overrides
+  ? { ...defaultFxSpreadConfig, ...overrides }
+  : defaultFxSpreadConfig);
+
+export const getSpreadBps = (currency, config = defaultFxSpreadConfig) => {
+  if (currency === 'USD') {
+    return 0;
+  }
+  const bps = config.currencies && config.currencies[currency];
+  return bps === undefined ? config.defaultBps : bps;
+};
+
+/**
+ * Mid, bid and ask of a currency against USD, in units per dollar.
+ * @param {string} currency
+ * @param {number|string} mid - units per USD
+ * @param {Object} [config] - see defaultFxSpreadConfig
+ */
+export const getFxRateSides = (currency, mid, config = defaultFxSpreadConfig) => {
+  const spread = getSpreadBps(currency, config) / 10000;
+  return { mid: Number(mid), bid: Number(mid) * (1 - spread), ask: Number(mid) * (1 + spread) };
+};
+
+// Amount rounded half up to the currency's minor units
+export const roundToMinorUnits = (amount, currency) => {
+  const details = getCurrency(currency);
+  const factor = 10 ** (details ? details.minorUnits : 2);
+  return Math.round((Number(amount) + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Reads an uploaded rate sheet: CSV with a header row naming a currency column (currency or code) and a
+ * rate column (rate or mid), rates in units per USD.
+ * @param {string} content
+ * @returns {{ rates: { currency: string, rate: number }[], errors: { line: number, message: string }[] }}
+ */
+export const parseFxRateSheet = (content) => {
+  const records = parseCsvRecords(content);
+  const rates = [];
+  const errors = [];
+
+  if (records.length > 0 && !(('currency' in records[0] || 'code' in records[0]) && ('rate' in records[0] || 'mid' in records[0]))) {
+    return { rates, errors: [{ line: 1, message: 'The header needs a currency and a rate column' }] };
+  }
+  records.forEach((record, index) => {
+    const line = index + 2;
+    const currency = (record.currency || record.code || '').toUpperCase();
+    const rate = Number(record.rate || record.mid);
+    if (!isCurrencyCode(currency)) {
+      errors.push({ line, message: `Unknown currency ${currency || '(blank)'}` });
+    } else if (currency === 'USD') {
+      errors.push({ line, message: 'USD is always 1' });
+    } else if (!(rate > 0)) {
+      errors.push({ line, message: `Rate for ${currency} must be a positive number` });
+    } else if (rates.some((item) => item.currency === currency)) {
+      errors.push({ line, message: `${currency} is listed twice` });
+    } else {
+      rates.push({ currency, rate });
+    }
+  });
+  return { rates, errors };
+};
+
+/**
+ * The currencies in `currencies` without a rate.
+ * @param {string[]} currencies
+ * @param {Object} rates - units per USD by currency code
+ */
+export const getMissingFxRates = (currencies, rates) =>
+  currencies.filter((currency) => currency !== 'USD' && !(Number(rates[currency]) > 0));
+
+/**
+ * What a transfer costs the debit account: the transfer amount converted at the bank's rates, and the part
+ * of it that is the bank's FX income.
+ * @param {{ amount: number|string, currency: string, debitCurrency: string }} transfer - amount and currency
+ *   are what the beneficiary is sent; debitCurrency is the account's
+ * @param {Object} rates - units per USD by currency code; see getMissingFxRates
+ * @param {Object} [config] - see defaultFxSpreadConfig
+ * @returns {{ debitAmount: number, debitCurrency: string, rate: number, midRate: number, midDebitAmount: number,
+ *   fee: number, amountUsd: number }} rate and midRate are debit currency units per unit of the transfer currency
+ */
+export const quoteFxConversion = ({ amount, currency, debitCurrency }, rates, config = defaultFxSpreadConfig) => {
+  const missing = getMissingFxRates([currency, debitCurrency], rates);
+  if (missing.length > 0) {
+    throw new Error(`No FX rate for ${missing.join(', ')}`);
+  }
+  const unitsPerUsd = (code) => (code === 'USD' ? 1 : Number(rates[code]));
+  const amountUsd = roundToMinorUnits(Number(amount) / unitsPerUsd(currency), 'USD');
+
+  if (currency === debitCurrency) {
+    const debitAmount = roundToMinorUnits(amount, currency);
+    return { debitAmount, debitCurrency, rate: 1, midRate: 1, midDebitAmount: debitAmount, fee: 0, amountUsd };
+  }
+
+  // The bank sells the transfer currency at its bid and takes the dollars from the client at the debit
+  // currency's ask
+  const sold = getFxRateSides(currency, unitsPerUsd(currency), config);
+  const bought = getFxRateSides(debitCurrency, unitsPerUsd(debitCurrency), config);
+  const rate = bought.ask / sold.bid;
+  const midRate = bought.mid / sold.mid;
+  const debitAmount = roundToMinorUnits(Number(amount) * rate, debitCurrency);
+  const midDebitAmount = roundToMinorUnits(Number(amount) * midRate, debitCurrency);
+
+  return {
+    debitAmount,
+    debitCurrency,
+    rate,
+    midRate,
+    midDebitAmount,
+    fee: roundToMinorUnits(debitAmount - midDebitAmount, debitCurrency),
+    amountUsd
+  };
+};
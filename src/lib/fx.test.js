@@ -0,0 +1,92 @@
+import {
+  getFxRateSides,
+  getMissingFxRates,
+  getSpreadBps,
+  mergeFxSpreadConfig,
+  parseFxRateSheet,
+  quoteFxConversion,
+  roundToMinorUnits
+} from './fx.js';
+
+const rates = { EUR: 0.9215, GBP: 0.79, JPY: 149.8 };
+
+describe('spreads', () => {
+  test('come from the currency, the default, or nothing for USD', () => {
+    expect(getSpreadBps('EUR')).toBe(25);
+    expect(getSpreadBps('JPY')).toBe(50);
+    expect(getSpreadBps('USD')).toBe(0);
+    expect(getSpreadBps('JPY', mergeFxSpreadConfig({ defaultBps: 80 }))).toBe(80);
+  });
+
+  test('put the bid below mid and the ask above it', () => {
+    const sides = getFxRateSides('EUR', '0.9215');
+    expect(sides.mid).toBe(0.9215);
+    expect(sides.bid).toBeCloseTo(0.9215 * 0.9975, 10);
+    expect(sides.ask).toBeCloseTo(0.9215 * 1.0025, 10);
+  });
+});
+
+describe('roundToMinorUnits', () => {
+  test('rounds half up to the currency\'s decimals', () => {
+    expect(roundToMinorUnits(1.005, 'USD')).toBe(1.01);
+    expect(roundToMinorUnits(149.5, 'JPY')).toBe(150);
+    expect(roundToMinorUnits(1.2345, 'BHD')).toBe(1.235);
+  });
+});
+
+describe('quoteFxConversion', () => {
+  test('charges the spread on a conversion from dollars', () => {
+    const quote = quoteFxConversion({ amount: 1000, currency: 'EUR', debitCurrency: 'USD' }, rates);
+    expect(quote).toMatchObject({ debitAmount: 1087.91, midDebitAmount: 1085.19, fee: 2.72, amountUsd: 1085.19 });
+    expect(quote.rate).toBeCloseTo(1 / (0.9215 * 0.9975), 10);
+    expect(quote.midRate).toBeCloseTo(1 / 0.9215, 10);
+  });
+
+  test('crosses two other currencies through the dollar, with both spreads', () => {
+    const quote = quoteFxConversion({ amount: 1000, currency: 'EUR', debitCurrency: 'GBP' }, rates);
+    expect(quote.rate).toBeCloseTo((0.79 * 1.0025) / (0.9215 * 0.9975), 10);
+    expect(quote).toMatchObject({ debitAmount: 861.6, midDebitAmount: 857.3, fee: 4.3 });
+  });
+
+  test('keeps enough precision for currencies with many units per dollar', () => {
+    const quote = quoteFxConversion({ amount: 100000, currency: 'JPY', debitCurrency: 'USD' }, rates);
+    expect(quote.rate.toFixed(8)).toBe('0.00670911');
+    expect(quote.debitAmount).toBe(670.91);
+  });
+
+  test('leaves a same-currency transfer unconverted', () => {
+    expect(quoteFxConversion({ amount: '250.456', currency: 'EUR', debitCurrency: 'EUR' }, rates)).toEqual({
+      debitAmount: 250.46, debitCurrency: 'EUR', rate: 1, midRate: 1, midDebitAmount: 250.46, fee: 0, amountUsd: 271.79
+    });
+  });
+
+  test('fails without a rate', () => {
+    expect(getMissingFxRates(['USD', 'EUR', 'CHF'], rates)).toEqual(['CHF']);
+    expect(() => quoteFxConversion({ amount: 10, currency: 'CHF', debitCurrency: 'USD' }, rates)).toThrow('No FX rate for CHF');
+  });
+});
+
+describe('parseFxRateSheet', () => {
+  test('reads currency and rate columns', () => {
+    expect(parseFxRateSheet('Currency,Rate\neur,0.9215\nJPY,149.80\n')).toEqual({
+      rates: [{ currency: 'EUR', rate: 0.9215 }, { currency: 'JPY', rate: 149.8 }],
+      errors: []
+    });
+    expect(parseFxRateSheet('code,mid\nGBP,0.79').rates).toEqual([{ currency: 'GBP', rate: 0.79 }]);
+  });
+
+  test('reports bad lines by line number', () => {
+    const { rates: parsed, errors } = parseFxRateSheet('currency,rate\nEUR,0.92\nXXX,1\nUSD,1\nGBP,-1\nEUR,0.93');
+    expect(parsed).toEqual([{ currency: 'EUR', rate: 0.92 }]);
+    expect(errors).toEqual([
+      { line: 3, message: 'Unknown currency XXX' },
+      { line: 4, message: 'USD is always 1' },
+      { line: 5, message: 'Rate for GBP must be a positive number' },
+      { line: 6, message: 'EUR is listed twice' }
+    ]);
+  });
+
+  test('needs a header naming both columns', () => {
+    expect(parseFxRateSheet('EUR,0.92\nGBP,0.79').errors).toEqual([{ line: 1, message: 'The header needs a currency and a rate column' }]);
+  });
+});
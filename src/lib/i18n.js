@@ -0,0 +1,195 @@
+// Onboarding translations
+// Every piece of text in formFields.js has a translation key. The English catalog is generated from the
+// schema itself, so formFields.js stays the only place English form text is written; the other locales
+// live in src/locales/<locale>.js.
+//
+// Keys:
+//   steps.<account type>.<step>            step titles
+//   fields.<i18nKey or name>               field labels; ".item" for itemLabel, ".pattern" for patternMessage
+//   options.<English option>               option text (the stored value stays English)
+//   instructions.<account type>.title      formSubmissionInstructions; ".<index>" for each instruction,
+//                                          ".methods.<index>.method|formats|note" for submission methods
+//   validation.<key>                       validationMessages from formValidation.js
+//   signature.consent                      signatureConsentText from signatories.js
+//   anything else                          wizard text, listed in src/locales/en.js
+//
+// A key missing from a locale falls back along its chain (zh-TW -> zh -> en), and to the key itself
+// when even English lacks it. findMissingTranslations() reports the gaps per locale.
+
+import { formSchemas, formSubmissionInstructions } from '../formFields.js';
+import { validationMessages } from './formValidation.js';
+import { signatureConsentText } from './signatories.js';
+import en from '../locales/en.js';
+import es from '../locales/es.js';
+import ar from '../locales/ar.js';
+import zh from '../locales/zh.js';
+
+export const defaultLocale = 'en';
+export const supportedLocales = ['en', 'es', 'ar', 'zh'];
+export const rtlLocales = ['ar'];
+
+const translatedCatalogs = { es, ar, zh };
+
+export const getFieldKey = (field) => `fields.${field.i18nKey || field.name}`;
+
+const forEachField = (fields, callback) => {
+  fields.forEach((field) => {
+    callback(field);
+    if (field.fields) {
+      forEachField(field.fields, callback);
+    }
+  });
+};
+
+// Keys that get two different English texts are conflicts: the field needs an i18nKey
+const buildEnglishCatalog = () => {
+  const catalog = { ...en };
+  const conflicts = new Set();
+  const add = (key, text) => {
+    if (Object.hasOwn(catalog, key) && catalog[key] !== text) {
+      conflicts.add(key);
+    }
+    catalog[key] = text;
+  };
+
+  Object.entries(formSchemas).forEach(([accountType, steps]) => {
+    steps.forEach((step) => {
+      add(`steps.${accountType}.${step.step}`, step.title);
+      forEachField(step.fields, (field) => {
+        const key = getFieldKey(field);
+        add(key, field.label);
+        if (field.itemLabel) {
+          add(`${key}.item`, field.itemLabel);
+        }
+        if (field.patternMessage) {
+          add(`${key}.pattern`, field.patternMessage);
+        }
+        (field.options || []).forEach((option) => add(`options.${option}`, option));
+      });
+    });
+  });
+
+  Object.entries(formSubmissionInstructions).forEach(([accountType, instructions]) => {
+    const prefix = `instructions.${accountType}`;
+    add(`${prefix}.title`, instructions.title);
+    instructions.instructions.forEach((text, index) => add(`${prefix}.${index}`, text));
+    instructions.submissionMethods.forEach((method, index) => {
+      ['method', 'formats', 'note']
+        .filter((part) => method[part])
+        .forEach((part) => add(`${prefix}.methods.${index}.${part}`, method[part]));
+    });
+  });
+
+  Object.entries(validationMessages).forEach(([key, text]) => add(`validation.${key}`, text));
+  add('signature.consent', signatureConsentText);
+
+  return { catalog, conflicts: [...conflicts] };
+};
+
+const english = buildEnglishCatalog();
+const catalogs = { [defaultLocale]: english.catalog, ...translatedCatalogs };
+
+/**
+ * Locales to look a key up in, most specific first: "zh-TW" -> ["zh", "en"].
+ * Only locales that have a catalog are kept; English always ends the chain.
+ */
+export const getFallbackChain = (locale) => {
+  const parts = String(locale || defaultLocale).replace(/_/g, '-').split('-');
+  parts[0] = parts[0].toLowerCase();
+  const chain = [];
+  for (let length = parts.length; length > 0; length -= 1) {
+    chain.push(parts.slice(0, length).join('-'));
+  }
+  chain.push(defaultLocale);
+  return [...new Set(chain)].filter((candidate) => Object.hasOwn(catalogs, candidate));
+};
+
+// The supported locale a requested one resolves to ("es-MX" -> "es", "fr" -> "en")
+export const resolveLocale = (locale) => getFallbackChain(locale)[0];
+
+// Fills {name} placeholders from params; placeholders without a value are left in place
+export const interpolate = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) => (Object.hasOwn(params, name) ? String(params[name]) : placeholder));
+
+// "rtl" for right-to-left scripts, for the dir attribute
+export const getTextDirection = (locale) => (rtlLocales.includes(resolveLocale(locale)) ? 'rtl' : 'ltr');
+
+export const translate = (locale, key, params) => {
+  const catalog = getFallbackChain(locale).map((candidate) => catalogs[candidate]).find((entries) => Object.hasOwn(entries, key));
+  return interpolate(catalog ? catalog[key] : key, params);
+};
+
+// t(key, params) bound to one locale; t.locale is the resolved locale
+export const createTranslator = (locale) => {
+  const t = (key, params) => translate(locale, key, params);
+  t.locale = resolveLocale(locale);
+  return t;
+};
+
+const localizeField = (field, t) => {
+  const key = getFieldKey(field);
+  const localized = { ...field, label: t(key) };
+  if (field.itemLabel) {
+    localized.itemLabel = t(`${key}.item`);
+  }
+  if (field.patternMessage) {
+    localized.patternMessage = t(`${key}.pattern`);
+  }
+  if (field.options) {
+    localized.optionLabels = Object.fromEntries(field.options.map((option) => [option, t(`options.${option}`)]));
+  }
+  if (field.fields) {
+    localized.fields = field.fields.map((subField) => localizeField(subField, t));
+  }
+  return localized;
+};
+
+/**
+ * The account type's form schema with its text in t's language.
+ * Names, option values and rules are unchanged, so the copy validates and saves exactly like the original;
+ * optionLabels maps each option value to the text to show for it.
+ */
+export const localizeSteps = (accountType, t) =>
+  formSchemas[accountType].map((step) => ({
+    ...step,
+    title: t(`steps.${accountType}.${step.step}`),
+    fields: step.fields.map((field) => localizeField(field, t))
+  }));
+
+export const localizeInstructions = (accountType, t) => {
+  const instructions = formSubmissionInstructions[accountType];
+  const prefix = `instructions.${accountType}`;
+  return {
+    title: t(`${prefix}.title`),
+    instructions: instructions.instructions.map((text, index) => t(`${prefix}.${index}`)),
+    submissionMethods: instructions.submissionMethods.map((method, index) => ({
+      ...method,
+      method: t(`${prefix}.methods.${index}.method`),
+      ...(method.formats && { formats: t(`${prefix}.methods.${index}.formats`) }),
+      ...(method.note && { note: t(`${prefix}.methods.${index}.note`) })
+    }))
+  };
+};
+
+// validationMessages in t's language, for formValidation's options.messages
+export const getValidationMessages = (t) =>
+  Object.fromEntries(Object.keys(validationMessages).map((key) => [key, t(`validation.${key}`)]));
+
+/**
+ * Compares each translated catalog with the English keys.
+ * conflicts - schema keys given two different English texts (add an i18nKey in formFields.js)
+ * missing   - keys the locale lacks; they are shown in English
+ * unused    - keys English no longer has
+ * @returns {{ conflicts: string[], locales: Object<string, { missing: string[], unused: string[] }> }}
+ */
+export const findMissingTranslations = () => {
+  const englishKeys = Object.keys(english.catalog);
+  const locales = {};
+  Object.entries(translatedCatalogs).forEach(([locale, catalog]) => {
+    locales[locale] = {
+      missing: englishKeys.filter((key) => !Object.hasOwn(catalog, key)),
+      unused: Object.keys(catalog).filter((key) => !Object.hasOwn(english.catalog, key))
+    };
+  });
+  return { conflicts: english.conflicts, locales };
+};
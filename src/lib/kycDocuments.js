@@ -0,0 +1,12 @@
+// Document types a KYC reviewer can ask an applicant for (kyc_documents.document_type in the admin schema).
+// Shared with both APIs so a requested type is always one the status page can label and accept.
+export const kycDocumentTypes = [
+  'passport',
+  'drivers_license',
+  'national_id',
+  'utility_bill',
+  'bank_statement',
+  'tax_return',
+  'employment_letter',
+  'other'
+];
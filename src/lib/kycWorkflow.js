@@ -0,0 +1,88 @@
+// KYC review workflow: the stages a KYC request moves through, which moves are allowed, and which admin
+// roles may act on a request in each stage. The admin API enforces it and records every move in
+// kyc_stage_transitions; the admin dashboard renders the same definitions.
+//
+// submitted -> document_review -> screening -> compliance_signoff -> approved
+//                                     \-> edd -/
+// Any open stage can end in rejected or withdrawn; compliance sign-off can send a request back.
+
+export const kycStages = [
+  'submitted',
+  'document_review',
+  'screening',
+  'edd',
+  'compliance_signoff',
+  'approved',
+  'rejected',
+  'withdrawn'
+];
+
+export const kycStageLabels = {
+  submitted: 'Submitted',
+  document_review: 'Document Review',
+  screening: 'Screening',
+  edd: 'Enhanced Due Diligence',
+  compliance_signoff: 'Compliance Sign-off',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  withdrawn: 'Withdrawn'
+};
+
+export const finalKycStages = ['approved', 'rejected', 'withdrawn'];
+
+const kycTransitions = {
+  submitted: ['document_review', 'rejected', 'withdrawn'],
+  document_review: ['screening', 'rejected', 'withdrawn'],
+  screening: ['compliance_signoff', 'edd', 'rejected', 'withdrawn'],
+  edd: ['compliance_signoff', 'rejected', 'withdrawn'],
+  compliance_signoff: ['approved', 'document_review', 'edd', 'rejected', 'withdrawn'],
+  approved: [],
+  rejected: [],
+  withdrawn: []
+};
+
+// Admin roles (admin_users.role) that may move a request out of each stage; super_admin may act on any
+export const kycStageRoles = {
+  submitted: ['admin', 'manager', 'analyst'],
+  document_review: ['admin', 'manager', 'analyst'],
+  screening: ['admin', 'manager', 'analyst'],
+  edd: ['admin', 'manager'],
+  compliance_signoff: ['admin', 'manager']
+};
+
+// kyc_requests.status each stage reports, for screens that only know pending/in review/decided
+export const kycStageStatus = {
+  submitted: 'pending',
+  document_review: 'in_review',
+  screening: 'in_review',
+  edd: 'in_review',
+  compliance_signoff: 'in_review',
+  approved: 'approved',
+  rejected: 'rejected',
+  withdrawn: 'withdrawn'
+};
+
+export const isKycTransitionAllowed = (fromStage, toStage) => (kycTransitions[fromStage] || []).includes(toStage);
+
+export const canActOnKycStage = (role, stage) => role === 'super_admin' || (kycStageRoles[stage] || []).includes(role);
+
+// Ending a request or sending it back to an earlier stage needs a written reason
+export const kycTransitionRequiresNotes = (fromStage, toStage) =>
+  toStage === 'rejected' || toStage === 'withdrawn' || kycStages.indexOf(toStage) < kycStages.indexOf(fromStage);
+
+/**
+ * The stages a request can move to next, or none when the role may not act on its current stage.
+ * @param {string} stage - the request's current stage
+ * @param {string} role - the acting admin's role
+ * @returns {{ stage: string, label: string, requiresNotes: boolean }[]}
+ */
+export const getAvailableKycTransitions = (stage, role) => {
+  if (!canActOnKycStage(role, stage)) {
+    return [];
+  }
+  return (kycTransitions[stage] || []).map((toStage) => ({
+    stage: toStage,
+    label: kycStageLabels[toStage],
+    requiresNotes: kycTransitionRequiresNotes(stage, toStage)
+  }));
+};
@@ -0,0 +1,89 @@
+import {
+  canActOnKycStage,
+  finalKycStages,
+  getAvailableKycTransitions,
+  isKycTransitionAllowed,
+  kycStages,
+  kycTransitionRequiresNotes
+} from './kycWorkflow.js';
+
+describe('isKycTransitionAllowed', () => {
+  test('allows the review path in order', () => {
+    expect(isKycTransitionAllowed('submitted', 'document_review')).toBe(true);
+    expect(isKycTransitionAllowed('document_review', 'screening')).toBe(true);
+    expect(isKycTransitionAllowed('screening', 'compliance_signoff')).toBe(true);
+    expect(isKycTransitionAllowed('compliance_signoff', 'approved')).toBe(true);
+  });
+
+  test('routes screening through enhanced due diligence', () => {
+    expect(isKycTransitionAllowed('screening', 'edd')).toBe(true);
+    expect(isKycTransitionAllowed('edd', 'compliance_signoff')).toBe(true);
+  });
+
+  test('lets compliance sign-off send a request back', () => {
+    expect(isKycTransitionAllowed('compliance_signoff', 'document_review')).toBe(true);
+    expect(isKycTransitionAllowed('compliance_signoff', 'edd')).toBe(true);
+  });
+
+  test('lets any open stage end in rejected or withdrawn', () => {
+    kycStages.filter((stage) => !finalKycStages.includes(stage)).forEach((stage) => {
+      expect(isKycTransitionAllowed(stage, 'rejected')).toBe(true);
+      expect(isKycTransitionAllowed(stage, 'withdrawn')).toBe(true);
+    });
+  });
+
+  test('forbids skipping stages and approving before sign-off', () => {
+    expect(isKycTransitionAllowed('submitted', 'screening')).toBe(false);
+    expect(isKycTransitionAllowed('document_review', 'approved')).toBe(false);
+    expect(isKycTransitionAllowed('edd', 'approved')).toBe(false);
+    expect(isKycTransitionAllowed('screening', 'document_review')).toBe(false);
+  });
+
+  test('forbids moving a decided request or staying put', () => {
+    finalKycStages.forEach((stage) => {
+      expect(isKycTransitionAllowed(stage, 'document_review')).toBe(false);
+    });
+    expect(isKycTransitionAllowed('rejected', 'approved')).toBe(false);
+    expect(isKycTransitionAllowed('screening', 'screening')).toBe(false);
+    expect(isKycTransitionAllowed('unknown', 'approved')).toBe(false);
+  });
+});
+
+describe('canActOnKycStage', () => {
+  test('keeps enhanced due diligence and sign-off from analysts', () => {
+    expect(canActOnKycStage('analyst', 'screening')).toBe(true);
+    expect(canActOnKycStage('analyst', 'edd')).toBe(false);
+    expect(canActOnKycStage('analyst', 'compliance_signoff')).toBe(false);
+    expect(canActOnKycStage('manager', 'compliance_signoff')).toBe(true);
+  });
+
+  test('lets super_admin act on any stage, and nobody else on a decided one', () => {
+    expect(canActOnKycStage('super_admin', 'compliance_signoff')).toBe(true);
+    expect(canActOnKycStage('admin', 'approved')).toBe(false);
+  });
+});
+
+describe('kycTransitionRequiresNotes', () => {
+  test('needs a reason to end a request or send it back', () => {
+    expect(kycTransitionRequiresNotes('screening', 'rejected')).toBe(true);
+    expect(kycTransitionRequiresNotes('submitted', 'withdrawn')).toBe(true);
+    expect(kycTransitionRequiresNotes('compliance_signoff', 'edd')).toBe(true);
+    expect(kycTransitionRequiresNotes('screening', 'edd')).toBe(false);
+    expect(kycTransitionRequiresNotes('compliance_signoff', 'approved')).toBe(false);
+  });
+});
+
+describe('getAvailableKycTransitions', () => {
+  test('lists the next stages for a role that may act', () => {
+    expect(getAvailableKycTransitions('edd', 'manager')).toEqual([
+      { stage: 'compliance_signoff', label: 'Compliance Sign-off', requiresNotes: false },
+      { stage: 'rejected', label: 'Rejected', requiresNotes: true },
+      { stage: 'withdrawn', label: 'Withdrawn', requiresNotes: true }
+    ]);
+  });
+
+  test('lists nothing for a role that may not act, or a decided request', () => {
+    expect(getAvailableKycTransitions('edd', 'analyst')).toEqual([]);
+    expect(getAvailableKycTransitions('approved', 'super_admin')).toEqual([]);
+  });
+});
@@ -0,0 +1,34 @@
+// The site language, kept in the URL (?lang=ar) so a shared link opens in it, and in localStorage so it
+// survives the next visit. The URL wins over storage; a first visit follows the browser's language.
+import { defaultLocale, resolveLocale, supportedLocales } from './i18n.js';
+
+const URL_PARAM = 'lang';
+const STORAGE_KEY = 'alhambra.language';
+
+// localStorage throws in some private browsing modes; the choice then lasts only as long as the URL
+const readStoredLanguage = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const getInitialLanguage = () => {
+  const requested = [new URLSearchParams(window.location.search).get(URL_PARAM), readStoredLanguage()]
+    .find((language) => supportedLocales.includes(language));
+  return requested || resolveLocale(window.navigator.language || defaultLocale);
+};
+
+export const storeLanguage = (language) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, language);
+  } catch {
+    // Not persisted; the URL still carries it
+  }
+  const url = new URL(window.location.href);
+  if (url.searchParams.get(URL_PARAM) !== language) {
+    url.searchParams.set(URL_PARAM, language);
+    window.history.replaceState(window.history.state, '', url);
+  }
+};
@@ -0,0 +1,72 @@
+// Double-entry ledger behind client accounts. Every movement is a journal entry whose lines debit and credit
+// ledger accounts, each line in one currency; an entry balances in every currency it touches, so a
+// cross-currency transfer runs through the FX position account, one leg per currency. Each ledger account
+// keeps a sub-balance per currency in ledger_balances.
+//
+// Client accounts are liabilities of the bank: a credit raises the balance, a debit lowers it.
+
+export const ledgerAccountTypes = ['asset', 'liability', 'equity', 'income', 'expense'];
+
+// Types whose balance grows with debits
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+/**
+ * The bank's own ledger accounts, by the system_code they are seeded with.
+ */
+export const internalLedgerAccounts = {
+  payments_clearing: { name: 'Outgoing payments clearing', type: 'liability' },
+  fx_position: { name: 'FX position', type: 'asset' },
+  fx_income: { name: 'FX income', type: 'income' },
+  opening_balances: { name: 'Opening balances', type: 'equity' }
+};
+
+// Change a line makes to its account's balance
+export const getBalanceChange = (accountType, { debit = 0, credit = 0 }) => (DEBIT_NORMAL_TYPES.includes(accountType)
+  ? Number(debit) - Number(credit)
+  : Number(credit) - Number(debit));
+
+// Amounts are compared in hundredths of a minor unit so floating-point sums don't leave a false difference
+const toUnits = (amount) => Math.round(Number(amount) * 10000);
+
+/**
+ * Currencies in which an entry's debits and credits differ.
+ * @param {{ currency: string, debit?: number, credit?: number }[]} lines
+ * @returns {string[]}
+ */
+export const getUnbalancedCurrencies = (lines) => {
+  const totals = {};
+  lines.forEach(({ currency, debit = 0, credit = 0 }) => {
+    totals[currency] = (totals[currency] || 0) + toUnits(debit) - toUnits(credit);
+  });
+  return Object.keys(totals).filter((currency) => totals[currency] !== 0);
+};
+
+/**
+ * The journal lines that book an approved transfer. `account` is 'client' for the debit account and a
+ * system_code otherwise.
+ * @param {{ amount: number|string, currency: string, debit_amount?: number|string, debit_currency?: string,
+ *   fx_fee?: number|string }} transfer - fund_transfers row; the debit_* and fx_fee columns are set when it
+ *   was entered in another currency than its account's
+ * @returns {{ account: string, currency: string, debit: number, credit: number }[]}
+ */
+export const buildTransferJournalLines = (transfer) => {
+  const amount = Number(transfer.amount);
+  const debitCurrency = transfer.debit_currency || transfer.currency;
+
+  if (debitCurrency === transfer.currency) {
+    return [
+      { account: 'client', currency: transfer.currency, debit: amount, credit: 0 },
+      { account: 'payments_clearing', currency: transfer.currency, debit: 0, credit: amount }
+    ];
+  }
+
+  const debitAmount = Number(transfer.debit_amount);
+  const fee = Number(transfer.fx_fee || 0);
+  return [
+    { account: 'client', currency: debitCurrency, debit: debitAmount, credit: 0 },
+    { account: 'fx_position', currency: debitCurrency, debit: 0, credit: Math.round((debitAmount - fee) * 10000) / 10000 },
+    ...(fee !== 0 ? [{ account: 'fx_income', currency: debitCurrency, debit: 0, credit: fee }] : []),
+    { account: 'fx_position', currency: transfer.currency, debit: amount, credit: 0 },
+    { account: 'payments_clearing', currency: transfer.currency, debit: 0, credit: amount }
+  ];
+};
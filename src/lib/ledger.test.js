@@ -0,0 +1,56 @@
+import { buildTransferJournalLines, getBalanceChange, getUnbalancedCurrencies } from './ledger.js';
+
+describe('getBalanceChange', () => {
+  test('raises liabilities with credits and assets with debits', () => {
+    expect(getBalanceChange('liability', { credit: 100 })).toBe(100);
+    expect(getBalanceChange('liability', { debit: 40 })).toBe(-40);
+    expect(getBalanceChange('asset', { debit: '25.50' })).toBe(25.5);
+    expect(getBalanceChange('income', { credit: 2.72 })).toBe(2.72);
+  });
+});
+
+describe('getUnbalancedCurrencies', () => {
+  test('checks each currency on its own', () => {
+    expect(getUnbalancedCurrencies([
+      { currency: 'USD', debit: 100 },
+      { currency: 'EUR', credit: 100 }
+    ])).toEqual(['USD', 'EUR']);
+  });
+
+  test('ignores floating-point dust', () => {
+    expect(getUnbalancedCurrencies([
+      { currency: 'USD', debit: 0.1 },
+      { currency: 'USD', debit: 0.2 },
+      { currency: 'USD', credit: 0.3 }
+    ])).toEqual([]);
+  });
+});
+
+describe('buildTransferJournalLines', () => {
+  test('books a same-currency transfer from the client to clearing', () => {
+    const lines = buildTransferJournalLines({ amount: '500.00', currency: 'USD' });
+    expect(lines).toEqual([
+      { account: 'client', currency: 'USD', debit: 500, credit: 0 },
+      { account: 'payments_clearing', currency: 'USD', debit: 0, credit: 500 }
+    ]);
+  });
+
+  test('books a converted transfer through the FX position with the fee as income, balanced in both currencies', () => {
+    const lines = buildTransferJournalLines({
+      amount: '1000.00', currency: 'EUR', debit_amount: '1087.91', debit_currency: 'USD', fx_fee: '2.72'
+    });
+    expect(lines).toEqual([
+      { account: 'client', currency: 'USD', debit: 1087.91, credit: 0 },
+      { account: 'fx_position', currency: 'USD', debit: 0, credit: 1085.19 },
+      { account: 'fx_income', currency: 'USD', debit: 0, credit: 2.72 },
+      { account: 'fx_position', currency: 'EUR', debit: 1000, credit: 0 },
+      { account: 'payments_clearing', currency: 'EUR', debit: 0, credit: 1000 }
+    ]);
+    expect(getUnbalancedCurrencies(lines)).toEqual([]);
+  });
+
+  test('leaves out the income line when there is no fee', () => {
+    const lines = buildTransferJournalLines({ amount: 10, currency: 'EUR', debit_amount: 11, debit_currency: 'USD', fx_fee: 0 });
+    expect(lines.map((line) => line.account)).not.toContain('fx_income');
+  });
+});
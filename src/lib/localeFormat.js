@@ -0,0 +1,32 @@
+// Numbers, money, percentages and dates in the reader's language, through Intl.
+// Locales are the site's language codes (en, es, ar, zh); Intl supplies each one's digits, separators
+// and symbol placement, so nothing here builds "$1,234.56" by hand.
+
+const formatters = new Map();
+
+// Intl formatters are costly to build and these are called once per cell
+const getFormatter = (Formatter, locale, options) => {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Formatter(locale, options));
+  }
+  return formatters.get(key);
+};
+
+export const formatNumber = (value, locale = 'en', options = {}) =>
+  getFormatter(Intl.NumberFormat, locale, options).format(Number(value));
+
+export const formatCurrency = (value, locale = 'en', currency = 'USD', options = {}) =>
+  formatNumber(value, locale, { style: 'currency', currency, ...options });
+
+// value is in percentage points: 1.74 -> "1.74%"
+export const formatPercent = (value, locale = 'en', options = {}) =>
+  formatNumber(Number(value) / 100, locale, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2, ...options });
+
+// Date-only strings ("1980-01-31") are calendar dates, read in local time so they never shift a day
+const toDate = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value));
+
+export const formatDate = (value, locale = 'en', options = { dateStyle: 'medium' }) => {
+  const date = toDate(value);
+  return Number.isNaN(date.getTime()) ? String(value) : getFormatter(Intl.DateTimeFormat, locale, options).format(date);
+};
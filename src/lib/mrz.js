@@ -0,0 +1,196 @@
+// Passport machine-readable zone (ICAO Doc 9303 part 4, TD3): the two 44-character lines at the foot
+// of a passport's data page.
+//
+// Line 1: P, document type, issuing state, then SURNAME<<GIVEN<NAMES padded with "<"
+// Line 2: document number, check, nationality, birth date YYMMDD, check, sex, expiry date YYMMDD, check,
+//         personal number, check, and a composite check over the whole line
+//
+// Check digits weight each character 7, 3, 1 in turn (digits as themselves, A-Z as 10-35, "<" as 0).
+// Shared with the backend so an application's MRZ is checked the same way on submission.
+import { getCountryByAlpha3 } from './countries.js';
+
+const TD3_PATTERN = new RegExp(
+  '(P[A-Z<][A-Z<]{3}[A-Z<]{39})\\n?' +
+  '([A-Z0-9<]{9}[0-9<][A-Z<]{3}[0-9<]{6}[0-9<][MFX<][0-9<]{6}[0-9<][A-Z0-9<]{14}[0-9<]{2})'
+);
+
+// Issuing codes that are not ISO 3166-1 alpha-3: Germany's "D" and the British nationality classes
+const ICAO_COUNTRY_CODES = { D: 'DE', GBD: 'GB', GBN: 'GB', GBO: 'GB', GBP: 'GB', GBS: 'GB' };
+
+const WEIGHTS = [7, 3, 1];
+
+const characterValue = (character) => {
+  if (character === '<') {
+    return 0;
+  }
+  return /\d/.test(character) ? Number(character) : character.charCodeAt(0) - 55;
+};
+
+export const computeCheckDigit = (text) =>
+  [...text].reduce((sum, character, index) => sum + characterValue(character) * WEIGHTS[index % 3], 0) % 10;
+
+const checks = (text, checkDigit) => computeCheckDigit(text) === characterValue(checkDigit);
+
+const stripFiller = (text) => text.replace(/</g, ' ').trim().replace(/\s+/g, ' ');
+
+// Alpha-2 code for an MRZ state code ("GBR" -> "GB"); null for organizations and unknown codes
+export const getMrzCountryCode = (code) => {
+  const trimmed = code.replace(/</g, '');
+  if (ICAO_COUNTRY_CODES[trimmed]) {
+    return ICAO_COUNTRY_CODES[trimmed];
+  }
+  const country = getCountryByAlpha3(trimmed);
+  return country ? country.code : null;
+};
+
+// YYMMDD to YYYY-MM-DD. Birth dates are never in the future; expiry dates fall within the next 50 years.
+const toIsoDate = (yymmdd, kind, referenceDate) => {
+  if (!/^\d{6}$/.test(yymmdd)) {
+    return null;
+  }
+  const [yy, mm, dd] = [yymmdd.slice(0, 2), yymmdd.slice(2, 4), yymmdd.slice(4, 6)];
+  const currentYear = referenceDate.getFullYear();
+  let year = 2000 + Number(yy);
+  if ((kind === 'birth' && year > currentYear) || (kind === 'expiry' && year > currentYear + 50)) {
+    year -= 100;
+  }
+  const iso = `${year}-${mm}-${dd}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(iso) ? iso : null;
+};
+
+/**
+ * Finds and reads a TD3 machine-readable zone in text: a pasted MRZ, or text extracted from a scan.
+ * Spaces inside the lines are ignored, as OCR tends to insert them.
+ * @param {string} text
+ * @param {Date} [referenceDate] - decides the century of two-digit years
+ * @returns {Object|null} the zone's fields, its check digit results and whether they all pass;
+ *   null when the text holds no TD3 zone
+ */
+export const parseMrz = (text, referenceDate = new Date()) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const compact = text.toUpperCase().replace(/[ \t\r]/g, '').replace(/\n+/g, '\n');
+  const match = compact.match(TD3_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, line1, line2] = match;
+
+  const nameField = line1.slice(5);
+  const separator = nameField.indexOf('<<');
+  const surname = separator === -1 ? nameField : nameField.slice(0, separator);
+  const givenNames = separator === -1 ? '' : nameField.slice(separator + 2);
+
+  const documentNumber = line2.slice(0, 9);
+  const birthDate = line2.slice(13, 19);
+  const expiryDate = line2.slice(21, 27);
+  const personalNumber = line2.slice(28, 42);
+  const checkResults = {
+    passportNumber: checks(documentNumber, line2[9]),
+    dateOfBirth: checks(birthDate, line2[19]),
+    expiryDate: checks(expiryDate, line2[27]),
+    personalNumber: checks(personalNumber, line2[42]),
+    composite: checks(line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, 43), line2[43])
+  };
+
+  return {
+    lines: [line1, line2],
+    documentType: line1.slice(0, 2).replace(/</g, ''),
+    issuingState: line1.slice(2, 5).replace(/</g, ''),
+    surname: stripFiller(surname),
+    givenNames: stripFiller(givenNames),
+    // A name field without trailing filler was cut to fit the line
+    nameTruncated: !nameField.endsWith('<'),
+    passportNumber: documentNumber.replace(/</g, ''),
+    nationality: line2.slice(10, 13).replace(/</g, ''),
+    dateOfBirth: toIsoDate(birthDate, 'birth', referenceDate),
+    sex: line2[20] === '<' ? null : line2[20],
+    expiryDate: toIsoDate(expiryDate, 'expiry', referenceDate),
+    personalNumber: personalNumber.replace(/</g, ''),
+    checks: checkResults,
+    valid: Object.values(checkResults).every(Boolean)
+  };
+};
+
+// The two lines, one per row, as an application stores them
+export const formatMrz = (mrz) => mrz.lines.join('\n');
+
+export const isValidMrz = (text) => {
+  const mrz = parseMrz(text);
+  return mrz !== null && mrz.valid;
+};
+
+const titleCase = (text) => text.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, start, letter) => start + letter.toUpperCase());
+
+/**
+ * The identity fields (formFields.js personFields) the zone answers; fields it cannot answer are left out.
+ * The first given name fills firstName and any others middleName.
+ */
+export const getMrzPersonValues = (mrz) => {
+  const [firstName, ...middleNames] = mrz.givenNames.split(' ').filter(Boolean);
+  const values = {
+    firstName: firstName && titleCase(firstName),
+    middleName: middleNames.length > 0 ? titleCase(middleNames.join(' ')) : undefined,
+    lastName: mrz.surname && titleCase(mrz.surname),
+    dateOfBirth: mrz.dateOfBirth,
+    passportNumber: mrz.passportNumber,
+    countryOfIssuance: getMrzCountryCode(mrz.issuingState)
+  };
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+};
+
+// Latin letters the MRZ spells out rather than dropping their accent (Doc 9303 part 3, section 6)
+const TRANSLITERATIONS = { Æ: 'AE', Œ: 'OE', Ø: 'OE', ß: 'SS', Þ: 'TH', Ð: 'D', Đ: 'D', Ł: 'L', Ħ: 'H', Ĳ: 'IJ' };
+// ...and those that may be written either way (Müller: MULLER or MUELLER)
+const OPTIONAL_TRANSLITERATIONS = { Ä: 'AE', Ö: 'OE', Ü: 'UE', Å: 'AA' };
+
+const toMrzName = (name, expand) => {
+  let upper = name.toUpperCase().replace(/['’]/g, '');
+  const replacements = expand ? { ...TRANSLITERATIONS, ...OPTIONAL_TRANSLITERATIONS } : TRANSLITERATIONS;
+  upper = [...upper].map((character) => replacements[character] || character).join('');
+  return upper.normalize('NFD').replace(/\p{M}/gu, '').replace(/[^A-Z]+/g, ' ').trim();
+};
+
+// Names in non-Latin scripts are transliterated on the passport and can't be compared letter by letter
+const isComparableName = (name) => !/[^\p{Script=Latin}\s'’.-]/u.test(name);
+
+const namesMatch = (entered, mrzName, truncated) =>
+  [false, true].some((expand) => {
+    const normalized = toMrzName(entered, expand);
+    return normalized === mrzName || (truncated && normalized.startsWith(mrzName));
+  });
+
+/**
+ * Compares what the applicant typed with the zone. Empty fields are not compared.
+ * @param {Object} mrz - from parseMrz
+ * @param {Object} values - the person's form values
+ * @returns {{ name: string, entered: string, passport: string }[]} one entry per field that differs
+ */
+export const compareWithMrz = (mrz, values) => {
+  const expected = getMrzPersonValues(mrz);
+  const mismatches = [];
+  const flag = (name, entered, passport) => mismatches.push({ name, entered, passport });
+  const filled = (name) => typeof values[name] === 'string' && values[name].trim() !== '';
+
+  if (filled('passportNumber') && expected.passportNumber &&
+      values.passportNumber.toUpperCase().replace(/[\s-]/g, '') !== expected.passportNumber) {
+    flag('passportNumber', values.passportNumber, expected.passportNumber);
+  }
+  if (filled('dateOfBirth') && expected.dateOfBirth && values.dateOfBirth !== expected.dateOfBirth) {
+    flag('dateOfBirth', values.dateOfBirth, expected.dateOfBirth);
+  }
+  if (filled('countryOfIssuance') && expected.countryOfIssuance && values.countryOfIssuance !== expected.countryOfIssuance) {
+    flag('countryOfIssuance', values.countryOfIssuance, expected.countryOfIssuance);
+  }
+  if (filled('lastName') && isComparableName(values.lastName) && !namesMatch(values.lastName, mrz.surname, mrz.nameTruncated)) {
+    flag('lastName', values.lastName, mrz.surname);
+  }
+  const enteredGivenNames = [values.firstName, values.middleName].filter((name) => typeof name === 'string' && name.trim()).join(' ');
+  if (filled('firstName') && mrz.givenNames && isComparableName(enteredGivenNames) &&
+      !namesMatch(enteredGivenNames, mrz.givenNames, mrz.nameTruncated)) {
+    flag('firstName', enteredGivenNames, mrz.givenNames);
+  }
+  return mismatches;
+};
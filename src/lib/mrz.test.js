@@ -0,0 +1,107 @@
+import { compareWithMrz, computeCheckDigit, getMrzCountryCode, getMrzPersonValues, isValidMrz, parseMrz } from './mrz.js';
+
+const referenceDate = new Date(2025, 0, 1);
+
+// The specimen passport of ICAO Doc 9303 part 4
+const specimen = [
+  'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+].join('\n');
+
+// A German passport: "D" as issuing state and nationality, no personal number
+const german = [
+  'P<D<<MUELLER<<HANS<PETER<<<<<<<<<<<<<<<<<<<<',
+  'C01X00T478D<<6408125M2703316<<<<<<<<<<<<<<<4'
+].join('\n');
+
+describe('computeCheckDigit', () => {
+  test('weights characters 7, 3, 1 with letters from 10 and filler as 0', () => {
+    expect(computeCheckDigit('L898902C3')).toBe(6);
+    expect(computeCheckDigit('740812')).toBe(2);
+    expect(computeCheckDigit('<<<<<<<<<<<<<<')).toBe(0);
+  });
+});
+
+describe('parseMrz', () => {
+  test('reads the ICAO specimen', () => {
+    expect(parseMrz(specimen, referenceDate)).toMatchObject({
+      documentType: 'P',
+      issuingState: 'UTO',
+      surname: 'ERIKSSON',
+      givenNames: 'ANNA MARIA',
+      nameTruncated: false,
+      passportNumber: 'L898902C3',
+      nationality: 'UTO',
+      dateOfBirth: '1974-08-12',
+      sex: 'F',
+      expiryDate: '2012-04-15',
+      personalNumber: 'ZE184226B',
+      valid: true
+    });
+  });
+
+  test('ignores the spaces and case OCR introduces', () => {
+    const scanned = `Passport\n${specimen.toLowerCase().replace(/(.{11})/g, '$1 ')}\n`;
+    expect(parseMrz(scanned, referenceDate).lines).toEqual(specimen.split('\n'));
+  });
+
+  test('reports each failing check digit', () => {
+    const mrz = parseMrz(specimen.replace('L898902C36', 'L898902C35'), referenceDate);
+    expect(mrz.checks).toEqual({ passportNumber: false, dateOfBirth: true, expiryDate: true, personalNumber: true, composite: false });
+    expect(mrz.valid).toBe(false);
+    expect(isValidMrz(specimen.replace('7408122F', '7408123F'))).toBe(false);
+  });
+
+  test('treats filler as empty, with "<" as a zero check digit', () => {
+    const mrz = parseMrz(german, referenceDate);
+    expect(mrz).toMatchObject({ issuingState: 'D', givenNames: 'HANS PETER', personalNumber: '', expiryDate: '2027-03-31', valid: true });
+  });
+
+  test('puts birth dates in the past and expiry dates in the next 50 years', () => {
+    expect(parseMrz(german, referenceDate).dateOfBirth).toBe('1964-08-12');
+    expect(parseMrz(german, new Date(1970, 0, 1)).expiryDate).toBe('1927-03-31');
+  });
+
+  test('finds nothing in text without a TD3 zone', () => {
+    expect(parseMrz('P<UTOERIKSSON<<ANNA', referenceDate)).toBeNull();
+    expect(parseMrz(undefined)).toBeNull();
+  });
+});
+
+describe('getMrzCountryCode', () => {
+  test('maps ICAO codes to alpha-2', () => {
+    expect(getMrzCountryCode('GBR')).toBe('GB');
+    expect(getMrzCountryCode('D<<')).toBe('DE');
+    expect(getMrzCountryCode('GBO')).toBe('GB');
+    expect(getMrzCountryCode('UTO')).toBeNull();
+  });
+});
+
+describe('getMrzPersonValues', () => {
+  test('fills the identity fields the zone answers', () => {
+    expect(getMrzPersonValues(parseMrz(german, referenceDate))).toEqual({
+      firstName: 'Hans',
+      middleName: 'Peter',
+      lastName: 'Mueller',
+      dateOfBirth: '1964-08-12',
+      passportNumber: 'C01X00T47',
+      countryOfIssuance: 'DE'
+    });
+  });
+});
+
+describe('compareWithMrz', () => {
+  const mrz = parseMrz(german, referenceDate);
+
+  test('accepts names written with or without their transliteration', () => {
+    expect(compareWithMrz(mrz, { firstName: 'Hans', middleName: 'Peter', lastName: 'Müller', passportNumber: 'c01x00t47' })).toEqual([]);
+  });
+
+  test('lists the fields that differ', () => {
+    expect(compareWithMrz(mrz, { lastName: 'Miller', dateOfBirth: '1964-08-21', countryOfIssuance: 'AT' })).toEqual([
+      { name: 'dateOfBirth', entered: '1964-08-21', passport: '1964-08-12' },
+      { name: 'countryOfIssuance', entered: 'AT', passport: 'DE' },
+      { name: 'lastName', entered: 'Miller', passport: 'MUELLER' }
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+// Client for the online account opening API (server/routes/applications.js) and the application status
+// page API (server/routes/applicationStatus.js)
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+export class OnboardingApiError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'OnboardingApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// body is sent as JSON, or as it is when it is FormData (the browser sets the multipart boundary)
+const request = async (path, { method = 'GET', body, resumeToken, statusToken } = {}) => {
+  const isForm = body instanceof FormData;
+  const headers = isForm ? {} : { 'Content-Type': 'application/json' };
+  if (resumeToken) {
+    headers['X-Resume-Token'] = resumeToken;
+  }
+  if (statusToken) {
+    headers['Authorization'] = `Bearer ${statusToken}`;
+  }
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers,
+    body: body && !isForm ? JSON.stringify(body) : body
+  });
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new OnboardingApiError(payload.message || 'Request failed', response.status, payload);
+  }
+  return payload;
+};
+
+export const createApplication = (accountType, email, formData) =>
+  request('/applications', { method: 'POST', body: { accountType, email, formData } });
+
+export const resumeApplication = (resumeToken) =>
+  request(`/applications/resume/${encodeURIComponent(resumeToken)}`);
+
+export const saveApplicationStep = (applicationId, step, data, resumeToken) =>
+  request(`/applications/${applicationId}/steps/${step}`, { method: 'PATCH', body: { data }, resumeToken });
+
+// locale is the language the signature consent was shown in
+export const submitApplication = (applicationId, data, signatures, resumeToken, locale) =>
+  request(`/applications/${applicationId}/submit`, { method: 'POST', body: { data, signatures, locale }, resumeToken });
+
+const downloadDocument = async (applicationId, resumeToken, document) => {
+  const response = await fetch(`${API_BASE_URL}/applications/${applicationId}/${document}`, {
+    headers: { 'X-Resume-Token': resumeToken }
+  });
+  if (!response.ok) {
+    const payload = await response.json().catch(() => ({}));
+    throw new OnboardingApiError(payload.message || 'Download failed', response.status, payload);
+  }
+  return response.blob();
+};
+
+export const downloadApplicationPdf = (applicationId, resumeToken) => downloadDocument(applicationId, resumeToken, 'pdf');
+
+export const downloadTaxForm = (applicationId, resumeToken) => downloadDocument(applicationId, resumeToken, 'tax-form');
+
+// Emails a one-time code when the reference and email match a submitted application; locale is the email's language
+export const requestStatusCode = (referenceNumber, email, locale) =>
+  request('/application-status/code', { method: 'POST', body: { referenceNumber, email, locale } });
+
+// Resolves to { token }, the status token for the calls below
+export const verifyStatusCode = (referenceNumber, code) =>
+  request('/application-status/verify', { method: 'POST', body: { referenceNumber, code } });
+
+export const getApplicationStatus = (statusToken) => request('/application-status', { statusToken });
+
+export const uploadRequestedDocument = (statusToken, informationRequestId, documentType, file) => {
+  const body = new FormData();
+  body.append('informationRequestId', informationRequestId);
+  body.append('documentType', documentType);
+  body.append('document', file);
+  return request('/application-status/documents', { method: 'POST', body, statusToken });
+};
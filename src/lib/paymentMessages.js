@@ -0,0 +1,412 @@
+// Payment instructions for approved wires: ISO 20022 pacs.008.001.08 (FI to FI customer credit transfer) XML
+// and the legacy SWIFT MT103 it replaces. Both are built from one instruction so they always agree, and each
+// is checked against the rules of its format before it is stored or sent: the XSD facets of the pacs.008
+// elements used here, and the MT103 field formats and SWIFT X character set.
+
+import { isValidAbaRoutingNumber, isValidBic } from './bankIdentifiers.js';
+import { getCurrency } from './currencies.js';
+
+export const paymentMessageTypes = ['pacs.008', 'MT103'];
+
+export const wireTransferTypes = ['wire_domestic', 'wire_international'];
+
+const PACS008_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08';
+
+// pacs.008 ChargeBearerType1Code for MT103 field 71A
+const CHARGE_BEARER_CODES = { OUR: 'DEBT', SHA: 'SHAR', BEN: 'CRED' };
+
+const UETR_PATTERN = /^[a-f0-9]{8}-[a-f0-9]{4}-4[a-f0-9]{3}-[89ab][a-f0-9]{3}-[a-f0-9]{12}$/;
+const IBAN_PATTERN = /^[A-Z]{2}[0-9]{2}[a-zA-Z0-9]{1,30}$/;
+// SWIFT X character set, the only characters allowed in MT text fields
+const SWIFT_X_PATTERN = /^[A-Za-z0-9/\-?:().,'+ ]*$/;
+
+const MT_LINE_LENGTH = 35;
+
+// Latin letters that don't decompose into a base letter and an accent
+const LATIN_LETTERS = {
+  ß: 'ss', Æ: 'AE', æ: 'ae', Ø: 'O', ø: 'o', Œ: 'OE', œ: 'oe', Ł: 'L', ł: 'l', Đ: 'D', đ: 'd', Þ: 'TH', þ: 'th'
+};
+
+/**
+ * Strips a text down to the SWIFT X character set: accents are dropped, & becomes +, anything else a space.
+ * Lines may not start with : or -, which MT parsers read as a new field or the end of the message.
+ */
+export const toSwiftText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[ßÆæØøŒœŁłĐđÞþ]/g, (letter) => LATIN_LETTERS[letter])
+  .replace(/&/g, '+')
+  .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^[:-]+/, '');
+
+// Splits text into lines of at most `length`, breaking at spaces where it can
+const wrapText = (text, length = MT_LINE_LENGTH) => {
+  const lines = [];
+  let line = '';
+  text.split(' ').forEach((word) => {
+    while (word.length > length) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.slice(0, length));
+      word = word.slice(length);
+    }
+    if (!word) {
+      return;
+    }
+    if (line && line.length + 1 + word.length > length) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+  return lines.map((item) => item.replace(/^[:-]+/, ''));
+};
+
+// clients.address is free-form JSONB; accept the key names the onboarding and admin screens use
+const addressLines = (address) => {
+  if (!address) {
+    return [];
+  }
+  if (typeof address === 'string') {
+    return address.split(/\r?\n/).map(toSwiftText).filter(Boolean);
+  }
+  const street = [address.addressLine1 || address.line1 || address.street, address.addressLine2 || address.line2]
+    .filter(Boolean)
+    .join(' ');
+  const locality = [address.city, address.state, address.zipCode || address.postalCode].filter(Boolean).join(' ');
+  return [street, locality].map(toSwiftText).filter(Boolean);
+};
+
+const formatAmount = (amount, currency) => {
+  const details = getCurrency(currency);
+  return Number(amount).toFixed(details ? details.minorUnits : 2);
+};
+
+/**
+ * The instruction both messages are built from.
+ * @param {Object} transfer - fund_transfers row
+ * @param {Object} client - the client's first_name, last_name and address
+ * @param {{ bic: string, routingNumber?: string, correspondentBic?: string }} bank - our bank: the debtor agent
+ *   and MT103 sender, and the correspondent that receives MT103s for beneficiary banks known only by ABA number
+ * @param {{ uetr: string, createdAt?: Date }} options - uetr is the SWIFT gpi end-to-end reference, shared by
+ *   every message generated for the transfer
+ */
+export const createPaymentInstruction = (transfer, client, bank, { uetr, createdAt = new Date() }) => {
+  const today = createdAt.toISOString().slice(0, 10);
+  // execution_date (YYYY-MM-DD) is the business day the transfer was dated to when it was entered
+  const requestedDate = transfer.execution_date
+    || (transfer.scheduled_date ? new Date(transfer.scheduled_date).toISOString().slice(0, 10) : today);
+  const settlementDate = requestedDate > today ? requestedDate : today;
+
+  return {
+    reference: transfer.reference_number || `FT${String(transfer.id).padStart(8, '0')}`,
+    uetr,
+    createdAt,
+    settlementDate,
+    domestic: transfer.transfer_type === 'wire_domestic',
+    amount: formatAmount(transfer.amount, transfer.currency),
+    currency: transfer.currency,
+    chargeBearer: transfer.charge_bearer || 'SHA',
+    debtor: {
+      name: toSwiftText(`${client.first_name} ${client.last_name}`),
+      addressLines: addressLines(client.address),
+      country: client.address && client.address.country,
+      account: (transfer.from_account || '').replace(/\s/g, '')
+    },
+    debtorAgent: { bic: bank.bic, routingNumber: bank.routingNumber },
+    creditor: {
+      name: toSwiftText(transfer.beneficiary_name),
+      addressLines: addressLines(transfer.beneficiary_address),
+      country: transfer.beneficiary_country,
+      account: (transfer.to_account || '').replace(/\s/g, '')
+    },
+    creditorAgent: {
+      bic: transfer.swift_code ? transfer.swift_code.trim().toUpperCase() : null,
+      routingNumber: transfer.routing_number ? transfer.routing_number.trim() : null
+    },
+    correspondentBic: bank.correspondentBic || null,
+    remittanceInformation: toSwiftText(transfer.purpose)
+  };
+};
+
+const checkInstruction = (instruction, errors) => {
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!getCurrency(instruction.currency)) {
+    add('currency', `${instruction.currency} is not an ISO 4217 currency`);
+  }
+  if (!(Number(instruction.amount) > 0)) {
+    add('amount', 'Amount must be greater than zero');
+  }
+  if (!instruction.uetr || !UETR_PATTERN.test(instruction.uetr)) {
+    add('uetr', 'UETR must be a lowercase version 4 UUID');
+  }
+  if (!isValidBic(instruction.debtorAgent.bic)) {
+    add('debtorAgent.bic', "The bank's own BIC (BANK_BIC) is missing or invalid");
+  }
+  if (!instruction.debtor.account) {
+    add('debtor.account', 'The debit account is missing');
+  }
+  if (!instruction.creditor.name) {
+    add('creditor.name', 'The beneficiary name is missing');
+  }
+  if (!instruction.creditor.account) {
+    add('creditor.account', 'The beneficiary account is missing');
+  }
+  if (instruction.creditorAgent.bic && !isValidBic(instruction.creditorAgent.bic)) {
+    add('creditorAgent.bic', `${instruction.creditorAgent.bic} is not a valid BIC`);
+  }
+  if (instruction.creditorAgent.routingNumber && !isValidAbaRoutingNumber(instruction.creditorAgent.routingNumber)) {
+    add('creditorAgent.routingNumber', `${instruction.creditorAgent.routingNumber} is not a valid ABA routing number`);
+  }
+  if (!instruction.creditorAgent.bic && !instruction.creditorAgent.routingNumber) {
+    add('creditorAgent', "The beneficiary bank's BIC or routing number is missing");
+  }
+  if (!instruction.domestic && !instruction.creditorAgent.bic) {
+    add('creditorAgent.bic', "International wires need the beneficiary bank's BIC");
+  }
+};
+
+// ISO 20022 pacs.008.001.08
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Renders [name, attributes, children] trees; children are a string or an array of nodes, and empty nodes
+// are left out so optional elements can be written inline
+const renderXml = (node, depth = 0) => {
+  if (!node) {
+    return '';
+  }
+  const [name, attributes, children] = node;
+  const indent = '  '.repeat(depth);
+  const attributeText = Object.entries(attributes || {})
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  if (Array.isArray(children)) {
+    const inner = children.map((child) => renderXml(child, depth + 1)).filter(Boolean);
+    return inner.length > 0 ? `${indent}<${name}${attributeText}>\n${inner.join('\n')}\n${indent}</${name}>` : '';
+  }
+  return children === undefined || children === null || children === ''
+    ? ''
+    : `${indent}<${name}${attributeText}>${escapeXml(children)}</${name}>`;
+};
+
+const el = (name, children, attributes) => [name, attributes, children];
+
+const financialInstitution = ({ bic, routingNumber }) => el('FinInstnId', [
+  bic && el('BICFI', bic),
+  routingNumber && el('ClrSysMmbId', [el('ClrSysId', [el('Cd', 'USABA')]), el('MmbId', routingNumber)])
+]);
+
+const postalAddress = ({ addressLines: lines, country }) => el('PstlAdr', [
+  country && el('Ctry', country),
+  ...lines.map((line) => el('AdrLine', line))
+]);
+
+const account = (identifier) => el('Id', [
+  IBAN_PATTERN.test(identifier) ? el('IBAN', identifier) : el('Othr', [el('Id', identifier)])
+]);
+
+// XSD facets of the pacs.008.001.08 simple types used above
+const checkPacs008 = (instruction, messageId, errors) => {
+  const add = (field, message) => errors.push({ field, message });
+  const maxLength = (field, value, length) => {
+    if (value && value.length > length) {
+      add(field, `${field} is longer than ${length} characters`);
+    }
+  };
+
+  maxLength('MsgId', messageId, 35);
+  maxLength('EndToEndId', instruction.reference, 35);
+  maxLength('Dbtr/Nm', instruction.debtor.name, 140);
+  maxLength('Cdtr/Nm', instruction.creditor.name, 140);
+  maxLength('DbtrAcct/Id', instruction.debtor.account, 34);
+  maxLength('CdtrAcct/Id', instruction.creditor.account, 34);
+  maxLength('RmtInf/Ustrd', instruction.remittanceInformation, 140);
+  [instruction.debtor, instruction.creditor].forEach((party, index) => {
+    const field = index === 0 ? 'Dbtr/PstlAdr' : 'Cdtr/PstlAdr';
+    if (party.addressLines.length > 7) {
+      add(field, `${field} has more than 7 address lines`);
+    }
+    if (party.country && !/^[A-Z]{2}$/.test(party.country)) {
+      add(`${field}/Ctry`, `${party.country} is not an ISO 3166 country code`);
+    }
+  });
+
+  // ActiveCurrencyAndAmount: at most 18 digits, 5 of them after the point
+  const [whole, fraction = ''] = instruction.amount.split('.');
+  if (whole.length + fraction.length > 18 || fraction.length > 5) {
+    add('IntrBkSttlmAmt', 'Amount has more than 18 digits or more than 5 decimals');
+  }
+};
+
+/**
+ * pacs.008.001.08 XML for an instruction.
+ * @returns {{ messageType: 'pacs.008', messageId: string, content: string, errors: { field: string, message: string }[] }}
+ */
+export const buildPacs008 = (instruction) => {
+  const createdAt = instruction.createdAt.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const messageId = `${instruction.reference}-${createdAt.replace(/\D/g, '').slice(2, 14)}`;
+  const errors = [];
+  checkInstruction(instruction, errors);
+  checkPacs008(instruction, messageId, errors);
+
+  const settlement = instruction.domestic
+    ? [el('SttlmMtd', 'CLRG'), el('ClrSys', [el('Cd', 'FDW')])]
+    : [el('SttlmMtd', 'INDA')];
+  const instructedAgent = instruction.creditorAgent.bic
+    ? { bic: instruction.creditorAgent.bic }
+    : { bic: instruction.correspondentBic, routingNumber: instruction.domestic ? instruction.creditorAgent.routingNumber : null };
+
+  const document = el('Document', [
+    el('FIToFICstmrCdtTrf', [
+      el('GrpHdr', [
+        el('MsgId', messageId),
+        el('CreDtTm', createdAt),
+        el('NbOfTxs', '1'),
+        el('SttlmInf', settlement)
+      ]),
+      el('CdtTrfTxInf', [
+        el('PmtId', [
+          el('InstrId', instruction.reference),
+          el('EndToEndId', instruction.reference),
+          el('UETR', instruction.uetr)
+        ]),
+        el('IntrBkSttlmAmt', instruction.amount, { Ccy: instruction.currency }),
+        el('IntrBkSttlmDt', instruction.settlementDate),
+        el('ChrgBr', CHARGE_BEARER_CODES[instruction.chargeBearer]),
+        el('InstgAgt', [financialInstitution(instruction.debtorAgent)]),
+        el('InstdAgt', [financialInstitution(instructedAgent)]),
+        el('Dbtr', [el('Nm', instruction.debtor.name), postalAddress(instruction.debtor)]),
+        el('DbtrAcct', [account(instruction.debtor.account)]),
+        el('DbtrAgt', [financialInstitution(instruction.debtorAgent)]),
+        el('CdtrAgt', [financialInstitution(instruction.creditorAgent)]),
+        el('Cdtr', [el('Nm', instruction.creditor.name), postalAddress(instruction.creditor)]),
+        el('CdtrAcct', [account(instruction.creditor.account)]),
+        el('RmtInf', [el('Ustrd', instruction.remittanceInformation)])
+      ])
+    ])
+  ], { xmlns: PACS008_NAMESPACE });
+
+  return {
+    messageType: 'pacs.008',
+    messageId,
+    content: `<?xml version="1.0" encoding="UTF-8"?>\n${renderXml(document)}\n`,
+    errors
+  };
+};
+
+// SWIFT MT103
+
+// 12-character logical terminal address for the basic and application headers: BIC8, terminal code, branch
+const terminalAddress = (bic, terminalCode) => `${bic.slice(0, 8)}${terminalCode}${bic.slice(8, 11) || 'XXX'}`;
+
+const partyLines = (party) => [`/${party.account}`, ...wrapText(party.name), ...party.addressLines.flatMap((line) => wrapText(line))];
+
+const checkMt103 = (instruction, { receiver, fields }, errors) => {
+  const add = (field, message) => errors.push({ field, message });
+
+  // Field 20: 16x, not starting or ending with / and without //
+  if (instruction.reference.length > 16) {
+    add(':20:', 'The transfer reference is longer than 16 characters');
+  }
+  if (/^\/|\/$|\/\//.test(instruction.reference)) {
+    add(':20:', 'The transfer reference may not start or end with / or contain //');
+  }
+  if (!isValidBic(receiver)) {
+    add('receiver', "No BIC to send the MT103 to: the beneficiary bank's BIC or the correspondent BIC (BANK_CORRESPONDENT_BIC)");
+  }
+  // Field 32A amount: up to 15 characters including the decimal comma
+  if (fields[':32A:'][0].length - 9 > 15) {
+    add(':32A:', 'The amount is longer than 15 characters');
+  }
+  [[':50K:', instruction.debtor], [':59:', instruction.creditor]].forEach(([tag, party]) => {
+    if (party.account.length > 34) {
+      add(tag, `${tag} account is longer than 34 characters`);
+    }
+    // Account line plus 4 lines of name and address
+    if (fields[tag].length > 5) {
+      add(tag, `${tag} name and address run past 4 lines of 35 characters`);
+    }
+  });
+  if (fields[':70:'] && fields[':70:'].length > 4) {
+    add(':70:', 'The remittance information runs past 4 lines of 35 characters');
+  }
+  Object.entries(fields).forEach(([tag, value]) => {
+    [].concat(value).forEach((line) => {
+      if (!SWIFT_X_PATTERN.test(line)) {
+        add(tag, `${tag} has characters outside the SWIFT X character set`);
+      }
+      if (line.length > MT_LINE_LENGTH && tag !== ':32A:') {
+        add(tag, `${tag} has a line longer than ${MT_LINE_LENGTH} characters`);
+      }
+    });
+  });
+};
+
+/**
+ * MT103 for an instruction, in FIN block format with CRLF line ends.
+ * @returns {{ messageType: 'MT103', messageId: string, content: string, errors: { field: string, message: string }[] }}
+ */
+export const buildMt103 = (instruction) => {
+  const receiver = instruction.creditorAgent.bic || instruction.correspondentBic;
+  const { creditorAgent } = instruction;
+  const valueDate = instruction.settlementDate.replace(/-/g, '').slice(2);
+
+  // The beneficiary bank by BIC, with its ABA number as the party identifier when both are known
+  let accountWithInstitution;
+  if (creditorAgent.bic) {
+    accountWithInstitution = [':57A:', [...(creditorAgent.routingNumber ? [`//FW${creditorAgent.routingNumber}`] : []), creditorAgent.bic]];
+  } else if (creditorAgent.routingNumber) {
+    accountWithInstitution = [':57C:', [`//FW${creditorAgent.routingNumber}`]];
+  }
+
+  const fields = {
+    ':20:': [instruction.reference],
+    ':23B:': ['CRED'],
+    ':32A:': [`${valueDate}${instruction.currency}${instruction.amount.replace('.', ',').replace(/^(\d+)$/, '$1,')}`],
+    ':50K:': partyLines(instruction.debtor),
+    ...(accountWithInstitution ? { [accountWithInstitution[0]]: accountWithInstitution[1] } : {}),
+    ':59:': partyLines(instruction.creditor),
+    ...(instruction.remittanceInformation ? { ':70:': wrapText(instruction.remittanceInformation) } : {}),
+    ':71A:': [instruction.chargeBearer]
+  };
+
+  const errors = [];
+  checkInstruction(instruction, errors);
+  checkMt103(instruction, { receiver, fields }, errors);
+
+  const sender = instruction.debtorAgent.bic || '';
+  const body = Object.entries(fields).map(([tag, lines]) => `${tag}${lines.join('\r\n')}`).join('\r\n');
+  const content = `{1:F01${terminalAddress(sender, 'A')}0000000000}`
+    + `{2:I103${receiver ? terminalAddress(receiver, 'X') : ''}N}`
+    + `{3:{121:${instruction.uetr}}}`
+    + `{4:\r\n${body}\r\n-}`;
+
+  return { messageType: 'MT103', messageId: instruction.reference, content, errors };
+};
+
+/**
+ * Builds a message of the given type.
+ * @param {'pacs.008' | 'MT103'} messageType
+ * @param {Object} instruction - see createPaymentInstruction
+ */
+export const buildPaymentMessage = (messageType, instruction) =>
+  (messageType === 'MT103' ? buildMt103(instruction) : buildPacs008(instruction));
+
+// File name for downloads and the outbound drop
+export const getPaymentMessageFileName = (message) =>
+  `${message.message_id.replace(/[^A-Za-z0-9-]/g, '_')}.${message.message_type === 'MT103' ? 'fin' : 'xml'}`;
@@ -0,0 +1,144 @@
+import {
+  buildMt103,
+  buildPacs008,
+  buildPaymentMessage,
+  createPaymentInstruction,
+  getPaymentMessageFileName,
+  toSwiftText
+} from './paymentMessages.js';
+
+const uetr = 'eb6305c9-1f7f-49de-aed0-16487c27b42d';
+const createdAt = new Date('2025-03-14T10:30:00.000Z');
+const bank = { bic: 'ALHBKYKYXXX', correspondentBic: 'CHASUS33' };
+const client = { first_name: 'José', last_name: 'Müller & Søn', address: { line1: '1 Harbour Drive', city: 'George Town', country: 'KY' } };
+
+const wire = (overrides) => ({
+  id: 42,
+  reference_number: 'FT2025031400042',
+  transfer_type: 'wire_international',
+  amount: '1250.5',
+  currency: 'EUR',
+  from_account: '1000 2000 3000',
+  to_account: 'DE89 3704 0044 0532 0130 00',
+  swift_code: 'deutdeff',
+  beneficiary_name: 'Acme GmbH',
+  beneficiary_address: 'Taunusanlage 12\n60325 Frankfurt',
+  beneficiary_country: 'DE',
+  purpose: 'Invoice 2025-117',
+  charge_bearer: 'SHA',
+  ...overrides
+});
+
+const instructionFor = (overrides, clientOverrides) =>
+  createPaymentInstruction(wire(overrides), { ...client, ...clientOverrides }, bank, { uetr, createdAt });
+
+describe('toSwiftText', () => {
+  test('keeps to the SWIFT X character set', () => {
+    expect(toSwiftText('José Müller & Søn')).toBe('Jose Muller + Son');
+    expect(toSwiftText('Straße 5; #3')).toBe('Strasse 5 3');
+    expect(toSwiftText(':-Leading marks')).toBe('Leading marks');
+  });
+});
+
+describe('createPaymentInstruction', () => {
+  test('normalizes the transfer for both formats', () => {
+    const instruction = instructionFor();
+    expect(instruction).toMatchObject({
+      reference: 'FT2025031400042',
+      amount: '1250.50',
+      settlementDate: '2025-03-14',
+      domestic: false,
+      debtor: { name: 'Jose Muller + Son', account: '100020003000', addressLines: ['1 Harbour Drive', 'George Town'] },
+      creditor: { account: 'DE89370400440532013000', addressLines: ['Taunusanlage 12', '60325 Frankfurt'] },
+      creditorAgent: { bic: 'DEUTDEFF', routingNumber: null }
+    });
+  });
+
+  test('settles on the execution date, never before today', () => {
+    expect(instructionFor({ execution_date: '2025-03-17' }).settlementDate).toBe('2025-03-17');
+    expect(instructionFor({ execution_date: '2025-03-10' }).settlementDate).toBe('2025-03-14');
+  });
+
+  test('uses the currency\'s minor units', () => {
+    expect(instructionFor({ currency: 'JPY', amount: '150000.4' }).amount).toBe('150000');
+  });
+});
+
+describe('buildPacs008', () => {
+  test('builds a valid message', () => {
+    const message = buildPacs008(instructionFor());
+    expect(message.errors).toEqual([]);
+    expect(message.messageId).toBe('FT2025031400042-250314103000');
+    expect(message.content).toContain('<IntrBkSttlmAmt Ccy="EUR">1250.50</IntrBkSttlmAmt>');
+    expect(message.content).toContain('<IBAN>DE89370400440532013000</IBAN>');
+    expect(message.content).toContain('<ChrgBr>SHAR</ChrgBr>');
+    expect(message.content).toContain('<Nm>Jose Muller + Son</Nm>');
+  });
+
+  test('enforces the XSD length limits', () => {
+    const message = buildPacs008(instructionFor({ reference_number: 'R'.repeat(36), beneficiary_name: 'N'.repeat(141) }));
+    expect(message.errors.map((error) => error.field)).toEqual(expect.arrayContaining(['EndToEndId', 'Cdtr/Nm']));
+  });
+
+  test('limits amounts to 18 digits', () => {
+    const message = buildPacs008(instructionFor({ amount: '12345678901234567' }));
+    expect(message.errors.map((error) => error.field)).toContain('IntrBkSttlmAmt');
+  });
+
+  test('routes a domestic wire by ABA number through the correspondent', () => {
+    const message = buildPacs008(instructionFor({
+      transfer_type: 'wire_domestic', currency: 'USD', swift_code: null, routing_number: '021000021', to_account: '123456789'
+    }));
+    expect(message.errors).toEqual([]);
+    expect(message.content).toContain('<MmbId>021000021</MmbId>');
+    expect(message.content).toContain('<BICFI>CHASUS33</BICFI>');
+  });
+
+  test('needs a beneficiary bank BIC for an international wire', () => {
+    const message = buildPacs008(instructionFor({ swift_code: null }));
+    expect(message.errors).toEqual(expect.arrayContaining([expect.objectContaining({ field: 'creditorAgent.bic' })]));
+  });
+});
+
+describe('buildMt103', () => {
+  test('builds the FIN blocks', () => {
+    const message = buildMt103(instructionFor());
+    expect(message.errors).toEqual([]);
+    expect(message.content.startsWith('{1:F01ALHBKYKYAXXX0000000000}{2:I103DEUTDEFFXXXXN}')).toBe(true);
+    expect(message.content).toContain(`{3:{121:${uetr}}}`);
+    expect(message.content).toContain(':32A:250314EUR1250,50\r\n');
+    expect(message.content).toContain(':59:/DE89370400440532013000\r\nAcme GmbH\r\n');
+    expect(message.content).toContain(':71A:SHA\r\n-}');
+  });
+
+  test('limits field 20 to 16 characters', () => {
+    const message = buildMt103(instructionFor({ reference_number: 'FT202503140004217' }));
+    expect(message.errors).toEqual(expect.arrayContaining([expect.objectContaining({ field: ':20:' })]));
+  });
+
+  test('limits party fields to 4 lines of 35 characters', () => {
+    const message = buildMt103(instructionFor({
+      beneficiary_name: 'Acme Holdings International Trading and Logistics Company Limited',
+      beneficiary_address: 'Taunusanlage 12\nSecond Floor, East Wing\n60325 Frankfurt am Main'
+    }));
+    expect(message.errors).toEqual([{ field: ':59:', message: ':59: name and address run past 4 lines of 35 characters' }]);
+  });
+
+  test('wraps remittance information at 35 characters', () => {
+    const message = buildMt103(instructionFor({ purpose: 'Invoices 2025-117, 2025-118 and 2025-119 for March deliveries' }));
+    expect(message.errors).toEqual([]);
+    expect(message.content).toContain(':70:Invoices 2025-117, 2025-118 and\r\n2025-119 for March deliveries\r\n');
+  });
+});
+
+describe('buildPaymentMessage', () => {
+  test('builds the requested format', () => {
+    expect(buildPaymentMessage('MT103', instructionFor()).messageType).toBe('MT103');
+    expect(buildPaymentMessage('pacs.008', instructionFor()).messageType).toBe('pacs.008');
+  });
+
+  test('names files by message id and format', () => {
+    expect(getPaymentMessageFileName({ message_id: 'FT1/2', message_type: 'MT103' })).toBe('FT1_2.fin');
+    expect(getPaymentMessageFileName({ message_id: 'FT1-250314', message_type: 'pacs.008' })).toBe('FT1-250314.xml');
+  });
+});
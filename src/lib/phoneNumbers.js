@@ -0,0 +1,93 @@
+// E.164 phone numbers: "+" followed by the calling code and national number, at most 15 digits.
+// Validated against the calling code and national number length of the countries in countries.js.
+import { countries, getCountry } from './countries.js';
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+// Countries whose national numbers keep their leading 0 after the calling code
+const KEEPS_TRUNK_ZERO = ['IT', 'SM', 'VA'];
+
+// Where a calling code is shared, numbers no other country claims by prefix belong to its main country
+// (e.g. a +1 number outside the Caribbean area codes parses as US, even if dialled in Canada)
+const MAIN_COUNTRY = { 1: 'US', 7: 'RU', 39: 'IT', 44: 'GB', 47: 'NO', 61: 'AU', 212: 'MA', 262: 'RE', 358: 'FI', 500: 'FK', 590: 'GP', 599: 'CW', 672: 'NF' };
+
+const ownsNumber = (country, nationalNumber) => {
+  if (nationalNumber.length < country.minLength || nationalNumber.length > country.maxLength) {
+    return false;
+  }
+  if (country.prefixes.length > 0) {
+    return country.prefixes.some((prefix) => nationalNumber.startsWith(prefix));
+  }
+  // A country without prefixes takes every number that no other country on its calling code claims
+  return !countries.some((other) => other.callingCode === country.callingCode &&
+    other.prefixes.some((prefix) => nationalNumber.startsWith(prefix)));
+};
+
+/**
+ * Split an E.164 number into its country and national number.
+ * Shared calling codes (+1, +7, +44 ...) resolve through the countries' prefixes.
+ * @returns {{ country: Object, nationalNumber: string }|null}
+ */
+export const parsePhoneNumber = (value) => {
+  if (typeof value !== 'string' || !E164_PATTERN.test(value)) {
+    return null;
+  }
+  const digits = value.slice(1);
+
+  for (let length = 1; length <= 3; length += 1) {
+    const callingCode = digits.slice(0, length);
+    const nationalNumber = digits.slice(length);
+    const candidates = countries.filter((country) => country.callingCode === callingCode);
+    const country = candidates.find((candidate) => candidate.prefixes.length > 0 && ownsNumber(candidate, nationalNumber)) ||
+      candidates.find((candidate) => candidate.code === MAIN_COUNTRY[callingCode] && ownsNumber(candidate, nationalNumber)) ||
+      candidates.find((candidate) => ownsNumber(candidate, nationalNumber));
+    if (country) {
+      return { country, nationalNumber };
+    }
+  }
+  return null;
+};
+
+export const isValidPhoneNumber = (value) => parsePhoneNumber(value) !== null;
+
+/**
+ * Normalize what an applicant typed into E.164.
+ * International input ("+1 (345) 949-0000", "00 44 20 7946 0000") is kept as dialled;
+ * national input ("020 7946 0000") is prefixed with the calling code of countryCode.
+ * @returns {string} the E.164 string, or the trimmed input when it cannot be normalized
+ */
+export const normalizePhoneNumber = (value, countryCode) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const trimmed = value.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) {
+    return trimmed;
+  }
+
+  if (trimmed.startsWith('+')) {
+    return `+${digits}`;
+  }
+  if (digits.startsWith('00')) {
+    return `+${digits.slice(2)}`;
+  }
+
+  const country = getCountry(countryCode);
+  if (!country) {
+    return trimmed;
+  }
+  let nationalNumber = digits;
+  if (country.callingCode === '1' && nationalNumber.length === 11 && nationalNumber.startsWith('1')) {
+    nationalNumber = nationalNumber.slice(1);
+  } else if (nationalNumber.startsWith('0') && !KEEPS_TRUNK_ZERO.includes(country.code)) {
+    nationalNumber = nationalNumber.slice(1);
+  }
+  return `+${country.callingCode}${nationalNumber}`;
+};
+
+// "+1 3459490000" style display: calling code, then the national number
+export const formatPhoneNumber = (value) => {
+  const parsed = parsePhoneNumber(value);
+  return parsed ? `+${parsed.country.callingCode} ${parsed.nationalNumber}` : value;
+};
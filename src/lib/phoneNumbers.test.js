@@ -0,0 +1,57 @@
+import { formatPhoneNumber, isValidPhoneNumber, normalizePhoneNumber, parsePhoneNumber } from './phoneNumbers.js';
+
+describe('normalizePhoneNumber', () => {
+  test('keeps international input as dialled', () => {
+    expect(normalizePhoneNumber('+1 (345) 949-0000', 'GB')).toBe('+13459490000');
+    expect(normalizePhoneNumber('00 44 20 7946 0000', 'US')).toBe('+442079460000');
+  });
+
+  test('prefixes national input with the country\'s calling code, dropping the trunk zero', () => {
+    expect(normalizePhoneNumber('020 7946 0000', 'GB')).toBe('+442079460000');
+    expect(normalizePhoneNumber('030 1234567', 'DE')).toBe('+49301234567');
+  });
+
+  test('keeps the leading zero where the national number includes it', () => {
+    expect(normalizePhoneNumber('06 6982 1234', 'IT')).toBe('+390669821234');
+  });
+
+  test('drops the North American trunk 1', () => {
+    expect(normalizePhoneNumber('1 (345) 949-0000', 'KY')).toBe('+13459490000');
+    expect(normalizePhoneNumber('345 949 0000', 'KY')).toBe('+13459490000');
+  });
+
+  test('returns what it cannot normalize as typed', () => {
+    expect(normalizePhoneNumber(' 949 0000 ', undefined)).toBe('949 0000');
+    expect(normalizePhoneNumber('n/a', 'US')).toBe('n/a');
+    expect(normalizePhoneNumber(null, 'US')).toBeNull();
+  });
+});
+
+describe('parsePhoneNumber', () => {
+  test('resolves shared calling codes by prefix', () => {
+    expect(parsePhoneNumber('+13459490000').country.code).toBe('KY');
+    expect(parsePhoneNumber('+12125550100').country.code).toBe('US');
+    expect(parsePhoneNumber('+441534123456').country.code).toBe('JE');
+    expect(parsePhoneNumber('+442079460000')).toMatchObject({ country: { code: 'GB' }, nationalNumber: '2079460000' });
+  });
+
+  test('rejects national numbers of the wrong length', () => {
+    expect(isValidPhoneNumber('+134594900')).toBe(false);
+    expect(isValidPhoneNumber('+1345949000000')).toBe(false);
+    expect(isValidPhoneNumber('+4420794600')).toBe(false);
+  });
+
+  test('rejects anything but E.164', () => {
+    expect(isValidPhoneNumber('13459490000')).toBe(false);
+    expect(isValidPhoneNumber('+0123456789')).toBe(false);
+    expect(isValidPhoneNumber('+1234567890123456')).toBe(false);
+    expect(isValidPhoneNumber(13459490000)).toBe(false);
+  });
+});
+
+describe('formatPhoneNumber', () => {
+  test('separates the calling code from the national number', () => {
+    expect(formatPhoneNumber('+13459490000')).toBe('+1 3459490000');
+    expect(formatPhoneNumber('not a number')).toBe('not a number');
+  });
+});
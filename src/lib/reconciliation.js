@@ -0,0 +1,188 @@
+// Reconciliation of outgoing fund transfers against the custody account's statement lines. Shared by the
+// admin API's daily run and the admin dashboard's break screen.
+//
+// A statement debit is matched to a transfer by reference first: the transfer's UETR, or its reference
+// number as the end-to-end id or anywhere in the remittance text. A debit with no reference to go on is
+// matched by amount and currency when exactly one open transfer was due within a couple of days of it.
+// Whatever doesn't reconcile becomes a break: a transfer or debit with no counterpart (unmatched), a
+// referenced pair whose amounts differ (amount_mismatch), or a second debit for a transfer already paid
+// (duplicate). Incoming credits are not reconciled here.
+
+export const reconciliationBreakTypes = ['unmatched', 'amount_mismatch', 'duplicate'];
+
+export const reconciliationBreakTypeLabels = {
+  unmatched: 'Unmatched',
+  amount_mismatch: 'Amount mismatch',
+  duplicate: 'Duplicate'
+};
+
+// What a break was raised against
+export const reconciliationBreakSourceLabels = {
+  transfer: 'Fund transfer',
+  statement_line: 'Statement line',
+  ledger: 'Ledger posting',
+  cash_balance: 'Custody cash balance'
+};
+
+export const breakResolutions = ['matched_manually', 'timing_difference', 'written_off', 'duplicate_returned', 'other'];
+
+export const breakResolutionLabels = {
+  matched_manually: 'Matched manually',
+  timing_difference: 'Timing difference',
+  written_off: 'Written off',
+  duplicate_returned: 'Duplicate returned',
+  other: 'Other',
+  cleared: 'Cleared by a later run'
+};
+
+/**
+ * Days a transfer may go without a statement debit after its execution date before it is a break, and the
+ * days either side of the execution date an unreferenced debit may be booked and still match by amount.
+ */
+export const defaultReconciliationConfig = {
+  graceDays: 2,
+  amountMatchDays: 2
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+const sameAmount = (a, b) => Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether a statement line names the transfer
+const referencesTransfer = (line, transfer) => {
+  if (transfer.uetr && line.uetr && line.uetr.toLowerCase() === String(transfer.uetr).toLowerCase()) {
+    return true;
+  }
+  if (!transfer.reference_number) {
+    return false;
+  }
+  const pattern = new RegExp(`(^|[^A-Z0-9])${escapeRegExp(transfer.reference_number.toUpperCase())}([^A-Z0-9]|$)`);
+  return [line.reference, line.remittance_info].some((value) => value && pattern.test(value.toUpperCase()));
+};
+
+/**
+ * Matches transfers to statement lines.
+ * @param {{ id, reference_number, uetr, amount, currency, execution_date, matched }[]} transfers - approved,
+ *   processing and completed transfers in the window; matched is set on those an earlier run paired off
+ * @param {{ id, booking_date, amount, currency, direction, reference, uetr, remittance_info }[]} lines - statement
+ *   lines not yet matched
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @param {Object} [config] - see defaultReconciliationConfig
+ * @returns {{ matches: { transferId, lineId, matchType: 'reference' | 'amount_date' }[], breaks: Object[] }} each
+ *   break has breakType, source, transferId, lineId, expectedAmount, actualAmount, currency and description
+ */
+export const reconcileTransfers = (transfers, lines, asOfDate, config = defaultReconciliationConfig) => {
+  const matches = [];
+  const breaks = [];
+  const pairedTransfers = new Set(transfers.filter((transfer) => transfer.matched).map((transfer) => transfer.id));
+  const pairedLines = new Set();
+  const debits = lines.filter((line) => line.direction === 'debit');
+
+  // Referenced debits, in booking order so the first payment is the one that counts
+  const byBookingDate = [...debits].sort((a, b) => String(a.booking_date).localeCompare(String(b.booking_date)) || a.id - b.id);
+  byBookingDate.forEach((line) => {
+    const transfer = transfers.find((candidate) => referencesTransfer(line, candidate));
+    if (!transfer) {
+      return;
+    }
+    pairedLines.add(line.id);
+
+    if (pairedTransfers.has(transfer.id)) {
+      breaks.push({
+        breakType: 'duplicate',
+        source: 'statement_line',
+        transferId: transfer.id,
+        lineId: line.id,
+        expectedAmount: null,
+        actualAmount: line.amount,
+        currency: line.currency,
+        description: `Second debit for ${transfer.reference_number}, which was already paid`
+      });
+    } else if (line.currency !== transfer.currency || !sameAmount(line.amount, transfer.amount)) {
+      pairedTransfers.add(transfer.id);
+      breaks.push({
+        breakType: 'amount_mismatch',
+        source: 'transfer',
+        transferId: transfer.id,
+        lineId: line.id,
+        expectedAmount: transfer.amount,
+        actualAmount: line.amount,
+        currency: transfer.currency,
+        description: `${transfer.reference_number} for ${transfer.amount} ${transfer.currency} was debited ${line.amount} ${line.currency}`
+      });
+    } else {
+      pairedTransfers.add(transfer.id);
+      matches.push({ transferId: transfer.id, lineId: line.id, matchType: 'reference' });
+    }
+  });
+
+  // Unreferenced debits, by amount and date when there is no doubt which transfer they pay: one open
+  // transfer fits the debit and no other open debit fits the transfer
+  const fits = (transfer, line) => transfer.currency === line.currency
+    && sameAmount(transfer.amount, line.amount)
+    && Math.abs(daysBetween(transfer.execution_date, line.booking_date)) <= config.amountMatchDays;
+  const unreferenced = byBookingDate.filter((line) => !pairedLines.has(line.id));
+  const open = transfers.filter((transfer) => !pairedTransfers.has(transfer.id) && transfer.execution_date);
+  unreferenced.forEach((line) => {
+    const candidates = open.filter((transfer) => fits(transfer, line));
+    if (candidates.length === 1 && unreferenced.filter((other) => fits(candidates[0], other)).length === 1) {
+      pairedTransfers.add(candidates[0].id);
+      pairedLines.add(line.id);
+      matches.push({ transferId: candidates[0].id, lineId: line.id, matchType: 'amount_date' });
+    }
+  });
+
+  byBookingDate.filter((line) => !pairedLines.has(line.id)).forEach((line) => {
+    breaks.push({
+      breakType: 'unmatched',
+      source: 'statement_line',
+      transferId: null,
+      lineId: line.id,
+      expectedAmount: null,
+      actualAmount: line.amount,
+      currency: line.currency,
+      description: `Debit of ${line.amount} ${line.currency} on ${line.booking_date} matches no transfer`
+    });
+  });
+
+  transfers
+    .filter((transfer) => !pairedTransfers.has(transfer.id) && transfer.execution_date
+      && daysBetween(transfer.execution_date, asOfDate) > config.graceDays)
+    .forEach((transfer) => {
+      breaks.push({
+        breakType: 'unmatched',
+        source: 'transfer',
+        transferId: transfer.id,
+        lineId: null,
+        expectedAmount: transfer.amount,
+        actualAmount: null,
+        currency: transfer.currency,
+        description: `${transfer.reference_number} was due on ${transfer.execution_date} but no debit has been seen`
+      });
+    });
+
+  return { matches, breaks };
+};
+
+// Stable identity of a break across runs, so a run updates the open break it raised before
+export const getBreakKey = ({ breakType, source, transferId, lineId, statementId }) =>
+  [breakType, source, transferId || '-', lineId || '-', statementId || '-'].join(':');
+
+export const breakAgeBuckets = [
+  { key: '0-1', label: '0-1 days', maxDays: 1 },
+  { key: '2-5', label: '2-5 days', maxDays: 5 },
+  { key: '6-15', label: '6-15 days', maxDays: 15 },
+  { key: '16-30', label: '16-30 days', maxDays: 30 },
+  { key: '30+', label: 'Over 30 days', maxDays: Infinity }
+];
+
+export const getBreakAgeDays = (detectedAt, now = new Date()) => Math.floor((now - new Date(detectedAt)) / DAY_MS);
+
+export const getBreakAgeBucket = (detectedAt, now = new Date()) => {
+  const days = getBreakAgeDays(detectedAt, now);
+  return breakAgeBuckets.find((bucket) => days <= bucket.maxDays).key;
+};
@@ -0,0 +1,122 @@
+import { getBreakAgeBucket, getBreakKey, reconcileTransfers } from './reconciliation.js';
+
+const transfer = (id, overrides) => ({
+  id,
+  reference_number: `FT2025031400${id}`,
+  uetr: null,
+  amount: '1000.00',
+  currency: 'USD',
+  execution_date: '2025-03-14',
+  matched: false,
+  ...overrides
+});
+
+const debit = (id, overrides) => ({
+  id,
+  booking_date: '2025-03-14',
+  amount: '1000.00',
+  currency: 'USD',
+  direction: 'debit',
+  reference: null,
+  uetr: null,
+  remittance_info: null,
+  ...overrides
+});
+
+describe('reconcileTransfers', () => {
+  test('matches by UETR, end-to-end id or a reference in the remittance text', () => {
+    const transfers = [
+      transfer(1, { uetr: 'eb6305c9-1f7f-49de-aed0-16487c27b42d' }),
+      transfer(2),
+      transfer(3)
+    ];
+    const lines = [
+      debit(11, { uetr: 'EB6305C9-1F7F-49DE-AED0-16487C27B42D' }),
+      debit(12, { reference: 'ft20250314002' }),
+      debit(13, { remittance_info: 'PAYMENT FT20250314003/INV 117' })
+    ];
+    const { matches, breaks } = reconcileTransfers(transfers, lines, '2025-03-14');
+    expect(matches).toEqual([
+      { transferId: 1, lineId: 11, matchType: 'reference' },
+      { transferId: 2, lineId: 12, matchType: 'reference' },
+      { transferId: 3, lineId: 13, matchType: 'reference' }
+    ]);
+    expect(breaks).toEqual([]);
+  });
+
+  test('does not read a longer reference as a shorter one', () => {
+    const { matches } = reconcileTransfers([transfer(1)], [debit(11, { amount: '5', reference: 'FT202503140012' })], '2025-03-14');
+    expect(matches).toEqual([]);
+  });
+
+  test('raises an amount mismatch when a referenced debit is for another amount or currency', () => {
+    const { matches, breaks } = reconcileTransfers(
+      [transfer(1), transfer(2)],
+      [debit(11, { reference: 'FT20250314001', amount: '1000.01' }), debit(12, { reference: 'FT20250314002', currency: 'EUR' })],
+      '2025-03-14'
+    );
+    expect(matches).toEqual([]);
+    expect(breaks.map(({ breakType, source, transferId, lineId }) => ({ breakType, source, transferId, lineId }))).toEqual([
+      { breakType: 'amount_mismatch', source: 'transfer', transferId: 1, lineId: 11 },
+      { breakType: 'amount_mismatch', source: 'transfer', transferId: 2, lineId: 12 }
+    ]);
+    expect(breaks[0]).toMatchObject({ expectedAmount: '1000.00', actualAmount: '1000.01' });
+  });
+
+  test('raises a duplicate for the second debit of a transfer, in booking order', () => {
+    const { matches, breaks } = reconcileTransfers(
+      [transfer(1)],
+      [debit(12, { booking_date: '2025-03-17', reference: 'FT20250314001' }), debit(11, { reference: 'FT20250314001' })],
+      '2025-03-17'
+    );
+    expect(matches).toEqual([{ transferId: 1, lineId: 11, matchType: 'reference' }]);
+    expect(breaks).toEqual([expect.objectContaining({ breakType: 'duplicate', source: 'statement_line', transferId: 1, lineId: 12 })]);
+  });
+
+  test('raises a duplicate for a debit of a transfer an earlier run matched', () => {
+    const { breaks } = reconcileTransfers([transfer(1, { matched: true })], [debit(11, { reference: 'FT20250314001' })], '2025-03-14');
+    expect(breaks.map((item) => item.breakType)).toEqual(['duplicate']);
+  });
+
+  test('matches an unreferenced debit by amount and date only when there is no doubt', () => {
+    const single = reconcileTransfers([transfer(1)], [debit(11, { booking_date: '2025-03-16' })], '2025-03-16');
+    expect(single.matches).toEqual([{ transferId: 1, lineId: 11, matchType: 'amount_date' }]);
+
+    const twoTransfers = reconcileTransfers([transfer(1), transfer(2)], [debit(11)], '2025-03-14');
+    expect(twoTransfers.matches).toEqual([]);
+    expect(twoTransfers.breaks).toEqual([expect.objectContaining({ breakType: 'unmatched', source: 'statement_line', lineId: 11 })]);
+
+    const twoDebits = reconcileTransfers([transfer(1)], [debit(11), debit(12)], '2025-03-14');
+    expect(twoDebits.matches).toEqual([]);
+  });
+
+  test('does not match by amount outside the date window', () => {
+    const { matches } = reconcileTransfers([transfer(1)], [debit(11, { booking_date: '2025-03-17' })], '2025-03-17');
+    expect(matches).toEqual([]);
+  });
+
+  test('raises an unmatched transfer only once its grace days have passed', () => {
+    expect(reconcileTransfers([transfer(1)], [], '2025-03-16').breaks).toEqual([]);
+    expect(reconcileTransfers([transfer(1)], [], '2025-03-17').breaks).toEqual([
+      expect.objectContaining({ breakType: 'unmatched', source: 'transfer', transferId: 1, expectedAmount: '1000.00' })
+    ]);
+  });
+
+  test('ignores credits', () => {
+    expect(reconcileTransfers([], [debit(11, { direction: 'credit' })], '2025-03-14').breaks).toEqual([]);
+  });
+});
+
+describe('breaks', () => {
+  test('keep the same key across runs', () => {
+    expect(getBreakKey({ breakType: 'duplicate', source: 'statement_line', transferId: 1, lineId: 12 }))
+      .toBe('duplicate:statement_line:1:12:-');
+  });
+
+  test('are bucketed by age', () => {
+    const now = new Date('2025-03-20T12:00:00Z');
+    expect(getBreakAgeBucket('2025-03-19T13:00:00Z', now)).toBe('0-1');
+    expect(getBreakAgeBucket('2025-03-14T12:00:00Z', now)).toBe('6-15');
+    expect(getBreakAgeBucket('2025-01-01T00:00:00Z', now)).toBe('30+');
+  });
+});
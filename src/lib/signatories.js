@@ -0,0 +1,50 @@
+// Who has to sign an application, shared by the wizard's signature step and the server
+
+export const getPersonName = (person = {}) =>
+  [person.firstName, person.middleName, person.lastName]
+    .filter((part) => typeof part === 'string' && part.trim() !== '')
+    .map((part) => part.trim())
+    .join(' ');
+
+const partyItems = (data, name) => (Array.isArray(data[name]) ? data[name] : []);
+
+const partySigners = (data, name, label) =>
+  partyItems(data, name).map((person, index) => ({
+    role: `${name}.${index}`,
+    label: `${label} ${index + 1}`,
+    party: { name, index },
+    person
+  }));
+
+/**
+ * Everyone named on the application who must sign it, in signing order:
+ * individual accounts - the primary client and every joint holder;
+ * corporate accounts - the primary client (first beneficial owner) and every authorized signatory.
+ * role is a stable key for the signer; party points at the party list entry they came from.
+ * @returns {Array<{role: string, label: string, name: string, party: ?{name: string, index: number}}>}
+ */
+export const getSignatories = (accountType, data) => {
+  const signers = accountType === 'corporate'
+    ? [
+      ...partyItems(data, 'beneficialOwners').slice(0, 1).map((person) => ({
+        role: 'primary',
+        label: 'Primary Client',
+        party: { name: 'beneficialOwners', index: 0 },
+        person
+      })),
+      ...partySigners(data, 'authorizedSignatories', 'Authorized Signatory')
+    ]
+    : [
+      { role: 'primary', label: 'Primary Client', party: null, person: data },
+      ...partySigners(data, 'jointHolders', 'Joint Holder')
+    ];
+
+  return signers
+    .map(({ person, ...signer }) => ({ ...signer, name: getPersonName(person) }))
+    .filter((signer) => signer.name !== '');
+};
+
+// Shown next to every signature pad and stored with each signing record
+export const signatureConsentText =
+  'I agree that this electronic signature is the legal equivalent of my handwritten signature, ' +
+  'and that by signing I confirm the information in this application is true, complete and correct.';
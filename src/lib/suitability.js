@@ -0,0 +1,191 @@
+// Investment suitability scoring from the individual Step 5 profile answers.
+// Shared by the applications API (which stores the result on the client), the portfolio optimizer and the dashboards.
+
+// Ordered from lowest to highest risk; a profile's risk level is its position (1-5)
+export const riskProfiles = [
+  'Conservative',
+  'Conservative to Moderate',
+  'Moderate',
+  'Growth & Income',
+  'Aggressive'
+];
+
+/**
+ * Each factor maps the answers of one Step 5 question to points on a 1-5 scale.
+ * The weighted average of the answered factors selects a profile band;
+ * inconsistency rules then flag the answers and can cap the profile.
+ * Checkbox questions score their highest selected option.
+ */
+export const defaultSuitabilityConfig = {
+  version: 1,
+  factors: {
+    investmentObjective: {
+      weight: 3,
+      points: {
+        'Conservative: Focus on low-risk investments': 1,
+        'Conservative to Moderate: Include a mix of bonds and stable stocks': 2,
+        'Moderate: Balance between stocks and bonds': 3,
+        'Growth & Income: Emphasize growth stocks with some income-generating assets': 4,
+        'Aggressive: Prioritize high-risk, high-reward investments': 5
+      }
+    },
+    timeHorizon: {
+      weight: 2,
+      points: {
+        'Up to 1 year': 1,
+        'Between 1 and 5 years': 3,
+        'More than 5 years': 5
+      }
+    },
+    investmentExperience: {
+      weight: 2,
+      points: {
+        'Little Knowledge (1-5 Years)': 1,
+        'Moderate Knowledge (5-10 Years)': 3,
+        'Very Knowledgeable (Over 10 Years)': 5
+      }
+    },
+    annualIncome: {
+      weight: 1,
+      points: {
+        '$100,000-$250,000': 2,
+        '$250,001-$500,000': 3,
+        '$500,001-$1,000,000': 4,
+        'Greater than $1,000,000': 5
+      }
+    },
+    sourceOfWealth: {
+      weight: 1,
+      points: {
+        'Income from employment/business activity': 3,
+        'Income from dividends/interests': 4,
+        'Income from real estate/rent': 4,
+        'Donation/inheritance/divorce settlement': 3,
+        'Income from sale of assets': 3,
+        'Other source of income': 2
+      }
+    }
+  },
+  // Upper bound of the weighted score for each profile, in riskProfiles order
+  bands: [1.8, 2.6, 3.4, 4.2, 5],
+  rules: [
+    {
+      code: 'SPECULATIVE_WITHOUT_EXPERIENCE',
+      message: 'Speculative objective with little investment experience',
+      severity: 'high',
+      when: {
+        investmentObjective: [
+          'Growth & Income: Emphasize growth stocks with some income-generating assets',
+          'Aggressive: Prioritize high-risk, high-reward investments'
+        ],
+        investmentExperience: ['Little Knowledge (1-5 Years)']
+      },
+      cap: 'Moderate'
+    },
+    {
+      code: 'SPECULATIVE_SHORT_HORIZON',
+      message: 'High-risk objective with a time horizon of up to 1 year',
+      severity: 'high',
+      when: {
+        investmentObjective: ['Aggressive: Prioritize high-risk, high-reward investments'],
+        timeHorizon: ['Up to 1 year']
+      },
+      cap: 'Moderate'
+    },
+    {
+      code: 'SPECULATIVE_LOW_INCOME',
+      message: 'Aggressive objective in the lowest income range',
+      severity: 'medium',
+      when: {
+        investmentObjective: ['Aggressive: Prioritize high-risk, high-reward investments'],
+        annualIncome: ['$100,000-$250,000']
+      }
+    }
+  ]
+};
+
+export const getRiskLevel = (riskProfile) => riskProfiles.indexOf(riskProfile) + 1;
+
+const answerValues = (value) => (Array.isArray(value) ? value : [value]).filter((item) => item !== undefined && item !== null && item !== '');
+
+const matchesRule = (rule, data) => Object.entries(rule.when).every(([field, values]) =>
+  answerValues(data[field]).some((answer) => values.includes(answer)));
+
+/**
+ * Score the Step 5 answers.
+ * @param {Object} data - form data with the Step 5 fields
+ * @param {Object} [config] - scoring configuration, see defaultSuitabilityConfig
+ * @returns {Object|null} { score, riskProfile, riskLevel, scoredProfile, factors, flags, configVersion },
+ *   or null when none of the scored questions has been answered
+ */
+export const scoreSuitability = (data, config = defaultSuitabilityConfig) => {
+  const factors = {};
+  let weightedTotal = 0;
+  let totalWeight = 0;
+
+  Object.entries(config.factors).forEach(([field, factor]) => {
+    const points = answerValues(data[field])
+      .map((answer) => factor.points[answer])
+      .filter((value) => value !== undefined);
+    if (points.length === 0) {
+      return;
+    }
+    factors[field] = Math.max(...points);
+    weightedTotal += factors[field] * factor.weight;
+    totalWeight += factor.weight;
+  });
+
+  if (totalWeight === 0) {
+    return null;
+  }
+
+  const score = Math.round((weightedTotal / totalWeight) * 100) / 100;
+  const bandIndex = config.bands.findIndex((upperBound) => score <= upperBound);
+  const scoredProfile = riskProfiles[bandIndex === -1 ? riskProfiles.length - 1 : bandIndex];
+
+  let riskProfile = scoredProfile;
+  const flags = [];
+  config.rules.filter((rule) => matchesRule(rule, data)).forEach((rule) => {
+    flags.push({ code: rule.code, message: rule.message, severity: rule.severity });
+    if (rule.cap && getRiskLevel(rule.cap) < getRiskLevel(riskProfile)) {
+      riskProfile = rule.cap;
+    }
+  });
+
+  return {
+    score,
+    riskProfile,
+    riskLevel: getRiskLevel(riskProfile),
+    scoredProfile,
+    factors,
+    flags,
+    configVersion: config.version
+  };
+};
+
+// Upper bound of a product's annualised volatility for each risk level (1-5), as in the volatility bands of
+// a fund's synthetic risk indicator
+export const productVolatilityBands = [0.02, 0.05, 0.1, 0.2, Infinity];
+
+/**
+ * A product's risk level: the one it was given, or else the band of its annualised volatility.
+ * @param {{ riskLevel?: number, volatility?: number }} product - volatility as a fraction (0.15 is 15%)
+ * @returns {number|null} 1-5, or null when the product cannot be rated
+ */
+export const getProductRiskLevel = (product) => {
+  if (Number.isInteger(product.riskLevel) && product.riskLevel >= 1 && product.riskLevel <= riskProfiles.length) {
+    return product.riskLevel;
+  }
+  const volatility = Number(product.volatility);
+  if (product.volatility === undefined || product.volatility === null || !Number.isFinite(volatility) || volatility < 0) {
+    return null;
+  }
+  return productVolatilityBands.findIndex((upperBound) => volatility <= upperBound) + 1;
+};
+
+// A product or recommendation with a risk level (1-5) is suitable up to the client's own risk level
+export const isWithinRiskProfile = (riskProfile, productRiskLevel) =>
+  getRiskLevel(riskProfile) > 0 && productRiskLevel <= getRiskLevel(riskProfile);
+
+// Highest portfolio risk score (on the dashboards' 0-10 scale) a profile allows
+export const getMaxPortfolioRiskScore = (riskProfile) => getRiskLevel(riskProfile) * 2;
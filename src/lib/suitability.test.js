@@ -0,0 +1,91 @@
+import {
+  getMaxPortfolioRiskScore,
+  getProductRiskLevel,
+  getRiskLevel,
+  isWithinRiskProfile,
+  scoreSuitability
+} from './suitability.js';
+
+const objectives = {
+  conservative: 'Conservative: Focus on low-risk investments',
+  moderate: 'Moderate: Balance between stocks and bonds',
+  aggressive: 'Aggressive: Prioritize high-risk, high-reward investments'
+};
+
+describe('scoreSuitability', () => {
+  test('scores cautious answers as Conservative', () => {
+    const result = scoreSuitability({
+      investmentObjective: objectives.conservative,
+      timeHorizon: 'Up to 1 year',
+      investmentExperience: 'Little Knowledge (1-5 Years)',
+      annualIncome: '$100,000-$250,000',
+      sourceOfWealth: ['Income from employment/business activity']
+    });
+    expect(result).toMatchObject({ score: 1.33, riskProfile: 'Conservative', riskLevel: 1, flags: [], configVersion: 1 });
+  });
+
+  test('scores experienced long-term answers as Aggressive', () => {
+    const result = scoreSuitability({
+      investmentObjective: objectives.aggressive,
+      timeHorizon: 'More than 5 years',
+      investmentExperience: 'Very Knowledgeable (Over 10 Years)',
+      annualIncome: 'Greater than $1,000,000',
+      sourceOfWealth: ['Income from dividends/interests']
+    });
+    expect(result).toMatchObject({ score: 4.89, riskProfile: 'Aggressive', riskLevel: 5 });
+  });
+
+  test('includes a band\'s upper bound in the band', () => {
+    const result = scoreSuitability({ investmentObjective: objectives.conservative, timeHorizon: 'Between 1 and 5 years' });
+    expect(result).toMatchObject({ score: 1.8, riskProfile: 'Conservative' });
+  });
+
+  test('scores only the answered questions, and a checkbox question by its highest answer', () => {
+    const result = scoreSuitability({ sourceOfWealth: ['Other source of income', 'Income from dividends/interests'] });
+    expect(result).toMatchObject({ score: 4, riskProfile: 'Growth & Income', factors: { sourceOfWealth: 4 } });
+  });
+
+  test('flags inconsistent answers and caps the profile', () => {
+    const result = scoreSuitability({
+      investmentObjective: objectives.aggressive,
+      timeHorizon: 'More than 5 years',
+      investmentExperience: 'Little Knowledge (1-5 Years)',
+      annualIncome: 'Greater than $1,000,000',
+      sourceOfWealth: ['Income from dividends/interests']
+    });
+    expect(result).toMatchObject({ score: 4, scoredProfile: 'Growth & Income', riskProfile: 'Moderate', riskLevel: 3 });
+    expect(result.flags.map((flag) => flag.code)).toEqual(['SPECULATIVE_WITHOUT_EXPERIENCE']);
+  });
+
+  test('returns null when nothing scored has been answered', () => {
+    expect(scoreSuitability({ timeHorizon: '', investmentObjective: 'Something else' })).toBeNull();
+  });
+});
+
+describe('getProductRiskLevel', () => {
+  test('keeps a product\'s own risk level', () => {
+    expect(getProductRiskLevel({ riskLevel: 2, volatility: 0.3 })).toBe(2);
+  });
+
+  test('rates a product by its annualised volatility', () => {
+    expect(getProductRiskLevel({ volatility: 0.02 })).toBe(1);
+    expect(getProductRiskLevel({ volatility: 0.021 })).toBe(2);
+    expect(getProductRiskLevel({ riskLevel: 7, volatility: '0.15' })).toBe(4);
+    expect(getProductRiskLevel({ volatility: 0.35 })).toBe(5);
+  });
+
+  test('cannot rate a product without either', () => {
+    expect(getProductRiskLevel({ symbol: 'ACME' })).toBeNull();
+    expect(getProductRiskLevel({ volatility: 'high' })).toBeNull();
+  });
+});
+
+describe('risk levels', () => {
+  test('allow products up to the client\'s own level', () => {
+    expect(getRiskLevel('Moderate')).toBe(3);
+    expect(isWithinRiskProfile('Moderate', 3)).toBe(true);
+    expect(isWithinRiskProfile('Moderate', 4)).toBe(false);
+    expect(isWithinRiskProfile('Unassessed', 1)).toBe(false);
+    expect(getMaxPortfolioRiskScore('Aggressive')).toBe(10);
+  });
+});
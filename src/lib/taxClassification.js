@@ -0,0 +1,19 @@
+// FATCA classification from the self-certification step, shared by the wizard and the server
+import { notUsPersonStatus } from '../formFields.js';
+
+export const isUsPerson = (data) => Boolean(data.usPersonStatus) && data.usPersonStatus !== notUsPersonStatus;
+
+/**
+ * IRS form the applicant certifies their status on:
+ * W-9 for U.S. persons, otherwise W-8BEN (individuals) or W-8BEN-E (entities).
+ * Returns null until the U.S. status question has been answered.
+ */
+export const getTaxFormType = (accountType, data) => {
+  if (!data.usPersonStatus) {
+    return null;
+  }
+  if (isUsPerson(data)) {
+    return 'W-9';
+  }
+  return accountType === 'corporate' ? 'W-8BEN-E' : 'W-8BEN';
+};
@@ -0,0 +1,113 @@
+// Maker-checker approval of fund transfers: how many sign-offs a transfer needs and which admin roles may give
+// each one. The admin API records every sign-off in transfer_approvals and only approves the transfer once
+// every level has signed; the admin dashboard shows the same levels.
+
+/**
+ * Every rule whose conditions all hold applies to a transfer, and the one with the most levels wins (the
+ * earliest on a tie), so adding a rule can only make approval stricter. A rule without conditions matches
+ * every transfer. Conditions:
+ *   minAmount - the transfer amount in USD is at least this; a transfer entered before amounts were quoted
+ *     in USD counts at face value
+ *   currencies - ISO 4217 codes
+ *   transferTypes - fund_transfers.transfer_type values
+ *   clientRiskRatings - the client's AML risk rating (src/lib/amlRisk.js), or 'unrated'
+ * Each level lists the admin roles (admin_users.role) that may sign it; super_admin may sign any level.
+ * Levels are signed in order, by a different admin each time, never the one who created the transfer.
+ * The transfer_approval_policy system setting replaces the rules; raise `version` with it.
+ */
+export const defaultTransferApprovalPolicy = {
+  version: 1,
+  rules: [
+    {
+      name: 'standard',
+      label: 'Standard',
+      when: {},
+      levels: [{ roles: ['analyst', 'manager', 'admin'] }]
+    },
+    {
+      name: 'elevated_amount',
+      label: 'Elevated amount',
+      when: { minAmount: 25000 },
+      levels: [{ roles: ['analyst', 'manager', 'admin'] }, { roles: ['manager', 'admin'] }]
+    },
+    {
+      name: 'international_wire',
+      label: 'International wire',
+      when: { transferTypes: ['wire_international'], minAmount: 10000 },
+      levels: [{ roles: ['analyst', 'manager', 'admin'] }, { roles: ['manager', 'admin'] }]
+    },
+    {
+      name: 'high_risk_client',
+      label: 'High-risk or unrated client',
+      when: { clientRiskRatings: ['high', 'unrated'] },
+      levels: [{ roles: ['manager', 'admin'] }, { roles: ['admin'] }]
+    },
+    {
+      name: 'large_amount',
+      label: 'Large amount',
+      when: { minAmount: 250000 },
+      levels: [{ roles: ['analyst', 'manager', 'admin'] }, { roles: ['manager', 'admin'] }, { roles: ['admin'] }]
+    }
+  ]
+};
+
+/**
+ * The default policy with the transfer_approval_policy setting applied.
+ * @param {Object} [overrides]
+ */
+export const mergeTransferApprovalPolicy = (overrides) => (overrides
+  ? { ...defaultTransferApprovalPolicy, ...overrides }
+  : defaultTransferApprovalPolicy);
+
+const ruleMatches = ({ when }, { amount, amountUsd, currency, transferType, clientRiskRating }) =>
+  (when.minAmount === undefined || Number(amountUsd ?? amount) >= when.minAmount)
+  && (!when.currencies || when.currencies.includes(currency))
+  && (!when.transferTypes || when.transferTypes.includes(transferType))
+  && (!when.clientRiskRatings || when.clientRiskRatings.includes(clientRiskRating || 'unrated'));
+
+/**
+ * The approvals a transfer needs.
+ * @param {{ amount: number|string, amountUsd?: number|string, currency: string, transferType: string, clientRiskRating?: string }} transfer
+ *   amountUsd is the amount's USD equivalent (fund_transfers.amount_usd)
+ * @param {Object} [policy] - see defaultTransferApprovalPolicy
+ * @returns {{ rule: string, label: string, levels: { level: number, roles: string[] }[], policyVersion: number }}
+ */
+export const getRequiredApprovals = (transfer, policy = defaultTransferApprovalPolicy) => {
+  const rule = policy.rules
+    .filter((candidate) => ruleMatches(candidate, transfer))
+    .reduce((strictest, candidate) => (!strictest || candidate.levels.length > strictest.levels.length ? candidate : strictest), null);
+  if (!rule) {
+    throw new Error('Transfer approval policy has no rule for this transfer');
+  }
+
+  return {
+    rule: rule.name,
+    label: rule.label || rule.name,
+    levels: rule.levels.map((level, index) => ({ level: index + 1, roles: level.roles })),
+    policyVersion: policy.version
+  };
+};
+
+export const canSignApprovalLevel = (role, level) => role === 'super_admin' || level.roles.includes(role);
+
+/**
+ * Where a transfer's approval stands.
+ * @param {Object} required - getRequiredApprovals' result
+ * @param {{ approval_level: number, approver_id: number, status: string }[]} approvals - its transfer_approvals rows
+ * @returns {{ levels: Object[], nextLevel: Object|null, complete: boolean, rejected: boolean }} levels carries each
+ *   level's status (approved, rejected or pending) and, once signed, its approval row
+ */
+export const getApprovalProgress = (required, approvals) => {
+  const levels = required.levels.map((level) => {
+    const approval = approvals.find((item) => item.approval_level === level.level);
+    return { ...level, status: approval ? approval.status : 'pending', approval: approval || null };
+  });
+  const rejected = levels.some((level) => level.status === 'rejected');
+
+  return {
+    levels,
+    nextLevel: rejected ? null : levels.find((level) => level.status === 'pending') || null,
+    complete: !rejected && levels.every((level) => level.status === 'approved'),
+    rejected
+  };
+};
@@ -0,0 +1,93 @@
+import {
+  canSignApprovalLevel,
+  defaultTransferApprovalPolicy,
+  getApprovalProgress,
+  getRequiredApprovals,
+  mergeTransferApprovalPolicy
+} from './transferApprovals.js';
+
+const transfer = (overrides) => ({ amount: 1000, currency: 'USD', transferType: 'ach', clientRiskRating: 'low', ...overrides });
+
+describe('getRequiredApprovals', () => {
+  test('needs one sign-off for an ordinary transfer', () => {
+    const required = getRequiredApprovals(transfer());
+    expect(required.rule).toBe('standard');
+    expect(required.levels).toEqual([{ level: 1, roles: ['analyst', 'manager', 'admin'] }]);
+    expect(required.policyVersion).toBe(1);
+  });
+
+  test('applies amount thresholds from the threshold up', () => {
+    expect(getRequiredApprovals(transfer({ amount: '24999.99' })).rule).toBe('standard');
+    expect(getRequiredApprovals(transfer({ amount: '25000.00' })).rule).toBe('elevated_amount');
+    expect(getRequiredApprovals(transfer({ amount: 250000 })).levels).toHaveLength(3);
+  });
+
+  test('compares amount thresholds with the USD equivalent', () => {
+    expect(getRequiredApprovals(transfer({ amount: 3000000, currency: 'JPY', amountUsd: '20000.00' })).rule).toBe('standard');
+    expect(getRequiredApprovals(transfer({ amount: 24000, currency: 'GBP', amountUsd: '30240.00' })).rule).toBe('elevated_amount');
+    expect(getRequiredApprovals(transfer({ amount: 30000, currency: 'EUR', amountUsd: null })).rule).toBe('elevated_amount');
+  });
+
+  test('takes the earliest of the strictest matching rules', () => {
+    const required = getRequiredApprovals(transfer({ amount: 50000, transferType: 'wire_international' }));
+    expect(required.rule).toBe('elevated_amount');
+  });
+
+  test('treats an unrated client as high risk', () => {
+    expect(getRequiredApprovals(transfer({ clientRiskRating: null })).rule).toBe('high_risk_client');
+    expect(getRequiredApprovals(transfer({ clientRiskRating: 'high' })).levels[1].roles).toEqual(['admin']);
+  });
+
+  test('fails when no rule matches', () => {
+    const policy = { version: 2, rules: [{ name: 'large', when: { minAmount: 100 }, levels: [{ roles: ['admin'] }] }] };
+    expect(() => getRequiredApprovals(transfer({ amount: 50 }), policy)).toThrow('no rule');
+  });
+
+  test('uses the configured policy', () => {
+    const policy = mergeTransferApprovalPolicy({
+      version: 2,
+      rules: [{ name: 'eur', label: 'Euro', when: { currencies: ['EUR'] }, levels: [{ roles: ['manager'] }] }]
+    });
+    expect(getRequiredApprovals(transfer({ currency: 'EUR' }), policy)).toEqual({
+      rule: 'eur',
+      label: 'Euro',
+      levels: [{ level: 1, roles: ['manager'] }],
+      policyVersion: 2
+    });
+    expect(mergeTransferApprovalPolicy(null)).toBe(defaultTransferApprovalPolicy);
+  });
+});
+
+describe('canSignApprovalLevel', () => {
+  test('allows the level\'s roles and super_admin only', () => {
+    const level = { level: 2, roles: ['manager', 'admin'] };
+    expect(canSignApprovalLevel('manager', level)).toBe(true);
+    expect(canSignApprovalLevel('super_admin', level)).toBe(true);
+    expect(canSignApprovalLevel('analyst', level)).toBe(false);
+  });
+});
+
+describe('getApprovalProgress', () => {
+  const required = getRequiredApprovals(transfer({ amount: 30000 }));
+
+  test('moves to the next level once one is signed', () => {
+    const progress = getApprovalProgress(required, [{ approval_level: 1, approver_id: 7, status: 'approved' }]);
+    expect(progress.nextLevel.level).toBe(2);
+    expect(progress.complete).toBe(false);
+    expect(progress.levels[0].approval.approver_id).toBe(7);
+  });
+
+  test('is complete when every level has approved', () => {
+    const progress = getApprovalProgress(required, [
+      { approval_level: 1, approver_id: 7, status: 'approved' },
+      { approval_level: 2, approver_id: 8, status: 'approved' }
+    ]);
+    expect(progress).toMatchObject({ nextLevel: null, complete: true, rejected: false });
+  });
+
+  test('stops at a rejection, leaving nothing to sign', () => {
+    const progress = getApprovalProgress(required, [{ approval_level: 1, approver_id: 7, status: 'rejected' }]);
+    expect(progress).toMatchObject({ nextLevel: null, complete: false, rejected: true });
+    expect(progress.levels.map((level) => level.status)).toEqual(['rejected', 'pending']);
+  });
+});
@@ -0,0 +1,211 @@
+// When a fund transfer goes out: cut-off times by currency and transfer type, the holiday calendars of the
+// payment systems involved, and the dates recurring transfers fall on. Shared by the admin API, which
+// dates each transfer as it is entered and spawns recurring ones, and the admin dashboard.
+//
+// A transfer entered after its cut-off, or for a day the payment systems are closed, goes out on the next
+// business day: a weekday that is not a holiday in any of the currency's calendars.
+
+/**
+ * Cut-offs are local times in `timeZone`; the first entry whose conditions hold applies, so list specific
+ * ones first and end with one that has no conditions. Calendars name the holiday calendars a currency
+ * settles under (see getHolidays); currencies not listed use defaultCalendars. The transfer_cutoffs
+ * system setting overrides any top-level key.
+ */
+export const defaultTransferCutoffConfig = {
+  timeZone: 'America/New_York',
+  cutoffs: [
+    { transferTypes: ['wire_domestic'], currencies: ['USD'], time: '17:00' },
+    { transferTypes: ['wire_domestic', 'wire_international'], time: '15:00' },
+    { transferTypes: ['ach_credit', 'ach_debit'], time: '14:30' },
+    { time: '23:59' }
+  ],
+  calendars: {
+    USD: ['US'],
+    EUR: ['US', 'TARGET']
+  },
+  defaultCalendars: ['US']
+};
+
+export const mergeTransferCutoffConfig = (overrides) => (overrides
+  ? { ...defaultTransferCutoffConfig, ...overrides }
+  : defaultTransferCutoffConfig);
+
+export const holidayCalendars = ['US', 'TARGET'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are handled as YYYY-MM-DD strings and computed at UTC midnight
+const toDate = (isoDate) => new Date(`${isoDate}T00:00:00Z`);
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+export const addDays = (isoDate, days) => toIsoDate(new Date(toDate(isoDate).getTime() + days * DAY_MS));
+
+const isoDate = (year, month, day) => toIsoDate(new Date(Date.UTC(year, month - 1, day)));
+
+// nth weekday (0 Sunday - 6 Saturday) of a month; n = -1 for the last one
+const nthWeekday = (year, month, weekday, n) => {
+  if (n < 0) {
+    const last = new Date(Date.UTC(year, month, 0));
+    return toIsoDate(new Date(last.getTime() - ((last.getUTCDay() - weekday + 7) % 7) * DAY_MS));
+  }
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  return toIsoDate(new Date(first.getTime() + (((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7) * DAY_MS));
+};
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return isoDate(year, month, day);
+};
+
+// The Federal Reserve closes the Monday after a holiday that falls on a Sunday, but not the Friday before
+// one that falls on a Saturday
+const observedSunday = (date) => (toDate(date).getUTCDay() === 0 ? addDays(date, 1) : date);
+
+const HOLIDAY_RULES = {
+  // Federal Reserve (Fedwire and ACH) holidays
+  US: (year) => [
+    { date: observedSunday(isoDate(year, 1, 1)), name: "New Year's Day" },
+    { date: nthWeekday(year, 1, 1, 3), name: 'Birthday of Martin Luther King, Jr.' },
+    { date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" },
+    { date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' },
+    ...(year >= 2022 ? [{ date: observedSunday(isoDate(year, 6, 19)), name: 'Juneteenth National Independence Day' }] : []),
+    { date: observedSunday(isoDate(year, 7, 4)), name: 'Independence Day' },
+    { date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+    { date: nthWeekday(year, 10, 1, 2), name: 'Columbus Day' },
+    { date: observedSunday(isoDate(year, 11, 11)), name: 'Veterans Day' },
+    { date: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving Day' },
+    { date: observedSunday(isoDate(year, 12, 25)), name: 'Christmas Day' }
+  ],
+  // TARGET2 closing days for euro payments
+  TARGET: (year) => [
+    { date: isoDate(year, 1, 1), name: "New Year's Day" },
+    { date: addDays(easterSunday(year), -2), name: 'Good Friday' },
+    { date: addDays(easterSunday(year), 1), name: 'Easter Monday' },
+    { date: isoDate(year, 5, 1), name: 'Labour Day' },
+    { date: isoDate(year, 12, 25), name: 'Christmas Day' },
+    { date: isoDate(year, 12, 26), name: 'Christmas Holiday' }
+  ]
+};
+
+/**
+ * A calendar's holidays in a year.
+ * @param {string} calendar - one of holidayCalendars
+ * @param {number} year
+ * @param {{ calendar: string, holiday_date: string, name: string }[]} [extraHolidays] - bank_holidays rows:
+ *   closures the rules don't know about
+ * @returns {{ date: string, name: string }[]} sorted by date
+ */
+export const getHolidays = (calendar, year, extraHolidays = []) => {
+  const rules = HOLIDAY_RULES[calendar];
+  const extras = extraHolidays
+    .filter((holiday) => holiday.calendar === calendar && String(holiday.holiday_date).startsWith(String(year)))
+    .map((holiday) => ({ date: String(holiday.holiday_date).slice(0, 10), name: holiday.name }));
+  return [...(rules ? rules(year) : []), ...extras].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+export const getCurrencyCalendars = (currency, config = defaultTransferCutoffConfig) =>
+  config.calendars[currency] || config.defaultCalendars;
+
+export const isBusinessDay = (date, calendars, extraHolidays = []) => {
+  const weekday = toDate(date).getUTCDay();
+  if (weekday === 0 || weekday === 6) {
+    return false;
+  }
+  const year = Number(date.slice(0, 4));
+  return !calendars.some((calendar) => getHolidays(calendar, year, extraHolidays).some((holiday) => holiday.date === date));
+};
+
+export const getNextBusinessDay = (date, calendars, extraHolidays = []) => {
+  let next = date;
+  while (!isBusinessDay(next, calendars, extraHolidays)) {
+    next = addDays(next, 1);
+  }
+  return next;
+};
+
+export const getTransferCutoff = ({ transferType, currency }, config = defaultTransferCutoffConfig) =>
+  config.cutoffs.find((cutoff) => (!cutoff.transferTypes || cutoff.transferTypes.includes(transferType))
+    && (!cutoff.currencies || cutoff.currencies.includes(currency))).time;
+
+// Date and HH:MM time of an instant in a time zone
+export const getLocalDateTime = (instant, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).map((part) => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+/**
+ * The business day a transfer goes out.
+ * @param {{ transferType: string, currency: string, requestedAt?: Date, scheduledDate?: string }} transfer -
+ *   scheduledDate (YYYY-MM-DD) asks for a later day than the one it is entered on
+ * @param {{ config?: Object, extraHolidays?: Object[] }} [options]
+ * @returns {{ executionDate: string, requestedDate: string, cutoff: string, afterCutoff: boolean, rolled: boolean }}
+ *   rolled is set when the transfer goes out later than the requested day
+ */
+export const getExecutionDate = (
+  { transferType, currency, requestedAt = new Date(), scheduledDate },
+  { config = defaultTransferCutoffConfig, extraHolidays = [] } = {}
+) => {
+  const now = getLocalDateTime(requestedAt, config.timeZone);
+  const cutoff = getTransferCutoff({ transferType, currency }, config);
+  const requestedDate = scheduledDate && scheduledDate > now.date ? scheduledDate : now.date;
+  const afterCutoff = requestedDate === now.date && now.time >= cutoff;
+
+  const executionDate = getNextBusinessDay(
+    afterCutoff ? addDays(requestedDate, 1) : requestedDate,
+    getCurrencyCalendars(currency, config),
+    extraHolidays
+  );
+  return { executionDate, requestedDate, cutoff, afterCutoff, rolled: executionDate !== requestedDate };
+};
+
+export const recurringTransferFrequencies = ['monthly', 'quarterly'];
+
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3 };
+
+/**
+ * The next date a recurring transfer falls on after `fromDate`, on its day of the month or the month's last
+ * day when the month is shorter.
+ * @param {{ frequency: 'monthly' | 'quarterly', day_of_month: number }} schedule
+ * @param {string} fromDate - YYYY-MM-DD, normally the occurrence just spawned or skipped
+ */
+export const getNextRunDate = ({ frequency, day_of_month: dayOfMonth }, fromDate) => {
+  const from = toDate(fromDate);
+  const month = from.getUTCMonth() + FREQUENCY_MONTHS[frequency];
+  const lastDay = new Date(Date.UTC(from.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return toIsoDate(new Date(Date.UTC(from.getUTCFullYear(), month, Math.min(dayOfMonth, lastDay))));
+};
+
+/**
+ * The first date a recurring transfer falls on, on or after its start date.
+ * @param {{ frequency: string, day_of_month: number }} schedule
+ * @param {string} startDate - YYYY-MM-DD
+ */
+export const getFirstRunDate = (schedule, startDate) => {
+  const start = toDate(startDate);
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)).getUTCDate();
+  const candidate = toIsoDate(new Date(Date.UTC(
+    start.getUTCFullYear(), start.getUTCMonth(), Math.min(schedule.day_of_month, lastDay)
+  )));
+  return candidate >= startDate ? candidate : getNextRunDate({ ...schedule, frequency: 'monthly' }, candidate);
+};
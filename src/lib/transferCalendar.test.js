@@ -0,0 +1,112 @@
+import {
+  getExecutionDate,
+  getFirstRunDate,
+  getHolidays,
+  getNextBusinessDay,
+  getNextRunDate,
+  getTransferCutoff,
+  isBusinessDay,
+  mergeTransferCutoffConfig
+} from './transferCalendar.js';
+
+// 2025-04-17 is the Thursday before Easter; New York is on EDT (UTC-4)
+const newYork = (date, time) => new Date(`${date}T${time}:00-04:00`);
+
+describe('getHolidays', () => {
+  test('finds Good Friday and Easter Monday on TARGET', () => {
+    const holidays = getHolidays('TARGET', 2025).map((holiday) => holiday.date);
+    expect(holidays).toEqual(['2025-01-01', '2025-04-18', '2025-04-21', '2025-05-01', '2025-12-25', '2025-12-26']);
+    expect(getHolidays('TARGET', 2024).filter((holiday) => holiday.name.startsWith('Easter') || holiday.name === 'Good Friday'))
+      .toEqual([{ date: '2024-03-29', name: 'Good Friday' }, { date: '2024-04-01', name: 'Easter Monday' }]);
+  });
+
+  test('moves a Federal Reserve holiday on a Sunday to Monday but not one on a Saturday to Friday', () => {
+    const july2021 = getHolidays('US', 2021).find((holiday) => holiday.name === 'Independence Day');
+    expect(july2021.date).toBe('2021-07-05');
+    expect(isBusinessDay('2026-07-03', ['US'])).toBe(true);
+  });
+
+  test('adds closures from bank_holidays', () => {
+    const extra = [{ calendar: 'US', holiday_date: '2025-01-09', name: 'National Day of Mourning' }];
+    expect(getHolidays('US', 2025, extra).map((holiday) => holiday.date)).toContain('2025-01-09');
+    expect(isBusinessDay('2025-01-09', ['US'], extra)).toBe(false);
+    expect(isBusinessDay('2025-01-09', ['TARGET'], extra)).toBe(true);
+  });
+});
+
+describe('getNextBusinessDay', () => {
+  test('skips weekends and holidays in every calendar', () => {
+    expect(getNextBusinessDay('2025-04-18', ['US'])).toBe('2025-04-18');
+    expect(getNextBusinessDay('2025-04-18', ['US', 'TARGET'])).toBe('2025-04-22');
+    expect(getNextBusinessDay('2025-11-27', ['US'])).toBe('2025-11-28');
+  });
+});
+
+describe('getTransferCutoff', () => {
+  test('takes the first matching cut-off', () => {
+    expect(getTransferCutoff({ transferType: 'wire_domestic', currency: 'USD' })).toBe('17:00');
+    expect(getTransferCutoff({ transferType: 'wire_domestic', currency: 'EUR' })).toBe('15:00');
+    expect(getTransferCutoff({ transferType: 'internal', currency: 'USD' })).toBe('23:59');
+  });
+});
+
+describe('getExecutionDate', () => {
+  const euroWire = { transferType: 'wire_international', currency: 'EUR' };
+
+  test('goes out the same day before the cut-off', () => {
+    expect(getExecutionDate({ ...euroWire, requestedAt: newYork('2025-04-17', '14:59') })).toMatchObject({
+      executionDate: '2025-04-17', afterCutoff: false, rolled: false
+    });
+  });
+
+  test('rolls a euro wire after the cut-off past Good Friday, the weekend and Easter Monday', () => {
+    expect(getExecutionDate({ ...euroWire, requestedAt: newYork('2025-04-17', '15:00') })).toEqual({
+      executionDate: '2025-04-22', requestedDate: '2025-04-17', cutoff: '15:00', afterCutoff: true, rolled: true
+    });
+  });
+
+  test('sends a dollar wire on Good Friday, when the Federal Reserve is open', () => {
+    const result = getExecutionDate({ transferType: 'wire_domestic', currency: 'USD', requestedAt: newYork('2025-04-18', '10:00') });
+    expect(result.executionDate).toBe('2025-04-18');
+  });
+
+  test('reads the clock in the configured time zone', () => {
+    // 21:30 in New York is already the next day in UTC
+    const result = getExecutionDate({ transferType: 'internal', currency: 'USD', requestedAt: newYork('2025-04-16', '21:30') });
+    expect(result.requestedDate).toBe('2025-04-16');
+  });
+
+  test('dates a scheduled transfer to the next business day on or after its date', () => {
+    const result = getExecutionDate({ ...euroWire, requestedAt: newYork('2025-04-14', '16:00'), scheduledDate: '2025-04-21' });
+    expect(result).toMatchObject({ requestedDate: '2025-04-21', executionDate: '2025-04-22', afterCutoff: false, rolled: true });
+  });
+
+  test('uses configured cut-offs', () => {
+    const config = mergeTransferCutoffConfig({ cutoffs: [{ time: '12:00' }] });
+    expect(getExecutionDate({ ...euroWire, requestedAt: newYork('2025-04-16', '12:30') }, { config }).executionDate).toBe('2025-04-17');
+  });
+});
+
+describe('getNextRunDate', () => {
+  const monthEnd = { frequency: 'monthly', day_of_month: 31 };
+
+  test('falls on the last day of shorter months and returns to its day after them', () => {
+    expect(getNextRunDate(monthEnd, '2025-01-31')).toBe('2025-02-28');
+    expect(getNextRunDate(monthEnd, '2025-02-28')).toBe('2025-03-31');
+    expect(getNextRunDate(monthEnd, '2025-03-31')).toBe('2025-04-30');
+    expect(getNextRunDate(monthEnd, '2024-01-31')).toBe('2024-02-29');
+  });
+
+  test('crosses the year end', () => {
+    expect(getNextRunDate({ frequency: 'monthly', day_of_month: 15 }, '2025-12-15')).toBe('2026-01-15');
+    expect(getNextRunDate({ frequency: 'quarterly', day_of_month: 31 }, '2025-11-30')).toBe('2026-02-28');
+  });
+});
+
+describe('getFirstRunDate', () => {
+  test('starts this month when the day has not passed, next month otherwise', () => {
+    expect(getFirstRunDate({ frequency: 'monthly', day_of_month: 20 }, '2025-03-14')).toBe('2025-03-20');
+    expect(getFirstRunDate({ frequency: 'quarterly', day_of_month: 10 }, '2025-03-14')).toBe('2025-04-10');
+    expect(getFirstRunDate({ frequency: 'monthly', day_of_month: 31 }, '2025-02-28')).toBe('2025-02-28');
+  });
+});
@@ -0,0 +1,6 @@
+// Wizard page numbers after the formFields.js steps
+export const getWizardPages = (steps) => ({
+  review: steps.length + 1,
+  signature: steps.length + 2,
+  instructions: steps.length + 3
+});
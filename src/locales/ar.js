@@ -0,0 +1,342 @@
+// Arabic. Keys are described in src/lib/i18n.js; npm run i18n:check lists any that are missing.
+export default {
+  // Wizard
+  'wizard.title.individual': 'طلب فتح حساب فردي',
+  'wizard.title.corporate': 'طلب فتح حساب شركة',
+  'wizard.progress': 'الخطوة {step} من {total}: {title}',
+  'wizard.reviewTitle': 'راجع طلبك',
+  'wizard.signTitle': 'وقّع طلبك',
+  'wizard.submitTitle': 'أرسل طلبك',
+  'wizard.reviewStep': 'المراجعة',
+  'wizard.signStep': 'التوقيع',
+  'wizard.taxFormNotice': 'بناءً على إجاباتك، ستقر بوضعك الضريبي على نموذج مصلحة الضرائب الأمريكية {form}. سنملأ النموذج مسبقاً من هذا الطلب ونرفقه لتوقيعك.',
+  'wizard.back': 'رجوع',
+  'wizard.cancel': 'إلغاء',
+  'wizard.saveForLater': 'حفظ والمتابعة لاحقاً',
+  'wizard.next': 'التالي',
+  'wizard.continueToSign': 'المتابعة إلى التوقيع',
+  'wizard.submit': 'إرسال الطلب',
+  'wizard.submitting': 'جارٍ الإرسال...',
+  'wizard.saveFailed': 'تعذّر حفظ تقدمك: {error}',
+
+  'save.promptSave': 'أدخل بريدك الإلكتروني لحفظ تقدمك. ستتلقى رابطاً للمتابعة لاحقاً.',
+  'save.promptSubmit': 'أدخل بريدك الإلكتروني لإرسال طلبك. سنستخدمه للتواصل معك بشأن حسابك.',
+  'save.saved': 'تم حفظ تقدمك. استخدم هذا الرابط للمتابعة لاحقاً:',
+  'save.saving': 'جارٍ الحفظ...',
+  'save.continue': 'متابعة',
+  'save.close': 'إغلاق',
+
+  'input.select': 'اختر...',
+  'input.search': 'بحث...',
+  'input.noMatches': 'لا توجد نتائج',
+  'input.countryCode': 'رمز الدولة',
+
+  'party.none': 'لم تتم إضافة {label}.',
+  'party.remove': 'إزالة',
+  'party.add': '+ إضافة {item}',
+  'party.ownership': 'الملكية المفصح عنها: {total} (الحد الأدنى {minTotal}%)',
+
+  'mrz.upload': 'تحميل نسخة ممسوحة من جواز السفر',
+  'mrz.reading': 'جارٍ القراءة...',
+  'mrz.hint': 'حمّل نسخة ممسوحة قابلة للبحث من صفحة بيانات جواز سفرك، أو اكتب أو الصق سطري الرموز المطبوعين أسفلها، وسنملأ البيانات أدناه منهما.',
+  'mrz.notFound': 'لم يتم العثور على منطقة القراءة الآلية لجواز السفر في {file}. اكتب أو الصق السطرين الموجودين أسفل صفحة البيانات بدلاً من ذلك.',
+  'mrz.checkFailed': 'هذه الأجزاء لا تطابق أرقام التحقق الخاصة بها: {parts}. قارن السطرين بجواز السفر.',
+  'mrz.check.passportNumber': 'رقم جواز السفر',
+  'mrz.check.dateOfBirth': 'تاريخ الميلاد',
+  'mrz.check.expiryDate': 'تاريخ الانتهاء',
+  'mrz.check.personalNumber': 'الرقم الشخصي',
+  'mrz.check.composite': 'السطر الثاني بأكمله',
+  'mrz.verified': 'تمت قراءة جواز السفر {number} باسم {name}.',
+  'mrz.expired': 'انتهت صلاحية جواز السفر هذا في {date}. يرجى تقديم جواز سفر ساري المفعول.',
+  'mrz.mismatchIntro': 'ما أدخلته يختلف عن جواز السفر:',
+  'mrz.mismatch': '{label}: أدخلت "{entered}"، وجواز السفر يذكر "{passport}"',
+
+  'review.step': 'الخطوة {step}: {title}',
+  'review.edit': 'تعديل',
+
+  'signature.intro': 'يجب على كل شخص مذكور أدناه توقيع الطلب. تُسجَّل التوقيعات مع التاريخ والوقت والجهاز المستخدم، وترتبط بالإجابات التي راجعتها للتو. أي تغيير في الإجابات يمحو التوقيعات.',
+  'signature.primaryClient': 'العميل الرئيسي',
+  'signature.draw': 'رسم',
+  'signature.type': 'كتابة',
+  'signature.clear': 'مسح',
+  'signature.imageAlt': 'توقيع {name}',
+  'signature.missing': 'يجب على {signer} توقيع الطلب',
+  'signature.consentMissing': 'يلزم الموافقة على التوقيع الإلكتروني',
+  'signature.consent': 'أوافق على أن هذا التوقيع الإلكتروني يعادل قانونياً توقيعي بخط اليد، وأنني بالتوقيع أؤكد أن المعلومات الواردة في هذا الطلب صحيحة وكاملة ودقيقة.',
+
+  'submission.received': 'تم استلام طلبك. يرجى ذكر المرجع {reference} مع مستنداتك.',
+  'submission.downloadApplication': 'تنزيل نموذج طلبك المعبأ مسبقاً',
+  'submission.downloadTaxForm': 'تنزيل النموذج {form} الخاص بك',
+  'submission.finish': 'العودة إلى الصفحة الرئيسية',
+
+  'status.title': 'حالة الطلب',
+  'status.intro': 'أدخل رقم مرجع طلبك والبريد الإلكتروني الذي قدّمت به الطلب. سنرسل إليك رمزًا عبر البريد الإلكتروني للاطلاع على حالة طلبك.',
+  'status.reference': 'مرجع الطلب',
+  'status.email': 'البريد الإلكتروني',
+  'status.sendCode': 'أرسل لي رمزًا',
+  'status.sending': 'جارٍ الإرسال...',
+  'status.codeSent': 'إذا كانت هذه البيانات مطابقة لطلب مقدَّم، فقد أرسلنا رمزًا من 6 أرقام إلى {email}. الرمز صالح لمدة 10 دقائق.',
+  'status.code': 'الرمز',
+  'status.verify': 'عرض الحالة',
+  'status.verifying': 'جارٍ التحقق...',
+  'status.resend': 'إرسال رمز جديد',
+  'status.startOver': 'استخدام مرجع آخر',
+  'status.submitted': 'الطلب {reference}، المقدَّم في {date}',
+  'status.kyc.pending': 'بانتظار المراجعة',
+  'status.kyc.pending.description': 'لقد استلمنا طلبك وسنراجعه قريبًا.',
+  'status.kyc.actionRequired': 'مطلوب إجراء',
+  'status.kyc.actionRequired.description': 'نحتاج إلى مزيد من المعلومات منك قبل متابعة مراجعة طلبك. يرجى الاطلاع على التفاصيل أدناه.',
+  'status.kyc.in_review': 'قيد المراجعة',
+  'status.kyc.in_review.description': 'يقوم فريق الامتثال لدينا بمراجعة طلبك ومستنداتك.',
+  'status.kyc.approved': 'تمت الموافقة',
+  'status.kyc.approved.description': 'تمت الموافقة على طلبك. سنتواصل معك لإبلاغك بتفاصيل حسابك.',
+  'status.kyc.rejected': 'لم تتم الموافقة',
+  'status.kyc.rejected.description': 'لا يمكننا فتح حساب بناءً على هذا الطلب. سنتواصل معك عبر البريد الإلكتروني بمزيد من التفاصيل.',
+  'status.kyc.withdrawn': 'تم السحب',
+  'status.kyc.withdrawn.description': 'تم سحب هذا الطلب. تواصل معنا إذا كنت ترغب في التقديم مرة أخرى.',
+  'status.requestsTitle': 'المعلومات التي نحتاجها منك',
+  'status.requestedOn': 'طُلب في {date}',
+  'status.noRequests': 'لا نحتاج إلى أي شيء آخر منك في الوقت الحالي.',
+  'status.upload': 'رفع',
+  'status.uploading': 'جارٍ الرفع...',
+  'status.uploaded': 'تم الاستلام',
+  'status.documentsTitle': 'المستندات المستلمة',
+  'status.noDocuments': 'لا توجد مستندات بعد.',
+  'status.signOut': 'تسجيل الخروج',
+  'status.document.passport': 'جواز السفر',
+  'status.document.drivers_license': 'رخصة القيادة',
+  'status.document.national_id': 'بطاقة الهوية الوطنية',
+  'status.document.utility_bill': 'فاتورة خدمات (إثبات العنوان)',
+  'status.document.bank_statement': 'كشف حساب بنكي',
+  'status.document.tax_return': 'الإقرار الضريبي',
+  'status.document.employment_letter': 'خطاب من جهة العمل',
+  'status.document.other': 'مستند آخر',
+  'status.email.subject': 'رمز طلبك لدى بنك الحمراء والثقة',
+  'status.email.body': 'رمزك للاطلاع على حالة الطلب {reference} هو {code}. تنتهي صلاحيته خلال {minutes} دقيقة.\n\nإذا لم تطلب هذا الرمز، يمكنك تجاهل هذه الرسالة.',
+
+  // Individual account
+  'steps.individual.1': 'البيانات الشخصية - العميل الرئيسي',
+  'steps.individual.2': 'معلومات العنوان',
+  'steps.individual.3': 'أصحاب الحساب المشتركون (اختياري)',
+  'steps.individual.4': 'بيانات العمل',
+  'steps.individual.5': 'البيانات المالية والملف الاستثماري',
+  'steps.individual.6': 'الإقرار الذاتي بالإقامة الضريبية (FATCA/CRS)',
+
+  'fields.passportMrz': 'منطقة القراءة الآلية في جواز السفر',
+  'fields.firstName': 'الاسم الأول',
+  'fields.firstName.pattern': 'استخدم الحروف والمسافات والشرطات والفواصل العليا فقط',
+  'fields.middleName': 'الاسم الأوسط',
+  'fields.middleName.pattern': 'استخدم الحروف والمسافات والشرطات والفواصل العليا فقط',
+  'fields.lastName': 'اسم العائلة',
+  'fields.lastName.pattern': 'استخدم الحروف والمسافات والشرطات والفواصل العليا فقط',
+  'fields.dateOfBirth': 'تاريخ الميلاد',
+  'fields.countryOfBirth': 'بلد الميلاد',
+  'fields.passportNumber': 'رقم جواز السفر',
+  'fields.passportNumber.pattern': 'يتكون رقم جواز السفر من 5 إلى 15 حرفاً ورقماً فقط',
+  'fields.countryOfIssuance': 'بلد الإصدار',
+  'fields.politicallyExposed': 'هل يشغل هذا الشخص، أو شغل خلال الأشهر الاثني عشر الماضية، منصبًا عامًا بارزًا، أو هو من أفراد عائلة من يشغله أو من المقربين إليه (شخص معرض سياسيًا)؟',
+  'fields.politicallyExposedDetails': 'المنصب العام والبلد وصلة القرابة بشاغل المنصب',
+
+  'fields.residenceAddress': 'عنوان السكن',
+  'fields.residenceApt': 'الشقة، الجناح، الطابق، إلخ.',
+  'fields.residenceState': 'الولاية/المقاطعة',
+  'fields.residencePostalCode': 'الرمز البريدي',
+  'fields.residenceCountry': 'الدولة',
+  'fields.mailingAddress': 'العنوان البريدي',
+  'fields.mailingApt': 'الشقة، الجناح، الطابق، إلخ.',
+  'fields.mailingState': 'الولاية/المقاطعة',
+  'fields.mailingPostalCode': 'الرمز البريدي',
+  'fields.mailingCountry': 'الدولة',
+  'fields.contactNumber': 'رقم الاتصال',
+  'fields.homePhoneNumber': 'رقم هاتف المنزل',
+
+  'fields.jointHolders': 'أصحاب الحساب المشتركون',
+  'fields.jointHolders.item': 'صاحب حساب مشترك',
+
+  'fields.employmentStatus': 'الحالة الوظيفية',
+  'fields.occupationJobTitle': 'المهنة أو المسمى الوظيفي',
+  'fields.employerCompanyName': 'اسم الشركة/جهة العمل/القطاع',
+  'fields.employerAddress': 'عنوان جهة العمل',
+  'fields.employerApt': 'الشقة، الجناح، الطابق، إلخ.',
+  'fields.employerState': 'الولاية/المقاطعة',
+  'fields.employerPostalCode': 'الرمز البريدي',
+  'fields.employerCountry': 'الدولة',
+  'fields.employerPhone': 'رقم الهاتف',
+  'fields.employerEmail': 'البريد الإلكتروني',
+
+  'fields.accountType': 'نوع الحساب',
+  'fields.investmentType': 'نوع الاستثمار',
+  'fields.annualIncome': 'نطاق الدخل السنوي',
+  'fields.sourceOfWealth': 'مصدر الثروة',
+  'fields.expectedMonthlyVolume': 'حجم المعاملات الشهري المتوقع',
+  'fields.investmentObjective': 'الأهداف/الاستراتيجية الاستثمارية',
+  'fields.timeHorizon': 'الأفق الزمني للأهداف الاستثمارية',
+  'fields.investmentExperience': 'مستوى الخبرة الاستثمارية',
+
+  'fields.usPersonStatus': 'الوضع الضريبي الأمريكي',
+  'fields.usTaxId': 'رقم التعريف الضريبي الأمريكي (SSN أو ITIN)',
+  'fields.usTaxId.pattern': 'أدخل رقم SSN أو ITIN مكوناً من 9 أرقام',
+  'fields.usAddress': 'العنوان في الولايات المتحدة',
+  'fields.usApt': 'الشقة، الجناح، الطابق، إلخ.',
+  'fields.usState': 'الولاية',
+  'fields.usPostalCode': 'الرمز البريدي (ZIP)',
+  'fields.taxResidencies': 'الإقامات الضريبية',
+  'fields.taxResidencies.item': 'إقامة ضريبية',
+  'fields.country': 'بلد الإقامة الضريبية',
+  'fields.tinAvailable': 'هل يتوفر رقم تعريف ضريبي (TIN) لهذا البلد؟',
+  'fields.tin': 'رقم التعريف الضريبي (TIN)',
+  'fields.tinUnavailableReason': 'سبب عدم توفر رقم التعريف الضريبي',
+  'fields.tinUnavailableExplanation': 'اشرح سبب تعذّر الحصول على رقم التعريف الضريبي',
+  'fields.selfCertificationDeclaration': 'الإقرار',
+
+  // Corporate account
+  'steps.corporate.1': 'بيانات الشركة',
+  'steps.corporate.2': 'المكتب المسجل والعنوان البريدي',
+  'steps.corporate.3': 'المالكون المستفيدون',
+  'steps.corporate.4': 'أعضاء مجلس الإدارة',
+  'steps.corporate.5': 'المفوضون بالتوقيع',
+  'steps.corporate.6': 'بيانات العمل والبيانات المالية',
+  'steps.corporate.7': 'الإقرار الذاتي بالإقامة الضريبية (FATCA/CRS)',
+
+  'fields.companyName': 'اسم الشركة',
+  'fields.countryOfIncorporation': 'بلد التأسيس',
+  'fields.registrationNumber': 'رقم التسجيل',
+  'fields.website': 'الموقع الإلكتروني',
+  'fields.entityType': 'نوع الكيان',
+  'fields.entityOther': 'نوع كيان آخر',
+
+  'fields.registeredAddress': 'عنوان المكتب المسجل',
+  'fields.registeredApt': 'الشقة، الجناح، الطابق، إلخ.',
+  'fields.registeredState': 'الولاية/المقاطعة',
+  'fields.registeredPostalCode': 'الرمز البريدي',
+  'fields.registeredCountry': 'الدولة',
+  'fields.phoneNumber': 'رقم الهاتف',
+  'fields.faxNumber': 'رقم الفاكس',
+  'fields.email': 'البريد الإلكتروني',
+
+  'fields.beneficialOwners': 'المالكون المستفيدون',
+  'fields.beneficialOwners.item': 'مالك مستفيد',
+  'fields.ownershipPercentage': 'نسبة الملكية (%)',
+  'fields.directors': 'أعضاء مجلس الإدارة',
+  'fields.directors.item': 'عضو مجلس إدارة',
+  'fields.managementCompanyName': 'اسم شركة الإدارة',
+  'fields.authorizedSignatories': 'المفوضون بالتوقيع',
+  'fields.authorizedSignatories.item': 'مفوض بالتوقيع',
+
+  'fields.primaryOccupation': 'المالك الرئيسي - المهنة أو المسمى الوظيفي',
+  'fields.primaryCompanyName': 'المالك الرئيسي - اسم الشركة/جهة العمل/القطاع',
+  'fields.primaryEmployerAddress': 'المالك الرئيسي - عنوان جهة العمل',
+  'fields.primaryEmployerApt': 'المالك الرئيسي - الشقة، الجناح، الطابق، إلخ.',
+  'fields.primaryEmployerState': 'المالك الرئيسي - الولاية/المقاطعة',
+  'fields.primaryEmployerPostalCode': 'المالك الرئيسي - الرمز البريدي',
+  'fields.primaryEmployerCountry': 'المالك الرئيسي - الدولة',
+  'fields.primaryEmployerPhone': 'المالك الرئيسي - رقم الهاتف',
+  'fields.primaryEmployerEmail': 'المالك الرئيسي - البريد الإلكتروني',
+
+  'fields.entityUsPersonStatus': 'الوضع الضريبي الأمريكي للكيان',
+  'fields.entityUsTaxId': 'رقم تعريف صاحب العمل الأمريكي (EIN)',
+  'fields.entityUsTaxId.pattern': 'أدخل رقم EIN مكوناً من 9 أرقام',
+  'fields.entityClassification': 'تصنيف الكيان (CRS / FATCA)',
+  'fields.giin': 'رقم تعريف الوسيط العالمي (GIIN)',
+  'fields.giin.pattern': 'يكون رقم GIIN بالشكل 98Q96B.00000.LE.250',
+
+  // Options
+  'options.Employed': 'موظف',
+  'options.Self-Employed': 'يعمل لحسابه الخاص',
+  'options.Retired': 'متقاعد',
+  'options.Other': 'أخرى',
+  'options.CD': 'شهادة إيداع (CD)',
+  'options.Money Market': 'سوق النقد',
+  'options.Stocks': 'الأسهم',
+  'options.Bonds': 'السندات',
+  'options.ETF': 'صناديق المؤشرات المتداولة (ETF)',
+  'options.Mutual Funds': 'صناديق الاستثمار المشتركة',
+  'options.Real Estate': 'العقارات',
+  'options.Others': 'أخرى',
+  'options.$100,000-$250,000': '100,000$ - 250,000$',
+  'options.$250,001-$500,000': '250,001$ - 500,000$',
+  'options.$500,001-$1,000,000': '500,001$ - 1,000,000$',
+  'options.Greater than $1,000,000': 'أكثر من 1,000,000$',
+  'options.Income from employment/business activity': 'دخل من العمل/النشاط التجاري',
+  'options.Income from dividends/interests': 'دخل من الأرباح الموزعة/الفوائد',
+  'options.Income from real estate/rent': 'دخل من العقارات/الإيجارات',
+  'options.Donation/inheritance/divorce settlement': 'هبة/ميراث/تسوية طلاق',
+  'options.Income from sale of assets': 'دخل من بيع الأصول',
+  'options.Other source of income': 'مصدر دخل آخر',
+  'options.Up to $10,000': 'حتى 10,000$',
+  'options.$10,001-$50,000': '10,001$ - 50,000$',
+  'options.$50,001-$250,000': '50,001$ - 250,000$',
+  'options.Greater than $250,000': 'أكثر من 250,000$',
+  'options.Conservative: Focus on low-risk investments': 'محافظ: التركيز على الاستثمارات منخفضة المخاطر',
+  'options.Conservative to Moderate: Include a mix of bonds and stable stocks': 'محافظ إلى معتدل: مزيج من السندات والأسهم المستقرة',
+  'options.Moderate: Balance between stocks and bonds': 'معتدل: توازن بين الأسهم والسندات',
+  'options.Growth & Income: Emphasize growth stocks with some income-generating assets': 'النمو والدخل: التركيز على أسهم النمو مع بعض الأصول المدرة للدخل',
+  'options.Aggressive: Prioritize high-risk, high-reward investments': 'جريء: إعطاء الأولوية للاستثمارات عالية المخاطر وعالية العائد',
+  'options.Up to 1 year': 'حتى سنة واحدة',
+  'options.Between 1 and 5 years': 'بين سنة و5 سنوات',
+  'options.More than 5 years': 'أكثر من 5 سنوات',
+  'options.Little Knowledge (1-5 Years)': 'معرفة محدودة (1-5 سنوات)',
+  'options.Moderate Knowledge (5-10 Years)': 'معرفة متوسطة (5-10 سنوات)',
+  'options.Very Knowledgeable (Over 10 Years)': 'معرفة واسعة (أكثر من 10 سنوات)',
+  'options.U.S. citizen (including dual citizens)': 'مواطن أمريكي (بما في ذلك مزدوجو الجنسية)',
+  'options.U.S. resident for tax purposes (green card holder or substantial presence)': 'مقيم في الولايات المتحدة لأغراض ضريبية (حامل البطاقة الخضراء أو الحضور الجوهري)',
+  'options.Not a U.S. person': 'لست شخصاً أمريكياً',
+  'options.U.S. entity (organized in the United States or under U.S. law)': 'كيان أمريكي (مؤسس في الولايات المتحدة أو بموجب القانون الأمريكي)',
+  'options.Yes': 'نعم',
+  'options.No': 'لا',
+  'options.Reason A - The country does not issue TINs to its residents': 'السبب أ - لا يصدر البلد أرقام تعريف ضريبية للمقيمين فيه',
+  'options.Reason B - The account holder is otherwise unable to obtain a TIN': 'السبب ب - يتعذر على صاحب الحساب الحصول على رقم تعريف ضريبي لأسباب أخرى',
+  'options.Reason C - The country does not require the TIN to be disclosed': 'السبب ج - لا يشترط البلد الإفصاح عن رقم التعريف الضريبي',
+  'options.I certify that the information in this self-certification is correct and complete, and I will notify Alhambra Bank & Trust within 30 days of any change in circumstances that makes it incorrect.': 'أقر بأن المعلومات الواردة في هذا الإقرار الذاتي صحيحة وكاملة، وسأبلغ Alhambra Bank & Trust خلال 30 يوماً بأي تغيير في الظروف يجعلها غير صحيحة.',
+  'options.LLC': 'شركة ذات مسؤولية محدودة (LLC)',
+  'options.Partnership': 'شركة تضامن',
+  'options.Corporation': 'شركة مساهمة',
+  'options.Trust': 'صندوق ائتماني',
+  'options.Financial Institution - Depository, Custodial or Specified Insurance Company': 'مؤسسة مالية - مؤسسة إيداع أو حفظ أو شركة تأمين محددة',
+  'options.Financial Institution - Investment Entity': 'مؤسسة مالية - كيان استثماري',
+  'options.Active NFE': 'كيان غير مالي نشط (NFE)',
+  'options.Passive NFE': 'كيان غير مالي سلبي (NFE)',
+  'options.Government Entity, International Organization or Central Bank': 'جهة حكومية أو منظمة دولية أو بنك مركزي',
+
+  // Submission instructions
+  'instructions.individual.title': 'تعليمات تقديم نموذج فتح الحساب الفردي',
+  'instructions.individual.0': 'تم توقيع طلبك إلكترونياً؛ لا يلزم توقيع بخط اليد.',
+  'instructions.individual.1': 'اجمع جميع المتطلبات المحددة في النموذج.',
+  'instructions.individual.2': 'أرسل المتطلبات المحددة، مع ذكر مرجع طلبك، بإحدى الطرق التالية:',
+  'instructions.individual.methods.0.method': 'المسح الضوئي والبريد الإلكتروني (موصى به)',
+  'instructions.individual.methods.0.formats': 'صيغ الملفات المقبولة: JPG و JPEG و PNG و PDF',
+  'instructions.individual.methods.0.note': 'اذكر اسمك في عنوان رسالة البريد الإلكتروني',
+  'instructions.individual.methods.1.method': 'البريد',
+  'instructions.corporate.title': 'تعليمات تقديم نموذج فتح حساب الشركة',
+  'instructions.corporate.0': 'تم توقيع طلبك إلكترونياً؛ لا يلزم توقيع بخط اليد.',
+  'instructions.corporate.1': 'اجمع جميع المتطلبات المحددة في النموذج.',
+  'instructions.corporate.2': 'أرسل المتطلبات المحددة، مع ذكر مرجع طلبك، بإحدى الطرق التالية:',
+  'instructions.corporate.methods.0.method': 'المسح الضوئي والبريد الإلكتروني (موصى به)',
+  'instructions.corporate.methods.0.formats': 'صيغ الملفات المقبولة: JPG و JPEG و PNG و PDF',
+  'instructions.corporate.methods.0.note': 'اذكر اسم شركتك في عنوان رسالة البريد الإلكتروني',
+  'instructions.corporate.methods.1.method': 'البريد',
+
+  // Validation
+  'validation.required': '{label} مطلوب',
+  'validation.email': 'يجب أن يكون {label} عنوان بريد إلكتروني صالحاً',
+  'validation.url': 'يجب أن يكون {label} عنوان موقع إلكتروني صالحاً',
+  'validation.tel': 'يجب أن يكون {label} رقم هاتف دولياً صالحاً، مثل +1 345 949 0000',
+  'validation.country': 'يجب أن يكون {label} دولة من القائمة',
+  'validation.currency': 'يجب أن يكون {label} عملة من القائمة',
+  'validation.date': 'يجب أن يكون {label} تاريخاً صالحاً',
+  'validation.mrz': '{label} يجب أن يتضمن السطرين كاملين من جواز السفر مع أرقام تحقق صحيحة',
+  'validation.invalidSelection': 'الاختيار في {label} غير صالح',
+  'validation.number': 'يجب أن يكون {label} رقماً',
+  'validation.invalidList': '{label} ليست قائمة صالحة',
+  'validation.minLength': 'يجب ألا يقل {label} عن {minLength} أحرف',
+  'validation.maxLength': 'يجب ألا يزيد {label} عن {maxLength} حرفاً',
+  'validation.pattern': 'صيغة {label} غير صالحة',
+  'validation.min': 'يجب ألا يقل {label} عن {min}',
+  'validation.max': 'يجب ألا يزيد {label} عن {max}',
+  'validation.minItems': '{label}: أضف {minItems} على الأقل',
+  'validation.maxItems': '{label}: لا يمكن إضافة أكثر من {maxItems}',
+  'validation.minAge': 'يشير {label} إلى عمر أقل من {minAge} عاماً',
+  'validation.maxAge': 'يشير {label} إلى عمر أكبر من {maxAge} عاماً',
+  'validation.ownershipOver': 'يبلغ مجموع الملكية المفصح عنها {total}%، وهو أكثر من 100%',
+  'validation.ownershipUnder': 'يبلغ مجموع الملكية المفصح عنها {total}%؛ يجب الإفصاح عن {minTotal}% على الأقل'
+};
@@ -0,0 +1,115 @@
+// English wizard and application status page text. Form schema text (steps, fields, options, submission instructions) and validation
+// messages are not listed here: src/lib/i18n.js reads them from formFields.js and formValidation.js.
+export default {
+  'wizard.title.individual': 'Individual Account Application',
+  'wizard.title.corporate': 'Corporate Account Application',
+  'wizard.progress': 'Step {step} of {total}: {title}',
+  'wizard.reviewTitle': 'Review Your Application',
+  'wizard.signTitle': 'Sign Your Application',
+  'wizard.submitTitle': 'Submit Your Application',
+  'wizard.reviewStep': 'Review',
+  'wizard.signStep': 'Sign',
+  'wizard.taxFormNotice': 'Based on your answers you will certify your tax status on IRS Form {form}. We will pre-fill it from this application and attach it for your signature.',
+  'wizard.back': 'Back',
+  'wizard.cancel': 'Cancel',
+  'wizard.saveForLater': 'Save and continue later',
+  'wizard.next': 'Next',
+  'wizard.continueToSign': 'Continue to Sign',
+  'wizard.submit': 'Submit Application',
+  'wizard.submitting': 'Submitting...',
+  'wizard.saveFailed': 'Your progress could not be saved: {error}',
+
+  'save.promptSave': 'Enter your email address to save your progress. You will get a link to continue later.',
+  'save.promptSubmit': 'Enter your email address to submit your application. We will use it to contact you about your account.',
+  'save.saved': 'Your progress has been saved. Use this link to continue later:',
+  'save.saving': 'Saving...',
+  'save.continue': 'Continue',
+  'save.close': 'Close',
+
+  'input.select': 'Select...',
+  'input.search': 'Search...',
+  'input.noMatches': 'No matches',
+  'input.countryCode': 'Country code',
+
+  'party.none': 'No {label} added.',
+  'party.remove': 'Remove',
+  'party.add': '+ Add {item}',
+  'party.ownership': 'Disclosed ownership: {total} (minimum {minTotal}%)',
+
+  'mrz.upload': 'Upload passport scan',
+  'mrz.reading': 'Reading...',
+  'mrz.hint': 'Upload a searchable scan of your passport\'s photo page, or type or paste the two lines of characters printed at the bottom of it. We will fill in the details below from them.',
+  'mrz.notFound': 'No passport machine-readable zone was found in {file}. Type or paste the two lines at the bottom of the photo page instead.',
+  'mrz.checkFailed': 'These parts do not match their check digits: {parts}. Check the lines against the passport.',
+  'mrz.check.passportNumber': 'passport number',
+  'mrz.check.dateOfBirth': 'date of birth',
+  'mrz.check.expiryDate': 'expiry date',
+  'mrz.check.personalNumber': 'personal number',
+  'mrz.check.composite': 'whole second line',
+  'mrz.verified': 'Passport {number} read for {name}.',
+  'mrz.expired': 'This passport expired on {date}. Please provide a valid passport.',
+  'mrz.mismatchIntro': 'What you typed differs from the passport:',
+  'mrz.mismatch': '{label}: you entered "{entered}", the passport reads "{passport}"',
+
+  'review.step': 'Step {step}: {title}',
+  'review.edit': 'Edit',
+
+  'signature.intro': 'Each person below must sign the application. Your signatures are recorded with the date, time and device used and are bound to the answers you have just reviewed. Changing any answer clears the signatures.',
+  'signature.primaryClient': 'Primary Client',
+  'signature.draw': 'Draw',
+  'signature.type': 'Type',
+  'signature.clear': 'Clear',
+  'signature.imageAlt': 'Signature of {name}',
+  'signature.missing': '{signer} must sign the application',
+  'signature.consentMissing': 'Consent to sign electronically is required',
+
+  'submission.received': 'Your application has been received. Please quote reference {reference} with your documents.',
+  'submission.downloadApplication': 'Download your pre-filled application form',
+  'submission.downloadTaxForm': 'Download your Form {form}',
+  'submission.finish': 'Return to Home',
+
+  'status.title': 'Application Status',
+  'status.intro': 'Enter your application reference and the email address you applied with. We will email you a code to view the status of your application.',
+  'status.reference': 'Application reference',
+  'status.email': 'Email address',
+  'status.sendCode': 'Email me a code',
+  'status.sending': 'Sending...',
+  'status.codeSent': 'If these details match a submitted application, we have emailed a 6-digit code to {email}. It is valid for 10 minutes.',
+  'status.code': 'Code',
+  'status.verify': 'View status',
+  'status.verifying': 'Checking...',
+  'status.resend': 'Send a new code',
+  'status.startOver': 'Use a different reference',
+  'status.submitted': 'Application {reference}, submitted on {date}',
+  'status.kyc.pending': 'Awaiting review',
+  'status.kyc.pending.description': 'We have received your application and will review it shortly.',
+  'status.kyc.actionRequired': 'Action required',
+  'status.kyc.actionRequired.description': 'We need more information from you before we can continue reviewing your application. Please see below.',
+  'status.kyc.in_review': 'In review',
+  'status.kyc.in_review.description': 'Our compliance team is reviewing your application and documents.',
+  'status.kyc.approved': 'Approved',
+  'status.kyc.approved.description': 'Your application has been approved. We will contact you with your account details.',
+  'status.kyc.rejected': 'Not approved',
+  'status.kyc.rejected.description': 'We are unable to open an account on this application. We will contact you by email with more details.',
+  'status.kyc.withdrawn': 'Withdrawn',
+  'status.kyc.withdrawn.description': 'This application has been withdrawn. Contact us if you would like to apply again.',
+  'status.requestsTitle': 'Information we need from you',
+  'status.requestedOn': 'Requested on {date}',
+  'status.noRequests': 'We do not need anything further from you at the moment.',
+  'status.upload': 'Upload',
+  'status.uploading': 'Uploading...',
+  'status.uploaded': 'Received',
+  'status.documentsTitle': 'Documents on file',
+  'status.noDocuments': 'No documents yet.',
+  'status.signOut': 'Sign out',
+  'status.document.passport': 'Passport',
+  'status.document.drivers_license': 'Driver\'s license',
+  'status.document.national_id': 'National ID card',
+  'status.document.utility_bill': 'Utility bill (proof of address)',
+  'status.document.bank_statement': 'Bank statement',
+  'status.document.tax_return': 'Tax return',
+  'status.document.employment_letter': 'Employment letter',
+  'status.document.other': 'Other document',
+  'status.email.subject': 'Your Alhambra Bank & Trust application code',
+  'status.email.body': 'Your code to view the status of application {reference} is {code}. It expires in {minutes} minutes.\n\nIf you did not ask for this code, you can ignore this email.'
+};
@@ -0,0 +1,342 @@
+// Spanish. Keys are described in src/lib/i18n.js; npm run i18n:check lists any that are missing.
+export default {
+  // Wizard
+  'wizard.title.individual': 'Solicitud de Cuenta Individual',
+  'wizard.title.corporate': 'Solicitud de Cuenta Corporativa',
+  'wizard.progress': 'Paso {step} de {total}: {title}',
+  'wizard.reviewTitle': 'Revise su Solicitud',
+  'wizard.signTitle': 'Firme su Solicitud',
+  'wizard.submitTitle': 'Envíe su Solicitud',
+  'wizard.reviewStep': 'Revisión',
+  'wizard.signStep': 'Firma',
+  'wizard.taxFormNotice': 'Según sus respuestas, certificará su situación fiscal en el Formulario {form} del IRS. Lo completaremos con los datos de esta solicitud y lo adjuntaremos para su firma.',
+  'wizard.back': 'Atrás',
+  'wizard.cancel': 'Cancelar',
+  'wizard.saveForLater': 'Guardar y continuar más tarde',
+  'wizard.next': 'Siguiente',
+  'wizard.continueToSign': 'Continuar a la Firma',
+  'wizard.submit': 'Enviar Solicitud',
+  'wizard.submitting': 'Enviando...',
+  'wizard.saveFailed': 'No se pudo guardar su progreso: {error}',
+
+  'save.promptSave': 'Introduzca su correo electrónico para guardar su progreso. Recibirá un enlace para continuar más tarde.',
+  'save.promptSubmit': 'Introduzca su correo electrónico para enviar su solicitud. Lo utilizaremos para comunicarnos con usted sobre su cuenta.',
+  'save.saved': 'Su progreso se ha guardado. Utilice este enlace para continuar más tarde:',
+  'save.saving': 'Guardando...',
+  'save.continue': 'Continuar',
+  'save.close': 'Cerrar',
+
+  'input.select': 'Seleccione...',
+  'input.search': 'Buscar...',
+  'input.noMatches': 'Sin resultados',
+  'input.countryCode': 'Código de país',
+
+  'party.none': 'No se han añadido {label}.',
+  'party.remove': 'Eliminar',
+  'party.add': '+ Añadir {item}',
+  'party.ownership': 'Participación declarada: {total} (mínimo {minTotal}%)',
+
+  'mrz.upload': 'Subir escaneo del pasaporte',
+  'mrz.reading': 'Leyendo...',
+  'mrz.hint': 'Suba un escaneo con texto de la página de datos de su pasaporte, o escriba o pegue las dos líneas de caracteres impresas al pie de esa página. Con ellas completaremos los datos siguientes.',
+  'mrz.notFound': 'No se encontró la zona de lectura mecánica del pasaporte en {file}. Escriba o pegue las dos líneas del pie de la página de datos.',
+  'mrz.checkFailed': 'Estas partes no coinciden con sus dígitos de control: {parts}. Compare las líneas con el pasaporte.',
+  'mrz.check.passportNumber': 'número de pasaporte',
+  'mrz.check.dateOfBirth': 'fecha de nacimiento',
+  'mrz.check.expiryDate': 'fecha de vencimiento',
+  'mrz.check.personalNumber': 'número personal',
+  'mrz.check.composite': 'segunda línea completa',
+  'mrz.verified': 'Pasaporte {number} leído a nombre de {name}.',
+  'mrz.expired': 'Este pasaporte venció el {date}. Proporcione un pasaporte vigente.',
+  'mrz.mismatchIntro': 'Lo que escribió difiere del pasaporte:',
+  'mrz.mismatch': '{label}: escribió «{entered}», el pasaporte indica «{passport}»',
+
+  'review.step': 'Paso {step}: {title}',
+  'review.edit': 'Editar',
+
+  'signature.intro': 'Cada una de las personas indicadas a continuación debe firmar la solicitud. Las firmas se registran con la fecha, la hora y el dispositivo utilizado, y quedan vinculadas a las respuestas que acaba de revisar. Si modifica alguna respuesta, las firmas se borrarán.',
+  'signature.primaryClient': 'Cliente Principal',
+  'signature.draw': 'Dibujar',
+  'signature.type': 'Escribir',
+  'signature.clear': 'Borrar',
+  'signature.imageAlt': 'Firma de {name}',
+  'signature.missing': '{signer} debe firmar la solicitud',
+  'signature.consentMissing': 'Se requiere el consentimiento para firmar electrónicamente',
+  'signature.consent': 'Acepto que esta firma electrónica tiene la misma validez legal que mi firma manuscrita y que, al firmar, confirmo que la información de esta solicitud es verdadera, completa y correcta.',
+
+  'submission.received': 'Hemos recibido su solicitud. Indique la referencia {reference} al enviar sus documentos.',
+  'submission.downloadApplication': 'Descargar su formulario de solicitud completado',
+  'submission.downloadTaxForm': 'Descargar su Formulario {form}',
+  'submission.finish': 'Volver al Inicio',
+
+  'status.title': 'Estado de la Solicitud',
+  'status.intro': 'Introduzca la referencia de su solicitud y el correo electrónico con el que la presentó. Le enviaremos por correo un código para consultar el estado de su solicitud.',
+  'status.reference': 'Referencia de la solicitud',
+  'status.email': 'Correo electrónico',
+  'status.sendCode': 'Enviarme un código',
+  'status.sending': 'Enviando...',
+  'status.codeSent': 'Si estos datos coinciden con una solicitud presentada, hemos enviado un código de 6 dígitos a {email}. Es válido durante 10 minutos.',
+  'status.code': 'Código',
+  'status.verify': 'Ver estado',
+  'status.verifying': 'Comprobando...',
+  'status.resend': 'Enviar un código nuevo',
+  'status.startOver': 'Usar otra referencia',
+  'status.submitted': 'Solicitud {reference}, presentada el {date}',
+  'status.kyc.pending': 'Pendiente de revisión',
+  'status.kyc.pending.description': 'Hemos recibido su solicitud y la revisaremos en breve.',
+  'status.kyc.actionRequired': 'Acción requerida',
+  'status.kyc.actionRequired.description': 'Necesitamos más información antes de continuar con la revisión de su solicitud. Consulte los detalles a continuación.',
+  'status.kyc.in_review': 'En revisión',
+  'status.kyc.in_review.description': 'Nuestro equipo de cumplimiento está revisando su solicitud y sus documentos.',
+  'status.kyc.approved': 'Aprobada',
+  'status.kyc.approved.description': 'Su solicitud ha sido aprobada. Nos pondremos en contacto con usted con los datos de su cuenta.',
+  'status.kyc.rejected': 'No aprobada',
+  'status.kyc.rejected.description': 'No podemos abrir una cuenta con esta solicitud. Le enviaremos más detalles por correo electrónico.',
+  'status.kyc.withdrawn': 'Retirada',
+  'status.kyc.withdrawn.description': 'Esta solicitud ha sido retirada. Póngase en contacto con nosotros si desea volver a presentarla.',
+  'status.requestsTitle': 'Información que necesitamos',
+  'status.requestedOn': 'Solicitado el {date}',
+  'status.noRequests': 'Por ahora no necesitamos nada más de usted.',
+  'status.upload': 'Subir',
+  'status.uploading': 'Subiendo...',
+  'status.uploaded': 'Recibido',
+  'status.documentsTitle': 'Documentos recibidos',
+  'status.noDocuments': 'Aún no hay documentos.',
+  'status.signOut': 'Cerrar sesión',
+  'status.document.passport': 'Pasaporte',
+  'status.document.drivers_license': 'Licencia de conducir',
+  'status.document.national_id': 'Documento nacional de identidad',
+  'status.document.utility_bill': 'Factura de servicios (comprobante de domicilio)',
+  'status.document.bank_statement': 'Extracto bancario',
+  'status.document.tax_return': 'Declaración de impuestos',
+  'status.document.employment_letter': 'Carta de empleo',
+  'status.document.other': 'Otro documento',
+  'status.email.subject': 'Su código de solicitud de Alhambra Bank & Trust',
+  'status.email.body': 'Su código para consultar el estado de la solicitud {reference} es {code}. Caduca en {minutes} minutos.\n\nSi no ha solicitado este código, puede ignorar este correo.',
+
+  // Individual account
+  'steps.individual.1': 'Datos Personales - Cliente Principal',
+  'steps.individual.2': 'Información de Domicilio',
+  'steps.individual.3': 'Titulares Conjuntos (Opcional)',
+  'steps.individual.4': 'Datos de Empleo',
+  'steps.individual.5': 'Datos Financieros y Perfil de Inversión',
+  'steps.individual.6': 'Autocertificación de Residencia Fiscal (FATCA/CRS)',
+
+  'fields.passportMrz': 'Zona de Lectura Mecánica del Pasaporte',
+  'fields.firstName': 'Nombre',
+  'fields.firstName.pattern': 'Utilice solo letras, espacios, guiones y apóstrofos',
+  'fields.middleName': 'Segundo Nombre',
+  'fields.middleName.pattern': 'Utilice solo letras, espacios, guiones y apóstrofos',
+  'fields.lastName': 'Apellidos',
+  'fields.lastName.pattern': 'Utilice solo letras, espacios, guiones y apóstrofos',
+  'fields.dateOfBirth': 'Fecha de Nacimiento',
+  'fields.countryOfBirth': 'País de Nacimiento',
+  'fields.passportNumber': 'Número de Pasaporte',
+  'fields.passportNumber.pattern': 'Los números de pasaporte contienen entre 5 y 15 letras y dígitos',
+  'fields.countryOfIssuance': 'País de Expedición',
+  'fields.politicallyExposed': '¿Ocupa esta persona, o ha ocupado en los últimos 12 meses, un cargo público destacado, o es familiar o allegado cercano de quien lo ocupe (persona políticamente expuesta)?',
+  'fields.politicallyExposedDetails': 'Cargo público, país y relación con su titular',
+
+  'fields.residenceAddress': 'Domicilio de Residencia',
+  'fields.residenceApt': 'Apto., Suite, Piso, etc.',
+  'fields.residenceState': 'Estado/Provincia',
+  'fields.residencePostalCode': 'Código Postal',
+  'fields.residenceCountry': 'País',
+  'fields.mailingAddress': 'Dirección Postal',
+  'fields.mailingApt': 'Apto., Suite, Piso, etc.',
+  'fields.mailingState': 'Estado/Provincia',
+  'fields.mailingPostalCode': 'Código Postal',
+  'fields.mailingCountry': 'País',
+  'fields.contactNumber': 'Número de Contacto',
+  'fields.homePhoneNumber': 'Teléfono Particular',
+
+  'fields.jointHolders': 'Titulares Conjuntos',
+  'fields.jointHolders.item': 'Titular Conjunto',
+
+  'fields.employmentStatus': 'Situación Laboral',
+  'fields.occupationJobTitle': 'Ocupación o Cargo',
+  'fields.employerCompanyName': 'Nombre de la Empresa/Empleador/Sector',
+  'fields.employerAddress': 'Dirección del Empleador',
+  'fields.employerApt': 'Apto., Suite, Piso, etc.',
+  'fields.employerState': 'Estado/Provincia',
+  'fields.employerPostalCode': 'Código Postal',
+  'fields.employerCountry': 'País',
+  'fields.employerPhone': 'Número de Teléfono',
+  'fields.employerEmail': 'Correo Electrónico',
+
+  'fields.accountType': 'Tipo de Cuenta',
+  'fields.investmentType': 'Tipo de Inversión',
+  'fields.annualIncome': 'Rango de Ingresos Anuales',
+  'fields.sourceOfWealth': 'Origen del Patrimonio',
+  'fields.expectedMonthlyVolume': 'Volumen Mensual de Transacciones Previsto',
+  'fields.investmentObjective': 'Objetivos/Estrategia de Inversión',
+  'fields.timeHorizon': 'Horizonte Temporal de los Objetivos de Inversión',
+  'fields.investmentExperience': 'Nivel de Experiencia en Inversiones',
+
+  'fields.usPersonStatus': 'Situación fiscal en EE. UU.',
+  'fields.usTaxId': 'Número de Identificación Fiscal de EE. UU. (SSN o ITIN)',
+  'fields.usTaxId.pattern': 'Introduzca un SSN o ITIN de 9 dígitos',
+  'fields.usAddress': 'Dirección en EE. UU.',
+  'fields.usApt': 'Apto., Suite, Piso, etc.',
+  'fields.usState': 'Estado',
+  'fields.usPostalCode': 'Código ZIP',
+  'fields.taxResidencies': 'Residencias Fiscales',
+  'fields.taxResidencies.item': 'Residencia Fiscal',
+  'fields.country': 'País de Residencia Fiscal',
+  'fields.tinAvailable': '¿Dispone de un Número de Identificación Fiscal (NIF) para este país?',
+  'fields.tin': 'Número de Identificación Fiscal (NIF)',
+  'fields.tinUnavailableReason': 'Motivo por el que no dispone de NIF',
+  'fields.tinUnavailableExplanation': 'Explique por qué no puede obtener un NIF',
+  'fields.selfCertificationDeclaration': 'Declaración',
+
+  // Corporate account
+  'steps.corporate.1': 'Datos de la Sociedad',
+  'steps.corporate.2': 'Domicilio Social y Dirección Postal',
+  'steps.corporate.3': 'Beneficiarios Finales',
+  'steps.corporate.4': 'Consejeros',
+  'steps.corporate.5': 'Firmantes Autorizados',
+  'steps.corporate.6': 'Datos de Empleo y Financieros',
+  'steps.corporate.7': 'Autocertificación de Residencia Fiscal (FATCA/CRS)',
+
+  'fields.companyName': 'Denominación de la Sociedad',
+  'fields.countryOfIncorporation': 'País de Constitución',
+  'fields.registrationNumber': 'Número de Registro',
+  'fields.website': 'Sitio Web',
+  'fields.entityType': 'Tipo de Entidad',
+  'fields.entityOther': 'Otro Tipo de Entidad',
+
+  'fields.registeredAddress': 'Domicilio Social',
+  'fields.registeredApt': 'Apto., Suite, Piso, etc.',
+  'fields.registeredState': 'Estado/Provincia',
+  'fields.registeredPostalCode': 'Código Postal',
+  'fields.registeredCountry': 'País',
+  'fields.phoneNumber': 'Número de Teléfono',
+  'fields.faxNumber': 'Número de Fax',
+  'fields.email': 'Correo Electrónico',
+
+  'fields.beneficialOwners': 'Beneficiarios Finales',
+  'fields.beneficialOwners.item': 'Beneficiario Final',
+  'fields.ownershipPercentage': 'Participación (%)',
+  'fields.directors': 'Consejeros',
+  'fields.directors.item': 'Consejero',
+  'fields.managementCompanyName': 'Nombre de la Sociedad Gestora',
+  'fields.authorizedSignatories': 'Firmantes Autorizados',
+  'fields.authorizedSignatories.item': 'Firmante Autorizado',
+
+  'fields.primaryOccupation': 'Titular Principal - Ocupación o Cargo',
+  'fields.primaryCompanyName': 'Titular Principal - Nombre de la Empresa/Empleador/Sector',
+  'fields.primaryEmployerAddress': 'Titular Principal - Dirección del Empleador',
+  'fields.primaryEmployerApt': 'Titular Principal - Apto., Suite, Piso, etc.',
+  'fields.primaryEmployerState': 'Titular Principal - Estado/Provincia',
+  'fields.primaryEmployerPostalCode': 'Titular Principal - Código Postal',
+  'fields.primaryEmployerCountry': 'Titular Principal - País',
+  'fields.primaryEmployerPhone': 'Titular Principal - Número de Teléfono',
+  'fields.primaryEmployerEmail': 'Titular Principal - Correo Electrónico',
+
+  'fields.entityUsPersonStatus': 'Situación fiscal de la entidad en EE. UU.',
+  'fields.entityUsTaxId': 'Número de Identificación Patronal de EE. UU. (EIN)',
+  'fields.entityUsTaxId.pattern': 'Introduzca un EIN de 9 dígitos',
+  'fields.entityClassification': 'Clasificación de la Entidad (CRS / FATCA)',
+  'fields.giin': 'Número Global de Identificación de Intermediario (GIIN)',
+  'fields.giin.pattern': 'Los GIIN tienen el formato 98Q96B.00000.LE.250',
+
+  // Options
+  'options.Employed': 'Empleado',
+  'options.Self-Employed': 'Trabajador por cuenta propia',
+  'options.Retired': 'Jubilado',
+  'options.Other': 'Otro',
+  'options.CD': 'Certificado de Depósito (CD)',
+  'options.Money Market': 'Mercado Monetario',
+  'options.Stocks': 'Acciones',
+  'options.Bonds': 'Bonos',
+  'options.ETF': 'ETF',
+  'options.Mutual Funds': 'Fondos de Inversión',
+  'options.Real Estate': 'Inmuebles',
+  'options.Others': 'Otros',
+  'options.$100,000-$250,000': '$100.000-$250.000',
+  'options.$250,001-$500,000': '$250.001-$500.000',
+  'options.$500,001-$1,000,000': '$500.001-$1.000.000',
+  'options.Greater than $1,000,000': 'Más de $1.000.000',
+  'options.Income from employment/business activity': 'Ingresos por empleo/actividad empresarial',
+  'options.Income from dividends/interests': 'Ingresos por dividendos/intereses',
+  'options.Income from real estate/rent': 'Ingresos por inmuebles/alquileres',
+  'options.Donation/inheritance/divorce settlement': 'Donación/herencia/acuerdo de divorcio',
+  'options.Income from sale of assets': 'Ingresos por venta de activos',
+  'options.Other source of income': 'Otra fuente de ingresos',
+  'options.Up to $10,000': 'Hasta $10.000',
+  'options.$10,001-$50,000': '$10.001-$50.000',
+  'options.$50,001-$250,000': '$50.001-$250.000',
+  'options.Greater than $250,000': 'Más de $250.000',
+  'options.Conservative: Focus on low-risk investments': 'Conservador: inversiones de bajo riesgo',
+  'options.Conservative to Moderate: Include a mix of bonds and stable stocks': 'Conservador a Moderado: combinación de bonos y acciones estables',
+  'options.Moderate: Balance between stocks and bonds': 'Moderado: equilibrio entre acciones y bonos',
+  'options.Growth & Income: Emphasize growth stocks with some income-generating assets': 'Crecimiento e Ingresos: acciones de crecimiento con algunos activos que generan rentas',
+  'options.Aggressive: Prioritize high-risk, high-reward investments': 'Agresivo: inversiones de alto riesgo y alta rentabilidad',
+  'options.Up to 1 year': 'Hasta 1 año',
+  'options.Between 1 and 5 years': 'Entre 1 y 5 años',
+  'options.More than 5 years': 'Más de 5 años',
+  'options.Little Knowledge (1-5 Years)': 'Poco Conocimiento (1-5 Años)',
+  'options.Moderate Knowledge (5-10 Years)': 'Conocimiento Moderado (5-10 Años)',
+  'options.Very Knowledgeable (Over 10 Years)': 'Amplio Conocimiento (Más de 10 Años)',
+  'options.U.S. citizen (including dual citizens)': 'Ciudadano estadounidense (incluida la doble nacionalidad)',
+  'options.U.S. resident for tax purposes (green card holder or substantial presence)': 'Residente fiscal en EE. UU. (titular de green card o presencia sustancial)',
+  'options.Not a U.S. person': 'No soy una persona estadounidense',
+  'options.U.S. entity (organized in the United States or under U.S. law)': 'Entidad estadounidense (constituida en EE. UU. o conforme a la legislación de EE. UU.)',
+  'options.Yes': 'Sí',
+  'options.No': 'No',
+  'options.Reason A - The country does not issue TINs to its residents': 'Motivo A - El país no expide NIF a sus residentes',
+  'options.Reason B - The account holder is otherwise unable to obtain a TIN': 'Motivo B - El titular de la cuenta no puede obtener un NIF por otras razones',
+  'options.Reason C - The country does not require the TIN to be disclosed': 'Motivo C - El país no exige que se comunique el NIF',
+  'options.I certify that the information in this self-certification is correct and complete, and I will notify Alhambra Bank & Trust within 30 days of any change in circumstances that makes it incorrect.': 'Certifico que la información de esta autocertificación es correcta y completa, y notificaré a Alhambra Bank & Trust en un plazo de 30 días cualquier cambio de circunstancias que la haga incorrecta.',
+  'options.LLC': 'Sociedad de Responsabilidad Limitada (LLC)',
+  'options.Partnership': 'Sociedad Colectiva',
+  'options.Corporation': 'Sociedad Anónima',
+  'options.Trust': 'Fideicomiso',
+  'options.Financial Institution - Depository, Custodial or Specified Insurance Company': 'Institución Financiera - Depositaria, Custodia o Compañía de Seguros Específica',
+  'options.Financial Institution - Investment Entity': 'Institución Financiera - Entidad de Inversión',
+  'options.Active NFE': 'ENF Activa',
+  'options.Passive NFE': 'ENF Pasiva',
+  'options.Government Entity, International Organization or Central Bank': 'Entidad Gubernamental, Organización Internacional o Banco Central',
+
+  // Submission instructions
+  'instructions.individual.title': 'Instrucciones para el Envío del Formulario de Apertura de Cuenta Individual',
+  'instructions.individual.0': 'Su solicitud se ha firmado electrónicamente; no es necesaria una firma manuscrita.',
+  'instructions.individual.1': 'Reúna todos los requisitos indicados en el formulario.',
+  'instructions.individual.2': 'Envíe los requisitos indicados, citando la referencia de su solicitud, por cualquiera de los siguientes medios:',
+  'instructions.individual.methods.0.method': 'Escanear y Enviar por Correo Electrónico (recomendado)',
+  'instructions.individual.methods.0.formats': 'Formatos de archivo aceptados: JPG, JPEG, PNG, PDF',
+  'instructions.individual.methods.0.note': 'Incluya su Nombre en el Asunto del Correo',
+  'instructions.individual.methods.1.method': 'Correo Postal',
+  'instructions.corporate.title': 'Instrucciones para el Envío del Formulario de Apertura de Cuenta Corporativa',
+  'instructions.corporate.0': 'Su solicitud se ha firmado electrónicamente; no es necesaria una firma manuscrita.',
+  'instructions.corporate.1': 'Reúna todos los requisitos indicados en el formulario.',
+  'instructions.corporate.2': 'Envíe los requisitos indicados, citando la referencia de su solicitud, por cualquiera de los siguientes medios:',
+  'instructions.corporate.methods.0.method': 'Escanear y Enviar por Correo Electrónico (recomendado)',
+  'instructions.corporate.methods.0.formats': 'Formatos de archivo aceptados: JPG, JPEG, PNG, PDF',
+  'instructions.corporate.methods.0.note': 'Incluya el Nombre de su Empresa en el Asunto del Correo',
+  'instructions.corporate.methods.1.method': 'Correo Postal',
+
+  // Validation
+  'validation.required': '{label} es obligatorio',
+  'validation.email': '{label} debe ser una dirección de correo electrónico válida',
+  'validation.url': '{label} debe ser una dirección web válida',
+  'validation.tel': '{label} debe ser un número de teléfono internacional válido, p. ej. +1 345 949 0000',
+  'validation.country': '{label} debe ser un país de la lista',
+  'validation.currency': '{label} debe ser una moneda de la lista',
+  'validation.date': '{label} debe ser una fecha válida',
+  'validation.mrz': '{label} debe contener las dos líneas completas del pasaporte, con dígitos de control correctos',
+  'validation.invalidSelection': '{label} tiene una selección no válida',
+  'validation.number': '{label} debe ser un número',
+  'validation.invalidList': '{label} no es una lista válida',
+  'validation.minLength': '{label} debe tener al menos {minLength} caracteres',
+  'validation.maxLength': '{label} debe tener como máximo {maxLength} caracteres',
+  'validation.pattern': '{label} no tiene un formato válido',
+  'validation.min': '{label} debe ser al menos {min}',
+  'validation.max': '{label} debe ser como máximo {max}',
+  'validation.minItems': '{label}: añada al menos {minItems}',
+  'validation.maxItems': '{label}: se pueden añadir {maxItems} como máximo',
+  'validation.minAge': '{label} indica una edad inferior a {minAge} años',
+  'validation.maxAge': '{label} indica una edad superior a {maxAge} años',
+  'validation.ownershipOver': 'La participación declarada suma {total}%, lo que supera el 100%',
+  'validation.ownershipUnder': 'La participación declarada suma {total}%; debe declararse al menos el {minTotal}%'
+};
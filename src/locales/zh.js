@@ -0,0 +1,342 @@
+// Simplified Chinese. Keys are described in src/lib/i18n.js; npm run i18n:check lists any that are missing.
+export default {
+  // Wizard
+  'wizard.title.individual': '个人账户开户申请',
+  'wizard.title.corporate': '企业账户开户申请',
+  'wizard.progress': '第 {step} 步，共 {total} 步：{title}',
+  'wizard.reviewTitle': '核对您的申请',
+  'wizard.signTitle': '签署您的申请',
+  'wizard.submitTitle': '提交您的申请',
+  'wizard.reviewStep': '核对',
+  'wizard.signStep': '签署',
+  'wizard.taxFormNotice': '根据您的回答，您将通过美国国税局 {form} 表格证明您的税务身份。我们将根据本申请预先填写该表格，并附上供您签署。',
+  'wizard.back': '上一步',
+  'wizard.cancel': '取消',
+  'wizard.saveForLater': '保存并稍后继续',
+  'wizard.next': '下一步',
+  'wizard.continueToSign': '继续签署',
+  'wizard.submit': '提交申请',
+  'wizard.submitting': '正在提交...',
+  'wizard.saveFailed': '无法保存您的进度：{error}',
+
+  'save.promptSave': '请输入您的电子邮箱以保存进度。您将收到一个稍后继续填写的链接。',
+  'save.promptSubmit': '请输入您的电子邮箱以提交申请。我们将通过该邮箱就您的账户与您联系。',
+  'save.saved': '您的进度已保存。请使用此链接稍后继续：',
+  'save.saving': '正在保存...',
+  'save.continue': '继续',
+  'save.close': '关闭',
+
+  'input.select': '请选择...',
+  'input.search': '搜索...',
+  'input.noMatches': '无匹配结果',
+  'input.countryCode': '国家/地区代码',
+
+  'party.none': '尚未添加{label}。',
+  'party.remove': '删除',
+  'party.add': '+ 添加{item}',
+  'party.ownership': '已披露持股比例：{total}（最低 {minTotal}%）',
+
+  'mrz.upload': '上传护照扫描件',
+  'mrz.reading': '正在读取...',
+  'mrz.hint': '请上传护照资料页的可检索扫描件，或输入或粘贴该页底部印有的两行字符，我们将据此填写以下信息。',
+  'mrz.notFound': '未在 {file} 中找到护照机读区。请改为输入或粘贴资料页底部的两行字符。',
+  'mrz.checkFailed': '以下部分与校验位不符：{parts}。请对照护照核对。',
+  'mrz.check.passportNumber': '护照号码',
+  'mrz.check.dateOfBirth': '出生日期',
+  'mrz.check.expiryDate': '有效期',
+  'mrz.check.personalNumber': '个人号码',
+  'mrz.check.composite': '第二行整体',
+  'mrz.verified': '已读取 {name} 的护照 {number}。',
+  'mrz.expired': '此护照已于 {date} 过期。请提供有效护照。',
+  'mrz.mismatchIntro': '您填写的内容与护照不一致：',
+  'mrz.mismatch': '{label}：您填写的是“{entered}”，护照上为“{passport}”',
+
+  'review.step': '第 {step} 步：{title}',
+  'review.edit': '修改',
+
+  'signature.intro': '以下每位人士均须签署本申请。签名将连同日期、时间和所用设备一并记录，并与您刚刚核对的答案绑定。更改任何答案都会清除签名。',
+  'signature.primaryClient': '主要客户',
+  'signature.draw': '手写',
+  'signature.type': '键入',
+  'signature.clear': '清除',
+  'signature.imageAlt': '{name}的签名',
+  'signature.missing': '{signer}必须签署本申请',
+  'signature.consentMissing': '必须同意以电子方式签署',
+  'signature.consent': '本人同意此电子签名与本人手写签名具有同等法律效力，并确认签署即表示本申请中的信息真实、完整、正确。',
+
+  'submission.received': '我们已收到您的申请。提交文件时请注明参考编号 {reference}。',
+  'submission.downloadApplication': '下载预先填写的申请表',
+  'submission.downloadTaxForm': '下载您的 {form} 表格',
+  'submission.finish': '返回首页',
+
+  'status.title': '申请状态',
+  'status.intro': '请输入您的申请编号和申请时使用的电子邮件地址。我们将通过电子邮件向您发送一个验证码，用于查看申请状态。',
+  'status.reference': '申请编号',
+  'status.email': '电子邮件地址',
+  'status.sendCode': '向我发送验证码',
+  'status.sending': '正在发送...',
+  'status.codeSent': '如果这些信息与已提交的申请相符，我们已向 {email} 发送了一个 6 位验证码，有效期为 10 分钟。',
+  'status.code': '验证码',
+  'status.verify': '查看状态',
+  'status.verifying': '正在验证...',
+  'status.resend': '重新发送验证码',
+  'status.startOver': '使用其他申请编号',
+  'status.submitted': '申请 {reference}，提交于 {date}',
+  'status.kyc.pending': '等待审核',
+  'status.kyc.pending.description': '我们已收到您的申请，将尽快进行审核。',
+  'status.kyc.actionRequired': '需要您处理',
+  'status.kyc.actionRequired.description': '在继续审核您的申请之前，我们需要您提供更多信息，详情请见下文。',
+  'status.kyc.in_review': '审核中',
+  'status.kyc.in_review.description': '我们的合规团队正在审核您的申请和文件。',
+  'status.kyc.approved': '已批准',
+  'status.kyc.approved.description': '您的申请已获批准。我们将与您联系并告知账户详情。',
+  'status.kyc.rejected': '未获批准',
+  'status.kyc.rejected.description': '我们无法根据此申请开立账户。我们将通过电子邮件向您告知详情。',
+  'status.kyc.withdrawn': '已撤回',
+  'status.kyc.withdrawn.description': '此申请已撤回。如需重新申请，请与我们联系。',
+  'status.requestsTitle': '需要您提供的信息',
+  'status.requestedOn': '请求日期：{date}',
+  'status.noRequests': '目前无需您提供其他材料。',
+  'status.upload': '上传',
+  'status.uploading': '正在上传...',
+  'status.uploaded': '已收到',
+  'status.documentsTitle': '已存档文件',
+  'status.noDocuments': '暂无文件。',
+  'status.signOut': '退出',
+  'status.document.passport': '护照',
+  'status.document.drivers_license': '驾驶执照',
+  'status.document.national_id': '身份证',
+  'status.document.utility_bill': '水电费账单（地址证明）',
+  'status.document.bank_statement': '银行对账单',
+  'status.document.tax_return': '纳税申报表',
+  'status.document.employment_letter': '在职证明',
+  'status.document.other': '其他文件',
+  'status.email.subject': '您的阿尔罕布拉银行信托申请验证码',
+  'status.email.body': '您查看申请 {reference} 状态的验证码是 {code}，将在 {minutes} 分钟后失效。\n\n如果您没有请求此验证码，请忽略此邮件。',
+
+  // Individual account
+  'steps.individual.1': '个人资料 - 主要客户',
+  'steps.individual.2': '地址信息',
+  'steps.individual.3': '联名账户持有人（可选）',
+  'steps.individual.4': '就业信息',
+  'steps.individual.5': '财务信息与投资概况',
+  'steps.individual.6': '税务居民身份自我证明（FATCA/CRS）',
+
+  'fields.passportMrz': '护照机读区',
+  'fields.firstName': '名',
+  'fields.firstName.pattern': '只能使用字母、空格、连字符和撇号',
+  'fields.middleName': '中间名',
+  'fields.middleName.pattern': '只能使用字母、空格、连字符和撇号',
+  'fields.lastName': '姓',
+  'fields.lastName.pattern': '只能使用字母、空格、连字符和撇号',
+  'fields.dateOfBirth': '出生日期',
+  'fields.countryOfBirth': '出生国家/地区',
+  'fields.passportNumber': '护照号码',
+  'fields.passportNumber.pattern': '护照号码仅包含 5 至 15 个字母和数字',
+  'fields.countryOfIssuance': '签发国家/地区',
+  'fields.politicallyExposed': '此人目前是否担任或在过去12个月内曾担任重要公共职务，或是否为担任此类职务者的家庭成员或密切关系人（政治公众人物）？',
+  'fields.politicallyExposedDetails': '公共职务、国家/地区及与任职者的关系',
+
+  'fields.residenceAddress': '居住地址',
+  'fields.residenceApt': '公寓、套房、楼层等',
+  'fields.residenceState': '州/省',
+  'fields.residencePostalCode': '邮政编码',
+  'fields.residenceCountry': '国家/地区',
+  'fields.mailingAddress': '通讯地址',
+  'fields.mailingApt': '公寓、套房、楼层等',
+  'fields.mailingState': '州/省',
+  'fields.mailingPostalCode': '邮政编码',
+  'fields.mailingCountry': '国家/地区',
+  'fields.contactNumber': '联系电话',
+  'fields.homePhoneNumber': '住宅电话',
+
+  'fields.jointHolders': '联名账户持有人',
+  'fields.jointHolders.item': '联名持有人',
+
+  'fields.employmentStatus': '就业状况',
+  'fields.occupationJobTitle': '职业或职位',
+  'fields.employerCompanyName': '公司/雇主/行业名称',
+  'fields.employerAddress': '雇主地址',
+  'fields.employerApt': '公寓、套房、楼层等',
+  'fields.employerState': '州/省',
+  'fields.employerPostalCode': '邮政编码',
+  'fields.employerCountry': '国家/地区',
+  'fields.employerPhone': '电话号码',
+  'fields.employerEmail': '电子邮箱',
+
+  'fields.accountType': '账户类型',
+  'fields.investmentType': '投资类型',
+  'fields.annualIncome': '年收入范围',
+  'fields.sourceOfWealth': '财富来源',
+  'fields.expectedMonthlyVolume': '预计每月交易金额',
+  'fields.investmentObjective': '投资目标/策略',
+  'fields.timeHorizon': '投资目标的期限',
+  'fields.investmentExperience': '投资经验水平',
+
+  'fields.usPersonStatus': '美国税务身份',
+  'fields.usTaxId': '美国纳税人识别号（SSN 或 ITIN）',
+  'fields.usTaxId.pattern': '请输入 9 位数的 SSN 或 ITIN',
+  'fields.usAddress': '美国地址',
+  'fields.usApt': '公寓、套房、楼层等',
+  'fields.usState': '州',
+  'fields.usPostalCode': 'ZIP 邮政编码',
+  'fields.taxResidencies': '税务居民身份',
+  'fields.taxResidencies.item': '税务居民国家/地区',
+  'fields.country': '税务居民国家/地区',
+  'fields.tinAvailable': '该国家/地区是否有纳税人识别号（TIN）？',
+  'fields.tin': '纳税人识别号（TIN）',
+  'fields.tinUnavailableReason': '无法提供 TIN 的原因',
+  'fields.tinUnavailableExplanation': '请说明无法取得 TIN 的原因',
+  'fields.selfCertificationDeclaration': '声明',
+
+  // Corporate account
+  'steps.corporate.1': '公司资料',
+  'steps.corporate.2': '注册办事处及通讯地址',
+  'steps.corporate.3': '实益拥有人',
+  'steps.corporate.4': '董事',
+  'steps.corporate.5': '授权签字人',
+  'steps.corporate.6': '就业及财务信息',
+  'steps.corporate.7': '税务居民身份自我证明（FATCA/CRS）',
+
+  'fields.companyName': '公司名称',
+  'fields.countryOfIncorporation': '注册成立国家/地区',
+  'fields.registrationNumber': '注册号码',
+  'fields.website': '网站',
+  'fields.entityType': '实体类型',
+  'fields.entityOther': '其他实体类型',
+
+  'fields.registeredAddress': '注册办事处地址',
+  'fields.registeredApt': '公寓、套房、楼层等',
+  'fields.registeredState': '州/省',
+  'fields.registeredPostalCode': '邮政编码',
+  'fields.registeredCountry': '国家/地区',
+  'fields.phoneNumber': '电话号码',
+  'fields.faxNumber': '传真号码',
+  'fields.email': '电子邮箱',
+
+  'fields.beneficialOwners': '实益拥有人',
+  'fields.beneficialOwners.item': '实益拥有人',
+  'fields.ownershipPercentage': '持股比例（%）',
+  'fields.directors': '董事',
+  'fields.directors.item': '董事',
+  'fields.managementCompanyName': '管理公司名称',
+  'fields.authorizedSignatories': '授权签字人',
+  'fields.authorizedSignatories.item': '授权签字人',
+
+  'fields.primaryOccupation': '主要拥有人 - 职业或职位',
+  'fields.primaryCompanyName': '主要拥有人 - 公司/雇主/行业名称',
+  'fields.primaryEmployerAddress': '主要拥有人 - 雇主地址',
+  'fields.primaryEmployerApt': '主要拥有人 - 公寓、套房、楼层等',
+  'fields.primaryEmployerState': '主要拥有人 - 州/省',
+  'fields.primaryEmployerPostalCode': '主要拥有人 - 邮政编码',
+  'fields.primaryEmployerCountry': '主要拥有人 - 国家/地区',
+  'fields.primaryEmployerPhone': '主要拥有人 - 电话号码',
+  'fields.primaryEmployerEmail': '主要拥有人 - 电子邮箱',
+
+  'fields.entityUsPersonStatus': '实体的美国税务身份',
+  'fields.entityUsTaxId': '美国雇主识别号（EIN）',
+  'fields.entityUsTaxId.pattern': '请输入 9 位数的 EIN',
+  'fields.entityClassification': '实体分类（CRS / FATCA）',
+  'fields.giin': '全球中介机构识别号（GIIN）',
+  'fields.giin.pattern': 'GIIN 的格式类似 98Q96B.00000.LE.250',
+
+  // Options
+  'options.Employed': '受雇',
+  'options.Self-Employed': '自雇',
+  'options.Retired': '退休',
+  'options.Other': '其他',
+  'options.CD': '定期存单（CD）',
+  'options.Money Market': '货币市场',
+  'options.Stocks': '股票',
+  'options.Bonds': '债券',
+  'options.ETF': '交易所交易基金（ETF）',
+  'options.Mutual Funds': '共同基金',
+  'options.Real Estate': '房地产',
+  'options.Others': '其他',
+  'options.$100,000-$250,000': '100,000 - 250,000 美元',
+  'options.$250,001-$500,000': '250,001 - 500,000 美元',
+  'options.$500,001-$1,000,000': '500,001 - 1,000,000 美元',
+  'options.Greater than $1,000,000': '超过 1,000,000 美元',
+  'options.Income from employment/business activity': '受雇/经营活动收入',
+  'options.Income from dividends/interests': '股息/利息收入',
+  'options.Income from real estate/rent': '房地产/租金收入',
+  'options.Donation/inheritance/divorce settlement': '捐赠/继承/离婚财产分割',
+  'options.Income from sale of assets': '出售资产收入',
+  'options.Other source of income': '其他收入来源',
+  'options.Up to $10,000': '不超过 10,000 美元',
+  'options.$10,001-$50,000': '10,001 - 50,000 美元',
+  'options.$50,001-$250,000': '50,001 - 250,000 美元',
+  'options.Greater than $250,000': '超过 250,000 美元',
+  'options.Conservative: Focus on low-risk investments': '保守型：侧重低风险投资',
+  'options.Conservative to Moderate: Include a mix of bonds and stable stocks': '保守至稳健型：债券与稳定型股票组合',
+  'options.Moderate: Balance between stocks and bonds': '稳健型：股票与债券均衡配置',
+  'options.Growth & Income: Emphasize growth stocks with some income-generating assets': '增长与收益型：侧重成长股，辅以部分创收资产',
+  'options.Aggressive: Prioritize high-risk, high-reward investments': '进取型：优先高风险、高回报投资',
+  'options.Up to 1 year': '1 年以内',
+  'options.Between 1 and 5 years': '1 至 5 年',
+  'options.More than 5 years': '5 年以上',
+  'options.Little Knowledge (1-5 Years)': '了解较少（1-5 年）',
+  'options.Moderate Knowledge (5-10 Years)': '一般了解（5-10 年）',
+  'options.Very Knowledgeable (Over 10 Years)': '非常了解（10 年以上）',
+  'options.U.S. citizen (including dual citizens)': '美国公民（包括双重国籍）',
+  'options.U.S. resident for tax purposes (green card holder or substantial presence)': '美国税务居民（绿卡持有人或符合实质性居住标准）',
+  'options.Not a U.S. person': '非美国人士',
+  'options.U.S. entity (organized in the United States or under U.S. law)': '美国实体（在美国或根据美国法律成立）',
+  'options.Yes': '是',
+  'options.No': '否',
+  'options.Reason A - The country does not issue TINs to its residents': '原因 A - 该国家/地区不向其居民签发 TIN',
+  'options.Reason B - The account holder is otherwise unable to obtain a TIN': '原因 B - 账户持有人因其他原因无法取得 TIN',
+  'options.Reason C - The country does not require the TIN to be disclosed': '原因 C - 该国家/地区不要求披露 TIN',
+  'options.I certify that the information in this self-certification is correct and complete, and I will notify Alhambra Bank & Trust within 30 days of any change in circumstances that makes it incorrect.': '本人证明本自我证明中的信息正确、完整；如情况发生变化导致信息不正确，本人将在 30 天内通知 Alhambra Bank & Trust。',
+  'options.LLC': '有限责任公司（LLC）',
+  'options.Partnership': '合伙企业',
+  'options.Corporation': '股份有限公司',
+  'options.Trust': '信托',
+  'options.Financial Institution - Depository, Custodial or Specified Insurance Company': '金融机构 - 存款机构、托管机构或特定保险公司',
+  'options.Financial Institution - Investment Entity': '金融机构 - 投资实体',
+  'options.Active NFE': '积极非金融实体（NFE）',
+  'options.Passive NFE': '消极非金融实体（NFE）',
+  'options.Government Entity, International Organization or Central Bank': '政府实体、国际组织或中央银行',
+
+  // Submission instructions
+  'instructions.individual.title': '个人账户开户表格提交说明',
+  'instructions.individual.0': '您的申请已通过电子方式签署，无需手写签名。',
+  'instructions.individual.1': '准备好表格中列明的所有材料。',
+  'instructions.individual.2': '请注明您的申请参考编号，并通过以下任一方式发送所需材料：',
+  'instructions.individual.methods.0.method': '扫描并发送电子邮件（推荐）',
+  'instructions.individual.methods.0.formats': '可接受的文件格式：JPG、JPEG、PNG、PDF',
+  'instructions.individual.methods.0.note': '请在邮件主题中注明您的姓名',
+  'instructions.individual.methods.1.method': '邮寄',
+  'instructions.corporate.title': '企业账户开户表格提交说明',
+  'instructions.corporate.0': '您的申请已通过电子方式签署，无需手写签名。',
+  'instructions.corporate.1': '准备好表格中列明的所有材料。',
+  'instructions.corporate.2': '请注明您的申请参考编号，并通过以下任一方式发送所需材料：',
+  'instructions.corporate.methods.0.method': '扫描并发送电子邮件（推荐）',
+  'instructions.corporate.methods.0.formats': '可接受的文件格式：JPG、JPEG、PNG、PDF',
+  'instructions.corporate.methods.0.note': '请在邮件主题中注明您的公司名称',
+  'instructions.corporate.methods.1.method': '邮寄',
+
+  // Validation
+  'validation.required': '{label}为必填项',
+  'validation.email': '{label}必须是有效的电子邮箱地址',
+  'validation.url': '{label}必须是有效的网址',
+  'validation.tel': '{label}必须是有效的国际电话号码，例如 +1 345 949 0000',
+  'validation.country': '{label}必须是列表中的国家/地区',
+  'validation.currency': '{label}必须是列表中的货币',
+  'validation.date': '{label}必须是有效日期',
+  'validation.mrz': '{label}必须是护照上完整的两行，且校验位正确',
+  'validation.invalidSelection': '{label}的选择无效',
+  'validation.number': '{label}必须是数字',
+  'validation.invalidList': '{label}不是有效的列表',
+  'validation.minLength': '{label}至少需要 {minLength} 个字符',
+  'validation.maxLength': '{label}最多 {maxLength} 个字符',
+  'validation.pattern': '{label}格式无效',
+  'validation.min': '{label}不得小于 {min}',
+  'validation.max': '{label}不得大于 {max}',
+  'validation.minItems': '{label}：请至少添加 {minItems} 项',
+  'validation.maxItems': '{label}：最多可添加 {maxItems} 项',
+  'validation.minAge': '{label}显示年龄未满 {minAge} 岁',
+  'validation.maxAge': '{label}显示年龄超过 {maxAge} 岁',
+  'validation.ownershipOver': '已披露持股比例合计 {total}%，超过 100%',
+  'validation.ownershipUnder': '已披露持股比例合计 {total}%；至少须披露 {minTotal}%'
+};